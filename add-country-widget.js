@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+/**
+ * Country forecast widget generator
+ *
+ * Creates a forecast widget for a new country from a single country JSON
+ * (bounds, WMS endpoints, variables, islands, inundation source), plus the
+ * matching nginx location and docker-compose service.
+ *
+ * Usage: node add-country-widget.js <country.json> [widget-name]
+ * See templates/forecast-widget/country.example.json for the format.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = __dirname;
+const TEMPLATE_DIR = path.join(ROOT, 'templates', 'forecast-widget');
+const PLUGIN_DIR = path.join(ROOT, 'plugin');
+const SITES_DIR = path.join(ROOT, 'nginx', 'sites');
+const COMPOSE_FILE = path.join(ROOT, 'docker-compose.yml');
+
+// Files copied verbatim (binary)
+const BINARY_EXTENSIONS = new Set(['.ico', '.png']);
+
+const fail = (message) => {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+};
+
+const isLatLng = (value) =>
+  Array.isArray(value) && value.length === 2 && value.every((n) => typeof n === 'number' && Number.isFinite(n));
+
+/**
+ * Check the country JSON and return a list of problems (empty when valid)
+ */
+function validateCountry(country) {
+  const errors = [];
+
+  if (!country.name) errors.push('"name" is required');
+  if (!country.code) errors.push('"code" is required (e.g. "WSM")');
+
+  if (!country.bounds || !isLatLng(country.bounds.southWest) || !isLatLng(country.bounds.northEast)) {
+    errors.push('"bounds.southWest" and "bounds.northEast" must be [lat, lon] pairs');
+  }
+
+  if (!country.wms || !country.wms.url) errors.push('"wms.url" is required');
+
+  if (!Array.isArray(country.variables) || country.variables.length === 0) {
+    errors.push('"variables" must list at least one forecast variable');
+  } else {
+    const seen = new Set();
+    country.variables.forEach((variable, i) => {
+      ['id', 'layer', 'label'].forEach((key) => {
+        if (!variable[key]) errors.push(`variables[${i}].${key} is required`);
+      });
+      if (variable.range && !(Array.isArray(variable.range) && variable.range.length === 2)) {
+        errors.push(`variables[${i}].range must be [min, max]`);
+      }
+      if (seen.has(variable.layer)) errors.push(`variables[${i}].layer "${variable.layer}" is listed twice`);
+      seen.add(variable.layer);
+    });
+  }
+
+  (country.islands || []).forEach((island, i) => {
+    if (!island.name || typeof island.lat !== 'number' || typeof island.lon !== 'number') {
+      errors.push(`islands[${i}] needs name, lat and lon`);
+    }
+  });
+
+  const { inundation } = country;
+  if (inundation) {
+    if (inundation.type === 'points') {
+      if (!inundation.url) errors.push('"inundation.url" is required for point inundation');
+    } else if (inundation.type === 'wms') {
+      if (!inundation.url || !inundation.layer) errors.push('"inundation.url" and "inundation.layer" are required for WMS inundation');
+    } else {
+      errors.push('"inundation.type" must be "points" or "wms"');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Where a widget name is already taken: its plugin directory, nginx site or
+ * docker-compose service (commented-out services count, they are reserved)
+ * @returns {string[]} empty when the name is free
+ */
+function widgetNameUses(widget, compose) {
+  const uses = [];
+  if (fs.existsSync(path.join(PLUGIN_DIR, widget))) uses.push(`plugin/${widget}`);
+  if (fs.existsSync(path.join(SITES_DIR, `${widget}.conf`))) uses.push(`nginx/sites/${widget}.conf`);
+  if (new RegExp(`(^|[^\\w-])plugin-${widget}(?![\\w-])`, 'm').test(compose)) uses.push(`docker-compose.yml plugin-${widget}`);
+  return uses;
+}
+
+/**
+ * First widgetN name free across plugin directories, nginx sites and docker-compose services
+ */
+function nextWidgetName(compose) {
+  let n = 1;
+  while (widgetNameUses(`widget${n}`, compose).length > 0) n++;
+  return `widget${n}`;
+}
+
+/**
+ * Copy the template, replacing __WIDGET__ / __COUNTRY_NAME__ tokens
+ */
+function copyTemplate(src, dest, tokens) {
+  fs.mkdirSync(dest, { recursive: true });
+  fs.readdirSync(src, { withFileTypes: true }).forEach((entry) => {
+    const from = path.join(src, entry.name);
+    const to = path.join(dest, entry.name);
+
+    if (entry.isDirectory()) {
+      copyTemplate(from, to, tokens);
+    } else if (entry.name === 'country.example.json') {
+      // Replaced by src/config/country.json
+    } else if (BINARY_EXTENSIONS.has(path.extname(entry.name))) {
+      fs.copyFileSync(from, to);
+    } else {
+      let content = fs.readFileSync(from, 'utf8');
+      Object.entries(tokens).forEach(([token, value]) => {
+        content = content.split(token).join(value);
+      });
+      fs.writeFileSync(to, content);
+    }
+  });
+}
+
+function nginxSiteConfig(widget) {
+  return `# ${widget} site configuration
+location /${widget}/ {
+    rewrite ^/${widget}/(.*)$ /$1 break;
+    proxy_pass http://plugin-${widget}:80/;
+    proxy_set_header Host $host;
+    proxy_set_header X-Real-IP $remote_addr;
+    proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+    proxy_set_header X-Forwarded-Proto $scheme;
+    proxy_set_header X-Forwarded-Host $server_name;
+    proxy_intercept_errors off;
+    proxy_redirect off;
+    proxy_connect_timeout 60s;
+    proxy_send_timeout 60s;
+    proxy_read_timeout 60s;
+}
+
+# Handle static assets for ${widget}
+location /${widget}/static/ {
+    proxy_pass http://plugin-${widget}:80/static/;
+    proxy_set_header Host $host;
+    proxy_set_header X-Real-IP $remote_addr;
+    proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+    proxy_set_header X-Forwarded-Proto $scheme;
+    expires 1y;
+    add_header Cache-Control "public, immutable";
+    add_header Vary Accept-Encoding;
+}
+`;
+}
+
+/**
+ * Add the widget service and main-nginx dependency to docker-compose.yml.
+ * Text-based so comments and layout in the file are kept as they are.
+ */
+function addComposeService(widget) {
+  const service = `plugin-${widget}`;
+  const lines = fs.readFileSync(COMPOSE_FILE, 'utf8').split('\n');
+
+  // Service block goes at the end of "services:", before the top-level "networks:"
+  const networksIndex = lines.findIndex((line) => line === 'networks:');
+  if (networksIndex === -1) fail('docker-compose.yml has no top-level "networks:" section');
+
+  lines.splice(networksIndex, 0,
+    `  ${service}:`,
+    '    build:',
+    '      context: ./plugin',
+    `      dockerfile: ${widget}/Dockerfile`,
+    '    expose:',
+    '      - "80"',
+    `    container_name: ${service}`,
+    ''
+  );
+
+  // main-nginx depends_on: after the last active plugin entry
+  const dependsIndex = lines.findIndex((line) => line === '    depends_on:');
+  if (dependsIndex !== -1) {
+    let insertAt = dependsIndex + 1;
+    for (let i = dependsIndex + 1; i < lines.length && /^\s{6}(- |# - )/.test(lines[i]); i++) {
+      if (lines[i].startsWith('      - ')) insertAt = i + 1;
+    }
+    lines.splice(insertAt, 0, `      - ${service}`);
+  }
+
+  fs.writeFileSync(COMPOSE_FILE, lines.join('\n'));
+}
+
+function main() {
+  const [countryFile, widgetArg] = process.argv.slice(2);
+  if (!countryFile) {
+    console.log('Usage: node add-country-widget.js <country.json> [widget-name]');
+    console.log('Example: node add-country-widget.js templates/forecast-widget/country.example.json');
+    process.exit(1);
+  }
+
+  let country;
+  try {
+    country = JSON.parse(fs.readFileSync(countryFile, 'utf8'));
+  } catch (error) {
+    fail(`Could not read ${countryFile}: ${error.message}`);
+  }
+
+  const errors = validateCountry(country);
+  if (errors.length > 0) {
+    fail(`Invalid country config:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const compose = fs.readFileSync(COMPOSE_FILE, 'utf8');
+  const widget = widgetArg || nextWidgetName(compose);
+  if (!/^[a-z0-9-]+$/.test(widget)) fail(`Widget name "${widget}" must be lowercase letters, digits or dashes`);
+
+  const uses = widgetNameUses(widget, compose);
+  if (uses.length > 0) fail(`Widget name "${widget}" is already used by ${uses.join(', ')}`);
+
+  const widgetDir = path.join(PLUGIN_DIR, widget);
+
+  console.log(`🚀 Creating ${country.name} forecast widget: ${widget}`);
+
+  copyTemplate(TEMPLATE_DIR, widgetDir, {
+    __WIDGET__: widget,
+    __COUNTRY_NAME__: country.name
+  });
+  fs.writeFileSync(path.join(widgetDir, 'src', 'config', 'country.json'), `${JSON.stringify(country, null, 2)}\n`);
+  console.log(`   ✅ plugin/${widget}/`);
+
+  fs.writeFileSync(path.join(SITES_DIR, `${widget}.conf`), nginxSiteConfig(widget));
+  console.log(`   ✅ nginx/sites/${widget}.conf`);
+
+  addComposeService(widget);
+  console.log(`   ✅ docker-compose.yml service plugin-${widget}`);
+
+  console.log('');
+  console.log('📋 Next steps:');
+  console.log(`   1. cd plugin/${widget} && npm install   (creates the lock file)`);
+  console.log(`   2. npm start to preview, npm test to check the config`);
+  console.log('   3. docker-compose up --build -d');
+  console.log(`   4. Open http://localhost:8085/${widget}/`);
+}
+
+main();
@@ -0,0 +1,24 @@
+/**
+ * Jest config for the forecast core tests (npm test)
+ *
+ * The core has no toolchain or node_modules of its own: widgets build it from
+ * source, and a React installed here would be bundled next to theirs. Tests
+ * run on the jest, Babel preset, React and Leaflet that widget11 installs, so
+ * run `npm install` in plugin/widget11 first.
+ */
+const path = require('path');
+
+const TOOLCHAIN = path.resolve(__dirname, '../widget11/node_modules');
+
+module.exports = {
+  rootDir: __dirname,
+  roots: ['<rootDir>/src'],
+  testMatch: ['<rootDir>/src/**/__tests__/**/*.test.js'],
+  testEnvironment: path.join(TOOLCHAIN, 'jest-environment-jsdom'),
+  transform: {
+    '^.+\\.js$': path.join(TOOLCHAIN, 'react-scripts/config/jest/babelTransform.js')
+  },
+  // Bare imports (react, leaflet, @testing-library/react) resolve from the widget
+  modulePaths: [TOOLCHAIN],
+  resetMocks: true
+};
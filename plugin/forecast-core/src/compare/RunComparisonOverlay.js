@@ -0,0 +1,146 @@
+/**
+ * Run Comparison Overlay
+ *
+ * Places the rendered comparison view (see runComparison.js) in its own map
+ * pane over the forecast layers, and clips the previous run and the live
+ * layers either side of the swipe divider. Uses only map methods, so the
+ * core still does not import Leaflet.
+ */
+
+const PANE_NAME = 'runComparisonPane';
+const PANE_Z_INDEX = 450; // Above the tile and overlay panes, below markers
+
+const DIVIDER_STYLE = {
+  position: 'absolute',
+  top: '0',
+  bottom: '0',
+  width: '0',
+  borderLeft: '2px solid #ffffff',
+  boxShadow: '0 0 4px rgba(0, 0, 0, 0.6)',
+  zIndex: String(PANE_Z_INDEX),
+  pointerEvents: 'none',
+  display: 'none'
+};
+
+const LABEL_STYLE = {
+  position: 'absolute',
+  top: '8px',
+  padding: '2px 6px',
+  borderRadius: '4px',
+  background: 'rgba(15, 23, 42, 0.75)',
+  color: '#ffffff',
+  fontSize: '11px',
+  whiteSpace: 'nowrap'
+};
+
+const createLabel = (text, side) => {
+  const label = document.createElement('span');
+  Object.assign(label.style, LABEL_STYLE, side === 'left' ? { right: '6px' } : { left: '6px' });
+  label.textContent = text;
+  return label;
+};
+
+export class RunComparisonOverlay {
+  /**
+   * @param {L.Map} map
+   */
+  constructor(map) {
+    this.map = map;
+    this.swipe = null;
+
+    this.pane = map.getPane(PANE_NAME) || map.createPane(PANE_NAME);
+    this.pane.style.zIndex = String(PANE_Z_INDEX);
+    this.pane.style.pointerEvents = 'none';
+
+    this.element = document.createElement('div');
+    this.element.style.position = 'absolute';
+    this.pane.appendChild(this.element);
+
+    this.divider = document.createElement('div');
+    Object.assign(this.divider.style, DIVIDER_STYLE);
+    this.divider.append(createLabel('Latest run', 'left'), createLabel('Previous run', 'right'));
+    map.getContainer().appendChild(this.divider);
+
+    this.update = this.update.bind(this);
+    this.hide = this.hide.bind(this);
+    map.on('move zoomend resize layeradd', this.update);
+    map.on('zoomstart', this.hide);
+  }
+
+  /**
+   * Show a view rendered for the current map extent
+   * @param {HTMLCanvasElement} canvas
+   */
+  show(canvas) {
+    const origin = this.map.containerPointToLayerPoint([0, 0]);
+    const size = this.map.getSize();
+    Object.assign(canvas.style, {
+      position: 'absolute',
+      left: `${origin.x}px`,
+      top: `${origin.y}px`,
+      width: `${size.x}px`,
+      height: `${size.y}px`
+    });
+    this.element.replaceChildren(canvas);
+    this.element.style.display = '';
+    this.update();
+  }
+
+  hide() {
+    this.element.style.display = 'none';
+  }
+
+  clear() {
+    this.element.replaceChildren();
+  }
+
+  /**
+   * @param {number|null} fraction - Divider position from the left (0-1), null for no swipe
+   */
+  setSwipe(fraction) {
+    this.swipe = fraction;
+    this.update();
+  }
+
+  // Live WMS layers, clipped to the left of the divider
+  getLiveContainers() {
+    const containers = [];
+    this.map.eachLayer((layer) => {
+      const container = layer.wmsParams && layer.getContainer?.();
+      if (container) containers.push(container);
+    });
+    return containers;
+  }
+
+  update() {
+    if (this.swipe === null) {
+      this.element.style.clip = '';
+      this.divider.style.display = 'none';
+      this.getLiveContainers().forEach((container) => { container.style.clip = ''; });
+      return;
+    }
+
+    const size = this.map.getSize();
+    const northWest = this.map.containerPointToLayerPoint([0, 0]);
+    const southEast = this.map.containerPointToLayerPoint(size);
+    const clipX = northWest.x + size.x * this.swipe;
+
+    this.element.style.clip = `rect(${northWest.y}px, ${southEast.x}px, ${southEast.y}px, ${clipX}px)`;
+    this.getLiveContainers().forEach((container) => {
+      container.style.clip = `rect(${northWest.y}px, ${clipX}px, ${southEast.y}px, ${northWest.x}px)`;
+    });
+    this.divider.style.left = `${this.swipe * 100}%`;
+    this.divider.style.display = '';
+  }
+
+  remove() {
+    this.map.off('move zoomend resize layeradd', this.update);
+    this.map.off('zoomstart', this.hide);
+    this.swipe = null;
+    this.update();
+    this.element.remove();
+    this.divider.remove();
+  }
+}
+
+export default RunComparisonOverlay;
@@ -0,0 +1,85 @@
+/**
+ * Run Comparison Tests
+ *
+ * Configured previous-cycle URLs, valid-time matching and
+ * the decoded latest-minus-previous difference layer
+ */
+
+import { configureForecastCore, findMatchingTime, getPreviousRunUrl } from '../../index';
+import {
+  buildColorbarUrl,
+  computeDifference,
+  createColorDecoder,
+  getDecodeParams,
+  getDifferenceColor,
+  getDifferenceScale
+} from '../runComparison';
+
+const COOK_SWAN_WMS_URL = 'https://gemthreddshpc.spc.int/thredds/wms/POP/model/country/spc/forecast/hourly/COK/SWAN_UGRID.nc';
+
+// Vertical colour bar with one row per band, maximum at the top
+const colorbar = (colors) => {
+  const rgba = new Uint8ClampedArray(colors.length * 4);
+  colors.forEach((rgb, row) => rgba.set([...rgb, 255], row * 4));
+  return rgba;
+};
+
+describe('Run comparison', () => {
+  afterEach(() => {
+    configureForecastCore();
+  });
+
+  test('should take the previous cycle from the country config', () => {
+    const previousUrl = 'https://thredds.example.org/thredds/wms/COK/SWAN_UGRID_previous.nc';
+    configureForecastCore({ runComparison: { previousRunUrls: { [COOK_SWAN_WMS_URL]: previousUrl } } });
+
+    expect(getPreviousRunUrl(COOK_SWAN_WMS_URL)).toBe(previousUrl);
+    expect(getPreviousRunUrl(`${COOK_SWAN_WMS_URL}?SERVICE=WMS`)).toBe(`${previousUrl}?SERVICE=WMS`);
+    expect(getPreviousRunUrl('https://ocean-plotter.spc.int/plotter/GetMap')).toBeNull();
+    expect(getPreviousRunUrl(undefined)).toBeNull();
+  });
+
+  test('should not guess a previous cycle the country config does not list', () => {
+    expect(getPreviousRunUrl(COOK_SWAN_WMS_URL)).toBeNull();
+    expect(getPreviousRunUrl('/api/thredds/wms/COK/SWAN_UGRID.nc?SERVICE=WMS')).toBeNull();
+  });
+
+  test('should only compare valid times present in the previous run', () => {
+    const times = [0, 1, 2].map((hour) => new Date(Date.UTC(2025, 5, 1, hour)));
+
+    expect(findMatchingTime(times, new Date(Date.UTC(2025, 5, 1, 1, 0, 30)))).toBe(times[1]);
+    expect(findMatchingTime(times, new Date(Date.UTC(2025, 5, 1, 5)))).toBeNull();
+    expect(findMatchingTime(times, null)).toBeNull();
+  });
+
+  test('should request wave height with the decode palette and range', () => {
+    const params = getDecodeParams('hs', new Date(Date.UTC(2025, 5, 1, 6)));
+    expect(params.styles).toBe('default-scalar/psu-viridis');
+    expect(params.colorscalerange).toBe('0,8');
+    expect(params.time).toBe('2025-06-01T06:00:00Z');
+
+    const url = new URL(buildColorbarUrl(`${COOK_SWAN_WMS_URL}?SERVICE=WMS`, 'hs'));
+    expect(url.searchParams.get('REQUEST')).toBe('GetLegendGraphic');
+    expect(url.searchParams.get('HEIGHT')).toBe('250');
+    expect(url.searchParams.get('SERVICE')).toBeNull();
+  });
+
+  test('should decode both runs and colour latest minus previous', () => {
+    // Four bands over 0-4 m: centres 3.5, 2.5, 1.5, 0.5 from the top
+    const bands = [[250, 0, 0], [0, 250, 0], [0, 0, 250], [250, 250, 0]];
+    const decode = createColorDecoder(colorbar(bands), 1, 4, [0, 4]);
+    expect(decode(0, 0, 250)).toBeCloseTo(1.5);
+    expect(decode(245, 5, 0)).toBeCloseTo(3.5); // Nearest band
+
+    const pixel = (rgb, alpha = 255) => [...rgb, alpha];
+    const latest = new Uint8ClampedArray([...pixel(bands[0]), ...pixel(bands[3]), ...pixel(bands[1], 0)]);
+    const previous = new Uint8ClampedArray([...pixel(bands[2]), ...pixel(bands[3]), ...pixel(bands[1])]);
+    const { range } = getDifferenceScale('cook_forecast/hs');
+    const { pixels, stats } = computeDifference(latest, previous, decode, range);
+
+    expect(stats).toEqual({ min: 0, max: 2, meanAbs: 1, count: 2 });
+    expect(Array.from(pixels.slice(0, 3))).toEqual(getDifferenceColor(range, range)); // +2 m, clamped to red
+    expect(Array.from(pixels.slice(4, 7))).toEqual([247, 247, 247]); // Unchanged
+    expect(pixels[11]).toBe(0); // No data in the latest run
+  });
+});
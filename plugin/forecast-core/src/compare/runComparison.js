@@ -0,0 +1,360 @@
+/**
+ * Forecast Run Comparison
+ *
+ * Compares the latest model cycle with the previous one at the same valid
+ * time. Where the previous cycle is published differs per THREDDS server, so
+ * each country config lists it (runComparison.previousRunUrls); forecasts
+ * without an entry have no comparison.
+ *
+ * Two map views are rendered for the current map extent:
+ * - swipe: the previous run's GetMap images right of a divider, the live
+ *   (latest) layers left of it
+ * - difference: latest minus previous, decoded from GetMap pixels through the
+ *   palette's colour bar and drawn with a diverging palette
+ *
+ * Like the animation export, the GetMap and legend images are read back from
+ * a canvas, so the WMS server must send CORS headers.
+ */
+
+import { getCountryConfig, lookupByVariable } from '../config/countryConfig';
+import capabilitiesCache from '../utils/CapabilitiesCache';
+import { buildCapabilitiesUrl } from '../offline/forecastRequests';
+import { parseTimeDimensionFromCapabilities, getTimeRangeFromDimension } from '../hooks/useWMSCapabilities';
+import { buildFrameUrl, getAnimationView, getForecastOverlays, loadImage } from '../export/forecastAnimation';
+
+export const COMPARISON_MODES = {
+  OFF: 'off',
+  SWIPE: 'swipe',
+  DIFFERENCE: 'difference'
+};
+
+// Diverging palette of the difference layer: previous run higher -> blue, latest higher -> red
+export const DIFFERENCE_PALETTE = [
+  [33, 102, 172],
+  [103, 169, 207],
+  [209, 229, 240],
+  [247, 247, 247],
+  [253, 219, 199],
+  [239, 138, 98],
+  [178, 24, 43]
+];
+
+const DIFFERENCE_ALPHA = 220;
+const MATCH_TOLERANCE_MS = 60 * 1000;
+
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) {
+    throw new DOMException('Run comparison cancelled', 'AbortError');
+  }
+};
+
+// Shown instead of the comparison when the country config has no previous run for a forecast
+export const PREVIOUS_RUN_NOT_CONFIGURED = 'No previous model run is configured for this forecast.';
+
+/**
+ * WMS endpoint of the previous model cycle, from runComparison.previousRunUrls
+ * @param {string} wmsUrl - Latest run WMS endpoint, as listed in previousRunUrls
+ * @returns {string|null} null when the country config lists no previous run for it
+ */
+export function getPreviousRunUrl(wmsUrl) {
+  if (!wmsUrl) return null;
+
+  const [base, query] = wmsUrl.split('?');
+  const previous = getCountryConfig().runComparison.previousRunUrls[base];
+  if (!previous) return null;
+  return query ? `${previous}?${query}` : previous;
+}
+
+/**
+ * Time steps and model run start of one run, from its GetCapabilities
+ * @param {string} wmsUrl
+ * @param {string} layerName
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{times: Date[], runStart: Date|null}>}
+ */
+export async function fetchRunTimes(wmsUrl, layerName, { signal } = {}) {
+  const capabilitiesUrl = buildCapabilitiesUrl(wmsUrl);
+  const { cacheTtl } = getCountryConfig().capabilities;
+  let xml = cacheTtl > 0 ? capabilitiesCache.get(capabilitiesUrl) : null;
+
+  if (!xml) {
+    const res = await fetch(capabilitiesUrl, { mode: 'cors', signal });
+    if (!res.ok) {
+      throw new Error(`Failed to fetch capabilities: ${res.status} ${res.statusText}`);
+    }
+    xml = await res.text();
+    if (cacheTtl > 0) {
+      capabilitiesCache.set(capabilitiesUrl, xml, cacheTtl);
+    }
+  }
+
+  const timeDim = parseTimeDimensionFromCapabilities(xml, layerName);
+  const timeRange = timeDim ? getTimeRangeFromDimension(timeDim.raw) : null;
+  if (!timeRange?.availableTimestamps?.length) {
+    throw new Error(`No time steps for ${layerName} in ${wmsUrl}`);
+  }
+
+  return {
+    times: timeRange.availableTimestamps,
+    runStart: timeRange.originalStart || timeRange.start || null
+  };
+}
+
+/**
+ * Time step of a run matching a valid time
+ * @param {Date[]} times
+ * @param {Date} time
+ * @param {number} [toleranceMs=60000]
+ * @returns {Date|null}
+ */
+export function findMatchingTime(times = [], time, toleranceMs = MATCH_TOLERANCE_MS) {
+  if (!time) return null;
+  const target = new Date(time).getTime();
+  return times.find((candidate) => Math.abs(candidate.getTime() - target) <= toleranceMs) || null;
+}
+
+/**
+ * Colour range (min, max) the difference layer decodes a variable with
+ * @param {string} layerName
+ * @returns {number[]}
+ */
+export function getDecodeRange(layerName) {
+  const { runComparison, visualization } = getCountryConfig();
+  const range = lookupByVariable(runComparison.decodeRanges, layerName);
+  if (range) return range;
+
+  const fallback = lookupByVariable(visualization.layerRanges, layerName);
+  return fallback ? [fallback.min, fallback.max] : [0, 1];
+}
+
+/**
+ * ± colour range and units of the difference layer for a variable
+ * @param {string} layerName
+ * @returns {{range: number, unit: string}}
+ */
+export function getDifferenceScale(layerName) {
+  const { runComparison, visualization } = getCountryConfig();
+  const [min, max] = getDecodeRange(layerName);
+  return {
+    range: lookupByVariable(runComparison.differenceRanges, layerName) || (max - min) / 4,
+    unit: lookupByVariable(visualization.layerRanges, layerName)?.unit || ''
+  };
+}
+
+/**
+ * Parameters of the GetMap requests the difference layer decodes
+ * @param {string} layerName
+ * @param {Date} time
+ * @returns {Object} WMS params as Leaflet keeps them (see buildFrameUrl)
+ */
+export function getDecodeParams(layerName, time) {
+  const { decodePalette, decodeBands } = getCountryConfig().runComparison;
+  return {
+    service: 'WMS',
+    request: 'GetMap',
+    version: '1.3.0',
+    layers: layerName,
+    styles: `default-scalar/${decodePalette}`,
+    format: 'image/png',
+    transparent: true,
+    colorscalerange: getDecodeRange(layerName).join(','),
+    numcolorbands: decodeBands,
+    belowmincolor: 'extend',
+    abovemaxcolor: 'extend',
+    time: time.toISOString().replace(/\.\d{3}Z$/, 'Z')
+  };
+}
+
+/**
+ * Vertical colour bar of the decode palette, one pixel row per colour band
+ * @param {string} wmsUrl
+ * @param {string} layerName
+ * @returns {string}
+ */
+export function buildColorbarUrl(wmsUrl, layerName) {
+  const { decodePalette, decodeBands } = getCountryConfig().runComparison;
+  const params = new URLSearchParams({
+    REQUEST: 'GetLegendGraphic',
+    LAYER: layerName,
+    PALETTE: decodePalette,
+    COLORBARONLY: 'true',
+    NUMCOLORBANDS: String(decodeBands),
+    COLORSCALERANGE: getDecodeRange(layerName).join(','),
+    VERTICAL: 'true',
+    WIDTH: '1',
+    HEIGHT: String(decodeBands),
+    FORMAT: 'image/png'
+  });
+  return `${wmsUrl.split('?')[0]}?${params.toString()}`;
+}
+
+/**
+ * Colour -> value lookup from a vertical colour bar (maximum at the top)
+ * @param {Uint8ClampedArray} rgba - Colour bar pixels
+ * @param {number} width
+ * @param {number} height
+ * @param {number[]} range - [min, max] of the colour bar
+ * @returns {Function} (r, g, b) => value
+ */
+export function createColorDecoder(rgba, width, height, [min, max]) {
+  const entries = [];
+  for (let row = 0; row < height; row++) {
+    const i = (row * width + Math.floor(width / 2)) * 4;
+    entries.push({
+      rgb: [rgba[i], rgba[i + 1], rgba[i + 2]],
+      value: max - ((row + 0.5) / height) * (max - min)
+    });
+  }
+
+  // GetMap pixels are exact palette colours; the nearest match covers resampling
+  const cache = new Map();
+  return (r, g, b) => {
+    const key = (r << 16) | (g << 8) | b;
+    if (cache.has(key)) return cache.get(key);
+
+    let best = entries[0];
+    let bestDistance = Infinity;
+    entries.forEach((entry) => {
+      const [er, eg, eb] = entry.rgb;
+      const distance = (er - r) ** 2 + (eg - g) ** 2 + (eb - b) ** 2;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = entry;
+      }
+    });
+    cache.set(key, best.value);
+    return best.value;
+  };
+}
+
+/**
+ * Diverging colour for a difference
+ * @param {number} difference
+ * @param {number} range - Difference drawn with the end colours
+ * @returns {number[]} [r, g, b]
+ */
+export function getDifferenceColor(difference, range) {
+  const t = Math.max(-1, Math.min(1, difference / range));
+  const position = ((t + 1) / 2) * (DIFFERENCE_PALETTE.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.min(lower + 1, DIFFERENCE_PALETTE.length - 1);
+  const fraction = position - lower;
+  return DIFFERENCE_PALETTE[lower].map((value, c) =>
+    Math.round(value + (DIFFERENCE_PALETTE[upper][c] - value) * fraction));
+}
+
+/**
+ * Latest minus previous run, per pixel of two decoded GetMap images
+ * @param {Uint8ClampedArray} latest - RGBA pixels of the latest run
+ * @param {Uint8ClampedArray} previous - RGBA pixels of the previous run
+ * @param {Function} decode - From createColorDecoder
+ * @param {number} range - ± range of the diverging palette
+ * @returns {{pixels: Uint8ClampedArray, stats: {min: number, max: number, meanAbs: number, count: number}}}
+ */
+export function computeDifference(latest, previous, decode, range) {
+  const pixels = new Uint8ClampedArray(latest.length);
+  const stats = { min: Infinity, max: -Infinity, meanAbs: 0, count: 0 };
+  let sumAbs = 0;
+
+  for (let i = 0; i < latest.length; i += 4) {
+    // Transparent pixels are land or outside the model grid in either run
+    if (latest[i + 3] < 128 || previous[i + 3] < 128) continue;
+
+    const difference = decode(latest[i], latest[i + 1], latest[i + 2])
+      - decode(previous[i], previous[i + 1], previous[i + 2]);
+    pixels.set(getDifferenceColor(difference, range), i);
+    pixels[i + 3] = DIFFERENCE_ALPHA;
+
+    stats.min = Math.min(stats.min, difference);
+    stats.max = Math.max(stats.max, difference);
+    sumAbs += Math.abs(difference);
+    stats.count++;
+  }
+
+  stats.meanAbs = stats.count ? sumAbs / stats.count : 0;
+  if (!stats.count) {
+    stats.min = 0;
+    stats.max = 0;
+  }
+  return { pixels, stats };
+}
+
+const createCanvas = (view) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = view.width;
+  canvas.height = view.height;
+  return canvas;
+};
+
+const readPixels = (image, view) => {
+  const ctx = createCanvas(view).getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(image, 0, 0, view.width, view.height);
+  return ctx.getImageData(0, 0, view.width, view.height).data;
+};
+
+const loadComparisonImage = (src) => loadImage(src).catch(() => {
+  throw new Error('Could not load the previous run. The WMS server may not allow cross-origin image access.');
+});
+
+/**
+ * Previous run of every live forecast overlay over the current map view
+ * @param {Object} options
+ * @param {L.Map} options.map
+ * @param {Date} options.time - Valid time on screen
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export async function renderPreviousRunView({ map, time, signal }) {
+  const overlays = getForecastOverlays(map)
+    .map((overlay) => ({ ...overlay, url: getPreviousRunUrl(overlay.url) }))
+    .filter((overlay) => overlay.url);
+  if (!overlays.length) throw new Error('The layer on the map has no previous run');
+
+  const view = getAnimationView(map, Infinity);
+  const images = await Promise.all(overlays.map((overlay) =>
+    loadComparisonImage(buildFrameUrl(overlay, time, view))));
+  throwIfAborted(signal);
+
+  const canvas = createCanvas(view);
+  const ctx = canvas.getContext('2d');
+  images.forEach((image, i) => {
+    ctx.globalAlpha = overlays[i].opacity;
+    ctx.drawImage(image, 0, 0, view.width, view.height);
+  });
+  return canvas;
+}
+
+/**
+ * Latest minus previous run of one layer over the current map view
+ * @param {Object} options
+ * @param {L.Map} options.map
+ * @param {string} options.wmsUrl - Latest run WMS endpoint
+ * @param {string} options.layerName
+ * @param {Date} options.time - Valid time on screen
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{canvas: HTMLCanvasElement, stats: Object}>}
+ */
+export async function renderDifferenceView({ map, wmsUrl, layerName, time, signal }) {
+  const previousUrl = getPreviousRunUrl(wmsUrl);
+  if (!previousUrl) throw new Error('The layer on the map has no previous run');
+
+  const view = getAnimationView(map, getCountryConfig().runComparison.maxWidth);
+  const params = getDecodeParams(layerName, time);
+  const [colorbar, latest, previous] = await Promise.all([
+    loadComparisonImage(buildColorbarUrl(wmsUrl, layerName)),
+    loadComparisonImage(buildFrameUrl({ url: wmsUrl, params }, time, view)),
+    loadComparisonImage(buildFrameUrl({ url: previousUrl, params }, time, view))
+  ]);
+  throwIfAborted(signal);
+
+  const colorbarView = { width: colorbar.width, height: colorbar.height };
+  const decode = createColorDecoder(readPixels(colorbar, colorbarView), colorbar.width, colorbar.height,
+    getDecodeRange(layerName));
+  const { pixels, stats } = computeDifference(readPixels(latest, view), readPixels(previous, view), decode,
+    getDifferenceScale(layerName).range);
+
+  const canvas = createCanvas(view);
+  canvas.getContext('2d').putImageData(new ImageData(pixels, view.width, view.height), 0, 0);
+  return { canvas, stats };
+}
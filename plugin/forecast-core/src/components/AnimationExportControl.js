@@ -0,0 +1,81 @@
+/**
+ * Animation Export Control
+ *
+ * "GIF" and "WebM" buttons that export the forecast from the current slider
+ * position, with progress and a cancel button. Written with createElement
+ * because this package ships untranspiled (no JSX).
+ */
+
+import { createElement } from 'react';
+import { useAnimationExport } from '../hooks/useAnimationExport';
+import { ANIMATION_FORMATS } from '../export/forecastAnimation';
+
+const ROW_STYLE = { display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.5rem', marginTop: '0.75rem' };
+const STATUS_STYLE = { fontSize: '0.85rem', marginTop: '0.4rem', opacity: 0.85 };
+const ERROR_STYLE = { ...STATUS_STYLE, color: '#ff6b6b', opacity: 1 };
+
+const describeProgress = ({ phase, done, total }) => (phase === 'loading'
+  ? `Loading frame ${done} of ${total}…`
+  : `Encoding frame ${done} of ${total}…`);
+
+/**
+ * @param {Object} props
+ * @param {Object} props.mapInstance - Ref to the Leaflet map
+ * @param {Object} props.capTime - useWMSCapabilities result
+ * @param {Date} props.currentSliderDate
+ * @param {string} [props.title] - Layer label shown on every frame
+ * @param {string} [props.legendUrl]
+ * @param {string} [props.buttonClassName] - Widget button class (defaults to "var-btn")
+ */
+export function AnimationExportControl({
+  mapInstance,
+  capTime,
+  currentSliderDate,
+  title,
+  legendUrl,
+  buttonClassName = 'var-btn'
+}) {
+  const {
+    exporting,
+    format,
+    progress,
+    error,
+    frameCount,
+    webmSupported,
+    exportAnimation,
+    cancel
+  } = useAnimationExport({ mapInstance, capTime, currentSliderDate, title, legendUrl });
+
+  const disabled = exporting || capTime?.loading || frameCount === 0;
+  const exportButton = (value, label) => createElement('button', {
+    key: value,
+    type: 'button',
+    className: buttonClassName,
+    onClick: () => exportAnimation(value),
+    disabled,
+    'aria-label': `Export the next ${frameCount} forecast steps as ${label}`
+  }, exporting && format === value ? `${label}…` : label);
+
+  const buttons = [
+    createElement('span', { key: 'label' }, 'Export animation:'),
+    exportButton(ANIMATION_FORMATS.GIF, 'GIF'),
+    webmSupported && exportButton(ANIMATION_FORMATS.WEBM, 'WebM'),
+    exporting && createElement('button', { key: 'cancel', type: 'button', className: buttonClassName, onClick: cancel }, 'Cancel')
+  ];
+
+  let status = null;
+  if (error) {
+    status = createElement('div', { role: 'alert', style: ERROR_STYLE }, error);
+  } else if (exporting) {
+    status = createElement('div', { role: 'status', 'aria-live': 'polite', style: STATUS_STYLE },
+      progress ? describeProgress(progress) : 'Preparing…');
+  } else if (frameCount > 0) {
+    status = createElement('div', { style: STATUS_STYLE }, `${frameCount} time steps from the current slider position`);
+  }
+
+  return createElement('div', { className: 'animation-export-control' },
+    createElement('div', { style: ROW_STYLE }, buttons),
+    status);
+}
+
+export default AnimationExportControl;
@@ -0,0 +1,80 @@
+/**
+ * Legend Range Control
+ *
+ * Min / max inputs overriding the selected layer's colour scale range, with
+ * "Apply" and "Reset". The range is part of the permalink (see
+ * usePermalinkState). Written with createElement because this package
+ * ships untranspiled (no JSX).
+ */
+
+import { createElement, useEffect, useState } from 'react';
+
+const ROW_STYLE = { display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.5rem', marginTop: '0.75rem' };
+const INPUT_STYLE = { width: '5.5rem' };
+const ERROR_STYLE = { fontSize: '0.85rem', marginTop: '0.4rem', color: '#ff6b6b' };
+
+/**
+ * @param {Object} props
+ * @param {{min: number, max: number}|null} props.range - Range on screen
+ * @param {boolean} props.isCustom - Whether the range was set by the user or a link
+ * @param {Function} props.onApply - ({min, max}) => boolean
+ * @param {Function} props.onReset
+ * @param {string} [props.units]
+ * @param {string} [props.buttonClassName] - Widget button class (defaults to "var-btn")
+ */
+export function LegendRangeControl({ range, isCustom, onApply, onReset, units = '', buttonClassName = 'var-btn' }) {
+  const [min, setMin] = useState('');
+  const [max, setMax] = useState('');
+  const [error, setError] = useState(null);
+
+  const rangeMin = range?.min;
+  const rangeMax = range?.max;
+  useEffect(() => {
+    setMin(rangeMin ?? '');
+    setMax(rangeMax ?? '');
+    setError(null);
+  }, [rangeMin, rangeMax]);
+
+  if (!range) return null;
+
+  const apply = (event) => {
+    event.preventDefault();
+    const next = { min: Number(min), max: Number(max) };
+    if (min === '' || max === '' || !(next.min < next.max) || !onApply(next)) {
+      setError('Enter a minimum below the maximum.');
+      return;
+    }
+    setError(null);
+  };
+
+  const numberInput = (label, value, onChange) => createElement('input', {
+    type: 'number',
+    step: 'any',
+    value,
+    onChange: (event) => onChange(event.target.value),
+    'aria-label': `Legend ${label}${units ? ` (${units})` : ''}`,
+    style: INPUT_STYLE
+  });
+
+  const children = [
+    createElement('span', { key: 'label' }, `Legend range${units ? ` (${units})` : ''}:`),
+    createElement('span', { key: 'min' }, numberInput('minimum', min, setMin)),
+    createElement('span', { key: 'to', 'aria-hidden': true }, '–'),
+    createElement('span', { key: 'max' }, numberInput('maximum', max, setMax)),
+    createElement('button', { key: 'apply', type: 'submit', className: buttonClassName }, 'Apply')
+  ];
+  if (isCustom) {
+    children.push(createElement('button', {
+      key: 'reset',
+      type: 'button',
+      className: buttonClassName,
+      onClick: onReset
+    }, 'Reset'));
+  }
+
+  return createElement('form', { className: 'legend-range-control', onSubmit: apply },
+    createElement('div', { style: ROW_STYLE }, children),
+    error && createElement('div', { role: 'alert', style: ERROR_STYLE }, error));
+}
+
+export default LegendRangeControl;
@@ -0,0 +1,59 @@
+/**
+ * Offline Forecast Banner
+ *
+ * Tells the user the map is showing a cached forecast run while the network
+ * is down or too slow. Written with createElement because this package ships
+ * untranspiled (no JSX).
+ */
+
+import { createElement } from 'react';
+import { useOfflineForecastStatus } from '../hooks/useOfflineForecast';
+
+const BANNER_STYLE = {
+  position: 'fixed',
+  top: 8,
+  left: '50%',
+  transform: 'translateX(-50%)',
+  zIndex: 10001,
+  maxWidth: 'calc(100vw - 16px)',
+  padding: '6px 14px',
+  borderRadius: 6,
+  background: '#fff3cd',
+  border: '1px solid #ffc107',
+  color: '#664d03',
+  fontSize: 14,
+  fontWeight: 500,
+  boxShadow: '0 2px 8px rgba(0, 0, 0, 0.15)',
+  pointerEvents: 'none'
+};
+
+const formatRunTime = (date) => date.toLocaleString(undefined, {
+  day: 'numeric',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+  timeZoneName: 'short'
+});
+
+/**
+ * @param {Object} props
+ * @param {string} [props.className]
+ * @param {Object} [props.style] - Merged over the default fixed top-centre style
+ */
+export function OfflineForecastBanner({ className, style } = {}) {
+  const { showingCachedRun, cachedRunTime } = useOfflineForecastStatus();
+  if (!showingCachedRun) return null;
+
+  const message = cachedRunTime
+    ? `Offline: showing cached run from ${formatRunTime(cachedRunTime)}`
+    : 'Offline: forecast data may be unavailable until the connection returns';
+
+  return createElement('div', {
+    role: 'status',
+    'aria-live': 'polite',
+    className: ['forecast-offline-banner', className].filter(Boolean).join(' '),
+    style: { ...BANNER_STYLE, ...style }
+  }, message);
+}
+
+export default OfflineForecastBanner;
@@ -0,0 +1,70 @@
+/**
+ * Permalink Control
+ *
+ * "Copy link" button for the current forecast view (layers, time, opacity,
+ * legend range, clicked point and map view). Falls back to showing the link
+ * in a read-only field when the clipboard is not available. Written with
+ * createElement because this package ships untranspiled (no JSX).
+ */
+
+import { createElement, useEffect, useRef, useState } from 'react';
+
+const ROW_STYLE = { display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.5rem', marginTop: '0.75rem' };
+const STATUS_STYLE = { fontSize: '0.85rem', opacity: 0.85 };
+const FIELD_STYLE = { width: '100%', marginTop: '0.4rem', fontSize: '0.8rem' };
+const STATUS_RESET_MS = 3000;
+
+/**
+ * @param {Object} props
+ * @param {Function} props.getPermalink - () => string (from usePermalinkState)
+ * @param {boolean} [props.disabled] - e.g. while a linked view is being restored
+ * @param {string} [props.buttonClassName] - Widget button class (defaults to "var-btn")
+ */
+export function PermalinkControl({ getPermalink, disabled = false, buttonClassName = 'var-btn' }) {
+  const [status, setStatus] = useState(null);
+  const [fallbackUrl, setFallbackUrl] = useState(null);
+  const timer = useRef(null);
+
+  useEffect(() => () => clearTimeout(timer.current), []);
+
+  const copy = async () => {
+    const url = getPermalink();
+    clearTimeout(timer.current);
+    try {
+      await navigator.clipboard.writeText(url);
+      setFallbackUrl(null);
+      setStatus('Link copied');
+      timer.current = setTimeout(() => setStatus(null), STATUS_RESET_MS);
+    } catch {
+      setFallbackUrl(url);
+      setStatus('Copy the link below');
+    }
+  };
+
+  const children = [
+    createElement('div', { key: 'row', style: ROW_STYLE },
+      createElement('button', {
+        type: 'button',
+        className: buttonClassName,
+        onClick: copy,
+        disabled,
+        title: 'Copy a link that opens this exact view'
+      }, 'Copy link to this view'),
+      status && createElement('span', { role: 'status', 'aria-live': 'polite', style: STATUS_STYLE }, status))
+  ];
+  if (fallbackUrl) {
+    children.push(createElement('input', {
+      key: 'url',
+      type: 'text',
+      readOnly: true,
+      value: fallbackUrl,
+      onFocus: (event) => event.target.select(),
+      'aria-label': 'Link to this view',
+      style: FIELD_STYLE
+    }));
+  }
+
+  return createElement('div', { className: 'permalink-control' }, children);
+}
+
+export default PermalinkControl;
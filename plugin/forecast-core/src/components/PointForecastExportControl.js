@@ -0,0 +1,85 @@
+/**
+ * Point Forecast Export Control
+ *
+ * "CSV", "Excel" and "CoverageJSON" buttons for the point forecast panel,
+ * exporting every variable loaded for the clicked point as one table.
+ * Written with createElement because this package ships untranspiled (no JSX).
+ */
+
+import { createElement, useMemo, useState } from 'react';
+import {
+  EXPORT_FORMATS,
+  buildPointForecastTable,
+  createPointForecastExport,
+  getExportFilename
+} from '../export/pointForecastExport';
+import { downloadBlob } from '../export/download';
+
+const ROW_STYLE = { display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.5rem', margin: '0.25rem 0 0.5rem' };
+const STATUS_STYLE = { fontSize: '0.8rem', opacity: 0.75 };
+const ERROR_STYLE = { ...STATUS_STYLE, color: '#ff6b6b', opacity: 1 };
+
+const FORMAT_LABELS = [
+  [EXPORT_FORMATS.CSV, 'CSV'],
+  [EXPORT_FORMATS.XLSX, 'Excel'],
+  [EXPORT_FORMATS.COVERAGE_JSON, 'CoverageJSON']
+];
+
+/**
+ * @param {Object} props
+ * @param {Object<string, Object>} props.perVariableData - Variable key → GetTimeseries CoverageJSON
+ * @param {Object<string, Object>} props.variables - MARINE_VARIABLES definitions
+ * @param {string[]} [props.order] - Column order (e.g. the panel's variable order)
+ * @param {{lat: number, lon: number}|null} [props.location]
+ * @param {string} [props.title]
+ * @param {string} [props.source] - Dataset URL written to the metadata
+ * @param {string} [props.buttonClassName]
+ */
+export function PointForecastExportControl({
+  perVariableData,
+  variables,
+  order,
+  location = null,
+  title = 'Point forecast',
+  source = '',
+  buttonClassName = 'var-btn'
+}) {
+  const [error, setError] = useState(null);
+  const table = useMemo(
+    () => buildPointForecastTable(perVariableData, { variables, order, location, title, source }),
+    [perVariableData, variables, order, location, title, source]
+  );
+
+  if (!table.rows.length) return null;
+
+  const exportAs = (format) => {
+    try {
+      const blob = createPointForecastExport({ ...table, metadata: { ...table.metadata, generatedAt: new Date() } }, format);
+      downloadBlob(blob, getExportFilename(table, format));
+      setError(null);
+    } catch (exportError) {
+      console.error('Point forecast export failed:', exportError);
+      setError(exportError.message);
+    }
+  };
+
+  const children = [
+    createElement('span', { key: 'label' }, 'Export:'),
+    ...FORMAT_LABELS.map(([format, label]) => createElement('button', {
+      key: format,
+      type: 'button',
+      className: buttonClassName,
+      onClick: () => exportAs(format),
+      'aria-label': `Download ${table.columns.length} variables at ${table.rows.length} times as ${label}`
+    }, label)),
+    createElement('span', { key: 'summary', style: STATUS_STYLE },
+      `${table.columns.length} variables · ${table.rows.length} times (UTC)`)
+  ];
+  if (error) {
+    children.push(createElement('span', { key: 'error', role: 'alert', style: ERROR_STYLE }, error));
+  }
+
+  return createElement('div', { className: 'point-forecast-export-control', style: ROW_STYLE }, children);
+}
+
+export default PointForecastExportControl;
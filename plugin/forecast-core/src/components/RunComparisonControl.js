@@ -0,0 +1,117 @@
+/**
+ * Run Comparison Control
+ *
+ * "Off / Swipe / Difference" buttons comparing the latest run with the
+ * previous model cycle, a divider slider for the swipe view and a legend
+ * for the difference layer. Written with createElement because this
+ * package ships untranspiled (no JSX).
+ */
+
+import { createElement } from 'react';
+import { useRunComparison } from '../hooks/useRunComparison';
+import { COMPARISON_MODES, DIFFERENCE_PALETTE, PREVIOUS_RUN_NOT_CONFIGURED } from '../compare/runComparison';
+
+const ROW_STYLE = { display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.5rem', marginTop: '0.75rem' };
+const STATUS_STYLE = { fontSize: '0.85rem', marginTop: '0.4rem', opacity: 0.85 };
+const ERROR_STYLE = { ...STATUS_STYLE, color: '#ff6b6b', opacity: 1 };
+const SCALE_STYLE = {
+  height: '10px',
+  borderRadius: '3px',
+  marginTop: '0.4rem',
+  background: `linear-gradient(to right, ${DIFFERENCE_PALETTE.map(([r, g, b]) => `rgb(${r}, ${g}, ${b})`).join(', ')})`
+};
+const SCALE_LABELS_STYLE = { display: 'flex', justifyContent: 'space-between', fontSize: '0.75rem', opacity: 0.85 };
+
+const MODE_LABELS = [
+  [COMPARISON_MODES.OFF, 'Off'],
+  [COMPARISON_MODES.SWIPE, 'Swipe'],
+  [COMPARISON_MODES.DIFFERENCE, 'Difference']
+];
+
+const formatRun = (date) => (date
+  ? `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`
+  : 'unknown');
+
+const formatSigned = (value, unit) => `${value > 0 ? '+' : ''}${value.toFixed(2)}${unit ? ` ${unit}` : ''}`;
+
+/**
+ * @param {Object} props
+ * @param {Object} props.mapInstance - Ref to the Leaflet map
+ * @param {Object} props.layer - Selected layer config (value, wmsUrl)
+ * @param {Date} props.currentSliderDate
+ * @param {string} [props.buttonClassName] - Widget button class (defaults to "var-btn")
+ */
+export function RunComparisonControl({ mapInstance, layer, currentSliderDate, buttonClassName = 'var-btn' }) {
+  const {
+    mode,
+    setMode,
+    swipePosition,
+    setSwipePosition,
+    available,
+    missingPreviousRun,
+    loading,
+    error,
+    previousRun,
+    stats,
+    scale
+  } = useRunComparison({ mapInstance, layer, currentSliderDate });
+
+  if (!available) {
+    return missingPreviousRun
+      ? createElement('div', { className: 'run-comparison-control', role: 'status', style: STATUS_STYLE },
+        `Compare with previous run: ${PREVIOUS_RUN_NOT_CONFIGURED}`)
+      : null;
+  }
+
+  const buttons = [
+    createElement('span', { key: 'label' }, 'Compare with previous run:'),
+    ...MODE_LABELS.map(([value, label]) => createElement('button', {
+      key: value,
+      type: 'button',
+      className: `${buttonClassName}${mode === value ? ' active' : ''}`,
+      'aria-pressed': mode === value,
+      onClick: () => setMode(value)
+    }, label))
+  ];
+
+  const children = [createElement('div', { key: 'modes', style: ROW_STYLE }, buttons)];
+
+  if (mode === COMPARISON_MODES.SWIPE) {
+    children.push(createElement('input', {
+      key: 'swipe',
+      type: 'range',
+      min: 0,
+      max: 100,
+      value: Math.round(swipePosition * 100),
+      onChange: (event) => setSwipePosition(Number(event.target.value) / 100),
+      'aria-label': 'Swipe divider: latest run on the left, previous run on the right',
+      style: { width: '100%', marginTop: '0.5rem' }
+    }));
+  }
+
+  if (mode === COMPARISON_MODES.DIFFERENCE) {
+    children.push(
+      createElement('div', { key: 'scale', style: SCALE_STYLE, 'aria-hidden': true }),
+      createElement('div', { key: 'scale-labels', style: SCALE_LABELS_STYLE },
+        createElement('span', null, formatSigned(-scale.range, scale.unit)),
+        createElement('span', null, 'latest − previous'),
+        createElement('span', null, formatSigned(scale.range, scale.unit)))
+    );
+  }
+
+  if (error) {
+    children.push(createElement('div', { key: 'status', role: 'alert', style: ERROR_STYLE }, error));
+  } else if (mode !== COMPARISON_MODES.OFF) {
+    const lines = [loading ? 'Loading previous run…' : `Previous run: ${formatRun(previousRun?.runStart)}`];
+    if (stats?.count) {
+      lines.push(`Change ${formatSigned(stats.min, scale.unit)} to ${formatSigned(stats.max, scale.unit)}, `
+        + `mean ${stats.meanAbs.toFixed(2)}${scale.unit ? ` ${scale.unit}` : ''}`);
+    }
+    children.push(createElement('div', { key: 'status', role: 'status', 'aria-live': 'polite', style: STATUS_STYLE },
+      lines.join(' · ')));
+  }
+
+  return createElement('div', { className: 'run-comparison-control' }, children);
+}
+
+export default RunComparisonControl;
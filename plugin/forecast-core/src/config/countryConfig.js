@@ -0,0 +1,232 @@
+/**
+ * Country Configuration Registry
+ *
+ * The country config is the only per-widget input to the forecast core.
+ * Each widget registers the FORECAST_CORE_CONFIG section of its country
+ * config (NiueConfig, CookIslandsConfig, TuvaluConfig, ...) once at start-up,
+ * before any core module is used:
+ *
+ *   import { configureForecastCore } from '@ocean-plugin/forecast-core';
+ *   import { FORECAST_CORE_CONFIG } from './TuvaluConfig';
+ *   configureForecastCore(FORECAST_CORE_CONFIG);
+ *
+ * Every key is optional; anything a country does not set falls back to
+ * DEFAULT_COUNTRY_CONFIG below.
+ */
+
+export const DEFAULT_COUNTRY_CONFIG = {
+  name: 'Pacific',
+  code: null,
+
+  // ncWMS dataset prefix of the country forecast (e.g. 'cook_forecast').
+  // Tile errors on this dataset are checked for HTTP/2 protocol failures.
+  forecastDataset: null,
+
+  // Friendly layer names used in tile error notifications
+  layerDisplayNames: {
+    dirm: 'Wave Direction',
+    hs: 'Wave Height',
+    tm02: 'Wave Period',
+    tpeak: 'Peak Wave Period'
+  },
+
+  // Mirrors MARINE_CONFIG in each widget's marineVariables.js
+  marine: {
+    WARMUP_DAYS: 0,
+    ENABLE_WARMUP_SKIP: false,
+    SKIP_FIRST_TIMESTEP: false,
+    DEFAULT_SLIDER_INDEX: 0,
+    SLIDER_LOOKBACK_DAYS: 7
+  },
+
+  capabilities: {
+    cacheTtl: 0,               // GetCapabilities localStorage TTL in ms (0 = no cache)
+    inferModelRunTime: false   // Treat first timestamp minus one step as the model run (T+0)
+  },
+
+  timeAnimation: {
+    // 'closest-to-now': start at the latest step not after now, allow the full range
+    // 'lookback': start SLIDER_LOOKBACK_DAYS before the last step and lock earlier steps
+    initialPosition: 'closest-to-now'
+  },
+
+  // Offline cache (service worker in each widget, see src/offline)
+  offline: {
+    enabled: true,
+    zooms: [],                 // Map zoom levels to pre-cache over the country bounds (empty = runtime cache only)
+    maxTimesteps: 24,          // Forecast steps from now to pre-cache for the selected layer
+    tileSize: 256
+  },
+
+  // GIF/WebM export of the forecast animation (see src/export)
+  animationExport: {
+    hours: 72,                 // Forecast window from the slider position
+    frameDelayMs: 500,         // Display time per time step
+    maxWidth: 960              // Frame width in pixels (the map view is scaled down to fit)
+  },
+
+  // Latest vs previous model cycle comparison (see src/compare)
+  runComparison: {
+    enabled: true,
+    previousRunUrls: {},       // Latest -> previous model cycle WMS endpoint, per forecast (none = no comparison)
+    // Palette the difference layer reads values back from (GetMap pixels -> colour bar)
+    decodePalette: 'psu-viridis',
+    decodeBands: 250,
+    decodeRanges: {            // Value range decoded per variable, [min, max] (defaults to visualization.layerRanges)
+      hs: [0, 8],
+      tm02: [0, 25],
+      tpeak: [0, 25]
+    },
+    differenceRanges: {        // Difference drawn with the darkest colours, keyed by variable
+      hs: 1,
+      tm02: 3,
+      tpeak: 4
+    },
+    maxWidth: 960              // Difference layer width in pixels (stretched over the map view)
+  },
+
+  // Observed wave buoy vs point forecast (see src/validation)
+  buoyValidation: {
+    enabled: true,
+    obsApiUrl: 'https://ocean-obs-api.spc.int/insitu',
+    stationTypes: ['Wave Buoy'],     // Obs API type_value of the stations to compare with
+    domain: null,                    // [west, south, east, north] of the forecast domain (null = no bounds check)
+    maxDistanceKm: 25,               // Only compare when the clicked point is this close to a buoy
+    pairWindowMinutes: 30,           // Observations within this of a forecast step are averaged onto it
+    windowHours: 24,                 // Trailing window of the running bias and RMSE
+    maxObservations: 5000            // Row limit of the observations request
+  },
+
+  // Backend adapters for capabilities, point values, timeseries, min/max and tiles (see src/datasource)
+  dataSource: {
+    type: 'thredds-ncwms',     // 'thredds-ncwms', 'geoserver' or 'zarr'
+    endpoints: {},             // Service URL prefix -> type, for layers served by another backend
+    timeout: 15000,            // Request timeout in ms
+    options: {                 // Adapter options keyed by type
+      geoserver: {
+        valueProperty: null    // Feature property holding the value (null = first numeric property)
+      },
+      zarr: {
+        module: null,          // The zarr package ({ openArray, HTTPStore }), required for Zarr stores
+        lonVariable: 'mesh_node_lon',
+        latVariable: 'mesh_node_lat',
+        timeVariable: 'time'
+      }
+    }
+  },
+
+  // Optional non-WMS raster source (e.g. SFINCS PNG frames):
+  // { isRasterLayer(layerConfig) => boolean, createService(layerConfig) => service }
+  // where service exposes loadMetadata(), loadTimesteps() and preloadFrame(options).
+  rasterSource: null,
+
+  // Per-preset overrides merged into WMSStylePresets, e.g. { WAVE_HEIGHT: { numcolorbands: 20 } }
+  stylePresets: {},
+
+  visualization: {
+    // Fallback colour ranges keyed by variable name (dataset prefixes are ignored)
+    layerRanges: {
+      hs: { min: 0, max: 4, unit: 'm' },
+      tm02: { min: 0, max: 20, unit: 's' },
+      tpeak: { min: 0, max: 20, unit: 's' },
+      dirm: { min: 0, max: 360, unit: '°' }
+    },
+    // Default ncWMS palette for wave height and the colour optimizer's safe fallback
+    defaultPalette: 'psu-viridis',
+
+    // WorldClassVisualization tuning
+    worldClass: {
+      scientificPalettes: {},          // Palette alias overrides
+      advancedConfigs: {},             // { significantWaveHeight: {...}, meanWavePeriod: {...} } overrides
+      tropicalBandBoost: null,         // Extra bands for tropical seas (null = always highResolutionBands)
+      adaptiveRange: false,            // Derive colour ranges from the observed maximum
+      colorscaling: 'linear',          // COLORSCALING sent with high-resolution palettes (null = omit)
+      highResolutionPalettes: ['x-Sst'],
+      highResolutionBands: 250,
+      legend: {
+        wmsUrl: null,                  // GetLegendGraphic server
+        layerMapping: {},              // Variable -> legend layer
+        datasetPrefix: null,           // Prefix for unmapped variables (ncWMS datasets)
+        waveHeightPalette: 'x-Sst'
+      },
+      composite: {
+        wmsUrl: null,                  // Defaults to legend.wmsUrl
+        directionWmsUrl: null,
+        dataset: null,
+        directionDataset: undefined,   // Defaults to dataset
+        heightLayer: 'hs',
+        directionLayer: 'dirm',
+        range: '0,4',
+        palette: 'x-Sst',
+        bands: 250,
+        description: null
+      }
+    }
+  }
+};
+
+let activeConfig = DEFAULT_COUNTRY_CONFIG;
+const listeners = new Set();
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Merge plain objects recursively; arrays, class instances and functions are taken as-is
+ */
+const mergeConfig = (base, override) => {
+  if (!isPlainObject(override)) {
+    return override === undefined ? base : override;
+  }
+
+  const merged = { ...base };
+  Object.keys(override).forEach((key) => {
+    const value = override[key];
+    merged[key] = isPlainObject(base?.[key]) && isPlainObject(value)
+      ? mergeConfig(base[key], value)
+      : value;
+  });
+  return merged;
+};
+
+/**
+ * Register the widget's country config with the forecast core
+ * @param {Object} countryConfig - Country config (see DEFAULT_COUNTRY_CONFIG for keys)
+ * @returns {Object} The resolved config
+ */
+export function configureForecastCore(countryConfig = {}) {
+  activeConfig = mergeConfig(DEFAULT_COUNTRY_CONFIG, countryConfig);
+  listeners.forEach(listener => listener(activeConfig));
+  return activeConfig;
+}
+
+/**
+ * Get the resolved country config
+ * @returns {Object}
+ */
+export function getCountryConfig() {
+  return activeConfig;
+}
+
+/**
+ * Subscribe to country config changes (used by core singletons that cache config)
+ * @param {Function} listener - Called with the resolved config
+ * @returns {Function} Unsubscribe function
+ */
+export function onCountryConfigChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Look up a per-variable entry, accepting dataset-prefixed names ('niue_forecast/hs')
+ * @param {Object} table - Entries keyed by variable name
+ * @param {string} layerName - Layer or variable name
+ * @returns {*} Matching entry or undefined
+ */
+export function lookupByVariable(table = {}, layerName = '') {
+  if (!layerName) return undefined;
+  if (table[layerName] !== undefined) return table[layerName];
+  const variable = layerName.split('/').pop();
+  return table[variable];
+}
@@ -0,0 +1,198 @@
+/**
+ * Data Source
+ *
+ * Common interface over the forecast backends (THREDDS ncWMS, GeoServer,
+ * Zarr). Each adapter reads one service URL and answers the same questions:
+ *
+ *   getCapabilities()                                -> { layers: [{ name, title, times }] }
+ *   getTimeAxis(layer)                               -> Date[]
+ *   getPointValue({ layer, lat, lon, time })         -> number | null
+ *   getTimeseries({ layer, lat, lon, start, end })   -> [{ time, value }]
+ *   getMinMax({ layer, time, bbox })                 -> { min, max }
+ *   getTileUrl({ layer, time, bbox, width, height }) -> string
+ *
+ * Adapters list what they can answer in `capabilities`; anything else throws
+ * an error with code 'UNSUPPORTED'. Coordinates are WGS84 and bbox is
+ * [west, south, east, north].
+ */
+
+import { findNearestTimeIndex } from '../permalink/permalinkState';
+
+export const DATA_SOURCE_CAPABILITIES = {
+  CAPABILITIES: 'capabilities',
+  TIME_AXIS: 'timeAxis',
+  POINT_VALUE: 'pointValue',
+  TIMESERIES: 'timeseries',
+  MIN_MAX: 'minMax',
+  RASTER_TILE: 'rasterTile'
+};
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const TIMESERIES_CONCURRENCY = 4;
+
+/**
+ * Error with the failing URL, HTTP status and a code
+ * ('UNSUPPORTED', 'HTTP', 'TIMEOUT' or 'INVALID_RESPONSE')
+ */
+export function createDataSourceError(message, { code, status, url } = {}) {
+  const error = new Error(message);
+  error.code = code;
+  if (status !== undefined) error.status = status;
+  if (url !== undefined) error.url = url;
+  return error;
+}
+
+export const toDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+export const toIsoTime = (value) => toDate(value)?.toISOString() ?? null;
+
+export class DataSource {
+  static type = null;
+
+  static capabilities = [];
+
+  /**
+   * @param {string} url - Service endpoint
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Request timeout in ms
+   * @param {Function} [options.fetch] - fetch implementation (defaults to window.fetch)
+   */
+  constructor(url, options = {}) {
+    if (!url) {
+      throw new Error(`${this.constructor.name} needs a service URL`);
+    }
+    this.url = url;
+    this.options = options;
+    this.timeout = options.timeout ?? DEFAULT_TIMEOUT_MS;
+    this.fetchImpl = options.fetch || ((...args) => fetch(...args));
+    this.timeAxisCache = new Map();
+  }
+
+  get type() {
+    return this.constructor.type;
+  }
+
+  /**
+   * Whether the adapter answers a request (see DATA_SOURCE_CAPABILITIES)
+   * @param {string} capability
+   * @returns {boolean}
+   */
+  supports(capability) {
+    return this.constructor.capabilities.includes(capability);
+  }
+
+  unsupported(capability) {
+    return createDataSourceError(`${this.type} data source does not support ${capability}`, {
+      code: 'UNSUPPORTED',
+      url: this.url
+    });
+  }
+
+  async request(url, { as = 'text' } = {}) {
+    const controller = typeof AbortController === 'undefined' ? null : new AbortController();
+    const timer = controller ? setTimeout(() => controller.abort(), this.timeout) : null;
+    let response;
+    try {
+      response = await this.fetchImpl(url, controller ? { signal: controller.signal } : undefined);
+    } catch (error) {
+      if (error?.name === 'AbortError') {
+        throw createDataSourceError(`Request timed out after ${this.timeout} ms`, { code: 'TIMEOUT', url });
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      throw createDataSourceError(`Request failed (${response.status})`, { code: 'HTTP', status: response.status, url });
+    }
+    return as === 'json' ? response.json() : response.text();
+  }
+
+  async getCapabilities() {
+    throw this.unsupported(DATA_SOURCE_CAPABILITIES.CAPABILITIES);
+  }
+
+  /**
+   * Valid times of a layer, cached per layer for the life of the adapter
+   * @param {string} layer
+   * @returns {Promise<Date[]>}
+   */
+  async getTimeAxis(layer) {
+    if (!this.timeAxisCache.has(layer)) {
+      const promise = this.loadTimeAxis(layer).catch((error) => {
+        this.timeAxisCache.delete(layer);
+        throw error;
+      });
+      this.timeAxisCache.set(layer, promise);
+    }
+    return this.timeAxisCache.get(layer);
+  }
+
+  async loadTimeAxis(layer) {
+    const { layers } = await this.getCapabilities();
+    const entry = layers.find((candidate) => candidate.name === layer);
+    if (!entry) {
+      throw createDataSourceError(`Layer not found: ${layer}`, { code: 'INVALID_RESPONSE', url: this.url });
+    }
+    return entry.times;
+  }
+
+  async getPointValue() {
+    throw this.unsupported(DATA_SOURCE_CAPABILITIES.POINT_VALUE);
+  }
+
+  /**
+   * Values at a point over [start, end]. Adapters without a native timeseries
+   * request read one point value per step of the time axis.
+   * @returns {Promise<Array<{time: Date, value: number|null}>>}
+   */
+  async getTimeseries({ layer, lat, lon, start, end }) {
+    if (!this.supports(DATA_SOURCE_CAPABILITIES.POINT_VALUE)) {
+      throw this.unsupported(DATA_SOURCE_CAPABILITIES.TIMESERIES);
+    }
+    const times = filterTimes(await this.getTimeAxis(layer), start, end);
+    const series = new Array(times.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < times.length) {
+        const index = next;
+        next += 1;
+        const value = await this.getPointValue({ layer, lat, lon, time: times[index] });
+        series[index] = { time: times[index], value };
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(TIMESERIES_CONCURRENCY, times.length) }, worker));
+    return series;
+  }
+
+  async getMinMax() {
+    throw this.unsupported(DATA_SOURCE_CAPABILITIES.MIN_MAX);
+  }
+
+  getTileUrl() {
+    throw this.unsupported(DATA_SOURCE_CAPABILITIES.RASTER_TILE);
+  }
+
+  /**
+   * Index of the time axis step nearest to a time (the first step when no time is given)
+   * @returns {Promise<number>} -1 when the layer has no time axis
+   */
+  async getTimeIndex(layer, time) {
+    const times = await this.getTimeAxis(layer);
+    if (!times.length) return -1;
+    return time ? findNearestTimeIndex(times, toDate(time)) : 0;
+  }
+}
+
+export const filterTimes = (times, start, end) => {
+  const from = toDate(start)?.getTime() ?? -Infinity;
+  const to = toDate(end)?.getTime() ?? Infinity;
+  return times.filter((time) => time.getTime() >= from && time.getTime() <= to);
+};
+
+export default DataSource;
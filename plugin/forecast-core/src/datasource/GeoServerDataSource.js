@@ -0,0 +1,46 @@
+/**
+ * GeoServer Data Source
+ *
+ * GeoServer WMS with a time-enabled raster (ImageMosaic or NetCDF store).
+ * Point values come from GetFeatureInfo as GeoJSON; timeseries are read
+ * step by step. GeoServer has no min/max request, so colour ranges come
+ * from the country config.
+ */
+
+import { WmsDataSource } from './WmsDataSource';
+
+export class GeoServerDataSource extends WmsDataSource {
+  static type = 'geoserver';
+
+  static featureInfoFormat = 'application/json';
+
+  /**
+   * @param {string} url - WMS endpoint, e.g. https://host/geoserver/ocean/wms
+   * @param {Object} [options]
+   * @param {string} [options.valueProperty] - Feature property with the value
+   *   (defaults to the first numeric property, GRAY_INDEX for single-band rasters)
+   */
+  constructor(url, options = {}) {
+    super(url, options);
+    this.valueProperty = options.valueProperty || null;
+  }
+
+  parseFeatureInfo(body) {
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      return [];
+    }
+    return (payload?.features || []).map((feature) => {
+      const properties = feature?.properties || {};
+      const raw = this.valueProperty
+        ? properties[this.valueProperty]
+        : Object.values(properties).find((candidate) => typeof candidate === 'number');
+      const value = Number(raw);
+      return { time: null, value: raw !== null && raw !== undefined && Number.isFinite(value) ? value : null };
+    });
+  }
+}
+
+export default GeoServerDataSource;
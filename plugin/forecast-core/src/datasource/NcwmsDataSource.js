@@ -0,0 +1,138 @@
+/**
+ * THREDDS ncWMS Data Source
+ *
+ * ncWMS as served by THREDDS (the SPC gemthreddshpc and gem-ncwms-hpc
+ * endpoints). Adds the ncWMS extensions to plain WMS: GetMetadata min/max
+ * and layer details, and time-range GetFeatureInfo for timeseries.
+ */
+
+import { DATA_SOURCE_CAPABILITIES, createDataSourceError, filterTimes, toIsoTime } from './DataSource';
+import { WmsDataSource, withQuery } from './WmsDataSource';
+
+const toNumber = (text) => {
+  const value = Number.parseFloat(text);
+  return Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Min/max out of a GetMetadata response: {min, max}, {minValue, maxValue},
+ * a layerDetails scaleRange, or the first two numbers of a non-JSON body
+ * @returns {{min: number, max: number}|null}
+ */
+export function parseMinMaxResponse(rawText) {
+  let payload = null;
+  try {
+    payload = JSON.parse(rawText);
+  } catch (parseError) {
+    console.warn('Unable to parse min/max metadata response', parseError, rawText);
+  }
+
+  if (payload && !isNaN(Number(payload.min)) && !isNaN(Number(payload.max))) {
+    return { min: Number(payload.min), max: Number(payload.max) };
+  }
+  if (payload && !isNaN(Number(payload.minValue)) && !isNaN(Number(payload.maxValue))) {
+    return { min: Number(payload.minValue), max: Number(payload.maxValue) };
+  }
+  if (payload && Array.isArray(payload.scaleRange) && payload.scaleRange.length >= 2) {
+    return { min: Number(payload.scaleRange[0]), max: Number(payload.scaleRange[1]) };
+  }
+  if (!payload) {
+    const numericMatches = rawText.match(/-?\d*\.?\d+/g);
+    if (numericMatches && numericMatches.length >= 2) {
+      return { min: parseFloat(numericMatches[0]), max: parseFloat(numericMatches[1]) };
+    }
+  }
+  return null;
+}
+
+export class NcwmsDataSource extends WmsDataSource {
+  static type = 'thredds-ncwms';
+
+  static capabilities = [...WmsDataSource.capabilities, DATA_SOURCE_CAPABILITIES.MIN_MAX];
+
+  static featureInfoFormat = 'text/xml';
+
+  /**
+   * <FeatureInfoResponse><FeatureInfo><time/><value/></FeatureInfo>...</FeatureInfoResponse>,
+   * one FeatureInfo per time step; "none" marks a point without data
+   */
+  parseFeatureInfo(body) {
+    const doc = new DOMParser().parseFromString(body, 'text/xml');
+    if (doc.getElementsByTagName('parsererror').length) {
+      throw createDataSourceError('Feature info response is not valid XML', { code: 'INVALID_RESPONSE', url: this.url });
+    }
+    const features = Array.from(doc.getElementsByTagName('FeatureInfo'));
+    const entries = features.length ? features : [doc.documentElement];
+    return entries
+      .map((entry) => {
+        const valueNode = entry.getElementsByTagName('value')[0];
+        if (!valueNode) return null;
+        const timeText = entry.getElementsByTagName('time')[0]?.textContent?.trim();
+        const time = timeText ? new Date(timeText) : null;
+        return {
+          time: time && !Number.isNaN(time.getTime()) ? time : null,
+          value: toNumber(valueNode.textContent)
+        };
+      })
+      .filter(Boolean);
+  }
+
+  async getTimeseries({ layer, lat, lon, start, end }) {
+    const times = filterTimes(await this.getTimeAxis(layer), start, end);
+    if (!times.length) return [];
+
+    const range = `${toIsoTime(times[0])}/${toIsoTime(times[times.length - 1])}`;
+    const series = this.parseFeatureInfo(await this.request(this.getFeatureInfoUrl({ layer, lat, lon, time: range })))
+      .filter((entry) => entry.time);
+    // Servers without time-range feature info answer for one step only
+    return series.length > 1 || times.length === 1
+      ? series
+      : super.getTimeseries({ layer, lat, lon, start, end });
+  }
+
+  /**
+   * GetMetadata minmax for a time and area, then the layer's default scale range
+   * @param {Object} options
+   * @param {string} options.layer
+   * @param {Date|string} [options.time]
+   * @param {number[]} [options.bbox] - [west, south, east, north]
+   */
+  async getMinMax({ layer, time, bbox }) {
+    const minMaxParams = {
+      service: 'WMS',
+      version: '1.3.0',
+      request: 'GetMetadata',
+      item: 'minmax',
+      layerName: layer,
+      time: time instanceof Date ? toIsoTime(time) : time
+    };
+    if (Array.isArray(bbox) && bbox.length === 4) {
+      minMaxParams.bbox = bbox.join(',');
+      minMaxParams.crs = 'EPSG:4326';
+    }
+
+    try {
+      const range = parseMinMaxResponse(await this.request(withQuery(this.url, minMaxParams)));
+      if (range) return range;
+      throw createDataSourceError('Invalid min/max metadata response', { code: 'INVALID_RESPONSE', url: this.url });
+    } catch (error) {
+      console.warn('Min/max metadata request failed, falling back to layer details', error);
+    }
+
+    const details = await this.request(withQuery(this.url, {
+      service: 'WMS',
+      version: '1.3.0',
+      request: 'GetMetadata',
+      item: 'layerDetails',
+      layerName: layer,
+      format: 'application/json'
+    }), { as: 'json' });
+    const [min, max] = Array.isArray(details?.scaleRange) ? details.scaleRange : [];
+    if (!Number.isFinite(min) || !Number.isFinite(max)) {
+      throw createDataSourceError('Layer details response missing scaleRange', { code: 'INVALID_RESPONSE', url: this.url });
+    }
+    return { min, max };
+  }
+}
+
+export default NcwmsDataSource;
@@ -0,0 +1,231 @@
+/**
+ * WMS Data Source
+ *
+ * Requests both WMS backends share: GetCapabilities (layers and their time
+ * dimension), GetMap tile URLs and single-point GetFeatureInfo. ncWMS and
+ * GeoServer differ in the feature info format and in what else they offer.
+ */
+
+import {
+  DataSource,
+  DATA_SOURCE_CAPABILITIES,
+  createDataSourceError,
+  toIsoTime
+} from './DataSource';
+
+const WMS_VERSION = '1.3.0';
+const WMS_NAMESPACE = 'http://www.opengis.net/wms';
+
+// Feature info is read from the centre pixel of a 3 x 3 image around the point
+const POINT_BOX_HALF_SIZE = 0.005;
+const POINT_BOX_PIXELS = 3;
+
+const DURATION_PATTERN = /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/;
+
+export const withQuery = (url, params) => {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') query.set(key, String(value));
+  });
+  return `${url}${url.includes('?') ? '&' : '?'}${query.toString()}`;
+};
+
+/**
+ * ISO 8601 duration (PT1H, P1D, PT30M) in milliseconds
+ * @returns {number|null}
+ */
+export function parseIsoDuration(text) {
+  const match = DURATION_PATTERN.exec((text || '').trim());
+  if (!match || match.slice(1).every((part) => part === undefined)) return null;
+  const [days, hours, minutes, seconds] = match.slice(1).map((part) => Number(part || 0));
+  const ms = (((days * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+  return ms > 0 ? ms : null;
+}
+
+/**
+ * Expand a WMS time dimension: a list of times and/or start/end/period ranges
+ * @param {string} text
+ * @returns {Date[]} Sorted valid times
+ */
+export function parseTimeDimension(text) {
+  const times = [];
+  (text || '').split(',').map((part) => part.trim()).filter(Boolean).forEach((part) => {
+    const [startText, endText, periodText] = part.split('/');
+    const start = new Date(startText);
+    if (Number.isNaN(start.getTime())) return;
+    if (endText === undefined) {
+      times.push(start);
+      return;
+    }
+    const end = new Date(endText);
+    const step = parseIsoDuration(periodText);
+    if (Number.isNaN(end.getTime()) || !step) {
+      times.push(start);
+      return;
+    }
+    for (let time = start.getTime(); time <= end.getTime(); time += step) {
+      times.push(new Date(time));
+    }
+  });
+  return times.sort((a, b) => a - b);
+}
+
+const childrenByName = (element, name) => Array.from(element.children || [])
+  .filter((child) => child.localName === name);
+
+const childText = (element, name) => childrenByName(element, name)[0]?.textContent?.trim() || '';
+
+/**
+ * Named layers of a WMS 1.3.0 capabilities document with their time axis
+ * (inherited from parent layers when not declared on the layer itself)
+ * @param {string} xml
+ * @returns {Array<{name: string, title: string, times: Date[], bbox: number[]|null}>}
+ */
+export function parseWmsCapabilities(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'text/xml');
+  if (doc.getElementsByTagName('parsererror').length) {
+    throw createDataSourceError('Capabilities response is not valid XML', { code: 'INVALID_RESPONSE' });
+  }
+
+  const layers = [];
+  const visit = (element, inheritedTime) => {
+    const timeDimension = [...childrenByName(element, 'Dimension'), ...childrenByName(element, 'Extent')]
+      .find((dimension) => dimension.getAttribute('name')?.toLowerCase() === 'time');
+    const timeText = timeDimension ? timeDimension.textContent.trim() : inheritedTime;
+
+    const name = childText(element, 'Name');
+    if (name) {
+      const box = childrenByName(element, 'EX_GeographicBoundingBox')[0];
+      const bbox = box
+        ? ['westBoundLongitude', 'southBoundLatitude', 'eastBoundLongitude', 'northBoundLatitude'].map((key) => Number(childText(box, key)))
+        : null;
+      layers.push({
+        name,
+        title: childText(element, 'Title') || name,
+        times: parseTimeDimension(timeText),
+        bbox: bbox && bbox.every(Number.isFinite) ? bbox : null
+      });
+    }
+    childrenByName(element, 'Layer').forEach((child) => visit(child, timeText));
+  };
+
+  const roots = Array.from(doc.getElementsByTagNameNS(WMS_NAMESPACE, 'Capability'));
+  const capability = roots[0] || doc.getElementsByTagName('Capability')[0];
+  if (!capability) {
+    throw createDataSourceError('Capabilities response has no Capability section', { code: 'INVALID_RESPONSE' });
+  }
+  childrenByName(capability, 'Layer').forEach((layer) => visit(layer, ''));
+  return layers;
+}
+
+export class WmsDataSource extends DataSource {
+  static capabilities = [
+    DATA_SOURCE_CAPABILITIES.CAPABILITIES,
+    DATA_SOURCE_CAPABILITIES.TIME_AXIS,
+    DATA_SOURCE_CAPABILITIES.POINT_VALUE,
+    DATA_SOURCE_CAPABILITIES.TIMESERIES,
+    DATA_SOURCE_CAPABILITIES.RASTER_TILE
+  ];
+
+  // INFO_FORMAT of point requests, set by each backend
+  static featureInfoFormat = 'text/xml';
+
+  async getCapabilities() {
+    if (!this.capabilitiesPromise) {
+      const url = withQuery(this.url, { service: 'WMS', version: WMS_VERSION, request: 'GetCapabilities' });
+      this.capabilitiesPromise = this.request(url)
+        .then((xml) => ({ layers: parseWmsCapabilities(xml) }))
+        .catch((error) => {
+          this.capabilitiesPromise = null;
+          throw error;
+        });
+    }
+    return this.capabilitiesPromise;
+  }
+
+  /**
+   * GetFeatureInfo URL for a point (or a time range, where the backend supports it)
+   * @param {Object} options
+   * @param {string} options.layer
+   * @param {number} options.lat
+   * @param {number} options.lon
+   * @param {string} [options.time] - WMS TIME value
+   * @param {Object} [options.params] - Extra query parameters
+   */
+  getFeatureInfoUrl({ layer, lat, lon, time, params = {} }) {
+    // WMS 1.3.0 EPSG:4326 axis order is latitude, longitude
+    const bbox = [
+      lat - POINT_BOX_HALF_SIZE,
+      lon - POINT_BOX_HALF_SIZE,
+      lat + POINT_BOX_HALF_SIZE,
+      lon + POINT_BOX_HALF_SIZE
+    ].map((value) => Number(value.toFixed(6))).join(',');
+    const center = Math.floor(POINT_BOX_PIXELS / 2);
+    return withQuery(this.url, {
+      service: 'WMS',
+      version: WMS_VERSION,
+      request: 'GetFeatureInfo',
+      layers: layer,
+      query_layers: layer,
+      styles: '',
+      crs: 'EPSG:4326',
+      bbox,
+      width: POINT_BOX_PIXELS,
+      height: POINT_BOX_PIXELS,
+      i: center,
+      j: center,
+      info_format: this.constructor.featureInfoFormat,
+      time,
+      ...params
+    });
+  }
+
+  async getPointValue({ layer, lat, lon, time }) {
+    const url = this.getFeatureInfoUrl({ layer, lat, lon, time: toIsoTime(time) });
+    const body = await this.request(url);
+    return this.parseFeatureInfo(body)[0]?.value ?? null;
+  }
+
+  /**
+   * Values in a feature info response (implemented by each backend)
+   * @param {string} body
+   * @returns {Array<{time: Date|null, value: number|null}>}
+   */
+  parseFeatureInfo() {
+    return [];
+  }
+
+  /**
+   * GetMap URL for a tile or image
+   * @param {Object} options
+   * @param {string} options.layer
+   * @param {number[]} options.bbox - [minx, miny, maxx, maxy] in the CRS
+   * @param {number} [options.width=256]
+   * @param {number} [options.height=256]
+   * @param {string} [options.crs='EPSG:3857']
+   * @param {Date|string} [options.time]
+   * @param {string} [options.style]
+   * @param {Object} [options.params] - Backend styling parameters (colorscalerange, numcolorbands, ...)
+   */
+  getTileUrl({ layer, bbox, width = 256, height = 256, crs = 'EPSG:3857', time, style = '', params = {} }) {
+    const [minx, miny, maxx, maxy] = bbox;
+    const axes = crs === 'EPSG:4326' ? [miny, minx, maxy, maxx] : [minx, miny, maxx, maxy];
+    return withQuery(this.url, {
+      service: 'WMS',
+      version: WMS_VERSION,
+      request: 'GetMap',
+      layers: layer,
+      styles: style,
+      crs,
+      bbox: axes.join(','),
+      width,
+      height,
+      format: 'image/png',
+      transparent: true,
+      time: toIsoTime(time),
+      ...params
+    });
+  }
+}
+
+export default WmsDataSource;
@@ -0,0 +1,198 @@
+/**
+ * Zarr Data Source
+ *
+ * Unstructured-mesh Zarr stores such as SWAN_UGRID.zarr: node coordinates
+ * in mesh_node_lon / mesh_node_lat, a time coordinate in seconds since
+ * 1970 and variables shaped [time, node]. Values are read at the nearest
+ * mesh node. The zarr package is passed in (options.module) so the core does
+ * not depend on it; maps are drawn client-side, so there are no tiles.
+ */
+
+import {
+  DataSource,
+  DATA_SOURCE_CAPABILITIES,
+  createDataSourceError,
+  filterTimes
+} from './DataSource';
+
+// Fill values written by the model (see ZarrDataManager in widget5)
+const FILL_VALUES = [-999, -9999, 1e20, 9.96921e36];
+
+const isValid = (value) => Number.isFinite(value) && !FILL_VALUES.some((fill) => Math.abs(value - fill) < 1);
+
+const COORDINATE_DEFAULTS = {
+  lonVariable: 'mesh_node_lon',
+  latVariable: 'mesh_node_lat',
+  timeVariable: 'time'
+};
+
+export class ZarrDataSource extends DataSource {
+  static type = 'zarr';
+
+  static capabilities = [
+    DATA_SOURCE_CAPABILITIES.CAPABILITIES,
+    DATA_SOURCE_CAPABILITIES.TIME_AXIS,
+    DATA_SOURCE_CAPABILITIES.POINT_VALUE,
+    DATA_SOURCE_CAPABILITIES.TIMESERIES,
+    DATA_SOURCE_CAPABILITIES.MIN_MAX
+  ];
+
+  /**
+   * @param {string} url - Store URL (relative URLs resolve against the page)
+   * @param {Object} options
+   * @param {{openArray: Function, HTTPStore: Function}} options.module - The zarr package
+   * @param {string} [options.lonVariable='mesh_node_lon']
+   * @param {string} [options.latVariable='mesh_node_lat']
+   * @param {string} [options.timeVariable='time']
+   * @param {string[]} [options.variables] - Layers to list when the store has no consolidated metadata
+   */
+  constructor(url, options = {}) {
+    super(url?.startsWith('/') ? new URL(url, window.location.origin).href : url, options);
+    if (!options.module?.openArray || !options.module?.HTTPStore) {
+      throw new Error('ZarrDataSource needs the zarr package (dataSource.options.zarr.module: { openArray, HTTPStore })');
+    }
+    this.zarr = options.module;
+    this.coordinates = { ...COORDINATE_DEFAULTS, ...options };
+    this.store = new this.zarr.HTTPStore(this.url.replace(/\/$/, ''));
+    this.arrays = new Map();
+  }
+
+  openArray(path) {
+    if (!this.arrays.has(path)) {
+      const promise = this.zarr.openArray({ store: this.store, path, mode: 'r' }).catch((error) => {
+        this.arrays.delete(path);
+        throw error;
+      });
+      this.arrays.set(path, promise);
+    }
+    return this.arrays.get(path);
+  }
+
+  async read(path, selection = null) {
+    const array = await this.openArray(path);
+    const { data } = await array.get(selection);
+    return typeof data === 'number' ? data : Float64Array.from(data);
+  }
+
+  loadMesh() {
+    if (!this.meshPromise) {
+      const { lonVariable, latVariable } = this.coordinates;
+      this.meshPromise = Promise.all([this.read(lonVariable), this.read(latVariable)])
+        .then(([lon, lat]) => ({ lon, lat }))
+        .catch((error) => {
+          this.meshPromise = null;
+          throw error;
+        });
+    }
+    return this.meshPromise;
+  }
+
+  async loadTimeAxis() {
+    try {
+      const seconds = await this.read(this.coordinates.timeVariable);
+      return Array.from(seconds, (value) => new Date(value * 1000));
+    } catch (error) {
+      console.warn('Zarr store has no readable time coordinate', error);
+      return [];
+    }
+  }
+
+  async getTimeAxis() {
+    // One time coordinate is shared by every variable
+    return super.getTimeAxis(this.coordinates.timeVariable);
+  }
+
+  /**
+   * Variables shaped [time, node], from consolidated metadata (.zmetadata)
+   * or the configured variable list
+   */
+  async getCapabilities() {
+    const { lonVariable, latVariable, timeVariable, variables = [] } = this.coordinates;
+    let names = variables;
+    const titles = {};
+    try {
+      const { metadata } = await this.request(`${this.url.replace(/\/$/, '')}/.zmetadata`, { as: 'json' });
+      names = Object.keys(metadata)
+        .filter((key) => key.endsWith('/.zarray') && metadata[key].shape?.length === 2)
+        .map((key) => key.slice(0, -'/.zarray'.length))
+        .filter((name) => ![lonVariable, latVariable, timeVariable].includes(name));
+      names.forEach((name) => {
+        titles[name] = metadata[`${name}/.zattrs`]?.long_name;
+      });
+    } catch (error) {
+      if (!variables.length) throw error;
+    }
+
+    const [times, mesh] = await Promise.all([this.getTimeAxis(), this.loadMesh()]);
+    // Reduced rather than spread: meshes can have more nodes than a call takes arguments
+    const bbox = [
+      mesh.lon.reduce((a, b) => Math.min(a, b), Infinity),
+      mesh.lat.reduce((a, b) => Math.min(a, b), Infinity),
+      mesh.lon.reduce((a, b) => Math.max(a, b), -Infinity),
+      mesh.lat.reduce((a, b) => Math.max(a, b), -Infinity)
+    ];
+    return { layers: names.map((name) => ({ name, title: titles[name] || name, times, bbox })) };
+  }
+
+  /**
+   * Mesh node closest to a point (distances scaled by cos(latitude))
+   * @returns {Promise<number>} -1 when the mesh is empty
+   */
+  async findNearestNode(lat, lon) {
+    const mesh = await this.loadMesh();
+    const scale = Math.cos((lat * Math.PI) / 180);
+    let best = -1;
+    let bestDistance = Infinity;
+    for (let i = 0; i < mesh.lon.length; i += 1) {
+      const dx = (mesh.lon[i] - lon) * scale;
+      const dy = mesh.lat[i] - lat;
+      const distance = dx * dx + dy * dy;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = i;
+      }
+    }
+    return best;
+  }
+
+  async getPointValue({ layer, lat, lon, time }) {
+    const [node, timeIndex] = await Promise.all([this.findNearestNode(lat, lon), this.getTimeIndex(layer, time)]);
+    if (node < 0) return null;
+    const value = await this.read(layer, timeIndex >= 0 ? [timeIndex, node] : [node]);
+    return isValid(value) ? value : null;
+  }
+
+  async getTimeseries({ layer, lat, lon, start, end }) {
+    const [node, times] = await Promise.all([this.findNearestNode(lat, lon), this.getTimeAxis()]);
+    if (node < 0 || !times.length) return [];
+    const values = await this.read(layer, [null, node]);
+    const wanted = new Set(filterTimes(times, start, end).map((time) => time.getTime()));
+    return times
+      .map((time, index) => ({ time, value: isValid(values[index]) ? values[index] : null }))
+      .filter((entry) => wanted.has(entry.time.getTime()));
+  }
+
+  /**
+   * Exact min/max over the mesh nodes at a time step, optionally within a bbox
+   */
+  async getMinMax({ layer, time, bbox }) {
+    const [mesh, timeIndex] = await Promise.all([this.loadMesh(), this.getTimeIndex(layer, time)]);
+    const values = await this.read(layer, timeIndex >= 0 ? [timeIndex, null] : null);
+    const [west, south, east, north] = Array.isArray(bbox) && bbox.length === 4 ? bbox : [-Infinity, -Infinity, Infinity, Infinity];
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < values.length; i += 1) {
+      const inside = mesh.lon[i] >= west && mesh.lon[i] <= east && mesh.lat[i] >= south && mesh.lat[i] <= north;
+      if (inside && isValid(values[i])) {
+        min = Math.min(min, values[i]);
+        max = Math.max(max, values[i]);
+      }
+    }
+    if (min > max) {
+      throw createDataSourceError(`No valid ${layer} values in the requested area`, { code: 'INVALID_RESPONSE', url: this.url });
+    }
+    return { min, max };
+  }
+}
+
+export default ZarrDataSource;
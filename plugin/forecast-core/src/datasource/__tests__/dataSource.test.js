@@ -0,0 +1,223 @@
+/**
+ * Data Source Tests
+ *
+ * Validates that the ncWMS, GeoServer and Zarr adapters answer the same
+ * questions and that the country config picks the adapter per endpoint
+ */
+
+import {
+  DATA_SOURCE_CAPABILITIES,
+  GeoServerDataSource,
+  NcwmsDataSource,
+  ZarrDataSource,
+  configureForecastCore,
+  fetchPointTimeseries,
+  getDataSource,
+  parseTimeDimension,
+  parseTimeRange
+} from '../../index';
+
+const NCWMS_BASE_URL = 'https://gem-ncwms-hpc.spc.int/ncWMS/wms';
+
+const CAPABILITIES_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<WMS_Capabilities version="1.3.0" xmlns="http://www.opengis.net/wms">
+  <Capability>
+    <Layer>
+      <Title>Tuvalu forecast</Title>
+      <Dimension name="time" units="ISO8601">2025-06-01T00:00:00.000Z/2025-06-01T06:00:00.000Z/PT3H</Dimension>
+      <Layer>
+        <Name>tuvalu_forecast/hs</Name>
+        <Title>Significant wave height</Title>
+        <EX_GeographicBoundingBox>
+          <westBoundLongitude>175.5</westBoundLongitude>
+          <eastBoundLongitude>180.5</eastBoundLongitude>
+          <southBoundLatitude>-11</southBoundLatitude>
+          <northBoundLatitude>-5</northBoundLatitude>
+        </EX_GeographicBoundingBox>
+      </Layer>
+      <Layer>
+        <Name>tuvalu_forecast/tpeak</Name>
+        <Dimension name="time">2025-06-01T00:00:00Z,2025-06-01T12:00:00Z</Dimension>
+      </Layer>
+    </Layer>
+  </Capability>
+</WMS_Capabilities>`;
+
+const featureInfoXml = (entries) => `<FeatureInfoResponse>
+  <longitude>179.2</longitude><latitude>-8.5</latitude>
+  ${entries.map(([time, value]) => `<FeatureInfo><time>${time}</time><value>${value}</value></FeatureInfo>`).join('')}
+</FeatureInfoResponse>`;
+
+// fetch stub answering by WMS request (or any URL substring)
+const createFetch = (routes) => jest.fn(async (url) => {
+  const key = Object.keys(routes).find((candidate) => url.includes(`request=${candidate}`) || url.includes(candidate));
+  if (!key) return { ok: false, status: 404 };
+  const body = typeof routes[key] === 'function' ? routes[key](url) : routes[key];
+  return {
+    ok: true,
+    status: 200,
+    text: async () => (typeof body === 'string' ? body : JSON.stringify(body)),
+    json: async () => (typeof body === 'string' ? JSON.parse(body) : body)
+  };
+});
+
+const query = (url) => new URL(url).searchParams;
+
+describe('Data sources', () => {
+  afterEach(() => {
+    configureForecastCore();
+  });
+
+  test('should expand WMS time dimensions', () => {
+    expect(parseTimeDimension('2025-06-01T00:00:00Z/2025-06-02T00:00:00Z/P1D, 2025-05-31T18:00:00Z').map((d) => d.toISOString()))
+      .toEqual(['2025-05-31T18:00:00.000Z', '2025-06-01T00:00:00.000Z', '2025-06-02T00:00:00.000Z']);
+    expect(parseTimeDimension('')).toEqual([]);
+  });
+
+  test('should read capabilities, point values and timeseries from ncWMS', async () => {
+    const fetch = createFetch({
+      GetCapabilities: CAPABILITIES_XML,
+      GetFeatureInfo: (url) => (query(url).get('time').includes('/')
+        ? featureInfoXml([['2025-06-01T00:00:00.000Z', 1.2], ['2025-06-01T03:00:00.000Z', 'none'], ['2025-06-01T06:00:00.000Z', 1.6]])
+        : featureInfoXml([['2025-06-01T03:00:00.000Z', 1.41]]))
+    });
+    const source = new NcwmsDataSource(NCWMS_BASE_URL, { fetch });
+
+    const { layers } = await source.getCapabilities();
+    expect(layers.map((layer) => layer.name)).toEqual(['tuvalu_forecast/hs', 'tuvalu_forecast/tpeak']);
+    expect(layers[0].bbox).toEqual([175.5, -11, 180.5, -5]);
+    expect((await source.getTimeAxis('tuvalu_forecast/hs')).map((d) => d.getUTCHours())).toEqual([0, 3, 6]);
+    expect(await source.getTimeAxis('tuvalu_forecast/tpeak')).toHaveLength(2);
+
+    const value = await source.getPointValue({ layer: 'tuvalu_forecast/hs', lat: -8.5, lon: 179.2, time: new Date(Date.UTC(2025, 5, 1, 3)) });
+    expect(value).toBe(1.41);
+    const pointRequest = query(fetch.mock.calls.find(([url]) => url.includes('GetFeatureInfo'))[0]);
+    expect(pointRequest.get('time')).toBe('2025-06-01T03:00:00.000Z');
+    expect(pointRequest.get('bbox')).toBe('-8.505,179.195,-8.495,179.205');
+    expect([pointRequest.get('i'), pointRequest.get('j')]).toEqual(['1', '1']);
+
+    const series = await source.getTimeseries({ layer: 'tuvalu_forecast/hs', lat: -8.5, lon: 179.2 });
+    expect(series.map((entry) => entry.value)).toEqual([1.2, null, 1.6]);
+    expect(fetch.mock.calls.filter(([url]) => url.includes('GetCapabilities'))).toHaveLength(1);
+  });
+
+  test('should return a point series in the GetTimeseries CoverageJSON shape', async () => {
+    const fetch = createFetch({
+      GetCapabilities: CAPABILITIES_XML,
+      GetFeatureInfo: featureInfoXml([['2025-06-01T03:00:00.000Z', 'none'], ['2025-06-01T06:00:00.000Z', 1.6]])
+    });
+    configureForecastCore({ dataSource: { options: { 'thredds-ncwms': { fetch } } } });
+
+    expect(parseTimeRange('2025-06-01T03:00:00Z')).toEqual({
+      start: new Date('2025-06-01T03:00:00Z'),
+      end: new Date('2025-06-01T03:00:00Z')
+    });
+    const coverage = await fetchPointTimeseries(NCWMS_BASE_URL, {
+      layer: 'tuvalu_forecast/hs',
+      lat: -8.5,
+      lon: 179.2,
+      ...parseTimeRange('2025-06-01T03:00:00Z/2025-06-01T06:00:00Z/PT3H')
+    });
+    expect(query(fetch.mock.calls.find(([url]) => url.includes('GetFeatureInfo'))[0]).get('time'))
+      .toBe('2025-06-01T03:00:00.000Z/2025-06-01T06:00:00.000Z');
+    expect(coverage.domain.axes.t.values).toEqual(['2025-06-01T03:00:00.000Z', '2025-06-01T06:00:00.000Z']);
+    expect(coverage.ranges['tuvalu_forecast/hs'].values).toEqual([null, 1.6]);
+  });
+
+  test('should fall back from ncWMS minmax to the layer scale range', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const fetch = createFetch({
+      'item=minmax': '<html>Unsupported request</html>',
+      'item=layerDetails': { scaleRange: [0, 4.5] }
+    });
+    const source = new NcwmsDataSource(NCWMS_BASE_URL, { fetch });
+    expect(await source.getMinMax({ layer: 'tuvalu_forecast/hs' })).toEqual({ min: 0, max: 4.5 });
+
+    const direct = new NcwmsDataSource(NCWMS_BASE_URL, { fetch: createFetch({ 'item=minmax': { min: 0.2, max: 2.8 } }) });
+    expect(await direct.getMinMax({ layer: 'tuvalu_forecast/hs', bbox: [176, -10, 180, -5] })).toEqual({ min: 0.2, max: 2.8 });
+    console.warn.mockRestore();
+  });
+
+  test('should read GeoServer feature info and step through the time axis', async () => {
+    const fetch = createFetch({
+      GetCapabilities: CAPABILITIES_XML,
+      GetFeatureInfo: (url) => ({
+        type: 'FeatureCollection',
+        features: [{ properties: { GRAY_INDEX: new Date(query(url).get('time')).getUTCHours() / 10 } }]
+      })
+    });
+    const source = new GeoServerDataSource('https://geo.example.org/geoserver/ocean/wms', { fetch });
+
+    expect(source.supports(DATA_SOURCE_CAPABILITIES.MIN_MAX)).toBe(false);
+    await expect(source.getMinMax({ layer: 'tuvalu_forecast/hs' })).rejects.toMatchObject({ code: 'UNSUPPORTED' });
+
+    const series = await source.getTimeseries({
+      layer: 'tuvalu_forecast/hs', lat: -8.5, lon: 179.2, start: '2025-06-01T03:00:00Z'
+    });
+    expect(series.map((entry) => entry.value)).toEqual([0.3, 0.6]);
+
+    const tile = query(source.getTileUrl({
+      layer: 'ocean:hs', bbox: [176, -10, 180, -6], crs: 'EPSG:4326', time: '2025-06-01T03:00:00Z', params: { env: 'max:4' }
+    }));
+    expect(tile.get('bbox')).toBe('-10,176,-6,180');
+    expect(tile.get('env')).toBe('max:4');
+  });
+
+  test('should read the nearest mesh node from a Zarr store', async () => {
+    const arrays = {
+      mesh_node_lon: [179.0, 179.2, 179.4],
+      mesh_node_lat: [-8.5, -8.5, -8.6],
+      time: [1748736000, 1748746800],
+      hs: [[1.0, 1.5, -999], [1.1, 1.9, 2.4]]
+    };
+    const zarrModule = {
+      HTTPStore: jest.fn(),
+      openArray: jest.fn(async ({ path }) => ({
+        get: async (selection) => {
+          const data = arrays[path];
+          if (!selection) return { data: data.flat() };
+          const [row, column] = selection;
+          if (row === null) return { data: data.map((values) => values[column]) };
+          if (column === null) return { data: data[row] };
+          return { data: data[row][column] };
+        }
+      }))
+    };
+    const source = new ZarrDataSource('https://zarr.example.org/SWAN_UGRID.zarr', {
+      module: zarrModule,
+      fetch: createFetch({})
+    });
+
+    expect(await source.getPointValue({ layer: 'hs', lat: -8.49, lon: 179.21, time: '2025-06-01T03:10:00Z' })).toBe(1.9);
+    expect(await source.getTimeseries({ layer: 'hs', lat: -8.6, lon: 179.4 })).toEqual([
+      { time: new Date('2025-06-01T00:00:00Z'), value: null },
+      { time: new Date('2025-06-01T03:00:00Z'), value: 2.4 }
+    ]);
+    expect(await source.getMinMax({ layer: 'hs', time: '2025-06-01T00:00:00Z' })).toEqual({ min: 1.0, max: 1.5 });
+    expect(await source.getMinMax({ layer: 'hs', time: '2025-06-01T03:00:00Z', bbox: [179.1, -9, 179.5, -8] }))
+      .toEqual({ min: 1.9, max: 2.4 });
+    expect(() => source.getTileUrl({})).toThrow(expect.objectContaining({ code: 'UNSUPPORTED' }));
+  });
+
+  test('should pick the adapter from the country config', () => {
+    configureForecastCore({
+      dataSource: {
+        endpoints: {
+          'https://geo.example.org/geoserver/': 'geoserver',
+          'https://geo.example.org/geoserver/zarr/': 'zarr'
+        },
+        options: { zarr: { module: { openArray: jest.fn(), HTTPStore: jest.fn() } } }
+      }
+    });
+
+    const thredds = getDataSource(NCWMS_BASE_URL);
+    expect(thredds).toBeInstanceOf(NcwmsDataSource);
+    expect(getDataSource(NCWMS_BASE_URL)).toBe(thredds);
+    expect(getDataSource('https://geo.example.org/geoserver/ocean/wms')).toBeInstanceOf(GeoServerDataSource);
+    expect(getDataSource('https://geo.example.org/geoserver/zarr/hs.zarr')).toBeInstanceOf(ZarrDataSource);
+
+    // A config change swaps the backend without touching the callers
+    configureForecastCore({ dataSource: { type: 'geoserver' } });
+    expect(getDataSource(NCWMS_BASE_URL)).toBeInstanceOf(GeoServerDataSource);
+  });
+});
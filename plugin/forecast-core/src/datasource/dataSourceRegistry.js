@@ -0,0 +1,88 @@
+/**
+ * Data Source Registry
+ *
+ * Picks the adapter for a service URL from the country config, so a country
+ * moves a layer to another backend by editing `dataSource` only:
+ *
+ *   dataSource: {
+ *     type: 'thredds-ncwms',
+ *     endpoints: { 'https://geo.example.org/geoserver/': 'geoserver' }
+ *   }
+ *
+ * Adapters are created once per type and URL and dropped when the config changes.
+ */
+
+import { getCountryConfig, onCountryConfigChange } from '../config/countryConfig';
+import { NcwmsDataSource } from './NcwmsDataSource';
+import { GeoServerDataSource } from './GeoServerDataSource';
+import { ZarrDataSource } from './ZarrDataSource';
+
+export const DATA_SOURCE_TYPES = {
+  THREDDS_NCWMS: NcwmsDataSource.type,
+  GEOSERVER: GeoServerDataSource.type,
+  ZARR: ZarrDataSource.type
+};
+
+const adapters = new Map([
+  [NcwmsDataSource.type, NcwmsDataSource],
+  [GeoServerDataSource.type, GeoServerDataSource],
+  [ZarrDataSource.type, ZarrDataSource]
+]);
+
+const instances = new Map();
+onCountryConfigChange(() => instances.clear());
+
+/**
+ * Add or replace an adapter type
+ * @param {string} type - Name used in dataSource.type / dataSource.endpoints
+ * @param {Function} AdapterClass - DataSource subclass, constructed with (url, options)
+ */
+export function registerDataSourceType(type, AdapterClass) {
+  adapters.set(type, AdapterClass);
+  instances.clear();
+}
+
+/**
+ * Adapter type for a URL: the longest matching endpoints prefix, else dataSource.type
+ * @param {string} url
+ * @returns {string}
+ */
+export function resolveDataSourceType(url) {
+  const { type, endpoints = {} } = getCountryConfig().dataSource;
+  const prefix = Object.keys(endpoints)
+    .filter((candidate) => url?.startsWith(candidate))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? endpoints[prefix] : type;
+}
+
+/**
+ * Create an adapter without caching it
+ * @param {string} type
+ * @param {string} url
+ * @param {Object} [options] - Adapter options (defaults to the config's options for the type)
+ * @returns {import('./DataSource').DataSource}
+ */
+export function createDataSource(type, url, options) {
+  const AdapterClass = adapters.get(type);
+  if (!AdapterClass) {
+    throw new Error(`Unknown data source type: ${type}`);
+  }
+  const config = getCountryConfig().dataSource;
+  return new AdapterClass(url, options ?? { timeout: config.timeout, ...config.options?.[type] });
+}
+
+/**
+ * Shared adapter for a service URL
+ * @param {string} url - Layer wmsUrl or store URL
+ * @param {Object} [options]
+ * @param {string} [options.type] - Force an adapter type instead of resolving it from the config
+ * @returns {import('./DataSource').DataSource}
+ */
+export function getDataSource(url, { type } = {}) {
+  const resolvedType = type || resolveDataSourceType(url);
+  const key = `${resolvedType}|${url}`;
+  if (!instances.has(key)) {
+    instances.set(key, createDataSource(resolvedType, url));
+  }
+  return instances.get(key);
+}
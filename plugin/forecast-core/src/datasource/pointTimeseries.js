@@ -0,0 +1,58 @@
+/**
+ * Point Timeseries
+ *
+ * Values of one layer at a map point, read through the layer's data source
+ * and returned in the CoverageJSON shape of an ncWMS GetTimeseries response
+ * (domain.axes.t.values and ranges[layer].values). The point panels, the
+ * tabular view, the exports and the buoy validation all read that shape, so
+ * they keep working when a country moves the layer to another backend.
+ */
+
+import { toDate, toIsoTime } from './DataSource';
+import { getDataSource } from './dataSourceRegistry';
+
+/**
+ * CoverageJSON point series of a data source timeseries
+ * @param {string} layer - Range name
+ * @param {Array<{time: Date, value: number|null}>} series
+ * @returns {Object}
+ */
+export function toPointSeriesCoverage(layer, series) {
+  return {
+    type: 'Coverage',
+    domain: {
+      type: 'Domain',
+      domainType: 'PointSeries',
+      axes: { t: { values: series.map((entry) => toIsoTime(entry.time)) } }
+    },
+    ranges: {
+      [layer]: { type: 'NdArray', dataType: 'float', values: series.map((entry) => entry.value) }
+    }
+  };
+}
+
+/**
+ * Start and end of a WMS TIME value: "start/end[/period]" or a single time
+ * @param {string} text
+ * @returns {{start: Date|null, end: Date|null}}
+ */
+export function parseTimeRange(text) {
+  const [start, end] = String(text || '').split('/');
+  return { start: toDate(start), end: toDate(end ?? start) };
+}
+
+/**
+ * Timeseries of a layer at a point
+ * @param {string} url - Layer service URL (wmsUrl or Zarr store)
+ * @param {Object} options
+ * @param {string} options.layer
+ * @param {number} options.lat
+ * @param {number} options.lon
+ * @param {Date|string} [options.start] - Whole time axis when start and end are left out
+ * @param {Date|string} [options.end]
+ * @returns {Promise<Object>} CoverageJSON with one range named after the layer
+ */
+export async function fetchPointTimeseries(url, { layer, lat, lon, start, end }) {
+  const series = await getDataSource(url).getTimeseries({ layer, lat, lon, start, end });
+  return toPointSeriesCoverage(layer, series);
+}
@@ -0,0 +1,88 @@
+/**
+ * Forecast Animation Export Tests
+ *
+ * Validates frame selection, the per-frame GetMap requests built from the
+ * live WMS layer, and the GIF output
+ */
+
+import L from 'leaflet';
+import {
+  GifEncoder,
+  getAnimationFilename,
+  getCountryConfig,
+  selectAnimationTimes
+} from '../../index';
+import { buildFrameUrl, getForecastOverlays } from '../forecastAnimation';
+
+const NCWMS_BASE_URL = 'https://gem-ncwms-hpc.spc.int/ncWMS/wms';
+
+const hourly = (count) => Array.from({ length: count }, (_, i) => new Date(Date.UTC(2025, 5, 1, i)));
+
+describe('Forecast animation export', () => {
+  test('should export 72 hours from the slider position by default', () => {
+    const timestamps = hourly(168);
+    const { hours } = getCountryConfig().animationExport;
+
+    const times = selectAnimationTimes(timestamps, new Date(Date.UTC(2025, 5, 1, 10, 30)), hours);
+    expect(times[0]).toBe(timestamps[10]);
+    expect(times).toHaveLength(73);
+
+    // Near the end of the run only the remaining steps are exported
+    expect(selectAnimationTimes(timestamps, timestamps[150], hours)).toHaveLength(18);
+    expect(selectAnimationTimes([], new Date(), hours)).toEqual([]);
+  });
+
+  test('should request the whole view per frame with the live layer params', () => {
+    const map = L.map(document.createElement('div')).setView([-8, 178], 7);
+    L.tileLayer.wms(NCWMS_BASE_URL, {
+      layers: 'tuvalu_forecast/hs',
+      styles: 'default-scalar/x-Sst',
+      format: 'image/png',
+      transparent: true,
+      version: '1.3.0',
+      crs: L.CRS.EPSG4326,
+      time: '2025-06-01T06:00:00Z',
+      colorscalerange: '0,4',
+      opacity: 0.7
+    }).addTo(map);
+
+    const [overlay] = getForecastOverlays(map);
+    expect(overlay.opacity).toBe(0.7);
+
+    const view = { width: 640, height: 480, bbox: [1, 2, 3, 4], crs: 'EPSG:3857' };
+    const url = new URL(buildFrameUrl(overlay, new Date(Date.UTC(2025, 5, 2, 12)), view));
+    map.remove();
+
+    expect(url.searchParams.get('time')).toBe('2025-06-02T12:00:00Z');
+    expect(url.searchParams.get('crs')).toBe('EPSG:3857');
+    expect(url.searchParams.get('bbox')).toBe('1,2,3,4');
+    expect(url.searchParams.get('width')).toBe('640');
+    expect(url.searchParams.get('colorscalerange')).toBe('0,4');
+    expect(url.searchParams.get('layers')).toBe('tuvalu_forecast/hs');
+  });
+
+  test('should encode frames as a looping GIF', () => {
+    const width = 4;
+    const height = 3;
+    const encoder = new GifEncoder({ width, height, delayMs: 400 });
+    [[0, 0, 255], [255, 0, 0]].forEach(([r, g, b]) => {
+      const frame = new Uint8ClampedArray(width * height * 4);
+      for (let i = 0; i < frame.length; i += 4) {
+        frame.set([r, g, b, 255], i);
+      }
+      encoder.addFrame(frame);
+    });
+
+    const bytes = encoder.finish();
+    const text = String.fromCharCode(...bytes);
+    expect(text.startsWith('GIF89a')).toBe(true);
+    expect(text).toContain('NETSCAPE2.0');
+    expect(text.split('\x21\xf9\x04').length - 1).toBe(2); // One graphic control block per frame
+    expect(bytes[bytes.length - 1]).toBe(0x3b);
+  });
+
+  test('should name files after the country, layer and first frame', () => {
+    const name = getAnimationFilename('Tuvalu-Significant Wave Height', new Date(Date.UTC(2025, 5, 1, 6)), 'gif');
+    expect(name).toBe('tuvalu-significant-wave-height-20250601T0600Z.gif');
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Point Forecast Export Tests
+ *
+ * Validates the tidy table built from the panel's GetTimeseries responses
+ * and the CSV, XLSX and CoverageJSON encodings
+ */
+
+import {
+  EXPORT_FORMATS,
+  buildPointForecastTable,
+  createPointForecastExport,
+  getExportFilename,
+  resolveExportLocation,
+  toCoverageJson,
+  toCsv,
+  toXlsx
+} from '../../index';
+import { columnName } from '../xlsxWriter';
+
+// The fields of a widget's MARINE_VARIABLES the export reads
+const MARINE_VARIABLES = {
+  hs: {
+    label: 'Significant Wave Height',
+    description: 'The average height of the highest third of waves',
+    units: 'm',
+    standardName: 'sea_surface_wave_significant_height'
+  },
+  tpeak: {
+    label: 'Peak Wave Period',
+    description: 'Wave period corresponding to the most energetic waves',
+    units: 's',
+    standardName: 'sea_surface_wave_period_at_variance_spectral_density_maximum'
+  },
+  dirp: {
+    label: 'Wave direction',
+    description: 'Peak wave direction',
+    units: '°',
+    standardName: 'sea_surface_wave_from_direction_at_variance_spectral_density_maximum'
+  },
+  transp_y: {
+    label: 'Wave Transport Y',
+    units: 'kW/m',
+    hidden: true
+  }
+};
+
+const coverage = (key, times, values) => ({
+  domain: { axes: { t: { values: times } } },
+  ranges: { [key]: { values } }
+});
+
+const T0 = '2025-06-01T00:00:00Z';
+const T1 = '2025-06-01T01:00:00Z';
+const T2 = '2025-06-01T02:00:00Z';
+
+const buildTable = () => buildPointForecastTable({
+  tpeak: coverage('tpeak', [T1, T0], [9.5, 10]),
+  hs: coverage('hs', [T0, T1, T2], [1.2, '1.4', null]),
+  transp_y: coverage('transp_y', [T0], [3]),
+  dirp: null
+}, {
+  variables: MARINE_VARIABLES,
+  order: ['hs', 'tpeak'],
+  location: { lat: -8.52, lon: 179.2 },
+  title: 'Tuvalu point forecast',
+  source: 'https://example.org/ncWMS/wms'
+});
+
+describe('Point forecast export', () => {
+  test('should merge variables into one table ordered by time', () => {
+    const table = buildTable();
+
+    // Hidden and missing variables are skipped
+    expect(table.columns.map((column) => column.key)).toEqual(['hs', 'tpeak']);
+    expect(table.columns[0]).toMatchObject({
+      label: 'Significant Wave Height',
+      units: 'm',
+      standardName: 'sea_surface_wave_significant_height'
+    });
+    expect(table.rows.map((row) => row.time.toISOString())).toEqual([
+      '2025-06-01T00:00:00.000Z', '2025-06-01T01:00:00.000Z', '2025-06-01T02:00:00.000Z'
+    ]);
+    expect(table.rows.map((row) => row.values)).toEqual([[1.2, 10], [1.4, 9.5], [null, null]]);
+    expect(table.metadata.end.toISOString()).toBe('2025-06-01T02:00:00.000Z');
+  });
+
+  test('should write metadata lines above a single CSV header', () => {
+    const csv = toCsv(buildTable());
+    const lines = csv.trim().split('\r\n');
+
+    expect(lines).toContain('# title: Tuvalu point forecast');
+    expect(lines).toContain('# time_zone: UTC');
+    expect(lines).toContain('# hs: Significant Wave Height [m] standard_name=sea_surface_wave_significant_height'
+      + ' - The average height of the highest third of waves');
+    expect(lines.filter((line) => !line.startsWith('#'))).toEqual([
+      'time,hs,tpeak',
+      '2025-06-01T00:00:00Z,1.2,10',
+      '2025-06-01T01:00:00Z,1.4,9.5',
+      '2025-06-01T02:00:00Z,,'
+    ]);
+  });
+
+  test('should describe parameters with CF standard names and UCUM units', () => {
+    const table = buildPointForecastTable({
+      dirp: coverage('dirp', [T0], [270])
+    }, { variables: MARINE_VARIABLES, location: { lat: -8.52, lon: 179.2 } });
+    const covjson = toCoverageJson(table);
+
+    expect(covjson.domain.domainType).toBe('PointSeries');
+    expect(covjson.domain.axes).toEqual({ x: { values: [179.2] }, y: { values: [-8.52] }, t: { values: [T0] } });
+    expect(covjson.parameters.dirp.observedProperty.id).toBe(
+      'http://vocab.nerc.ac.uk/standard_name/sea_surface_wave_from_direction_at_variance_spectral_density_maximum/'
+    );
+    expect(covjson.parameters.dirp.unit.symbol.value).toBe('deg');
+    expect(covjson.ranges.dirp).toMatchObject({ axisNames: ['t'], shape: [1], values: [270] });
+    expect(covjson.attributes.Conventions).toBe('CF-1.8, ACDD-1.3');
+  });
+
+  test('should write an xlsx zip with a sheet per table', () => {
+    const bytes = toXlsx(buildTable());
+    const text = String.fromCharCode(...bytes);
+
+    expect(Array.from(bytes.slice(0, 4))).toEqual([0x50, 0x4b, 0x03, 0x04]);
+    expect(text).toContain('xl/worksheets/sheet1.xml');
+    expect(text).toContain('<sheet name="Metadata" sheetId="2" r:id="rId2"/>');
+    expect(text).toContain('Significant Wave Height (m)');
+    expect(columnName(0)).toBe('A');
+    expect(columnName(26)).toBe('AA');
+  });
+
+  test('should name files after the title, point and run start', () => {
+    const table = buildTable();
+    expect(getExportFilename(table, EXPORT_FORMATS.XLSX)).toBe('tuvalu-point-forecast_-8.520_179.200_20250601T00.xlsx');
+    expect(() => createPointForecastExport(table, 'pdf')).toThrow('Unsupported export format: pdf');
+    expect(() => createPointForecastExport({ ...table, rows: [] }, EXPORT_FORMATS.CSV)).toThrow('No forecast data');
+  });
+
+  test('should locate the point from the click or the request bbox', () => {
+    expect(resolveExportLocation({ latlng: { lat: -8.5, lng: 179.1 } })).toEqual({ lat: -8.5, lon: 179.1 });
+    expect(resolveExportLocation({ bbox: '179,-9,179.2,-8.8' })).toEqual({ lat: -8.9, lon: 179.1 });
+    expect(resolveExportLocation({ bbox: '-9,179,-8.8,179.2' })).toEqual({ lat: -8.9, lon: 179.1 });
+    expect(resolveExportLocation({})).toBeNull();
+  });
+});
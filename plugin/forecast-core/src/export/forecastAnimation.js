@@ -0,0 +1,375 @@
+/**
+ * Forecast Animation Export
+ *
+ * Renders the time steps of the layer shown on the map into an animated GIF
+ * or WebM, entirely in the browser. Each frame is the current map view: the
+ * basemap, one GetMap image per forecast overlay (same WMS params as the live
+ * layers, only TIME changes), the legend and a timestamp caption.
+ *
+ * Basemap, WMS and legend images are drawn on a canvas, so their servers must
+ * send CORS headers; otherwise the browser blocks reading the frames back.
+ */
+
+import { GifEncoder } from './gifEncoder';
+
+export const ANIMATION_FORMATS = {
+  GIF: 'gif',
+  WEBM: 'webm'
+};
+
+const DEFAULT_OPTIONS = {
+  format: ANIMATION_FORMATS.GIF,
+  frameDelayMs: 500,      // Display time per time step
+  maxWidth: 960,          // Frames are scaled down to this width
+  title: '',
+  legendUrl: null,
+  runStart: null,         // Adds "+Nh" to the caption when known
+  onProgress: () => {},
+  signal: null
+};
+
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const BACKGROUND = '#dfe9f3';
+const MS_IN_HOUR = 60 * 60 * 1000;
+
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) {
+    throw new DOMException('Animation export cancelled', 'AbortError');
+  }
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Time steps for the animation: from the step shown at `start` up to `hours` later
+ * @param {Date[]} timestamps - Available time steps (ascending)
+ * @param {Date} [start] - Current slider time, defaults to the first step
+ * @param {number} [hours=72]
+ * @returns {Date[]}
+ */
+export function selectAnimationTimes(timestamps = [], start = null, hours = 72) {
+  if (!timestamps.length) return [];
+
+  const startMs = start ? new Date(start).getTime() : timestamps[0].getTime();
+  // The step on screen is the last one not after the slider time
+  let first = timestamps.findIndex((timestamp) => timestamp.getTime() > startMs) - 1;
+  if (first === -2) first = timestamps.length - 1;
+  first = Math.max(first, 0);
+
+  const endMs = timestamps[first].getTime() + hours * MS_IN_HOUR;
+  return timestamps.slice(first).filter((timestamp) => timestamp.getTime() <= endMs);
+}
+
+/**
+ * Frame size and Web Mercator BBOX of the current map view
+ * @param {L.Map} map
+ * @param {number} [maxWidth]
+ * @returns {{width: number, height: number, scale: number, bbox: number[], crs: string}}
+ */
+export function getAnimationView(map, maxWidth = DEFAULT_OPTIONS.maxWidth) {
+  const size = map.getSize();
+  const scale = Math.min(1, maxWidth / size.x);
+  const bounds = map.getBounds();
+  const southWest = map.options.crs.project(bounds.getSouthWest());
+  const northEast = map.options.crs.project(bounds.getNorthEast());
+
+  return {
+    // Even sizes keep video encoders happy
+    width: Math.round((size.x * scale) / 2) * 2,
+    height: Math.round((size.y * scale) / 2) * 2,
+    scale,
+    bbox: [southWest.x, southWest.y, northEast.x, northEast.y],
+    crs: map.options.crs.code
+  };
+}
+
+/**
+ * WMS overlays currently on the map, in drawing order
+ * @param {L.Map} map
+ * @returns {Array<{url: string, params: Object, opacity: number}>}
+ */
+export function getForecastOverlays(map) {
+  const overlays = [];
+  map.eachLayer((layer) => {
+    if (layer.wmsParams && layer._url) {
+      overlays.push({
+        url: layer._url,
+        params: { ...layer.wmsParams },
+        opacity: layer.options?.opacity ?? 1
+      });
+    }
+  });
+  return overlays;
+}
+
+/**
+ * GetMap URL for one overlay over the whole view at a time step
+ * @param {Object} overlay - From getForecastOverlays
+ * @param {Date} time
+ * @param {Object} view - From getAnimationView
+ * @returns {string}
+ */
+export function buildFrameUrl({ url, params }, time, view) {
+  const { crs, srs, bbox, width, height, ...rest } = params;
+  const query = { ...rest };
+
+  // Static layers have no TIME; keep the live layer's format (THREDDS drops milliseconds)
+  if (params.time && time) {
+    const iso = time.toISOString();
+    query.time = /\.\d{3}Z$/.test(params.time) ? iso : iso.replace(/\.\d{3}Z$/, 'Z');
+  }
+
+  // Leaflet sends SRS instead of CRS before WMS 1.3.0
+  query[parseFloat(params.version) >= 1.3 ? 'crs' : 'srs'] = view.crs;
+  query.bbox = view.bbox.join(',');
+  query.width = view.width;
+  query.height = view.height;
+
+  const search = new URLSearchParams(query).toString();
+  return `${url}${url.includes('?') ? '&' : '?'}${search}`;
+}
+
+/**
+ * Caption text for a frame
+ * @param {Date} time
+ * @param {Date|null} runStart
+ * @returns {string}
+ */
+export function formatFrameCaption(time, runStart = null) {
+  const label = time.toLocaleString(undefined, {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+  if (!runStart) return label;
+
+  const leadHours = Math.round((time.getTime() - new Date(runStart).getTime()) / MS_IN_HOUR);
+  return `${label}  (+${leadHours}h)`;
+}
+
+/**
+ * Load an image for drawing on a canvas (requested with CORS)
+ * @param {string} src
+ * @returns {Promise<HTMLImageElement>}
+ */
+export const loadImage = (src) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.crossOrigin = 'anonymous';
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error(`Could not load ${src}`));
+  image.src = src;
+});
+
+// Basemap tiles as currently laid out in the map container
+const drawBasemap = async (map, ctx, view) => {
+  const containerRect = map.getContainer().getBoundingClientRect();
+  const tiles = [];
+
+  map.eachLayer((layer) => {
+    if (layer.wmsParams || !layer._tiles) return;
+    Object.values(layer._tiles).forEach(({ el }) => {
+      if (el?.src && el.complete) {
+        tiles.push({ src: el.src, rect: el.getBoundingClientRect(), opacity: layer.options?.opacity ?? 1 });
+      }
+    });
+  });
+
+  const loaded = await Promise.all(tiles.map((tile) =>
+    loadImage(tile.src).then((image) => ({ ...tile, image })).catch(() => null)));
+
+  ctx.fillStyle = BACKGROUND;
+  ctx.fillRect(0, 0, view.width, view.height);
+  loaded.filter(Boolean).forEach(({ image, rect, opacity }) => {
+    ctx.globalAlpha = opacity;
+    ctx.drawImage(
+      image,
+      (rect.left - containerRect.left) * view.scale,
+      (rect.top - containerRect.top) * view.scale,
+      rect.width * view.scale,
+      rect.height * view.scale
+    );
+  });
+  ctx.globalAlpha = 1;
+};
+
+const drawCaption = (ctx, view, title, caption) => {
+  const fontSize = Math.max(12, Math.round(view.width / 50));
+  const padding = Math.round(fontSize * 0.6);
+  const lines = [title, caption].filter(Boolean);
+
+  ctx.font = `600 ${fontSize}px system-ui, -apple-system, "Segoe UI", Roboto, sans-serif`;
+  const textWidth = Math.max(...lines.map((line) => ctx.measureText(line).width));
+  const lineHeight = Math.round(fontSize * 1.3);
+
+  ctx.fillStyle = 'rgba(15, 23, 42, 0.75)';
+  ctx.fillRect(padding, padding, textWidth + padding * 2, lines.length * lineHeight + padding);
+  ctx.fillStyle = '#ffffff';
+  ctx.textBaseline = 'top';
+  lines.forEach((line, i) => {
+    ctx.fillText(line, padding * 2, padding * 1.5 + i * lineHeight);
+  });
+};
+
+const drawLegend = (ctx, view, legend) => {
+  if (!legend) return;
+
+  const margin = Math.round(view.width / 60);
+  const maxHeight = view.height * 0.5;
+  const ratio = Math.min(1, maxHeight / legend.height);
+  const width = legend.width * ratio;
+  const height = legend.height * ratio;
+  const x = view.width - width - margin;
+  const y = view.height - height - margin;
+
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+  ctx.fillRect(x - 4, y - 4, width + 8, height + 8);
+  ctx.drawImage(legend, x, y, width, height);
+};
+
+const createCanvas = (view) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = view.width;
+  canvas.height = view.height;
+  return canvas;
+};
+
+const pickWebmType = () => {
+  if (typeof MediaRecorder === 'undefined') return null;
+  return WEBM_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || null;
+};
+
+/**
+ * Whether this browser can record WebM from a canvas
+ * @returns {boolean}
+ */
+export const isWebmExportSupported = () => Boolean(pickWebmType())
+  && typeof HTMLCanvasElement !== 'undefined'
+  && typeof HTMLCanvasElement.prototype.captureStream === 'function';
+
+// Plays the frames onto the canvas in real time while MediaRecorder captures it
+const recordWebm = async (canvas, frameCount, drawFrame, { frameDelayMs, onProgress, signal }) => {
+  const mimeType = pickWebmType();
+  if (!mimeType || typeof canvas.captureStream !== 'function') {
+    throw new Error('WebM export is not supported in this browser; try GIF instead');
+  }
+
+  drawFrame(0);
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType });
+  const chunks = [];
+  const stopped = new Promise((resolve, reject) => {
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    recorder.onstop = resolve;
+    recorder.onerror = (event) => reject(event.error || new Error('WebM recording failed'));
+  });
+
+  recorder.start();
+  try {
+    for (let i = 0; i < frameCount; i++) {
+      throwIfAborted(signal);
+      if (i > 0) drawFrame(i);
+      if (track.requestFrame) track.requestFrame();
+      onProgress({ phase: 'encoding', done: i + 1, total: frameCount });
+      await wait(frameDelayMs);
+    }
+  } finally {
+    recorder.stop();
+    track.stop();
+  }
+  await stopped;
+
+  return new Blob(chunks, { type: 'video/webm' });
+};
+
+/**
+ * Render the forecast animation for the current map view
+ * @param {Object} options
+ * @param {L.Map} options.map - Leaflet map showing the forecast layer
+ * @param {Date[]} options.times - Time steps (see selectAnimationTimes)
+ * @param {'gif'|'webm'} [options.format='gif']
+ * @param {number} [options.frameDelayMs=500]
+ * @param {number} [options.maxWidth=960]
+ * @param {string} [options.title] - First caption line, e.g. the layer label
+ * @param {string} [options.legendUrl] - Legend image drawn bottom-right
+ * @param {Date} [options.runStart] - Model run start, for forecast lead times
+ * @param {Function} [options.onProgress] - ({ phase: 'loading'|'encoding', done, total })
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Blob>} image/gif or video/webm
+ */
+export async function renderForecastAnimation(options) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const { map, times, format, frameDelayMs, onProgress, signal } = settings;
+
+  if (!map) throw new Error('Map is not ready');
+  if (!times?.length) throw new Error('No forecast time steps to animate');
+
+  const overlays = getForecastOverlays(map);
+  if (!overlays.length) throw new Error('No forecast layer is shown on the map');
+
+  const view = getAnimationView(map, settings.maxWidth);
+  const canvas = createCanvas(view);
+  const ctx = canvas.getContext('2d', { willReadFrequently: format === ANIMATION_FORMATS.GIF });
+
+  // Basemap and legend are the same in every frame
+  const basemap = createCanvas(view);
+  await drawBasemap(map, basemap.getContext('2d'), view);
+  const legend = settings.legendUrl ? await loadImage(settings.legendUrl).catch(() => null) : null;
+
+  // Fetch every frame first so slow tiles do not stall the recording
+  const frames = [];
+  for (let i = 0; i < times.length; i++) {
+    throwIfAborted(signal);
+    try {
+      frames.push(await Promise.all(overlays.map((overlay) => loadImage(buildFrameUrl(overlay, times[i], view)))));
+    } catch (error) {
+      throw new Error(`Could not load the forecast for ${times[i].toISOString()}. The WMS server may not allow cross-origin image access.`);
+    }
+    onProgress({ phase: 'loading', done: i + 1, total: times.length });
+  }
+
+  const drawFrame = (index) => {
+    ctx.drawImage(basemap, 0, 0);
+    frames[index].forEach((image, i) => {
+      ctx.globalAlpha = overlays[i].opacity;
+      ctx.drawImage(image, 0, 0, view.width, view.height);
+    });
+    ctx.globalAlpha = 1;
+    drawLegend(ctx, view, legend);
+    drawCaption(ctx, view, settings.title, formatFrameCaption(times[index], settings.runStart));
+  };
+
+  if (format === ANIMATION_FORMATS.WEBM) {
+    return recordWebm(canvas, frames.length, drawFrame, settings);
+  }
+
+  const encoder = new GifEncoder({ width: view.width, height: view.height, delayMs: frameDelayMs });
+  for (let i = 0; i < frames.length; i++) {
+    throwIfAborted(signal);
+    drawFrame(i);
+    encoder.addFrame(ctx.getImageData(0, 0, view.width, view.height).data);
+    onProgress({ phase: 'encoding', done: i + 1, total: frames.length });
+    await wait(0); // Let the page repaint the progress
+  }
+
+  return new Blob([encoder.finish()], { type: 'image/gif' });
+}
+
+/**
+ * File name for an exported animation, e.g. "tuvalu-hs-20250601T0600Z.gif"
+ * @param {string} prefix
+ * @param {Date} start
+ * @param {'gif'|'webm'} format
+ * @returns {string}
+ */
+export function getAnimationFilename(prefix, start, format) {
+  const slug = (prefix || 'forecast').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const stamp = start ? `-${start.toISOString().slice(0, 16).replace(/[-:]/g, '')}Z` : '';
+  return `${slug}${stamp}.${format}`;
+}
@@ -0,0 +1,314 @@
+/**
+ * Animated GIF Encoder
+ *
+ * Minimal GIF89a writer for the forecast animation export. All frames share
+ * one 256-colour median-cut palette built from the whole animation, so the
+ * colour scale does not flicker between frames.
+ * Frames are kept as 15-bit colours until finish() to halve the memory use.
+ */
+
+const MAX_COLORS = 256;
+const MAX_CODE_SIZE = 12;
+const COLOR_BINS = 32768;
+
+// RGB reduced to 5 bits per channel
+const toBin = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+const binToRgb = (bin) => [
+  (((bin >> 10) & 31) << 3) | 4,
+  (((bin >> 5) & 31) << 3) | 4,
+  ((bin & 31) << 3) | 4
+];
+
+// Palette index for a colour bin (nearest palette colour), computed on first use
+const createIndexer = (palette) => {
+  const table = new Int16Array(COLOR_BINS).fill(-1);
+
+  return (bin) => {
+    if (table[bin] >= 0) return table[bin];
+
+    const [r, g, b] = binToRgb(bin);
+    let best = 0;
+    let bestDistance = Infinity;
+    palette.forEach(([pr, pg, pb], i) => {
+      const distance = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = i;
+      }
+    });
+    table[bin] = best;
+    return best;
+  };
+};
+
+const channel = (bin, c) => (bin >> (10 - c * 5)) & 31;
+
+const describeBox = (bins, counts) => {
+  const min = [31, 31, 31];
+  const max = [0, 0, 0];
+  let weight = 0;
+  bins.forEach((bin) => {
+    for (let c = 0; c < 3; c++) {
+      const value = channel(bin, c);
+      if (value < min[c]) min[c] = value;
+      if (value > max[c]) max[c] = value;
+    }
+    weight += counts[bin];
+  });
+  const ranges = max.map((value, c) => value - min[c]);
+  const axis = ranges.indexOf(Math.max(...ranges));
+  return { bins, weight, axis, range: ranges[axis] };
+};
+
+// Split the colour space into boxes of similar pixel count; each box becomes one palette entry
+const medianCut = (bins, counts, maxColors) => {
+  const boxes = [describeBox(bins, counts)];
+
+  while (boxes.length < maxColors) {
+    let target = -1;
+    boxes.forEach((box, i) => {
+      if (box.range > 0 && (target === -1 || box.weight * box.range > boxes[target].weight * boxes[target].range)) {
+        target = i;
+      }
+    });
+    if (target === -1) break;
+
+    const { bins: boxBins, weight, axis } = boxes[target];
+    boxBins.sort((a, b) => channel(a, axis) - channel(b, axis));
+    let split = 1;
+    for (let seen = 0; split < boxBins.length - 1; split++) {
+      seen += counts[boxBins[split - 1]];
+      if (seen >= weight / 2) break;
+    }
+    boxes.splice(target, 1,
+      describeBox(boxBins.slice(0, split), counts),
+      describeBox(boxBins.slice(split), counts));
+  }
+
+  // Count-weighted average colour of each box
+  return boxes.map(({ bins: boxBins, weight }) => {
+    const sum = [0, 0, 0];
+    boxBins.forEach((bin) => {
+      binToRgb(bin).forEach((value, c) => { sum[c] += value * counts[bin]; });
+    });
+    return sum.map((value) => Math.round(value / weight));
+  });
+};
+
+class ByteWriter {
+  constructor() {
+    this.chunks = [];
+    this.buffer = new Uint8Array(65536);
+    this.length = 0;
+  }
+
+  byte(value) {
+    if (this.length === this.buffer.length) {
+      this.chunks.push(this.buffer);
+      this.buffer = new Uint8Array(65536);
+      this.length = 0;
+    }
+    this.buffer[this.length++] = value;
+  }
+
+  bytes(values) {
+    for (let i = 0; i < values.length; i++) this.byte(values[i]);
+  }
+
+  word(value) {
+    this.byte(value & 0xff);
+    this.byte((value >> 8) & 0xff);
+  }
+
+  string(value) {
+    for (let i = 0; i < value.length; i++) this.byte(value.charCodeAt(i));
+  }
+
+  toUint8Array() {
+    const result = new Uint8Array(this.chunks.length * 65536 + this.length);
+    this.chunks.forEach((chunk, i) => result.set(chunk, i * 65536));
+    result.set(this.buffer.subarray(0, this.length), this.chunks.length * 65536);
+    return result;
+  }
+}
+
+// LZW-compress palette indices into GIF image data sub-blocks
+const writeImageData = (writer, indices, minCodeSize) => {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const block = [];
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let dictionary = new Map();
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const flushBlock = () => {
+    writer.byte(block.length);
+    writer.bytes(block);
+    block.length = 0;
+  };
+
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      block.push(bitBuffer & 0xff);
+      if (block.length === 255) flushBlock();
+      bitBuffer >>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  writer.byte(minCodeSize);
+  emit(clearCode);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const pixel = indices[i];
+    const key = (prefix << 8) | pixel;
+    const code = dictionary.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode < 1 << MAX_CODE_SIZE) {
+      dictionary.set(key, nextCode++);
+      if (nextCode > 1 << codeSize && codeSize < MAX_CODE_SIZE) codeSize++;
+    } else {
+      // Dictionary full: start over
+      emit(clearCode);
+      dictionary = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    }
+    prefix = pixel;
+  }
+
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) block.push(bitBuffer & 0xff);
+  if (block.length > 0) flushBlock();
+  writer.byte(0); // Block terminator
+};
+
+/**
+ * Collects frames, then writes a looping animated GIF
+ *
+ *   const encoder = new GifEncoder({ width, height, delayMs: 400 });
+ *   encoder.addFrame(ctx.getImageData(0, 0, width, height).data);
+ *   const bytes = encoder.finish();
+ */
+export class GifEncoder {
+  /**
+   * @param {Object} options
+   * @param {number} options.width
+   * @param {number} options.height
+   * @param {number} [options.delayMs=500] - Display time per frame
+   * @param {number} [options.loop=0] - Repeat count, 0 loops forever
+   */
+  constructor({ width, height, delayMs = 500, loop = 0 }) {
+    this.width = width;
+    this.height = height;
+    this.delayMs = delayMs;
+    this.loop = loop;
+    this.frames = [];
+    this.counts = new Uint32Array(COLOR_BINS);
+  }
+
+  /**
+   * @param {Uint8ClampedArray} rgba - width x height RGBA pixels (ImageData.data)
+   */
+  addFrame(rgba) {
+    const pixels = this.width * this.height;
+    if (rgba.length < pixels * 4) {
+      throw new Error(`Frame is smaller than ${this.width}x${this.height}`);
+    }
+
+    const bins = new Uint16Array(pixels);
+    for (let p = 0, i = 0; p < pixels; p++, i += 4) {
+      const bin = toBin(rgba[i], rgba[i + 1], rgba[i + 2]);
+      bins[p] = bin;
+      this.counts[bin]++;
+    }
+    this.frames.push(bins);
+  }
+
+  /**
+   * Median-cut palette over the colours of all frames
+   * @returns {number[][]} Up to 256 [r, g, b] entries
+   */
+  buildPalette() {
+    const bins = [];
+    this.counts.forEach((count, bin) => {
+      if (count > 0) bins.push(bin);
+    });
+    return medianCut(bins, this.counts, MAX_COLORS);
+  }
+
+  /**
+   * @returns {Uint8Array} GIF file bytes
+   */
+  finish() {
+    if (!this.frames.length) {
+      throw new Error('No frames to encode');
+    }
+
+    const { width, height } = this;
+    const palette = this.buildPalette();
+    const indexOf = createIndexer(palette);
+    const tableBits = Math.max(1, Math.ceil(Math.log2(palette.length)));
+    const minCodeSize = Math.max(2, tableBits);
+    const delay = Math.max(2, Math.round(this.delayMs / 10)); // Hundredths of a second
+
+    const writer = new ByteWriter();
+
+    // Header and logical screen descriptor with the global colour table
+    writer.string('GIF89a');
+    writer.word(width);
+    writer.word(height);
+    writer.byte(0x80 | ((tableBits - 1) << 4) | (tableBits - 1));
+    writer.byte(0); // Background colour index
+    writer.byte(0); // Pixel aspect ratio
+    for (let i = 0; i < 1 << tableBits; i++) {
+      writer.bytes(palette[i] || [0, 0, 0]);
+    }
+
+    // Netscape extension: loop count
+    writer.bytes([0x21, 0xff, 0x0b]);
+    writer.string('NETSCAPE2.0');
+    writer.bytes([0x03, 0x01]);
+    writer.word(this.loop);
+    writer.byte(0);
+
+    const indices = new Uint8Array(width * height);
+    this.frames.forEach((bins) => {
+      for (let p = 0; p < bins.length; p++) {
+        indices[p] = indexOf(bins[p]);
+      }
+
+      // Graphic control extension: frame delay
+      writer.bytes([0x21, 0xf9, 0x04, 0x00]);
+      writer.word(delay);
+      writer.bytes([0x00, 0x00]);
+
+      // Image descriptor: full frame, global colour table
+      writer.byte(0x2c);
+      writer.word(0);
+      writer.word(0);
+      writer.word(width);
+      writer.word(height);
+      writer.byte(0);
+
+      writeImageData(writer, indices, minCodeSize);
+    });
+
+    writer.byte(0x3b); // Trailer
+    this.frames = [];
+    return writer.toUint8Array();
+  }
+}
+
+export default GifEncoder;
@@ -0,0 +1,283 @@
+/**
+ * Point Forecast Export
+ *
+ * Turns the per-variable GetTimeseries responses of the point forecast panel
+ * into one tidy table (a time column plus one column per variable) and writes
+ * it as CSV, XLSX or CF-style CoverageJSON. Labels, units and standard names
+ * come from the widget's MARINE_VARIABLES definitions.
+ */
+
+import { createXlsxWorkbook } from './xlsxWriter';
+
+export const EXPORT_FORMATS = {
+  CSV: 'csv',
+  XLSX: 'xlsx',
+  COVERAGE_JSON: 'covjson'
+};
+
+const MIME_TYPES = {
+  [EXPORT_FORMATS.CSV]: 'text/csv;charset=utf-8',
+  [EXPORT_FORMATS.XLSX]: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  [EXPORT_FORMATS.COVERAGE_JSON]: 'application/prs.coverage+json'
+};
+
+const EXTENSIONS = {
+  [EXPORT_FORMATS.CSV]: 'csv',
+  [EXPORT_FORMATS.XLSX]: 'xlsx',
+  [EXPORT_FORMATS.COVERAGE_JSON]: 'covjson'
+};
+
+// MARINE_VARIABLES units that differ from their UCUM code
+const UCUM_UNITS = { '°': 'deg', '°C': 'Cel' };
+
+const toIso = (date) => date.toISOString().replace('.000Z', 'Z');
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : null;
+};
+
+// Point of a panel click: its latlng, else the centre of the request bbox
+export function resolveExportLocation(data) {
+  const lat = toNumber(data?.latlng?.lat ?? data?.lat);
+  const lon = toNumber(data?.latlng?.lng ?? data?.lng ?? data?.lon);
+  if (lat !== null && lon !== null) return { lat, lon };
+
+  const parts = typeof data?.bbox === 'string' ? data.bbox.split(',').map(Number) : [];
+  if (parts.length !== 4 || parts.some((n) => !Number.isFinite(n))) return null;
+  const [a, b, c, d] = parts;
+  // BBOX may arrive as lat,lon,lat,lon for WMS 1.3.0
+  const latFirst = Math.abs(a) <= 90 && Math.abs(b) > 90;
+  return latFirst
+    ? { lat: (a + c) / 2, lon: (b + d) / 2 }
+    : { lat: (b + d) / 2, lon: (a + c) / 2 };
+}
+
+const describeColumn = (key, definition = {}) => ({
+  key,
+  label: definition.label || key,
+  units: definition.units || '',
+  description: definition.description || '',
+  standardName: definition.standardName || definition.wmoCodes?.[0] || null
+});
+
+/**
+ * Build the export table from GetTimeseries CoverageJSON responses
+ * @param {Object<string, Object>} perVariableData - Variable key → CoverageJSON (or null)
+ * @param {Object} [options]
+ * @param {Object<string, Object>} [options.variables] - MARINE_VARIABLES definitions
+ * @param {string[]} [options.order] - Column order; other variables follow in data order
+ * @param {{lat: number, lon: number}|null} [options.location]
+ * @param {string} [options.title]
+ * @param {string} [options.source] - Dataset or WMS URL
+ * @returns {{columns: Object[], rows: Array<{time: Date, values: Array<number|null>}>, metadata: Object}}
+ */
+export function buildPointForecastTable(perVariableData, {
+  variables = {},
+  order = [],
+  location = null,
+  title = 'Point forecast',
+  source = ''
+} = {}) {
+  const available = Object.entries(perVariableData || {})
+    .filter(([key, coverage]) => !variables[key]?.hidden && coverage?.domain?.axes?.t?.values?.length
+      && Array.isArray(coverage.ranges?.[key]?.values))
+    .map(([key]) => key);
+  const keys = [
+    ...order.filter((key) => available.includes(key)),
+    ...available.filter((key) => !order.includes(key))
+  ];
+
+  const rowsByTime = new Map();
+  keys.forEach((key, column) => {
+    const coverage = perVariableData[key];
+    const values = coverage.ranges[key].values;
+    coverage.domain.axes.t.values.forEach((rawTime, i) => {
+      const time = new Date(rawTime);
+      if (Number.isNaN(time.getTime())) return;
+      if (!rowsByTime.has(time.getTime())) {
+        rowsByTime.set(time.getTime(), { time, values: new Array(keys.length).fill(null) });
+      }
+      rowsByTime.get(time.getTime()).values[column] = toNumber(values[i]);
+    });
+  });
+
+  const rows = [...rowsByTime.values()].sort((a, b) => a.time - b.time);
+  return {
+    columns: keys.map((key) => describeColumn(key, variables[key])),
+    rows,
+    metadata: {
+      title,
+      source,
+      location,
+      start: rows[0]?.time || null,
+      end: rows[rows.length - 1]?.time || null,
+      generatedAt: new Date()
+    }
+  };
+}
+
+const metadataEntries = ({ metadata }) => [
+  ['title', metadata.title],
+  ['latitude', metadata.location ? metadata.location.lat.toFixed(5) : ''],
+  ['longitude', metadata.location ? metadata.location.lon.toFixed(5) : ''],
+  ['time_coverage_start', metadata.start ? toIso(metadata.start) : ''],
+  ['time_coverage_end', metadata.end ? toIso(metadata.end) : ''],
+  ['source', metadata.source],
+  ['date_created', toIso(metadata.generatedAt)],
+  ['time_zone', 'UTC']
+];
+
+const columnHeading = (column) => `${column.label}${column.units ? ` (${column.units})` : ''}`;
+
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV with "#" metadata lines (one per attribute and one per column) above
+ * a single header row of variable keys
+ */
+export function toCsv(table) {
+  const lines = [
+    ...metadataEntries(table).map(([key, value]) => `# ${key}: ${value ?? ''}`),
+    ...table.columns.map((column) => `# ${column.key}: ${column.label}`
+      + `${column.units ? ` [${column.units}]` : ''}`
+      + `${column.standardName ? ` standard_name=${column.standardName}` : ''}`
+      + `${column.description ? ` - ${column.description}` : ''}`),
+    ['time', ...table.columns.map((column) => column.key)].map(csvField).join(','),
+    ...table.rows.map((row) => [toIso(row.time), ...row.values].map(csvField).join(','))
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Workbook with a "Forecast" sheet (UTC date column and one column per
+ * variable) and a "Metadata" sheet with the attributes and variable units
+ * @returns {Uint8Array}
+ */
+export function toXlsx(table) {
+  return createXlsxWorkbook([
+    {
+      name: 'Forecast',
+      headerRow: 1,
+      columnWidths: [18, ...table.columns.map((column) => Math.max(12, columnHeading(column).length + 2))],
+      rows: [
+        ['Time (UTC)', ...table.columns.map(columnHeading)],
+        ...table.rows.map((row) => [row.time, ...row.values])
+      ]
+    },
+    {
+      name: 'Metadata',
+      headerRow: 1,
+      columnWidths: [22, 40, 12, 48, 60],
+      rows: [
+        ['Attribute', 'Value'],
+        ...metadataEntries(table),
+        [],
+        ['Variable', 'Label', 'Units', 'Standard name', 'Description'],
+        ...table.columns.map((column) => [column.key, column.label, column.units, column.standardName, column.description])
+      ]
+    }
+  ]);
+}
+
+/**
+ * CoverageJSON PointSeries with CF standard names and UCUM unit symbols
+ * @returns {Object}
+ */
+export function toCoverageJson(table) {
+  const { metadata } = table;
+  const parameters = {};
+  const ranges = {};
+
+  table.columns.forEach((column, index) => {
+    parameters[column.key] = {
+      type: 'Parameter',
+      description: { en: column.description || column.label },
+      observedProperty: {
+        ...(column.standardName ? { id: `http://vocab.nerc.ac.uk/standard_name/${column.standardName}/` } : {}),
+        label: { en: column.label }
+      },
+      ...(column.units ? {
+        unit: {
+          label: { en: column.units },
+          symbol: { value: UCUM_UNITS[column.units] || column.units, type: 'http://www.opengis.net/def/uom/UCUM/' }
+        }
+      } : {})
+    };
+    ranges[column.key] = {
+      type: 'NdArray',
+      dataType: 'float',
+      axisNames: ['t'],
+      shape: [table.rows.length],
+      values: table.rows.map((row) => row.values[index])
+    };
+  });
+
+  return {
+    type: 'Coverage',
+    title: metadata.title,
+    domain: {
+      type: 'Domain',
+      domainType: 'PointSeries',
+      axes: {
+        x: { values: [metadata.location?.lon ?? null] },
+        y: { values: [metadata.location?.lat ?? null] },
+        t: { values: table.rows.map((row) => toIso(row.time)) }
+      },
+      referencing: [
+        {
+          coordinates: ['x', 'y'],
+          system: { type: 'GeographicCRS', id: 'http://www.opengis.net/def/crs/OGC/1.3/CRS84' }
+        },
+        {
+          coordinates: ['t'],
+          system: { type: 'TemporalRS', calendar: 'Gregorian' }
+        }
+      ]
+    },
+    parameters,
+    ranges,
+    // Global attributes following the CF / ACDD conventions
+    attributes: {
+      Conventions: 'CF-1.8, ACDD-1.3',
+      ...Object.fromEntries(metadataEntries(table))
+    }
+  };
+}
+
+export function getExportFilename(table, format) {
+  const slug = (table.metadata.title || 'point-forecast').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const location = table.metadata.location
+    ? `_${table.metadata.location.lat.toFixed(3)}_${table.metadata.location.lon.toFixed(3)}`
+    : '';
+  const start = table.metadata.start ? `_${toIso(table.metadata.start).slice(0, 13).replace(/[-:]/g, '')}` : '';
+  return `${slug}${location}${start}.${EXTENSIONS[format]}`;
+}
+
+/**
+ * Encode the table in an export format
+ * @param {Object} table - From buildPointForecastTable
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {Blob}
+ */
+export function createPointForecastExport(table, format) {
+  if (!table?.rows?.length) {
+    throw new Error('No forecast data to export');
+  }
+
+  let content;
+  if (format === EXPORT_FORMATS.CSV) {
+    content = toCsv(table);
+  } else if (format === EXPORT_FORMATS.XLSX) {
+    content = toXlsx(table);
+  } else if (format === EXPORT_FORMATS.COVERAGE_JSON) {
+    content = JSON.stringify(toCoverageJson(table), null, 2);
+  } else {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+  return new Blob([content], { type: MIME_TYPES[format] });
+}
@@ -0,0 +1,82 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { getCountryConfig } from '../config/countryConfig';
+import {
+  getAnimationFilename,
+  isWebmExportSupported,
+  renderForecastAnimation,
+  selectAnimationTimes
+} from '../export/forecastAnimation';
+import { downloadBlob } from '../export/download';
+
+const IDLE_STATE = { exporting: false, format: null, progress: null, error: null };
+
+/**
+ * Export the forecast animation (from the slider position, country's animationExport.hours ahead)
+ * @param {Object} options
+ * @param {Object} options.mapInstance - Ref to the Leaflet map
+ * @param {Object} options.capTime - useWMSCapabilities result
+ * @param {Date} options.currentSliderDate - Time step on screen
+ * @param {string} [options.title] - Caption title, e.g. the layer label
+ * @param {string} [options.legendUrl] - Legend image for the frames
+ * @returns {{exporting: boolean, format: string|null, progress: Object|null, error: string|null,
+ *   frameCount: number, webmSupported: boolean, exportAnimation: Function, cancel: Function}}
+ */
+export const useAnimationExport = ({ mapInstance, capTime, currentSliderDate, title, legendUrl }) => {
+  const [state, setState] = useState(IDLE_STATE);
+  const controller = useRef(null);
+  const { animationExport } = getCountryConfig();
+
+  const times = selectAnimationTimes(capTime?.availableTimestamps || [], currentSliderDate, animationExport.hours);
+
+  const exportAnimation = useCallback(async (format) => {
+    if (controller.current) return;
+
+    const map = mapInstance?.current;
+    const frameTimes = selectAnimationTimes(capTime?.availableTimestamps || [], currentSliderDate, animationExport.hours);
+    controller.current = new AbortController();
+    setState({ ...IDLE_STATE, exporting: true, format });
+
+    try {
+      const blob = await renderForecastAnimation({
+        map,
+        times: frameTimes,
+        format,
+        title,
+        legendUrl,
+        runStart: capTime?.originalStart || capTime?.availableTimestamps?.[0] || null,
+        frameDelayMs: animationExport.frameDelayMs,
+        maxWidth: animationExport.maxWidth,
+        signal: controller.current.signal,
+        onProgress: (progress) => setState((previous) => ({ ...previous, progress }))
+      });
+
+      const { name } = getCountryConfig();
+      downloadBlob(blob, getAnimationFilename(`${name}-${title || 'forecast'}`, frameTimes[0], format));
+      setState(IDLE_STATE);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        setState(IDLE_STATE);
+      } else {
+        console.error('Animation export failed:', error);
+        setState({ ...IDLE_STATE, error: error.message });
+      }
+    } finally {
+      controller.current = null;
+    }
+  }, [mapInstance, capTime, currentSliderDate, title, legendUrl, animationExport]);
+
+  const cancel = useCallback(() => {
+    controller.current?.abort();
+  }, []);
+
+  // Stop a running export when the widget unmounts
+  useEffect(() => () => controller.current?.abort(), []);
+
+  return {
+    ...state,
+    frameCount: times.length,
+    webmSupported: isWebmExportSupported(),
+    exportAnimation,
+    cancel
+  };
+};
@@ -0,0 +1,103 @@
+import { useEffect, useRef, useState } from 'react';
+import { getCountryConfig } from '../config/countryConfig';
+import {
+  MSG_CACHE_STATUS,
+  MSG_NETWORK_RESTORED,
+  MSG_PRECACHE_COMPLETE,
+  MSG_SERVING_CACHE
+} from '../offline/constants';
+import { buildForecastRunUrls, selectPrecacheTimes } from '../offline/forecastRequests';
+import {
+  onForecastCacheMessage,
+  precacheForecastRun,
+  requestForecastCacheStatus
+} from '../offline/offlineClient';
+
+const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+/**
+ * Pre-cache the latest forecast run of the selected layer for offline use.
+ * Runs once per model run and layer, while online, using the country's offline settings.
+ * @param {Object} options
+ * @param {Object} options.capTime - useWMSCapabilities result
+ * @param {Object} options.layerConfig - Selected layer config
+ * @param {*} options.bounds - Country bounds (L.LatLngBounds or [[s, w], [n, e]])
+ */
+export const useForecastPrecache = ({ capTime, layerConfig, bounds }) => {
+  const lastRequestKey = useRef(null);
+
+  useEffect(() => {
+    const { offline } = getCountryConfig();
+    if (!offline.enabled || !offline.zooms.length || !layerConfig || !bounds) return;
+    if (capTime.loading || !capTime.availableTimestamps?.length || !isOnline()) return;
+
+    const runTime = capTime.originalStart || capTime.availableTimestamps[0];
+    const requestKey = `${new Date(runTime).toISOString()}|${layerConfig.value}`;
+    if (lastRequestKey.current === requestKey) return;
+    lastRequestKey.current = requestKey;
+
+    const urls = buildForecastRunUrls({
+      layerConfig,
+      bounds,
+      zooms: offline.zooms,
+      times: selectPrecacheTimes(capTime.availableTimestamps, offline.maxTimesteps),
+      tileSize: offline.tileSize
+    });
+    if (urls.length === 0) return;
+
+    precacheForecastRun({ runTime, urls }).then((queued) => {
+      // No active service worker yet (dev build or first visit): try again next time
+      if (!queued) lastRequestKey.current = null;
+    });
+  }, [capTime, layerConfig, bounds]);
+};
+
+/**
+ * Offline state for the cached-run banner
+ * @returns {{showingCachedRun: boolean, offline: boolean, cachedRunTime: Date|null, cachedAt: Date|null}}
+ */
+export const useOfflineForecastStatus = () => {
+  const [offline, setOffline] = useState(() => !isOnline());
+  const [servingCache, setServingCache] = useState(false);
+  const [meta, setMeta] = useState(null);
+
+  useEffect(() => {
+    const unsubscribe = onForecastCacheMessage((message) => {
+      switch (message.type) {
+        case MSG_CACHE_STATUS:
+        case MSG_PRECACHE_COMPLETE:
+          setMeta(message.meta);
+          break;
+        case MSG_SERVING_CACHE:
+          setServingCache(true);
+          if (message.meta) setMeta(message.meta);
+          break;
+        case MSG_NETWORK_RESTORED:
+          setServingCache(false);
+          break;
+        default:
+          break;
+      }
+    });
+
+    const handleOffline = () => setOffline(true);
+    const handleOnline = () => setOffline(false);
+    window.addEventListener('offline', handleOffline);
+    window.addEventListener('online', handleOnline);
+
+    requestForecastCacheStatus();
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('offline', handleOffline);
+      window.removeEventListener('online', handleOnline);
+    };
+  }, []);
+
+  return {
+    showingCachedRun: offline || servingCache,
+    offline,
+    cachedRunTime: meta?.runTime ? new Date(meta.runTime) : null,
+    cachedAt: meta?.cachedAt ? new Date(meta.cachedAt) : null
+  };
+};
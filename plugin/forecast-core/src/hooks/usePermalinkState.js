@@ -0,0 +1,289 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  buildPermalinkUrl,
+  decodePermalinkState,
+  findNearestTimeIndex,
+  mergePermalinkSearch,
+  parseLegendRange
+} from '../permalink/permalinkState';
+
+const URL_WRITE_DELAY_MS = 400;
+
+// Restore runs in steps so each one sees the state the previous one produced
+const RESTORE_STEPS = {
+  LAYERS: 'layers',
+  TIME: 'time',
+  POINT: 'point',
+  DONE: 'done'
+};
+
+const findLayer = (layers, value) => {
+  for (const layer of layers || []) {
+    if (layer?.value === value) return layer;
+    const subLayer = layer?.composite && layer.layers?.find((sub) => sub?.value === value);
+    if (subLayer) return subLayer;
+  }
+  return null;
+};
+
+/**
+ * Layer whose colour scale range drives the legend: the layer itself, or the
+ * first sub-layer of a composite that has a range (not the direction arrows)
+ * @returns {Object|null} null when the layer has no adjustable range
+ */
+export const getLegendRangeLayer = (layers, value) => {
+  const layer = (layers || []).find((candidate) => candidate?.value === value) || findLayer(layers, value);
+  if (!layer) return null;
+  if (layer.composite) {
+    return layer.layers?.find((sub) => parseLegendRange(sub?.colorscalerange)) || null;
+  }
+  return parseLegendRange(layer.colorscalerange) ? layer : null;
+};
+
+/**
+ * Point of the open feature-info panel (WMS click or inundation timeseries)
+ * @returns {{lat: number, lon: number}|null}
+ */
+export const getFeatureInfoPoint = (data) => {
+  const lat = Number(data?.latlng?.lat ?? data?.lat);
+  const lon = Number(data?.latlng?.lng ?? data?.lng);
+  if (data?.latlng == null && data?.lat == null) return null;
+  return Number.isFinite(lat) && Number.isFinite(lon) ? { lat, lon } : null;
+};
+
+const readUrlState = () => (
+  typeof window === 'undefined' ? null : decodePermalinkState(window.location.search)
+);
+
+/**
+ * Keep the forecast view in the page URL and restore it on load: selected
+ * layer, active layer set, valid time, opacity, custom legend range, the
+ * clicked feature-info point and the map view.
+ *
+ * The legend range is applied to the layer collection through `updateLayer`
+ * (the widget's updateDynamicLayer), so the map and legend both follow it.
+ *
+ * @param {Object} options
+ * @param {Object} options.mapInstance - Ref to the Leaflet map
+ * @param {Object[]} options.layers - Forecast layers the legend range is applied to
+ * @param {Object[]} [options.allLayers] - Every selectable layer, to validate a linked layer
+ * @param {Function} options.updateLayer - (layerValue, updates) => void
+ * @param {string} options.selectedLayer
+ * @param {Function} options.setSelectedLayer
+ * @param {Object} options.activeLayers - Layer key -> on/off
+ * @param {Function} options.setActiveLayers
+ * @param {Object} options.capTime - From useWMSCapabilities
+ * @param {Date|null} options.currentSliderDate
+ * @param {Function} options.setSliderIndex
+ * @param {number} options.opacity
+ * @param {Function} options.setOpacity
+ * @param {{lat: number, lon: number}|null} [options.point] - Open feature-info point (see getFeatureInfoPoint)
+ * @returns {{legendRange: Object|null, isCustomLegendRange: boolean, setLegendRange: Function,
+ *   resetLegendRange: Function, getPermalink: Function, isRestoring: boolean}}
+ */
+export const usePermalinkState = ({
+  mapInstance,
+  layers,
+  allLayers = layers,
+  updateLayer,
+  selectedLayer,
+  setSelectedLayer,
+  activeLayers,
+  setActiveLayers,
+  capTime,
+  currentSliderDate,
+  setSliderIndex,
+  opacity,
+  setOpacity,
+  point = null
+}) => {
+  const [linked] = useState(readUrlState);
+  const [step, setStep] = useState(linked ? RESTORE_STEPS.LAYERS : RESTORE_STEPS.DONE);
+  const [legendOverride, setLegendOverride] = useState(null);
+
+  const updateLayerRef = useRef(updateLayer);
+  updateLayerRef.current = updateLayer;
+  const defaultRanges = useRef({});
+  const targetLayer = useRef(null);
+  const viewApplied = useRef(false);
+  const writeTimer = useRef(null);
+
+  const rangeLayer = getLegendRangeLayer(layers, selectedLayer);
+  const legendRange = rangeLayer ? parseLegendRange(rangeLayer.colorscalerange) : null;
+  const isCustomLegendRange = Boolean(legendOverride && legendOverride.layer === selectedLayer && rangeLayer);
+
+  // Keep the custom range on its layer, also when the widget rebuilds its layer configs
+  useEffect(() => {
+    if (!legendOverride) return;
+    const target = getLegendRangeLayer(layers, legendOverride.layer);
+    if (!target) return;
+    const range = `${legendOverride.min},${legendOverride.max}`;
+    if (target.colorscalerange === range) return;
+    defaultRanges.current[target.value] = {
+      colorscalerange: target.colorscalerange,
+      activeBeaufortMax: target.activeBeaufortMax
+    };
+    const updates = { colorscalerange: range };
+    // Wave height legends are capped at activeBeaufortMax rather than the range maximum
+    if (Number.isFinite(target.activeBeaufortMax)) updates.activeBeaufortMax = legendOverride.max;
+    updateLayerRef.current(target.value, updates);
+  }, [legendOverride, layers]);
+
+  const restoreDefaultRange = useCallback((layerValue) => {
+    const target = getLegendRangeLayer(layers, layerValue);
+    if (target && target.value in defaultRanges.current) {
+      updateLayerRef.current(target.value, defaultRanges.current[target.value]);
+      delete defaultRanges.current[target.value];
+    }
+  }, [layers]);
+
+  // A custom range belongs to the layer it was set on
+  useEffect(() => {
+    if (legendOverride && legendOverride.layer !== selectedLayer) {
+      restoreDefaultRange(legendOverride.layer);
+      setLegendOverride(null);
+    }
+  }, [legendOverride, selectedLayer, restoreDefaultRange]);
+
+  const setLegendRange = useCallback((range) => {
+    const parsed = range && parseLegendRange(`${range.min},${range.max}`);
+    if (!parsed) return false;
+    setLegendOverride({ layer: selectedLayer, ...parsed });
+    return true;
+  }, [selectedLayer]);
+
+  const resetLegendRange = useCallback(() => {
+    if (!legendOverride) return;
+    restoreDefaultRange(legendOverride.layer);
+    setLegendOverride(null);
+  }, [legendOverride, restoreDefaultRange]);
+
+  // 1. Layers, opacity and legend range
+  useEffect(() => {
+    if (step !== RESTORE_STEPS.LAYERS) return;
+
+    let layer = selectedLayer;
+    if (linked.layer && findLayer(allLayers, linked.layer)) {
+      layer = linked.layer;
+      setSelectedLayer(layer);
+    } else if (linked.layer) {
+      console.warn(`Permalink layer is not available: ${linked.layer}`);
+    }
+    targetLayer.current = layer;
+
+    if (linked.activeLayers) {
+      setActiveLayers((previous) => {
+        const next = {};
+        [...Object.keys(previous), ...linked.activeLayers].forEach((key) => {
+          next[key] = linked.activeLayers.includes(key);
+        });
+        return next;
+      });
+    }
+    if (Number.isFinite(linked.opacity)) setOpacity(linked.opacity);
+    if (linked.legendRange) setLegendOverride({ layer, ...linked.legendRange });
+    setStep(RESTORE_STEPS.TIME);
+  }, [step, linked, allLayers, selectedLayer, setSelectedLayer, setActiveLayers, setOpacity]);
+
+  // 2. Map view, then the valid time once the linked layer's time steps are loaded
+  useEffect(() => {
+    if (step !== RESTORE_STEPS.TIME) return;
+
+    const map = mapInstance?.current;
+    if (linked.view && map && !viewApplied.current) {
+      // Runs after the widget's zoom-to-layer, which the new selection may have triggered
+      map.setView([linked.view.lat, linked.view.lon], linked.view.zoom, { animate: false });
+      viewApplied.current = true;
+    }
+
+    if (selectedLayer !== targetLayer.current || capTime.loading || capTime.layer !== selectedLayer) return;
+    const timestamps = capTime.availableTimestamps || [];
+    let index = -1;
+    if (linked.time) {
+      index = findNearestTimeIndex(timestamps, linked.time);
+    } else if (Number.isInteger(linked.timeIndex) && timestamps.length) {
+      index = Math.min(linked.timeIndex, timestamps.length - 1);
+    }
+    if (index >= 0) setSliderIndex(index);
+    setStep(RESTORE_STEPS.POINT);
+  }, [step, linked, mapInstance, selectedLayer, capTime, setSliderIndex]);
+
+  // 3. Reopen the feature-info panel by replaying the click at the linked point
+  useEffect(() => {
+    if (step !== RESTORE_STEPS.POINT) return;
+    const map = mapInstance?.current;
+    if (linked.point && map) {
+      const latlng = map.wrapLatLng([linked.point.lat, linked.point.lon]);
+      map.fire('click', {
+        latlng,
+        layerPoint: map.latLngToLayerPoint(latlng),
+        containerPoint: map.latLngToContainerPoint(latlng)
+      });
+    }
+    setStep(RESTORE_STEPS.DONE);
+  }, [step, linked, mapInstance]);
+
+  const stateRef = useRef(null);
+  stateRef.current = {
+    layer: selectedLayer,
+    activeLayers: Object.keys(activeLayers || {}).filter((key) => activeLayers[key]),
+    time: currentSliderDate,
+    opacity,
+    legendRange: isCustomLegendRange ? { min: legendOverride.min, max: legendOverride.max } : null,
+    point
+  };
+
+  const getPermalinkState = useCallback(() => {
+    const map = mapInstance?.current;
+    let view = null;
+    try {
+      const center = map?.getCenter();
+      if (center) view = { lat: center.lat, lon: center.lng, zoom: map.getZoom() };
+    } catch {
+      // Map view not set yet
+    }
+    return { ...stateRef.current, view };
+  }, [mapInstance]);
+
+  const getPermalink = useCallback(() => buildPermalinkUrl(getPermalinkState()), [getPermalinkState]);
+
+  const scheduleUrlWrite = useCallback(() => {
+    window.clearTimeout(writeTimer.current);
+    writeTimer.current = window.setTimeout(() => {
+      const search = mergePermalinkSearch(window.location.search, getPermalinkState());
+      if (search !== window.location.search) {
+        window.history.replaceState(window.history.state, '', `${window.location.pathname}${search}${window.location.hash}`);
+      }
+    }, URL_WRITE_DELAY_MS);
+  }, [getPermalinkState]);
+
+  // Mirror the view into the URL once the linked state (if any) is restored
+  const restoring = step !== RESTORE_STEPS.DONE;
+  const activeKey = stateRef.current.activeLayers.join(',');
+  const timeKey = currentSliderDate ? new Date(currentSliderDate).getTime() : null;
+  const rangeKey = stateRef.current.legendRange ? `${legendOverride.min},${legendOverride.max}` : '';
+  const pointKey = point ? `${point.lat},${point.lon}` : '';
+  useEffect(() => {
+    if (!restoring) scheduleUrlWrite();
+  }, [restoring, scheduleUrlWrite, selectedLayer, activeKey, timeKey, opacity, rangeKey, pointKey]);
+
+  useEffect(() => {
+    const map = mapInstance?.current;
+    if (!map || restoring) return undefined;
+    map.on('moveend', scheduleUrlWrite);
+    return () => map.off('moveend', scheduleUrlWrite);
+  }, [mapInstance, restoring, scheduleUrlWrite]);
+
+  useEffect(() => () => window.clearTimeout(writeTimer.current), []);
+
+  return {
+    legendRange,
+    isCustomLegendRange,
+    setLegendRange,
+    resetLegendRange,
+    getPermalink,
+    isRestoring: restoring
+  };
+};
+
+export default usePermalinkState;
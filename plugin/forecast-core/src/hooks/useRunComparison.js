@@ -0,0 +1,156 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { getCountryConfig } from '../config/countryConfig';
+import {
+  COMPARISON_MODES,
+  fetchRunTimes,
+  findMatchingTime,
+  getDifferenceScale,
+  getPreviousRunUrl,
+  renderDifferenceView,
+  renderPreviousRunView
+} from '../compare/runComparison';
+import { RunComparisonOverlay } from '../compare/RunComparisonOverlay';
+
+const RENDER_DEBOUNCE_MS = 250;
+
+/**
+ * Compare the latest forecast run with the previous model cycle on the map.
+ * missingPreviousRun flags a comparable layer whose previous run is not in the country config.
+ * @param {Object} options
+ * @param {Object} options.mapInstance - Ref to the Leaflet map
+ * @param {Object} options.layer - Selected layer config (value, wmsUrl)
+ * @param {Date} options.currentSliderDate - Valid time on screen
+ * @returns {{mode: string, setMode: Function, swipePosition: number, setSwipePosition: Function,
+ *   available: boolean, missingPreviousRun: boolean, loading: boolean, error: string|null,
+ *   previousRun: Object|null, matchingTime: Date|null, stats: Object|null, scale: Object}}
+ */
+export const useRunComparison = ({ mapInstance, layer, currentSliderDate }) => {
+  const [mode, setMode] = useState(COMPARISON_MODES.OFF);
+  const [swipePosition, setSwipePosition] = useState(0.5);
+  const [previousRun, setPreviousRun] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [stats, setStats] = useState(null);
+  const overlay = useRef(null);
+
+  const { runComparison } = getCountryConfig();
+  const layerName = layer?.value;
+  const wmsUrl = layer?.wmsUrl;
+  const previousUrl = useMemo(() => getPreviousRunUrl(wmsUrl), [wmsUrl]);
+  const comparable = Boolean(runComparison.enabled && layerName && !layer?.isStatic);
+  const available = comparable && Boolean(previousUrl);
+  const active = available && mode !== COMPARISON_MODES.OFF;
+  const matchingTime = previousRun ? findMatchingTime(previousRun.times, currentSliderDate) : null;
+
+  // Previous run time steps, once per layer while comparing
+  useEffect(() => {
+    setPreviousRun(null);
+    if (!active) return undefined;
+
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+    fetchRunTimes(previousUrl, layerName, { signal: controller.signal })
+      .then(setPreviousRun)
+      .catch((fetchError) => {
+        if (fetchError.name === 'AbortError') return;
+        console.warn('Previous forecast run is not available:', fetchError.message);
+        setError('The previous model run is not available for this layer.');
+      })
+      .finally(() => setLoading(false));
+
+    return () => controller.abort();
+  }, [active, previousUrl, layerName]);
+
+  // Render the comparison view for the map extent and valid time on screen
+  useEffect(() => {
+    const map = mapInstance?.current;
+    if (!active || !map || !previousRun) return undefined;
+
+    if (!overlay.current) overlay.current = new RunComparisonOverlay(map);
+    const target = overlay.current;
+    if (!matchingTime) {
+      target.clear();
+      setStats(null);
+      setError('The previous model run does not cover this time step.');
+      return undefined;
+    }
+
+    let controller = null;
+    let timer = null;
+    const render = () => {
+      controller?.abort();
+      controller = new AbortController();
+      const { signal } = controller;
+      setLoading(true);
+
+      const rendering = mode === COMPARISON_MODES.DIFFERENCE
+        ? renderDifferenceView({ map, wmsUrl, layerName, time: matchingTime, signal })
+        : renderPreviousRunView({ map, time: matchingTime, signal }).then((canvas) => ({ canvas, stats: null }));
+
+      rendering
+        .then((view) => {
+          if (signal.aborted) return;
+          target.show(view.canvas);
+          setStats(view.stats);
+          setError(null);
+        })
+        .catch((renderError) => {
+          if (signal.aborted || renderError.name === 'AbortError') return;
+          console.error('Run comparison failed:', renderError);
+          target.clear();
+          setError(renderError.message);
+        })
+        .finally(() => {
+          if (!signal.aborted) setLoading(false);
+        });
+    };
+    const scheduleRender = () => {
+      clearTimeout(timer);
+      timer = setTimeout(render, RENDER_DEBOUNCE_MS);
+    };
+
+    render();
+    map.on('moveend', scheduleRender);
+    return () => {
+      map.off('moveend', scheduleRender);
+      clearTimeout(timer);
+      controller?.abort();
+    };
+  }, [active, mode, mapInstance, previousRun, matchingTime, wmsUrl, layerName]);
+
+  useEffect(() => {
+    overlay.current?.setSwipe(active && mode === COMPARISON_MODES.SWIPE ? swipePosition : null);
+  }, [active, mode, swipePosition, previousRun]);
+
+  // Drop the overlay when comparison is switched off or the layer has no previous run
+  useEffect(() => {
+    if (active) return;
+    overlay.current?.remove();
+    overlay.current = null;
+    setStats(null);
+    setError(null);
+  }, [active]);
+
+  useEffect(() => () => overlay.current?.remove(), []);
+
+  const selectMode = useCallback((nextMode) => {
+    setMode(nextMode);
+    setStats(null);
+  }, []);
+
+  return {
+    mode: available ? mode : COMPARISON_MODES.OFF,
+    setMode: selectMode,
+    swipePosition,
+    setSwipePosition,
+    available,
+    missingPreviousRun: comparable && !previousUrl,
+    loading,
+    error,
+    previousRun,
+    matchingTime,
+    stats,
+    scale: getDifferenceScale(layerName || '')
+  };
+};
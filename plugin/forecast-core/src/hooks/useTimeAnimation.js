@@ -1,11 +1,10 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
-import { MARINE_CONFIG } from '../config/marineVariables.js';
-import { isRasterSourceLayer } from '../config/layerConfig';
-import SfincsRasterService from '../services/SfincsRasterService';
+import { getCountryConfig } from '../config/countryConfig';
 
-const SFINCS_PRELOAD_COUNT = 8;
-const SFINCS_FRAME_INTERVAL_MS = 2000;
-const SFINCS_MAX_CACHED_FRAMES = 12;
+const RASTER_PRELOAD_COUNT = 8;
+const RASTER_FRAME_INTERVAL_MS = 2000;
+const RASTER_MAX_CACHED_FRAMES = 12;
+const MS_IN_DAY = 24 * 60 * 60 * 1000;
 
 const clampIndex = (index, max, min = 0) => {
   const numericIndex = Number(index);
@@ -23,6 +22,79 @@ const clampIndex = (index, max, min = 0) => {
 };
 const isValidDate = (value) => value instanceof Date && !Number.isNaN(value.getTime());
 
+/**
+ * Index of the latest timestamp not after now (the first one if all are in the future)
+ */
+const getClosestToNowIndex = (timestamps, totalSteps) => {
+  const now = Date.now();
+
+  // Find the first timestamp that is >= now, or use the last one if all are in the past
+  const idx = timestamps.findIndex(t => t.getTime() >= now);
+  let initialIndex;
+
+  if (idx === -1) {
+    // All timestamps are in the past, use the last one (most recent)
+    initialIndex = timestamps.length - 1;
+  } else if (idx > 0) {
+    // Found a future timestamp, but use the one just before it (most recent past/current)
+    initialIndex = idx - 1;
+  } else {
+    // The first timestamp is in the future, use it
+    initialIndex = 0;
+  }
+
+  initialIndex = Math.max(0, Math.min(initialIndex, totalSteps));
+
+  console.log(`🎯 Slider Initialization (closest to now):`);
+  console.log(`   Current time: ${new Date().toISOString()}`);
+  console.log(`   Using index: ${initialIndex} / ${totalSteps}`);
+  console.log(`   Selected time: ${timestamps[initialIndex]?.toISOString()}`);
+  console.log(`   First available: ${timestamps[0]?.toISOString()}`);
+  console.log(`   Last available: ${timestamps[timestamps.length - 1]?.toISOString()}`);
+  return initialIndex;
+};
+
+/**
+ * Index SLIDER_LOOKBACK_DAYS before the last available step
+ */
+const getLookbackIndex = (capTime, totalSteps, offsetDays) => {
+  if (capTime.availableTimestamps && capTime.availableTimestamps.length > 0) {
+    const timestamps = capTime.availableTimestamps;
+    const last = timestamps[timestamps.length - 1];
+    const targetTime = new Date(last.getTime() - offsetDays * MS_IN_DAY);
+
+    // Find first index >= targetTime; if none, use 0
+    let idx = timestamps.findIndex(t => t.getTime() >= targetTime.getTime());
+    if (idx === -1) {
+      idx = 0;
+    }
+    const initialIndex = Math.max(0, Math.min(idx, totalSteps));
+
+    console.log(`🎯 Slider Initialization (last-${offsetDays}days):`);
+    console.log(`   Last time: ${last.toISOString()}`);
+    console.log(`   Target time (last-${offsetDays}d): ${targetTime.toISOString()}`);
+    console.log(`   Using index: ${initialIndex}/${timestamps.length - 1}`);
+    console.log(`   Selected time: ${timestamps[initialIndex]?.toISOString()}`);
+    return initialIndex;
+  }
+
+  if (capTime.start && capTime.end && capTime.stepHours) {
+    const stepMs = (capTime.stepHours || 6) * 60 * 60 * 1000;
+    const targetTime = new Date(capTime.end.getTime() - offsetDays * MS_IN_DAY);
+    const rawIndex = Math.round((targetTime.getTime() - capTime.start.getTime()) / stepMs);
+    const initialIndex = Math.max(0, Math.min(rawIndex, totalSteps));
+
+    console.log(`🎯 Slider Initialization (computed from start/end/step):`);
+    console.log(`   Start: ${capTime.start.toISOString()}`);
+    console.log(`   End: ${capTime.end.toISOString()}`);
+    console.log(`   Target (last-${offsetDays}d): ${targetTime.toISOString()}`);
+    console.log(`   Using index: ${initialIndex}/${totalSteps}`);
+    return initialIndex;
+  }
+
+  return null;
+};
+
 /**
  * A+ Time Animation Hook with Adaptive Timing and Frame Buffering
  * Features:
@@ -30,6 +102,9 @@ const isValidDate = (value) => value instanceof Date && !Number.isNaN(value.getT
  * - Frame buffering for smooth animation
  * - Performance monitoring and optimization
  * - Graceful error handling and recovery
+ *
+ * The starting step follows the country's timeAnimation.initialPosition;
+ * layers claimed by the country's rasterSource animate from cached frames.
  */
 export const useTimeAnimation = (
   capTime,
@@ -59,7 +134,8 @@ export const useTimeAnimation = (
   // Calculate total steps from capTime
   const totalSteps = capTime.totalSteps || 0;
   const frameCount = totalSteps + 1;
-  const isRasterAnimation = isRasterSourceLayer(selectedLayerConfig);
+  const { rasterSource } = getCountryConfig();
+  const isRasterAnimation = Boolean(rasterSource?.isRasterLayer(selectedLayerConfig));
   const rasterCacheSignature = isRasterAnimation && selectedLayerConfig
     ? [
         selectedLayerConfig.value,
@@ -113,7 +189,7 @@ export const useTimeAnimation = (
       return rasterFramePromises.current.get(cacheKey);
     }
 
-    const rasterService = new SfincsRasterService(selectedLayerConfig.apiBase);
+    const rasterService = getCountryConfig().rasterSource.createService(selectedLayerConfig);
 
     const loadPromise = new Promise((resolve) => {
       rasterService.preloadFrame({
@@ -142,7 +218,7 @@ export const useTimeAnimation = (
   }, [isRasterAnimation, selectedLayerConfig, frameCount, rasterCacheSignature, inundationCategories, inundationMinDepth, inundationResampleColors]);
 
   const evictRasterFrames = useCallback((focusIndex) => {
-    if (!isRasterAnimation || rasterFrameCache.current.size <= SFINCS_MAX_CACHED_FRAMES || frameCount <= 0) {
+    if (!isRasterAnimation || rasterFrameCache.current.size <= RASTER_MAX_CACHED_FRAMES || frameCount <= 0) {
       return;
     }
 
@@ -160,7 +236,7 @@ export const useTimeAnimation = (
       return distA - distB;
     });
 
-    const keep = new Set(entries.slice(0, SFINCS_MAX_CACHED_FRAMES).map(([cacheKey]) => cacheKey));
+    const keep = new Set(entries.slice(0, RASTER_MAX_CACHED_FRAMES).map(([cacheKey]) => cacheKey));
     entries.forEach(([cacheKey]) => {
       if (!keep.has(cacheKey)) {
         rasterFrameCache.current.delete(cacheKey);
@@ -176,7 +252,7 @@ export const useTimeAnimation = (
     setIsBuffering(true);
     const jobs = [];
 
-    for (let i = 0; i < Math.min(SFINCS_PRELOAD_COUNT, frameCount); i++) {
+    for (let i = 0; i < Math.min(RASTER_PRELOAD_COUNT, frameCount); i++) {
       const index = (startIndex + i) % frameCount;
       const cacheKey = `${rasterCacheSignature}:${index}`;
       if (!rasterFrameCache.current.has(cacheKey)) {
@@ -204,7 +280,7 @@ export const useTimeAnimation = (
 
   // Performance monitoring and adaptive speed calculation
   const calculateOptimalSpeed = useCallback(() => {
-    if (isRasterAnimation) return SFINCS_FRAME_INTERVAL_MS;
+    if (isRasterAnimation) return RASTER_FRAME_INTERVAL_MS;
     if (frameLoadTimes.current.length < 3) return 3000; // Default for first few frames
     
     const avgLoadTime = frameLoadTimes.current.reduce((a, b) => a + b, 0) / frameLoadTimes.current.length;
@@ -276,47 +352,48 @@ export const useTimeAnimation = (
     setIsBuffering(false);
   }, [totalSteps, isBuffering, capTime.availableTimestamps]); // Stable dependencies
 
-  // Reset slider when capabilities change - Initialize to (last available - 7 days)
+  // Reset slider when capabilities change - Initialize per the country's initialPosition
   useEffect(() => {
     if (!capTime.loading && totalSteps > 0) {
-      let initialIndex = isRasterAnimation ? 0 : MARINE_CONFIG.DEFAULT_SLIDER_INDEX;
+      const { marine, timeAnimation } = getCountryConfig();
+      const fallbackIndex = Math.min(marine.DEFAULT_SLIDER_INDEX, totalSteps);
+      let initialIndex = isRasterAnimation ? 0 : fallbackIndex;
+      let lockedMinIndex = 0;
       
       if (isRasterAnimation) {
         initialIndex = 0;
         console.log(`🎯 Raster slider initialization: starting at frame ${initialIndex}`);
+      } else if (timeAnimation.initialPosition === 'lookback') {
+        try {
+          const lookbackIndex = getLookbackIndex(
+            {
+              availableTimestamps: capTime.availableTimestamps,
+              start: capTime.start,
+              end: capTime.end,
+              stepHours: capTime.stepHours
+            },
+            totalSteps,
+            marine.SLIDER_LOOKBACK_DAYS
+          );
+          if (lookbackIndex === null) {
+            console.log(`🎯 Slider Initialization (fallback config index): ${initialIndex}`);
+          } else {
+            initialIndex = lookbackIndex;
+          }
+        } catch (e) {
+          console.warn('⚠️ Error determining initial slider index, using fallback.', e);
+          initialIndex = fallbackIndex;
+        }
+        lockedMinIndex = initialIndex; // Prevent sliding earlier than the lookback window
       } else if (capTime.availableTimestamps && capTime.availableTimestamps.length > 0) {
         // If we have timestamps, try to find the one closest to "now" (or slightly in the past)
-        const timestamps = capTime.availableTimestamps;
-        const now = Date.now();
-        
-        // Find the first timestamp that is >= now, or use the last one if all are in the past
-        let idx = timestamps.findIndex(t => t.getTime() >= now);
-        
-        if (idx === -1) {
-          // All timestamps are in the past, use the last one (most recent)
-          initialIndex = timestamps.length - 1;
-        } else if (idx > 0) {
-          // Found a future timestamp, but use the one just before it (most recent past/current)
-          initialIndex = idx - 1;
-        } else {
-          // The first timestamp is in the future, use it
-          initialIndex = 0;
-        }
-        
-        initialIndex = Math.max(0, Math.min(initialIndex, totalSteps));
-        
-        console.log(`🎯 Slider Initialization (closest to now):`);
-        console.log(`   Current time: ${new Date().toISOString()}`);
-        console.log(`   Using index: ${initialIndex} / ${totalSteps}`);
-        console.log(`   Selected time: ${timestamps[initialIndex]?.toISOString()}`);
-        console.log(`   First available: ${timestamps[0]?.toISOString()}`);
-        console.log(`   Last available: ${timestamps[timestamps.length - 1]?.toISOString()}`);
+        initialIndex = getClosestToNowIndex(capTime.availableTimestamps, totalSteps);
       } else {
         console.log(`🎯 Slider Initialization (using config default): ${initialIndex}`);
       }
 
       setSliderIndex(initialIndex);
-      setMinIndex(0);
+      setMinIndex(lockedMinIndex);
       setIsPlaying(false);
 
       // Reset performance tracking and buffer
@@ -325,7 +402,7 @@ export const useTimeAnimation = (
       rasterFrameCache.current.clear();
       rasterFramePromises.current.clear();
       animationQuality.current = 'high';
-      setAnimationSpeed(isRasterAnimation ? SFINCS_FRAME_INTERVAL_MS : 3000);
+      setAnimationSpeed(isRasterAnimation ? RASTER_FRAME_INTERVAL_MS : 3000);
     }
   }, [capTime.loading, totalSteps, capTime.availableTimestamps, capTime.start, capTime.end, capTime.stepHours, isRasterAnimation, selectedLayerConfig, rasterCacheSignature]);
 
@@ -362,7 +439,7 @@ export const useTimeAnimation = (
           setIsBuffering(false);
           return nextIndex;
         });
-      }, SFINCS_FRAME_INTERVAL_MS);
+      }, RASTER_FRAME_INTERVAL_MS);
 
       return () => {
         clearInterval(animationFrameId);
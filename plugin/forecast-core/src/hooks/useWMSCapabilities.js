@@ -1,9 +1,12 @@
 import { useState, useEffect } from 'react';
-import { MARINE_CONFIG } from '../config/marineVariables';
+import { getCountryConfig } from '../config/countryConfig';
+import capabilitiesCache from '../utils/CapabilitiesCache';
+import { buildCapabilitiesUrl } from '../offline/forecastRequests';
 
 /**
  * Hook for fetching and managing WMS capabilities
- * Handles time dimension parsing and capability metadata
+ * Handles time dimension parsing and capability metadata, with optional caching
+ * and the country's raster source (e.g. SFINCS frames) in place of WMS
  */
 export const useWMSCapabilities = (selectedLayer, allLayers) => {
   const [capTime, setCapTime] = useState({ 
@@ -15,8 +18,15 @@ export const useWMSCapabilities = (selectedLayer, allLayers) => {
   });
 
   useEffect(() => {
+    // Results are tagged with their layer; a late response for a previous selection is dropped
+    let cancelled = false;
+    const setLayerCapTime = (next) => {
+      if (cancelled) return;
+      setCapTime((prev) => ({ ...(typeof next === 'function' ? next(prev) : next), layer: selectedLayer }));
+    };
+
     async function fetchCapabilities() {
-      setCapTime((prev) => ({ ...prev, loading: true }));
+      setLayerCapTime((prev) => ({ ...prev, loading: true }));
       try {
         // First try to find layer directly
         let selectedLayerConfig = allLayers.find(l => l.value === selectedLayer);
@@ -36,18 +46,46 @@ export const useWMSCapabilities = (selectedLayer, allLayers) => {
         }
         
         console.log(`🔍 Fetching capabilities for layer: ${selectedLayer}`);
+
+        const { rasterSource } = getCountryConfig();
+        if (rasterSource?.isRasterLayer(selectedLayerConfig)) {
+          const rasterService = rasterSource.createService(selectedLayerConfig);
+          const [metadata, availableTimestamps] = await Promise.all([
+            rasterService.loadMetadata(),
+            rasterService.loadTimesteps()
+          ]);
+
+          const stepHours = getStepHoursFromTimestamps(availableTimestamps) || 1;
+          const start = availableTimestamps[0] || new Date();
+          const end = availableTimestamps[availableTimestamps.length - 1] || start;
+
+          setLayerCapTime({
+            loading: false,
+            start,
+            end,
+            stepHours,
+            totalSteps: Math.max(availableTimestamps.length - 1, 0),
+            availableTimestamps,
+            originalStart: start,
+            metadata,
+            sourceType: selectedLayerConfig.sourceType
+          });
+          return;
+        }
         
         // Skip capabilities fetch for static layers
         if (selectedLayerConfig?.isStatic) {
           console.log(`⏭️ Skipping capabilities for static layer: ${selectedLayer}`);
-          setCapTime({
+          setLayerCapTime({
             loading: false,
             start: new Date(),
             end: new Date(),
             stepHours: 1,
             totalSteps: 0,
             availableTimestamps: [],
-            originalStart: new Date() // Add for consistency
+            originalStart: new Date(), // Add for consistency
+            metadata: null,
+            sourceType: selectedLayerConfig?.sourceType || 'wms'
           });
           return;
         }
@@ -56,7 +94,7 @@ export const useWMSCapabilities = (selectedLayer, allLayers) => {
         let capsLayer = selectedLayerConfig;
         if (selectedLayerConfig?.composite) {
           // For composite layers, find the appropriate sub-layer for capabilities
-          // If we're looking for a specific sub-layer (like tuvalu_forecast/hs), use that
+          // If we're looking for a specific sub-layer (like cook_forecast/hs), use that
           const requestedSubLayer = selectedLayerConfig.layers?.find(sub => sub?.value === selectedLayer);
           if (requestedSubLayer) {
             capsLayer = requestedSubLayer;
@@ -80,25 +118,17 @@ export const useWMSCapabilities = (selectedLayer, allLayers) => {
         }
         
         const isThreddsServer = capsLayer.wmsUrl.includes('thredds');
-        const buildCapabilitiesUrl = (baseUrl) => {
-          if (!baseUrl) return baseUrl;
-          let normalizedUrl = baseUrl;
-          
-          if (!normalizedUrl.toLowerCase().includes('request=getcapabilities')) {
-            normalizedUrl += (normalizedUrl.includes('?') ? '&' : '?') + 'SERVICE=WMS&REQUEST=GetCapabilities&VERSION=1.3.0';
-          }
-          return normalizedUrl;
-        };
-        
         // BYPASS PROXY: Always use direct THREDDS URL
         const directCapabilitiesUrl = buildCapabilitiesUrl(capsLayer.wmsUrl);
         const urlCandidates = [directCapabilitiesUrl];
         console.log(`📋 Using direct THREDDS capabilities URL (proxy bypassed):`, directCapabilitiesUrl);
         
-        let xml = null;
+        // Check cache first (avoids redundant capabilities downloads)
+        const { cacheTtl } = getCountryConfig().capabilities;
+        let xml = cacheTtl > 0 ? capabilitiesCache.get(directCapabilitiesUrl) : null;
         let lastFetchError = null;
         
-        for (const candidateUrl of urlCandidates.filter(Boolean)) {
+        for (const candidateUrl of xml ? [] : urlCandidates.filter(Boolean)) {
           try {
             if (isThreddsServer) {
               console.log(`🌐 Fetching THREDDS capabilities from: ${candidateUrl}`);
@@ -113,6 +143,9 @@ export const useWMSCapabilities = (selectedLayer, allLayers) => {
             
             xml = await res.text();
             console.log(`✅ Successfully fetched capabilities from: ${candidateUrl}`);
+            if (cacheTtl > 0) {
+              capabilitiesCache.set(directCapabilitiesUrl, xml, cacheTtl);
+            }
             break; // Success
           } catch (error) {
             console.error(`⚠️ Capabilities request failed for ${candidateUrl}: ${error.message}`);
@@ -137,7 +170,7 @@ export const useWMSCapabilities = (selectedLayer, allLayers) => {
           }
           
           // For layers without time dimension, treat as static
-          setCapTime({
+          setLayerCapTime({
             loading: false,
             start: new Date(),
             end: new Date(),
@@ -164,18 +197,20 @@ export const useWMSCapabilities = (selectedLayer, allLayers) => {
         
         console.log(`⏰ Time Range: ${start?.toISOString()} to ${end?.toISOString()}, Total Steps: ${newTotalSteps}`);
         
-        setCapTime({
+        setLayerCapTime({
           loading: false,
           start: start || new Date(),
           end: end || new Date(),
           stepHours: stepHours || 6,
           totalSteps: newTotalSteps,
           availableTimestamps: availableTimestamps || [],
-          originalStart: originalStart || start || new Date() // Store original model run time
+          originalStart: originalStart || start || new Date(), // Store original model run time
+          metadata: null,
+          sourceType: 'wms'
         });
       } catch (error) {
         console.error("Error fetching capabilities:", error.message);
-        setCapTime((prev) => ({ ...prev, loading: false }));
+        setLayerCapTime((prev) => ({ ...prev, loading: false }));
       }
     }
 
@@ -193,15 +228,32 @@ export const useWMSCapabilities = (selectedLayer, allLayers) => {
         originalStart: new Date()
       });
     }
+
+    return () => {
+      cancelled = true;
+    };
   }, [selectedLayer, allLayers]);
 
   return capTime;
 };
 
+const getStepHoursFromTimestamps = (timestamps) => {
+  if (!Array.isArray(timestamps) || timestamps.length < 2) {
+    return 1;
+  }
+
+  const firstStepMs = timestamps[1].getTime() - timestamps[0].getTime();
+  if (!Number.isFinite(firstStepMs) || firstStepMs <= 0) {
+    return 1;
+  }
+
+  return firstStepMs / (60 * 60 * 1000);
+};
+
 // Helper functions (move these from the main file)
 const WMS_NAMESPACE = 'http://www.opengis.net/wms';
 
-const parseTimeDimensionFromCapabilities = (xml, layerName) => {
+export const parseTimeDimensionFromCapabilities = (xml, layerName) => {
   try {
     // Use requestIdleCallback for better performance if available
     const parseWork = () => {
@@ -288,10 +340,11 @@ const parseTimeDimensionFromCapabilities = (xml, layerName) => {
   }
 };
 
-const getTimeRangeFromDimension = (timeDimString) => {
+export const getTimeRangeFromDimension = (timeDimString) => {
   if (!timeDimString) return null;
   
   // ✅ Configuration: Skip warm-up period (model initialization with unreliable data)
+  const { marine: MARINE_CONFIG, capabilities } = getCountryConfig();
   const WARMUP_DAYS = MARINE_CONFIG.WARMUP_DAYS;
   const ENABLE_WARMUP_SKIP = MARINE_CONFIG.ENABLE_WARMUP_SKIP;
   
@@ -307,21 +360,27 @@ const getTimeRangeFromDimension = (timeDimString) => {
         .sort((a, b) => a.getTime() - b.getTime());
       
       if (validTimestamps.length > 0) {
-        // ✅ Infer model run time: First timestamp might be +6h forecast, not model run (T+0)
-        // Calculate step size from first two timestamps
-        let stepMillis = 6 * 60 * 60 * 1000; // Default 6 hours
-        if (validTimestamps.length > 1) {
-          stepMillis = validTimestamps[1].getTime() - validTimestamps[0].getTime();
-        }
-        
-        // Model run time = first available timestamp - step size
         const firstAvailable = validTimestamps[0];
-        const inferredModelRunTime = new Date(firstAvailable.getTime() - stepMillis);
+        let modelRunTime = firstAvailable;
         
-        console.log(`🎯 Inferring model run time:`);
-        console.log(`   First available: ${firstAvailable.toISOString()}`);
-        console.log(`   Step size: ${stepMillis / (60 * 60 * 1000)} hours`);
-        console.log(`   Inferred model run: ${inferredModelRunTime.toISOString()}`);
+        if (capabilities.inferModelRunTime) {
+          // ✅ Infer model run time: First timestamp might be +6h forecast, not model run (T+0)
+          // Calculate step size from first two timestamps
+          let stepMillis = 6 * 60 * 60 * 1000; // Default 6 hours
+          if (validTimestamps.length > 1) {
+            stepMillis = validTimestamps[1].getTime() - validTimestamps[0].getTime();
+          }
+          
+          // Model run time = first available timestamp - step size
+          modelRunTime = new Date(firstAvailable.getTime() - stepMillis);
+          
+          console.log(`🎯 Inferring model run time:`);
+          console.log(`   First available: ${firstAvailable.toISOString()}`);
+          console.log(`   Step size: ${stepMillis / (60 * 60 * 1000)} hours`);
+          console.log(`   Inferred model run: ${modelRunTime.toISOString()}`);
+        } else {
+          console.log(`🎯 Using first available timestamp as start: ${firstAvailable.toISOString()}`);
+        }
         
         const originalStart = firstAvailable; // For warm-up calculations, use first available
         const originalEnd = validTimestamps[validTimestamps.length - 1];
@@ -361,7 +420,7 @@ const getTimeRangeFromDimension = (timeDimString) => {
           end: originalEnd,
           step: 'PT1H', // Default step
           availableTimestamps: filteredTimestamps,
-          originalStart: inferredModelRunTime, // ✅ Use inferred model run time (T+0)
+          originalStart: modelRunTime, // ✅ Model run time (T+0)
           warmupDays: ENABLE_WARMUP_SKIP ? WARMUP_DAYS : 0,
           warmupSkipped: ENABLE_WARMUP_SKIP && filteredTimestamps.length < validTimestamps.length
         };
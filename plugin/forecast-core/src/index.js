@@ -0,0 +1,184 @@
+/**
+ * @ocean-plugin/forecast-core
+ *
+ * Forecast map core shared by the country widgets (Niue, Cook Islands, Tuvalu).
+ * Register the country config before anything else is imported from here:
+ *
+ *   configureForecastCore(CountryConfig);
+ */
+
+// Country configuration
+export {
+  DEFAULT_COUNTRY_CONFIG,
+  configureForecastCore,
+  getCountryConfig,
+  onCountryConfigChange,
+  lookupByVariable
+} from './config/countryConfig';
+
+// Services
+export { default as wmsTileLoadingService } from './services/WMSTileLoadingService';
+export {
+  MapClickHandler,
+  SafeLayerDetector,
+  WMSCoordinateCalculator,
+  FeatureInfoStateManager
+} from './services/MapClickHandler';
+export * as LegendRangeCalculator from './services/LegendRangeCalculator';
+
+// Styling and visualization
+export {
+  default as wmsStyleManager,
+  WMSStyleManager,
+  WMSStylePresets,
+  WMSColorPalettes,
+  applyStylePresetOverrides
+} from './utils/WMSStyleManager';
+export { default as WorldClassVisualization } from './utils/WorldClassVisualization';
+export { default as capabilitiesCache } from './utils/CapabilitiesCache';
+export {
+  DynamicVisualizationManager,
+  dynamicVisualizationManager
+} from './utils/DynamicVisualizationManager';
+export {
+  IntelligentVisualizationSystem,
+  intelligentVisualizationSystem,
+  StatisticalUtils
+} from './utils/IntelligentVisualizationSystem';
+export {
+  HistogramAdaptiveVisualization,
+  histogramAdaptiveVisualization
+} from './utils/HistogramAdaptiveVisualization';
+
+// Hooks
+export { useWMSCapabilities } from './hooks/useWMSCapabilities';
+export { useTimeAnimation } from './hooks/useTimeAnimation';
+export { useForecastPrecache, useOfflineForecastStatus } from './hooks/useOfflineForecast';
+export { useAnimationExport } from './hooks/useAnimationExport';
+export { useRunComparison } from './hooks/useRunComparison';
+export {
+  usePermalinkState,
+  getFeatureInfoPoint,
+  getLegendRangeLayer
+} from './hooks/usePermalinkState';
+
+// Offline cache (the service worker itself is imported from './offline/forecastServiceWorker')
+export {
+  registerForecastServiceWorker,
+  precacheForecastRun,
+  requestForecastCacheStatus,
+  onForecastCacheMessage
+} from './offline/offlineClient';
+export {
+  buildForecastRunUrls,
+  buildCapabilitiesUrl,
+  getForecastCacheKey,
+  selectPrecacheTimes
+} from './offline/forecastRequests';
+
+// Animation export (GIF/WebM)
+export {
+  ANIMATION_FORMATS,
+  renderForecastAnimation,
+  selectAnimationTimes,
+  getAnimationFilename,
+  isWebmExportSupported
+} from './export/forecastAnimation';
+export { GifEncoder } from './export/gifEncoder';
+
+// Point forecast export (CSV/XLSX/CoverageJSON)
+export {
+  EXPORT_FORMATS,
+  buildPointForecastTable,
+  createPointForecastExport,
+  getExportFilename,
+  resolveExportLocation,
+  toCoverageJson,
+  toCsv,
+  toXlsx
+} from './export/pointForecastExport';
+export { createXlsxWorkbook } from './export/xlsxWriter';
+export { downloadBlob } from './export/download';
+
+// Run comparison (latest vs previous model cycle)
+export {
+  COMPARISON_MODES,
+  PREVIOUS_RUN_NOT_CONFIGURED,
+  getPreviousRunUrl,
+  fetchRunTimes,
+  findMatchingTime
+} from './compare/runComparison';
+
+// Buoy validation (observed wave buoy vs point forecast)
+export {
+  OBSERVED_QUANTITIES,
+  fetchWaveBuoys,
+  findNearestBuoy,
+  fetchBuoyObservations,
+  fetchNearbyBuoyObservations,
+  parseObservationRows,
+  pairWithForecast,
+  summarizeErrors,
+  runningErrors,
+  buildBuoyValidation
+} from './validation/buoyValidation';
+
+// Directional wave spectrum and wave rose (Spotter buoys)
+export {
+  momentDirection,
+  momentSpread,
+  spreadingFunction,
+  directionalSpectrum,
+  waveRose,
+  ROSE_HEIGHT_CLASSES,
+  ROSE_SECTORS
+} from './waves/directional';
+
+// Permalinks (versioned URL state of the forecast view)
+export {
+  PERMALINK_VERSION,
+  PERMALINK_PARAMS,
+  encodePermalinkState,
+  decodePermalinkState,
+  mergePermalinkSearch,
+  buildPermalinkUrl,
+  findNearestTimeIndex,
+  parseLegendRange
+} from './permalink/permalinkState';
+
+// Data sources (THREDDS ncWMS, GeoServer and Zarr behind one interface)
+export {
+  DataSource,
+  DATA_SOURCE_CAPABILITIES,
+  createDataSourceError,
+  filterTimes
+} from './datasource/DataSource';
+export {
+  WmsDataSource,
+  parseWmsCapabilities,
+  parseTimeDimension,
+  parseIsoDuration
+} from './datasource/WmsDataSource';
+export { NcwmsDataSource, parseMinMaxResponse } from './datasource/NcwmsDataSource';
+export { GeoServerDataSource } from './datasource/GeoServerDataSource';
+export { ZarrDataSource } from './datasource/ZarrDataSource';
+export {
+  DATA_SOURCE_TYPES,
+  getDataSource,
+  createDataSource,
+  registerDataSourceType,
+  resolveDataSourceType
+} from './datasource/dataSourceRegistry';
+export {
+  fetchPointTimeseries,
+  toPointSeriesCoverage,
+  parseTimeRange
+} from './datasource/pointTimeseries';
+
+// Components
+export { OfflineForecastBanner } from './components/OfflineForecastBanner';
+export { AnimationExportControl } from './components/AnimationExportControl';
+export { RunComparisonControl } from './components/RunComparisonControl';
+export { PointForecastExportControl } from './components/PointForecastExportControl';
+export { LegendRangeControl } from './components/LegendRangeControl';
+export { PermalinkControl } from './components/PermalinkControl';
@@ -0,0 +1,85 @@
+/**
+ * Offline Forecast Cache Tests
+ *
+ * Validates that pre-cached tile URLs hit the same cache entries as the
+ * tiles Leaflet requests
+ */
+
+import L from 'leaflet';
+import {
+  buildForecastRunUrls,
+  getForecastCacheKey,
+  selectPrecacheTimes
+} from '../../index';
+
+const NCWMS_BASE_URL = 'https://gem-ncwms-hpc.spc.int/ncWMS/wms';
+// Tuvalu
+const bounds = L.latLngBounds([-10.8, 176.0], [-5.6, 180.0]);
+
+const waveHeightLayer = {
+  value: 'tuvalu_forecast/hs',
+  wmsUrl: NCWMS_BASE_URL,
+  style: 'default-scalar/x-Sst',
+  colorscalerange: '0,4',
+  numcolorbands: 250
+};
+
+const leafletTileUrl = (layerConfig, time, coords) => {
+  const map = L.map(document.createElement('div')).setView([-8, 178], coords.z);
+  const layer = L.tileLayer.wms(layerConfig.wmsUrl, {
+    layers: layerConfig.value,
+    styles: layerConfig.style,
+    format: 'image/png',
+    transparent: true,
+    version: '1.3.0',
+    crs: L.CRS.EPSG4326,
+    time,
+    colorscalerange: '0.00,3.20', // adaptive range differs from the pre-cached one
+    _v: Date.now()
+  }).addTo(map);
+
+  const point = L.point(coords.x, coords.y);
+  point.z = coords.z;
+  const url = layer.getTileUrl(point);
+  map.remove();
+  return url;
+};
+
+describe('Offline forecast cache', () => {
+  test('should match Leaflet tile requests by cache key', () => {
+    const time = new Date('2025-06-01T06:00:00Z');
+    const urls = buildForecastRunUrls({
+      layerConfig: waveHeightLayer,
+      bounds,
+      zooms: [7],
+      times: [time]
+    });
+    const precachedKeys = new Set(urls.map(getForecastCacheKey));
+
+    // Funafuti at zoom 7
+    const coords = { x: 127, y: 67, z: 7 };
+    const requested = leafletTileUrl(waveHeightLayer, time.toISOString(), coords);
+
+    expect(precachedKeys.has(getForecastCacheKey(requested))).toBe(true);
+    expect(urls.some(url => url.includes('REQUEST=GetCapabilities'))).toBe(true);
+  });
+
+  test('should ignore parameter order, case, cache busters and time format in keys', () => {
+    const a = 'https://example.org/wms?SERVICE=WMS&REQUEST=GetMap&LAYERS=hs&TIME=2025-06-01T06:00:00.000Z&BBOX=1,2,3,4&WIDTH=256&HEIGHT=256&_v=1';
+    const b = 'https://example.org/wms?request=getmap&bbox=1.000000,2,3,4&time=2025-06-01T06:00:00Z&layers=hs&width=256&height=256&_v=2';
+
+    expect(getForecastCacheKey(a)).toBe(getForecastCacheKey(b));
+    expect(getForecastCacheKey('https://example.org/wms?REQUEST=GetFeatureInfo')).toBeNull();
+  });
+
+  test('should pre-cache upcoming steps, or the end of a past run', () => {
+    const timestamps = Array.from({ length: 48 }, (_, i) => new Date(Date.UTC(2025, 5, 1, i)));
+
+    const upcoming = selectPrecacheTimes(timestamps, 6, new Date(Date.UTC(2025, 5, 1, 10, 30)));
+    expect(upcoming[0].getUTCHours()).toBe(10);
+    expect(upcoming).toHaveLength(6);
+
+    const past = selectPrecacheTimes(timestamps, 6, new Date(Date.UTC(2025, 6, 1)));
+    expect(past[past.length - 1]).toBe(timestamps[47]);
+  });
+});
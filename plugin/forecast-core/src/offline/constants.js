@@ -0,0 +1,43 @@
+/**
+ * Offline Forecast Cache Constants
+ *
+ * Shared by the service worker (forecastServiceWorker.js) and the page
+ * (offlineClient.js), which are built as separate bundles.
+ */
+
+export const CACHE_PREFIX = 'forecast-';
+
+/**
+ * Cache names and meta key for one service worker registration.
+ * All widgets share one origin and so one CacheStorage; prefixing with the
+ * registration scope keeps each widget's cleanup away from the others' caches.
+ * @param {string} scope - registration.scope, e.g. https://host/widget5/
+ */
+export const getForecastCacheNames = (scope) => {
+  const prefix = `${CACHE_PREFIX}${scope}:`;
+  return {
+    prefix,
+    shell: `${prefix}shell`,
+    capabilities: `${prefix}capabilities`,
+    runtimeTiles: `${prefix}tiles-runtime`,
+    runTilesPrefix: `${prefix}tiles-run-`,
+    meta: `${prefix}meta`,
+    metaKey: new URL('__forecast-offline-meta__', scope).href
+  };
+};
+
+// Unscoped caches written by earlier versions, shared by every widget
+export const LEGACY_CACHE_PATTERN = /^forecast-(shell-|capabilities$|tiles-runtime$|tiles-run-|meta$)/;
+
+// Every message type starts with this prefix
+export const MESSAGE_PREFIX = 'FORECAST_';
+
+// Page -> service worker
+export const MSG_PRECACHE_RUN = 'FORECAST_PRECACHE_RUN';
+export const MSG_STATUS_REQUEST = 'FORECAST_CACHE_STATUS_REQUEST';
+
+// Service worker -> page
+export const MSG_CACHE_STATUS = 'FORECAST_CACHE_STATUS';
+export const MSG_SERVING_CACHE = 'FORECAST_SERVING_CACHE';
+export const MSG_NETWORK_RESTORED = 'FORECAST_NETWORK_RESTORED';
+export const MSG_PRECACHE_COMPLETE = 'FORECAST_PRECACHE_COMPLETE';
@@ -0,0 +1,270 @@
+/**
+ * Forecast Request Helpers
+ *
+ * Builds the WMS tile URLs Leaflet requests for a layer over the country
+ * bounds, and reduces WMS requests to a cache key so the service worker can
+ * match a cached tile regardless of parameter order, case, time format or
+ * cache-busting parameters.
+ *
+ * Used by both the page and the service worker, so no window or DOM access here.
+ */
+
+const EARTH_RADIUS = 6378137;
+const MAX_LATITUDE = 85.0511287798;
+
+// Parameters that identify a GetMap tile. Colour range and band tweaks are left
+// out so an adaptive range still finds the pre-cached tile when offline.
+const TILE_KEY_PARAMS = ['bbox', 'crs', 'dataset', 'elevation', 'height', 'layers', 'srs', 'styles', 'time', 'width'];
+
+// Cache-busting parameters, never part of a key
+const IGNORED_PARAMS = ['_', '_v', 't', 'timestamp'];
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+const clampLatitude = (lat) => Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+
+const parseUrl = (url) => {
+  try {
+    return new URL(url);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Query parameters keyed by lower-case name
+const getParams = (parsed) => {
+  const params = new Map();
+  parsed.searchParams.forEach((value, name) => params.set(name.toLowerCase(), value));
+  return params;
+};
+
+const normalizeTime = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? value : date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+};
+
+const normalizeBbox = (value) =>
+  value.split(',').map((n) => Number(n).toFixed(5)).join(',');
+
+/**
+ * Classify a request URL
+ * @param {string} url
+ * @returns {'tile'|'capabilities'|null}
+ */
+export function getForecastRequestType(url) {
+  const parsed = parseUrl(url);
+  if (!parsed) return null;
+
+  const request = (getParams(parsed).get('request') || '').toLowerCase();
+  if (request === 'getmap') return 'tile';
+  if (request === 'getcapabilities') return 'capabilities';
+  return null;
+}
+
+/**
+ * Cache key for a WMS GetMap or GetCapabilities request
+ * @param {string} url
+ * @returns {string|null} Key URL, or null for other requests
+ */
+export function getForecastCacheKey(url) {
+  const type = getForecastRequestType(url);
+  if (!type) return null;
+
+  const parsed = parseUrl(url);
+  const params = getParams(parsed);
+  const names = type === 'tile'
+    ? TILE_KEY_PARAMS
+    : [...params.keys()].filter((name) => !IGNORED_PARAMS.includes(name)).sort();
+
+  const keyParams = new URLSearchParams({ request: params.get('request').toLowerCase() });
+  names.forEach((name) => {
+    if (name === 'request' || !params.has(name)) return;
+    const value = params.get(name);
+    if (name === 'time') keyParams.append(name, normalizeTime(value));
+    else if (name === 'bbox') keyParams.append(name, normalizeBbox(value));
+    else keyParams.append(name, value);
+  });
+
+  return `${parsed.origin}${parsed.pathname}?${keyParams}`;
+}
+
+/**
+ * GetCapabilities URL for a WMS endpoint (same form useWMSCapabilities requests)
+ * @param {string} baseUrl
+ * @returns {string}
+ */
+export function buildCapabilitiesUrl(baseUrl) {
+  if (!baseUrl || baseUrl.toLowerCase().includes('request=getcapabilities')) {
+    return baseUrl;
+  }
+  return `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}SERVICE=WMS&REQUEST=GetCapabilities&VERSION=1.3.0`;
+}
+
+/**
+ * Accepts L.LatLngBounds, [[south, west], [north, east]] or { southWest, northEast }
+ */
+const toBoundsBox = (bounds) => {
+  if (typeof bounds?.getSouthWest === 'function') {
+    const sw = bounds.getSouthWest();
+    const ne = bounds.getNorthEast();
+    return { south: sw.lat, west: sw.lng, north: ne.lat, east: ne.lng };
+  }
+  const [sw, ne] = Array.isArray(bounds) ? bounds : [bounds.southWest, bounds.northEast];
+  const lat = (point) => (Array.isArray(point) ? point[0] : point.lat);
+  const lng = (point) => (Array.isArray(point) ? point[1] : point.lng ?? point.lon);
+  return { south: lat(sw), west: lng(sw), north: lat(ne), east: lng(ne) };
+};
+
+// Web Mercator tile grid, the one Leaflet uses for the widgets' EPSG:3857 maps
+const lngToTileX = (lng, zoom) => Math.floor(((lng + 180) / 360) * 2 ** zoom);
+const latToTileY = (lat, zoom) => {
+  const rad = toRadians(clampLatitude(lat));
+  return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** zoom);
+};
+const tileXToLng = (x, zoom) => (x / 2 ** zoom) * 360 - 180;
+const tileYToLat = (y, zoom) => toDegrees(Math.atan(Math.sinh(Math.PI - (2 * Math.PI * y) / 2 ** zoom)));
+
+/**
+ * Tiles covering the bounds at one zoom level
+ * @returns {Array<{x: number, y: number, z: number}>}
+ */
+export function getTileCoords(bounds, zoom) {
+  const { south, west, north, east } = toBoundsBox(bounds);
+  const maxIndex = 2 ** zoom - 1;
+  const clampIndex = (n) => Math.max(0, Math.min(maxIndex, n));
+
+  const minX = clampIndex(lngToTileX(west, zoom));
+  const maxX = clampIndex(lngToTileX(east, zoom));
+  const minY = clampIndex(latToTileY(north, zoom));
+  const maxY = clampIndex(latToTileY(south, zoom));
+
+  const coords = [];
+  for (let x = minX; x <= maxX; x++) {
+    for (let y = minY; y <= maxY; y++) {
+      coords.push({ x, y, z: zoom });
+    }
+  }
+  return coords;
+}
+
+/**
+ * BBOX parameter for a tile, matching L.TileLayer.WMS.getTileUrl
+ * (WMS 1.3.0 with EPSG:4326 uses lat,lon axis order)
+ */
+const getTileBbox = ({ x, y, z }, crs, version) => {
+  const north = tileYToLat(y, z);
+  const south = tileYToLat(y + 1, z);
+  const west = tileXToLng(x, z);
+  const east = tileXToLng(x + 1, z);
+
+  if (crs === 'EPSG:4326') {
+    return parseFloat(version) >= 1.3
+      ? [south, west, north, east].join(',')
+      : [west, south, east, north].join(',');
+  }
+
+  const projectX = (lng) => EARTH_RADIUS * toRadians(lng);
+  const projectY = (lat) => EARTH_RADIUS * Math.log(Math.tan(Math.PI / 4 + toRadians(clampLatitude(lat)) / 2));
+  return [projectX(west), projectY(south), projectX(east), projectY(north)].join(',');
+};
+
+/**
+ * WMS params the widgets send for a forecast layer (see useMapRendering)
+ * @param {Object} layerConfig - Widget layer config (value, wmsUrl, style, ...)
+ * @param {Date} [time] - Forecast time step
+ * @returns {Object}
+ */
+export function getLayerTileParams(layerConfig, time) {
+  const isThreddsServer = layerConfig.wmsUrl.includes('thredds');
+  const isWaveDirectionLayer = layerConfig.value === 'dirm' || layerConfig.value === 'Dir';
+  const params = {
+    layers: layerConfig.value,
+    styles: layerConfig.style || '',
+    format: 'image/png',
+    transparent: true,
+    version: layerConfig.version || '1.3.0',
+    crs: layerConfig.crs?.code || 'EPSG:4326',
+    abovemaxcolor: isWaveDirectionLayer ? 'transparent' : 'extend',
+    belowmincolor: 'transparent'
+  };
+
+  if (layerConfig.colorscalerange) params.colorscalerange = layerConfig.colorscalerange;
+  if (layerConfig.numcolorbands) params.numcolorbands = layerConfig.numcolorbands;
+  if (!isThreddsServer && !layerConfig.value.includes('/') && layerConfig.dataset) {
+    params.DATASET = layerConfig.dataset;
+  }
+  if (time) {
+    const iso = time.toISOString();
+    params.time = isThreddsServer ? iso.replace(/\.\d{3}Z$/, 'Z') : iso;
+  }
+
+  return params;
+}
+
+/**
+ * GetMap URL for one tile
+ */
+export function buildTileUrl(wmsUrl, params, coords, tileSize = 256) {
+  const { crs, version, ...rest } = params;
+  // Leaflet sends SRS instead of CRS before WMS 1.3.0
+  const crsParam = parseFloat(version) >= 1.3 ? 'crs' : 'srs';
+  const query = new URLSearchParams({
+    service: 'WMS',
+    request: 'GetMap',
+    ...rest,
+    version,
+    [crsParam]: crs,
+    width: tileSize,
+    height: tileSize,
+    bbox: getTileBbox(coords, crs, version)
+  });
+  return `${wmsUrl}${wmsUrl.includes('?') ? '&' : '?'}${query}`;
+}
+
+/**
+ * Forecast steps worth pre-caching: from now onwards, or the last steps of a past run
+ * @param {Date[]} timestamps - Available time steps (ascending)
+ * @param {number} maxSteps
+ * @param {Date} [now]
+ * @returns {Date[]}
+ */
+export function selectPrecacheTimes(timestamps = [], maxSteps = 24, now = new Date()) {
+  if (timestamps.length <= maxSteps) return [...timestamps];
+
+  const firstUpcoming = timestamps.findIndex((timestamp) => timestamp >= now);
+  const start = firstUpcoming === -1
+    ? timestamps.length - maxSteps
+    : Math.min(Math.max(firstUpcoming - 1, 0), timestamps.length - maxSteps);
+  return timestamps.slice(start, start + maxSteps);
+}
+
+/**
+ * All URLs needed to show a forecast run offline: capabilities plus tiles for
+ * every time step and zoom. Composite layers expand to their sub-layers;
+ * layers without a WMS endpoint (e.g. raster sources) are skipped.
+ * @param {Object} options
+ * @param {Object} options.layerConfig - Selected widget layer config
+ * @param {*} options.bounds - Country bounds
+ * @param {number[]} options.zooms - Map zoom levels
+ * @param {Date[]} options.times - Time steps
+ * @param {number} [options.tileSize]
+ * @returns {string[]}
+ */
+export function buildForecastRunUrls({ layerConfig, bounds, zooms, times, tileSize = 256 }) {
+  const layers = (layerConfig.composite ? layerConfig.layers : [layerConfig])
+    .filter((layer) => layer?.wmsUrl && layer.value);
+
+  const coords = zooms.flatMap((zoom) => getTileCoords(bounds, zoom));
+  const urls = new Set();
+
+  layers.forEach((layer) => {
+    urls.add(buildCapabilitiesUrl(layer.wmsUrl));
+    const layerTimes = layer.isStatic ? [null] : times;
+    layerTimes.forEach((time) => {
+      const params = getLayerTileParams(layer, time);
+      coords.forEach((tile) => urls.add(buildTileUrl(layer.wmsUrl, params, tile, tileSize)));
+    });
+  });
+
+  return [...urls];
+}
@@ -0,0 +1,289 @@
+/**
+ * Forecast Service Worker
+ *
+ * Offline support for the country widgets. Each widget's src/service-worker.js
+ * calls installForecastServiceWorker(self, ...), and CRA compiles it into
+ * build/service-worker.js (production builds only).
+ *
+ * - App shell: pre-cached on install (plus static assets on first use),
+ *   served when the network is down. CRA fails the build when a precached
+ *   file is over 5 MB, so widgets lazy-load Plotly into its own chunk.
+ * - GetCapabilities and WMS GetMap tiles: network first, cached copy when the
+ *   network fails or is slower than networkTimeoutMs
+ * - Latest run: the page sends the run's tile URLs (offlineClient.js). Each run
+ *   gets its own cache and older runs are dropped once a newer one is stored.
+ * - Cache names are prefixed with the registration scope, so widgets on the
+ *   same origin never read or delete each other's caches.
+ *
+ * Import this module directly, not through the package index, so React stays
+ * out of the service worker bundle.
+ */
+
+import {
+  LEGACY_CACHE_PATTERN,
+  MSG_CACHE_STATUS,
+  MSG_NETWORK_RESTORED,
+  MSG_PRECACHE_COMPLETE,
+  MSG_PRECACHE_RUN,
+  MSG_SERVING_CACHE,
+  MSG_STATUS_REQUEST,
+  getForecastCacheNames
+} from './constants';
+import { getForecastCacheKey, getForecastRequestType } from './forecastRequests';
+
+const DEFAULT_OPTIONS = {
+  precacheManifest: [],       // self.__WB_MANIFEST (CRA build assets)
+  networkTimeoutMs: 8000,     // Serve the cached copy after this long
+  runtimeTileLimit: 500,      // Tiles kept from normal browsing
+  precacheConcurrency: 4
+};
+
+// Short stable hash so a new build gets a new shell cache
+const hashString = (value) => {
+  let hash = 5381;
+  for (let i = 0; i < value.length; i++) {
+    hash = ((hash << 5) + hash + value.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(36);
+};
+
+const withTimeout = (promise, ms) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`Network timeout after ${ms}ms`)), ms);
+  promise.then(
+    (value) => { clearTimeout(timer); resolve(value); },
+    (error) => { clearTimeout(timer); reject(error); }
+  );
+});
+
+const isUsable = (response) => Boolean(response) && (response.ok || response.type === 'opaque');
+
+/**
+ * Register install, activate, fetch and message handlers on the service worker scope
+ * @param {ServiceWorkerGlobalScope} sw - `self` in the service worker
+ * @param {Object} [options] - See DEFAULT_OPTIONS
+ */
+export function installForecastServiceWorker(sw, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const { caches } = sw;
+  const names = getForecastCacheNames(sw.registration.scope);
+
+  const shellEntries = (settings.precacheManifest || [])
+    .map((entry) => (typeof entry === 'string' ? { url: entry, revision: '' } : entry));
+  const shellUrls = shellEntries.map((entry) => new URL(entry.url, sw.location.href).href);
+  const shellCache = `${names.shell}-${hashString(shellEntries.map((e) => `${e.url}@${e.revision}`).join('|'))}`;
+  const indexUrl = shellUrls.find((url) => url.endsWith('/index.html'));
+
+  let servingFromCache = false;
+
+  const broadcast = async (message) => {
+    const clients = await sw.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clients.forEach((client) => client.postMessage(message));
+  };
+
+  // caches.match() would look in every widget's caches; only look in ours
+  const matchOwn = async (request, options) => {
+    const cacheNames = (await caches.keys()).filter((name) => name.startsWith(names.prefix));
+    for (const name of cacheNames) {
+      const response = await (await caches.open(name)).match(request, options);
+      if (response) return response;
+    }
+    return undefined;
+  };
+
+  const readMeta = async () => {
+    const response = await (await caches.open(names.meta)).match(names.metaKey);
+    return response ? response.json() : null;
+  };
+
+  const writeMeta = async (meta) => {
+    const cache = await caches.open(names.meta);
+    await cache.put(names.metaKey, new Response(JSON.stringify(meta), {
+      headers: { 'Content-Type': 'application/json' }
+    }));
+  };
+
+  // Tell the pages when we switch between network and cached forecast data
+  const setServingFromCache = async (value) => {
+    if (servingFromCache === value) return;
+    servingFromCache = value;
+    if (value) {
+      await broadcast({ type: MSG_SERVING_CACHE, meta: await readMeta() });
+    } else {
+      await broadcast({ type: MSG_NETWORK_RESTORED });
+    }
+  };
+
+  const storeResponse = async (type, key, response) => {
+    if (type === 'capabilities') {
+      await (await caches.open(names.capabilities)).put(key, response);
+      return;
+    }
+
+    const cache = await caches.open(names.runtimeTiles);
+    await cache.put(key, response);
+    const keys = await cache.keys();
+    const excess = keys.length - settings.runtimeTileLimit;
+    if (excess > 0) {
+      await Promise.all(keys.slice(0, excess).map((request) => cache.delete(request)));
+    }
+  };
+
+  const handleForecastRequest = async (event, type) => {
+    const { request } = event;
+    const key = getForecastCacheKey(request.url);
+    const fromNetwork = fetch(request);
+
+    let response = null;
+    try {
+      response = await withTimeout(fromNetwork, settings.networkTimeoutMs);
+      if (isUsable(response)) {
+        event.waitUntil(storeResponse(type, key, response.clone()).catch(() => {}));
+        event.waitUntil(setServingFromCache(false));
+        return response;
+      }
+    } catch (error) {
+      // Offline or too slow: fall through to the cache
+    }
+
+    const cached = await matchOwn(key, { ignoreVary: true });
+    if (cached) {
+      event.waitUntil(setServingFromCache(true));
+      return cached;
+    }
+    return response || fromNetwork;
+  };
+
+  const handleNavigation = async (request) => {
+    try {
+      return await fetch(request);
+    } catch (error) {
+      const cached = indexUrl && await matchOwn(indexUrl);
+      if (cached) return cached;
+      throw error;
+    }
+  };
+
+  // Hashed build assets; large bundles are left out of the manifest, so cache them on first use
+  const staticPrefix = new URL('static/', sw.registration.scope).href;
+  const isStaticAsset = (url) => url.startsWith(staticPrefix);
+
+  const handleShellAsset = async (request) => {
+    const cached = await matchOwn(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(shellCache);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  };
+
+  const fetchForPrecache = async (url) => {
+    try {
+      return await fetch(url, { mode: 'cors' });
+    } catch (error) {
+      // Servers without CORS headers: an opaque response still works for <img> tiles
+      return fetch(url, { mode: 'no-cors' });
+    }
+  };
+
+  const precacheRun = async ({ runTime, urls = [] }) => {
+    const runKey = new Date(runTime).toISOString();
+    const runCacheName = `${names.runTilesPrefix}${runKey}`;
+    const runCache = await caches.open(runCacheName);
+    const queue = [...urls];
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const url = queue.shift();
+        const type = getForecastRequestType(url);
+        const key = getForecastCacheKey(url);
+        if (!type) continue;
+
+        if (type === 'tile' && await runCache.match(key)) continue;
+
+        try {
+          const response = await fetchForPrecache(url);
+          if (!isUsable(response)) continue;
+          if (type === 'tile') {
+            await runCache.put(key, response);
+          } else {
+            await storeResponse(type, key, response);
+          }
+        } catch (error) {
+          // Keep going; missing tiles are fetched again on the next run request
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: settings.precacheConcurrency }, worker));
+
+    const tileCount = (await runCache.keys()).length;
+    if (tileCount === 0) {
+      // Nothing stored (offline?): keep the previous run
+      await caches.delete(runCacheName);
+      return;
+    }
+
+    const meta = { runTime: runKey, cachedAt: new Date().toISOString(), tileCount };
+    await writeMeta(meta);
+
+    const cacheNames = await caches.keys();
+    await Promise.all(cacheNames
+      .filter((name) => name.startsWith(names.runTilesPrefix) && name !== runCacheName)
+      .map((name) => caches.delete(name)));
+
+    await broadcast({ type: MSG_PRECACHE_COMPLETE, meta });
+  };
+
+  sw.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+      const cache = await caches.open(shellCache);
+      // One failed asset should not block the rest of the shell
+      await Promise.allSettled(shellUrls.map((url) => cache.add(url)));
+      await sw.skipWaiting();
+    })());
+  });
+
+  sw.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+      const cacheNames = await caches.keys();
+      await Promise.all(cacheNames
+        .filter((name) => (name.startsWith(names.shell) && name !== shellCache) || LEGACY_CACHE_PATTERN.test(name))
+        .map((name) => caches.delete(name)));
+      await sw.clients.claim();
+    })());
+  });
+
+  sw.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const type = getForecastRequestType(request.url);
+    if (type) {
+      event.respondWith(handleForecastRequest(event, type));
+      return;
+    }
+
+    if (request.mode === 'navigate') {
+      event.respondWith(handleNavigation(request));
+      return;
+    }
+
+    if (shellUrls.includes(request.url) || isStaticAsset(request.url)) {
+      event.respondWith(handleShellAsset(request));
+    }
+  });
+
+  sw.addEventListener('message', (event) => {
+    const { data } = event;
+    if (data?.type === MSG_PRECACHE_RUN) {
+      event.waitUntil(precacheRun(data));
+    } else if (data?.type === MSG_STATUS_REQUEST) {
+      event.waitUntil(readMeta().then((meta) => event.source?.postMessage({ type: MSG_CACHE_STATUS, meta })));
+    }
+  });
+}
+
+export default installForecastServiceWorker;
@@ -0,0 +1,105 @@
+/**
+ * Offline Forecast Client
+ *
+ * Page side of the forecast service worker: registration, pre-cache requests
+ * for the latest run and cache status messages.
+ */
+
+import {
+  MSG_PRECACHE_RUN,
+  MSG_STATUS_REQUEST,
+  MESSAGE_PREFIX
+} from './constants';
+
+const isSupported = () => typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+
+let registrationPromise = null;
+
+/**
+ * Register the widget's service worker (production builds only)
+ * @param {string} swUrl - e.g. `${process.env.PUBLIC_URL}/service-worker.js`
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export function registerForecastServiceWorker(swUrl) {
+  if (process.env.NODE_ENV !== 'production' || !isSupported()) {
+    return Promise.resolve(null);
+  }
+
+  if (!registrationPromise) {
+    registrationPromise = new Promise((resolve) => {
+      const register = () => {
+        navigator.serviceWorker.register(swUrl)
+          .then((registration) => {
+            console.log('📦 Forecast service worker registered:', registration.scope);
+            resolve(registration);
+          })
+          .catch((error) => {
+            console.warn('⚠️ Forecast service worker registration failed:', error);
+            resolve(null);
+          });
+      };
+
+      // Wait for the page to load so registration does not compete with the first tiles
+      if (document.readyState === 'complete') {
+        register();
+      } else {
+        window.addEventListener('load', register, { once: true });
+      }
+    });
+  }
+
+  return registrationPromise;
+}
+
+const postToServiceWorker = async (message) => {
+  if (!registrationPromise || !(await registrationPromise)) {
+    return false;
+  }
+
+  const registration = await navigator.serviceWorker.ready;
+  if (!registration.active) return false;
+
+  registration.active.postMessage(message);
+  return true;
+};
+
+/**
+ * Ask the service worker to store a forecast run for offline use
+ * @param {Object} run
+ * @param {Date|string} run.runTime - Model run time, shown in the offline banner
+ * @param {string[]} run.urls - Capabilities and tile URLs (see buildForecastRunUrls)
+ * @returns {Promise<boolean>} false when no service worker is active
+ */
+export function precacheForecastRun({ runTime, urls }) {
+  return postToServiceWorker({
+    type: MSG_PRECACHE_RUN,
+    runTime: new Date(runTime).toISOString(),
+    urls
+  });
+}
+
+/**
+ * Ask the service worker for the cached run (answered with FORECAST_CACHE_STATUS)
+ * @returns {Promise<boolean>}
+ */
+export function requestForecastCacheStatus() {
+  return postToServiceWorker({ type: MSG_STATUS_REQUEST });
+}
+
+/**
+ * Subscribe to forecast cache messages from the service worker
+ * @param {Function} listener - Called with the message data
+ * @returns {Function} Unsubscribe function
+ */
+export function onForecastCacheMessage(listener) {
+  if (!isSupported()) return () => {};
+
+  const handleMessage = (event) => {
+    if (typeof event.data?.type === 'string' && event.data.type.startsWith(MESSAGE_PREFIX)) {
+      listener(event.data);
+    }
+  };
+
+  navigator.serviceWorker.addEventListener('message', handleMessage);
+  return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+}
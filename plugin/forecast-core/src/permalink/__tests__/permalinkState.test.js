@@ -0,0 +1,196 @@
+/**
+ * Permalink State Tests
+ *
+ * Validates the versioned URL schema and that a shared link restores the
+ * layer, time, opacity, legend range, clicked point and map view
+ */
+
+import { useState } from 'react';
+import { act, renderHook } from '@testing-library/react';
+import {
+  buildPermalinkUrl,
+  decodePermalinkState,
+  encodePermalinkState,
+  findNearestTimeIndex,
+  mergePermalinkSearch,
+  usePermalinkState
+} from '../../index';
+
+const hourly = (count) => Array.from({ length: count }, (_, i) => new Date(Date.UTC(2025, 5, 1, i)));
+const TIMESTAMPS = hourly(48);
+
+const LAYERS = [
+  { value: 'tuvalu_forecast/hs', colorscalerange: '0,4', activeBeaufortMax: 4 },
+  { value: 'tuvalu_forecast/tpeak', colorscalerange: '0,20' },
+  { value: 'tuvalu_forecast/dirm', colorscalerange: '' }
+];
+
+const VIEW_STATE = {
+  layer: 'tuvalu_forecast/tpeak',
+  activeLayers: ['waveForecast', 'stamen-toner'],
+  time: TIMESTAMPS[30],
+  opacity: 0.8,
+  legendRange: { min: 5, max: 15 },
+  point: { lat: -8.520123456, lon: 179.198765 },
+  view: { lat: -8.5, lon: 179.2, zoom: 11 }
+};
+
+const createMap = () => ({
+  setView: jest.fn(),
+  fire: jest.fn(),
+  on: jest.fn(),
+  off: jest.fn(),
+  wrapLatLng: ([lat, lng]) => ({ lat, lng }),
+  latLngToLayerPoint: () => ({ x: 10, y: 20 }),
+  latLngToContainerPoint: () => ({ x: 10, y: 20 }),
+  getCenter: () => ({ lat: -8.6, lng: 179.1 }),
+  getZoom: () => 9
+});
+
+// Stands in for the state useForecast keeps for a widget
+const useWidget = ({ capTime, mapInstance }) => {
+  const [layers, setLayers] = useState(LAYERS);
+  const [selectedLayer, setSelectedLayer] = useState(LAYERS[0].value);
+  const [activeLayers, setActiveLayers] = useState({ waveForecast: true, inundationPoints: true, 'stamen-toner': false });
+  const [opacity, setOpacity] = useState(1);
+  const [sliderIndex, setSliderIndex] = useState(0);
+  const updateLayer = (value, updates) => setLayers((previous) => previous.map((layer) => (
+    layer.value === value ? { ...layer, ...updates } : layer
+  )));
+
+  const permalink = usePermalinkState({
+    mapInstance,
+    layers,
+    updateLayer,
+    selectedLayer,
+    setSelectedLayer,
+    activeLayers,
+    setActiveLayers,
+    capTime: capTime(selectedLayer),
+    currentSliderDate: TIMESTAMPS[sliderIndex],
+    setSliderIndex,
+    opacity,
+    setOpacity
+  });
+  return { permalink, layers, selectedLayer, activeLayers, opacity, sliderIndex };
+};
+
+const loading = () => ({ loading: true });
+const loaded = (layer) => ({ loading: false, layer, availableTimestamps: TIMESTAMPS });
+
+describe('Permalink state', () => {
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+    jest.useRealTimers();
+  });
+
+  test('should round-trip the full view through a compact query string', () => {
+    const params = encodePermalinkState(VIEW_STATE);
+    expect(params.get('v')).toBe('1');
+    expect(params.get('t')).toBe('20250602T0600Z');
+    expect(params.get('p')).toBe('-8.52012,179.19877');
+
+    expect(decodePermalinkState(params.toString())).toEqual({
+      ...VIEW_STATE,
+      version: 1,
+      point: { lat: -8.52012, lon: 179.19877 }
+    });
+
+    // Opacity 1 is the default and left out
+    expect(encodePermalinkState({ opacity: 1 }).has('o')).toBe(false);
+  });
+
+  test('should keep other query parameters and replace its own', () => {
+    const search = mergePermalinkSearch('?token=abc&country=TUV&v=1&l=old&o=0.2', { layer: 'tuvalu_forecast/hs' });
+    expect(search).toBe('?token=abc&country=TUV&v=1&l=tuvalu_forecast%2Fhs');
+
+    const url = buildPermalinkUrl(VIEW_STATE, {
+      origin: 'https://example.org', pathname: '/widget11/', search: '?token=abc', hash: ''
+    });
+    expect(url.startsWith('https://example.org/widget11/?token=abc&v=1&l=')).toBe(true);
+    expect(url).toContain('&a=waveForecast,stamen-toner&');
+  });
+
+  test('should read older links and ignore newer schema versions or bad values', () => {
+    expect(decodePermalinkState('?var=tuvalu_forecast/hs&time=12&lat=-8.5&lon=179.2&zoom=10&center=-8.4,179.1'))
+      .toEqual({
+        version: 0,
+        layer: 'tuvalu_forecast/hs',
+        timeIndex: 12,
+        point: { lat: -8.5, lon: 179.2 },
+        view: { lat: -8.4, lon: 179.1, zoom: 10 }
+      });
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(decodePermalinkState('?v=2&l=tuvalu_forecast/hs')).toBeNull();
+    console.warn.mockRestore();
+
+    expect(decodePermalinkState('?v=1&o=3&r=5,1&p=95,10&t=yesterday')).toEqual({ version: 1 });
+    expect(decodePermalinkState('?token=abc')).toBeNull();
+  });
+
+  test('should pick the nearest available time step', () => {
+    expect(findNearestTimeIndex(TIMESTAMPS, new Date(Date.UTC(2025, 5, 1, 5, 40)))).toBe(6);
+    expect(findNearestTimeIndex(TIMESTAMPS, new Date(Date.UTC(2025, 7, 1)))).toBe(47);
+    expect(findNearestTimeIndex([], new Date())).toBe(-1);
+  });
+
+  test('should restore a shared view once the linked layer has loaded', () => {
+    window.history.replaceState(null, '', `/?token=abc&${encodePermalinkState(VIEW_STATE).toString()}`);
+    const map = createMap();
+    const mapInstance = { current: map };
+
+    const { result, rerender } = renderHook((props) => useWidget(props), {
+      initialProps: { capTime: loading, mapInstance }
+    });
+
+    expect(result.current.selectedLayer).toBe('tuvalu_forecast/tpeak');
+    expect(result.current.opacity).toBe(0.8);
+    expect(result.current.activeLayers).toEqual({ waveForecast: true, inundationPoints: false, 'stamen-toner': true });
+    expect(result.current.layers[1].colorscalerange).toBe('5,15');
+    expect(result.current.permalink.isCustomLegendRange).toBe(true);
+    expect(map.setView).toHaveBeenCalledWith([-8.5, 179.2], 11, { animate: false });
+
+    // Time steps of the previous layer are not used
+    rerender({ capTime: () => loaded('tuvalu_forecast/hs'), mapInstance });
+    expect(result.current.sliderIndex).toBe(0);
+    expect(result.current.permalink.isRestoring).toBe(true);
+
+    rerender({ capTime: loaded, mapInstance });
+    expect(result.current.sliderIndex).toBe(30);
+    expect(map.fire).toHaveBeenCalledWith('click', expect.objectContaining({
+      latlng: { lat: -8.52012, lng: 179.19877 }
+    }));
+    expect(result.current.permalink.isRestoring).toBe(false);
+  });
+
+  test('should apply and reset a custom legend range and mirror the view in the URL', () => {
+    jest.useFakeTimers();
+    window.history.replaceState(null, '', '/?token=abc');
+    const mapInstance = { current: createMap() };
+    const { result } = renderHook(() => useWidget({ capTime: loaded, mapInstance }));
+
+    expect(result.current.permalink.legendRange).toEqual({ min: 0, max: 4 });
+    act(() => {
+      result.current.permalink.setLegendRange({ min: 1, max: 3 });
+    });
+    expect(result.current.layers[0]).toMatchObject({ colorscalerange: '1,3', activeBeaufortMax: 3 });
+
+    act(() => {
+      jest.advanceTimersByTime(500);
+    });
+    expect(decodePermalinkState(window.location.search)).toMatchObject({
+      layer: 'tuvalu_forecast/hs',
+      activeLayers: ['waveForecast', 'inundationPoints'],
+      legendRange: { min: 1, max: 3 },
+      view: { lat: -8.6, lon: 179.1, zoom: 9 }
+    });
+    expect(window.location.search.startsWith('?token=abc&')).toBe(true);
+
+    act(() => {
+      result.current.permalink.resetLegendRange();
+    });
+    expect(result.current.layers[0]).toMatchObject({ colorscalerange: '0,4', activeBeaufortMax: 4 });
+    expect(result.current.permalink.isCustomLegendRange).toBe(false);
+  });
+});
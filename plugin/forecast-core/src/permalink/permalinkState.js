@@ -0,0 +1,232 @@
+/**
+ * Permalink State
+ *
+ * Versioned, compact URL schema for the full forecast view: selected layer,
+ * active layer set, valid time, overlay opacity, custom legend range, the
+ * clicked feature-info point and the map view. Only the schema's own query
+ * parameters are written; others on the page URL (e.g. token, country) are kept.
+ *
+ *   ?v=1&l=cook_forecast/hs&a=waveForecast,riskPoints&t=20250601T0600Z
+ *     &o=0.8&r=0,3&p=-21.20710,-159.78250&m=-21.2300,-159.7800,11
+ *
+ * Times are valid times rather than slider indexes, so a link still points
+ * at the same hour after a newer run has been published.
+ */
+
+export const PERMALINK_VERSION = 1;
+
+export const PERMALINK_PARAMS = {
+  version: 'v',
+  layer: 'l',
+  activeLayers: 'a',
+  time: 't',
+  opacity: 'o',
+  legendRange: 'r',
+  point: 'p',
+  view: 'm'
+};
+
+// Parameters of the older PermalinkUtils links (read as version 0)
+const LEGACY_PARAMS = ['lat', 'lon', 'time', 'var', 'zoom', 'center'];
+
+const MAX_LAYER_LENGTH = 200;
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+const parseNumbers = (text, count) => {
+  if (typeof text !== 'string') return null;
+  const parts = text.split(',').map((part) => (part.trim() === '' ? NaN : Number(part)));
+  return parts.length === count && parts.every(Number.isFinite) ? parts : null;
+};
+
+const isLatLon = (lat, lon) => Math.abs(lat) <= 90 && lon >= -180 && lon <= 360;
+
+// 2025-06-01T06:00:00Z -> 20250601T0600Z (seconds only when set)
+export function formatPermalinkTime(date) {
+  const iso = new Date(date).toISOString();
+  const seconds = iso.slice(17, 19);
+  return `${iso.slice(0, 4)}${iso.slice(5, 7)}${iso.slice(8, 10)}T${iso.slice(11, 13)}${iso.slice(14, 16)}`
+    + `${seconds === '00' ? '' : seconds}Z`;
+}
+
+export function parsePermalinkTime(text) {
+  if (typeof text !== 'string' || !text) return null;
+  const compact = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})?Z$/.exec(text);
+  const date = compact
+    ? new Date(Date.UTC(+compact[1], +compact[2] - 1, +compact[3], +compact[4], +compact[5], +(compact[6] || 0)))
+    : new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Index of the timestamp closest to a time
+ * @param {Date[]} timestamps
+ * @param {Date} time
+ * @returns {number} -1 when there are no timestamps
+ */
+export function findNearestTimeIndex(timestamps, time) {
+  if (!Array.isArray(timestamps) || !timestamps.length || !time) return -1;
+  const target = new Date(time).getTime();
+  let best = -1;
+  let bestDiff = Infinity;
+  timestamps.forEach((timestamp, index) => {
+    const diff = Math.abs(new Date(timestamp).getTime() - target);
+    if (diff < bestDiff) {
+      bestDiff = diff;
+      best = index;
+    }
+  });
+  return best;
+}
+
+/**
+ * Parse a "min,max" colour scale range
+ * @returns {{min: number, max: number}|null}
+ */
+export function parseLegendRange(text) {
+  const numbers = parseNumbers(text, 2);
+  if (!numbers || numbers[0] >= numbers[1]) return null;
+  return { min: numbers[0], max: numbers[1] };
+}
+
+/**
+ * Encode a view state as the schema's query parameters. Missing fields are
+ * left out, as is an opacity of 1 (the default).
+ * @param {Object} state
+ * @param {string} [state.layer]
+ * @param {string[]} [state.activeLayers] - Keys of the layers switched on
+ * @param {Date} [state.time]
+ * @param {number} [state.opacity] - 0..1
+ * @param {{min: number, max: number}|null} [state.legendRange]
+ * @param {{lat: number, lon: number}|null} [state.point]
+ * @param {{lat: number, lon: number, zoom: number}|null} [state.view]
+ * @returns {URLSearchParams}
+ */
+export function encodePermalinkState(state = {}) {
+  const params = new URLSearchParams();
+  params.set(PERMALINK_PARAMS.version, String(PERMALINK_VERSION));
+
+  if (state.layer) {
+    params.set(PERMALINK_PARAMS.layer, state.layer);
+  }
+  if (Array.isArray(state.activeLayers)) {
+    params.set(PERMALINK_PARAMS.activeLayers, state.activeLayers.join(','));
+  }
+  if (state.time && !Number.isNaN(new Date(state.time).getTime())) {
+    params.set(PERMALINK_PARAMS.time, formatPermalinkTime(state.time));
+  }
+  if (Number.isFinite(state.opacity) && state.opacity !== 1) {
+    params.set(PERMALINK_PARAMS.opacity, String(round(Math.min(Math.max(state.opacity, 0), 1), 2)));
+  }
+  if (state.legendRange && Number.isFinite(state.legendRange.min) && Number.isFinite(state.legendRange.max)) {
+    params.set(PERMALINK_PARAMS.legendRange, `${state.legendRange.min},${state.legendRange.max}`);
+  }
+  if (state.point && isLatLon(state.point.lat, state.point.lon)) {
+    params.set(PERMALINK_PARAMS.point, `${round(state.point.lat, 5)},${round(state.point.lon, 5)}`);
+  }
+  if (state.view && isLatLon(state.view.lat, state.view.lon) && Number.isFinite(state.view.zoom)) {
+    params.set(PERMALINK_PARAMS.view, `${round(state.view.lat, 4)},${round(state.view.lon, 4)},${round(state.view.zoom, 2)}`);
+  }
+  return params;
+}
+
+// Version 0: the parameters written by PermalinkUtils.generatePermalink
+const decodeLegacy = (params) => {
+  const state = {};
+  const variable = params.get('var');
+  if (variable) state.layer = variable;
+
+  const timeIndex = Number.parseInt(params.get('time'), 10);
+  if (Number.isInteger(timeIndex) && timeIndex >= 0) state.timeIndex = timeIndex;
+
+  const lat = Number(params.get('lat'));
+  const lon = Number(params.get('lon'));
+  if (params.get('lat') && params.get('lon') && isLatLon(lat, lon)) state.point = { lat, lon };
+
+  const center = parseNumbers(params.get('center'), 2);
+  const zoom = Number(params.get('zoom'));
+  if (center && isLatLon(center[0], center[1]) && params.get('zoom') && Number.isFinite(zoom)) {
+    state.view = { lat: center[0], lon: center[1], zoom };
+  }
+  return state;
+};
+
+/**
+ * Decode the view state from a query string
+ * @param {string|URLSearchParams} search - e.g. window.location.search
+ * @returns {Object|null} null when the URL carries no permalink state or a newer schema version
+ */
+export function decodePermalinkState(search) {
+  const params = search instanceof URLSearchParams ? search : new URLSearchParams(search || '');
+  const versionText = params.get(PERMALINK_PARAMS.version);
+
+  if (versionText === null) {
+    if (!LEGACY_PARAMS.some((name) => params.has(name))) return null;
+    const legacy = decodeLegacy(params);
+    return Object.keys(legacy).length ? { version: 0, ...legacy } : null;
+  }
+
+  const version = Number.parseInt(versionText, 10);
+  if (!Number.isInteger(version) || version < 1 || version > PERMALINK_VERSION) {
+    console.warn(`Ignoring permalink with unsupported version: ${versionText}`);
+    return null;
+  }
+
+  const state = { version };
+
+  const layer = params.get(PERMALINK_PARAMS.layer);
+  if (layer && layer.length <= MAX_LAYER_LENGTH) state.layer = layer;
+
+  if (params.has(PERMALINK_PARAMS.activeLayers)) {
+    state.activeLayers = params.get(PERMALINK_PARAMS.activeLayers)
+      .split(',')
+      .map((key) => key.trim())
+      .filter(Boolean);
+  }
+
+  const time = parsePermalinkTime(params.get(PERMALINK_PARAMS.time));
+  if (time) state.time = time;
+
+  const opacity = Number(params.get(PERMALINK_PARAMS.opacity));
+  if (params.get(PERMALINK_PARAMS.opacity) && Number.isFinite(opacity) && opacity >= 0 && opacity <= 1) {
+    state.opacity = opacity;
+  }
+
+  const legendRange = parseLegendRange(params.get(PERMALINK_PARAMS.legendRange));
+  if (legendRange) state.legendRange = legendRange;
+
+  const point = parseNumbers(params.get(PERMALINK_PARAMS.point), 2);
+  if (point && isLatLon(point[0], point[1])) state.point = { lat: point[0], lon: point[1] };
+
+  const view = parseNumbers(params.get(PERMALINK_PARAMS.view), 3);
+  if (view && isLatLon(view[0], view[1]) && view[2] >= 0 && view[2] <= 24) {
+    state.view = { lat: view[0], lon: view[1], zoom: view[2] };
+  }
+
+  return state;
+}
+
+/**
+ * Replace the permalink parameters of a query string, keeping the others
+ * @param {string} search - Current query string
+ * @param {Object} state - See encodePermalinkState
+ * @returns {string} Query string with a leading "?", or "" when empty
+ */
+export function mergePermalinkSearch(search, state) {
+  const params = new URLSearchParams(search || '');
+  [...Object.values(PERMALINK_PARAMS), ...LEGACY_PARAMS].forEach((name) => params.delete(name));
+  encodePermalinkState(state).forEach((value, name) => params.set(name, value));
+  // Commas are valid in a query string and keep the link readable
+  const query = params.toString().replace(/%2C/gi, ',');
+  return query ? `?${query}` : '';
+}
+
+/**
+ * Absolute link to a view state on the current page
+ * @param {Object} state - See encodePermalinkState
+ * @param {{origin: string, pathname: string, search: string, hash: string}} [location]
+ * @returns {string}
+ */
+export function buildPermalinkUrl(state, location = window.location) {
+  return `${location.origin}${location.pathname}${mergePermalinkSearch(location.search, state)}${location.hash || ''}`;
+}
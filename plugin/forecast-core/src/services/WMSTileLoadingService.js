@@ -5,6 +5,8 @@
  * better error categorization, and user-friendly feedback.
  */
 
+import { getCountryConfig } from '../config/countryConfig';
+
 class WMSTileLoadingService {
   constructor() {
     this.retryConfig = {
@@ -90,8 +92,9 @@ class WMSTileLoadingService {
     // Check for HTTP/2 protocol errors (Chrome specific)
     if (error && error.target && error.target.src) {
       const errorSrc = error.target.src;
+      const { forecastDataset } = getCountryConfig();
       // HTTP/2 protocol errors often manifest as failed tile loads
-      if (errorSrc.includes('tuvalu_forecast') && this.isLikelyHTTP2Error(error)) {
+      if (forecastDataset && errorSrc.includes(forecastDataset) && this.isLikelyHTTP2Error(error)) {
         return 'http2_protocol_error';
       }
     }
@@ -625,13 +628,11 @@ class WMSTileLoadingService {
    * Get user-friendly error message for production
    */
   getUserFriendlyErrorMessage(layerName) {
-    const friendlyNames = {
-      'dirm': 'Wave Direction',
-      'hs': 'Wave Height', 
-      'tm02': 'Wave Period',
-      'tpeak': 'Peak Wave Period',
-      'cook_forecast': 'Cook Islands Forecast'
-    };
+    const { forecastDataset, name, layerDisplayNames } = getCountryConfig();
+    const friendlyNames = { ...layerDisplayNames };
+    if (forecastDataset) {
+      friendlyNames[forecastDataset] = `${name} Forecast`;
+    }
 
     const displayName = friendlyNames[layerName] || 'Marine Data';
     
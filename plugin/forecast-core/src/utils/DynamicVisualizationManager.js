@@ -7,17 +7,19 @@
 import { WMSStyleManager } from './WMSStyleManager';
 import { intelligentVisualizationSystem } from './IntelligentVisualizationSystem';
 import { histogramAdaptiveVisualization } from './HistogramAdaptiveVisualization';
+import { getCountryConfig, lookupByVariable } from '../config/countryConfig';
 
 export class DynamicVisualizationManager {
   constructor() {
     this.dataCache = new Map();
     this.styleManager = new WMSStyleManager();
-    this.adaptiveRanges = {
-      'hs': { min: 0, max: 4, unit: 'm' },
-      'tm02': { min: 0, max: 20, unit: 's' },
-      'tpeak': { min: 0, max: 20, unit: 's' },
-      'dirm': { min: 0, max: 360, unit: '°' }
-    };
+  }
+
+  /**
+   * Fallback ranges from the country config, keyed by variable
+   */
+  get adaptiveRanges() {
+    return getCountryConfig().visualization.layerRanges;
   }
 
   /**
@@ -144,14 +146,14 @@ export class DynamicVisualizationManager {
    * Get default range for a layer when data fetching fails
    */
   getDefaultRange(layerName) {
-    return this.adaptiveRanges[layerName] || { min: 0, max: 4, unit: 'm' };
+    return lookupByVariable(this.adaptiveRanges, layerName) || { min: 0, max: 4, unit: 'm' };
   }
 
   /**
    * Generate adaptive color range based on data statistics
    */
   generateAdaptiveRange(stats, layerName) {
-    const layerConfig = this.adaptiveRanges[layerName];
+    const layerConfig = lookupByVariable(this.adaptiveRanges, layerName);
     
     if (layerName.includes('hs')) {
       // For wave height, use 95th percentile as max to avoid outliers
@@ -300,7 +302,7 @@ export class DynamicVisualizationManager {
    * Fallback WMS parameters when advanced analysis fails
    */
   getFallbackWMSParams(layerName) {
-    const defaultConfig = this.adaptiveRanges[layerName] || { min: 0, max: 4, unit: 'm' };
+    const defaultConfig = lookupByVariable(this.adaptiveRanges, layerName) || { min: 0, max: 4, unit: 'm' };
     
     return {
       style: 'default-scalar/psu-viridis',
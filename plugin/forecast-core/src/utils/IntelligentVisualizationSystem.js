@@ -4,6 +4,8 @@
  * to provide optimal color schemes and styling for any forecast scenario
  */
 
+import { getCountryConfig, lookupByVariable } from '../config/countryConfig';
+
 export class IntelligentVisualizationSystem {
   constructor() {
     this.dataHistoryCache = new Map();
@@ -88,9 +90,10 @@ export class IntelligentVisualizationSystem {
    * Get default visualization when intelligent analysis fails
    */
   getDefaultVisualization(layerName) {
+    const { defaultPalette } = getCountryConfig().visualization;
     const defaults = {
       'hs': {
-        colorScheme: { palette: 'psu-viridis', style: 'default-scalar/psu-viridis' },
+        colorScheme: { palette: defaultPalette, style: `default-scalar/${defaultPalette}` },
         adaptiveRanges: { min: 0, max: 4, unit: 'm' },
         weatherPattern: { type: 'UNKNOWN', confidence: 0 },
         temporalContext: { trend: 'stable', variability: 'normal' }
@@ -109,7 +112,7 @@ export class IntelligentVisualizationSystem {
       }
     };
 
-    return defaults[layerName] || defaults['hs'];
+    return lookupByVariable(defaults, layerName) || defaults['hs'];
   }
 
   /**
@@ -295,7 +298,7 @@ class ColorSchemeOptimizer {
     if (layerName.includes('hs')) {
       // Wave height - prioritize safety and clarity
       if (weatherPattern.riskLevel >= 5) return this.colorSchemes.STORM_WARNING;
-      if (weatherPattern.primary === 'CALM') return this.colorSchemes.VIRIDIS;
+      if (weatherPattern.primary === 'CALM') return this.getDefaultScheme();
       return this.colorSchemes.PLASMA;
     } else if (layerName.includes('tm02') || layerName.includes('tpeak')) {
       // Wave periods - emphasize sea-state continuum
@@ -305,7 +308,15 @@ class ColorSchemeOptimizer {
       return this.colorSchemes.OCEAN_HALINE;
     }
     
-    return this.colorSchemes.VIRIDIS; // Safe default
+    return this.getDefaultScheme(); // Safe default
+  }
+
+  /**
+   * Country default palette (e.g. x-Sst for Tuvalu), treated like Viridis
+   */
+  getDefaultScheme() {
+    const { defaultPalette } = getCountryConfig().visualization;
+    return { ...this.colorSchemes.VIRIDIS, name: defaultPalette };
   }
 
   optimizeForConditions(baseScheme, stats, weatherPattern, temporalContext) {
@@ -424,7 +435,7 @@ class TemporalAnalyzer {
 
   getSeason(date) {
     const month = date.getMonth();
-    // Southern Hemisphere seasons for Cook Islands
+    // Southern Hemisphere seasons (all supported Pacific Island countries)
     if (month >= 2 && month <= 4) return 'autumn';
     if (month >= 5 && month <= 7) return 'winter';
     if (month >= 8 && month <= 10) return 'spring';
@@ -1,5 +1,7 @@
 // WMSStyleManager.js - Advanced WMS styling with multiple color palettes
 
+import { getCountryConfig, onCountryConfigChange } from '../config/countryConfig';
+
 export const WMSColorPalettes = {
   // ncWMS Available Palettes (verified from server capabilities)
   
@@ -32,23 +34,21 @@ export const WMSColorPalettes = {
 export const WMSStylePresets = {
   WAVE_HEIGHT: {
     style: WMSColorPalettes.X_SST,
-    numcolorbands: 20, // Match working endpoint for Hs
+    numcolorbands: 250, // Continuous like QGIS (max resolution)
     belowmincolor: 'transparent',
     abovemaxcolor: 'extend',
     interpolation: 'linear', // Linear interpolation like your QGIS example
     mode: 'continuous', // Continuous classification
-    description: 'Blue to red color ramp for wave height (0.0 to 4.0 meters)',
-    // Blue to red color mapping (heights in meters)
+    description: 'X-SST palette - matches inundation color story',
+    // Rounded, perceptually uniform color mapping (heights in meters) - X-SST palette
     colorMapping: {
-      0.0: 'rgb(0, 0, 128)',       // 0.0m - Dark blue
-      0.5: 'rgb(0, 60, 200)',      // 0.5m - Blue
-      1.0: 'rgb(0, 120, 255)',     // 1.0m - Light blue
-      1.5: 'rgb(0, 200, 220)',     // 1.5m - Cyan
-      2.0: 'rgb(100, 255, 100)',   // 2.0m - Light green/yellow
-      2.5: 'rgb(255, 255, 0)',     // 2.5m - Yellow
-      3.0: 'rgb(255, 180, 0)',     // 3.0m - Orange
-      3.5: 'rgb(255, 100, 0)',     // 3.5m - Red-orange
-      4.0: 'rgb(200, 0, 0)'        // 4.0m - Dark red
+      0: 'rgb(49, 54, 149)',    // Calm seas (0–1 m) - Deep blue
+      1: 'rgb(69, 117, 180)',   // Slight (1–2 m) - Blue
+      2: 'rgb(116, 173, 209)',  // Moderate (2–4 m) - Cyan
+      4: 'rgb(171, 217, 233)',  // Rough (4–6 m) - Aqua
+      6: 'rgb(254, 224, 144)',  // Very Rough (6–9 m) - Yellow
+      9: 'rgb(253, 174, 97)',   // High (9–14 m) - Orange
+      14: 'rgb(215, 48, 39)'    // Extreme (14+ m) - Red
     }
   },
   
@@ -70,10 +70,10 @@ export const WMSStylePresets = {
   
   INUNDATION: {
     style: WMSColorPalettes.X_SST,
-    numcolorbands: 220,
+    numcolorbands: 250,
     belowmincolor: 'transparent',
     abovemaxcolor: 'extend',
-    description: 'x-Sst (jet) palette for inundation depth visualisation, matching CK model style'
+    description: 'X-SST palette for inundation depth visualisation'
   },
   
   WAVE_ENERGY: {
@@ -101,6 +101,30 @@ export const WMSStylePresets = {
   }
 };
 
+// Pristine presets, so re-configuring a country never stacks overrides
+const BASE_STYLE_PRESETS = Object.fromEntries(
+  Object.entries(WMSStylePresets).map(([key, preset]) => [key, { ...preset }])
+);
+
+/**
+ * Apply the country's preset overrides (e.g. Tuvalu's 20-band wave height ramp).
+ * Presets are replaced in place so existing WMSStylePresets imports see the change.
+ * @param {Object} overrides - Partial presets keyed by preset name
+ */
+export function applyStylePresetOverrides(overrides = {}) {
+  Object.keys(BASE_STYLE_PRESETS).forEach((key) => {
+    WMSStylePresets[key] = { ...BASE_STYLE_PRESETS[key], ...(overrides[key] || {}) };
+  });
+  Object.keys(overrides).forEach((key) => {
+    if (!BASE_STYLE_PRESETS[key]) {
+      WMSStylePresets[key] = { ...overrides[key] };
+    }
+  });
+}
+
+applyStylePresetOverrides(getCountryConfig().stylePresets);
+onCountryConfigChange(config => applyStylePresetOverrides(config.stylePresets));
+
 export class WMSStyleManager {
   constructor() {
     this.currentPalette = WMSColorPalettes.VIRIDIS;
@@ -565,7 +589,7 @@ export class WMSStyleManager {
       return `${min.toFixed(1)},${max.toFixed(1)}`;
     }
     
-    // Default ranges based on Cook Islands typical conditions
+    // Default ranges based on typical Southwest Pacific conditions
     if (type.includes('hs') || type.includes('height')) {
       return '0,6';  // Extended range for extreme events
     }
@@ -1,8 +1,15 @@
 /**
  * Marine Visualization System
  * Implements state-of-the-art techniques used by NOAA, ECMWF, and leading marine forecast centers
+ *
+ * Palette and range tables below are the baseline; each country tunes them
+ * through the `visualization.worldClass` section of its country config.
  */
 
+import { getCountryConfig } from '../config/countryConfig';
+
+const getWorldClassSettings = () => getCountryConfig().visualization.worldClass;
+
 class WorldClassVisualization {
   // World Meteorological Organization (WMO) standard color scales
   // By making these properties static, they are available on the class itself,
@@ -28,7 +35,7 @@ class WorldClassVisualization {
   };
 
   // Scientific color palettes optimized for ocean data
-  static scientificPalettes = {
+  static baseScientificPalettes = {
       // Perceptual uniform palettes (matplotlib standard)
       viridis: "psu-viridis",     // Best for continuous data
       plasma: "psu-plasma",       // High contrast, good for periods
@@ -43,7 +50,7 @@ class WorldClassVisualization {
       "br-bg": "br-bg",           // Brown-Blue-Green divergent
       "pi-yl-gn": "pi-yl-gn",     // Pink-Yellow-Green divergent
       
-      // Sequential palettes for Cook Islands
+      // Sequential palettes
       "seq-Blues": "seq-Blues",   // Sequential Blues (legacy)
       "x-Sst": "x-Sst",           // X-SST palette (matches inundation styling)
       
@@ -59,44 +66,44 @@ class WorldClassVisualization {
       winds: "spectral",          // Updated to Spectral for wave-related data
       
       // Wave-specific palettes (oceanographic standards)
-      waveHeight: "x-Sst",        // UPDATED: X-SST palette for wave height (matches inundation)
+      waveHeight: "x-Sst",        // X-SST palette for wave height (matches inundation)
       wavePeriod: "spectral",     // ENHANCED: Spectral divergent for superior period visualization
       waveDirection: "spectral"   // Directional data
   };
 
   // Advanced styling configurations
-  static advancedConfigs = {
+  static baseAdvancedConfigs = {
       significantWaveHeight: {
         // Multi-threshold configuration for different sea states using X-SST palette
         calm: {
-          range: "0,4",      // Updated to 4m max as requested
-          palette: "x-Sst",        // UPDATED: X-SST palette (matches inundation)
+          range: "0,4",
+          palette: "x-Sst",
           bands: 250,
           opacity: 0.7,
-          description: "Cook Islands wave conditions"
+          description: "Calm to slight seas"
         },
         moderate: {
-          range: "0,4",      // Updated to 4m max as requested
-          palette: "x-Sst",        // UPDATED: X-SST palette (matches inundation)
+          range: "0,4",
+          palette: "x-Sst",
           bands: 250,
           opacity: 0.8,
-          description: "Cook Islands wave height - current conditions"
+          description: "Wave height - current conditions"
         },
         rough: {
-          range: "0,4",      // Updated to 4m max as requested
-          palette: "x-Sst",        // UPDATED: X-SST palette (matches inundation)
+          range: "0,4",
+          palette: "x-Sst",
           bands: 250,
-          description: "Cook Islands wave height - full range"
+          description: "Wave height - full range"
         },
         dangerous: {
           range: "0,15",
-          palette: "x-Sst",        // UPDATED: X-SST palette for consistency
+          palette: "x-Sst",
           bands: 250,
           description: "Dangerous seas - gale warning"
         },
         extreme: {
           range: "0,25",
-          palette: "x-Sst",        // UPDATED: X-SST palette for consistency
+          palette: "x-Sst",
           bands: 250,
           description: "Extreme seas - storm warning"
         }
@@ -136,10 +143,38 @@ class WorldClassVisualization {
       }
   };
 
+  // Baseline tables with the country's overrides applied
+  static get scientificPalettes() {
+    return { ...this.baseScientificPalettes, ...getWorldClassSettings().scientificPalettes };
+  }
+
+  static get advancedConfigs() {
+    const overrides = getWorldClassSettings().advancedConfigs || {};
+    return {
+      significantWaveHeight: {
+        ...this.baseAdvancedConfigs.significantWaveHeight,
+        ...overrides.significantWaveHeight
+      },
+      meanWavePeriod: {
+        ...this.baseAdvancedConfigs.meanWavePeriod,
+        ...overrides.meanWavePeriod
+      }
+    };
+  }
+
   /**
    * Get adaptive WMS configuration based on current conditions
+   * With `adaptiveRange` enabled the colour range follows the observed maximum,
+   * clamped between options.minimumCeiling and options.maxCeiling.
    */
-  getAdaptiveWaveHeightConfig(maxObservedHeight = 4.0, region = "tropical") {
+  getAdaptiveWaveHeightConfig(maxObservedHeight = 4.0, region = "tropical", options = {}) {
+    const settings = getWorldClassSettings();
+    const {
+      minimumRangeStart = 0,
+      maxCeiling = region === "tropical" ? 10 : 12,
+      minimumCeiling = region === "tropical" ? 3 : 2.5
+    } = options;
+
     let config;
     const baseConfigs = this.constructor.advancedConfigs.significantWaveHeight;
     // Select configuration based on sea state
@@ -157,29 +192,54 @@ class WorldClassVisualization {
 
     // Regional adjustments
     if (region === "tropical") {
-      // Tropical regions: maintain high-resolution palette
-      config = { ...config, bands: 250 };
+      // Tropical regions: boost mid-range visibility, or hold the high-resolution band count
+      const bands = settings.tropicalBandBoost
+        ? Math.min(config.bands + settings.tropicalBandBoost, settings.highResolutionBands)
+        : settings.highResolutionBands;
+      config = { ...config, bands };
     } else if (region === "polar") {
       // Polar regions: focus on lower ranges
       config = { ...config, range: `0,${Math.min(parseFloat(config.range.split(',')[1]), 6)}` };
     }
 
-    return {
+    let colorscalerange = config.range;
+    if (settings.adaptiveRange) {
+      const parsedRange = config.range.split(',').map(Number);
+      const baseMax = Number.isFinite(parsedRange[1]) ? parsedRange[1] : minimumCeiling;
+      const safeObserved = Number.isFinite(maxObservedHeight) ? Math.max(maxObservedHeight, 0) : baseMax;
+      const bufferedMax = safeObserved + Math.max(safeObserved * 0.15, 0.4);
+      const appliedMax = Math.min(
+        Math.max(bufferedMax, Math.max(baseMax, minimumCeiling)),
+        maxCeiling
+      );
+      const appliedMin = Number.isFinite(parsedRange[0]) ? Math.min(parsedRange[0], minimumRangeStart) : minimumRangeStart;
+      colorscalerange = `${appliedMin.toFixed(2)},${appliedMax.toFixed(2)}`;
+    }
+
+    const wmsConfig = {
       style: `default-scalar/${config.palette}`,
-      colorscalerange: config.range,
+      colorscalerange,
       numcolorbands: config.bands,
       belowmincolor: "transparent",
       abovemaxcolor: "extend",
-      opacity: config.opacity || 0.8,
-      colorscaling: "linear"
+      opacity: config.opacity || 0.8
     };
+    if (settings.colorscaling) {
+      wmsConfig.colorscaling = settings.colorscaling;
+    }
+    return wmsConfig;
   }
 
   /**
    * Get adaptive mean wave period configuration based on expected conditions
    * ENHANCED with divergent color schemes for superior visual distinction
    */
-  getAdaptiveWavePeriodConfig(maxPeriod = 20.0, analysisType = "general") {
+  getAdaptiveWavePeriodConfig(maxPeriod = 20.0, analysisType = "general", options = {}) {
+    const {
+      minPeriod = 0,
+      maxCeiling = 24
+    } = options;
+
     let config;
     const periodConfigs = this.constructor.advancedConfigs.meanWavePeriod;
     
@@ -188,17 +248,28 @@ class WorldClassVisualization {
       config = periodConfigs.surfConditions;
     } else if (maxPeriod > 20.0 || analysisType === "storm") {
       config = periodConfigs.stormAnalysis;
-    } else if (analysisType === "cookIslands") {
-      // Use Cook Islands optimized divergent palette
-      config = periodConfigs.cookIslands;
+    } else if (periodConfigs[analysisType]) {
+      // Country-optimized divergent palette (e.g. "cookIslands", "niue", "pacificIslands")
+      config = periodConfigs[analysisType];
     } else {
       // Default to enhanced divergent palette
       config = periodConfigs.lowFrequency;
     }
 
+    let colorscalerange = config.range;
+    if (getWorldClassSettings().adaptiveRange) {
+      const parsedRange = config.range.split(',').map(Number);
+      const baseMax = Number.isFinite(parsedRange[1]) ? parsedRange[1] : 20;
+      const safeMaxPeriod = Number.isFinite(maxPeriod) ? Math.max(maxPeriod, minPeriod) : baseMax;
+      const bufferedMax = safeMaxPeriod + Math.max(safeMaxPeriod * 0.1, 1.0);
+      const appliedMax = Math.min(Math.max(bufferedMax, baseMax), maxCeiling);
+      const appliedMin = Number.isFinite(parsedRange[0]) ? Math.min(parsedRange[0], minPeriod) : minPeriod;
+      colorscalerange = `${appliedMin.toFixed(2)},${appliedMax.toFixed(2)}`;
+    }
+
     return {
       style: `default-scalar/${config.palette}`,
-      colorscalerange: config.range,
+      colorscalerange,
       numcolorbands: config.bands,
       belowmincolor: "transparent",
       abovemaxcolor: "extend",
@@ -212,7 +283,7 @@ class WorldClassVisualization {
   /**
    * Generate world-class legend URL with robust fallback system
    */
-  getWorldClassLegendUrl(variable, range, unit, palette = null) {
+  getWorldClassLegendUrl(variable, range, unit, palette = null, options = {}) {
     // Smart palette selection based on variable type and server compatibility
     let selectedPalette = palette;
     if (!selectedPalette) {
@@ -221,14 +292,14 @@ class WorldClassVisualization {
       } else if (variable === 'tm02') {
         selectedPalette = "spectral"; // Use spectral for mean periods
       } else if (variable === 'hs') {
-        selectedPalette = "x-Sst"; // UPDATED: Use X-SST for wave height (matches inundation)
+        selectedPalette = getWorldClassSettings().legend.waveHeightPalette;
       } else {
         selectedPalette = "plasma"; // Default for other variables
       }
     }
     
-    // Primary: Use SWAN_UGRID THREDDS/ncWMS2 legend generation
-    const primaryUrl = this.generateNcWMSLegendUrl(variable, range, unit, selectedPalette);
+    // Primary: Use the country's THREDDS/ncWMS server for legend generation
+    const primaryUrl = this.generateNcWMSLegendUrl(variable, range, unit, selectedPalette, options);
     if (primaryUrl) {
       return primaryUrl;
     }
@@ -238,20 +309,23 @@ class WorldClassVisualization {
   }
 
   /**
-   * Generate reliable SWAN_UGRID legend URL (preferred method)
+   * Generate reliable ncWMS legend URL (preferred method)
+   * options.wmsUrl / options.layerId override the country's legend server and layer
    */
-  generateNcWMSLegendUrl(variable, range, unit, palette) {
-    // Map variable to layer name
-    const layerMapping = {
-      'tm02': 'tm02',
-      'tpeak': 'tpeak', 
-      'hs': 'hs',
-      'dirm': 'dirm',
-      'raro_inun': 'hmax'
-    };
+  generateNcWMSLegendUrl(variable, range, unit, palette, options = {}) {
+    const { legend, highResolutionPalettes, highResolutionBands, colorscaling } = getWorldClassSettings();
+    const baseUrl = options.wmsUrl || legend.wmsUrl;
+    if (!baseUrl) {
+      return null;
+    }
 
-    const layer = layerMapping[variable] || variable;
-    const baseUrl = "https://gemthreddshpc.spc.int/thredds/wms/POP/model/country/spc/forecast/hourly/COK/SWAN_UGRID.nc";
+    // Map variable to layer name; unmapped variables get the country's dataset prefix
+    const layerMapping = legend.layerMapping || {};
+    const layerOverride = options.layerId || options.layerName;
+    const fallbackLayer = variable.includes('/') || !legend.datasetPrefix
+      ? variable
+      : `${legend.datasetPrefix}/${variable}`;
+    const layer = layerOverride || layerMapping[variable] || layerMapping[variable.split('/')[0]] || fallbackLayer;
     
     // Get responsive dimensions
     const screenWidth = window.innerWidth || 1024;
@@ -266,8 +340,8 @@ class WorldClassVisualization {
     }
     
     const correctPalette = this.constructor.scientificPalettes[safePalette] || safePalette;
-    const requiresHighResolution = correctPalette === 'x-Sst';
-    const targetBandCount = requiresHighResolution ? '250' : '256';
+    const requiresHighResolution = highResolutionPalettes.includes(correctPalette);
+    const targetBandCount = requiresHighResolution ? String(highResolutionBands) : '256';
     // Create legend URL with error handling for WMS server limitations
     const params = new URLSearchParams({
       REQUEST: 'GetLegendGraphic',
@@ -288,7 +362,7 @@ class WorldClassVisualization {
       params.append('FORMAT', 'image/png');
       if (requiresHighResolution) {
         params.append('NUMCOLORBANDS', targetBandCount);
-        params.append('COLORSCALING', 'linear');
+        if (colorscaling) params.append('COLORSCALING', colorscaling);
       }
     } else {
       // For other PSU palettes, use full parameters
@@ -299,8 +373,8 @@ class WorldClassVisualization {
       params.append('HEIGHT', height);
       params.append('TRANSPARENT', 'true');
       params.append('FORMAT', 'image/png');
-      if (requiresHighResolution) {
-        params.append('COLORSCALING', 'linear');
+      if (requiresHighResolution && colorscaling) {
+        params.append('COLORSCALING', colorscaling);
       }
     }
 
@@ -331,9 +405,10 @@ class WorldClassVisualization {
       unit: unit
     });
 
-    if (safePalette === 'x-Sst') {
-      params.append('bands', '250');
-      params.append('scaling', 'linear');
+    const { highResolutionPalettes, highResolutionBands, colorscaling } = getWorldClassSettings();
+    if (highResolutionPalettes.includes(safePalette)) {
+      params.append('bands', String(highResolutionBands));
+      if (colorscaling) params.append('scaling', colorscaling);
     }
 
     return `${baseUrl}?${params.toString()}`;
@@ -353,7 +428,7 @@ class WorldClassVisualization {
       'psu-inferno': 'inferno',
       'inferno': 'inferno',
       
-      // Sequential palettes for Cook Islands
+      // Sequential palettes
       'seq-Blues': 'blues',        // Sequential Blues (legacy)
       'x-Sst': 'sst',              // X-SST palette (matches inundation)
       
@@ -367,7 +442,7 @@ class WorldClassVisualization {
       
       // Fallbacks for compatibility
       'jet': 'jet',
-      'default': 'spectral'         // Default to spectral globally (unchanged)
+      'default': 'spectral'         // Default to spectral for better visualization
     };
     
     return safeColors[palette] || safeColors['default'];
@@ -414,40 +489,49 @@ class WorldClassVisualization {
 
   /**
    * Generate enhanced composite layer configuration
+   * @param {object} overrides - Optional overrides of the country's composite settings
    */
-  getWorldClassCompositeConfig() {
+  getWorldClassCompositeConfig(overrides = {}) {
+    const { composite, legend, colorscaling } = getWorldClassSettings();
+    const settings = { ...composite, ...overrides };
+    const wmsUrl = settings.wmsUrl || legend.wmsUrl;
+
+    const heightLayer = {
+      value: settings.heightLayer,
+      ...this.getAdaptiveWaveHeightConfig(6.0, "tropical"),
+      wmsUrl,
+      id: 1001,
+      legendUrl: this.getWorldClassLegendUrl("hs", settings.range, "m", settings.palette),
+      zIndex: 1,
+      style: `default-scalar/${settings.palette}`,
+      colorscalerange: settings.range,
+      numcolorbands: settings.bands
+    };
+    if (settings.dataset) heightLayer.dataset = settings.dataset;
+    if (colorscaling) heightLayer.colorscaling = colorscaling;
+
+    const directionLayer = {
+      value: settings.directionLayer,
+      style: "black-arrow",
+      colorscalerange: "",
+      wmsUrl: settings.directionWmsUrl || wmsUrl,
+      id: 1002,
+      zIndex: 2,
+      opacity: 0.9,
+      description: "Wave direction arrows"
+    };
+    const directionDataset = settings.directionDataset !== undefined ? settings.directionDataset : settings.dataset;
+    if (directionDataset) directionLayer.dataset = directionDataset;
+
     return {
       label: "Significant Wave Height + Direction",
       value: "world_class_composite_hs_dirm",
       id: 999,
       composite: true,
-      description: "Professional-grade wave analysis combining height and direction",
-      layers: [
-        {
-          value: "hs",
-          ...this.getAdaptiveWaveHeightConfig(6.0, "tropical"),
-          wmsUrl: "https://gemthreddshpc.spc.int/thredds/wms/POP/model/country/spc/forecast/hourly/COK/SWAN_UGRID.nc",
-          id: 1001,
-          legendUrl: this.getWorldClassLegendUrl("hs", "0,4", "m", "x-Sst"),
-          zIndex: 1,
-          style: "default-scalar/x-Sst",
-          colorscalerange: "0,4",
-          numcolorbands: 250,
-          dataset: "cook_forecast",
-          colorscaling: "linear"
-        },
-        {
-          value: "dirm",
-          style: "black-arrow",
-          colorscalerange: "",
-          wmsUrl: "https://gemthreddshpc.spc.int/thredds/wms/POP/model/country/spc/forecast/hourly/COK/SWAN_UGRID.nc",
-          id: 1002,
-          dataset: "cook_forecast",
-          zIndex: 2,
-          opacity: 0.9,
-          description: "Wave direction arrows"
-        }
-      ]
+      description: settings.description
+        ? `Professional-grade wave analysis combining height and direction - ${settings.description}`
+        : "Professional-grade wave analysis combining height and direction",
+      layers: [heightLayer, directionLayer]
     };
   }
 
@@ -0,0 +1,95 @@
+/**
+ * Buoy Validation Tests
+ *
+ * Obs API rows split into wave quantities, pairing with the point forecast
+ * time axis and the running bias / RMSE shown in the timeseries panel
+ */
+
+import {
+  buildBuoyValidation,
+  findNearestBuoy,
+  pairWithForecast,
+  parseObservationRows,
+  runningErrors,
+  summarizeErrors
+} from '../../index';
+
+const hour = (h, minutes = 0) => Date.UTC(2025, 5, 1, h, minutes);
+
+describe('Buoy validation', () => {
+  test('should pick the nearest buoy within the distance limit', () => {
+    const buoys = [
+      { id: 1, name: 'Rarotonga', lat: -21.2, lon: -159.8 },
+      { id: 2, name: 'Aitutaki', lat: -18.85, lon: -159.8 }
+    ];
+
+    const nearest = findNearestBuoy(buoys, { lat: -21.25, lon: -159.8 }, 25);
+    expect(nearest.buoy.name).toBe('Rarotonga');
+    expect(nearest.distanceKm).toBeCloseTo(5.56, 1);
+    expect(findNearestBuoy(buoys, { lat: -20, lon: -159.8 }, 25)).toBeNull();
+    expect(findNearestBuoy(buoys, null, 25)).toBeNull();
+  });
+
+  test('should map obs API columns to wave height, peak period and direction', () => {
+    const rows = [
+      { time: '2025-06-01 01:00', significant_wave_height: 1.4, peak_period: 11, peak_direction: 200, wind_speed: 5 },
+      { time: '2025-06-01T00:00:00Z', significant_wave_height: -999, peak_period: 10, peak_direction: 190, wind_speed: 4 }
+    ];
+
+    const { times, series } = parseObservationRows(rows, 'significant_wave_height,peak_period,peak_direction,wind_speed,time');
+    expect(times).toEqual([hour(0), hour(1)]);
+    expect(series).toEqual({ dir: [190, 200], tp: [10, 11], hs: [null, 1.4] });
+    expect(parseObservationRows([], '')).toEqual({ times: [], series: {} });
+  });
+
+  test('should average observations around each forecast step', () => {
+    const forecast = { times: [hour(0), hour(1), hour(2)].map((t) => new Date(t).toISOString()), values: [1.2, 1.5, null] };
+    const observed = {
+      times: [hour(0, 20), hour(1), hour(1, 20), hour(2)],
+      values: [1.0, 1.4, 1.6, 1.8]
+    };
+
+    const pairs = pairWithForecast(forecast, observed, { windowMinutes: 30 });
+    expect(pairs.map((p) => p.time.getTime())).toEqual([hour(0), hour(1)]);
+    expect(pairs[0].error).toBeCloseTo(0.2);
+    expect(pairs[1].observed).toBeCloseTo(1.5);
+    expect(pairs[1].error).toBeCloseTo(0);
+  });
+
+  test('should wrap direction errors across north', () => {
+    const forecast = { times: [hour(0)], values: [5] };
+    const observed = { times: [hour(0, -10), hour(0, 10)], values: [350, 0] };
+
+    const [pair] = pairWithForecast(forecast, observed, { circular: true });
+    expect(pair.observed).toBeCloseTo(355);
+    expect(pair.error).toBeCloseTo(10);
+  });
+
+  test('should compute running bias and RMSE over the trailing window', () => {
+    const pairs = [0.5, -0.5, 1].map((error, i) => ({ time: new Date(hour(i * 12)), error }));
+
+    expect(summarizeErrors(pairs)).toEqual({ bias: 1 / 3, rmse: Math.sqrt(1.5 / 3), count: 3 });
+    expect(summarizeErrors([])).toBeNull();
+
+    const running = runningErrors(pairs, 24);
+    expect(running.map((r) => r.count)).toEqual([1, 2, 2]);
+    expect(running[2].bias).toBeCloseTo(0.25);
+    expect(running[2].rmse).toBeCloseTo(Math.sqrt(1.25 / 2));
+  });
+
+  test('should compare CoverageJSON timeseries with the buoy', () => {
+    const coverage = (key, values) => ({
+      domain: { axes: { t: { values: [hour(0), hour(1)].map((t) => new Date(t).toISOString()) } } },
+      ranges: { [key]: { values } }
+    });
+    const perVariableData = { hs: coverage('hs', [1.2, 1.3]), tpeak: coverage('tpeak', [10, 10]), dirp: null };
+    const observations = { times: [hour(0), hour(1)], series: { hs: [1.0, 1.1], dir: [180, 185] } };
+
+    const result = buildBuoyValidation(perVariableData, observations, { hs: 'hs', tpeak: 'tp', dirp: 'dir' });
+    expect(Object.keys(result)).toEqual(['hs']);
+    expect(result.hs.summary.bias).toBeCloseTo(0.2);
+    expect(result.hs.summary.rmse).toBeCloseTo(0.2);
+    expect(result.hs.summary).toMatchObject({ count: 2, windowHours: 24 });
+    expect(result.hs.observed.times[0]).toEqual(new Date(hour(0)));
+  });
+});
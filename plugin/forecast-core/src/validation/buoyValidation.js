@@ -0,0 +1,328 @@
+/**
+ * Buoy Validation
+ *
+ * Compares the point forecast with a wave buoy from the SPC ocean
+ * observations API (the stations the realtime dashboard shows). The buoy
+ * nearest the clicked point is used when it lies within
+ * buoyValidation.maxDistanceKm (and the optional domain bounds).
+ *
+ * Observations are averaged around each forecast time step, so the pairs sit
+ * on the forecast's CoverageJSON time axis. Errors are forecast minus
+ * observed; directions wrap to [-180, 180). Running bias and RMSE use the
+ * trailing buoyValidation.windowHours of pairs at each step.
+ */
+
+import { getCountryConfig } from '../config/countryConfig';
+
+// Observed quantities and the obs API keys that carry them. Checked in this
+// order, so "peak_direction" is a direction before it can be a period.
+export const OBSERVED_QUANTITIES = {
+  dir: { label: 'Direction', unit: '°', circular: true, match: /direction|(^|_)(dir|dirm|dirp|dp|mwd)(_|$)/i },
+  tp: { label: 'Peak period', unit: 's', circular: false, match: /peak_?period|(^|_)(tp|tpeak)(_|$)/i },
+  hs: { label: 'Wave height', unit: 'm', circular: false, match: /hsig|hm0|significant|wave_?height|(^|_)hs(_|$)/i }
+};
+
+const EARTH_RADIUS_KM = 6371;
+const MISSING_VALUE = -999;
+
+let stationsPromise = null;
+
+const toRad = (deg) => deg * Math.PI / 180;
+
+const wrapDirection = (deg) => ((deg % 360) + 540) % 360 - 180;
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n !== MISSING_VALUE ? n : null;
+};
+
+// Obs API timestamps: ISO strings, epoch ms or "YYYY-MM-DD HH:MM[:SS]" (UTC)
+const parseTime = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return NaN;
+  const t = Date.parse(value);
+  if (!Number.isNaN(t)) return t;
+  const m = value.trim().match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}(?::\d{2})?)/);
+  return m ? Date.parse(`${m[1]}T${m[2]}Z`) : NaN;
+};
+
+/**
+ * Great-circle distance between two points
+ * @param {{lat: number, lon: number}} a
+ * @param {{lat: number, lon: number}} b
+ * @returns {number} Distance in km
+ */
+export function distanceKm(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+const inDomain = (station, domain) => {
+  if (!Array.isArray(domain) || domain.length !== 4) return true;
+  const [west, south, east, north] = domain;
+  const lon = west > east && station.lon < west ? station.lon + 360 : station.lon;
+  return station.lat >= south && station.lat <= north && lon >= west && lon <= (west > east ? east + 360 : east);
+};
+
+/**
+ * Active wave buoys inside the forecast domain. The station list is fetched once per page.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Array<{id: number, stationId: string, name: string, type: string, lat: number, lon: number}>>}
+ */
+export async function fetchWaveBuoys({ signal } = {}) {
+  const { obsApiUrl, stationTypes, domain } = getCountryConfig().buoyValidation;
+  if (!stationsPromise) {
+    stationsPromise = fetch(`${obsApiUrl}/stations/`, { signal })
+      .then((response) => {
+        if (!response.ok) throw new Error(`Station list request failed (${response.status})`);
+        return response.json();
+      })
+      .catch((error) => {
+        stationsPromise = null;
+        throw error;
+      });
+  }
+
+  const stations = await stationsPromise;
+  return (Array.isArray(stations) ? stations : [])
+    .filter((s) => s.is_active && stationTypes.includes(s.type_value))
+    .map((s) => ({
+      id: s.id,
+      stationId: s.station_id,
+      name: s.display_name || s.station_id,
+      type: s.type_value,
+      lat: toNumber(s.latitude),
+      lon: toNumber(s.longitude)
+    }))
+    .filter((s) => s.lat !== null && s.lon !== null && inDomain(s, domain));
+}
+
+/**
+ * Nearest buoy to a point
+ * @param {Array<{lat: number, lon: number}>} buoys
+ * @param {{lat: number, lon: number}|null} location
+ * @param {number} [maxDistance] - Ignore buoys further away than this (km)
+ * @returns {{buoy: Object, distanceKm: number}|null}
+ */
+export function findNearestBuoy(buoys, location, maxDistance = Infinity) {
+  if (!location || !buoys?.length) return null;
+  let best = null;
+  buoys.forEach((buoy) => {
+    const d = distanceKm(location, buoy);
+    if (d <= maxDistance && (!best || d < best.distanceKm)) best = { buoy, distanceKm: d };
+  });
+  return best;
+}
+
+/**
+ * Split obs API get_data rows into one series per observed quantity
+ * @param {Object[]} rows
+ * @param {string} [dataLabels] - Comma-separated column names from the response
+ * @returns {{times: number[], series: Object<string, Array<number|null>>}}
+ */
+export function parseObservationRows(rows, dataLabels = '') {
+  const first = rows?.find((row) => row && typeof row === 'object');
+  if (!first) return { times: [], series: {} };
+
+  const columns = String(dataLabels).split(',').map((s) => s.trim()).filter(Boolean);
+  const keys = [...new Set([...columns, ...Object.keys(first)])].filter((k) => k in first);
+  const timeKey = keys.find((k) => k.toLowerCase() === 'time')
+    || keys.find((k) => /time|date/i.test(k));
+  if (!timeKey) return { times: [], series: {} };
+
+  const valueKeys = keys.filter((k) => k !== timeKey);
+  const columnOf = {};
+  Object.entries(OBSERVED_QUANTITIES).forEach(([quantity, { match }]) => {
+    const key = valueKeys.find((k) => match.test(k) && !Object.values(columnOf).includes(k));
+    if (key) columnOf[quantity] = key;
+  });
+
+  const ordered = rows
+    .map((row) => ({ t: parseTime(row?.[timeKey]), row }))
+    .filter(({ t }) => !Number.isNaN(t))
+    .sort((a, b) => a.t - b.t);
+
+  return {
+    times: ordered.map(({ t }) => t),
+    series: Object.fromEntries(
+      Object.entries(columnOf).map(([quantity, key]) => [quantity, ordered.map(({ row }) => toNumber(row[key]))])
+    )
+  };
+}
+
+/**
+ * Observations of one buoy over a time range
+ * @param {{id: number}} buoy
+ * @param {Object} options
+ * @param {Date} options.start
+ * @param {Date} options.end
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{times: number[], series: Object<string, Array<number|null>>}>}
+ */
+export async function fetchBuoyObservations(buoy, { start, end, signal } = {}) {
+  const { obsApiUrl, maxObservations } = getCountryConfig().buoyValidation;
+  const params = new URLSearchParams({ limit: String(maxObservations) });
+  if (start) params.set('start', start.toISOString());
+  if (end) params.set('end', end.toISOString());
+
+  const response = await fetch(`${obsApiUrl}/get_data/station/${encodeURIComponent(buoy.id)}?${params}`, { signal });
+  if (!response.ok) throw new Error(`Buoy observations request failed (${response.status})`);
+  const body = await response.json();
+  const rows = Array.isArray(body) ? body : body?.data;
+  const parsed = parseObservationRows(rows || [], body?.data_labels);
+
+  // The API may return rows outside the requested range
+  const from = start ? start.getTime() : -Infinity;
+  const to = end ? end.getTime() : Infinity;
+  const keep = parsed.times.map((t, i) => (t >= from && t <= to ? i : -1)).filter((i) => i >= 0);
+  return {
+    times: keep.map((i) => parsed.times[i]),
+    series: Object.fromEntries(Object.entries(parsed.series).map(([q, values]) => [q, keep.map((i) => values[i])]))
+  };
+}
+
+const meanOf = (values, circular) => {
+  if (!values.length) return null;
+  if (!circular) return values.reduce((sum, v) => sum + v, 0) / values.length;
+  const sin = values.reduce((sum, v) => sum + Math.sin(toRad(v)), 0);
+  const cos = values.reduce((sum, v) => sum + Math.cos(toRad(v)), 0);
+  return (Math.atan2(sin, cos) * 180 / Math.PI + 360) % 360;
+};
+
+/**
+ * Pair forecast steps with the mean of the observations within windowMinutes of each step
+ * @param {{times: Array<Date|string|number>, values: Array<number|null>}} forecast
+ * @param {{times: number[], values: Array<number|null>}} observed
+ * @param {Object} [options]
+ * @param {number} [options.windowMinutes=30]
+ * @param {boolean} [options.circular=false] - Directions in degrees
+ * @returns {Array<{time: Date, forecast: number, observed: number, error: number}>}
+ */
+export function pairWithForecast(forecast, observed, { windowMinutes = 30, circular = false } = {}) {
+  const windowMs = windowMinutes * 60 * 1000;
+  const pairs = [];
+  let from = 0;
+
+  forecast.times.forEach((time, i) => {
+    const f = toNumber(forecast.values[i]);
+    const t = new Date(time).getTime();
+    if (f === null || Number.isNaN(t)) return;
+
+    while (from < observed.times.length && observed.times[from] < t - windowMs) from += 1;
+    const inWindow = [];
+    for (let k = from; k < observed.times.length && observed.times[k] <= t + windowMs; k += 1) {
+      if (observed.values[k] !== null) inWindow.push(observed.values[k]);
+    }
+    const o = meanOf(inWindow, circular);
+    if (o === null) return;
+
+    pairs.push({ time: new Date(t), forecast: f, observed: o, error: circular ? wrapDirection(f - o) : f - o });
+  });
+
+  return pairs;
+}
+
+/**
+ * Bias (mean error) and RMSE of a set of pairs
+ * @param {Array<{error: number}>} pairs
+ * @returns {{bias: number, rmse: number, count: number}|null}
+ */
+export function summarizeErrors(pairs) {
+  if (!pairs?.length) return null;
+  let sum = 0;
+  let sumSquares = 0;
+  pairs.forEach(({ error }) => {
+    sum += error;
+    sumSquares += error * error;
+  });
+  return { bias: sum / pairs.length, rmse: Math.sqrt(sumSquares / pairs.length), count: pairs.length };
+}
+
+/**
+ * Bias and RMSE over the trailing window at each pair
+ * @param {Array<{time: Date, error: number}>} pairs - In time order
+ * @param {number} [windowHours=24]
+ * @returns {Array<{time: Date, bias: number, rmse: number, count: number}>}
+ */
+export function runningErrors(pairs, windowHours = 24) {
+  const windowMs = windowHours * 60 * 60 * 1000;
+  let from = 0;
+  return pairs.map((pair, i) => {
+    while (pairs[from].time.getTime() <= pair.time.getTime() - windowMs) from += 1;
+    return { time: pair.time, ...summarizeErrors(pairs.slice(from, i + 1)) };
+  });
+}
+
+/**
+ * Compare CoverageJSON point timeseries with buoy observations
+ * @param {Object<string, Object>} perVariableData - Forecast variable key -> GetTimeseries CoverageJSON
+ * @param {{times: number[], series: Object}} observations - From fetchBuoyObservations
+ * @param {Object<string, string>} variables - Forecast variable key -> observed quantity (OBSERVED_QUANTITIES)
+ * @returns {Object<string, {quantity: string, observed: Object, pairs: Object[], running: Object[], summary: Object|null}>}
+ *   summary is the running bias / RMSE at the latest pair, with the windowHours it covers
+ */
+export function buildBuoyValidation(perVariableData, observations, variables) {
+  const { pairWindowMinutes, windowHours } = getCountryConfig().buoyValidation;
+  const result = {};
+
+  Object.entries(variables).forEach(([key, quantity]) => {
+    const coverage = perVariableData?.[key];
+    const values = observations?.series?.[quantity];
+    const times = coverage?.domain?.axes?.t?.values;
+    if (!values || !times || !coverage.ranges?.[key]?.values) return;
+
+    const { circular } = OBSERVED_QUANTITIES[quantity];
+    const observed = { times: observations.times, values };
+    const pairs = pairWithForecast({ times, values: coverage.ranges[key].values }, observed, {
+      windowMinutes: pairWindowMinutes,
+      circular
+    });
+    const running = runningErrors(pairs, windowHours);
+    // "How is the model doing today": the trailing window up to the latest observation
+    const latest = running[running.length - 1] || null;
+
+    result[key] = {
+      quantity,
+      observed: { times: observed.times.map((t) => new Date(t)), values },
+      pairs,
+      running,
+      summary: latest && { bias: latest.bias, rmse: latest.rmse, count: latest.count, windowHours }
+    };
+  });
+
+  return result;
+}
+
+/**
+ * Nearest in-domain wave buoy to a forecast point and its observations over the forecast's past steps
+ * @param {{lat: number, lon: number}|null} location
+ * @param {Array<Date|string>} forecastTimes - CoverageJSON time axis of the point forecast
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{buoy: Object, distanceKm: number, observations: Object}|null>}
+ *   null when validation is off, no buoy is close enough or the forecast has no past steps
+ */
+export async function fetchNearbyBuoyObservations(location, forecastTimes, { signal } = {}) {
+  const { enabled, maxDistanceKm, pairWindowMinutes } = getCountryConfig().buoyValidation;
+  if (!enabled || !location || !forecastTimes?.length) return null;
+
+  const times = forecastTimes.map((t) => new Date(t).getTime()).filter((t) => !Number.isNaN(t));
+  const pad = pairWindowMinutes * 60 * 1000;
+  const start = Math.min(...times) - pad;
+  const end = Math.min(Math.max(...times) + pad, Date.now());
+  if (end <= start) return null;
+
+  const nearest = findNearestBuoy(await fetchWaveBuoys({ signal }), location, maxDistanceKm);
+  if (!nearest) return null;
+
+  const observations = await fetchBuoyObservations(nearest.buoy, {
+    start: new Date(start),
+    end: new Date(end),
+    signal
+  });
+  return { ...nearest, observations };
+}
@@ -0,0 +1,64 @@
+import { directionalSpectrum, momentDirection, spreadingFunction, waveRose } from '../directional';
+
+// Moments of waves coming from `from` (nautical deg) with first-moment magnitude r
+const momentsFrom = (from, r = 0.8) => {
+  const phi = ((270 - from) * Math.PI) / 180;
+  return { a1: r * Math.cos(phi), b1: r * Math.sin(phi), a2: 0, b2: 0 };
+};
+
+describe('directional', () => {
+  test('converts moments to nautical "from" directions', () => {
+    [0, 45, 135, 270].forEach((from) => {
+      const { a1, b1 } = momentsFrom(from);
+      expect(momentDirection(a1, b1)).toBeCloseTo(from, 6);
+    });
+  });
+
+  test('spreading function peaks at the mean direction and sums to one', () => {
+    const directions = Array.from({ length: 36 }, (_, i) => i * 10);
+    const d = spreadingFunction(momentsFrom(120), directions);
+    expect(d.reduce((s, v) => s + v, 0)).toBeCloseTo(1, 9);
+    expect(directions[d.indexOf(Math.max(...d))]).toBe(120);
+    expect(Math.min(...d)).toBeGreaterThanOrEqual(0);
+  });
+
+  test('builds a directional spectrum with peak and Hs', () => {
+    const swell = momentsFrom(200, 0.9);
+    const sea = momentsFrom(90, 0.6);
+    const spectrum = {
+      timestamp: '2025-01-01T00:00:00Z',
+      frequency: [0.05, 0.1, 0.2],
+      df: [0.05, 0.05, 0.1],
+      varianceDensity: [1, 4, 0.5],
+      a1: [swell.a1, swell.a1, sea.a1],
+      b1: [swell.b1, swell.b1, sea.b1],
+      a2: [0, 0, 0],
+      b2: [0, 0, 0],
+    };
+    const result = directionalSpectrum(spectrum);
+    expect(result.directions).toHaveLength(36);
+    expect(result.energy).toHaveLength(3);
+    expect(result.peak.frequency).toBe(0.1);
+    expect(result.peak.period).toBeCloseTo(10);
+    expect(result.peak.direction).toBeCloseTo(200, 6);
+    expect(result.hs).toBeCloseTo(4 * Math.sqrt(0.05 + 0.2 + 0.05), 9);
+    // Energy over directions gives back the 1-D density
+    const row = result.energy[1].reduce((s, v) => s + v * result.binWidth, 0);
+    expect(row).toBeCloseTo(4, 9);
+  });
+
+  test('returns null without a usable spectrum', () => {
+    expect(directionalSpectrum(null)).toBeNull();
+    expect(directionalSpectrum({ frequency: [0.1], varianceDensity: [1], a1: [0], b1: [0], a2: [0], b2: [0] })).toBeNull();
+  });
+
+  test('bins wave directions and heights into a rose', () => {
+    const rose = waveRose([0, 355, 90, 180, null], [0.3, 1.2, 3.5, 'x', 1]);
+    expect(rose.count).toBe(3);
+    expect(rose.sectors).toHaveLength(16);
+    expect(rose.classes[rose.classes.length - 1].max).toBeNull();
+    expect(rose.sectors[0].percents[0]).toBeCloseTo(100 / 3);
+    expect(rose.sectors[0].percents[2]).toBeCloseTo(100 / 3);
+    expect(rose.sectors[4].percents[5]).toBeCloseTo(100 / 3);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Directional Wave Spectrum and Wave Rose
+ *
+ * Shared by the Spotter buoy panels (widget5) and the station pages (widget3).
+ * Spotter directional moments (a1, b1, a2, b2) are for the direction waves
+ * travel towards, counter-clockwise from east; everything returned here is
+ * nautical (coming from, clockwise from north), as for meanDirection. The
+ * spreading at each frequency is the truncated Fourier estimate from the
+ * first two moment pairs, clipped at zero and renormalised.
+ *
+ * No React or browser APIs, so widgets can import this file directly.
+ */
+
+const DEG = Math.PI / 180;
+
+const toNumber = (v) => (v == null || v === '' ? NaN : Number(v));
+
+// Nautical "from" direction (deg) of the moment angle atan2(b, a)
+export const momentDirection = (a, b) => ((270 - Math.atan2(b, a) / DEG) % 360 + 360) % 360;
+
+// Circular spread (deg) from the first moments
+export const momentSpread = (a1, b1) => Math.sqrt(Math.max(0, 2 * (1 - Math.hypot(a1, b1)))) / DEG;
+
+// Spreading function D(θ) at nautical directions (deg); sums to 1 over the bins
+export const spreadingFunction = ({ a1, b1, a2, b2 }, directions) => {
+  const raw = directions.map((dir) => {
+    const phi = (270 - dir) * DEG;
+    return Math.max(0, 1 + 2 * (a1 * Math.cos(phi) + b1 * Math.sin(phi) + a2 * Math.cos(2 * phi) + b2 * Math.sin(2 * phi)));
+  });
+  const total = raw.reduce((s, v) => s + v, 0);
+  return total > 0 ? raw.map((v) => v / total) : raw.map(() => 1 / directions.length);
+};
+
+// Spotter frequencyData record -> energy per frequency and direction bin:
+// { timestamp, frequencies, bandwidths, directions (bin centres, deg), binWidth, energy[f][d] (m²/Hz/deg), hs, peak }
+// peak: { frequency, period, direction, spread } at the frequency with the most energy. Null when unusable.
+export const directionalSpectrum = (spectrum, { directionBins = 36 } = {}) => {
+  const f = (spectrum?.frequency || []).map(toNumber);
+  const s = (spectrum?.varianceDensity || []).map(toNumber);
+  const moments = ['a1', 'b1', 'a2', 'b2'].map((k) => (spectrum?.[k] || []).map(toNumber));
+  const rows = f
+    .map((freq, i) => ({ freq, density: s[i], a1: moments[0][i], b1: moments[1][i], a2: moments[2][i], b2: moments[3][i] }))
+    .filter((r) => r.freq > 0 && Number.isFinite(r.density) && [r.a1, r.b1, r.a2, r.b2].every(Number.isFinite));
+  if (rows.length < 2) return null;
+
+  // Bandwidths from the record when given, else half-way to the neighbouring frequencies
+  const given = (spectrum.df || []).map(toNumber);
+  const bandwidths = rows.map((r, i) => {
+    const df = given[f.indexOf(r.freq)];
+    if (df > 0) return df;
+    const lo = i > 0 ? (r.freq - rows[i - 1].freq) / 2 : (rows[1].freq - r.freq) / 2;
+    const hi = i < rows.length - 1 ? (rows[i + 1].freq - r.freq) / 2 : lo;
+    return lo + hi;
+  });
+
+  const binWidth = 360 / directionBins;
+  const directions = Array.from({ length: directionBins }, (_, i) => i * binWidth);
+  const energy = rows.map((r) => spreadingFunction(r, directions).map((d) => (Math.max(0, r.density) * d) / binWidth));
+
+  const m0 = rows.reduce((sum, r, i) => sum + Math.max(0, r.density) * bandwidths[i], 0);
+  const peakIdx = rows.reduce((best, r, i) => (r.density > rows[best].density ? i : best), 0);
+  const p = rows[peakIdx];
+  return {
+    timestamp: spectrum.timestamp || null,
+    frequencies: rows.map((r) => r.freq),
+    bandwidths,
+    directions,
+    binWidth,
+    energy,
+    hs: 4 * Math.sqrt(m0),
+    peak: {
+      frequency: p.freq,
+      period: 1 / p.freq,
+      direction: momentDirection(p.a1, p.b1),
+      spread: momentSpread(p.a1, p.b1)
+    }
+  };
+};
+
+export const ROSE_HEIGHT_CLASSES = [0.5, 1, 1.5, 2, 3];
+export const ROSE_SECTORS = 16;
+
+// Occurrence (%) of wave height classes per direction sector:
+// { sectors: [{ direction, percents: [per class] }], classes: [{ min, max, label }], count }.
+// Sectors are centred on north; class i is [edges[i-1], edges[i]), the last one open-ended.
+export const waveRose = (directions, heights, { sectors = ROSE_SECTORS, heightClasses = ROSE_HEIGHT_CLASSES } = {}) => {
+  const width = 360 / sectors;
+  const edges = [0, ...heightClasses];
+  const classes = edges.map((min, i) => ({
+    min,
+    max: i < heightClasses.length ? edges[i + 1] : null,
+    label: i < heightClasses.length ? `${min}–${edges[i + 1]} m` : `≥ ${min} m`
+  }));
+  const counts = Array.from({ length: sectors }, () => classes.map(() => 0));
+  let count = 0;
+  directions.forEach((d, i) => {
+    const dir = toNumber(d);
+    const h = toNumber(heights[i]);
+    if (!Number.isFinite(dir) || !Number.isFinite(h) || h < 0) return;
+    const sector = Math.floor((((dir % 360) + 360 + width / 2) % 360) / width);
+    let cls = heightClasses.findIndex((edge) => h < edge);
+    if (cls < 0) cls = heightClasses.length;
+    counts[sector][cls] += 1;
+    count += 1;
+  });
+  return {
+    sectors: counts.map((c, i) => ({ direction: i * width, percents: c.map((n) => (count ? (n / count) * 100 : 0)) })),
+    classes,
+    count
+  };
+};
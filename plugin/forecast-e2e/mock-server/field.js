@@ -0,0 +1,102 @@
+/**
+ * Synthetic forecast fields
+ *
+ * Datasets in fixtures/datasets.json answer with smooth, deterministic
+ * values: the same layer, point and time always give the same number, so
+ * tests can assert on them. The model run is anchored to the current clock,
+ * so the time axis always covers "now" the way the live server does.
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Start of the latest model cycle before now (00/06/12/18 UTC for 6-hourly runs)
+ * @param {Date} now
+ * @param {number} cycleHours
+ * @param {number} [runsBack=0] - 1 for the previous cycle (a dataset's previousRunPaths)
+ */
+function latestRun(now, cycleHours, runsBack = 0) {
+  const cycle = cycleHours * HOUR;
+  return new Date(Math.floor(now.getTime() / cycle) * cycle - runsBack * cycle);
+}
+
+/**
+ * Hourly (stepHours) time axis of a run, from T+0 to forecastHours
+ * @returns {Date[]}
+ */
+function timeAxis(run, { stepHours, forecastHours }) {
+  const times = [];
+  for (let hours = 0; hours <= forecastHours; hours += stepHours) {
+    times.push(new Date(run.getTime() + hours * HOUR));
+  }
+  return times;
+}
+
+/**
+ * Variable definition for a layer name, ignoring dataset prefixes and case
+ * ('niue_forecast/hs', 'Hs' and 'hs' are the same variable)
+ * @returns {Object|null}
+ */
+function findVariable(manifest, layer) {
+  const name = String(layer || '').split('/').pop().toLowerCase();
+  const variable = manifest.variables[name];
+  return variable ? { name, ...variable } : null;
+}
+
+// Tuvalu straddles the antimeridian, so -179.5 and 180.5 are the same longitude
+const insideBbox = ([west, south, east, north], lat, lon) =>
+  lat >= south && lat <= north && [lon, lon + 360, lon - 360].some((x) => x >= west && x <= east);
+
+/**
+ * Value of a variable at a point and time
+ * @param {Object} variable - From findVariable
+ * @param {Object} point
+ * @param {number} point.lat
+ * @param {number} point.lon
+ * @param {Date} point.time
+ * @param {number} [runsBack=0] - Previous cycles read slightly higher, so run differences are visible
+ * @returns {number}
+ */
+function valueAt(variable, { lat, lon, time }, runsBack = 0) {
+  const [min, max] = variable.range;
+  const hours = time.getTime() / HOUR;
+  // A 12.4 h (tidal-looking) swing, a slow 3-day trend and a spatial ripple
+  const shape = 0.5
+    + 0.22 * Math.sin((2 * Math.PI * hours) / 12.4 + lon * 0.9)
+    + 0.18 * Math.sin((2 * Math.PI * hours) / 72 + lat * 0.6)
+    + 0.08 * Math.cos(lat * 3.1 - lon * 2.3);
+  const fraction = Math.min(1, Math.max(0, shape + runsBack * 0.04));
+  const value = variable.direction
+    ? (fraction * 720) % 360
+    : min + (max - min) * fraction;
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Value inside a dataset, or null outside its bounding box (land / no data)
+ */
+function sampleDataset(dataset, variable, point, runsBack = 0) {
+  return insideBbox(dataset.bbox, point.lat, point.lon) ? valueAt(variable, point, runsBack) : null;
+}
+
+/**
+ * Index of the step closest to a time
+ */
+function nearestTimeIndex(times, target) {
+  let best = 0;
+  times.forEach((time, index) => {
+    if (Math.abs(time - target) < Math.abs(times[best] - target)) best = index;
+  });
+  return best;
+}
+
+module.exports = {
+  HOUR,
+  latestRun,
+  timeAxis,
+  findVariable,
+  insideBbox,
+  valueAt,
+  sampleDataset,
+  nearestTimeIndex
+};
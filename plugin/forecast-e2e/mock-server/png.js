@@ -0,0 +1,97 @@
+/**
+ * Minimal PNG encoder (RGBA, no dependencies) for GetMap tiles and legends
+ */
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const chunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+/**
+ * Encode an image
+ * @param {number} width
+ * @param {number} height
+ * @param {(x: number, y: number) => number[]} pixel - [r, g, b, a] for a pixel
+ * @returns {Buffer}
+ */
+function encodePng(width, height, pixel) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+  const raw = Buffer.alloc((width * 4 + 1) * height);
+  for (let y = 0; y < height; y += 1) {
+    const row = y * (width * 4 + 1);
+    raw[row] = 0; // no filter
+    for (let x = 0; x < width; x += 1) {
+      const [r, g, b, a] = pixel(x, y);
+      const offset = row + 1 + x * 4;
+      raw[offset] = r;
+      raw[offset + 1] = g;
+      raw[offset + 2] = b;
+      raw[offset + 3] = a;
+    }
+  }
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// Viridis-like stops, enough to tell values apart in screenshots
+const PALETTE = [
+  [68, 1, 84],
+  [59, 82, 139],
+  [33, 145, 140],
+  [94, 201, 98],
+  [253, 231, 37]
+];
+
+/**
+ * Palette colour for a fraction of the colour range (0..1)
+ * @returns {number[]} [r, g, b]
+ */
+function paletteColor(fraction) {
+  const position = Math.min(1, Math.max(0, fraction)) * (PALETTE.length - 1);
+  const index = Math.min(PALETTE.length - 2, Math.floor(position));
+  const t = position - index;
+  return PALETTE[index].map((channel, i) => Math.round(channel + (PALETTE[index + 1][i] - channel) * t));
+}
+
+const TRANSPARENT = [0, 0, 0, 0];
+
+const blankPng = (width = 1, height = 1) => encodePng(width, height, () => TRANSPARENT);
+
+module.exports = {
+  encodePng,
+  paletteColor,
+  blankPng,
+  TRANSPARENT
+};
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Record live THREDDS / ncWMS responses as mock fixtures
+ *
+ * Fetches GetCapabilities for every dataset path in fixtures/datasets.json
+ * (and the ncWMS layer details) from the live servers and writes them to
+ * fixtures/recorded, with an index the mock server reads on start-up. Each
+ * recording keeps the first time step it was captured with, so the server
+ * can move it to the current model run.
+ *
+ * Usage: node mock-server/record.js [dataset-id ...]
+ * Hosts can be overridden with THREDDS_ORIGIN and NCWMS_ORIGIN.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { recordingKey } = require('./server');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const RECORDED_DIR = path.join(FIXTURES_DIR, 'recorded');
+const THREDDS_ORIGIN = process.env.THREDDS_ORIGIN || 'https://gemthreddshpc.spc.int';
+const NCWMS_ORIGIN = process.env.NCWMS_ORIGIN || 'https://gem-ncwms-hpc.spc.int';
+const TIMEOUT_MS = 30000;
+
+const TIME_DIMENSION = /<Dimension[^>]*name="time"[^>]*>\s*([^<,/\s]+)/i;
+
+const fail = (message) => {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+};
+
+const fileNameFor = (key) => key.replace(/^\//, '').replace(/[^a-zA-Z0-9._-]+/g, '_');
+
+async function fetchText(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return { body: await response.text(), contentType: (response.headers.get('content-type') || 'text/xml').split(';')[0] };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Requests to record: capabilities of every dataset path, plus layer details
+ * of the ncWMS layers
+ */
+function plannedRequests(manifest, only) {
+  const requests = [];
+  manifest.datasets
+    .filter((dataset) => !only.length || only.includes(dataset.id))
+    .forEach((dataset) => {
+      [...dataset.paths, ...(dataset.previousRunPaths || [])]
+        .filter((pathname) => pathname.includes('/POP/'))
+        .forEach((pathname) => requests.push({ origin: THREDDS_ORIGIN, pathname, params: { service: 'WMS', version: '1.3.0', request: 'GetCapabilities' } }));
+    });
+
+  const [ncwmsPath] = manifest.ncwms.paths;
+  const prefixes = Object.entries(manifest.ncwms.datasets)
+    .filter(([, entry]) => !only.length || only.includes(entry.dataset));
+  if (prefixes.length) {
+    requests.push({ origin: NCWMS_ORIGIN, pathname: ncwmsPath, params: { service: 'WMS', version: '1.3.0', request: 'GetCapabilities' } });
+    prefixes.forEach(([prefix, entry]) => {
+      const dataset = manifest.datasets.find((candidate) => candidate.id === entry.dataset);
+      (entry.layers || dataset.layers).forEach((layer) => requests.push({
+        origin: NCWMS_ORIGIN,
+        pathname: ncwmsPath,
+        params: { request: 'GetMetadata', item: 'layerDetails', layerName: `${prefix}/${layer}` }
+      }));
+    });
+  }
+  return requests;
+}
+
+async function main() {
+  const only = process.argv.slice(2);
+  const manifest = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'datasets.json'), 'utf8'));
+  const indexFile = path.join(RECORDED_DIR, 'index.json');
+  const index = fs.existsSync(indexFile) ? JSON.parse(fs.readFileSync(indexFile, 'utf8')) : { responses: {} };
+  const requests = plannedRequests(manifest, only);
+  if (!requests.length) fail(`No datasets match ${only.join(', ')}`);
+
+  fs.mkdirSync(RECORDED_DIR, { recursive: true });
+  console.log(`🎙️  Recording ${requests.length} responses`);
+
+  let failures = 0;
+  for (const { origin, pathname, params } of requests) {
+    const query = new URLSearchParams(params).toString();
+    const key = recordingKey(pathname, Object.fromEntries(Object.entries(params).map(([k, v]) => [k.toLowerCase(), v])));
+    try {
+      // One request at a time; the live servers are shared
+      const { body, contentType } = await fetchText(`${origin}${pathname}?${query}`);
+      const extension = contentType.includes('json') ? '.json' : '.xml';
+      const file = `${fileNameFor(key)}${extension}`;
+      fs.writeFileSync(path.join(RECORDED_DIR, file), body);
+      const firstTime = TIME_DIMENSION.exec(body)?.[1] || null;
+      index.responses[key] = { file, contentType, run: firstTime, recordedAt: new Date().toISOString() };
+      console.log(`   ✅ ${pathname} ${params.request}${params.layerName ? ` ${params.layerName}` : ''}`);
+    } catch (error) {
+      failures += 1;
+      console.log(`   ⚠️  ${pathname} ${params.request}: ${error.message}`);
+    }
+  }
+
+  fs.writeFileSync(indexFile, `${JSON.stringify(index, null, 2)}\n`);
+  console.log('');
+  console.log(`📋 ${requests.length - failures} recorded, ${failures} failed; index at fixtures/recorded/index.json`);
+  if (failures === requests.length) process.exit(1);
+}
+
+main().catch((error) => fail(error.message));
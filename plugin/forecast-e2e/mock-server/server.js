@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+/**
+ * Mock THREDDS / ncWMS server
+ *
+ * Stands in for every SPC host the forecast widgets call, so they run
+ * offline: gemthreddshpc (THREDDS wms and fileServer), gem-ncwms-hpc
+ * (ncWMS), ocean-plotter (legends) and ocean-middleware (token and widget
+ * checks). Responses recorded from the live servers (npm run record) are
+ * served when present, with their times moved to the current model run;
+ * everything else is generated from fixtures/datasets.json.
+ *
+ * Usage: node mock-server/server.js [--port 4010]
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const { latestRun } = require('./field');
+const { getLegendGraphic, handleWmsRequest, resolveService } = require('./wms');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const RECORDED_DIR = path.join(FIXTURES_DIR, 'recorded');
+const FILES_DIR = path.join(FIXTURES_DIR, 'files');
+const MIDDLEWARE_DIR = path.join(FIXTURES_DIR, 'middleware');
+const FILE_SERVER_PREFIX = '/thredds/fileServer/POP/model/country/spc/forecast/hourly/';
+
+const DEFAULT_PORT = 4010;
+
+// Tokens the middleware mock rejects (tests for the "invalid token" screen)
+const REJECTED_TOKENS = new Set(['invalid', 'expired']);
+
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.xml': 'text/xml',
+  '.html': 'text/html',
+  '.csv': 'text/csv'
+};
+
+const ISO_TIME = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d{3})?Z/g;
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+/**
+ * Lower-case query keys (WMS parameter names are case-insensitive)
+ */
+const queryParams = (searchParams) => {
+  const params = {};
+  searchParams.forEach((value, key) => {
+    params[key.toLowerCase()] = value;
+  });
+  return params;
+};
+
+/**
+ * Key of a recorded response: the path plus the parameters that select the document
+ */
+const recordingKey = (pathname, params) => {
+  const request = String(params.request || '').toLowerCase();
+  const parts = [pathname, request];
+  if (request === 'getmetadata') parts.push(String(params.item || '').toLowerCase(), params.layername || '');
+  return parts.join('|');
+};
+
+/**
+ * Recorded responses (fixtures/recorded/index.json, written by record.js)
+ */
+function loadRecordings() {
+  const indexFile = path.join(RECORDED_DIR, 'index.json');
+  if (!fs.existsSync(indexFile)) return { responses: {} };
+  return readJson(indexFile);
+}
+
+/**
+ * A recorded text response with every timestamp moved by the same amount,
+ * so the first recorded step lines up with the current model run
+ */
+const shiftTimes = (text, offsetMs) => (offsetMs
+  ? text.replace(ISO_TIME, (time) => new Date(new Date(time).getTime() + offsetMs).toISOString())
+  : text);
+
+function createMockServer({ manifest = readJson(path.join(FIXTURES_DIR, 'datasets.json')), now = () => new Date() } = {}) {
+  const recordings = loadRecordings();
+
+  const send = (res, { status, contentType, body }) => {
+    res.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+    res.end(body);
+  };
+
+  const sendJson = (res, status, data) => send(res, { status, contentType: 'application/json', body: JSON.stringify(data) });
+
+  // Files under a fixtures directory only (no ../ out of it)
+  const sendFile = (res, root, relative) => {
+    const file = path.join(root, relative);
+    if (!relative || !file.startsWith(`${root}${path.sep}`) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      send(res, { status: 404, contentType: 'text/plain', body: 'Not found' });
+      return;
+    }
+    send(res, {
+      status: 200,
+      contentType: CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+      body: fs.readFileSync(file)
+    });
+  };
+
+  const sendRecorded = (res, recording, currentRun) => {
+    const body = fs.readFileSync(path.join(RECORDED_DIR, recording.file));
+    const offset = recording.run ? currentRun - new Date(recording.run) : 0;
+    const isText = /xml|json|html|text/.test(recording.contentType);
+    send(res, { status: 200, contentType: recording.contentType, body: isText ? shiftTimes(body.toString('utf8'), offset) : body });
+  };
+
+  const handleMiddleware = (req, res, pathname) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (!token || token === 'null' || REJECTED_TOKENS.has(token)) {
+      sendJson(res, 401, { detail: 'Invalid token.' });
+      return;
+    }
+    if (pathname === '/middleware/api/account/') {
+      sendJson(res, 200, readJson(path.join(MIDDLEWARE_DIR, 'account.json')));
+      return;
+    }
+    const widget = /^\/middleware\/api\/widget\/(\d+)\/$/.exec(pathname);
+    sendFile(res, MIDDLEWARE_DIR, widget ? `widget-${widget[1]}.json` : '');
+  };
+
+  const handler = (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const { pathname } = url;
+    const params = queryParams(url.searchParams);
+
+    // The widgets call these hosts cross-origin with an Authorization header
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    try {
+      if (pathname === '/__mock/status') {
+        sendJson(res, 200, {
+          now: now().toISOString(),
+          run: latestRun(now(), manifest.run.cycleHours).toISOString(),
+          recorded: Object.keys(recordings.responses).length
+        });
+        return;
+      }
+      if (pathname.startsWith('/middleware/api/')) {
+        handleMiddleware(req, res, pathname);
+        return;
+      }
+      if (pathname.startsWith(FILE_SERVER_PREFIX)) {
+        sendFile(res, FILES_DIR, decodeURIComponent(pathname.slice(FILE_SERVER_PREFIX.length)));
+        return;
+      }
+      if (pathname.startsWith('/plotter/')) {
+        send(res, getLegendGraphic(params));
+        return;
+      }
+
+      const service = resolveService(manifest, pathname);
+      if (!service) {
+        send(res, { status: 404, contentType: 'text/plain', body: `No mock dataset at ${pathname}` });
+        return;
+      }
+      const recording = recordings.responses[recordingKey(pathname, params)]
+        || recordings.responses[recordingKey(service.primaryPath, params)];
+      const currentRun = latestRun(now(), manifest.run.cycleHours, service.runsBack);
+      if (recording) {
+        sendRecorded(res, recording, currentRun);
+        return;
+      }
+      send(res, handleWmsRequest(manifest, service, params, now()));
+    } catch (error) {
+      console.error(`❌ ${req.url}: ${error.message}`);
+      send(res, { status: 500, contentType: 'text/plain', body: error.message });
+    }
+  };
+
+  const server = http.createServer(handler);
+  // Widgets fetch tiles in bursts; with Node's 5 s idle timeout a socket can close just as the
+  // client reuses it, which the browser sees as ECONNRESET
+  server.keepAliveTimeout = 60000;
+  return server;
+}
+
+function main() {
+  const portIndex = process.argv.indexOf('--port');
+  const port = Number(portIndex > -1 ? process.argv[portIndex + 1] : process.env.MOCK_THREDDS_PORT) || DEFAULT_PORT;
+  const server = createMockServer();
+  server.listen(port, () => {
+    console.log(`🌊 Mock THREDDS/ncWMS server on http://localhost:${port}`);
+    console.log(`   Status: http://localhost:${port}/__mock/status`);
+  });
+  const stop = () => server.close(() => process.exit(0));
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createMockServer,
+  recordingKey,
+  shiftTimes,
+  DEFAULT_PORT
+};
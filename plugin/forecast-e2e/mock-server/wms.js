@@ -0,0 +1,370 @@
+/**
+ * THREDDS / ncWMS request handlers
+ *
+ * GetCapabilities, GetMap, GetFeatureInfo, GetTimeseries, GetLegendGraphic
+ * and ncWMS GetMetadata for the datasets in fixtures/datasets.json, in the
+ * formats the widgets ask for (CoverageJSON as text/json, FeatureInfo XML,
+ * the HTML table read by addWMSTileLayer, PNG tiles).
+ */
+
+const {
+  findVariable,
+  insideBbox,
+  latestRun,
+  nearestTimeIndex,
+  sampleDataset,
+  timeAxis
+} = require('./field');
+const { encodePng, paletteColor, TRANSPARENT } = require('./png');
+
+const MERCATOR_CRS = new Set(['EPSG:3857', 'EPSG:900913', 'EPSG:102100']);
+const EARTH_RADIUS = 6378137;
+const MAX_IMAGE_SIZE = 1024;
+
+const xmlEscape = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const reply = (status, contentType, body) => ({ status, contentType, body });
+
+const serviceException = (code, message, status = 400) => reply(status, 'text/xml', `<?xml version="1.0" encoding="UTF-8"?>
+<ServiceExceptionReport version="1.3.0" xmlns="http://www.opengis.net/ogc">
+  <ServiceException code="${code}">${xmlEscape(message)}</ServiceException>
+</ServiceExceptionReport>`);
+
+/**
+ * WMS service behind a path: its layers (with dataset and variable) and which model run it serves.
+ * primaryPath is the first path listed for the dataset; other paths are aliases of it.
+ * @returns {{title: string, primaryPath: string, runsBack: number, layers: Array<{name: string, dataset: Object, variable: Object}>}|null}
+ */
+function resolveService(manifest, pathname) {
+  const layersOf = (dataset, names = dataset.layers, prefix = '') => names
+    .map((name) => ({ name: prefix ? `${prefix}/${name}` : name, dataset, variable: findVariable(manifest, name) }))
+    .filter((layer) => layer.variable);
+
+  for (const dataset of manifest.datasets) {
+    if (dataset.paths.includes(pathname)) {
+      return { title: pathname.split('/').pop(), primaryPath: dataset.paths[0], runsBack: 0, layers: layersOf(dataset) };
+    }
+    if ((dataset.previousRunPaths || []).includes(pathname)) {
+      return { title: pathname.split('/').pop(), primaryPath: dataset.previousRunPaths[0], runsBack: 1, layers: layersOf(dataset) };
+    }
+  }
+
+  if (manifest.ncwms.paths.includes(pathname)) {
+    const layers = Object.entries(manifest.ncwms.datasets).flatMap(([prefix, entry]) => {
+      const dataset = manifest.datasets.find((candidate) => candidate.id === entry.dataset);
+      return dataset ? layersOf(dataset, entry.layers || dataset.layers, prefix) : [];
+    });
+    return { title: 'ncWMS', primaryPath: manifest.ncwms.paths[0], runsBack: 0, layers };
+  }
+  return null;
+}
+
+const runTimes = (manifest, service, now) =>
+  timeAxis(latestRun(now, manifest.run.cycleHours, service.runsBack), manifest.run);
+
+/**
+ * Steps selected by a WMS TIME value: a single time (nearest step),
+ * a start/end range, or a comma-separated list
+ * @param {Date[]} times
+ * @param {string} value
+ * @param {Date} fallback - Used when TIME is absent
+ */
+function selectTimes(times, value, fallback) {
+  if (!value) return [times[nearestTimeIndex(times, fallback)]];
+  const [startText, endText] = value.split('/');
+  if (endText !== undefined) {
+    const start = new Date(startText);
+    const end = new Date(endText);
+    return times.filter((time) => time >= start && time <= end);
+  }
+  return value.split(',').map((text) => times[nearestTimeIndex(times, new Date(text.trim()))]);
+}
+
+/**
+ * Pixel -> longitude/latitude for a request's BBOX, CRS and size
+ * (WMS 1.3.0 EPSG:4326 is latitude first; Leaflet sends EPSG:3857 in metres)
+ */
+function pixelProjection(params) {
+  const version = params.version || '1.3.0';
+  const crs = String(params.crs || params.srs || 'CRS:84').toUpperCase();
+  let [minx, miny, maxx, maxy] = String(params.bbox || '').split(',').map(Number);
+  if (crs === 'EPSG:4326' && version === '1.3.0') [minx, miny, maxx, maxy] = [miny, minx, maxy, maxx];
+  const width = Number(params.width) || 256;
+  const height = Number(params.height) || 256;
+  const metres = MERCATOR_CRS.has(crs) && [minx, miny, maxx, maxy].some((v) => Math.abs(v) > 360);
+
+  return {
+    valid: [minx, miny, maxx, maxy].every(Number.isFinite),
+    width,
+    height,
+    toLonLat(px, py) {
+      const x = minx + ((px + 0.5) / width) * (maxx - minx);
+      const y = maxy - ((py + 0.5) / height) * (maxy - miny);
+      if (!metres) return { lon: x, lat: y };
+      return {
+        lon: (x / EARTH_RADIUS) * (180 / Math.PI),
+        lat: (2 * Math.atan(Math.exp(y / EARTH_RADIUS)) - Math.PI / 2) * (180 / Math.PI)
+      };
+    }
+  };
+}
+
+const findLayer = (service, name) => service.layers.find((layer) => layer.name === name);
+
+const layerElement = (layer, times) => {
+  const [west, south, east, north] = layer.dataset.bbox;
+  return `      <Layer queryable="1" opaque="0">
+        <Name>${xmlEscape(layer.name)}</Name>
+        <Title>${xmlEscape(layer.variable.title)}</Title>
+        <Abstract>${xmlEscape(layer.variable.title)} (${xmlEscape(layer.variable.units)})</Abstract>
+        <EX_GeographicBoundingBox>
+          <westBoundLongitude>${west}</westBoundLongitude>
+          <eastBoundLongitude>${east}</eastBoundLongitude>
+          <southBoundLatitude>${south}</southBoundLatitude>
+          <northBoundLatitude>${north}</northBoundLatitude>
+        </EX_GeographicBoundingBox>
+        <BoundingBox CRS="CRS:84" minx="${west}" maxx="${east}" miny="${south}" maxy="${north}"/>
+        <Dimension name="time" units="ISO8601" multipleValues="true" current="true" default="${times[0].toISOString()}">${times.map((time) => time.toISOString()).join(',')}</Dimension>
+        <Style>
+          <Name>default-scalar/psu-viridis</Name>
+          <Title>default-scalar/psu-viridis</Title>
+        </Style>
+      </Layer>`;
+};
+
+function getCapabilities(manifest, service, params, now) {
+  const times = runTimes(manifest, service, now);
+  return reply(200, 'text/xml', `<?xml version="1.0" encoding="UTF-8"?>
+<WMS_Capabilities version="1.3.0" xmlns="http://www.opengis.net/wms" xmlns:xlink="http://www.w3.org/1999/xlink">
+  <Service>
+    <Name>WMS</Name>
+    <Title>${xmlEscape(service.title)} (mock)</Title>
+  </Service>
+  <Capability>
+    <Request>
+      <GetCapabilities><Format>text/xml</Format></GetCapabilities>
+      <GetMap><Format>image/png</Format></GetMap>
+      <GetFeatureInfo><Format>image/png</Format><Format>text/xml</Format><Format>text/html</Format><Format>text/json</Format></GetFeatureInfo>
+    </Request>
+    <Exception><Format>XML</Format></Exception>
+    <Layer>
+      <Title>${xmlEscape(service.title)}</Title>
+      <CRS>EPSG:4326</CRS>
+      <CRS>CRS:84</CRS>
+      <CRS>EPSG:3857</CRS>
+${service.layers.map((layer) => layerElement(layer, times)).join('\n')}
+    </Layer>
+  </Capability>
+</WMS_Capabilities>`);
+}
+
+/**
+ * Values of a layer at the clicked pixel for the requested time(s)
+ */
+function samplePoint(manifest, service, params, now, { series }) {
+  const layer = findLayer(service, params.query_layers || params.layers);
+  if (!layer) return { error: serviceException('LayerNotDefined', `Layer not found: ${params.query_layers || params.layers}`) };
+  const projection = pixelProjection(params);
+  const i = Number(params.i ?? params.x);
+  const j = Number(params.j ?? params.y);
+  if (!projection.valid || !Number.isFinite(i) || !Number.isFinite(j)) {
+    return { error: serviceException('InvalidPoint', 'BBOX, WIDTH, HEIGHT and I/J (or X/Y) are required') };
+  }
+
+  const point = projection.toLonLat(i, j);
+  const times = runTimes(manifest, service, now);
+  const selected = series && !params.time ? times : selectTimes(times, params.time, now);
+  const values = selected.map((time) => sampleDataset(layer.dataset, layer.variable, { ...point, time }, service.runsBack));
+  return { layer, point, times: selected, values };
+}
+
+const coverageJson = ({ layer, point, times, values }) => {
+  const key = layer.name.split('/').pop();
+  return {
+    type: 'Coverage',
+    domain: {
+      type: 'Domain',
+      domainType: times.length > 1 ? 'PointSeries' : 'Point',
+      axes: {
+        x: { values: [point.lon] },
+        y: { values: [point.lat] },
+        t: { values: times.map((time) => time.toISOString()) }
+      },
+      referencing: [
+        { coordinates: ['x', 'y'], system: { type: 'GeographicCRS', id: 'http://www.opengis.net/def/crs/OGC/1.3/CRS84' } },
+        { coordinates: ['t'], system: { type: 'TemporalRS', calendar: 'Gregorian' } }
+      ]
+    },
+    parameters: {
+      [key]: {
+        type: 'Parameter',
+        observedProperty: { label: { en: layer.variable.title } },
+        unit: { symbol: layer.variable.units }
+      }
+    },
+    ranges: {
+      [key]: { type: 'NdArray', dataType: 'float', axisNames: ['t'], shape: [times.length], values }
+    }
+  };
+};
+
+function formatPoint(sample, infoFormat) {
+  const { layer, point, times, values } = sample;
+  const format = String(infoFormat || 'text/xml').toLowerCase();
+
+  if (format.includes('json')) {
+    return reply(200, 'application/json', JSON.stringify(coverageJson(sample)));
+  }
+  if (format === 'text/html') {
+    const rows = times.map((time, index) => `<tr><td>${xmlEscape(layer.name)}</td><td>${point.lon.toFixed(4)}</td><td>${point.lat.toFixed(4)}</td>`
+      + `<td>${time.toISOString()}</td><td>${xmlEscape(layer.variable.units)}</td><td>${values[index] ?? 'none'}</td></tr>`);
+    return reply(200, 'text/html', `<html><body><table>
+<tr><th>Layer</th><th>Longitude</th><th>Latitude</th><th>Time</th><th>Units</th><th>Value</th></tr>
+${rows.join('\n')}
+</table></body></html>`);
+  }
+  if (format === 'text/plain') {
+    return reply(200, 'text/plain', values.map((value) => value ?? 'none').join('\n'));
+  }
+  if (format === 'text/csv') {
+    const lines = times.map((time, index) => `${time.toISOString()},${values[index] ?? ''}`);
+    return reply(200, 'text/csv', [`time,${layer.name} (${layer.variable.units})`, ...lines].join('\n'));
+  }
+  const entries = times.map((time, index) =>
+    `  <FeatureInfo><time>${time.toISOString()}</time><value>${values[index] ?? 'none'}</value></FeatureInfo>`);
+  return reply(200, 'text/xml', `<?xml version="1.0" encoding="UTF-8"?>
+<FeatureInfoResponse>
+  <longitude>${point.lon}</longitude>
+  <latitude>${point.lat}</latitude>
+${entries.join('\n')}
+</FeatureInfoResponse>`);
+}
+
+function getFeatureInfo(manifest, service, params, now) {
+  const sample = samplePoint(manifest, service, params, now, { series: false });
+  return sample.error || formatPoint(sample, params.info_format);
+}
+
+function getTimeseries(manifest, service, params, now) {
+  const sample = samplePoint(manifest, service, params, now, { series: true });
+  return sample.error || formatPoint(sample, params.info_format || 'text/json');
+}
+
+const parseRange = (text, fallback) => {
+  const [min, max] = String(text || '').split(',').map(Number);
+  return Number.isFinite(min) && Number.isFinite(max) && max > min ? [min, max] : fallback;
+};
+
+function getMap(manifest, service, params, now) {
+  const names = String(params.layers || '').split(',');
+  const layer = findLayer(service, names[0]);
+  if (!layer) return serviceException('LayerNotDefined', `Layer not found: ${params.layers}`);
+  const projection = pixelProjection(params);
+  if (!projection.valid) return serviceException('InvalidBBox', 'BBOX is required');
+
+  const width = Math.min(MAX_IMAGE_SIZE, projection.width);
+  const height = Math.min(MAX_IMAGE_SIZE, projection.height);
+  const time = selectTimes(runTimes(manifest, service, now), params.time, now)[0];
+  const [min, max] = parseRange(params.colorscalerange, layer.variable.range);
+  const arrows = String(params.styles || '').includes('arrow');
+
+  const png = encodePng(width, height, (x, y) => {
+    // Arrow styles draw sparse marks so the layer underneath stays visible
+    if (arrows && (x % 24 > 2 || y % 24 > 2)) return TRANSPARENT;
+    const point = projection.toLonLat((x * projection.width) / width, (y * projection.height) / height);
+    const value = sampleDataset(layer.dataset, layer.variable, { ...point, time }, service.runsBack);
+    if (value === null) return TRANSPARENT;
+    return arrows ? [20, 20, 20, 230] : [...paletteColor((value - min) / (max - min)), 210];
+  });
+  return reply(200, 'image/png', png);
+}
+
+function getLegendGraphic(params) {
+  const width = Math.min(200, Number(params.width) || 30);
+  const height = Math.min(600, Number(params.height) || 256);
+  return reply(200, 'image/png', encodePng(width, height, (x, y) => [...paletteColor(1 - y / (height - 1)), 255]));
+}
+
+// ncWMS GetMetadata items the core asks for (see NcwmsDataSource)
+function getMetadata(manifest, service, params, now) {
+  const item = String(params.item || '').toLowerCase();
+  const layer = findLayer(service, params.layername || params.layers);
+  if (!layer) return serviceException('LayerNotDefined', `Layer not found: ${params.layername || params.layers}`);
+  const times = runTimes(manifest, service, now);
+
+  if (item === 'layerdetails') {
+    return reply(200, 'application/json', JSON.stringify({
+      units: layer.variable.units,
+      bbox: layer.dataset.bbox,
+      scaleRange: layer.variable.range,
+      numColorBands: 250,
+      supportedStyles: ['default-scalar', 'colored_contours'],
+      palettes: ['psu-viridis', 'x-Sst', 'default'],
+      defaultPalette: 'psu-viridis',
+      logScaling: false,
+      timeAxisUnits: 'ISO8601',
+      nearestTimeIso: times[nearestTimeIndex(times, now)].toISOString()
+    }));
+  }
+
+  if (item === 'minmax') {
+    const time = selectTimes(times, params.time, now)[0];
+    const [west, south, east, north] = params.bbox
+      ? String(params.bbox).split(',').map(Number)
+      : layer.dataset.bbox;
+    const values = [];
+    for (let row = 0; row < 20; row += 1) {
+      for (let column = 0; column < 20; column += 1) {
+        const point = { lon: west + ((column + 0.5) / 20) * (east - west), lat: south + ((row + 0.5) / 20) * (north - south), time };
+        if (insideBbox(layer.dataset.bbox, point.lat, point.lon)) {
+          values.push(sampleDataset(layer.dataset, layer.variable, point, service.runsBack));
+        }
+      }
+    }
+    if (!values.length) return serviceException('NoData', 'No data in the requested area');
+    return reply(200, 'application/json', JSON.stringify({ min: Math.min(...values), max: Math.max(...values) }));
+  }
+
+  if (item === 'timesteps') {
+    const day = String(params.day || '');
+    const steps = times.filter((time) => time.toISOString().startsWith(day)).map((time) => time.toISOString().slice(11));
+    return reply(200, 'application/json', JSON.stringify({ timesteps: steps }));
+  }
+
+  return serviceException('InvalidParameterValue', `Unsupported GetMetadata item: ${params.item}`);
+}
+
+const HANDLERS = {
+  getcapabilities: getCapabilities,
+  getmap: getMap,
+  getfeatureinfo: getFeatureInfo,
+  gettimeseries: getTimeseries,
+  getmetadata: getMetadata,
+  getlegendgraphic: (manifest, service, params) => getLegendGraphic(params)
+};
+
+/**
+ * Answer a WMS request against a service
+ * @param {Object} manifest - fixtures/datasets.json
+ * @param {Object} service - From resolveService
+ * @param {Object} params - Query parameters with lower-case keys
+ * @param {Date} now
+ * @returns {{status: number, contentType: string, body: string|Buffer}}
+ */
+function handleWmsRequest(manifest, service, params, now) {
+  const handler = HANDLERS[String(params.request || '').toLowerCase()];
+  if (!handler) return serviceException('OperationNotSupported', `Unsupported request: ${params.request}`);
+  return handler(manifest, service, params, now);
+}
+
+module.exports = {
+  resolveService,
+  handleWmsRequest,
+  getLegendGraphic,
+  pixelProjection,
+  selectTimes
+};
@@ -0,0 +1,56 @@
+/**
+ * End-to-end flows for the country forecast widgets, run offline against
+ * the mock THREDDS/ncWMS server (see README.md)
+ */
+
+const path = require('path');
+const { defineConfig, devices } = require('@playwright/test');
+
+const { MOCK_ORIGIN, MOCK_PORT, WIDGETS } = require('./tests/widgets');
+
+const PLUGIN_DIR = path.join(__dirname, '..');
+
+module.exports = defineConfig({
+  testDir: './tests',
+  timeout: 90000,
+  expect: { timeout: 20000 },
+  fullyParallel: false,
+  workers: 1,
+  retries: process.env.CI ? 1 : 0,
+  reporter: process.env.CI ? [['list'], ['html', { open: 'never' }]] : 'list',
+  use: {
+    ...devices['Desktop Chrome'],
+    viewport: { width: 1440, height: 900 },
+    // Service workers would answer tile requests before the mock routes see them
+    serviceWorkers: 'block',
+    trace: 'retain-on-failure',
+    screenshot: 'only-on-failure'
+  },
+  projects: WIDGETS.map((widget) => ({
+    name: widget.name,
+    testMatch: widget.spec,
+    use: { baseURL: `http://localhost:${widget.port}` }
+  })),
+  webServer: [
+    {
+      command: `node mock-server/server.js --port ${MOCK_PORT}`,
+      url: `${MOCK_ORIGIN}/__mock/status`,
+      reuseExistingServer: !process.env.CI
+    },
+    ...WIDGETS.map((widget) => ({
+      command: 'npm start',
+      cwd: path.join(PLUGIN_DIR, widget.dir),
+      url: `http://localhost:${widget.port}${widget.path}`,
+      timeout: 240000,
+      reuseExistingServer: !process.env.CI,
+      env: {
+        PORT: String(widget.port),
+        BROWSER: 'none',
+        // Dev proxies (src/setupProxy.js) forward to the mock instead of the SPC hosts
+        REACT_APP_THREDDS_PROXY_TARGET: MOCK_ORIGIN,
+        REACT_APP_SFINCS_PROXY_TARGET: MOCK_ORIGIN,
+        REACT_APP_ZARR_PROXY_TARGET: MOCK_ORIGIN
+      }
+    }))
+  ]
+});
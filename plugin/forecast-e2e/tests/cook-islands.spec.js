@@ -0,0 +1,33 @@
+/**
+ * Cook Islands (widget5) against the mock SWAN_UGRID.nc dataset
+ */
+
+const { test, expect } = require('@playwright/test');
+
+const { animate, clickPoint, loadMap, openTabularView } = require('./helpers');
+
+test.describe('Cook Islands forecast', () => {
+  // Tile requests still in flight when a test ends would fail in the route handler
+  test.afterEach(({ page }) => page.unrouteAll({ behavior: 'ignoreErrors' }));
+
+  test('loads the map, animates and shows a clicked point as a table', async ({ page }) => {
+    await test.step('load map', async () => {
+      await loadMap(page, '/widget5/');
+    });
+
+    await test.step('animate', async () => {
+      await animate(page);
+    });
+
+    await test.step('click point', async () => {
+      const series = await clickPoint(page);
+      expect(series.times.length).toBeGreaterThan(1);
+      expect(series.values.some((value) => value !== null)).toBe(true);
+    });
+
+    await test.step('open tabular view', async () => {
+      const values = await openTabularView(page);
+      expect(values.length).toBeGreaterThan(0);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Shared widget flows: route the SPC hosts to the mock server, load the
+ * map, animate, click a point and open the tabular view
+ */
+
+const { expect } = require('@playwright/test');
+
+const { blankPng } = require('../mock-server/png');
+const { MOCK_ORIGIN } = require('./widgets');
+
+const LOCAL_HOSTS = new Set(['localhost', '127.0.0.1']);
+const BLANK_TILE = blankPng(256, 256);
+
+// The mock answers in milliseconds; a forwarded request still pending after this
+// has stalled on a busy machine and is sent again
+const MOCK_FETCH_TIMEOUT = 15000;
+const MOCK_FETCH_ATTEMPTS = 2;
+
+const isSpcHost = (hostname) => hostname === 'spc.int' || hostname.endsWith('.spc.int');
+
+// Time slider and play/pause button of the shared TimeControl (components/shared/UIComponents.js)
+const timeSlider = (page) => page.getByRole('slider', { name: 'Forecast Time', exact: true });
+
+const isWmsRequest = (request) => (response) =>
+  new RegExp(`request=${request}`, 'i').test(response.url()) && response.ok();
+
+// Point timeseries: an ncWMS GetTimeseries, or a GetFeatureInfo over a time range as the
+// forecast-core data source sends it
+const isPointSeries = (response) =>
+  isWmsRequest('GetTimeseries')(response)
+  || (isWmsRequest('GetFeatureInfo')(response) && /[?&]time=[^&]*(%2F|\/)/i.test(response.url()));
+
+const toValue = (text) => {
+  const value = Number.parseFloat(text);
+  return Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Times and values of a point timeseries response (CoverageJSON or
+ * FeatureInfoResponse XML with one FeatureInfo per time step)
+ * @returns {Promise<{times: string[], values: Array<number|null>}>}
+ */
+async function readPointSeries(response) {
+  if (isWmsRequest('GetTimeseries')(response)) {
+    const coverage = await response.json();
+    return { times: coverage.domain.axes.t.values, values: Object.values(coverage.ranges)[0].values };
+  }
+  const steps = [...(await response.text()).matchAll(/<FeatureInfo>\s*<time>([^<]*)<\/time>\s*<value>([^<]*)<\/value>/g)];
+  return { times: steps.map((step) => step[1]), values: steps.map((step) => toValue(step[2])) };
+}
+
+/**
+ * Forward a routed request to the mock server, retrying stalled or reset connections
+ * @param {import('@playwright/test').Route} route
+ * @param {string} url - Same path and query on the mock server
+ * @returns {Promise<import('@playwright/test').APIResponse|null>} null when every attempt failed
+ */
+async function fetchFromMock(route, url, attempt = 1) {
+  try {
+    return await route.fetch({ url, timeout: MOCK_FETCH_TIMEOUT });
+  } catch {
+    return attempt < MOCK_FETCH_ATTEMPTS ? fetchFromMock(route, url, attempt + 1) : null;
+  }
+}
+
+/**
+ * Send every SPC request to the mock server and keep the page offline:
+ * third-party images (basemap tiles) get a blank tile, anything else fails
+ * @param {import('@playwright/test').Page} page
+ */
+async function routeToMockServer(page) {
+  await page.route('**/*', async (route) => {
+    const url = new URL(route.request().url());
+    if (LOCAL_HOSTS.has(url.hostname) || url.protocol === 'data:' || url.protocol === 'blob:') {
+      await route.fallback();
+      return;
+    }
+    if (isSpcHost(url.hostname)) {
+      const response = await fetchFromMock(route, `${MOCK_ORIGIN}${url.pathname}${url.search}`);
+      // A request the mock never answered fails the way it would against the real host
+      await (response ? route.fulfill({ response }) : route.abort('timedout'));
+      return;
+    }
+    if (route.request().resourceType() === 'image') {
+      await route.fulfill({ status: 200, contentType: 'image/png', body: BLANK_TILE });
+      return;
+    }
+    await route.abort('internetdisconnected');
+  });
+}
+
+/**
+ * Open a widget and wait for the map and its first forecast tile
+ * @param {import('@playwright/test').Page} page
+ * @param {string} url
+ */
+async function loadMap(page, url) {
+  await routeToMockServer(page);
+  const firstTile = page.waitForResponse(isWmsRequest('GetMap'));
+  await page.goto(url);
+  await expect(page.locator('.leaflet-container')).toBeVisible();
+  await firstTile;
+  await expect(timeSlider(page)).toBeEnabled();
+}
+
+/**
+ * Play the time animation until the slider has moved, then pause it
+ * @returns {Promise<number>} Slider position after the pause
+ */
+async function animate(page) {
+  const slider = timeSlider(page);
+  const start = Number(await slider.inputValue());
+  await page.getByRole('button', { name: 'Play forecast animation' }).click();
+  await expect.poll(async () => Number(await slider.inputValue())).not.toBe(start);
+  await page.getByRole('button', { name: 'Pause forecast animation' }).click();
+  await expect(page.getByRole('button', { name: 'Play forecast animation' })).toBeVisible();
+  return Number(await slider.inputValue());
+}
+
+/**
+ * Click the map (centre by default) and wait for the point timeseries
+ * @param {Object} [position] - Offset from the map's top-left corner, in pixels
+ * @returns {Promise<{times: string[], values: Array<number|null>}>} The first timeseries response
+ */
+async function clickPoint(page, position) {
+  const map = page.locator('.leaflet-container');
+  const box = await map.boundingBox();
+  const timeseries = page.waitForResponse(isPointSeries);
+  await map.click({ position: position || { x: box.width / 2, y: box.height / 2 } });
+  return readPointSeries(await timeseries);
+}
+
+/**
+ * Switch the point panel to the tabular view and return its numeric cells
+ * @returns {Promise<number[]>}
+ */
+async function openTabularView(page) {
+  const tab = page.getByRole('tab', { name: 'Tabular' });
+  await tab.click();
+  await expect(tab).toHaveAttribute('aria-selected', 'true');
+  const cells = page.locator('table:visible td');
+  await expect.poll(async () => (await numericCells(cells)).length).toBeGreaterThan(0);
+  return numericCells(cells);
+}
+
+async function numericCells(cells) {
+  const texts = await cells.allTextContents();
+  return texts.map((text) => Number.parseFloat(text)).filter(Number.isFinite);
+}
+
+module.exports = {
+  routeToMockServer,
+  loadMap,
+  animate,
+  clickPoint,
+  openTabularView
+};
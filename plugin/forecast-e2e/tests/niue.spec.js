@@ -0,0 +1,32 @@
+/**
+ * Niue (widget1) against the mock ncWMS niue_forecast and ForecastNiue_latest.nc datasets
+ */
+
+const { test, expect } = require('@playwright/test');
+
+const { animate, clickPoint, loadMap, openTabularView } = require('./helpers');
+
+test.describe('Niue forecast', () => {
+  // Tile requests still in flight when a test ends would fail in the route handler
+  test.afterEach(({ page }) => page.unrouteAll({ behavior: 'ignoreErrors' }));
+
+  test('loads the map, animates and shows a clicked point as a table', async ({ page }) => {
+    await test.step('load map', async () => {
+      await loadMap(page, '/widget1/');
+    });
+
+    await test.step('animate', async () => {
+      await animate(page);
+    });
+
+    await test.step('click point', async () => {
+      const series = await clickPoint(page);
+      expect(series.times.length).toBeGreaterThan(1);
+    });
+
+    await test.step('open tabular view', async () => {
+      const values = await openTabularView(page);
+      expect(values.length).toBeGreaterThan(0);
+    });
+  });
+});
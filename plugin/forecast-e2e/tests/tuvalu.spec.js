@@ -0,0 +1,41 @@
+/**
+ * Tuvalu (widget11) against the mock Tuvalu.nc dataset; the widget needs a
+ * token, which the mock middleware accepts
+ */
+
+const { test, expect } = require('@playwright/test');
+
+const { animate, clickPoint, loadMap, openTabularView, routeToMockServer } = require('./helpers');
+const { E2E_TOKEN } = require('./widgets');
+
+test.describe('Tuvalu forecast', () => {
+  // Tile requests still in flight when a test ends would fail in the route handler
+  test.afterEach(({ page }) => page.unrouteAll({ behavior: 'ignoreErrors' }));
+
+  test('loads the map, animates and shows a clicked point as a table', async ({ page }) => {
+    await test.step('load map', async () => {
+      await loadMap(page, `/widget11/?token=${E2E_TOKEN}`);
+    });
+
+    await test.step('animate', async () => {
+      await animate(page);
+    });
+
+    await test.step('click point', async () => {
+      const series = await clickPoint(page);
+      expect(series.times.length).toBeGreaterThan(1);
+    });
+
+    await test.step('open tabular view', async () => {
+      const values = await openTabularView(page);
+      expect(values.length).toBeGreaterThan(0);
+    });
+  });
+
+  test('refuses to load with a rejected token', async ({ page }) => {
+    await routeToMockServer(page);
+    await page.goto('/widget11/?token=invalid');
+    await expect(page.getByText('Access Denied')).toBeVisible();
+    await expect(page.locator('.leaflet-container')).toHaveCount(0);
+  });
+});
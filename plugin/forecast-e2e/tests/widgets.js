@@ -0,0 +1,32 @@
+/**
+ * Widgets under test and the mock backend they are pointed at
+ *
+ * Each widget runs on its own dev server port. E2E_WIDGETS (e.g.
+ * "widget5,widget11") limits a run to some of them, since every dev
+ * server is a full webpack build.
+ */
+
+const MOCK_PORT = Number(process.env.MOCK_THREDDS_PORT) || 4010;
+const MOCK_ORIGIN = `http://localhost:${MOCK_PORT}`;
+
+// Any token but "invalid"/"expired" passes the mock middleware
+const E2E_TOKEN = 'e2e-token';
+
+const ALL_WIDGETS = [
+  { name: 'niue', dir: 'widget1', port: 3101, path: '/widget1/', spec: 'niue.spec.js' },
+  { name: 'cook-islands', dir: 'widget5', port: 3105, path: '/widget5/', spec: 'cook-islands.spec.js' },
+  { name: 'tuvalu', dir: 'widget11', port: 3111, path: '/widget11/', spec: 'tuvalu.spec.js' }
+];
+
+const selected = (process.env.E2E_WIDGETS || '').split(',').map((name) => name.trim()).filter(Boolean);
+
+const WIDGETS = selected.length
+  ? ALL_WIDGETS.filter((widget) => selected.includes(widget.dir) || selected.includes(widget.name))
+  : ALL_WIDGETS;
+
+module.exports = {
+  MOCK_PORT,
+  MOCK_ORIGIN,
+  E2E_TOKEN,
+  WIDGETS
+};
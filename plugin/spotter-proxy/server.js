@@ -0,0 +1,173 @@
+// Sofar Spotter proxy for the widgets (widget3 station pages, widget5 buoy panel).
+//
+// The Sofar API token stays on the server: browsers call
+//   GET /wave-data?spotterId=SPOT-1234[&limit=100]
+// and get the buoy's recent waves, track and surface temperature in one normalised shape:
+//   { data: { spotterId, spotterName, waves: [...], track: [...], surfaceTemp: [...], spectrum },
+//     meta: { fetchedAt, cached, stale } }
+// spectrum is the latest frequency spectrum with its directional moments (arrays per frequency bin):
+//   { timestamp, frequency, df, varianceDensity, a1, b1, a2, b2 }, or null when the buoy sends none.
+// Each buoy is fetched from Sofar at most once per CACHE_MS however many viewers there are; concurrent
+// requests for the same buoy share one upstream call. When Sofar fails, the last good copy is served
+// (meta.stale = true) for up to STALE_MS.
+
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 8014;
+const UPSTREAM = (process.env.SOFAR_API_URL || 'https://api.sofarocean.com/api').replace(/\/$/, '');
+const TOKEN = process.env.SOFAR_TOKEN || '';
+// Spotters report every 30 min; a 5 min cache keeps the data fresh while sparing the API
+const CACHE_MS = Number(process.env.CACHE_MS) || 5 * 60000;
+const STALE_MS = Number(process.env.STALE_MS) || 6 * 3600000;
+const UPSTREAM_TIMEOUT_MS = 30000;
+// Records fetched per buoy; clients ask for the latest `limit` of them
+const UPSTREAM_LIMIT = 500;
+const DEFAULT_LIMIT = 100;
+const MAX_BUOYS = 200;
+const SPOTTER_ID_RE = /^SPOT-[\w-]{1,32}$/i;
+
+const log = (...args) => console.log(new Date().toISOString(), ...args);
+
+// spotterId -> { data, fetchedAt, pending }
+const cache = new Map();
+
+const num = v => (v == null || v === '' || isNaN(Number(v)) ? null : Number(v));
+
+const iso = (value) => {
+    const t = Date.parse(value);
+    return isNaN(t) ? null : new Date(t).toISOString();
+};
+
+// Numeric fields of each record are coerced (null when missing), timestamps made ISO, records without
+// a valid time dropped and everything sorted oldest first
+const normaliseRecords = (records, fields) => (Array.isArray(records) ? records : [])
+    .map(r => {
+        const out = { timestamp: iso(r?.timestamp) };
+        for (const f of fields) out[f] = num(r?.[f]);
+        return out;
+    })
+    .filter(r => r.timestamp)
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+const WAVE_FIELDS = [
+    'significantWaveHeight', 'peakPeriod', 'meanPeriod', 'peakDirection', 'peakDirectionalSpread',
+    'meanDirection', 'meanDirectionalSpread', 'latitude', 'longitude'
+];
+
+const SPECTRUM_FIELDS = ['frequency', 'df', 'varianceDensity', 'a1', 'b1', 'a2', 'b2'];
+
+// Only the newest spectrum is kept: the full history would be most of the payload and nothing charts it
+const latestSpectrum = (records) => {
+    const valid = (Array.isArray(records) ? records : [])
+        .filter(r => iso(r?.timestamp) && Array.isArray(r.frequency) && Array.isArray(r.varianceDensity));
+    if (!valid.length) return null;
+    const last = valid.reduce((a, b) => (Date.parse(b.timestamp) > Date.parse(a.timestamp) ? b : a));
+    const out = { timestamp: iso(last.timestamp) };
+    for (const f of SPECTRUM_FIELDS) out[f] = Array.isArray(last[f]) ? last[f].map(num) : [];
+    return out;
+};
+
+const normalise = (spotterId, body) => {
+    const d = body?.data || {};
+    return {
+        spotterId: d.spotterId || spotterId,
+        spotterName: d.spotterName || null,
+        waves: normaliseRecords(d.waves, WAVE_FIELDS),
+        track: normaliseRecords(d.track, ['latitude', 'longitude'])
+            .filter(p => p.latitude != null && p.longitude != null),
+        surfaceTemp: normaliseRecords(d.surfaceTemp, ['degrees', 'latitude', 'longitude']),
+        spectrum: latestSpectrum(d.frequencyData)
+    };
+};
+
+const fetchUpstream = async (spotterId) => {
+    const params = new URLSearchParams({
+        spotterId,
+        token: TOKEN,
+        limit: String(UPSTREAM_LIMIT),
+        includeWindData: 'false',
+        includeDirectionalMoments: 'true',
+        includeSurfaceTempData: 'true',
+        includeFrequencyData: 'true',
+        includeTrack: 'true'
+    });
+    const res = await fetch(`${UPSTREAM}/wave-data?${params}`, { signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS) });
+    if (!res.ok) {
+        const err = new Error(`upstream ${res.status}`);
+        err.status = res.status;
+        throw err;
+    }
+    return normalise(spotterId, await res.json());
+};
+
+// Cached copy when fresh, otherwise one shared upstream request
+const getSpotter = async (spotterId) => {
+    let entry = cache.get(spotterId);
+    if (entry?.data && Date.now() - entry.fetchedAt < CACHE_MS) return { entry, cached: true, stale: false };
+    if (!entry) {
+        entry = { data: null, fetchedAt: 0, pending: null };
+        cache.set(spotterId, entry);
+        // Map keeps insertion order: drop the oldest buoy when full
+        if (cache.size > MAX_BUOYS) cache.delete(cache.keys().next().value);
+    }
+    if (!entry.pending) {
+        entry.pending = fetchUpstream(spotterId)
+            .then(data => {
+                entry.data = data;
+                entry.fetchedAt = Date.now();
+            })
+            .finally(() => { entry.pending = null; });
+    }
+    try {
+        await entry.pending;
+        return { entry, cached: false, stale: false };
+    } catch (err) {
+        log(`[sofar] ${spotterId}: ${err.message}`);
+        if (entry.data && Date.now() - entry.fetchedAt < STALE_MS) return { entry, cached: true, stale: true };
+        if (!entry.data) cache.delete(spotterId);
+        throw err;
+    }
+};
+
+// The latest `limit` records of every series
+const latest = (data, limit) => ({
+    ...data,
+    waves: data.waves.slice(-limit),
+    track: data.track.slice(-limit),
+    surfaceTemp: data.surfaceTemp.slice(-limit)
+});
+
+const sendJson = (res, status, payload, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*', ...headers });
+    res.end(JSON.stringify(payload));
+};
+
+const handleWaveData = async (res, url) => {
+    const spotterId = String(url.searchParams.get('spotterId') || '').trim();
+    if (!SPOTTER_ID_RE.test(spotterId)) return sendJson(res, 400, { detail: 'spotterId must be a Spotter id (SPOT-...)' });
+    const limit = Math.min(UPSTREAM_LIMIT, Math.max(1, Number(url.searchParams.get('limit')) || DEFAULT_LIMIT));
+    if (!TOKEN) return sendJson(res, 503, { detail: 'Spotter proxy has no SOFAR_TOKEN configured' });
+    try {
+        const { entry, cached, stale } = await getSpotter(spotterId);
+        const maxAge = Math.max(0, Math.round((CACHE_MS - (Date.now() - entry.fetchedAt)) / 1000));
+        sendJson(res, 200, {
+            data: latest(entry.data, limit),
+            meta: { fetchedAt: new Date(entry.fetchedAt).toISOString(), cached, stale }
+        }, { 'Cache-Control': `public, max-age=${stale ? 0 : maxAge}` });
+    } catch (err) {
+        // Sofar answers 4xx for unknown buoys or ones the token can't see
+        if (err.status >= 400 && err.status < 500) return sendJson(res, 404, { detail: `Spotter ${spotterId} not available` });
+        sendJson(res, 502, { detail: 'Sofar API unavailable' });
+    }
+};
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://proxy');
+    if (req.method === 'GET' && url.pathname === '/wave-data') return handleWaveData(res, url);
+    if (req.method === 'GET' && url.pathname === '/health') {
+        return sendJson(res, 200, { status: TOKEN ? 'ok' : 'no-token', buoys: cache.size, cacheMs: CACHE_MS });
+    }
+    sendJson(res, 404, { detail: 'Not found' });
+});
+
+server.listen(PORT, () => log(`Spotter proxy on :${PORT}, upstream ${UPSTREAM}, cache ${CACHE_MS} ms${TOKEN ? '' : ' (no SOFAR_TOKEN set)'}`));
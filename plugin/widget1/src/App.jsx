@@ -1,6 +1,7 @@
 import React, { useEffect, useState } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import Home from './pages/Home';
+import { OfflineForecastBanner } from '@ocean-plugin/forecast-core';
 import './App.css';
 // LEGACY HEADER REMOVED - ModernHeader is now used in Home.jsx
 // import Header from './components/header';
@@ -117,6 +118,7 @@ function App() {
         transition: 'background-color 0.3s ease'
       }}>
         {/* Legacy Header removed - ModernHeader now renders in Home.jsx */}
+        <OfflineForecastBanner />
         <Routes>
           <Route path="/" element={<Home widgetData={widgetData} validCountries={validCountries} />} />
           {/* <Route path="/link1" element={<Link1 />} />
@@ -13,7 +13,12 @@ import {
   DataInfo, 
   //StatusBar 
 } from './shared/UIComponents';
-import wmsStyleManager from '../utils/WMSStyleManager';
+import {
+  wmsStyleManager,
+  AnimationExportControl,
+  LegendRangeControl,
+  PermalinkControl
+} from '@ocean-plugin/forecast-core';
 import { Waves, Wind, Navigation, Activity, Info, Settings, Timer, Triangle,  BadgeInfo , CloudRain, FastForward} from 'lucide-react';
 import FancyIcon from './FancyIcon';
 import '../styles/fancyIcons.css';
@@ -142,7 +147,8 @@ const ForecastApp = ({
   mapInstance,
   setBottomCanvasData,
   setShowBottomCanvas,
-  minIndex
+  minIndex,
+  permalink
 }) => {
   // Dynamic marine legend configuration - RESPONDS TO ACTUAL DATA
   const getLegendConfig = (variable, layerData) => {
@@ -781,6 +787,14 @@ const ForecastApp = ({
                 pauseIcon={<FancyIcon icon={Activity} animationType="pulse" size={16} color="#ff5722" />}
                 minIndex={minIndex}
               />
+
+              <AnimationExportControl
+                mapInstance={mapInstance}
+                capTime={capTime}
+                currentSliderDate={currentSliderDate}
+                title={selectedLegendLayer?.label}
+                legendUrl={selectedLegendLayer?.legendUrl}
+              />
               
               {/* ✅ Warm-up Period Notice */}
               {MARINE_CONFIG.SHOW_WARMUP_NOTICE && capTime.warmupSkipped && (
@@ -813,6 +827,21 @@ const ForecastApp = ({
                 formatPercent={UI_CONFIG.FORMATS.opacityPercent}
                 ariaLabel={UI_CONFIG.ARIA_LABELS.overlayOpacity}
               />
+
+              {permalink && (
+                <>
+                  <LegendRangeControl
+                    range={permalink.legendRange}
+                    isCustom={permalink.isCustomLegendRange}
+                    onApply={permalink.setLegendRange}
+                    onReset={permalink.resetLegendRange}
+                  />
+                  <PermalinkControl
+                    getPermalink={permalink.getPermalink}
+                    disabled={permalink.isRestoring}
+                  />
+                </>
+              )}
             </ControlGroup>
 
             <ControlGroup
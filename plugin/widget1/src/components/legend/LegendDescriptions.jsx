@@ -1,6 +1,6 @@
 import React from 'react';
 import styles from './CompactLegend.module.css';
-import WorldClassVisualization from '../../utils/WorldClassVisualization';
+import { WorldClassVisualization } from '@ocean-plugin/forecast-core';
 
 const LegendDescriptions = ({ layer }) => {
   // Generate meaningful descriptions based on layer type and values
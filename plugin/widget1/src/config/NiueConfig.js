@@ -5,6 +5,8 @@
  * including colors, coordinates, and regional settings.
  */
 
+import { MARINE_CONFIG } from './marineVariables';
+
 export const NIUE_CONFIG = {
   // Geographic information
   name: 'Niue',
@@ -98,4 +100,71 @@ export const NIUE_CONFIG = {
   }
 };
 
+// Shared forecast core settings (registered in ./forecastCore.js)
+export const FORECAST_CORE_CONFIG = {
+  name: NIUE_CONFIG.name,
+  code: NIUE_CONFIG.code,
+  forecastDataset: 'niue_forecast',
+  marine: MARINE_CONFIG,
+  capabilities: {
+    cacheTtl: 3600000, // 1 hour - avoids redundant capabilities downloads
+    inferModelRunTime: true
+  },
+  timeAnimation: {
+    initialPosition: 'lookback'
+  },
+  // Zoom levels around the initial Niue view, pre-cached for offline use
+  offline: {
+    zooms: [9, 10]
+  },
+  visualization: {
+    // Niue ranges (updated based on actual data)
+    layerRanges: {
+      tm02: { min: 2.3, max: 8.0, unit: 's' },
+      tpeak: { min: 0, max: 17.4, unit: 's' }
+    },
+    worldClass: {
+      scientificPalettes: {
+        waveHeight: 'psu-viridis'    // Perceptually uniform for wave height
+      },
+      advancedConfigs: {
+        significantWaveHeight: {
+          calm: { range: '0.17,1.66', palette: 'psu-viridis', bands: 50, opacity: 0.7, description: 'Niue wave conditions' },
+          moderate: { range: '0.17,1.66', palette: 'psu-viridis', bands: 100, opacity: 0.8, description: 'Niue wave height - current conditions' },
+          rough: { range: '0.17,1.66', palette: 'psu-viridis', bands: 150, description: 'Niue wave height - full range' },
+          dangerous: { range: '0,15', palette: 'psu-inferno', bands: 200, description: 'Dangerous seas - gale warning' },
+          extreme: { range: '0,25', palette: 'psu-jet', bands: 250, description: 'Extreme seas - storm warning' }
+        },
+        meanWavePeriod: {
+          surfConditions: { range: '0,15', palette: 'div-RdYlBu', bands: 250, opacity: 0.85, description: 'High-contrast surf wave period analysis with divergent colors' },
+          stormAnalysis: { range: '0,25', palette: 'div-RdBu', bands: 350, opacity: 0.92, description: 'Ultra-high contrast storm wave period analysis - extreme visual differentiation' },
+          niue: { range: '0,20', palette: 'div-Spectral', bands: 280, opacity: 0.87, description: 'Niue wave period - divergent palette optimized for Pacific conditions' }
+        }
+      },
+      tropicalBandBoost: 50,
+      colorscaling: null,
+      highResolutionPalettes: [],
+      legend: {
+        wmsUrl: 'https://gem-ncwms-hpc.spc.int/ncWMS/wms',
+        datasetPrefix: 'niue_forecast',
+        layerMapping: {
+          dirm: 'dirm', // Direction comes from THREDDS, no prefix
+          'niue_forecast/dirm': 'dirm',
+          raro_inun: 'raro_inun/Band1'
+        },
+        waveHeightPalette: 'viridis'
+      },
+      composite: {
+        wmsUrl: 'https://gem-ncwms-hpc.spc.int/ncWMS/wms',
+        directionWmsUrl: NIUE_CONFIG.dataSources.wms.primary,
+        dataset: 'niue_forecast',
+        directionDataset: null, // THREDDS direction layer needs no dataset parameter
+        range: '0.17,1.66',
+        palette: 'psu-viridis',
+        bands: 256
+      }
+    }
+  }
+};
+
 export default NIUE_CONFIG;
\ No newline at end of file
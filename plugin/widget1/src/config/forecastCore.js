@@ -0,0 +1,12 @@
+/**
+ * Forecast Core Setup
+ *
+ * Registers Niue's settings with the shared forecast core. Imported first
+ * in index.jsx so presets are in place before any module reads them at
+ * load time.
+ */
+
+import { configureForecastCore } from '@ocean-plugin/forecast-core';
+import { FORECAST_CORE_CONFIG } from './NiueConfig';
+
+configureForecastCore(FORECAST_CORE_CONFIG);
@@ -1,7 +1,11 @@
+// Register the country config with the shared forecast core before anything reads it
+import './config/forecastCore';
+
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import 'bootstrap/dist/css/bootstrap.min.css';
 import 'bootstrap-icons/font/bootstrap-icons.css';
+import { registerForecastServiceWorker } from '@ocean-plugin/forecast-core';
 import App from './App';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
@@ -10,3 +14,6 @@ root.render(
     <App />
   </React.StrictMode>
 );
+
+// Offline cache for forecast tiles and capabilities (production builds only)
+registerForecastServiceWorker(`${process.env.PUBLIC_URL}/service-worker.js`);
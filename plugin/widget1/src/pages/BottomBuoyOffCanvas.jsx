@@ -13,6 +13,7 @@ import {
 } from 'chart.js';
 import { Line } from 'react-chartjs-2';
 import 'chartjs-adapter-date-fns';
+import { fetchPointTimeseries } from '@ocean-plugin/forecast-core';
 
 ChartJS.register(
   CategoryScale,
@@ -37,10 +38,15 @@ const MODEL_COLORS = [
   '#43A047', // Vivid Green
 ];
 
+// Spotter data comes through the server-side proxy, which holds the Sofar token (plugin/spotter-proxy)
+const SPOTTER_PROXY_URL = (process.env.REACT_APP_SPOTTER_PROXY_URL || '/spotter-proxy').replace(/\/$/, '');
+
 const MIN_HEIGHT = 100;
 const MAX_HEIGHT_FALLBACK = 800; // used if window size unavailable
 
 const MODEL_VARIABLES = ["hs_p1", "tp_p1", "dirp_p1"];
+// Model grid point compared with the buoy
+const MODEL_POINT = { lat: -19.0545, lon: -169.93145 };
 const LATEST_CAPABILITY_URL = "https://gemthreddshpc.spc.int/thredds/wms/POP/model/country/spc/forecast/hourly/NIU/ForecastNiue_latest.nc?service=WMS&version=1.3.0&request=GetCapabilities";
 const PREVIOUS_CAPABILITY_URL = "https://gemthreddshpc.spc.int/thredds/wms/POP/model/country/spc/forecast/hourly/NIU/ForecastNiue_latest_01.nc?service=WMS&version=1.3.0&request=GetCapabilities";
 
@@ -95,10 +101,6 @@ function getTimeRangeFromDimension(dimStr) {
   return null;
 }
 
-function formatDateISOString(date) {
-  return date.toISOString().split(".")[0] + ".000Z";
-}
-
 // New functions for fetching forecast data
 async function fetchCapabilities(url) {
   //console.log(`Fetching capabilities from: ${url}`);
@@ -109,21 +111,9 @@ async function fetchCapabilities(url) {
   return xml;
 }
 
+// Model series at the buoy through the forecast's data source
 async function fetchForecastData(baseUrl, layer, timeRange) {
-  const timeParam = `${formatDateISOString(timeRange.start)}/${formatDateISOString(timeRange.end)}`;
-  const url = `${baseUrl}?REQUEST=GetTimeseries&LAYERS=${layer}&QUERY_LAYERS=${layer}&BBOX=-169.9315,-19.05455,-169.9314,-19.05445&SRS=CRS:84&FEATURE_COUNT=5&HEIGHT=1&WIDTH=1&X=0&Y=0&STYLES=default/default&VERSION=1.1.1&TIME=${timeParam}&INFO_FORMAT=text/json`;
-
-  console.log(`Fetching forecast data from: ${url}`);
-
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`Failed to fetch forecast data from ${baseUrl}`);
-  const json = await res.json();
-
-  //console.log(`Forecast data response for ${baseUrl} [${layer}]:`, json);
-  //console.log(`Time range: ${timeParam}`);
-  //console.log(`Data points: ${json.domain?.axes?.t?.values?.length || 0}`);
-
-  return json;
+  return fetchPointTimeseries(baseUrl, { layer, ...MODEL_POINT, ...timeRange });
 }
 
 async function fetchCombinedForecastData() {
@@ -417,8 +407,7 @@ function BottomBuoyOffCanvas({ show, onHide, buoyId }) {
     setLoading(true);
     setFetchError("");
     setData(null);
-    const token = "2a348598f294c6b0ce5f7e41e5c0f5";
-    const url = `https://api.sofarocean.com/api/wave-data?spotterId=${buoyId}&token=${token}&includeWindData=false&includeDirectionalMoments=true&includeSurfaceTempData=true&limit=100&includeTrack=true`;
+    const url = `${SPOTTER_PROXY_URL}/wave-data?spotterId=${encodeURIComponent(buoyId)}&limit=100`;
     fetch(url)
       .then(res => {
         if (!res.ok) throw new Error("API error");
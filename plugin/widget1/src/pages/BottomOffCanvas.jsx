@@ -1,8 +1,15 @@
-import React, { useRef, useState, useEffect } from "react";
+import React, { useRef, useState, useEffect, useMemo } from "react";
 import Offcanvas from "react-bootstrap/Offcanvas";
 import "./BottomOffCanvas.css";
 import Tabular from "./tabular.js";
 import Timeseries from "./timeseries.js";
+import {
+  PointForecastExportControl,
+  fetchPointTimeseries,
+  parseTimeRange,
+  resolveExportLocation
+} from "@ocean-plugin/forecast-core";
+import { MARINE_VARIABLES } from "../config/marineVariables";
 
 // ---- Variables & config shared between modules ----
 const variableDefs = [
@@ -20,47 +27,26 @@ const variableDefs = [
   { key: "tp_p1", label: "Wind wave period{0-25/Rd/0}" },
   { key: "dirp_p1", label: "Wind wave dir{0-4/dir}" }
 ];
+const EXPORT_ORDER = variableDefs.map(({ key }) => key);
+const NIUE_WMS_URL = "https://gemthreddshpc.spc.int/thredds/wms/POP/model/country/spc/forecast/hourly/NIU/ForecastNiue_latest.nc";
 
 // ---- Centralized fetching helpers ----
+// Seven days from the clicked time, or the whole time axis when there is none
+function getTimeseriesRange(timeDimension) {
+  if (!timeDimension) return {};
+  if (timeDimension.includes("/")) return parseTimeRange(timeDimension);
+  const start = new Date(timeDimension);
+  if (Number.isNaN(start.getTime())) return {};
+  const end = new Date(start);
+  end.setDate(start.getDate() + 7);
+  return { start, end };
+}
+
 async function fetchLayerTimeseries(layer, data) {
-  if (!data || !data.bbox || (data.x === undefined && data.i === undefined) || (data.y === undefined && data.j === undefined)) return null;
-  let timeParam = "";
-  if (data.timeDimension) {
-    if (data.timeDimension.includes("/")) {
-      timeParam = data.timeDimension;
-    } else {
-      try {
-        const start = new Date(data.timeDimension);
-        const end = new Date(start);
-        end.setDate(start.getDate() + 7);
-        timeParam = `${start.toISOString()}/${end.toISOString()}`;
-      } catch {
-        timeParam = data.timeDimension;
-      }
-    }
-  }
-  const x = data.x !== undefined ? data.x : data.i;
-  const y = data.y !== undefined ? data.y : data.j;
-  const url =
-    "https://gemthreddshpc.spc.int/thredds/wms/POP/model/country/spc/forecast/hourly/NIU/ForecastNiue_latest.nc" +
-    `?REQUEST=GetTimeseries` +
-    `&LAYERS=${layer}` +
-    `&QUERY_LAYERS=${layer}` +
-    `&BBOX=${encodeURIComponent(data.bbox)}` +
-    `&SRS=CRS:84` +
-    `&FEATURE_COUNT=5` +
-    `&HEIGHT=${data.height}` +
-    `&WIDTH=${data.width}` +
-    `&X=${x}` +
-    `&Y=${y}` +
-    `&STYLES=default/default` +
-    `&VERSION=1.1.1` +
-    (timeParam ? `&TIME=${encodeURIComponent(timeParam)}` : "") +
-    `&INFO_FORMAT=text/json`;
+  const location = resolveExportLocation(data);
+  if (!location) return null;
   try {
-    const response = await fetch(url);
-    if (!response.ok) return null;
-    return await response.json();
+    return await fetchPointTimeseries(NIUE_WMS_URL, { layer, ...location, ...getTimeseriesRange(data.timeDimension) });
   } catch {
     return null;
   }
@@ -81,6 +67,7 @@ function BottomOffCanvas({ show, onHide, data }) {
   const [loading, setLoading] = useState(false);
   const [fetchError, setFetchError] = useState("");
   const [isDarkMode, setIsDarkMode] = useState(false);
+  const exportLocation = useMemo(() => resolveExportLocation(data), [data]);
 
   // Check for dark mode
   useEffect(() => {
@@ -278,6 +265,14 @@ function BottomOffCanvas({ show, onHide, data }) {
           : fetchError
               ? <div style={{ color: "red", textAlign: "center" }}>{fetchError}</div>
               : <>
+                  <PointForecastExportControl
+                    perVariableData={perVariableData}
+                    variables={MARINE_VARIABLES}
+                    order={EXPORT_ORDER}
+                    location={exportLocation}
+                    title="Niue point forecast"
+                    source={NIUE_WMS_URL}
+                  />
                   {activeTab === "tabular" && <Tabular perVariableData={perVariableData} />}
                   {activeTab === "timeseries" && <Timeseries perVariableData={perVariableData} />}
                   
@@ -7,7 +7,7 @@ import BottomBuoyOffCanvas from "./BottomBuoyOffCanvas";
 import { useForecast } from "../hooks/useForecastComposed";
 import ForecastApp from "../components/ForecastApp";
 import ModernHeader from "../components/ModernHeader";
-import WorldClassVisualization from "../utils/WorldClassVisualization";
+import { WorldClassVisualization, usePermalinkState, getFeatureInfoPoint } from '@ocean-plugin/forecast-core';
 
 // Initialize world-class visualization system
 const worldClassViz = new WorldClassVisualization();
@@ -185,6 +185,7 @@ function Home({ widgetData, validCountries }) {
     wmsOpacity, setWmsOpacity,
     // Dynamic layers
     dynamicLayers,
+    updateDynamicLayer,
     isUpdatingVisualization,
     // Bottom canvases
     showBottomCanvas, setShowBottomCanvas,
@@ -283,6 +284,24 @@ function Home({ widgetData, validCountries }) {
     // eslint-disable-next-line
   }, [activeLayers["stamen-toner"], mapInstance.current, config.WAVE_BUOYS]);
 
+  // Shared links restore the whole view; the URL follows the view afterwards
+  const permalink = usePermalinkState({
+    mapInstance,
+    layers: dynamicLayers,
+    allLayers: ALL_LAYERS,
+    updateLayer: updateDynamicLayer,
+    selectedLayer: selectedWaveForecast,
+    setSelectedLayer: setSelectedWaveForecast,
+    activeLayers,
+    setActiveLayers,
+    capTime,
+    currentSliderDate,
+    setSliderIndex,
+    opacity: wmsOpacity,
+    setOpacity: setWmsOpacity,
+    point: showBottomCanvas ? getFeatureInfoPoint(bottomCanvasData) : null,
+  });
+
   return (
     <>
       <ModernHeader />
@@ -309,6 +328,7 @@ function Home({ widgetData, validCountries }) {
         isUpdatingVisualization={isUpdatingVisualization}
         currentSliderDateStr={currentSliderDateStr}
         minIndex={minIndex}
+        permalink={permalink}
 
         // Extras retained from earlier wiring (safe if unused)
         BottomOffCanvas={BottomOffCanvas}
@@ -1,8 +1,8 @@
 /**
- * Forecast Data Analyzer - Analyzes WMS GetFeatureInfo responses to optimize color ranges
+ * Forecast Data Analyzer - Samples point values from the layer's data source to optimize color ranges
  */
 
-import L from 'leaflet';
+import { getDataSource } from '@ocean-plugin/forecast-core';
 
 export class ForecastDataAnalyzer {
   constructor() {
@@ -71,79 +71,17 @@ export class ForecastDataAnalyzer {
   }
 
   /**
-   * Get value at a specific point using GetFeatureInfo
+   * Get value at a specific point from the layer's data source
    */
   async getPointValue(map, wmsLayer, point) {
-    return new Promise((resolve) => {
-      // Simulate clicking the map at the point to trigger GetFeatureInfo
-      const containerPoint = map.latLngToContainerPoint(point);
-      const size = map.getSize();
-      const bounds = map.getBounds();
-
-      const params = {
-        request: 'GetFeatureInfo',
-        service: 'WMS',
-        crs: 'EPSG:4326',
-        styles: wmsLayer.options.styles,
-        transparent: wmsLayer.options.transparent,
-        version: wmsLayer.options.version || '1.3.0',
-        format: wmsLayer.options.format,
-        bbox: bounds.toBBoxString(),
-        height: Math.round(size.y),
-        width: Math.round(size.x),
-        layers: wmsLayer.options.layers,
-        query_layers: wmsLayer.options.layers,
-        info_format: 'text/html',
-        i: Math.round(containerPoint.x),
-        j: Math.round(containerPoint.y)
-      };
-
-      const url = wmsLayer._url + L.Util.getParamString(params, wmsLayer._url, true);
-
-      fetch(url)
-        .then(response => response.text())
-        .then(data => {
-          const value = this.parseFeatureInfoValue(data);
-          resolve(value);
-        })
-        .catch(() => resolve(null));
-    });
-  }
-
-  /**
-   * Parse numerical value from GetFeatureInfo HTML response
-   */
-  parseFeatureInfoValue(htmlResponse) {
     try {
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(htmlResponse, 'text/html');
-      const tables = doc.getElementsByTagName('table');
-      
-      if (tables.length > 0) {
-        const cells = tables[0].getElementsByTagName('td');
-        for (let cell of cells) {
-          const text = cell.textContent.trim();
-          const num = parseFloat(text);
-          if (!isNaN(num) && num > 0) {
-            return num;
-          }
-        }
-      }
-      
-      // Fallback: look for any number in the response
-      const matches = htmlResponse.match(/[\d.]+/g);
-      if (matches) {
-        for (let match of matches) {
-          const num = parseFloat(match);
-          if (!isNaN(num) && num > 0 && num < 1000) { // Reasonable range
-            return num;
-          }
-        }
-      }
-      
-      return null;
+      return await getDataSource(wmsLayer._url).getPointValue({
+        layer: wmsLayer.options.layers,
+        lat: point.lat,
+        lon: point.lng,
+        time: wmsLayer.wmsParams?.time
+      });
     } catch (error) {
-      console.warn('Error parsing FeatureInfo:', error);
       return null;
     }
   }
@@ -5,7 +5,7 @@
  * and provides monitoring capabilities for tile loading health.
  */
 
-import WMSTileLoadingService from '../services/WMSTileLoadingService.js';
+import { wmsTileLoadingService as WMSTileLoadingService } from '@ocean-plugin/forecast-core';
 
 class TileLoadingMonitor {
   constructor() {
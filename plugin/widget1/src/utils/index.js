@@ -3,11 +3,15 @@
  * 
  * Advanced utilities for marine forecast visualization and WMS management
  * optimized for professional maritime applications.
+ *
+ * WorldClassVisualization and WMSStyleManager now live in the shared
+ * forecast core and are re-exported here for existing imports.
  */
 
-export { WorldClassVisualization } from './WorldClassVisualization';
-export { WMSStyleManager } from './WMSStyleManager';
+export { WorldClassVisualization, WMSStyleManager } from '@ocean-plugin/forecast-core';
 
 // Default exports for convenience
-export { default as WorldClassVisualizationDefault } from './WorldClassVisualization';
-export { default as WMSStyleManagerDefault } from './WMSStyleManager';
\ No newline at end of file
+export {
+  WorldClassVisualization as WorldClassVisualizationDefault,
+  wmsStyleManager as WMSStyleManagerDefault
+} from '@ocean-plugin/forecast-core';
@@ -1,6 +1,7 @@
 import React, { useEffect, useState } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import Home from './pages/Home';
+import { OfflineForecastBanner } from '@ocean-plugin/forecast-core';
 import './styles/z-index-system.css'; // World-class z-index system (must load first)
 import './App.css';
 import Header from './components/header';
@@ -114,6 +115,7 @@ function App() {
           transition: 'background-color 0.3s ease'
         }}>
           <Header />
+          <OfflineForecastBanner />
           <Routes>
             <Route path="/" element={<Home widgetData={widgetData} validCountries={validCountries} />} />
             <Route path="*" element={<Navigate to="/" replace />} />
@@ -14,7 +14,13 @@ import {
   DataInfo, 
   //StatusBar 
 } from './shared/UIComponents';
-import wmsStyleManager, { WMSStylePresets } from '../utils/WMSStyleManager';
+import {
+  wmsStyleManager,
+  WMSStylePresets,
+  AnimationExportControl,
+  LegendRangeControl,
+  PermalinkControl
+} from '@ocean-plugin/forecast-core';
 import { Waves, Wind, Navigation, Activity, Info, Settings, Timer, Triangle,  BadgeInfo , CloudRain, FastForward } from 'lucide-react';
 import FancyIcon from './FancyIcon';
 import '../styles/fancyIcons.css';
@@ -42,7 +48,8 @@ WAVE_FORECAST_LAYERS,
   isUpdatingVisualization,
   currentSliderDateStr,
   minIndex,
-  islandSelector
+  islandSelector,
+  permalink
 }) => {
   // Dynamic marine legend configuration - RESPONDS TO ACTUAL DATA
   const getLegendConfig = (variable, layerData) => {
@@ -369,6 +376,14 @@ WAVE_FORECAST_LAYERS,
             pauseIcon={<FancyIcon icon={Activity} animationType="pulse" size={16} color="#ff5722" />}
             minIndex={minIndex}
           />
+
+          <AnimationExportControl
+            mapInstance={mapInstance}
+            capTime={capTime}
+            currentSliderDate={currentSliderDate}
+            title={selectedLegendLayer?.label}
+            legendUrl={selectedLegendLayer?.legendUrl}
+          />
           
           {/* ✅ Warm-up Period Notice */}
           {MARINE_CONFIG.SHOW_WARMUP_NOTICE && capTime.warmupSkipped && (
@@ -403,6 +418,21 @@ WAVE_FORECAST_LAYERS,
           formatPercent={UI_CONFIG.FORMATS.opacityPercent}
           ariaLabel={UI_CONFIG.ARIA_LABELS.overlayOpacity}
         />
+
+        {permalink && (
+          <>
+            <LegendRangeControl
+              range={permalink.legendRange}
+              isCustom={permalink.isCustomLegendRange}
+              onApply={permalink.setLegendRange}
+              onReset={permalink.resetLegendRange}
+            />
+            <PermalinkControl
+              getPermalink={permalink.getPermalink}
+              disabled={permalink.isRestoring}
+            />
+          </>
+        )}
       </ControlGroup>
 
         <ControlGroup
@@ -6,7 +6,7 @@
 /* eslint-disable no-unused-vars */
 import React from 'react';
 import './WorldClassLegend.css';
-import wmsStyleManager, { WMSStylePresets } from '../utils/WMSStyleManager';
+import { wmsStyleManager, WMSStylePresets } from '@ocean-plugin/forecast-core';
 
 const EPSILON = 1e-6;
 const selectTickValues = (values, limit = 5) => {
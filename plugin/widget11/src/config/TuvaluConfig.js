@@ -7,6 +7,7 @@
  */
 
 import L from 'leaflet';
+import { MARINE_CONFIG } from './marineVariables';
 
 // Tuvalu geographic bounds
 // Covers from Nanumea (northernmost) to Niulakita (southernmost)
@@ -119,6 +120,88 @@ export const WAVE_VARIABLES = {
   DIRECTION: 'dirm'
 };
 
+// Shared forecast core settings (registered in ./forecastCore.js)
+export const FORECAST_CORE_CONFIG = {
+  name: 'Tuvalu',
+  code: 'TUV',
+  forecastDataset: TUVALU_DATASETS.FULL_DOMAIN,
+  marine: MARINE_CONFIG,
+  capabilities: {
+    inferModelRunTime: true
+  },
+  timeAnimation: {
+    initialPosition: 'lookback'
+  },
+  // Zoom levels around the initial all-atolls view, pre-cached for offline use
+  offline: {
+    zooms: [7, 8]
+  },
+  stylePresets: {
+    WAVE_HEIGHT: {
+      numcolorbands: 20, // Match working endpoint for Hs
+      description: 'Blue to red color ramp for wave height (0.0 to 4.0 meters)',
+      // Blue to red color mapping (heights in meters)
+      colorMapping: {
+        0.0: 'rgb(0, 0, 128)',       // 0.0m - Dark blue
+        0.5: 'rgb(0, 60, 200)',      // 0.5m - Blue
+        1.0: 'rgb(0, 120, 255)',     // 1.0m - Light blue
+        1.5: 'rgb(0, 200, 220)',     // 1.5m - Cyan
+        2.0: 'rgb(100, 255, 100)',   // 2.0m - Light green/yellow
+        2.5: 'rgb(255, 255, 0)',     // 2.5m - Yellow
+        3.0: 'rgb(255, 180, 0)',     // 3.0m - Orange
+        3.5: 'rgb(255, 100, 0)',     // 3.5m - Red-orange
+        4.0: 'rgb(200, 0, 0)'        // 4.0m - Dark red
+      }
+    },
+    INUNDATION: {
+      numcolorbands: 220,
+      description: 'x-Sst (jet) palette for inundation depth visualisation, matching CK model style'
+    }
+  },
+  visualization: {
+    defaultPalette: 'x-Sst',
+    worldClass: {
+      // Tuned ranges for Tuvalu and similar tropical archipelagos
+      advancedConfigs: {
+        significantWaveHeight: {
+          calm: { range: '0,4', palette: 'x-Sst', bands: 80, opacity: 0.72, description: 'Calm to slight seas' },
+          moderate: { range: '0,4', palette: 'x-Sst', bands: 140, opacity: 0.8, description: 'Moderate seas commonly observed around Tuvalu' },
+          rough: { range: '0,4', palette: 'x-Sst', bands: 200, opacity: 0.85, description: 'Rough to very rough swell events' },
+          dangerous: { range: '0,4', palette: 'x-Sst', bands: 240, opacity: 0.9, description: 'Dangerous gale/TC driven seas' },
+          extreme: { range: '0,4', palette: 'x-Sst', bands: 260, opacity: 0.92, description: 'Extreme storm conditions' }
+        },
+        // Divergent palettes with ranges tuned for South Pacific swell
+        meanWavePeriod: {
+          lowFrequency: { range: '0,20', palette: 'div-Spectral', bands: 280, opacity: 0.88, description: 'Full-range mean period analysis' },
+          surfConditions: { range: '4,16', palette: 'div-RdYlBu', bands: 240, opacity: 0.85, description: 'Surf and nearshore focus' },
+          stormAnalysis: { range: '6,22', palette: 'div-RdBu', bands: 320, opacity: 0.9, description: 'Storm-driven long period energy' },
+          pacificIslands: { range: '3,18', palette: 'div-Spectral', bands: 260, opacity: 0.87, description: 'Optimized for Pacific Island archipelagos' }
+        }
+      },
+      tropicalBandBoost: 50,
+      adaptiveRange: true,
+      colorscaling: null,
+      highResolutionPalettes: [],
+      legend: {
+        wmsUrl: NCWMS_BASE_URL,
+        datasetPrefix: 'cook_forecast',
+        layerMapping: {
+          raro_inun: 'raro_inun/Band1'
+        }
+      },
+      composite: {
+        wmsUrl: WMS_BASE_URL,
+        heightLayer: 'Hs', // THREDDS uses simple names like Hs, Tp, Tm, Dir
+        directionLayer: 'Dir',
+        range: '0,6',
+        palette: 'psu-viridis',
+        bands: 256,
+        description: 'Tuvalu marine forecast'
+      }
+    }
+  }
+};
+
 const TuvaluConfig = {
   TUVALU_BOUNDS,
   bounds,
@@ -126,7 +209,8 @@ const TuvaluConfig = {
   WMS_BASE_URL,
   TUVALU_DATASETS,
   INUNDATION_DATA_URL,
-  WAVE_VARIABLES
+  WAVE_VARIABLES,
+  FORECAST_CORE_CONFIG
 };
 
 export default TuvaluConfig;
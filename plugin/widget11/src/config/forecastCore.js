@@ -0,0 +1,12 @@
+/**
+ * Forecast Core Setup
+ *
+ * Registers Tuvalu's settings with the shared forecast core. Imported first
+ * in index.jsx (and setupTests.js) so presets are in place before any
+ * module reads them at load time.
+ */
+
+import { configureForecastCore } from '@ocean-plugin/forecast-core';
+import { FORECAST_CORE_CONFIG } from './TuvaluConfig';
+
+configureForecastCore(FORECAST_CORE_CONFIG);
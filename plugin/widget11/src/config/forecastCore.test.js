@@ -0,0 +1,65 @@
+/**
+ * Forecast Core Setup Tests
+ *
+ * Validates that Tuvalu's country config reaches the shared forecast core
+ */
+
+import {
+  getCountryConfig,
+  WMSStylePresets,
+  WorldClassVisualization
+} from '@ocean-plugin/forecast-core';
+import './forecastCore';
+
+describe('Forecast core configured for Tuvalu', () => {
+  test('should resolve Tuvalu settings over the core defaults', () => {
+    const config = getCountryConfig();
+
+    expect(config.name).toBe('Tuvalu');
+    expect(config.forecastDataset).toBe('tuvalu_forecast');
+    expect(config.marine.SKIP_FIRST_TIMESTEP).toBe(true);
+    expect(config.timeAnimation.initialPosition).toBe('lookback');
+    // Keys Tuvalu does not set fall back to the defaults
+    expect(config.layerDisplayNames.hs).toBe('Wave Height');
+  });
+
+  test('should apply Tuvalu style preset overrides in place', () => {
+    expect(WMSStylePresets.WAVE_HEIGHT.numcolorbands).toBe(20);
+    expect(WMSStylePresets.WAVE_HEIGHT.colorMapping[4.0]).toBe('rgb(200, 0, 0)');
+    expect(WMSStylePresets.INUNDATION.numcolorbands).toBe(220);
+    // Untouched presets keep the core values
+    expect(WMSStylePresets.PEAK_WAVE_PERIOD.numcolorbands).toBe(256);
+  });
+
+  test('should build adaptive wave configs from the Tuvalu tables', () => {
+    const viz = new WorldClassVisualization();
+
+    const height = viz.getAdaptiveWaveHeightConfig(2.5, 'tropical');
+    expect(height.numcolorbands).toBe(190);
+    expect(height.colorscalerange).toBe('0.00,4.00');
+    expect(height.colorscaling).toBeUndefined();
+
+    const period = viz.getAdaptiveWavePeriodConfig(16, 'pacificIslands');
+    expect(period.style).toBe('default-scalar/div-Spectral');
+    expect(period.colorscalerange).toBe('0.00,18.00');
+  });
+
+  test('should generate legend URLs against the configured server', () => {
+    const viz = new WorldClassVisualization();
+
+    const url = new URL(viz.getWorldClassLegendUrl('hs', '0,4', 'm'));
+    expect(url.origin).toBe('https://gem-ncwms-hpc.spc.int');
+    expect(url.searchParams.get('LAYER')).toBe('cook_forecast/hs');
+    expect(url.searchParams.get('NUMCOLORBANDS')).toBe('256');
+
+    const override = new URL(viz.getWorldClassLegendUrl('hs', '0,4', 'm', null, {
+      wmsUrl: 'https://example.org/wms',
+      layerId: 'Hs'
+    }));
+    expect(override.searchParams.get('LAYER')).toBe('Hs');
+  });
+
+  test('should pre-cache the zooms configured for Tuvalu', () => {
+    expect(getCountryConfig().offline.zooms).toEqual([7, 8]);
+  });
+});
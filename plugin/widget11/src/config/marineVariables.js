@@ -41,6 +41,7 @@ export const MARINE_VARIABLES = {
     decimalPlaces: 1,
     units: 'm',
     category: 'wave',
+    standardName: 'sea_surface_wave_significant_height', // CF standard name, used by the point forecast export
     wmoCodes: ['height_of_wind_waves', 'significant_height_of_wind_and_swell_waves']
   },
   'tm02': {
@@ -52,6 +53,7 @@ export const MARINE_VARIABLES = {
     decimalPlaces: 0,
     units: 's',
     category: 'wave',
+    standardName: 'sea_surface_wave_mean_period_from_variance_spectral_density_second_frequency_moment',
     wmoCodes: ['mean_period_of_wind_waves']
   },
   'tpeak': {
@@ -63,6 +65,7 @@ export const MARINE_VARIABLES = {
     decimalPlaces: 0,
     units: 's',
     category: 'wave',
+    standardName: 'sea_surface_wave_period_at_variance_spectral_density_maximum',
     wmoCodes: ['peak_period_of_wind_waves']
   },
   'dirm': {
@@ -74,6 +77,7 @@ export const MARINE_VARIABLES = {
     decimalPlaces: 0,
     units: '°',
     category: 'direction',
+    standardName: 'sea_surface_wave_from_direction',
     wmoCodes: ['direction_of_wind_waves']
   },
   'ws': {
@@ -85,6 +89,7 @@ export const MARINE_VARIABLES = {
     decimalPlaces: 1,
     units: 'm/s',
     category: 'wind',
+    standardName: 'wind_speed',
     wmoCodes: ['wind_speed']
   },
   'wd': {
@@ -96,6 +101,32 @@ export const MARINE_VARIABLES = {
     decimalPlaces: 0,
     units: '°',
     category: 'direction',
+    standardName: 'wind_from_direction',
+    wmoCodes: ['wind_from_direction']
+  },
+  // Tuvalu wind layers (Wind / DirWind on THREDDS)
+  'wind': {
+    key: 'wind',
+    label: 'Wind Speed',
+    description: '10-meter wind speed',
+    defaultRange: { min: 0, max: 25 },
+    colorScheme: 'jet',
+    decimalPlaces: 1,
+    units: 'm/s',
+    category: 'wind',
+    standardName: 'wind_speed',
+    wmoCodes: ['wind_speed']
+  },
+  'dirwind': {
+    key: 'dirwind',
+    label: 'Wind Direction',
+    description: 'Direction from which wind is blowing',
+    defaultRange: { min: 0, max: 360 },
+    colorScheme: 'dir',
+    decimalPlaces: 0,
+    units: '°',
+    category: 'direction',
+    standardName: 'wind_from_direction',
     wmoCodes: ['wind_from_direction']
   },
   'sst': {
@@ -107,6 +138,7 @@ export const MARINE_VARIABLES = {
     decimalPlaces: 1,
     units: '°C',
     category: 'temperature',
+    standardName: 'sea_surface_temperature',
     wmoCodes: ['sea_surface_temperature']
   },
   // Swell partition variables (added for Cook Islands - matching Niue)
@@ -119,6 +151,7 @@ export const MARINE_VARIABLES = {
     decimalPlaces: 0,
     units: '°',
     category: 'direction',
+    standardName: 'sea_surface_wave_from_direction_at_variance_spectral_density_maximum',
     wmoCodes: ['direction_of_peak_wave']
   },
   'transp_x': {
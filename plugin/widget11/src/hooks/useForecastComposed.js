@@ -1,5 +1,4 @@
-import { useWMSCapabilities } from './useWMSCapabilities';
-import { useTimeAnimation } from './useTimeAnimation';
+import { useWMSCapabilities, useTimeAnimation, useForecastPrecache } from '@ocean-plugin/forecast-core';
 import { useUIState } from './useUIState';
 import { useLayerManagement } from './useLayerManagement';
 import { useMapRendering } from './useMapRendering';
@@ -27,6 +26,9 @@ export const useForecast = (config) => {
   // 2. WMS Capabilities (time dimensions, metadata)
   const capTime = useWMSCapabilities(selectedWaveForecast, allLayers);
 
+  // Keep the latest run of the selected layer available offline
+  useForecastPrecache({ capTime, layerConfig: selectedLayerConfig, bounds });
+
   // 3. Time Animation (slider, playback controls)
   const timeAnimation = useTimeAnimation(capTime);
   const {
@@ -1,10 +1,14 @@
-import React, { useRef, useState, useEffect } from "react";
+import React, { Suspense, lazy, useRef, useState, useEffect, useMemo } from "react";
 import Offcanvas from "react-bootstrap/Offcanvas";
 import "./BottomOffCanvas.css";
 import Tabular from "./tabular.js";
-import Timeseries from "./timeseries.js";
+import { PointForecastExportControl, resolveExportLocation } from "@ocean-plugin/forecast-core";
 import TuvaluConfig from "../config/TuvaluConfig";
+import { MARINE_VARIABLES } from "../config/marineVariables";
 
+// Plotly is loaded with the Timeseries tab: in the main bundle it pushes main.js over
+// the service worker's 5 MB precache limit
+const Timeseries = lazy(() => import("./timeseries.js"));
 
 // ---- Variables & config for Tuvalu (all available variables) ----
 const variableDefs = [
@@ -15,6 +19,7 @@ const variableDefs = [
   { key: "wind", label: "Wind Speed{0-25/jet/1}" },
   { key: "dirwind", label: "Wind Direction{0/dir}" }
 ];
+const EXPORT_ORDER = variableDefs.map(({ key }) => key);
 
 const SERVER_LAYER_MAP = {
   hs: "Hs",
@@ -153,6 +158,7 @@ function BottomOffCanvas({ show, onHide, data, wmsUrl }) {
   const [fetchError, setFetchError] = useState("");
   const [isDarkMode, setIsDarkMode] = useState(false);
   const minHeight = DEFAULT_MIN_HEIGHT;
+  const exportLocation = useMemo(() => resolveExportLocation(data), [data]);
 
   // Check for dark mode
   useEffect(() => {
@@ -324,10 +330,12 @@ function BottomOffCanvas({ show, onHide, data, wmsUrl }) {
         padding: "0 1rem 0 0.5rem" 
       }}>
         {/* Custom CSS Tabs */}
-        <div style={{ display: "flex", flex: 1, paddingTop: 10 }}>
+        <div role="tablist" aria-label="View mode" style={{ display: "flex", flex: 1, paddingTop: 10 }}>
           {tabLabels.map(tab => (
             <button
               key={tab.key}
+              role="tab"
+              aria-selected={activeTab === tab.key}
               onClick={() => setActiveTab(tab.key)}
               style={{
                 border: "none",
@@ -343,6 +351,7 @@ function BottomOffCanvas({ show, onHide, data, wmsUrl }) {
               }}
 
               aria-controls={`tab-panel-${tab.key}`}
+              id={`tab-btn-${tab.key}`}
               tabIndex={activeTab === tab.key ? 0 : -1}
               type="button"
             >
@@ -367,14 +376,31 @@ function BottomOffCanvas({ show, onHide, data, wmsUrl }) {
           ×
         </button>
       </div>
-      <Offcanvas.Body style={{ paddingTop: 16 }}>
+      <Offcanvas.Body
+        style={{ paddingTop: 16 }}
+        role="tabpanel"
+        id={`tab-panel-${activeTab}`}
+        aria-labelledby={`tab-btn-${activeTab}`}
+      >
         {loading
           ? <div style={{ textAlign: "center", padding: "2rem" }}>Loading data...</div>
           : fetchError
               ? <div style={{ color: "red", textAlign: "center" }}>{fetchError}</div>
               : <>
+                  <PointForecastExportControl
+                    perVariableData={perVariableData}
+                    variables={MARINE_VARIABLES}
+                    order={EXPORT_ORDER}
+                    location={exportLocation}
+                    title="Tuvalu point forecast"
+                    source={wmsUrl || TuvaluConfig.WMS_BASE_URL}
+                  />
                   {activeTab === "tabular" && <Tabular perVariableData={perVariableData} />}
-                  {activeTab === "timeseries" && <Timeseries perVariableData={perVariableData} />}
+                  {activeTab === "timeseries" && (
+                    <Suspense fallback={<div style={{ textAlign: "center", padding: "2rem" }}>Loading chart...</div>}>
+                      <Timeseries perVariableData={perVariableData} />
+                    </Suspense>
+                  )}
                   
                 </>
         }
@@ -6,7 +6,7 @@ import BottomOffCanvas from "./BottomOffCanvas";
 import { useForecast } from "../hooks/useForecast";
 import ForecastApp from "../components/ForecastApp";
 import ModernHeader from "../components/ModernHeader";
-import WorldClassVisualization from "../utils/WorldClassVisualization";
+import { WorldClassVisualization, usePermalinkState, getFeatureInfoPoint } from '@ocean-plugin/forecast-core';
 import LegendCleanup from "../components/LegendCleanup";
 import TuvaluConfig from "../config/TuvaluConfig";
 import IslandSelector from "../components/IslandSelector";
@@ -327,6 +327,7 @@ function TuvaluForecast() {
     isPlaying, setIsPlaying,
     wmsOpacity, setWmsOpacity,
     dynamicLayers,
+    updateDynamicLayer,
     isUpdatingVisualization,
     mapRef,
     totalSteps,
@@ -666,6 +667,24 @@ function TuvaluForecast() {
     }
   }, [currentZoom, mapInstance, selectedIsland, minZoomForIslandScale, autoDetectedIsland, persistIslandSelection]);
 
+  // Shared links restore the whole view; the URL follows the view afterwards
+  const permalink = usePermalinkState({
+    mapInstance,
+    layers: dynamicLayers,
+    allLayers: ALL_LAYERS,
+    updateLayer: updateDynamicLayer,
+    selectedLayer: selectedWaveForecast,
+    setSelectedLayer: setSelectedWaveForecast,
+    activeLayers,
+    setActiveLayers,
+    capTime,
+    currentSliderDate,
+    setSliderIndex,
+    opacity: wmsOpacity,
+    setOpacity: setWmsOpacity,
+    point: showBottomCanvas ? getFeatureInfoPoint(bottomCanvasData) : null,
+  });
+
   return (
     <div style={widgetContainerStyle}>
       <ModernHeader />
@@ -851,6 +870,7 @@ function TuvaluForecast() {
         setShowBottomCanvas={setShowBottomCanvas}
         isUpdatingVisualization={isUpdatingVisualization}
         minIndex={minIndex}
+        permalink={permalink}
         islandSelector={(
           <IslandSelector 
             onIslandChange={handleIslandChange}
@@ -1,6 +1,6 @@
 import L from "leaflet";
 import logger from "../utils/logger";
-import WMSTileLoadingService from '../services/WMSTileLoadingService.js';
+import { wmsTileLoadingService as WMSTileLoadingService } from '@ocean-plugin/forecast-core';
 import createCORSWMSLayer from '../utils/CORSWMSLayer.js';
 
 /**
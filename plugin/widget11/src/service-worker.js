@@ -0,0 +1,8 @@
+/* eslint-disable no-restricted-globals */
+// Offline forecast cache. CRA compiles this file into build/service-worker.js
+// and injects the build asset list as self.__WB_MANIFEST.
+import { installForecastServiceWorker } from '@ocean-plugin/forecast-core/src/offline/forecastServiceWorker';
+
+installForecastServiceWorker(self, {
+  precacheManifest: self.__WB_MANIFEST
+});
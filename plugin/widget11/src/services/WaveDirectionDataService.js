@@ -1,12 +1,13 @@
 /**
  * 🌊 Wave Direction Data Service
- * Fetches wave direction and magnitude data from THREDDS WMS server
+ * Fetches wave direction data through the country's data source (THREDDS WMS by default)
  * Converts it to a vector field for particle visualization
  * 
  * @author Ocean Visualization Team
  * @version 1.0.0
  */
 
+import { getDataSource } from '@ocean-plugin/forecast-core';
 import logger from '../utils/logger';
 
 class WaveDirectionDataService {
@@ -47,7 +48,7 @@ class WaveDirectionDataService {
     }
     
     // Create new request
-    const requestPromise = this._fetchFromWMS(params);
+    const requestPromise = this._fetchFromDataSource(params);
     this.pendingRequests.set(cacheKey, requestPromise);
     
     try {
@@ -69,13 +70,13 @@ class WaveDirectionDataService {
   }
 
   /**
-   * Fetch data from THREDDS WMS using GetFeatureInfo
+   * Sample the direction field through the country's data source (THREDDS ncWMS by default)
    * @private
    */
-  async _fetchFromWMS(params) {
+  async _fetchFromDataSource(params) {
     const { wmsUrl, layerName, bounds, width, height, time } = params;
     
-    logger.info('WAVE_DATA', 'Fetching wave direction field from THREDDS', {
+    logger.info('WAVE_DATA', 'Fetching wave direction field from data source', {
       wmsUrl,
       layer: layerName,
       bounds,
@@ -107,7 +108,7 @@ class WaveDirectionDataService {
           const lon = bounds.west + j * lonStep;
           
           promises.push(
-            this._getPointData(wmsUrl, layerName, lon, lat, time, bounds, width, height)
+            this._getPointData(wmsUrl, layerName, lon, lat, time)
               .then(direction => {
                 const idx = i * gridResolution + j;
                 if (direction !== null && !isNaN(direction)) {
@@ -160,56 +161,12 @@ class WaveDirectionDataService {
   }
 
   /**
-   * Get wave direction at a specific point using GetFeatureInfo
+   * Get wave direction at a specific point from the data source
    * @private
    */
-  async _getPointData(wmsUrl, layerName, lon, lat, time, bounds, width, height) {
+  async _getPointData(wmsUrl, layerName, lon, lat, time) {
     try {
-      // Convert lat/lon to pixel coordinates
-      const x = Math.floor((lon - bounds.west) / (bounds.east - bounds.west) * width);
-      const y = Math.floor((bounds.north - lat) / (bounds.north - bounds.south) * height);
-
-      // Build GetFeatureInfo request
-      const params = new URLSearchParams({
-        SERVICE: 'WMS',
-        VERSION: '1.3.0',
-        REQUEST: 'GetFeatureInfo',
-        LAYERS: layerName,
-        QUERY_LAYERS: layerName,
-        INFO_FORMAT: 'text/xml',
-        CRS: 'EPSG:4326',
-        BBOX: `${bounds.south},${bounds.west},${bounds.north},${bounds.east}`,
-        WIDTH: width,
-        HEIGHT: height,
-        I: x,
-        J: y
-      });
-
-      if (time) {
-        params.set('TIME', time);
-      }
-
-      const url = `${wmsUrl}?${params.toString()}`;
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        return null;
-      }
-
-      const text = await response.text();
-      
-      // Parse XML response to extract value
-      const parser = new DOMParser();
-      const xml = parser.parseFromString(text, 'text/xml');
-      const valueElement = xml.querySelector('value');
-      
-      if (valueElement && valueElement.textContent) {
-        const value = parseFloat(valueElement.textContent);
-        return isNaN(value) ? null : value;
-      }
-
-      return null;
-      
+      return await getDataSource(wmsUrl).getPointValue({ layer: layerName, lat, lon, time });
     } catch (error) {
       return null;
     }
@@ -5,7 +5,8 @@ module.exports = function(app) {
   app.use(
     '/api/thredds',
     createProxyMiddleware({
-      target: 'https://gemthreddshpc.spc.int',
+      // REACT_APP_THREDDS_PROXY_TARGET points dev builds at another server (e.g. the forecast-e2e mock)
+      target: process.env.REACT_APP_THREDDS_PROXY_TARGET || 'https://gemthreddshpc.spc.int',
       changeOrigin: true,
       secure: true,
       pathRewrite: {
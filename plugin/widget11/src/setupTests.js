@@ -3,6 +3,7 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import './config/forecastCore';
 import 'bootstrap/dist/css/bootstrap.min.css';
 
 // Suppress specific React warnings in tests
@@ -0,0 +1,192 @@
+// OceanExpert cache for the expert map (widget2).
+//
+// The OceanExpert advanced search is slow and paged, so instead of every browser paging through it this
+// service refreshes the expert list for the configured Pacific countries (countries.json) on a schedule,
+// keeps the latest snapshot on disk and serves it:
+//   GET /experts            { experts: [...], meta: { fetchedAt, count, countries, stale } }
+//   GET /changes[?limit=10] { changes: [{ at, previousFetchedAt, total, added, removed, changed }] }, newest first
+// Each refresh is diffed against the previous snapshot by id_ind (added, removed and changed experts with
+// the changed fields); refreshes that changed something are kept in the change log. A refresh that fails
+// part-way, or returns far fewer experts than the last one, is discarded and the previous snapshot kept.
+// The widget falls back to its bundled public/expert.json when this service is unavailable.
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 8015;
+const UPSTREAM = (process.env.OCEANEXPERT_API_URL || 'https://oceanexpert.org/api/v1').replace(/\/$/, '');
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const COUNTRIES_FILE = process.env.COUNTRIES_FILE || path.join(__dirname, 'countries.json');
+const REFRESH_MS = (Number(process.env.REFRESH_HOURS) || 24) * 3600000;
+const RETRY_MS = 30 * 60000;
+const UPSTREAM_TIMEOUT_MS = 60000;
+const PAGE_LIMIT = 500;
+const MAX_PAGES = 50;
+// A refresh returning less than this share of the previous snapshot is treated as an upstream problem
+const MIN_KEEP_RATIO = 0.5;
+const MAX_CHANGES = 50;
+
+const SNAPSHOT_FILE = path.join(DATA_DIR, 'snapshot.json');
+const CHANGES_FILE = path.join(DATA_DIR, 'changes.json');
+
+const log = (...args) => console.log(new Date().toISOString(), ...args);
+
+const COUNTRIES = JSON.parse(fs.readFileSync(COUNTRIES_FILE, 'utf8'));
+
+let snapshot = null; // { fetchedAt, countries, experts }
+let changes = [];
+let refreshing = null;
+let lastError = null;
+
+const readJson = (file, fallback) => {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') log(`[store] ${path.basename(file)}: ${err.message}`);
+        return fallback;
+    }
+};
+
+// Write then rename, so a crash mid-write never leaves a truncated snapshot
+const writeJson = (file, value) => {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(value));
+    fs.renameSync(tmp, file);
+};
+
+// Advanced search for experts in any of the configured countries (Country is A OR Country is B ...)
+const searchUrl = (page) => {
+    const parts = COUNTRIES.map((c, i) => {
+        const p = `type[]=experts&filter[]=Country+is&keywords[]=${encodeURIComponent(c.id)}`;
+        return i ? `toggle[]=OR&${p}` : p;
+    });
+    return `${UPSTREAM}/advancedSearch/search.json?${parts.join('&')}&action=advSearch&limit=${PAGE_LIMIT}&page=${page}`;
+};
+
+const fetchPage = async (page) => {
+    const res = await fetch(searchUrl(page), { headers: { Accept: 'application/json' }, signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS) });
+    if (!res.ok) throw new Error(`upstream ${res.status} on page ${page}`);
+    const body = await res.json();
+    if (!Array.isArray(body?.results?.data)) throw new Error(`unexpected response on page ${page}`);
+    return { rows: body.results.data, pageCount: Number(body.results.meta?.pageCount) || 1 };
+};
+
+// All pages, one at a time to go easy on the API; experts outside the configured countries and
+// duplicates (by id_ind) are dropped
+const fetchExperts = async () => {
+    const names = new Set(COUNTRIES.map(c => c.name.toLowerCase()));
+    const byId = new Map();
+    let pageCount = 1;
+    for (let page = 1; page <= Math.min(pageCount, MAX_PAGES); page++) {
+        const result = await fetchPage(page);
+        pageCount = result.pageCount;
+        for (const expert of result.rows) {
+            if (!expert?.id_ind || !names.has(String(expert.country || '').toLowerCase())) continue;
+            byId.set(String(expert.id_ind), expert);
+        }
+    }
+    return [...byId.values()].sort((a, b) =>
+        String(a.country).localeCompare(String(b.country)) || String(a.sname).trim().localeCompare(String(b.sname).trim()));
+};
+
+const summary = e => ({ id_ind: String(e.id_ind), name: String(e.name || `${e.fname || ''} ${e.sname || ''}`).replace(/\s+/g, ' ').trim(), country: e.country, inst_name: e.inst_name || '' });
+
+// Added, removed and changed experts between two snapshots' expert lists
+const diffExperts = (before, after) => {
+    const old = new Map(before.map(e => [String(e.id_ind), e]));
+    const now = new Map(after.map(e => [String(e.id_ind), e]));
+    const added = after.filter(e => !old.has(String(e.id_ind))).map(summary);
+    const removed = before.filter(e => !now.has(String(e.id_ind))).map(summary);
+    const changed = [];
+    for (const [id, e] of now) {
+        const prev = old.get(id);
+        if (!prev) continue;
+        const fields = [...new Set([...Object.keys(prev), ...Object.keys(e)])]
+            .filter(k => JSON.stringify(prev[k] ?? null) !== JSON.stringify(e[k] ?? null));
+        if (fields.length) changed.push({ ...summary(e), fields });
+    }
+    return { added, removed, changed };
+};
+
+const refresh = () => {
+    if (refreshing) return refreshing;
+    refreshing = (async () => {
+        const started = Date.now();
+        const experts = await fetchExperts();
+        const previous = snapshot?.experts || [];
+        if (!experts.length || experts.length < previous.length * MIN_KEEP_RATIO) {
+            throw new Error(`refresh returned ${experts.length} experts (previously ${previous.length}); keeping the previous snapshot`);
+        }
+        const next = { fetchedAt: new Date().toISOString(), countries: COUNTRIES.map(c => c.name), experts };
+        if (snapshot) {
+            const diff = diffExperts(previous, experts);
+            // Only refreshes that changed something go in the log
+            if (diff.added.length || diff.removed.length || diff.changed.length) {
+                changes = [{ at: next.fetchedAt, previousFetchedAt: snapshot.fetchedAt, total: experts.length, ...diff }, ...changes].slice(0, MAX_CHANGES);
+                writeJson(CHANGES_FILE, changes);
+            }
+            log(`[refresh] ${experts.length} experts: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`);
+        } else {
+            log(`[refresh] initial snapshot of ${experts.length} experts`);
+        }
+        writeJson(SNAPSHOT_FILE, next);
+        snapshot = next;
+        lastError = null;
+        log(`[refresh] done in ${Math.round((Date.now() - started) / 1000)} s`);
+    })()
+        .catch(err => {
+            lastError = { at: new Date().toISOString(), message: err.message };
+            log(`[refresh] failed: ${err.message}`);
+            throw err;
+        })
+        .finally(() => { refreshing = null; });
+    return refreshing;
+};
+
+// Next refresh REFRESH_MS after the snapshot (sooner after a failure); a missing or overdue snapshot refreshes now
+const schedule = () => {
+    const age = snapshot ? Date.now() - Date.parse(snapshot.fetchedAt) : Infinity;
+    const due = lastError ? RETRY_MS : Math.max(0, REFRESH_MS - age);
+    setTimeout(() => refresh().catch(() => {}).finally(schedule), due);
+};
+
+const sendJson = (res, status, payload, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*', ...headers });
+    res.end(JSON.stringify(payload));
+};
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://experts');
+    if (req.method === 'GET' && url.pathname === '/experts') {
+        if (!snapshot) return sendJson(res, 503, { detail: 'Expert list not fetched yet' }, { 'Retry-After': '300' });
+        const age = Date.now() - Date.parse(snapshot.fetchedAt);
+        return sendJson(res, 200, {
+            experts: snapshot.experts,
+            meta: { fetchedAt: snapshot.fetchedAt, count: snapshot.experts.length, countries: snapshot.countries, stale: age > 2 * REFRESH_MS }
+        }, { 'Cache-Control': 'public, max-age=300' });
+    }
+    if (req.method === 'GET' && url.pathname === '/changes') {
+        const limit = Math.min(MAX_CHANGES, Math.max(1, Number(url.searchParams.get('limit')) || 10));
+        return sendJson(res, 200, { changes: changes.slice(0, limit) });
+    }
+    if (req.method === 'GET' && url.pathname === '/health') {
+        return sendJson(res, 200, {
+            status: snapshot ? 'ok' : 'empty',
+            fetchedAt: snapshot?.fetchedAt || null,
+            experts: snapshot?.experts.length || 0,
+            refreshing: Boolean(refreshing),
+            lastError
+        });
+    }
+    sendJson(res, 404, { detail: 'Not found' });
+});
+
+snapshot = readJson(SNAPSHOT_FILE, null);
+changes = readJson(CHANGES_FILE, []);
+server.listen(PORT, () => {
+    log(`OceanExpert cache on :${PORT}, ${COUNTRIES.length} countries, refresh every ${REFRESH_MS / 3600000} h` +
+        (snapshot ? `, snapshot from ${snapshot.fetchedAt} (${snapshot.experts.length} experts)` : ', no snapshot yet'));
+    schedule();
+});
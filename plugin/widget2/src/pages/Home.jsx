@@ -19,7 +19,11 @@ L.Icon.Default.mergeOptions({
   shadowUrl,
 });
 
-// Country configuration with IDs, colors, and coordinates
+// Expert list from the OceanExpert cache service (experts/server.js, at /widget2-experts/ behind nginx),
+// which refreshes it on a schedule; the bundled expert.json is only the offline fallback
+const EXPERTS_URL = (process.env.REACT_APP_EXPERTS_URL || '/widget2-experts').replace(/\/$/, '');
+
+// Country configuration with IDs, colors, and coordinates (the service fetches the same countries, experts/countries.json)
 const countryConfigs = [
   { name: 'Fiji', id: 72, color: '#27ae60', center: [-18.1236, 178.4369] },
   { name: 'Tuvalu', id: 218, color: '#3498db', center: [-8.521176, 179.196192] },
@@ -53,6 +57,8 @@ export default function Home() {
   const containerRef = useRef(null);
   const [isMobile, setIsMobile] = useState(false);
   const [mapInitialized, setMapInitialized] = useState(false);
+  // Where the list came from: { fetchedAt } from the service, or { fallback: true } for the bundled file
+  const [dataSource, setDataSource] = useState(null);
 
   const normalizeLongitude = (lon) => {
     while (lon > 180) lon -= 360;
@@ -73,100 +79,28 @@ export default function Home() {
     };
   }, []);
 
-  /*
-  const buildApiUrl = () => {
-    let url = 'https://oceanexpert.org/api/v1/advancedSearch/search.json?';
-    url += `type[]=experts&filter[]=Country+is&keywords[]=${countryConfigs[0].id}`;
-    for (let i = 1; i < countryConfigs.length; i++) {
-      url += `&toggle[]=OR&type[]=experts&filter[]=Country+is&keywords[]=${countryConfigs[i].id}`;
-    }
-    url += '&action=advSearch&limit=1000&page=1';
-    return url;
-  };
-  */
-
-  /*
   const fetchExperts = useCallback(async () => {
+    setLoading(true);
     try {
-      setLoading(true);
-      
-      // Get country names from config for filtering
-      const configCountryNames = countryConfigs.map(c => c.name.toLowerCase());
-      let allFilteredExperts = [];
-      
-      // First request to get total page count
-      const firstResponse = await fetch(buildApiUrl());
-      const firstData = await firstResponse.json();
-      const totalPages = firstData.results?.meta?.pageCount || 1;
-      
-      // console.log(`Found ${totalPages} pages of data to process...`);
-      
-      // Process first page
-      if (firstData.results?.data) {
-        const filteredExperts = firstData.results.data.filter(expert => {
-          const expertCountry = (expert.country || '').toLowerCase();
-          return configCountryNames.includes(expertCountry);
-        });
-        allFilteredExperts = allFilteredExperts.concat(filteredExperts);
-        // Log cumulative experts after page 1 in final JSON shape
-        const processedAfterPage1 = allFilteredExperts.map(processExpertCoordinates);
-        console.log('Cumulative experts after page 1 (JSON):', JSON.stringify(processedAfterPage1, null, 2));
-      }
-      
-      //  more than 1 page
-      if (totalPages > 1) {
-        const pagePromises = [];
-        for (let page = 2; page <= totalPages; page++) {
-          const pageUrl = `${buildApiUrl()}&page=${page}`;
-          pagePromises.push(fetch(pageUrl).then(res => res.json()));
-        }
-        
-        const pageResults = await Promise.all(pagePromises);
-        
-        // Process each page and filter by country
-        pageResults.forEach((pageData, idx) => {
-          if (pageData.results?.data) {
-            const filteredExperts = pageData.results.data.filter(expert => {
-              const expertCountry = (expert.country || '').toLowerCase();
-              return configCountryNames.includes(expertCountry);
-            });
-            allFilteredExperts = allFilteredExperts.concat(filteredExperts);
-            // Log cumulative experts after this page in final JSON shape
-            const currentPageNumber = 2 + idx;
-            const processedAfterPage = allFilteredExperts.map(processExpertCoordinates);
-            console.log(`Cumulative experts after page ${currentPageNumber} (JSON):`, JSON.stringify(processedAfterPage, null, 2));
-          }
-        });
-      }
-      
-      console.log(`Found ${allFilteredExperts.length} experts from configured countries`);
-      
-      // Process all filtered experts through coordinate processing
-      const processedExperts = allFilteredExperts.map(processExpertCoordinates);
-      console.log('Final experts list (JSON):', JSON.stringify(processedExperts, null, 2));
-      setExpertsData(processedExperts);
-      setLoading(false);
+      const response = await fetch(`${EXPERTS_URL}/experts`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const { experts, meta } = await response.json();
+      if (!Array.isArray(experts)) throw new Error('Unexpected response');
+      setExpertsData(experts.map(processExpertCoordinates));
+      setDataSource({ fetchedAt: meta?.fetchedAt || null, fallback: false });
     } catch (err) {
-      console.error('Error fetching experts:', err);
-      setError(err.message);
-      setLoading(false);
-    }
-  }, [processExpertCoordinates]);
-  */
-
-  const fetchExpertsFromFile = useCallback(async () => {
-    try {
-      setLoading(true);
-      const response = await fetch(`${process.env.PUBLIC_URL || ''}/expert.json`);
-      const data = await response.json();
-      // data is expected to be an array of experts
-      const processedExperts = Array.isArray(data) ? data.map(processExpertCoordinates) : [];
-      console.log('Loaded experts from file (JSON):', JSON.stringify(processedExperts, null, 2));
-      setExpertsData(processedExperts);
-      setLoading(false);
-    } catch (err) {
-      console.error('Error loading experts from file:', err);
-      setError(err.message);
+      console.warn('Expert service unavailable, using the offline copy:', err.message);
+      try {
+        const response = await fetch(`${process.env.PUBLIC_URL || ''}/expert.json`);
+        const data = await response.json();
+        // data is expected to be an array of experts
+        setExpertsData(Array.isArray(data) ? data.map(processExpertCoordinates) : []);
+        setDataSource({ fetchedAt: null, fallback: true });
+      } catch (fileErr) {
+        console.error('Error loading experts from file:', fileErr);
+        setError(fileErr.message);
+      }
+    } finally {
       setLoading(false);
     }
   }, [processExpertCoordinates]);
@@ -311,8 +245,7 @@ export default function Home() {
     }
   }, [basemapOption]);
 
-  // useEffect(() => { fetchExperts(); }, [fetchExperts]);
-  useEffect(() => { fetchExpertsFromFile(); }, [fetchExpertsFromFile]);
+  useEffect(() => { fetchExperts(); }, [fetchExperts]);
   useEffect(() => { populateMarkers(); }, [populateMarkers]);
 
   const handleExpertHover = (expert, isHovering) => {
@@ -339,6 +272,10 @@ export default function Home() {
     return searchStr.includes(filterText.toLowerCase());
   });
 
+  const sourceNote = dataSource?.fallback
+    ? ' (offline copy, may be out of date)'
+    : dataSource?.fetchedAt ? `, updated ${new Date(dataSource.fetchedAt).toLocaleDateString()}` : '';
+
   useEffect(() => { const onResize = () => setIsMobile(window.innerWidth <= 1004); onResize(); window.addEventListener('resize', onResize); return () => window.removeEventListener('resize', onResize); }, []);
 
   return (
@@ -386,7 +323,7 @@ export default function Home() {
                 ) : (
                   <div className="empty-state">
                     Click on a cluster to view experts
-                    <div className="source-link-container">Source: <a href="https://oceanexpert.org/" target="_blank" rel="noopener noreferrer" className="source-link">oceanexpert.org</a></div>
+                    <div className="source-link-container">Source: <a href="https://oceanexpert.org/" target="_blank" rel="noopener noreferrer" className="source-link">oceanexpert.org</a>{sourceNote}</div>
                     <div className="disclaimer-container"><h5>Disclaimer</h5><p>Data and information provided on this site are provided "as is" ... The User specifically acknowledges and agrees that the use of this site is at the User's sole risk.</p></div>
                   </div>
                 )}
@@ -428,7 +365,7 @@ export default function Home() {
                 ) : (
                   <div className="empty-state">
                     Click on a cluster to view experts
-                    <div className="source-link-container">Source: <a href="https://oceanexpert.org/" target="_blank" rel="noopener noreferrer" className="source-link">oceanexpert.org</a></div>
+                    <div className="source-link-container">Source: <a href="https://oceanexpert.org/" target="_blank" rel="noopener noreferrer" className="source-link">oceanexpert.org</a>{sourceNote}</div>
                     <div className="disclaimer-container"><h5>Disclaimer</h5><p>Data and information provided on this site are provided "as is" ... The User specifically acknowledges and agrees that the use of this site is at the User's sole risk.</p></div>
                   </div>
                 )}
@@ -0,0 +1,185 @@
+// Live update relay for the realtime dashboard (widget3).
+//
+// Browsers open one Server-Sent Events stream for the stations they show:
+//   GET /stream?stations=ID1,ID2[&since=<epoch ms>]
+// The relay polls the obs API once per followed station, however many viewers there are, and pushes only
+// rows newer than the last one it has seen:
+//   event: ready         data: { stations, pollMs }
+//   event: observations  data: { station, data_labels, data: [rows] }
+// Recent rows are buffered so a client (re)connecting with `since` catches up without a full re-fetch: it gets
+// every row newer than `since`, from the buffer or, while the station's first poll is still running, from that poll.
+// A station is dropped as soon as its last subscriber disconnects.
+
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 8013;
+const UPSTREAM = (process.env.UPSTREAM_URL || 'https://ocean-obs-api.spc.int/insitu').replace(/\/$/, '');
+const POLL_MS = Number(process.env.POLL_MS) || 60000;
+const BUFFER_HOURS = Number(process.env.BUFFER_HOURS) || 6;
+const HEARTBEAT_MS = 25000;
+const UPSTREAM_TIMEOUT_MS = 30000;
+// Same cap as the dashboard's station selection
+const MAX_STATIONS = 8;
+const STATION_ID_RE = /^[\w.-]{1,64}$/;
+
+// Rows per upstream request: enough for a poll interval of 15 s samples (DART event mode) with headroom
+const POLL_LIMIT = Math.max(50, Math.ceil(POLL_MS / 15000) * 2);
+const BUFFER_LIMIT = 5000;
+
+const log = (...args) => console.log(new Date().toISOString(), ...args);
+
+// Mirrors the dashboard's time column resolution (utils/insituSeries.js)
+const resolveTimeKey = (dataLabels, firstRow) => {
+    const labels = String(dataLabels || '').split(',').map(s => s.trim()).filter(Boolean);
+    const keys = firstRow && typeof firstRow === 'object' ? Object.keys(firstRow) : [];
+    const candidates = [...labels, ...keys];
+    return (
+        candidates.find(k => k.toLowerCase() === 'time') ||
+        candidates.find(k => k.toLowerCase().includes('time')) ||
+        candidates.find(k => k.toLowerCase().includes('date')) ||
+        'time'
+    );
+};
+
+const parseTime = (value) => {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string') return NaN;
+    const t = Date.parse(value);
+    if (!isNaN(t)) return t;
+    // "YYYY-MM-DD HH:MM[:SS]" without an offset is UTC
+    const m = value.trim().match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}(?::\d{2})?)/);
+    return m ? Date.parse(`${m[1]}T${m[2]}Z`) : NaN;
+};
+
+// station id -> { subscribers: Map<res, ms of the newest row sent>, lastMs, dataLabels, buffer: [{ t, row }], timer, polling }
+const stations = new Map();
+
+const send = (res, event, payload) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+};
+
+// Push the rows ({ t, row }, oldest first) a subscriber hasn't had yet. Clients that connected without `since`
+// get nothing from the seed poll, whose rows predate them, only rows polled after it.
+const deliverTo = (res, id, entry, rows, seeding) => {
+    const sentMs = entry.subscribers.get(res);
+    const fromMs = Number.isFinite(sentMs) ? sentMs : seeding ? Infinity : -Infinity;
+    const data = rows.filter(r => r.t > fromMs).map(r => r.row);
+    if (data.length) send(res, 'observations', { station: id, data_labels: entry.dataLabels, data });
+    const newestMs = Math.max(Number.isFinite(sentMs) ? sentMs : -Infinity, entry.lastMs);
+    if (Number.isFinite(newestMs)) entry.subscribers.set(res, newestMs);
+};
+
+const fetchRows = async (id, sinceMs) => {
+    const params = new URLSearchParams({ limit: String(POLL_LIMIT) });
+    if (Number.isFinite(sinceMs)) params.set('start', new Date(sinceMs + 1).toISOString());
+    const res = await fetch(`${UPSTREAM}/get_data/station/${encodeURIComponent(id)}?${params}`, {
+        headers: { Accept: 'application/json' },
+        signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS)
+    });
+    if (!res.ok) throw new Error(`upstream ${res.status}`);
+    const body = await res.json();
+    if (Array.isArray(body)) return { rows: body, dataLabels: '' };
+    return { rows: Array.isArray(body?.data) ? body.data : [], dataLabels: body?.data_labels || '' };
+};
+
+const poll = async (id) => {
+    const entry = stations.get(id);
+    if (!entry || entry.polling) return;
+    entry.polling = true;
+    try {
+        // First poll seeds the buffer; later polls ask for rows after the newest one seen
+        const since = Number.isFinite(entry.lastMs) ? entry.lastMs : Date.now() - BUFFER_HOURS * 3600000;
+        const { rows, dataLabels } = await fetchRows(id, since);
+        if (dataLabels) entry.dataLabels = dataLabels;
+        if (!rows.length) return;
+
+        const timeKey = resolveTimeKey(entry.dataLabels, rows[0]);
+        // The API may ignore `start`, so filter here as well
+        const fresh = rows
+            .map(row => ({ t: parseTime(row?.[timeKey]), row }))
+            .filter(r => !isNaN(r.t) && r.t > since)
+            .sort((a, b) => a.t - b.t);
+        if (!fresh.length) return;
+
+        const seeding = !Number.isFinite(entry.lastMs);
+        entry.lastMs = fresh[fresh.length - 1].t;
+        const cutoff = entry.lastMs - BUFFER_HOURS * 3600000;
+        entry.buffer = entry.buffer.concat(fresh).filter(r => r.t >= cutoff).slice(-BUFFER_LIMIT);
+        for (const res of entry.subscribers.keys()) deliverTo(res, id, entry, fresh, seeding);
+    } catch (err) {
+        log(`[poll] ${id}: ${err.message}`);
+    } finally {
+        entry.polling = false;
+    }
+};
+
+// sinceMs: the client's newest observation (NaN if it has none). A new station's seed poll delivers the rows
+// after it; otherwise the buffer is replayed now and later polls carry on from the buffer's end.
+const follow = (id, res, sinceMs) => {
+    let entry = stations.get(id);
+    if (!entry) {
+        entry = { subscribers: new Map(), lastMs: NaN, dataLabels: '', buffer: [], timer: null, polling: false };
+        stations.set(id, entry);
+        entry.subscribers.set(res, sinceMs);
+        poll(id);
+        entry.timer = setInterval(() => poll(id), POLL_MS);
+        return;
+    }
+    entry.subscribers.set(res, sinceMs);
+    deliverTo(res, id, entry, Number.isFinite(sinceMs) ? entry.buffer : [], false);
+};
+
+const unfollow = (id, res) => {
+    const entry = stations.get(id);
+    if (!entry) return;
+    entry.subscribers.delete(res);
+    if (!entry.subscribers.size) {
+        clearInterval(entry.timer);
+        stations.delete(id);
+    }
+};
+
+const handleStream = (req, res, url) => {
+    const ids = [...new Set(String(url.searchParams.get('stations') || '').split(',').map(s => s.trim()).filter(Boolean))];
+    if (!ids.length || ids.length > MAX_STATIONS || !ids.every(id => STATION_ID_RE.test(id))) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ detail: `stations must list 1-${MAX_STATIONS} station ids` }));
+        return;
+    }
+    const since = Number(url.searchParams.get('since'));
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Disable proxy buffering so events reach the browser immediately
+        'X-Accel-Buffering': 'no',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.write(`retry: 10000\n\n`);
+
+    send(res, 'ready', { stations: ids, pollMs: POLL_MS });
+    for (const id of ids) follow(id, res, since > 0 ? since : NaN);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        for (const id of ids) unfollow(id, res);
+    });
+};
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://relay');
+    if (req.method === 'GET' && url.pathname === '/stream') return handleStream(req, res, url);
+    if (req.method === 'GET' && url.pathname === '/health') {
+        let clients = 0;
+        for (const entry of stations.values()) clients += entry.subscribers.size;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ status: 'ok', stations: stations.size, subscriptions: clients, pollMs: POLL_MS }));
+        return;
+    }
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ detail: 'Not found' }));
+});
+
+server.listen(PORT, () => log(`widget3 live relay on :${PORT}, upstream ${UPSTREAM}, poll every ${POLL_MS} ms`));
@@ -3,6 +3,8 @@ import React, { useState, useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import Header from './components/header';
 import Home from './pages/Home';
+import StationHealthBoard from './components/StationHealthBoard';
+import StationDetailPage from './components/StationDetailPage';
 
 import './App.css';
 
@@ -55,6 +57,8 @@ function App() {
         />
         <Routes>
           <Route path="/" element={<Home />} />
+          <Route path="/health" element={<StationHealthBoard />} />
+          <Route path="/station/:stationId" element={<StationDetailPage />} />
         
           {/* Redirect any unknown routes to home */}
           <Route path="*" element={<Navigate to="/" replace />} />
@@ -0,0 +1,166 @@
+import React, { useMemo } from 'react';
+import { Line } from 'react-chartjs-2';
+import { detide, findEventModeSegments, findArrival, findWaterColumnSeries, formatDuration } from '../utils/dart';
+import { isFlagged } from '../utils/qc';
+import { MIN_TIDE_HOURS } from '../utils/tides';
+import { readChartTheme, timeScale, htmlLegendLabels, formatUtc } from '../utils/chartTheme';
+
+const ANOMALY_COLOR = '#ef4444';
+
+// Shades event-mode sampling periods and draws the earthquake origin time behind the series
+const dartMarkersPlugin = {
+    id: 'dartMarkers',
+    beforeDatasetsDraw(chart, args, options) {
+        const { ctx, chartArea, scales: { x } } = chart;
+        if (!x || !chartArea) return;
+        ctx.save();
+        ctx.fillStyle = options.bandColor;
+        for (const seg of options.segments || []) {
+            const x0 = Math.max(chartArea.left, x.getPixelForValue(seg.start));
+            const x1 = Math.min(chartArea.right, x.getPixelForValue(seg.end));
+            if (x1 >= x0) ctx.fillRect(x0, chartArea.top, Math.max(2, x1 - x0), chartArea.bottom - chartArea.top);
+        }
+        if (options.origin != null) {
+            const px = x.getPixelForValue(options.origin);
+            if (px >= chartArea.left && px <= chartArea.right) {
+                ctx.strokeStyle = options.originColor;
+                ctx.lineWidth = 1.5;
+                ctx.setLineDash([6, 4]);
+                ctx.beginPath();
+                ctx.moveTo(px, chartArea.top);
+                ctx.lineTo(px, chartArea.bottom);
+                ctx.stroke();
+            }
+        }
+        ctx.restore();
+    }
+};
+
+// De-tided water column height for a DART station: anomalies beyond the threshold, event-mode sampling
+// and, when an earthquake origin time is given, the first arrival and peak after it.
+export default function DartEventChart({ id, data, themeKey, threshold, originTime, fontSize = 10 }) {
+    const analysis = useMemo(() => {
+        const series = findWaterColumnSeries(data.datasets);
+        const times = data.labels.map(t => (t instanceof Date ? t : new Date(t)).getTime());
+        const values = series.values.map((v, i) => (isFlagged(series.flags?.[i]) || v == null || v === '' ? null : Number(v)));
+        return { series, times, values, ...detide(times, values), segments: findEventModeSegments(times) };
+    }, [data]);
+
+    const originMs = originTime && !isNaN(originTime) ? originTime.getTime() : null;
+    const arrival = useMemo(
+        () => (originMs == null ? null : findArrival(analysis.times, analysis.residual, originMs, threshold)),
+        [analysis, originMs, threshold]
+    );
+
+    const { chartBg, gridColor, textColor } = readChartTheme();
+    const { times, residual, segments } = analysis;
+    const toCm = v => (v == null ? null : v * 100);
+    const thresholdCm = threshold * 100;
+    const first = times[0];
+    const last = times[times.length - 1];
+
+    const chartData = {
+        datasets: [
+            {
+                label: 'Anomaly (cm)',
+                data: times.map((t, i) => ({ x: t, y: toCm(residual[i]) })),
+                borderColor: '#3399FF',
+                backgroundColor: '#3399FF',
+                borderWidth: 1.5,
+                pointRadius: ctx => (Math.abs(residual[ctx.dataIndex] ?? 0) > threshold ? 3 : 0),
+                pointBackgroundColor: ANOMALY_COLOR,
+                pointBorderColor: ANOMALY_COLOR,
+                yAxisID: 'y'
+            },
+            {
+                label: `Threshold ±${thresholdCm.toFixed(1)} cm`,
+                data: [{ x: first, y: thresholdCm }, { x: last, y: thresholdCm }],
+                borderColor: ANOMALY_COLOR,
+                backgroundColor: 'transparent',
+                borderWidth: 1,
+                borderDash: [4, 4],
+                pointRadius: 0,
+                yAxisID: 'y'
+            },
+            {
+                label: '',
+                data: [{ x: first, y: -thresholdCm }, { x: last, y: -thresholdCm }],
+                borderColor: ANOMALY_COLOR,
+                backgroundColor: 'transparent',
+                borderWidth: 1,
+                borderDash: [4, 4],
+                pointRadius: 0,
+                yAxisID: 'y'
+            },
+            {
+                label: 'Water column height (m)',
+                data: times.map((t, i) => ({ x: t, y: analysis.values[i] })),
+                borderColor: '#94a3b8',
+                backgroundColor: 'transparent',
+                borderWidth: 1,
+                borderDash: [2, 3],
+                pointRadius: 0,
+                yAxisID: 'y1'
+            }
+        ]
+    };
+
+    const options = {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'nearest', intersect: false },
+        plugins: {
+            legend: {
+                display: false,
+                labels: {
+                    // The lower threshold line shares the upper one's legend entry
+                    generateLabels: chart => htmlLegendLabels(textColor).generateLabels(chart).filter(item => item.text)
+                }
+            },
+            htmlLegend: { containerID: `legend-container-dart-${id}` },
+            tooltip: {
+                filter: item => item.datasetIndex === 0 || item.datasetIndex === 3,
+                callbacks: {
+                    title: items => (items?.length ? formatUtc(items[0].parsed.x) : ''),
+                    label: item => `${item.dataset.label}: ${item.parsed.y == null ? '—' : Number(item.parsed.y).toFixed(item.datasetIndex === 0 ? 1 : 3)}`
+                }
+            },
+            dartMarkers: { segments, origin: originMs, bandColor: 'rgba(245, 158, 11, 0.18)', originColor: ANOMALY_COLOR }
+        },
+        layout: { padding: { top: 10, left: 10, right: 10, bottom: 10 } },
+        scales: {
+            x: timeScale(textColor, gridColor, fontSize),
+            y: { type: 'linear', position: 'left', title: { display: true, text: 'De-tided anomaly (cm)', color: textColor }, ticks: { color: textColor }, grid: { color: gridColor } },
+            y1: { type: 'linear', position: 'right', title: { display: true, text: 'Water column height (m)', color: textColor }, ticks: { color: textColor }, grid: { drawOnChartArea: false } }
+        }
+    };
+
+    const latestSegment = segments[segments.length - 1];
+
+    return <div className="d-flex flex-column" style={{width:'100%',height:'100%',background:chartBg,borderRadius:4,minHeight:0}}>
+        <div id={`legend-container-dart-${id}`} style={{padding:'10px 10px 5px 10px', color: textColor}}></div>
+        <div style={{flex:1,minHeight:0,position:'relative'}}>
+            <Line key={`dart-${id}-${themeKey}`} data={chartData} options={options} plugins={[dartMarkersPlugin]} style={{width:'100%',height:'100%'}} />
+        </div>
+        <div className="d-flex flex-wrap align-items-center" style={{gap:'0.25rem 1rem',padding:'4px 10px 8px',fontSize:'0.8rem',color:textColor}}>
+            {latestSegment ? (
+                <span style={{color:'#f59e0b'}} title="Shaded periods: sampling at 1 minute or faster">
+                    Event mode: {segments.length} period{segments.length === 1 ? '' : 's'}, latest {formatUtc(latestSegment.start)} – {formatUtc(latestSegment.end)}
+                </span>
+            ) : (
+                <span>Standard mode sampling</span>
+            )}
+            {arrival && (arrival.arrival != null ? (
+                <span>
+                    <strong>Arrival</strong> {formatUtc(arrival.arrival)} (+{formatDuration(arrival.travelMs)} after origin)
+                    {arrival.peak && <> · peak {toCm(arrival.peak.value).toFixed(1)} cm at {formatUtc(arrival.peak.time)}</>}
+                </span>
+            ) : (
+                <span>No anomaly above {thresholdCm.toFixed(1)} cm after the origin time</span>
+            ))}
+            <span style={{opacity:0.7}}>
+                {analysis.method === 'harmonic' ? 'Tide removed by harmonic fit' : `Tide removed by local fit (approximate; load ${MIN_TIDE_HOURS} h or more for a harmonic fit)`}
+            </span>
+        </div>
+    </div>;
+}
@@ -0,0 +1,85 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Modal, Button, Form } from 'react-bootstrap';
+import { buildExportTable, toCsv, toCfJson, exportFilename, downloadFile, stepText, EXPORT_STEPS, EXPORT_FORMATS } from '../utils/exportData';
+
+// Download the loaded window of one or more stations as CSV or CF-style JSON, raw or resampled.
+// stations: [{ id, name, details, data }] for the stations with data; initialIds preselects (defaults to all).
+export default function DataDownloadModal({ show, onHide, stations, initialIds, windowLabel }) {
+    const [ids, setIds] = useState([]);
+    const [format, setFormat] = useState('csv');
+    const [step, setStep] = useState(0);
+
+    useEffect(() => {
+        if (show) setIds(initialIds?.length ? initialIds : stations.map(s => s.id));
+    // Reset the selection only when the dialog opens
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [show]);
+
+    const chosen = useMemo(() => stations.filter(s => ids.includes(s.id)), [stations, ids]);
+    const rowCount = chosen.reduce((n, s) => n + ((s.data.fullSeries || s.data).labels?.length || 0), 0);
+
+    const handleDownload = () => {
+        const table = buildExportTable(chosen, step);
+        if (!table.stations.length) return;
+        const title = `Realtime station data (${windowLabel})`;
+        if (format === 'csv') {
+            downloadFile(exportFilename(table, 'csv'), toCsv(table, { title }), 'text/csv;charset=utf-8');
+        } else {
+            downloadFile(exportFilename(table, 'json'), JSON.stringify(toCfJson(table, { title })), 'application/json');
+        }
+        onHide();
+    };
+
+    return (
+        <Modal show={show} onHide={onHide} centered>
+            <Modal.Header closeButton>
+                <Modal.Title style={{fontSize:'1.1rem'}}>Download data</Modal.Title>
+            </Modal.Header>
+            <Modal.Body style={{fontSize:'0.875rem'}}>
+                <div className="mb-2" style={{opacity:0.8}}>Loaded window: {windowLabel}</div>
+                <Form.Group className="mb-3">
+                    <Form.Label className="mb-1"><strong>Stations</strong></Form.Label>
+                    {stations.map(s => (
+                        <Form.Check
+                            key={s.id}
+                            type="checkbox"
+                            id={`download-station-${s.id}`}
+                            label={s.name}
+                            checked={ids.includes(s.id)}
+                            onChange={e => setIds(x => (e.target.checked ? [...x, s.id] : x.filter(id => id !== s.id)))}
+                        />
+                    ))}
+                </Form.Group>
+                <Form.Group className="mb-3">
+                    <Form.Label className="mb-1"><strong>Format</strong></Form.Label>
+                    <div>
+                        {Object.entries(EXPORT_FORMATS).map(([key, label]) => (
+                            <Form.Check inline key={key} type="radio" name="download-format" id={`download-format-${key}`} label={label} checked={format === key} onChange={() => setFormat(key)} />
+                        ))}
+                    </div>
+                    <Form.Text muted>
+                        {format === 'csv'
+                            ? 'One station: a column per variable. Several stations: one row per station, time and variable.'
+                            : 'CF-1.8 timeSeries layout of a netCDF file (attributes, dimensions, variables).'}
+                    </Form.Text>
+                </Form.Group>
+                <Form.Group>
+                    <Form.Label htmlFor="download-step" className="mb-1"><strong>Resampling</strong></Form.Label>
+                    <Form.Select id="download-step" size="sm" value={step} onChange={e => setStep(Number(e.target.value))}>
+                        {EXPORT_STEPS.map(m => <option key={m} value={m}>{m ? `${stepText(m)} means` : 'Raw observations'}</option>)}
+                    </Form.Select>
+                    <Form.Text muted>
+                        {step
+                            ? 'Bin means on a shared time axis; QC-flagged points are left out and counted per bin.'
+                            : 'As observed, in source units, with the QC flag and failed tests of every point.'}
+                    </Form.Text>
+                </Form.Group>
+            </Modal.Body>
+            <Modal.Footer>
+                <span className="me-auto small" style={{opacity:0.7}}>{rowCount.toLocaleString()} observations</span>
+                <Button variant="secondary" size="sm" onClick={onHide}>Cancel</Button>
+                <Button variant="primary" size="sm" disabled={!chosen.length} onClick={handleDownload}>Download</Button>
+            </Modal.Footer>
+        </Modal>
+    );
+}
@@ -0,0 +1,201 @@
+import React, { useMemo, useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import { Form } from 'react-bootstrap';
+import {
+    comparableVariables, variableInfo, stationSeries, autoStepMinutes, buildGrid, resampleToGrid,
+    removeMean, differenceSeries, differenceStats, COMPARE_STEPS
+} from '../utils/compare';
+import { readChartTheme, timeScale, htmlLegendLabels, formatUtc, fixedColors } from '../utils/chartTheme';
+
+const DIFF_COLOR = '#ef4444';
+
+const stepLabel = m => (m % 1440 === 0 ? `${m / 1440} day` : m % 60 === 0 ? `${m / 60} h` : `${m} min`);
+
+// One variable from several stations on a shared, resampled time axis, with an optional A − B difference.
+// stations: [{ id, name, data }] where data is the station's chartData entry.
+export default function StationComparison({ stations, unit, themeKey, fontSize = 12 }) {
+    const variables = useMemo(() => comparableVariables(stations), [stations]);
+    const [variableId, setVariableId] = useState('');
+    const [stepChoice, setStepChoice] = useState('auto');
+    const [relative, setRelative] = useState(false);
+    const [excluded, setExcluded] = useState([]);
+    const [diffPair, setDiffPair] = useState(['', '']);
+
+    const variable = variables.find(v => v.id === variableId) || variables[0];
+    const info = useMemo(() => (variable ? variableInfo(variable.id) : null), [variable]);
+    const unitLabel = info?.length && unit === 'ft' ? 'ft' : info?.unit;
+    const shown = useMemo(() => (variable ? variable.stationIds.filter(id => !excluded.includes(id)) : []), [variable, excluded]);
+    const [diffA, diffB] = diffPair;
+    const showDiff = diffA && diffB && diffA !== diffB && shown.includes(diffA) && shown.includes(diffB);
+
+    const analysis = useMemo(() => {
+        if (!variable) return null;
+        const series = shown.map(id => {
+            const st = stations.find(s => s.id === id);
+            return { id, name: st.name, sampleMinutes: st.data.sampleMinutes, ...stationSeries(st.data, variable.id, unit) };
+        });
+        let spanStart = Infinity;
+        let spanEnd = -Infinity;
+        for (const s of series) for (const t of s.times) { if (t < spanStart) spanStart = t; if (t > spanEnd) spanEnd = t; }
+        const stepMinutes = stepChoice === 'auto'
+            ? autoStepMinutes(series.map(s => s.sampleMinutes), Number.isFinite(spanStart) ? spanEnd - spanStart : 0)
+            : Number(stepChoice);
+        const stepMs = stepMinutes * 60000;
+        const grid = buildGrid(series, stepMs);
+        const circular = Boolean(info.circular);
+        const resampled = series.map(s => {
+            const values = resampleToGrid(s, grid, stepMs, circular);
+            return { ...s, values: relative && !circular ? removeMean(values) : values };
+        });
+        let diff = null;
+        if (showDiff) {
+            const a = resampled.find(s => s.id === diffA);
+            const b = resampled.find(s => s.id === diffB);
+            const values = differenceSeries(a.values, b.values, circular);
+            diff = { label: `${a.name} − ${b.name}`, values, stats: differenceStats(values) };
+        }
+        return { grid, stepMinutes, series: resampled, diff };
+    }, [stations, variable, info, shown, unit, stepChoice, relative, showDiff, diffA, diffB]);
+
+    const { chartBg, gridColor, textColor } = readChartTheme();
+
+    if (!variable) {
+        return <div className="d-flex align-items-center justify-content-center text-center w-100 h-100" style={{background:chartBg,color:textColor,borderRadius:4,padding:'1rem'}}>
+            None of the selected stations measure the same variable. Select at least two stations of the same type to compare them.
+        </div>;
+    }
+
+    const fmt = v => (v == null ? '—' : Number(v).toFixed(info.length ? 3 : 2));
+    const chartData = {
+        datasets: [
+            ...analysis.series.map((s, i) => ({
+                label: s.sourceUnit ? `${s.name} (from ${s.sourceUnit})` : s.name,
+                data: analysis.grid.map((t, k) => ({ x: t, y: s.values[k] })),
+                borderColor: fixedColors[i % fixedColors.length],
+                backgroundColor: 'transparent',
+                borderWidth: 2,
+                // Directions are drawn as points; lines across the 0/360 wrap would be misleading
+                showLine: !info.circular,
+                pointRadius: info.circular ? 2 : 0,
+                pointBackgroundColor: fixedColors[i % fixedColors.length],
+                spanGaps: false,
+                yAxisID: 'y'
+            })),
+            ...(analysis.diff ? [{
+                label: `Difference: ${analysis.diff.label}`,
+                data: analysis.grid.map((t, k) => ({ x: t, y: analysis.diff.values[k] })),
+                borderColor: DIFF_COLOR,
+                backgroundColor: 'transparent',
+                borderWidth: 1.5,
+                borderDash: [5, 4],
+                pointRadius: 0,
+                spanGaps: false,
+                yAxisID: 'y1'
+            }] : [])
+        ]
+    };
+
+    const axisText = `${info.label}${relative && !info.circular ? ' anomaly' : ''}${unitLabel ? ` (${unitLabel})` : ''}`;
+    const options = {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+            legend: { display: false, labels: htmlLegendLabels(textColor) },
+            htmlLegend: { containerID: 'legend-container-compare' },
+            tooltip: {
+                callbacks: {
+                    title: items => (items?.length ? formatUtc(items[0].parsed.x) : ''),
+                    label: item => `${item.dataset.label}: ${fmt(item.parsed.y)}${unitLabel ? ` ${unitLabel}` : ''}`
+                }
+            }
+        },
+        layout: { padding: { top: 10, left: 10, right: 10, bottom: 10 } },
+        scales: {
+            x: timeScale(textColor, gridColor, fontSize),
+            y: {
+                type: 'linear',
+                position: 'left',
+                title: { display: true, text: axisText, color: textColor },
+                ticks: { color: textColor },
+                grid: { color: gridColor },
+                ...(info.circular ? { min: 0, max: 360 } : {})
+            },
+            ...(analysis.diff ? {
+                y1: { type: 'linear', position: 'right', title: { display: true, text: `Difference${unitLabel ? ` (${unitLabel})` : ''}`, color: textColor }, ticks: { color: textColor }, grid: { drawOnChartArea: false } }
+            } : {})
+        }
+    };
+
+    const stationName = id => stations.find(s => s.id === id)?.name || id;
+    const controlStyle = { height: 30, fontSize: '0.75rem' };
+
+    return <div className="d-flex flex-column" style={{width:'100%',height:'100%',background:chartBg,borderRadius:4,minHeight:0,color:textColor}}>
+        <div className="d-flex flex-wrap align-items-center" style={{gap:'0.5rem 1rem',padding:'8px 10px 0',fontSize:'0.85rem'}}>
+            <div className="d-flex align-items-center">
+                <Form.Label htmlFor="compare-variable" className="mb-0 me-2">Variable</Form.Label>
+                <Form.Select id="compare-variable" size="sm" style={{...controlStyle,width:170}} value={variable.id} onChange={e => { setVariableId(e.target.value); setExcluded([]); setDiffPair(['', '']); }}>
+                    {variables.map(v => <option key={v.id} value={v.id}>{v.label} ({v.stationIds.length} stations)</option>)}
+                </Form.Select>
+            </div>
+            <div className="d-flex align-items-center">
+                <Form.Label htmlFor="compare-step" className="mb-0 me-2">Resample</Form.Label>
+                <Form.Select id="compare-step" size="sm" style={{...controlStyle,width:130}} value={stepChoice} onChange={e => setStepChoice(e.target.value)} title="Bin width of the shared time axis; each bin is the mean of a station's observations in it">
+                    <option value="auto">Auto ({stepLabel(analysis.stepMinutes)})</option>
+                    {COMPARE_STEPS.map(m => <option key={m} value={m}>{stepLabel(m)}</option>)}
+                </Form.Select>
+            </div>
+            {!info.circular && (
+                <Form.Check
+                    type="switch"
+                    id="compare-relative"
+                    label="Relative to mean"
+                    checked={relative}
+                    onChange={e => setRelative(e.target.checked)}
+                    title="Subtract each station's mean, e.g. for tide gauges on different datums"
+                />
+            )}
+            <div className="d-flex align-items-center">
+                <Form.Label htmlFor="compare-diff-a" className="mb-0 me-2">Difference</Form.Label>
+                <Form.Select id="compare-diff-a" size="sm" style={{...controlStyle,width:160}} value={diffA} onChange={e => setDiffPair([e.target.value, diffB])}>
+                    <option value="">None</option>
+                    {shown.map(id => <option key={id} value={id}>{stationName(id)}</option>)}
+                </Form.Select>
+                <span className="mx-2">−</span>
+                <Form.Select id="compare-diff-b" size="sm" style={{...controlStyle,width:160}} value={diffB} onChange={e => setDiffPair([diffA, e.target.value])} aria-label="Difference subtrahend">
+                    <option value="">None</option>
+                    {shown.filter(id => id !== diffA).map(id => <option key={id} value={id}>{stationName(id)}</option>)}
+                </Form.Select>
+            </div>
+        </div>
+        <div className="d-flex flex-wrap align-items-center" style={{gap:'0.25rem 1rem',padding:'6px 10px 0',fontSize:'0.8rem'}}>
+            {variable.stationIds.map(id => (
+                <Form.Check
+                    key={id}
+                    type="checkbox"
+                    id={`compare-station-${id}`}
+                    label={stationName(id)}
+                    checked={!excluded.includes(id)}
+                    onChange={e => setExcluded(x => (e.target.checked ? x.filter(s => s !== id) : [...x, id]))}
+                />
+            ))}
+        </div>
+        <div id="legend-container-compare" style={{padding:'6px 10px 0'}}></div>
+        <div style={{flex:1,minHeight:0,position:'relative'}}>
+            <Line key={`compare-${themeKey}`} data={chartData} options={options} style={{width:'100%',height:'100%'}} />
+        </div>
+        <div className="d-flex flex-wrap align-items-center" style={{gap:'0.25rem 1rem',padding:'4px 10px 8px',fontSize:'0.8rem'}}>
+            <span style={{opacity:0.7}}>
+                {stepLabel(analysis.stepMinutes)} bins · QC-flagged points excluded{info.circular ? ' · circular mean' : ''}
+            </span>
+            {analysis.diff && (analysis.diff.stats ? (
+                <span>
+                    <strong>{analysis.diff.label}</strong> mean {fmt(analysis.diff.stats.mean)} · RMS {fmt(analysis.diff.stats.rms)}{unitLabel ? ` ${unitLabel}` : ''} over {analysis.diff.stats.count.toLocaleString()} shared bins
+                </span>
+            ) : (
+                <span>The two stations have no overlapping bins</span>
+            ))}
+        </div>
+    </div>;
+}
@@ -0,0 +1,180 @@
+import React, { useEffect, useState } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { Container, Spinner, Badge, Table } from 'react-bootstrap';
+import { FaArrowLeft } from 'react-icons/fa';
+import StationTrackMap from './StationTrackMap';
+import { isSpotterId, fetchSpotterTrack, trackFromRows, trackSummary, latestValues, RAMP_GRADIENT } from '../utils/stationDetails';
+import { QC_FLAG_NAMES, QC_COLORS, isFlagged } from '../utils/qc';
+import { formatUtc } from '../utils/chartTheme';
+import { formatDuration } from '../utils/stationHealth';
+
+// Latest rows requested for the sensor list and for stations that report their own position
+const LATEST_ROWS = 2000;
+
+const fmtValue = v => (v == null || isNaN(v) ? '—' : Math.abs(v) >= 100 ? v.toFixed(1) : v.toFixed(Math.abs(v) < 10 ? 3 : 2));
+const fmtKm = km => (km == null ? '—' : km < 10 ? `${km.toFixed(2)} km` : `${km.toFixed(1)} km`);
+
+const cardStyle = {
+    background: 'var(--color-surface)',
+    border: '1px solid var(--color-border,#e2e8f0)',
+    boxShadow: '0 2px 12px rgba(0,0,0,0.06)'
+};
+
+function InfoRow({ label, children }) {
+    return (
+        <tr>
+            <th style={{fontWeight:500,opacity:0.7,whiteSpace:'nowrap',paddingRight:16}}>{label}</th>
+            <td>{children}</td>
+        </tr>
+    );
+}
+
+// Station detail: map of recent positions coloured by time, deployment info, sensors and the latest values.
+// Opened from the dashboard's expanded-station overlay at /station/:stationId (the station_id, e.g. SPOT-1234).
+export default function StationDetailPage() {
+    const { stationId } = useParams();
+    const [station, setStation] = useState(null);
+    const [country, setCountry] = useState(null);
+    const [sensors, setSensors] = useState(null);
+    const [track, setTrack] = useState([]);
+    const [trackSource, setTrackSource] = useState(null);
+    const [error, setError] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        const { signal } = controller;
+        const load = async () => {
+            setLoading(true);
+            setError(null);
+            try {
+                const res = await fetch('https://ocean-obs-api.spc.int/insitu/stations/', { signal });
+                if (!res.ok) throw new Error('Failed to fetch stations');
+                const list = await res.json();
+                const s = list.find(x => x.station_id === stationId || String(x.id) === stationId);
+                if (!s) throw new Error(`Station ${stationId} not found`);
+                setStation(s);
+
+                if (s.country_id) {
+                    fetch(`https://ocean-middleware.spc.int/middleware/api/country/${s.country_id}/`, { signal })
+                        .then(r => (r.ok ? r.json() : null))
+                        .then(c => { if (c) setCountry(c.long_name || c.short_name); })
+                        .catch(() => { /* country stays unknown */ });
+                }
+
+                // A Spotter's own track is preferred; other stations may report position columns
+                const [dataRes, spotterTrack] = await Promise.all([
+                    fetch(`https://ocean-obs-api.spc.int/insitu/get_data/station/${s.id}?limit=${LATEST_ROWS}`, { signal, headers: { Accept: 'application/json' } })
+                        .then(r => (r.ok ? r.json() : null)),
+                    isSpotterId(s.station_id) ? fetchSpotterTrack(s.station_id, { signal }).catch(() => null) : null
+                ]);
+                const rows = Array.isArray(dataRes) ? dataRes : dataRes?.data || [];
+                setSensors(latestValues(rows, Array.isArray(dataRes) ? '' : dataRes?.data_labels));
+                if (spotterTrack?.length) {
+                    setTrack(spotterTrack);
+                    setTrackSource('Spotter GPS');
+                } else {
+                    const rowTrack = trackFromRows(rows);
+                    setTrack(rowTrack);
+                    setTrackSource(rowTrack.length ? 'reported positions' : null);
+                }
+            } catch (e) {
+                if (!signal.aborted) setError(e.message);
+            } finally {
+                if (!signal.aborted) setLoading(false);
+            }
+        };
+        load();
+        return () => controller.abort();
+    }, [stationId]);
+
+    const listed = station?.longitude != null && station?.latitude != null ? [Number(station.longitude), Number(station.latitude)] : null;
+    const summary = trackSummary(track, listed);
+    const label = station ? station.display_name || station.station_id : stationId;
+
+    return (
+        <Container fluid className="py-3 px-3" style={{color:'var(--color-text)'}}>
+            <div className="d-flex flex-wrap align-items-center gap-3 mb-3">
+                <Link to="/" className="text-decoration-none" style={{color:'var(--color-primary)'}}><FaArrowLeft className="me-1" />Stations</Link>
+                <h1 className="mb-0" style={{color:'var(--color-primary)',fontSize:'1.6rem'}}>{label}</h1>
+                {station && <Badge bg="secondary">{station.type_value}</Badge>}
+                {station && <Badge bg={station.is_active ? 'success' : 'secondary'}>{station.is_active ? 'Active' : 'Inactive'}</Badge>}
+            </div>
+            {loading && <div className="d-flex align-items-center"><Spinner animation="border" size="sm" className="me-2"/>Loading station...</div>}
+            {error && <div className="text-danger">{error}</div>}
+            {station && (
+                <div className="d-flex flex-wrap gap-3" style={{alignItems:'stretch'}}>
+                    <div className="rounded card-theme p-2 d-flex flex-column" style={{...cardStyle,flex:'2 1 480px',minHeight:420}}>
+                        <div style={{flex:1,minHeight:360}}>
+                            <StationTrackMap track={track} listed={listed} label={label} />
+                        </div>
+                        <div className="small mt-2 d-flex align-items-center gap-2" style={{opacity:0.85}}>
+                            {track.length > 1 ? (
+                                <>
+                                    <span>{formatUtc(track[0].time)}</span>
+                                    <span style={{flex:'0 0 140px',height:10,borderRadius:2,background:RAMP_GRADIENT}} />
+                                    <span>{formatUtc(track[track.length - 1].time)}</span>
+                                    <span className="ms-auto">{track.length} fixes ({trackSource})</span>
+                                </>
+                            ) : (
+                                <span>{trackSource ? 'Single position fix' : 'No position track for this station; showing its listed position.'}</span>
+                            )}
+                        </div>
+                    </div>
+                    <div className="d-flex flex-column gap-3" style={{flex:'1 1 340px',minWidth:0}}>
+                        <div className="rounded card-theme p-3" style={cardStyle}>
+                            <h2 style={{fontSize:'1.05rem',fontWeight:600}}>Deployment</h2>
+                            <Table size="sm" borderless className="mb-0" style={{fontSize:'0.85rem','--bs-table-bg':'transparent','--bs-table-color':'var(--color-text)'}}>
+                                <tbody>
+                                    <InfoRow label="Station id">{station.station_id} <span style={{opacity:0.6}}>(#{station.id})</span></InfoRow>
+                                    <InfoRow label="Owner">{station.owner || '—'}</InfoRow>
+                                    <InfoRow label="Country">{country || '—'}</InfoRow>
+                                    <InfoRow label="Listed position">{listed?.every(Number.isFinite) ? `${listed[1].toFixed(4)}, ${listed[0].toFixed(4)}` : '—'}</InfoRow>
+                                    {station.description && <InfoRow label="Description">{station.description}</InfoRow>}
+                                    {summary && (
+                                        <>
+                                            <InfoRow label="Latest fix">{formatUtc(summary.last)} ({formatDuration((Date.now() - summary.last) / 60000)} ago)</InfoRow>
+                                            <InfoRow label="Track span">{formatDuration((summary.last - summary.first) / 60000)}</InfoRow>
+                                            <InfoRow label="Distance travelled">{fmtKm(summary.pathKm)}</InfoRow>
+                                            <InfoRow label="Net drift">{fmtKm(summary.netKm)}</InfoRow>
+                                            <InfoRow label="From listed position">{fmtKm(summary.offsetKm)}</InfoRow>
+                                        </>
+                                    )}
+                                </tbody>
+                            </Table>
+                        </div>
+                        <div className="rounded card-theme p-3" style={cardStyle}>
+                            <h2 style={{fontSize:'1.05rem',fontWeight:600}}>Sensors and latest values</h2>
+                            {!sensors?.length ? (
+                                <div className="small" style={{opacity:0.7}}>{loading ? 'Loading…' : 'No recent observations'}</div>
+                            ) : (
+                                <Table size="sm" className="mb-0" style={{fontSize:'0.85rem','--bs-table-bg':'transparent','--bs-table-color':'var(--color-text)'}}>
+                                    <thead>
+                                        <tr><th>Variable</th><th>Latest</th><th>Time</th><th title={`Non-missing values in the latest ${LATEST_ROWS} rows`}>Obs</th></tr>
+                                    </thead>
+                                    <tbody>
+                                        {sensors.map(s => (
+                                            <tr key={s.key}>
+                                                <td title={s.key}>{s.label}</td>
+                                                <td style={{whiteSpace:'nowrap'}}>
+                                                    {fmtValue(s.value)}{s.value != null && s.unit ? ` ${s.unit}` : ''}
+                                                    {isFlagged(s.flag) && (
+                                                        <Badge bg="" className="ms-2" style={{background:QC_COLORS[s.flag]}} title={s.qcReasons ? `QC: ${s.qcReasons}` : undefined}>
+                                                            {QC_FLAG_NAMES[s.flag]}
+                                                        </Badge>
+                                                    )}
+                                                </td>
+                                                <td style={{whiteSpace:'nowrap'}}>{s.time ? formatUtc(s.time) : '—'}</td>
+                                                <td>{s.count.toLocaleString()}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </Table>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            )}
+        </Container>
+    );
+}
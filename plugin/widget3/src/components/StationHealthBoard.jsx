@@ -0,0 +1,185 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { Container, Button, Form, Spinner, Badge, Table } from 'react-bootstrap';
+import { FaSyncAlt } from 'react-icons/fa';
+import { HEALTH_WINDOW_DAYS, HEALTH_STATUSES, REPORTING_PROFILES, summarizeHealth, formatDuration, fetchObservationTimes } from '../utils/stationHealth';
+import { formatUtc } from '../utils/chartTheme';
+
+// Stations checked at once; each request carries a week of rows
+const CONCURRENCY = 3;
+const REFRESH_MINUTES = 10;
+
+const STATUS_ORDER = Object.keys(HEALTH_STATUSES);
+
+// Hourly bins over the window: green when complete, amber when partial, red when empty
+const binColor = f => (f >= 0.9 ? '#16a34a' : f > 0 ? '#f59e0b' : '#dc2626');
+
+function GapTimeline({ bins }) {
+    return (
+        <div className="d-flex" style={{height:14,minWidth:220,borderRadius:2,overflow:'hidden'}} role="img" aria-label="Data coverage over the last week">
+            {bins.map(b => (
+                <span
+                    key={b.start}
+                    title={`${formatUtc(b.start)}: ${Math.round(b.fraction * 100)}%`}
+                    style={{flex:1,background:binColor(b.fraction),opacity:b.fraction >= 0.9 ? 0.85 : 1}}
+                />
+            ))}
+        </div>
+    );
+}
+
+// Ops view of every active station: latency, last-week completeness and gaps, worst first
+export default function StationHealthBoard() {
+    const [stations, setStations] = useState([]);
+    const [stationsError, setStationsError] = useState(null);
+    const [health, setHealth] = useState({}); // id -> summary | { status: 'unknown', error }
+    const [checking, setChecking] = useState(false);
+    const [checkedCount, setCheckedCount] = useState(0);
+    const [checkedAt, setCheckedAt] = useState(null);
+    const [typeFilter, setTypeFilter] = useState('');
+    const runRef = useRef(null);
+
+    const fetchedStationsRef = useRef(false);
+    useEffect(() => {
+        if (fetchedStationsRef.current) return; // guard duplicate in StrictMode
+        fetchedStationsRef.current = true;
+        fetch('https://ocean-obs-api.spc.int/insitu/stations/')
+            .then(res => {
+                if (!res.ok) throw new Error('Failed to fetch stations');
+                return res.json();
+            })
+            .then(data => setStations(data.filter(s => s.is_active).map(s => ({
+                id: s.id,
+                spotter_id: s.station_id,
+                label: s.display_name || s.station_id,
+                type_value: s.type_value,
+                owner: s.owner
+            }))))
+            .catch(e => setStationsError(e.message));
+    }, []);
+
+    const checkAll = useCallback(async () => {
+        if (!stations.length) return;
+        runRef.current?.abort();
+        const controller = new AbortController();
+        runRef.current = controller;
+        const now = Date.now();
+        setChecking(true);
+        setCheckedCount(0);
+        const queue = [...stations];
+        const worker = async () => {
+            while (queue.length && !controller.signal.aborted) {
+                const st = queue.shift();
+                let result;
+                try {
+                    const times = await fetchObservationTimes(st.id, { now, signal: controller.signal });
+                    result = summarizeHealth(times, { type: st.type_value, now });
+                } catch (e) {
+                    if (controller.signal.aborted) return;
+                    result = { status: 'unknown', error: e.message };
+                }
+                setHealth(h => ({ ...h, [st.id]: result }));
+                setCheckedCount(n => n + 1);
+            }
+        };
+        await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+        if (!controller.signal.aborted) {
+            setChecking(false);
+            setCheckedAt(now);
+        }
+    }, [stations]);
+
+    useEffect(() => {
+        checkAll();
+        const timer = setInterval(checkAll, REFRESH_MINUTES * 60000);
+        return () => {
+            clearInterval(timer);
+            runRef.current?.abort();
+        };
+    }, [checkAll]);
+
+    const types = useMemo(() => [...new Set(stations.map(s => s.type_value).filter(Boolean))].sort(), [stations]);
+
+    const rows = useMemo(() => stations
+        .filter(s => !typeFilter || s.type_value === typeFilter)
+        .map(s => ({ ...s, health: health[s.id] }))
+        .sort((a, b) => {
+            // Unchecked stations last; then worst status, longest silence first
+            if (!a.health || !b.health) return (a.health ? 0 : 1) - (b.health ? 0 : 1);
+            const byStatus = STATUS_ORDER.indexOf(a.health.status) - STATUS_ORDER.indexOf(b.health.status);
+            if (byStatus) return byStatus;
+            return (b.health.ageMinutes ?? Infinity) - (a.health.ageMinutes ?? Infinity);
+        }), [stations, health, typeFilter]);
+
+    const counts = rows.reduce((c, r) => {
+        if (r.health) c[r.health.status] = (c[r.health.status] || 0) + 1;
+        return c;
+    }, {});
+
+    const cell = { verticalAlign: 'middle', whiteSpace: 'nowrap' };
+
+    return (
+        <Container fluid className="py-3 px-3" style={{color:'var(--color-text)'}}>
+            <div className="d-flex flex-wrap align-items-center gap-3 mb-3">
+                <h1 className="mb-0" style={{color:'var(--color-primary)',fontSize:'1.6rem'}}>Station Health</h1>
+                <div className="d-flex flex-wrap gap-2">
+                    {STATUS_ORDER.filter(s => counts[s]).map(s => (
+                        <Badge key={s} bg="" style={{background:HEALTH_STATUSES[s].color}}>{counts[s]} {HEALTH_STATUSES[s].label.toLowerCase()}</Badge>
+                    ))}
+                </div>
+                <div className="ms-auto d-flex align-items-center gap-2">
+                    <Form.Select size="sm" aria-label="Filter by type" style={{width:160}} value={typeFilter} onChange={e => setTypeFilter(e.target.value)}>
+                        <option value="">All types</option>
+                        {types.map(t => <option key={t} value={t}>{t}</option>)}
+                    </Form.Select>
+                    <span className="small" style={{opacity:0.7}}>
+                        {checking ? `Checking ${checkedCount}/${stations.length}…` : checkedAt ? `Checked ${formatUtc(checkedAt)}` : ''}
+                    </span>
+                    <Button size="sm" variant="outline-secondary" onClick={checkAll} disabled={checking || !stations.length} title="Check all stations again">
+                        {checking ? <Spinner animation="border" size="sm" /> : <FaSyncAlt />}
+                    </Button>
+                </div>
+            </div>
+            <div className="small mb-2" style={{opacity:0.7}}>
+                Last {HEALTH_WINDOW_DAYS} days. Late after two missed reporting intervals; silent past the type's limit
+                ({Object.entries(REPORTING_PROFILES).map(([t, p]) => `${t} ${formatDuration(p.silentAfterMinutes)}`).join(', ')}).
+                Refreshes every {REFRESH_MINUTES} min.
+            </div>
+            {stationsError && <div className="text-danger small">{stationsError}</div>}
+            {!stations.length && !stationsError && <div className="d-flex align-items-center"><Spinner animation="border" size="sm" className="me-2"/>Loading stations...</div>}
+            {!!stations.length && (
+                <div className="rounded card-theme" style={{background:'var(--color-surface)',border:'1px solid var(--color-border,#e2e8f0)',overflowX:'auto'}}>
+                    <Table size="sm" hover className="mb-0" style={{fontSize:'0.85rem',color:'inherit','--bs-table-bg':'transparent','--bs-table-color':'var(--color-text)'}}>
+                        <thead>
+                            <tr>
+                                <th>Status</th><th>Station</th><th>Type</th><th>Last observation</th><th>Since</th>
+                                <th title="Share of sampling intervals with data">Completeness</th><th>Gaps</th><th style={{width:'35%'}}>Coverage (hourly, UTC)</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map(({ id, spotter_id, label, type_value, owner, health: h }) => (
+                                <tr key={id}>
+                                    <td style={cell}>
+                                        {h ? (
+                                            <Badge bg="" style={{background:HEALTH_STATUSES[h.status].color}} title={h.error}>{HEALTH_STATUSES[h.status].label}</Badge>
+                                        ) : <Spinner animation="border" size="sm" style={{opacity:0.5}} />}
+                                    </td>
+                                    <td style={cell} title={owner ? `${spotter_id} · ${owner}` : spotter_id}>{label}</td>
+                                    <td style={cell}>{type_value}</td>
+                                    <td style={cell}>{h?.last ? formatUtc(h.last) : h && !h.error ? `none in ${HEALTH_WINDOW_DAYS} d` : '—'}</td>
+                                    <td style={cell}>{h?.last ? formatDuration(h.ageMinutes) : '—'}</td>
+                                    <td style={cell} title={h?.sampleMinutes ? `Sampling every ${formatDuration(h.sampleMinutes)}` : undefined}>
+                                        {h?.completeness != null ? `${h.completeness.toFixed(h.completeness < 99.95 ? 1 : 0)}%` : '—'}
+                                    </td>
+                                    <td style={cell} title={h?.gaps?.length ? `Longest ${formatDuration(h.longestGap)}` : undefined}>
+                                        {h?.gaps ? (h.gaps.length ? `${h.gaps.length} (max ${formatDuration(h.longestGap)})` : 'none') : '—'}
+                                    </td>
+                                    <td style={cell}>{h?.bins ? <GapTimeline bins={h.bins} /> : null}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </Table>
+                </div>
+            )}
+        </Container>
+    );
+}
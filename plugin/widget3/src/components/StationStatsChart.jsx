@@ -0,0 +1,214 @@
+import React, { useMemo, useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import { Form, Button } from 'react-bootstrap';
+import { AGGREGATION_STEPS, STATISTICS, DEFAULT_PERCENTILE, usablePoints, aggregateSeries, windowSummary } from '../utils/statistics';
+import { variableOf, variableInfo, sourceUnitOf } from '../utils/compare';
+import { readChartTheme, isLengthSeries, M_TO_FT, timeScale, htmlLegendLabels, formatUtc, fixedColors } from '../utils/chartTheme';
+
+const AXES = ['y', 'y1', 'y2'];
+
+const fmt = v => (v == null ? '—' : Number(v).toFixed(Math.abs(v) < 10 ? 2 : 1));
+const stepName = m => AGGREGATION_STEPS.find(s => s.minutes === m)?.label || `${m} min`;
+
+// Aggregated series (one statistic per variable) and a window summary with the time of the peak.
+// data is the station's chartData entry; historical views use the unthinned rows in data.fullSeries.
+export default function StationStatsChart({ id, name, data, unit, themeKey, fontSize = 10 }) {
+    const series = data.fullSeries || data;
+    const [stepMinutes, setStepMinutes] = useState(() =>
+        (AGGREGATION_STEPS.find(s => s.minutes > (data.sampleMinutes || 1)) || AGGREGATION_STEPS[AGGREGATION_STEPS.length - 1]).minutes
+    );
+    const [stats, setStats] = useState({});
+    const [percentile, setPercentile] = useState(DEFAULT_PERCENTILE);
+    const [copied, setCopied] = useState(false);
+
+    const variables = useMemo(() => series.datasets.map((ds, i) => {
+        const info = variableInfo(variableOf(ds.key));
+        const hint = sourceUnitOf(ds);
+        const circular = Boolean(info.circular);
+        // Feet only for length series in metres; a series with its own unit suffix keeps it
+        const toFeet = unit === 'ft' && isLengthSeries(ds.label) && !hint;
+        const points = usablePoints(series.labels, ds);
+        if (toFeet) points.values = points.values.map(v => v * M_TO_FT);
+        return {
+            key: ds.key,
+            label: ds.label,
+            circular,
+            unitLabel: toFeet ? 'ft' : (hint?.unit || info.unit || ''),
+            points,
+            summary: windowSummary(points, { circular }),
+            color: fixedColors[i % fixedColors.length],
+            axis: AXES[Math.min(i, AXES.length - 1)]
+        };
+    }), [series, unit]);
+
+    const statOf = v => (v.circular ? 'mean' : stats[v.key] || 'mean');
+    const statLabel = v => (statOf(v) === 'percentile' ? `P${percentile}` : STATISTICS[statOf(v)]);
+
+    const aggregated = useMemo(() => variables.map(v =>
+        aggregateSeries(v.points, stepMinutes, v.circular ? 'mean' : stats[v.key] || 'mean', { percentile, circular: v.circular })
+    ), [variables, stepMinutes, stats, percentile]);
+
+    const { chartBg, gridColor, textColor } = readChartTheme();
+    const usesPercentile = variables.some(v => statOf(v) === 'percentile');
+    const withSummary = variables.filter(v => v.summary);
+
+    const chartData = {
+        datasets: variables.map((v, i) => ({
+            label: `${v.label} · ${stepName(stepMinutes)} ${statLabel(v).toLowerCase()}${v.unitLabel ? ` (${v.unitLabel})` : ''}`,
+            data: aggregated[i].times.map((t, k) => ({ x: t, y: aggregated[i].values[k] })),
+            borderColor: v.color,
+            backgroundColor: v.color,
+            borderWidth: 2,
+            borderDash: i > 0 ? [5, 5] : [],
+            // Directions are drawn as points; lines across the 0/360 wrap would be misleading
+            showLine: !v.circular,
+            pointRadius: 2,
+            spanGaps: false,
+            yAxisID: v.axis
+        }))
+    };
+
+    const options = {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+            legend: { display: false, labels: htmlLegendLabels(textColor) },
+            htmlLegend: { containerID: `legend-container-stats-${id}` },
+            tooltip: {
+                callbacks: {
+                    title: items => (items?.length ? formatUtc(items[0].parsed.x) : ''),
+                    label: item => {
+                        const count = aggregated[item.datasetIndex]?.counts[item.dataIndex];
+                        return `${item.dataset.label}: ${fmt(item.parsed.y)}${count ? ` (n=${count})` : ''}`;
+                    }
+                }
+            }
+        },
+        layout: { padding: { top: 10, left: 10, right: 10, bottom: 10 } },
+        scales: {
+            x: timeScale(textColor, gridColor, fontSize),
+            ...Object.fromEntries(variables.slice(0, AXES.length).map((v, i) => [v.axis, {
+                type: 'linear',
+                position: i === 0 ? 'left' : 'right',
+                title: { display: true, text: `${v.label}${v.unitLabel ? ` (${v.unitLabel})` : ''}`, color: textColor },
+                ticks: { color: textColor },
+                grid: i === 0 ? { color: gridColor } : { drawOnChartArea: false },
+                ...(v.circular ? { min: 0, max: 360 } : {})
+            }]))
+        }
+    };
+
+    // Plain-text summary for pasting into event reports
+    const summaryText = () => {
+        const first = Math.min(...withSummary.map(v => v.summary.first));
+        const last = Math.max(...withSummary.map(v => v.summary.last));
+        const lines = [`${name || id}, ${formatUtc(first)} to ${formatUtc(last)}`];
+        withSummary.forEach(({ label, unitLabel, circular, summary: s }) => {
+            const u = unitLabel ? ` ${unitLabel}` : '';
+            lines.push(circular
+                ? `${label}: mean ${fmt(s.mean)}${u} (${s.count} obs)`
+                : `${label}: max ${fmt(s.max)}${u} at ${formatUtc(s.maxTime)}, min ${fmt(s.min)}${u} at ${formatUtc(s.minTime)}, mean ${fmt(s.mean)}${u} (${s.count} obs)`);
+        });
+        return lines.join('\n');
+    };
+
+    const copySummary = async () => {
+        const text = summaryText();
+        try {
+            await navigator.clipboard.writeText(text);
+        } catch {
+            window.prompt('Copy summary', text);
+        }
+        setCopied(true);
+        setTimeout(() => setCopied(false), 2000);
+    };
+
+    if (!withSummary.length) {
+        return <div className="d-flex align-items-center justify-content-center text-center w-100 h-100" style={{background:chartBg,color:textColor,borderRadius:4,padding:'1rem'}}>
+            No usable observations in this window (all points are missing or QC-flagged).
+        </div>;
+    }
+
+    const controlStyle = { height: 28, fontSize: '0.75rem' };
+    const cell = { padding: '2px 8px', whiteSpace: 'nowrap' };
+
+    return <div className="d-flex flex-column" style={{width:'100%',height:'100%',background:chartBg,borderRadius:4,minHeight:0,color:textColor}}>
+        <div className="d-flex flex-wrap align-items-center" style={{gap:'0.4rem 0.9rem',padding:'8px 10px 0',fontSize:'0.8rem'}}>
+            <div className="d-flex align-items-center">
+                <Form.Label htmlFor={`stats-step-${id}`} className="mb-0 me-2">Aggregate</Form.Label>
+                <Form.Select id={`stats-step-${id}`} size="sm" style={{...controlStyle,width:95}} value={stepMinutes} onChange={e => setStepMinutes(Number(e.target.value))}>
+                    {AGGREGATION_STEPS.map(s => <option key={s.minutes} value={s.minutes}>{s.label}</option>)}
+                </Form.Select>
+            </div>
+            {variables.map(v => (
+                <div key={v.key} className="d-flex align-items-center">
+                    <Form.Label htmlFor={`stats-stat-${id}-${v.key}`} className="mb-0 me-2" style={{color:v.color}}>{v.label}</Form.Label>
+                    <Form.Select
+                        id={`stats-stat-${id}-${v.key}`}
+                        size="sm"
+                        style={{...controlStyle,width:110}}
+                        value={statOf(v)}
+                        disabled={v.circular}
+                        title={v.circular ? 'Directions are aggregated with the circular mean' : undefined}
+                        onChange={e => setStats(s => ({ ...s, [v.key]: e.target.value }))}
+                    >
+                        {Object.entries(STATISTICS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                    </Form.Select>
+                </div>
+            ))}
+            {usesPercentile && (
+                <div className="d-flex align-items-center">
+                    <Form.Label htmlFor={`stats-percentile-${id}`} className="mb-0 me-2">P</Form.Label>
+                    <Form.Control
+                        id={`stats-percentile-${id}`}
+                        type="number"
+                        min="1"
+                        max="99"
+                        size="sm"
+                        style={{...controlStyle,width:64}}
+                        value={percentile}
+                        onChange={e => {
+                            const p = Number(e.target.value);
+                            if (p > 0 && p < 100) setPercentile(p);
+                        }}
+                    />
+                </div>
+            )}
+        </div>
+        <div id={`legend-container-stats-${id}`} style={{padding:'6px 10px 0'}}></div>
+        <div style={{flex:1,minHeight:0,position:'relative'}}>
+            <Line key={`stats-${id}-${themeKey}`} data={chartData} options={options} style={{width:'100%',height:'100%'}} />
+        </div>
+        <div style={{padding:'4px 10px 8px',fontSize:'0.78rem',overflowX:'auto',flexShrink:0,maxHeight:'40%'}}>
+            <div className="d-flex align-items-center mb-1">
+                <strong>Window summary</strong>
+                <span className="ms-2" style={{opacity:0.7}}>QC-flagged points excluded</span>
+                <Button variant="outline-secondary" size="sm" className="ms-auto" style={{padding:'0 0.4rem',fontSize:'0.72rem'}} onClick={copySummary}>
+                    {copied ? 'Copied' : 'Copy summary'}
+                </Button>
+            </div>
+            <table style={{borderCollapse:'collapse',width:'100%'}}>
+                <thead>
+                    <tr style={{opacity:0.75,textAlign:'left'}}>
+                        <th style={cell}>Variable</th><th style={cell}>Max</th><th style={cell}>Peak time</th>
+                        <th style={cell}>Min</th><th style={cell}>Mean</th><th style={cell}>Obs</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {withSummary.map(({ key, label, unitLabel, circular, color, summary: s }) => (
+                        <tr key={key}>
+                            <td style={{...cell,color}}>{label}{unitLabel ? ` (${unitLabel})` : ''}</td>
+                            <td style={cell}>{circular ? '—' : fmt(s.max)}</td>
+                            <td style={cell}>{circular ? '—' : formatUtc(s.maxTime)}</td>
+                            <td style={cell}>{circular ? '—' : fmt(s.min)}</td>
+                            <td style={cell} title={circular ? 'Circular mean' : undefined}>{fmt(s.mean)}</td>
+                            <td style={cell}>{s.count.toLocaleString()}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    </div>;
+}
@@ -0,0 +1,82 @@
+import React, { useEffect, useRef } from 'react';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { rampColor } from '../utils/stationDetails';
+import { formatUtc } from '../utils/chartTheme';
+
+// Recent positions of a (drifting) station coloured old-to-new, with its listed position for reference.
+// track: [{ time, lat, lon }] ascending; listed: [lon, lat] from the station list.
+export default function StationTrackMap({ track = [], listed, label }) {
+    const containerRef = useRef(null);
+    const mapRef = useRef(null);
+    const layerRef = useRef(null);
+
+    useEffect(() => {
+        const map = L.map(containerRef.current, { center: [-15, 170], zoom: 3, attributionControl: false, worldCopyJump: false });
+        L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}', { maxZoom: 19 }).addTo(map);
+        L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/Reference/World_Boundaries_and_Places/MapServer/tile/{z}/{y}/{x}', { maxZoom: 19, pane: 'overlayPane' }).addTo(map);
+        L.control.scale({ imperial: false }).addTo(map);
+        mapRef.current = map;
+        layerRef.current = L.layerGroup().addTo(map);
+        return () => {
+            map.remove();
+            mapRef.current = null;
+            layerRef.current = null;
+        };
+    }, []);
+
+    useEffect(() => {
+        const map = mapRef.current;
+        const layer = layerRef.current;
+        if (!map || !layer) return;
+        layer.clearLayers();
+
+        // Keep consecutive fixes within 180° of each other so a track across the dateline stays continuous
+        const points = [];
+        track.forEach((p, i) => {
+            let lon = p.lon;
+            if (i) {
+                const prev = points[i - 1][1];
+                while (lon - prev > 180) lon -= 360;
+                while (lon - prev < -180) lon += 360;
+            }
+            points.push([p.lat, lon]);
+        });
+        const ref = points.length ? points[points.length - 1][1] : 170;
+        let listedLatLng = null;
+        if (Array.isArray(listed) && listed.every(Number.isFinite)) {
+            let lon = listed[0];
+            while (lon - ref > 180) lon -= 360;
+            while (lon - ref < -180) lon += 360;
+            listedLatLng = [listed[1], lon];
+            L.circleMarker(listedLatLng, { radius: 7, color: '#ffffff', weight: 2, fillColor: '#6b7280', fillOpacity: 0.9, dashArray: '3 3' })
+                .bindTooltip(`${label ? `${label}: ` : ''}listed position`)
+                .addTo(layer);
+        }
+
+        const t0 = track[0]?.time;
+        const span = track.length > 1 ? track[track.length - 1].time - t0 : 1;
+        const colorAt = i => rampColor((track[i].time - t0) / span);
+        for (let i = 1; i < points.length; i++) {
+            L.polyline([points[i - 1], points[i]], { color: colorAt(i), weight: 3, opacity: 0.9 }).addTo(layer);
+        }
+        points.forEach((ll, i) => {
+            const latest = i === points.length - 1;
+            L.circleMarker(ll, {
+                radius: latest ? 8 : 3,
+                color: latest ? '#ffffff' : colorAt(i),
+                weight: latest ? 3 : 1,
+                fillColor: colorAt(i),
+                fillOpacity: 1
+            })
+                .bindTooltip(`${latest ? 'Latest fix<br/>' : ''}${formatUtc(track[i].time)}<br/>${track[i].lat.toFixed(4)}, ${track[i].lon.toFixed(4)}`)
+                .addTo(layer);
+        });
+
+        const all = listedLatLng ? [...points, listedLatLng] : points;
+        if (all.length > 1) map.fitBounds(L.latLngBounds(all), { padding: [30, 30], maxZoom: 13 });
+        else if (all.length) map.setView(all[0], 9);
+    }, [track, listed, label]);
+
+    return <div ref={containerRef} style={{height:'100%',width:'100%',minHeight:320,borderRadius:4}} />;
+}
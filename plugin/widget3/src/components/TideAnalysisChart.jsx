@@ -0,0 +1,125 @@
+import React, { useMemo } from 'react';
+import { Line } from 'react-chartjs-2';
+import { fitTide, predictTide, findTurningPoints, MIN_TIDE_HOURS } from '../utils/tides';
+import { isFlagged } from '../utils/qc';
+import { readChartTheme, isLengthSeries, M_TO_FT, timeScale, htmlLegendLabels, formatUtc } from '../utils/chartTheme';
+
+// Predicted tide is drawn this far past the last observation
+const PREDICTION_HOURS = 24;
+const PREDICTION_STEP_MS = 10 * 60000;
+// High/low waters listed under the chart
+const EVENT_COUNT = 4;
+
+export const isTideGauge = station => /tide\s*gauge/i.test(`${station?.type_value || ''} ${station?.label || ''}`);
+
+// Sea level series of a tide gauge payload; falls back to the first series
+export const findSeaLevelSeries = datasets => datasets.find(ds => /sea_?level|water_?level|tide/i.test(ds.key || '')) || datasets[0];
+
+// Observed level, predicted tide and residual (surge) for one tide gauge, plus the next high/low waters.
+// data is the station's chartData entry; the fit uses whatever window is loaded.
+export default function TideAnalysisChart({ id, data, unit, themeKey, historical, fontSize = 10 }) {
+    const analysis = useMemo(() => {
+        const series = findSeaLevelSeries(data.datasets);
+        const times = data.labels.map(t => (t instanceof Date ? t : new Date(t)).getTime());
+        // QC suspect/fail points don't take part in the fit or the residual
+        const values = series.values.map((v, i) => (isFlagged(series.flags?.[i]) || v == null || v === '' ? null : Number(v)));
+        const fit = fitTide(times, values);
+        if (!fit) return { series, fit: null };
+
+        let lastObs = -Infinity;
+        for (const t of times) if (t > lastObs) lastObs = t;
+        const predicted = times.map(t => ({ x: t, y: predictTide(fit, t) }));
+        for (let t = lastObs + PREDICTION_STEP_MS; t <= lastObs + PREDICTION_HOURS * 3600000; t += PREDICTION_STEP_MS) {
+            predicted.push({ x: t, y: predictTide(fit, t) });
+        }
+        const residual = times.map((t, i) => ({ x: t, y: values[i] == null ? null : values[i] - predictTide(fit, t) }));
+        // Live view looks ahead from now; a historical range from the end of the range
+        const from = historical ? lastObs : Math.max(lastObs, Date.now());
+        const events = findTurningPoints(fit, from, 36).slice(0, EVENT_COUNT);
+        return { series, times, fit, predicted, residual, events };
+    }, [data, historical]);
+
+    const { chartBg, gridColor, textColor } = readChartTheme();
+    const { series, fit } = analysis;
+    const convertible = unit === 'ft' && isLengthSeries(series?.label);
+    const toUnit = v => (v != null && convertible ? v * M_TO_FT : v);
+    const unitLabel = convertible ? 'ft' : 'm';
+
+    if (!fit) {
+        return <div className="d-flex align-items-center justify-content-center text-center w-100 h-100" style={{background:chartBg,color:textColor,borderRadius:4,padding:'1rem'}}>
+            Harmonic analysis needs at least {MIN_TIDE_HOURS} hours of sea level data. Choose the 48 or 72 hour filter, or a historical range.
+        </div>;
+    }
+
+    const chartData = {
+        datasets: [
+            {
+                label: `Observed (${unitLabel})`,
+                data: analysis.times.map((t, i) => ({ x: t, y: toUnit(series.values[i] == null ? null : Number(series.values[i])) })),
+                borderColor: '#3399FF',
+                backgroundColor: '#3399FF',
+                borderWidth: 2,
+                pointRadius: 0,
+                yAxisID: 'y'
+            },
+            {
+                label: `Predicted tide (${unitLabel})`,
+                data: analysis.predicted.map(p => ({ x: p.x, y: toUnit(p.y) })),
+                borderColor: '#FFD633',
+                backgroundColor: 'transparent',
+                borderWidth: 2,
+                borderDash: [5, 5],
+                pointRadius: 0,
+                yAxisID: 'y'
+            },
+            {
+                label: `Residual (${unitLabel})`,
+                data: analysis.residual.map(p => ({ x: p.x, y: toUnit(p.y) })),
+                borderColor: '#FF5733',
+                backgroundColor: 'transparent',
+                borderWidth: 1.5,
+                pointRadius: 0,
+                yAxisID: 'y1'
+            }
+        ]
+    };
+
+    const options = {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'nearest', intersect: false },
+        plugins: {
+            legend: { display: false, labels: htmlLegendLabels(textColor) },
+            htmlLegend: { containerID: `legend-container-tide-${id}` },
+            tooltip: {
+                callbacks: {
+                    title: items => (items?.length ? formatUtc(items[0].parsed.x) : ''),
+                    label: item => `${item.dataset.label}: ${item.parsed.y == null ? '—' : Number(item.parsed.y).toFixed(3)}`
+                }
+            }
+        },
+        layout: { padding: { top: 10, left: 10, right: 10, bottom: 10 } },
+        scales: {
+            x: timeScale(textColor, gridColor, fontSize),
+            y: { type: 'linear', position: 'left', title: { display: true, text: `Sea level (${unitLabel})`, color: textColor }, ticks: { color: textColor }, grid: { color: gridColor } },
+            y1: { type: 'linear', position: 'right', title: { display: true, text: `Residual / surge (${unitLabel})`, color: textColor }, ticks: { color: textColor }, grid: { drawOnChartArea: false } }
+        }
+    };
+
+    return <div className="d-flex flex-column" style={{width:'100%',height:'100%',background:chartBg,borderRadius:4,minHeight:0}}>
+        <div id={`legend-container-tide-${id}`} style={{padding:'10px 10px 5px 10px', color: textColor}}></div>
+        <div style={{flex:1,minHeight:0,position:'relative'}}>
+            <Line key={`tide-${id}-${themeKey}`} data={chartData} options={options} style={{width:'100%',height:'100%'}} />
+        </div>
+        <div className="d-flex flex-wrap align-items-center" style={{gap:'0.25rem 1rem',padding:'4px 10px 8px',fontSize:'0.8rem',color:textColor}}>
+            {analysis.events.map(e => (
+                <span key={`${e.type}-${e.time.getTime()}`}>
+                    <strong>{e.type === 'high' ? 'HW' : 'LW'}</strong> {formatUtc(e.time)} · {toUnit(e.level).toFixed(2)} {unitLabel}
+                </span>
+            ))}
+            <span style={{opacity:0.7}} title="Constituents fitted over the loaded window and the fit's RMS error">
+                Fit {fit.constituents.map(c => c.name).join(', ')} over {Math.round(fit.durationHours)} h · RMSE {toUnit(fit.rmse).toFixed(3)} {unitLabel}
+            </span>
+        </div>
+    </div>;
+}
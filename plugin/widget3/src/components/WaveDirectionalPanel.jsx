@@ -0,0 +1,166 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Spinner } from 'react-bootstrap';
+import { isSpotterId, rampColor, RAMP_GRADIENT } from '../utils/stationDetails';
+import { directionalSpectrum, waveRose } from '@ocean-plugin/forecast-core/src/waves/directional';
+import { fetchSpotterSpectrum, roseSeries } from '../utils/waveDirectional';
+import { formatUtc } from '../utils/chartTheme';
+
+const SIZE = 300;
+const C = SIZE / 2;
+const R = C - 28;
+const COMPASS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+// Nautical bearing (clockwise from north) -> SVG point
+const point = (r, deg) => [C + r * Math.sin(deg * Math.PI / 180), C - r * Math.cos(deg * Math.PI / 180)];
+
+// Annular sector between radii r0 < r1 from bearing a0 to a1 (clockwise)
+const sectorPath = (r0, r1, a0, a1) => {
+    const large = a1 - a0 > 180 ? 1 : 0;
+    const [x0, y0] = point(r1, a0);
+    const [x1, y1] = point(r1, a1);
+    const [x2, y2] = point(r0, a1);
+    const [x3, y3] = point(r0, a0);
+    return `M${x0},${y0}A${r1},${r1} 0 ${large} 1 ${x1},${y1}L${x2},${y2}A${r0},${r0} 0 ${large} 0 ${x3},${y3}Z`;
+};
+
+// Rings at the given radii with labels, compass spokes and N/NE/... labels
+function PolarFrame({ rings, children }) {
+    const line = { stroke: 'var(--color-border,#cbd5e1)', strokeWidth: 0.75, fill: 'none' };
+    return (
+        <svg viewBox={`0 0 ${SIZE} ${SIZE}`} style={{width:'100%',height:'100%',maxHeight:SIZE + 40}} role="img">
+            {children}
+            {COMPASS.map((label, i) => {
+                const [x, y] = point(R, i * 45);
+                const [lx, ly] = point(R + 15, i * 45);
+                return (
+                    <g key={label}>
+                        <line x1={C} y1={C} x2={x} y2={y} style={line} />
+                        <text x={lx} y={ly} textAnchor="middle" dominantBaseline="central" style={{fill:'var(--color-text)',fontSize:11,fontWeight:label === 'N' ? 700 : 400}}>{label}</text>
+                    </g>
+                );
+            })}
+            {rings.map(({ r, label }) => (
+                <g key={label}>
+                    <circle cx={C} cy={C} r={r} style={line} />
+                    <text x={C + 3} y={C - r - 2} style={{fill:'var(--color-text)',fontSize:9,opacity:0.75}}>{label}</text>
+                </g>
+            ))}
+        </svg>
+    );
+}
+
+function SpectrumPlot({ spectrum }) {
+    const fMax = spectrum.frequencies[spectrum.frequencies.length - 1] + spectrum.bandwidths[spectrum.bandwidths.length - 1] / 2;
+    const eMax = Math.max(...spectrum.energy.flat()) || 1;
+    const radius = f => (Math.max(0, f) / fMax) * R;
+    const half = spectrum.binWidth / 2;
+    const rings = [0.1, 0.2, 0.3, 0.4, 0.5].filter(f => f < fMax).map(f => ({ r: radius(f), label: `${f} Hz` }));
+    return (
+        <PolarFrame rings={rings}>
+            {spectrum.frequencies.map((f, i) => spectrum.directions.map((dir, j) => {
+                const e = spectrum.energy[i][j];
+                // Cells under 1% of the peak are left empty so the spectrum stands out
+                if (e < eMax * 0.01) return null;
+                return (
+                    <path key={`${i}-${j}`} d={sectorPath(radius(f - spectrum.bandwidths[i] / 2), radius(f + spectrum.bandwidths[i] / 2), dir - half, dir + half)} fill={rampColor(e / eMax)}>
+                        <title>{`${dir}° · ${f.toFixed(3)} Hz (${(1 / f).toFixed(1)} s): ${e.toFixed(4)} m²/Hz/°`}</title>
+                    </path>
+                );
+            }))}
+        </PolarFrame>
+    );
+}
+
+function RosePlot({ rose }) {
+    const totals = rose.sectors.map(s => s.percents.reduce((a, b) => a + b, 0));
+    const step = Math.max(...totals) > 20 ? 10 : 5;
+    const scaleMax = Math.max(step, Math.ceil(Math.max(...totals) / step) * step);
+    const radius = p => (p / scaleMax) * R;
+    const half = 180 / rose.sectors.length * 0.9;
+    const rings = [];
+    for (let p = step; p <= scaleMax; p += step) rings.push({ r: radius(p), label: `${p}%` });
+    return (
+        <PolarFrame rings={rings}>
+            {rose.sectors.map(s => {
+                let cum = 0;
+                return s.percents.map((p, c) => {
+                    if (!p) return null;
+                    const path = sectorPath(radius(cum), radius(cum + p), s.direction - half, s.direction + half);
+                    cum += p;
+                    return (
+                        <path key={`${s.direction}-${c}`} d={path} fill={rampColor(c / (rose.classes.length - 1))} style={{stroke:'var(--color-surface,#fff)',strokeWidth:0.5}}>
+                            <title>{`${s.direction}° · ${rose.classes[c].label}: ${p.toFixed(1)}%`}</title>
+                        </path>
+                    );
+                });
+            })}
+        </PolarFrame>
+    );
+}
+
+// Directional view for a wave buoy in the expanded overlay: the directional spectrum of the latest Spotter
+// observation (frequency outwards) and a wave rose of height by direction over the loaded chart window.
+export default function WaveDirectionalPanel({ id, data }) {
+    const [rawSpectrum, setRawSpectrum] = useState(null);
+    const [spectrumState, setSpectrumState] = useState(isSpotterId(id) ? 'loading' : 'none');
+
+    useEffect(() => {
+        if (!isSpotterId(id)) { setSpectrumState('none'); return undefined; }
+        const controller = new AbortController();
+        setSpectrumState('loading');
+        setRawSpectrum(null);
+        fetchSpotterSpectrum(id, { signal: controller.signal })
+            .then(s => { setRawSpectrum(s); setSpectrumState(s ? 'ok' : 'none'); })
+            .catch(() => { if (!controller.signal.aborted) setSpectrumState('error'); });
+        return () => controller.abort();
+    }, [id]);
+
+    const spectrum = useMemo(() => directionalSpectrum(rawSpectrum), [rawSpectrum]);
+    const series = useMemo(() => roseSeries(data?.fullSeries || data), [data]);
+    const rose = useMemo(() => (series ? waveRose(series.directions, series.heights) : null), [series]);
+
+    const panel = { flex:'1 1 320px', minWidth:0, display:'flex', flexDirection:'column', alignItems:'center' };
+    const caption = { fontSize:'0.8rem', opacity:0.8, textAlign:'center' };
+    const message = text => <div className="d-flex align-items-center justify-content-center flex-grow-1" style={{opacity:0.7}}>{text}</div>;
+
+    return (
+        <div className="d-flex flex-wrap gap-3 h-100" style={{color:'var(--color-text)',overflow:'auto'}}>
+            <div style={panel}>
+                <div style={{fontWeight:600}}>Directional spectrum</div>
+                {spectrumState === 'loading' && message(<><Spinner animation="border" size="sm" className="me-2" />Loading spectrum...</>)}
+                {spectrumState === 'error' && message('Could not load the spectrum from the Spotter proxy')}
+                {(spectrumState === 'none' || (spectrumState === 'ok' && !spectrum)) && message('No directional spectrum for this station')}
+                {spectrumState === 'ok' && spectrum && (
+                    <>
+                        <div style={caption}>
+                            {spectrum.timestamp ? formatUtc(spectrum.timestamp) : ''} · Hs {spectrum.hs.toFixed(2)} m · Tp {spectrum.peak.period.toFixed(1)} s
+                            from {Math.round(spectrum.peak.direction)}° ± {Math.round(spectrum.peak.spread)}°
+                        </div>
+                        <SpectrumPlot spectrum={spectrum} />
+                        <div className="small d-flex align-items-center gap-2" style={{opacity:0.85}}>
+                            <span>low</span><span style={{width:120,height:8,borderRadius:2,background:RAMP_GRADIENT}} /><span>high energy (m²/Hz/°)</span>
+                        </div>
+                    </>
+                )}
+            </div>
+            <div style={panel}>
+                <div style={{fontWeight:600}}>Wave rose</div>
+                {!rose?.count ? message('No wave height and direction in the loaded window') : (
+                    <>
+                        <div style={caption}>
+                            {rose.count.toLocaleString()} observations, {formatUtc(series.start)} – {formatUtc(series.end)} · {series.directionLabel}
+                        </div>
+                        <RosePlot rose={rose} />
+                        <div className="small d-flex flex-wrap justify-content-center gap-2" style={{opacity:0.85}}>
+                            {rose.classes.map((cls, c) => (
+                                <span key={cls.label} className="d-flex align-items-center gap-1">
+                                    <span style={{width:10,height:10,borderRadius:2,background:rampColor(c / (rose.classes.length - 1))}} />{cls.label}
+                                </span>
+                            ))}
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
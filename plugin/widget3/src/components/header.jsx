@@ -65,6 +65,9 @@ export default function Header({ theme, toggleTheme }) {
         {/* Navigation Items */}
         <div className="flex-grow-1 d-flex align-items-center justify-content-end" id="navbarNav">
           <ul className="navbar-nav mb-0 d-flex align-items-center">
+            <li className="nav-item d-flex align-items-center me-3">
+              <Link to="/health" className="nav-link p-0" style={{ color: '#60a5fa', fontWeight: 600 }}>Station health</Link>
+            </li>
             <li className="nav-item d-flex align-items-center">
               <ThemeToggle theme={theme} toggleTheme={toggleTheme} />
             </li>
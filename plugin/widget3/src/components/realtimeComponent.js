@@ -1,12 +1,25 @@
 //working code
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { Container, Button, Form, Spinner, Badge, Card, Row, Col } from 'react-bootstrap';
-import { FaWaveSquare, FaArrowLeft } from 'react-icons/fa';
+import { Link } from 'react-router-dom';
+import { FaWaveSquare, FaArrowLeft, FaDownload, FaInfoCircle } from 'react-icons/fa';
 import { Line } from 'react-chartjs-2';
 import { Chart as ChartJS, LineElement, PointElement, LinearScale, TimeScale, Tooltip, Legend, Filler, CategoryScale } from 'chart.js';
 import 'chartjs-adapter-date-fns';
 import Lottie from 'lottie-react';
 import animationData from './live.json';
+import TideAnalysisChart, { isTideGauge } from './TideAnalysisChart';
+import DartEventChart from './DartEventChart';
+import StationComparison from './StationComparison';
+import StationStatsChart from './StationStatsChart';
+import DataDownloadModal from './DataDownloadModal';
+import WaveDirectionalPanel from './WaveDirectionalPanel';
+import { isDartStation, DEFAULT_ANOMALY_THRESHOLD_M } from '../utils/dart';
+import { isWaveBuoy } from '../utils/waveDirectional';
+import { HISTORY_PAGE_SIZE, fetchHistoryPages, parseInsituRows, medianSampleMinutes, downsampleMinMax, sliceRows, toUtcInputValue, fromUtcInputValue } from '../utils/insituSeries';
+import { readChartTheme, isLengthSeries, M_TO_FT, timeScale, htmlLegendLabels, fixedColors } from '../utils/chartTheme';
+import { subscribeLiveUpdates } from '../utils/liveUpdates';
+import { runQc, qcConfigFor, isFlagged, countFlagged, QC_COLORS, QC_SUSPECT, QC_FAIL, QC_FLAG_NAMES } from '../utils/qc';
 import './Dashboard.css';
 
 // Custom htmlLegend plugin to render legends with proper line dash patterns
@@ -96,37 +109,80 @@ const getOrCreateLegendList = (chart, id) => {
 
 ChartJS.register(LineElement, PointElement, LinearScale, TimeScale, Tooltip, Legend, Filler, CategoryScale, htmlLegendPlugin);
 
-const fixedColors = [
-    '#FF5733', // Bright Orange-Red
-    '#33FFB5', // Bright Mint
-    '#FFD633', // Bright Yellow
-    '#3399FF', // Bright Blue
-    '#FF33F5', // Bright Magenta
-    '#33FF57'  // Bright Green
-];
+// Clean up station display names: if a known station-type prefix (e.g. "Tide Gauge",
+// "DART Buoy" or "Wave Buoy") appears at both the start and the end, drop the trailing
+// one, then strip any trailing comma/hyphen/dash left behind. Matching is space-
+// insensitive so "Wave Buoy" and "Wavebuoy" are treated the same.
+const cleanStationLabel = (label = '') => {
+    let s = String(label).trim();
+    const types = ['tide gauge', 'dart buoy', 'wave buoy'];
+    for (const t of types) {
+        const pat = t.replace(/ /g, '\\s*');
+        const startRe = new RegExp(`^${pat}`, 'i');
+        const endRe = new RegExp(`${pat}\\s*$`, 'i');
+        if (startRe.test(s) && endRe.test(s)) {
+            s = s.replace(endRe, '').trim();
+            break;
+        }
+    }
+    s = s.replace(/[,\-–—]\s*$/, '').trim();
+    return s;
+};
+
+// Historical mode downsamples anything longer than MAX_CHART_POINTS for charting
+const MAX_CHART_POINTS = 3000;
+const DEFAULT_HISTORY_DAYS = 7;
 // Dynamic flag loader now uses country_short fetched in searchComponent; fallback handled via onError
 
-// Outlier removal removed: raw values will be used directly.
+// Raw values are charted as-is; QARTOD-style QC (utils/qc) flags suspect/failed points instead of dropping them.
 
-export default function RealtimeComponent({ selectedStations, setDashboardGenerated, buoyOptions, sharedCountryMap = {}, initialLiveMode = false }) {
+export default function RealtimeComponent({ selectedStations, setDashboardGenerated, buoyOptions, sharedCountryMap = {}, initialLiveMode = false, initialHistoryRange = null }) {
     const [stationData, setStationData] = useState({});
     const [chartData, setChartData] = useState({});
     const isLoadingChartsRef = useRef(false);
     // Hour-based window for display/fetch tuning (12,18,24,48,72); default 12h
     const [hourWindow, setHourWindow] = useState(12);
     const [liveMode, setLiveMode] = useState(true);
+    // 'live' shows the latest hourWindow; 'historical' loads the applied start/end range
+    const [viewMode, setViewMode] = useState(initialHistoryRange ? 'historical' : 'live');
+    // Date inputs (UTC, datetime-local strings) vs the range actually loaded, so typing doesn't refetch
+    const [historyInput, setHistoryInput] = useState(() => {
+        const end = initialHistoryRange?.end || new Date();
+        const start = initialHistoryRange?.start || new Date(end.getTime() - DEFAULT_HISTORY_DAYS * 86400000);
+        return { start: toUtcInputValue(start), end: toUtcInputValue(end) };
+    });
+    const [historyRange, setHistoryRange] = useState(initialHistoryRange);
+    const [historyError, setHistoryError] = useState('');
+    const historical = viewMode === 'historical';
     // Station currently expanded in overlay (double-click)
     const [expandedStationId, setExpandedStationId] = useState(null);
+    // Wave buoys only: the overlay shows the directional spectrum and wave rose instead of the time series
+    const [overlayDirectional, setOverlayDirectional] = useState(false);
     const [offcanvasHeight, setOffcanvasHeight] = useState(400);
     const isDraggingRef = useRef(false);
     const appliedInitialLiveModeRef = useRef(false);
     const [shareStatus, setShareStatus] = useState('');
     // Display unit for length/height series: 'm' (default) or 'ft'
     const [unit, setUnit] = useState('m');
+    // Drop QC suspect/fail points from the charts instead of highlighting them
+    const [hideFlagged, setHideFlagged] = useState(false);
+    // Chart view per station when not the default: 'raw', 'tide' (tide gauges) or 'dart' (DART buoys)
+    const [stationViews, setStationViews] = useState({});
+    // DART view settings shared by all DART stations: anomaly threshold (m) and earthquake origin (UTC input)
+    const [dartThreshold, setDartThreshold] = useState(DEFAULT_ANOMALY_THRESHOLD_M);
+    const [quakeOriginInput, setQuakeOriginInput] = useState('');
+    // Comparison view: one variable from all selected stations on a shared axis, instead of the grid
+    const [compareMode, setCompareMode] = useState(false);
+    // Stations preselected in the download dialog; null while it is closed ([] = all loaded stations)
+    const [downloadIds, setDownloadIds] = useState(null);
     // themeKey increments when body class (light/dark) changes so charts fully re-render with new colors
     const [themeKey, setThemeKey] = useState(0);
-    const refreshIntervalRef = useRef(null);
-    const REFRESH_INTERVAL = 300000;
+    // How live mode is receiving new rows: 'push' (SSE relay), 'polling' (since-last-timestamp) or null
+    const [liveChannel, setLiveChannel] = useState(null);
+    // Stations whose full load has finished; live updates (re)subscribe from their last loaded observation
+    const [loadedStations, setLoadedStations] = useState([]);
+    // Latest chartData for the live channel, which must not resubscribe on every append
+    const chartDataRef = useRef(chartData);
     const controlsRef = useRef(null);
     // Keep last known sampling interval per station without triggering renders
     const sampleMinutesRef = useRef({});
@@ -149,26 +205,6 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
         return {};
     }, [buoyOptions, sharedCountryMap]);
 
-    // Clean up station display names: if a known station-type prefix (e.g. "Tide Gauge",
-    // "DART Buoy" or "Wave Buoy") appears at both the start and the end, drop the trailing
-    // one, then strip any trailing comma/hyphen/dash left behind. Matching is space-
-    // insensitive so "Wave Buoy" and "Wavebuoy" are treated the same.
-    const cleanStationLabel = (label = '') => {
-        let s = String(label).trim();
-        const types = ['tide gauge', 'dart buoy', 'wave buoy'];
-        for (const t of types) {
-            const pat = t.replace(/ /g, '\\s*');
-            const startRe = new RegExp(`^${pat}`, 'i');
-            const endRe = new RegExp(`${pat}\\s*$`, 'i');
-            if (startRe.test(s) && endRe.test(s)) {
-                s = s.replace(endRe, '').trim();
-                break;
-            }
-        }
-        s = s.replace(/[,\-–—]\s*$/, '').trim();
-        return s;
-    };
-
     // Station metadata now comes from buoyOptions prop only; no fetch needed
     const fetchStationData = useCallback(() => {
         const map = {};
@@ -187,7 +223,9 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
     }, [selectedStations, buoyOptions, sharedCountryMap]);
 
     // New generic fetch for insitu station timeseries using station_id from API
-    const fetchInsituData = useCallback(async (stationId, limit, reason = '') => {
+    // Optional range {start, end} (Dates) bounds the request; limit still caps the rows returned.
+    // retryEmpty=false skips the empty-response retry for requests where no rows is the normal answer.
+    const fetchInsituData = useCallback(async (stationId, limit, reason = '', range = null, retryEmpty = true) => {
         const inferDataLabelsFromRows = (rows) => {
             if (!Array.isArray(rows) || !rows.length) return '';
             const firstObj = rows.find(r => r && typeof r === 'object' && !Array.isArray(r));
@@ -215,7 +253,10 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
 
         for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
             try {
-                const url = `https://ocean-obs-api.spc.int/insitu/get_data/station/${stationId}?limit=${limit}`;
+                const params = new URLSearchParams({ limit: String(limit) });
+                if (range?.start) params.set('start', range.start.toISOString());
+                if (range?.end) params.set('end', range.end.toISOString());
+                const url = `https://ocean-obs-api.spc.int/insitu/get_data/station/${stationId}?${params}`;
                 // console.log(`[fetchInsituData] Fetching station ${stationId} with limit ${limit}. Reason: ${reason}`);
 
                 // Create AbortController for timeout
@@ -278,7 +319,7 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
 
                 // If API returns empty occasionally, retry once before declaring empty.
                 if (!actualData || actualData.length === 0) {
-                    if (attempt < MAX_ATTEMPTS) {
+                    if (retryEmpty && attempt < MAX_ATTEMPTS) {
                         await sleep(350 + Math.floor(Math.random() * 350));
                         continue;
                     }
@@ -318,6 +359,12 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
         return null;
     }, []);
 
+    // Historical window of one station, paged through get_data (see fetchHistoryPages)
+    const fetchInsituHistory = useCallback(
+        (stationId, range) => fetchHistoryPages((limit, bounds, label) => fetchInsituData(stationId, limit, label, bounds), range),
+        [fetchInsituData]
+    );
+
     const initializeChartData = useCallback(async () => {
         const requestId = ++requestSeqRef.current;
 
@@ -330,36 +377,13 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
         isLoadingChartsRef.current = true;
 
         try {
-            if (!selectedStations.length) return;
+            if (!selectedStations.length) { setLoadedStations([]); return; }
+            // Historical mode waits until a range has been applied
+            if (historical && !historyRange) return;
 
             const newChartData = {};
             const CONCURRENCY = 4;
 
-            const parseToDate = (value) => {
-                if (value instanceof Date) return value;
-                if (value == null) return new Date(NaN);
-
-                if (typeof value === 'number') return new Date(value);
-
-                if (typeof value === 'string') {
-                    const s = value.trim();
-                    // Fast path: native Date can parse most ISO strings including timezone offsets
-                    const d1 = new Date(s);
-                    if (!isNaN(d1)) return d1;
-
-                    // Fallback: handle "YYYY-MM-DD HH:MM[:SS]" (assume UTC)
-                    const m = s.match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2})(?::\d{2}(?:\.\d+)?)?$/);
-                    if (m) {
-                        const d2 = new Date(`${m[1]}T${m[2]}Z`);
-                        if (!isNaN(d2)) return d2;
-                    }
-
-                    return new Date(NaN);
-                }
-
-                return new Date(value);
-            };
-
             const processStation = async (spotterId) => {
                 const station = getStationDetails(spotterId);
                 const stationId = station.spotter_id; // use station_id instead of numeric id
@@ -382,17 +406,22 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
                     return;
                 }
 
-                // Determine fetch size (effectiveLimit) purely from hourWindow & prior sampling interval.
-                const priorStep = sampleMinutesRef.current[spotterId] || 1; // assume 1-minute if unknown
-                const effectiveLimit = hourWindow
-                    ? Math.max(1, Math.ceil((Number(hourWindow) * 60) / priorStep))
-                    : 4000;
-
-                const data = await fetchInsituData(
-                    stationId,
-                    effectiveLimit,
-                    `initializeChartData - Live: ${liveMode} - Hours: ${hourWindow ?? 'all'}`
-                );
+                let data;
+                if (historical) {
+                    data = await fetchInsituHistory(stationId, historyRange);
+                } else {
+                    // Determine fetch size (effectiveLimit) purely from hourWindow & prior sampling interval.
+                    const priorStep = sampleMinutesRef.current[spotterId] || 1; // assume 1-minute if unknown
+                    const effectiveLimit = hourWindow
+                        ? Math.max(1, Math.ceil((Number(hourWindow) * 60) / priorStep))
+                        : 4000;
+
+                    data = await fetchInsituData(
+                        stationId,
+                        effectiveLimit,
+                        `initializeChartData - Live: ${liveMode} - Hours: ${hourWindow ?? 'all'}`
+                    );
+                }
 
                 if (!data) {
                     newChartData[spotterId] = {
@@ -407,7 +436,7 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
                 }
 
                 // station_type currently unused after removal of outlier logic; omit to avoid lint warning
-                const { data: rows = [], data_labels, chart_type, isEmpty, isTimeout, stationNotFound, notFound } = data;
+                const { data: rows = [], data_labels, chart_type, isEmpty, isTimeout, stationNotFound, notFound, truncated } = data;
 
                 if (isEmpty || stationNotFound || notFound || !rows.length) {
                     newChartData[spotterId] = {
@@ -419,6 +448,8 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
                         isTimeout: isTimeout,
                         stationNotFound: stationNotFound,
                         notFound: notFound,
+                        // Historical range beyond the rows the API would serve
+                        truncated: Boolean(truncated),
                         noData: true
                     };
                     return;
@@ -438,52 +469,9 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
                     return;
                 }
 
-                // data_labels example: "sea_level,time"; sometimes can be empty even when rows exist
-                let labelsString = (data_labels || '').toString().trim();
-                if (!labelsString && rows.length && rows[0] && typeof rows[0] === 'object' && !Array.isArray(rows[0])) {
-                    labelsString = Object.keys(rows[0]).join(',');
-                }
-
-                if (!labelsString) {
-                    newChartData[spotterId] = {
-                        labels: [],
-                        datasets: [],
-                        lastUpdated: new Date().toISOString(),
-                        meta: metaBase,
-                        noData: true,
-                        isEmpty: true
-                    };
-                    return;
-                }
-
-                const labelsArr = labelsString.split(',').map(s => s.trim()).filter(Boolean);
-                const hintedTimeKey =
-                    labelsArr.find(l => l.toLowerCase() === 'time') ||
-                    labelsArr.find(l => l.toLowerCase().includes('time')) ||
-                    labelsArr.find(l => l.toLowerCase().includes('date')) ||
-                    'time';
-
-                // Resolve time key against actual row keys (case-insensitive and with common aliases)
-                let resolvedTimeKey = hintedTimeKey;
-                if (rows[0] && typeof rows[0] === 'object' && !Array.isArray(rows[0])) {
-                    const objKeys = Object.keys(rows[0]);
-                    const exactCI = objKeys.find(k => k.toLowerCase() === hintedTimeKey.toLowerCase());
-                    if (exactCI) {
-                        resolvedTimeKey = exactCI;
-                    } else if (!(hintedTimeKey in rows[0])) {
-                        resolvedTimeKey =
-                            objKeys.find(k => k.toLowerCase().includes('time')) ||
-                            objKeys.find(k => k.toLowerCase().includes('date')) ||
-                            hintedTimeKey;
-                    }
-                }
-
-                let yKeys = labelsArr.filter(l => l.toLowerCase() !== resolvedTimeKey.toLowerCase());
-                if (!yKeys.length && rows[0] && typeof rows[0] === 'object' && !Array.isArray(rows[0])) {
-                    yKeys = Object.keys(rows[0]).filter(k => k.toLowerCase() !== resolvedTimeKey.toLowerCase());
-                }
-
-                if (!yKeys.length) {
+                // data_labels example: "sea_level,time"; rows without a usable time/value column count as empty
+                const parsed = parseInsituRows(rows, data_labels);
+                if (!parsed) {
                     newChartData[spotterId] = {
                         labels: [],
                         datasets: [],
@@ -495,64 +483,29 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
                     return;
                 }
 
-                // Parse times robustly and drop rows with invalid timestamps (keeps datasets aligned)
-                const parsedDates = rows.map(r => parseToDate(r?.[resolvedTimeKey]));
-                const validIdx = [];
-                for (let i = 0; i < parsedDates.length; i++) {
-                    if (!isNaN(parsedDates[i])) validIdx.push(i);
-                }
-
-                if (!validIdx.length) {
-                    newChartData[spotterId] = {
-                        labels: [],
-                        datasets: [],
-                        lastUpdated: new Date().toISOString(),
-                        meta: metaBase,
-                        noData: true,
-                        isEmpty: true
-                    };
-                    return;
-                }
+                const { labels: labelDates, datasets: rawDatasets } = parsed;
+                // Sampling interval (median delta) in minutes for this station
+                const sampleMinutes = medianSampleMinutes(labelDates);
 
-                const labelDates = validIdx.map(i => parsedDates[i]);
-                const rawDatasets = yKeys.map((k, idx) => {
-                    const rawValues = validIdx.map(i => {
-                        const val = rows[i]?.[k];
-                        if (val === -999) return null; // treat sentinel -999 as missing
-                        return val;
-                    });
-
-                    return {
-                        key: k,
-                        label: k.replace(/_/g, ' '),
-                        values: rawValues,
-                        originalValues: rawValues,
-                        axis: idx === 0 ? 'y1' : idx === 1 ? 'y2' : 'y3'
-                    };
-                });
-
-                // Determine sampling interval (median delta) in minutes for this station
-                let sampleMinutes = 1;
-                if (labelDates.length > 1) {
-                    const deltas = [];
-                    for (let i = 1; i < labelDates.length; i++) {
-                        const dt = labelDates[i].getTime() - labelDates[i - 1].getTime();
-                        if (dt > 0) deltas.push(dt);
-                    }
-                    if (deltas.length) {
-                        deltas.sort((a, b) => a - b);
-                        const mid = Math.floor(deltas.length / 2);
-                        const medianMs = deltas.length % 2 ? deltas[mid] : (deltas[mid - 1] + deltas[mid]) / 2;
-                        sampleMinutes = Math.max(1, Math.round(medianMs / 60000));
-                    }
-                }
+                // QC runs on the full fetched series, before windowing, so spike/flatline tests see their neighbours
+                const timesMs = labelDates.map(d => d.getTime());
+                const qcDatasets = rawDatasets.map(ds => ({ ...ds, ...runQc(timesMs, ds.values, qcConfigFor(ds.key), sampleMinutes) }));
 
                 // If an hour window is selected, strictly filter to that time window based on the maximum timestamp
                 let finalLabels = labelDates;
-                let finalDatasets = rawDatasets;
+                let finalDatasets = qcDatasets;
                 let filteredEmpty = false;
-                if (hourWindow && labelDates.length) {
-                    const timesMs = labelDates.map(d => d.getTime());
+                let pointCount = labelDates.length;
+                let downsampled = false;
+                let qcFlagged = null;
+                if (historical) {
+                    qcFlagged = qcDatasets.reduce((n, ds) => n + countFlagged(ds.flags), 0);
+                    // Rows are already bounded by the range; long ranges are thinned for Chart.js
+                    const reduced = downsampleMinMax(labelDates, qcDatasets, MAX_CHART_POINTS);
+                    finalLabels = reduced.labels;
+                    finalDatasets = reduced.datasets;
+                    downsampled = reduced.downsampled;
+                } else if (hourWindow && labelDates.length) {
                     const maxTime = Math.max(...timesMs);
                     const cutoff = maxTime - Number(hourWindow) * 3600000;
                     const indices = [];
@@ -562,16 +515,14 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
                     }
                     if (indices.length) {
                         finalLabels = indices.map(i => labelDates[i]);
-                        finalDatasets = rawDatasets.map(ds => ({
-                            ...ds,
-                            values: indices.map(i => ds.values[i])
-                        }));
+                        finalDatasets = qcDatasets.map(ds => sliceRows(ds, indices));
                     } else {
                         // No points fall within the requested window
                         filteredEmpty = true;
                         finalLabels = [];
-                        finalDatasets = rawDatasets.map(ds => ({ ...ds, values: [] }));
+                        finalDatasets = qcDatasets.map(ds => sliceRows(ds, []));
                     }
+                    pointCount = finalLabels.length;
                 }
 
                 const effectiveChartType = (chart_type || '').toString().toLowerCase();
@@ -583,7 +534,14 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
                     noData: false,
                     filteredEmpty,
                     chartType: effectiveChartType,
-                    sampleMinutes
+                    sampleMinutes,
+                    pointCount,
+                    // Counted before downsampling so thinned-out flags still show in the card badge
+                    qcFlagged: qcFlagged ?? finalDatasets.reduce((n, ds) => n + countFlagged(ds.flags), 0),
+                    downsampled,
+                    // Unthinned rows for downloads, which export what was loaded rather than what is drawn
+                    fullSeries: downsampled ? { labels: labelDates, datasets: qcDatasets } : null,
+                    truncated: Boolean(truncated)
                 };
 
                 // Store sampling interval for next fetch sizing without creating state dependency loops
@@ -631,7 +589,8 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
                                 !Array.isArray(next.datasets) ||
                                 !next.datasets.length));
 
-                    if (prevHasUsableData && nextLooksBad) {
+                    // A historical range with no data is a real answer, not a refresh glitch
+                    if (prevHasUsableData && nextLooksBad && !historical) {
                         merged[spotterId] = {
                             ...prevEntry,
                             lastUpdated: new Date().toISOString(),
@@ -644,6 +603,8 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
                 }
                 return merged;
             });
+            // A new array on every load so the live channel reopens with `since` at the loaded data's end
+            setLoadedStations([...selectedStations]);
         } finally {
             isLoadingChartsRef.current = false;
             if (pendingInitRef.current) {
@@ -652,7 +613,7 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
                 setTimeout(() => initializeChartData(), 0);
             }
         }
-    }, [selectedStations, hourWindow, fetchInsituData, getStationDetails, stationData, sharedCountryMap, liveMode]);
+    }, [selectedStations, hourWindow, fetchInsituData, fetchInsituHistory, getStationDetails, stationData, sharedCountryMap, liveMode, historical, historyRange]);
 
     useEffect(() => { fetchStationData(); }, [fetchStationData]);
     useEffect(() => { initializeChartData(); }, [initializeChartData]);
@@ -675,19 +636,115 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
         obs.observe(body, { attributes: true });
         return () => obs.disconnect();
     }, []);
+    useEffect(() => { chartDataRef.current = chartData; }, [chartData]);
+
+    // Append rows newer than a station's last label, then re-window to hourWindow and re-run QC on the
+    // window (spike/flatline flags near the old end can change once later rows arrive).
+    const appendObservations = useCallback((spotterId, payload) => {
+        const parsed = parseInsituRows(payload.data, payload.data_labels);
+        if (!parsed) return;
+        setChartData(prev => {
+            const entry = prev[spotterId];
+            // Nothing to append to yet; the full load in flight will include these rows
+            if (!entry || entry.noData || !entry.labels?.length) return prev;
+
+            let lastMs = -Infinity;
+            for (const d of entry.labels) if (d.getTime() > lastMs) lastMs = d.getTime();
+            const fresh = parsed.labels
+                .map((d, i) => i)
+                .filter(i => parsed.labels[i].getTime() > lastMs)
+                .sort((a, b) => parsed.labels[a] - parsed.labels[b]);
+            if (!fresh.length) return prev;
+
+            let labels = [...entry.labels, ...fresh.map(i => parsed.labels[i])];
+            let datasets = entry.datasets.map(ds => {
+                const src = parsed.datasets.find(p => p.key === ds.key);
+                const added = fresh.map(i => (src ? src.values[i] : null));
+                const values = [...ds.values, ...added];
+                return { ...ds, values, originalValues: values };
+            });
+
+            if (hourWindow) {
+                const cutoff = labels[labels.length - 1].getTime() - Number(hourWindow) * 3600000;
+                const keep = [];
+                for (let i = 0; i < labels.length; i++) if (labels[i].getTime() >= cutoff) keep.push(i);
+                if (keep.length < labels.length) {
+                    labels = keep.map(i => labels[i]);
+                    datasets = datasets.map(ds => sliceRows(ds, keep));
+                }
+            }
+
+            const timesMs = labels.map(d => d.getTime());
+            const sampleMinutes = entry.sampleMinutes || 1;
+            datasets = datasets.map(ds => ({ ...ds, ...runQc(timesMs, ds.values, qcConfigFor(ds.key), sampleMinutes) }));
+
+            return {
+                ...prev,
+                [spotterId]: {
+                    ...entry,
+                    labels,
+                    datasets,
+                    lastUpdated: new Date().toISOString(),
+                    filteredEmpty: false,
+                    stale: false,
+                    pointCount: labels.length,
+                    qcFlagged: datasets.reduce((n, ds) => n + countFlagged(ds.flags), 0)
+                }
+            };
+        });
+    }, [hourWindow]);
+
+    // Live mode follows the selected stations over the push relay (or since-last-timestamp polling),
+    // appending new rows instead of re-fetching every window. Full loads only happen on selection/window changes;
+    // the channel opens once a load is in, so the relay can replay what arrived after the loaded rows.
     useEffect(() => {
-        if (!liveMode) { if (refreshIntervalRef.current) clearInterval(refreshIntervalRef.current); return; }
-        refreshIntervalRef.current = setInterval(() => initializeChartData(), REFRESH_INTERVAL);
-        return () => { if (refreshIntervalRef.current) clearInterval(refreshIntervalRef.current); };
-    }, [liveMode, initializeChartData]);
+        if (!liveMode || historical || !loadedStations.length) { setLiveChannel(null); return; }
+
+        const lastObservationMs = id => {
+            const labels = chartDataRef.current[id]?.labels;
+            if (!labels?.length) return undefined;
+            let last = -Infinity;
+            for (const d of labels) if (d.getTime() > last) last = d.getTime();
+            return last;
+        };
+        const fetchSince = (id, sinceMs) => {
+            // Size the request from the gap and the station's sampling interval, with headroom for jitter
+            const step = sampleMinutesRef.current[id] || 1;
+            const limit = Math.min(HISTORY_PAGE_SIZE, Math.ceil((Date.now() - sinceMs) / 60000 / step) + 10);
+            return fetchInsituData(id, limit, 'live since', { start: new Date(sinceMs + 1) }, false);
+        };
+
+        return subscribeLiveUpdates({
+            stations: loadedStations,
+            getSince: lastObservationMs,
+            fetchSince,
+            onObservations: appendObservations,
+            onChannel: setLiveChannel
+        });
+    }, [liveMode, historical, loadedStations, fetchInsituData, appendObservations]);
 
     const toggleLiveMode = () => setLiveMode(m=>!m);
+
+    const applyHistoryRange = () => {
+        const start = fromUtcInputValue(historyInput.start);
+        const end = fromUtcInputValue(historyInput.end);
+        if (isNaN(start) || isNaN(end)) { setHistoryError('Enter a start and end date'); return; }
+        if (start >= end) { setHistoryError('Start must be before end'); return; }
+        setHistoryError('');
+        setHistoryRange({ start, end });
+    };
+
+    const changeViewMode = next => {
+        setViewMode(next);
+        if (next === 'historical' && !historyRange) applyHistoryRange();
+    };
     const handleBack = () => setDashboardGenerated(false);
     // Legacy dataLimit control removed; hourWindow now solely governs fetch sizing.
 
     // Handle double click to expand a station chart
     const handleExpand = id => {
         setExpandedStationId(id);
+        setOverlayDirectional(false);
     };
     const handleCloseExpand = useCallback(() => setExpandedStationId(null), []);
 
@@ -734,6 +791,7 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
                 if (st?.country_short) countryMap[id] = st.country_short;
             });
             const payload = { s: selectedStations, h: hourWindow || 0, c: countryMap, lm: liveMode ? 1 : 0 };
+            if (historical && historyRange) payload.hr = [historyRange.start.toISOString(), historyRange.end.toISOString()];
             const encoded = encodeURIComponent(btoa(JSON.stringify(payload)));
             const url = new URL(window.location.href);
             url.searchParams.set('rtd', encoded);
@@ -791,6 +849,11 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
                     <>
                         <Lottie animationData={animationData} style={{width:30,height:30,marginRight:5}} loop />
                         <span className="text-success">Live Mode</span>
+                        {liveChannel && (
+                            <small className="ms-2 text-muted" title={liveChannel === 'push' ? 'New observations are pushed by the live relay' : 'Live relay unavailable; checking for new observations every minute'}>
+                                ({liveChannel === 'push' ? 'push' : 'polling'})
+                            </small>
+                        )}
                     </>
                 ) : (
                     <span style={{color: active?'#6c757d':'#dc3545'}}>{active?'Live Mode (Inactive)':'Live Mode Disabled (Station Inactive)'}</span>
@@ -799,18 +862,35 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
         );
     };
 
+    // DART stations open in the tsunami view; everything else starts on the raw chart
+    const stationView = id => {
+        const st = getStationDetails(id);
+        const view = stationViews[id] ?? (isDartStation(st) ? 'dart' : 'raw');
+        if (view === 'tide' && !isTideGauge(st)) return 'raw';
+        if (view === 'dart' && !isDartStation(st)) return 'raw';
+        return view;
+    };
+    const toggleStationView = (id, view) => setStationViews(v => ({ ...v, [id]: stationView(id) === view ? 'raw' : view }));
+    const hasDartStation = selectedStations.some(id => isDartStation(getStationDetails(id)));
+    const canCompare = selectedStations.length >= 2;
+
+    const compareStations = useMemo(() => selectedStations
+        .filter(id => chartData[id]?.labels?.length && !chartData[id].noData)
+        .map(id => ({ id, name: cleanStationLabel(getStationDetails(id).label || id), data: chartData[id] })),
+    [selectedStations, chartData, getStationDetails]);
+
+    const downloadStations = useMemo(() => compareStations.map(s => ({ ...s, details: getStationDetails(s.id) })), [compareStations, getStationDetails]);
+    const downloadWindowLabel = historical && historyRange
+        ? `${historyRange.start.toISOString().slice(0, 16).replace('T', ' ')} to ${historyRange.end.toISOString().slice(0, 16).replace('T', ' ')} UTC`
+        : hourWindow ? `last ${hourWindow} h` : 'latest observations';
+
     const renderChart = id => {
     const d = chartData[id];
         if (!d) return <div className="d-flex justify-content-center align-items-center h-100"><Spinner animation="border" size="sm" className="me-2"/>Loading...</div>;
         
         // Check for timeout case
         if (d.isTimeout) {
-            let chartBg = '#1f242b', textColor = '#f1f5f9';
-            if (typeof window !== 'undefined' && document?.body) {
-                const rs = getComputedStyle(document.body);
-                chartBg = (rs.getPropertyValue('--color-chart-bg') || chartBg).trim();
-                textColor = (rs.getPropertyValue('--color-text') || textColor).trim();
-            }
+            const { chartBg, textColor } = readChartTheme();
             return <div className="d-flex flex-column align-items-center justify-content-center w-100" style={{position:'relative',width:'100%',height:'100%'}}>
                 <div style={{width:'100%',height:'100%',background:chartBg,borderRadius:4,display:'flex',position:'relative'}}></div>
                 <div style={{color:textColor,position:'absolute',top:'50%',transform:'translateY(-50%)',fontSize:'1.05rem',fontWeight:500,textAlign:'center'}}>
@@ -823,13 +903,7 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
         // If no data, empty data array, station not found, or 404 error, show empty graph with message
         if (d.noData || d.isEmpty || d.stationNotFound || d.notFound || !d.labels?.length || !d.datasets?.length || d.datasets.every(ds => !ds.values?.length || ds.values.every(v => v == null))) {
             // Show an empty line graph with a message
-            let chartBg = '#1f242b', gridColor = '#4b5563', textColor = '#f1f5f9';
-            if (typeof window !== 'undefined' && document?.body) {
-                const rs = getComputedStyle(document.body);
-                chartBg = (rs.getPropertyValue('--color-chart-bg') || chartBg).trim();
-                gridColor = (rs.getPropertyValue('--color-chart-grid') || gridColor).trim();
-                textColor = (rs.getPropertyValue('--color-text') || textColor).trim();
-            }
+            const { chartBg, gridColor, textColor } = readChartTheme();
             const data = {
                 labels: [],
                 datasets: [{
@@ -855,21 +929,22 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
                 <div style={{color:textColor,position:'absolute',top:'50%',transform:'translateY(-50%)',fontSize:'1.05rem',fontWeight:500}}>No data available for this station</div>
             </div>;
         }
-        // ...existing code...
-    let chartBg = '#1f242b', gridColor = '#4b5563', textColor = '#f1f5f9';
-        if (typeof window !== 'undefined' && document?.body) {
-            const rs = getComputedStyle(document.body);
-            chartBg = (rs.getPropertyValue('--color-chart-bg') || chartBg).trim();
-            gridColor = (rs.getPropertyValue('--color-chart-grid') || gridColor).trim();
-            textColor = (rs.getPropertyValue('--color-text') || textColor).trim();
+        const view = stationView(id);
+        if (view === 'tide') {
+            return <TideAnalysisChart id={id} data={d} unit={unit} themeKey={themeKey} historical={historical} fontSize={selectedStations.length === 1 ? 12 : 10} />;
+        }
+        if (view === 'stats') {
+            return <StationStatsChart id={id} name={cleanStationLabel(getStationDetails(id).label || id)} data={d} unit={unit} themeKey={themeKey} fontSize={selectedStations.length === 1 ? 12 : 10} />;
         }
+        if (view === 'dart') {
+            const origin = quakeOriginInput ? fromUtcInputValue(quakeOriginInput) : null;
+            return <DartEventChart id={id} data={d} themeKey={themeKey} threshold={dartThreshold} originTime={origin} fontSize={selectedStations.length === 1 ? 12 : 10} />;
+        }
+
+        const { chartBg, gridColor, textColor } = readChartTheme();
         // Build Chart.js datasets (single Y axis primary + optional second using plugin approach simplified)
         const isScatter = (d.chartType === 'scatter');
 
-        // Unit conversion (meters -> feet). Only length/height series are converted;
-        // non-length series (period in s, direction in °, etc.) are left untouched.
-        const M_TO_FT = 3.28084;
-        const isLengthSeries = (label = '') => /height|hsig|hmax|hm0|swell|amplitude|depth|significant|\(m\)/i.test(label);
         const convertValue = (v, label) => (unit === 'ft' && isLengthSeries(label) && v != null ? v * M_TO_FT : v);
         const axisTitle = (label = '') => {
             if (unit !== 'ft' || !isLengthSeries(label)) return label;
@@ -882,22 +957,29 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
             datasets: d.datasets.map((ds,i)=> {
                 const color = fixedColors[i%fixedColors.length];
                 const isDashed = i > 0; // First dataset is solid, others are dashed
+                // QC-flagged points are drawn as amber triangles (suspect) / red crosses (fail), or dropped when hidden
+                const flags = ds.flags || [];
+                const flagAt = ctx => flags[ctx.dataIndex];
+                const qcColor = ctx => QC_COLORS[flagAt(ctx)] || color;
                 return {
                     label: axisTitle(ds.label),
                     _rawLabel: ds.label, // original label (with source unit) kept for unit detection
-                    data: d.labels.map((time, idx) => ({ x: time, y: convertValue(ds.values[idx], ds.label) })),
+                    _flags: flags,
+                    _qcReasons: ds.qcReasons || [],
+                    data: d.labels.map((time, idx) => ({ x: time, y: hideFlagged && isFlagged(flags[idx]) ? null : convertValue(ds.values[idx], ds.label) })),
                     // For scatter we want solid filled circles; for dashed lines use NO background fill
                     borderColor: color,
                     backgroundColor: isScatter ? color : (isDashed ? 'transparent' : color + '15'),
-                    pointBackgroundColor: color,
-                    pointBorderColor: color,
-                    pointBorderWidth: isScatter ? 1 : 0,
+                    pointBackgroundColor: qcColor,
+                    pointBorderColor: qcColor,
+                    pointStyle: ctx => (flagAt(ctx) === QC_FAIL ? 'crossRot' : isFlagged(flagAt(ctx)) ? 'triangle' : 'circle'),
+                    pointBorderWidth: ctx => (isFlagged(flagAt(ctx)) ? 2 : (isScatter ? 1 : 0)),
                     borderWidth: 2,
                     borderDash: isDashed ? [5, 5] : [],
                     tension: isScatter ? 0 : 0.3,
                     // If scatter, hide connecting lines and show points; else show line and hide points
                     showLine: !isScatter,
-                    pointRadius: isScatter ? 3 : 0,
+                    pointRadius: ctx => (isFlagged(flagAt(ctx)) ? 4 : (isScatter ? 3 : 0)),
                     pointHitRadius: isScatter ? 8 : 6,
                     pointHoverRadius: isScatter ? 5 : 4,
                     fill: isDashed ? false : true,
@@ -912,21 +994,7 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
             plugins: {
                 legend: { 
                     display: false,
-                    labels: {
-                        generateLabels: (chart) => {
-                            const datasets = chart.data.datasets;
-                            return datasets.map((dataset, i) => ({
-                                text: dataset.label,
-                                fillStyle: 'transparent',
-                                strokeStyle: dataset.borderColor,
-                                lineWidth: 2,
-                                lineDash: dataset.borderDash || [],
-                                hidden: !chart.isDatasetVisible(i),
-                                datasetIndex: i,
-                                fontColor: textColor
-                            }));
-                        }
-                    }
+                    labels: htmlLegendLabels(textColor)
                 },
                 htmlLegend: {
                     containerID: `legend-container-${id}`
@@ -950,7 +1018,9 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
                             const shown = isLen ? Number(val).toFixed(2) : val;
                             // Append a unit suffix only when the label doesn't already carry one in "(...)".
                             const suffix = isLen && !/\(\w+\)/.test(rawLabel) ? (unit === 'ft' ? ' ft' : ' m') : '';
-                            return `${dispLabel}: ${shown}${suffix}`;
+                            const flag = item.dataset?._flags?.[item.dataIndex];
+                            const qc = isFlagged(flag) ? ` [QC ${QC_FLAG_NAMES[flag]}: ${item.dataset._qcReasons[item.dataIndex]}]` : '';
+                            return `${dispLabel}: ${shown}${suffix}${qc}`;
                         }
                     }
                 }
@@ -966,36 +1036,7 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
             elements: { point: { radius: isScatter ? 3 : 0 } },
             scales: (() => {
                 const scales = {
-                    x: { 
-                        type: 'time',
-                        time: { 
-                            tooltipFormat: "yyyy-MM-dd HH:mm:ss", 
-                            displayFormats: { 
-                                minute: 'yyyy-MM-dd HH:mm', 
-                                hour: 'yyyy-MM-dd HH:mm', 
-                                day: 'yyyy-MM-dd HH:mm', 
-                                month: 'yyyy-MM-dd'
-                            }
-                        },
-                        adapters: { date: { zone: 'utc' } },
-                        title: { display: true, text: 'Time (UTC)', color: textColor },
-                        ticks: { 
-                            color: textColor, 
-                            maxRotation: 45, 
-                            minRotation: 45, 
-                            font: { size: selectedStations.length === 1 ? 12 : 10 }, 
-                            callback: (val, idx, ticks) => {
-                                const v = ticks[idx].value; // epoch ms
-                                try { 
-                                    const date = new Date(v);
-                                    return date.toISOString().replace('T', ' ').replace('.000Z', 'Z');
-                                } catch { 
-                                    return ''; 
-                                }
-                            } 
-                        },
-                        grid: { color: gridColor }
-                    },
+                    x: timeScale(textColor, gridColor, selectedStations.length === 1 ? 12 : 10),
                     y: { type: 'linear', display: true, position: 'left', title: { display: true, text: axisTitle(d.datasets[0]?.label || 'Value'), color: textColor }, ticks: { color: textColor }, grid: { color: gridColor } }
                 };
 
@@ -1070,8 +1111,50 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
                         <span className="icon-wrap"><FaArrowLeft size={12} style={{marginTop:-1}}/></span>
                         <span style={{position:'relative',top:1}}>Back to Selection</span>
                     </Button>
-                    {renderLiveModeIndicator()}
+                    {!historical && renderLiveModeIndicator()}
                     <div className="hour-window-control d-flex align-items-center">
+                        <Form.Label htmlFor="view-mode-select" className="mb-0 me-2" style={{fontSize:'0.875rem'}}>Mode</Form.Label>
+                        <Form.Select
+                            id="view-mode-select"
+                            value={viewMode}
+                            onChange={e => changeViewMode(e.target.value)}
+                            size="sm"
+                            style={{width:120,height:30,fontSize:'0.75rem',marginRight:12}}
+                            title="Switch between the latest data and a historical date range"
+                        >
+                            <option value="live">Latest</option>
+                            <option value="historical">Historical</option>
+                        </Form.Select>
+                        {historical ? (
+                            <div className="d-flex align-items-center">
+                                <Form.Label htmlFor="history-start" className="mb-0 me-2" style={{fontSize:'0.875rem'}}>From</Form.Label>
+                                <Form.Control
+                                    id="history-start"
+                                    type="datetime-local"
+                                    value={historyInput.start}
+                                    max={historyInput.end || undefined}
+                                    onChange={e => setHistoryInput(r => ({ ...r, start: e.target.value }))}
+                                    size="sm"
+                                    style={{width:180,height:30,fontSize:'0.75rem'}}
+                                    title="Start of range (UTC)"
+                                />
+                                <Form.Label htmlFor="history-end" className="mb-0 mx-2" style={{fontSize:'0.875rem'}}>To</Form.Label>
+                                <Form.Control
+                                    id="history-end"
+                                    type="datetime-local"
+                                    value={historyInput.end}
+                                    min={historyInput.start || undefined}
+                                    onChange={e => setHistoryInput(r => ({ ...r, end: e.target.value }))}
+                                    size="sm"
+                                    style={{width:180,height:30,fontSize:'0.75rem'}}
+                                    title="End of range (UTC)"
+                                />
+                                <span style={{marginLeft:6,fontSize:12,opacity:0.8}}>UTC</span>
+                                <Button variant="primary" size="sm" style={{marginLeft:12}} onClick={applyHistoryRange}>Load</Button>
+                                {historyError && <span className="text-danger" style={{marginLeft:8,fontSize:12}}>{historyError}</span>}
+                            </div>
+                        ) : (
+                        <>
                         <Form.Label htmlFor="hour-window-select" className="mb-0 me-2" style={{fontSize:'0.875rem'}}>Data Filter</Form.Label>
                         <Form.Select
                             id="hour-window-select"
@@ -1090,6 +1173,8 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
                             <option value="48">48 Hours</option>
                             <option value="72">72 Hours</option>
                         </Form.Select>
+                        </>
+                        )}
                         <div className="d-flex align-items-center" style={{marginLeft:12}}>
                             <Form.Check
                                 type="switch"
@@ -1102,12 +1187,92 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
                             />
                             <span>{unit === 'ft' ? 'Feet' : 'Meters'}</span>
                         </div>
+                        <div className="d-flex align-items-center" style={{marginLeft:12}}>
+                            <Form.Check
+                                type="switch"
+                                id="qc-hide-switch"
+                                checked={hideFlagged}
+                                onChange={e => setHideFlagged(e.target.checked)}
+                                className="me-2"
+                                style={{transform:'scale(1.2)'}}
+                                title="Hide points flagged suspect or fail by automatic QC"
+                            />
+                            <span>Hide QC flagged</span>
+                        </div>
+                        {hasDartStation && (
+                            <div className="d-flex align-items-center" style={{marginLeft:12}}>
+                                <Form.Label htmlFor="quake-origin" className="mb-0 me-2" style={{fontSize:'0.875rem'}}>Quake origin</Form.Label>
+                                <Form.Control
+                                    id="quake-origin"
+                                    type="datetime-local"
+                                    step="1"
+                                    value={quakeOriginInput}
+                                    onChange={e => setQuakeOriginInput(e.target.value)}
+                                    size="sm"
+                                    style={{width:190,height:30,fontSize:'0.75rem'}}
+                                    title="Earthquake origin time (UTC); DART charts show arrival time relative to it"
+                                />
+                                <Form.Label htmlFor="dart-threshold" className="mb-0 mx-2" style={{fontSize:'0.875rem'}}>Threshold (cm)</Form.Label>
+                                <Form.Control
+                                    id="dart-threshold"
+                                    type="number"
+                                    min="0.5"
+                                    step="0.5"
+                                    value={Math.round(dartThreshold * 1000) / 10}
+                                    onChange={e => {
+                                        const cm = Number(e.target.value);
+                                        if (cm > 0) setDartThreshold(cm / 100);
+                                    }}
+                                    size="sm"
+                                    style={{width:70,height:30,fontSize:'0.75rem'}}
+                                    title="De-tided anomaly beyond which DART points are marked"
+                                />
+                            </div>
+                        )}
+                        <Button
+                            variant={compareMode && canCompare ? 'primary' : 'outline-primary'}
+                            size="sm"
+                            style={{marginLeft:12}}
+                            disabled={!canCompare}
+                            onClick={() => setCompareMode(m => !m)}
+                            title="Plot the same variable from the selected stations on one chart"
+                        >
+                            {compareMode && canCompare ? 'Station charts' : 'Compare'}
+                        </Button>
+                        <Button
+                            variant="outline-primary"
+                            size="sm"
+                            style={{marginLeft:12}}
+                            disabled={!downloadStations.length}
+                            onClick={() => setDownloadIds([])}
+                            title="Download the loaded data as CSV or CF JSON"
+                        >
+                            <FaDownload className="me-1" />Download
+                        </Button>
                         <Button variant="outline-primary" size="sm" style={{marginLeft:12}} onClick={handleShare}>Share</Button>
                         {shareStatus && <span style={{marginLeft:6,fontSize:12}}>{shareStatus}</span>}
                     </div>
                 </div>
             </div>
             <Container fluid className="dashboard-grid" style={{flex:1,overflow:'hidden',padding:'0 6px'}}>
+                {compareMode && canCompare ? (
+                    <div style={{height:'100%',padding:'3px'}}>
+                        <Card style={{background:'var(--color-surface)',color:'var(--color-text)',border:'1px solid var(--color-border,#e2e8f0)',height:'100%',display:'flex',flexDirection:'column'}}>
+                            <Card.Header style={{background:'var(--color-surface)',borderBottom:'1px solid var(--color-border,#e2e8f0)',padding:'0.5rem 0.75rem',flexShrink:0}}>
+                                <FaWaveSquare className="me-2" />
+                                <strong>Station comparison</strong>
+                                <span className="small ms-2" style={{opacity:0.8}}>{compareStations.length} of {selectedStations.length} stations loaded</span>
+                            </Card.Header>
+                            <Card.Body className="d-flex flex-column p-0" style={{flex:1,overflow:'hidden',minHeight:0}}>
+                                {compareStations.length >= 2 ? (
+                                    <StationComparison stations={compareStations} unit={unit} themeKey={themeKey} />
+                                ) : (
+                                    <div className="d-flex justify-content-center align-items-center h-100"><Spinner animation="border" size="sm" className="me-2"/>Loading...</div>
+                                )}
+                            </Card.Body>
+                        </Card>
+                    </div>
+                ) : (
                 <Row className="g-0" style={{height:'100%',flexWrap:'wrap'}}>
                     {selectedStations.map((id, index) => {
                         const st = getStationDetails(id);
@@ -1115,7 +1280,8 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
                         const code = st.country_short || '';
                         const n = selectedStations.length;
                         // Flag stations whose most recent data point is older than 3 days
-                        const stale = (() => {
+                        const flaggedCount = chartData[id]?.qcFlagged || 0;
+                        const stale = !historical && (() => {
                             const labels = chartData[id]?.labels;
                             const raw = Array.isArray(labels) && labels.length ? labels[labels.length - 1] : null;
                             if (!raw) return false;
@@ -1162,7 +1328,13 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
                                                 <FaWaveSquare className="me-2" />
                                                 <strong>{cleanStationLabel(st.label)}</strong>
                                                 <div className="small" style={{color:'var(--color-text)'}}>
-                                                    
+                                                    {historical ? (() => {
+                                                        const d = chartData[id];
+                                                        if (!d || d.noData) return d?.truncated ? 'Range too far back to load' : 'No data in range';
+                                                        const count = (d.pointCount || 0).toLocaleString();
+                                                        if (d.truncated) return `${count} points (range truncated, showing latest)`;
+                                                        return d.downsampled ? `${count} points (downsampled to ${d.labels.length.toLocaleString()})` : `${count} points`;
+                                                    })() : <>
                                                     Last update: {(() => {
                                                         const labels = chartData[id]?.labels;
                                                         const raw = Array.isArray(labels) && labels.length ? labels[labels.length - 1] : null;
@@ -1171,14 +1343,67 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
                                                         if (isNaN(d)) return 'N/A';
                                                         return d.toISOString().replace('T',' ').replace(/\.\d{3}Z$/,' UTC');
                                                     })()}
+                                                    </>}
                                                 </div>
                                             </div>
                                         </div>
-                                        {stale ? (
-                                            <Badge bg="warning" text="dark">Inactive</Badge>
-                                        ) : (
-                                            <Badge bg={active? 'success':'danger'}>{active?'Active':'Inactive'}</Badge>
-                                        )}
+                                        <div className="d-flex align-items-center gap-1">
+                                            {isTideGauge(st) && (
+                                                <Button
+                                                    size="sm"
+                                                    variant={stationView(id) === 'tide' ? 'primary' : 'outline-secondary'}
+                                                    style={{padding:'0 0.4rem',fontSize:'0.75rem'}}
+                                                    onClick={() => toggleStationView(id, 'tide')}
+                                                    title="Harmonic analysis: predicted tide, residual and next high/low water"
+                                                >
+                                                    Tides
+                                                </Button>
+                                            )}
+                                            {isDartStation(st) && (
+                                                <Button
+                                                    size="sm"
+                                                    variant={stationView(id) === 'dart' ? 'primary' : 'outline-secondary'}
+                                                    style={{padding:'0 0.4rem',fontSize:'0.75rem'}}
+                                                    onClick={() => toggleStationView(id, 'dart')}
+                                                    title="Tsunami view: de-tided water column height, event mode and arrival timing"
+                                                >
+                                                    Tsunami
+                                                </Button>
+                                            )}
+                                            {chartData[id]?.labels?.length > 0 && !chartData[id].noData && (
+                                                <Button
+                                                    size="sm"
+                                                    variant={stationView(id) === 'stats' ? 'primary' : 'outline-secondary'}
+                                                    style={{padding:'0 0.4rem',fontSize:'0.75rem'}}
+                                                    onClick={() => toggleStationView(id, 'stats')}
+                                                    title="Hourly/daily aggregates (mean, max, min, percentile) and window max/min/mean with peak time"
+                                                >
+                                                    Stats
+                                                </Button>
+                                            )}
+                                            {chartData[id]?.labels?.length > 0 && !chartData[id].noData && (
+                                                <Button
+                                                    size="sm"
+                                                    variant="outline-secondary"
+                                                    style={{padding:'0 0.4rem',fontSize:'0.75rem'}}
+                                                    onClick={() => setDownloadIds([id])}
+                                                    title="Download this station's data"
+                                                    aria-label="Download this station's data"
+                                                >
+                                                    <FaDownload />
+                                                </Button>
+                                            )}
+                                            {flaggedCount > 0 && (
+                                                <Badge bg="light" text="dark" style={{border:`1px solid ${QC_COLORS[QC_SUSPECT]}`}} title="Points flagged suspect or fail by automatic QC (range, spike, rate of change, flatline, gap)">
+                                                    QC {flaggedCount.toLocaleString()}
+                                                </Badge>
+                                            )}
+                                            {stale ? (
+                                                <Badge bg="warning" text="dark">Inactive</Badge>
+                                            ) : (
+                                                <Badge bg={active? 'success':'danger'}>{active?'Active':'Inactive'}</Badge>
+                                            )}
+                                        </div>
                                     </Card.Header>
                                     <Card.Body className="d-flex flex-column p-0" style={{background:'var(--color-surface)',flex:1,overflow:'hidden',minHeight:0}}>
                                         <div className="chart-container" onDoubleClick={() => handleExpand(id)} style={{flex:1,width:'100%',height:'100%',overflow:'hidden',minHeight:0}} title="Double-click to expand">{renderChart(id)}</div>
@@ -1189,6 +1414,7 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
                         );
                     })}
                 </Row>
+                )}
             </Container>
             </div>
             {expandedStationId && (
@@ -1205,13 +1431,44 @@ export default function RealtimeComponent({ selectedStations, setDashboardGenera
                             <FaWaveSquare className="me-2" />
                             {cleanStationLabel(getStationDetails(expandedStationId)?.label || expandedStationId)}
                         </div>
-                        <button type="button" className="rtm-offcanvas-close" onClick={handleCloseExpand} aria-label="Close expanded chart">×</button>
+                        <div className="d-flex align-items-center gap-2">
+                            {isWaveBuoy(getStationDetails(expandedStationId)) && (
+                                <Button
+                                    size="sm"
+                                    variant={overlayDirectional ? 'primary' : 'outline-secondary'}
+                                    onClick={() => setOverlayDirectional(v => !v)}
+                                    title="Directional spectrum of the latest observation and wave rose over the loaded window"
+                                >
+                                    Directional
+                                </Button>
+                            )}
+                            {/* New tab, so the dashboard and its loaded data stay as they are */}
+                            <Link
+                                to={`/station/${encodeURIComponent(expandedStationId)}`}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="btn btn-outline-secondary btn-sm"
+                                title="Track map, deployment info and latest values"
+                            >
+                                <FaInfoCircle className="me-1" />Station details
+                            </Link>
+                            <button type="button" className="rtm-offcanvas-close" onClick={handleCloseExpand} aria-label="Close expanded chart">×</button>
+                        </div>
                     </div>
                     <div className="rtm-offcanvas-body" style={{ height: `calc(${offcanvasHeight}px - 80px)` }}>
-                        {renderChart(expandedStationId)}
+                        {overlayDirectional && isWaveBuoy(getStationDetails(expandedStationId))
+                            ? <WaveDirectionalPanel id={expandedStationId} data={chartData[expandedStationId]} />
+                            : renderChart(expandedStationId)}
                     </div>
                 </div>
             )}
+            <DataDownloadModal
+                show={downloadIds !== null}
+                onHide={() => setDownloadIds(null)}
+                stations={downloadStations}
+                initialIds={downloadIds}
+                windowLabel={downloadWindowLabel}
+            />
         </>
     );
 }
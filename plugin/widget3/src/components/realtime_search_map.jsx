@@ -2,10 +2,23 @@ import React, { useEffect, useRef } from 'react';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 
-export default function RealtimeSearchMap({ buoyOptions = [], selectedStations = [], setSelectedStations, maxSelection = 8 }) {
+// Pixel distance to the first corner that closes a polygon
+const CLOSE_TOLERANCE_PX = 10;
+const DRAW_STYLE = { color: '#facc15', weight: 2, dashArray: '6 4', fillOpacity: 0.08 };
+const DRAW_HINTS = {
+  polygon: 'Click to add corners; click the first corner or double-click to finish. Esc cancels.',
+  circle: 'Click the centre, then click again to set the radius. Esc cancels.'
+};
+
+// onAreaSelect receives { type: 'polygon', ring: [[lon, lat], ...] } or { type: 'circle', center: [lon, lat], radiusKm }
+// when a shape is finished, and null when it is cleared
+export default function RealtimeSearchMap({ buoyOptions = [], selectedStations = [], setSelectedStations, maxSelection = 8, onAreaSelect }) {
   const mapRef = useRef(null);
   const groupRef = useRef(null);
-  
+  const drawRef = useRef({ mode: null });
+  const onAreaSelectRef = useRef(onAreaSelect);
+  onAreaSelectRef.current = onAreaSelect;
+
   // Normalize longitude to [-180, 180]
   const normalizeLongitude = (lon) => {
     while (lon > 180) lon -= 360;
@@ -56,7 +69,121 @@ export default function RealtimeSearchMap({ buoyOptions = [], selectedStations =
 
     groupRef.current = L.layerGroup().addTo(map);
 
+    // Area drawing (polygon / radius) with plain map events
+    const drawLayer = L.layerGroup().addTo(map);
+    const draw = drawRef.current;
+    const buttons = {};
+    let hint = null;
+
+    const setMode = (mode) => {
+      draw.mode = mode;
+      draw.points = [];
+      draw.center = null;
+      draw.preview = null;
+      map.getContainer().style.cursor = mode ? 'crosshair' : '';
+      Object.entries(buttons).forEach(([key, btn]) => { btn.style.background = key === mode ? '#facc15' : '#fff'; });
+      if (hint) {
+        hint.textContent = mode ? DRAW_HINTS[mode] : '';
+        hint.style.display = mode ? 'block' : 'none';
+      }
+    };
+
+    const showPreview = (layer) => {
+      if (draw.preview) drawLayer.removeLayer(draw.preview);
+      draw.preview = layer ? layer.addTo(drawLayer) : null;
+    };
+
+    const finish = (shape, layer) => {
+      setMode(null);
+      drawLayer.clearLayers();
+      layer.addTo(drawLayer);
+      onAreaSelectRef.current?.(shape);
+    };
+
+    const finishPolygon = () => {
+      // A double-click also lands as two clicks; drop corners that coincide on screen
+      const points = draw.points.filter((p, i, all) =>
+        i === 0 || map.latLngToContainerPoint(p).distanceTo(map.latLngToContainerPoint(all[i - 1])) > 3);
+      if (points.length < 3) return;
+      finish({ type: 'polygon', ring: points.map(p => [p.lng, p.lat]) }, L.polygon(points, DRAW_STYLE));
+    };
+
+    const startDraw = (mode) => {
+      drawLayer.clearLayers();
+      setMode(draw.mode === mode ? null : mode);
+    };
+
+    const clearDraw = () => {
+      setMode(null);
+      drawLayer.clearLayers();
+      onAreaSelectRef.current?.(null);
+    };
+
+    map.on('click', (e) => {
+      if (draw.mode === 'polygon') {
+        const first = draw.points[0];
+        if (draw.points.length >= 3 && map.latLngToContainerPoint(first).distanceTo(e.containerPoint) <= CLOSE_TOLERANCE_PX) {
+          finishPolygon();
+          return;
+        }
+        draw.points.push(e.latlng);
+        showPreview(L.polyline(draw.points, DRAW_STYLE));
+      } else if (draw.mode === 'circle') {
+        if (!draw.center) {
+          draw.center = e.latlng;
+          return;
+        }
+        const radius = map.distance(draw.center, e.latlng);
+        finish(
+          { type: 'circle', center: [draw.center.lng, draw.center.lat], radiusKm: radius / 1000 },
+          L.circle(draw.center, { ...DRAW_STYLE, radius })
+        );
+      }
+    });
+    map.on('dblclick', () => { if (draw.mode === 'polygon') finishPolygon(); });
+    map.on('mousemove', (e) => {
+      if (draw.mode === 'polygon' && draw.points.length) {
+        showPreview(L.polyline([...draw.points, e.latlng], DRAW_STYLE));
+      } else if (draw.mode === 'circle' && draw.center) {
+        const radius = map.distance(draw.center, e.latlng);
+        showPreview(L.circle(draw.center, { ...DRAW_STYLE, radius }).bindTooltip(`${(radius / 1000).toFixed(0)} km`, { permanent: true }));
+      }
+    });
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape' && draw.mode) {
+        setMode(null);
+        drawLayer.clearLayers();
+      }
+    };
+    document.addEventListener('keydown', onKeyDown);
+
+    const drawControl = L.control({ position: 'topleft' });
+    drawControl.onAdd = () => {
+      const wrap = L.DomUtil.create('div', 'realtime-draw-control');
+      const bar = L.DomUtil.create('div', 'leaflet-bar', wrap);
+      [['polygon', '\u2b20', 'Select stations in a polygon'], ['circle', '\u25ef', 'Select stations within a radius'], ['clear', '\u2715', 'Clear drawn area']].forEach(([key, icon, title]) => {
+        const btn = L.DomUtil.create('a', '', bar);
+        btn.href = '#';
+        btn.title = title;
+        btn.setAttribute('role', 'button');
+        btn.setAttribute('aria-label', title);
+        btn.innerHTML = icon;
+        btn.style.fontSize = '15px';
+        L.DomEvent.on(btn, 'click', (e) => {
+          L.DomEvent.preventDefault(e);
+          if (key === 'clear') clearDraw(); else startDraw(key);
+        });
+        if (key !== 'clear') buttons[key] = btn;
+      });
+      hint = L.DomUtil.create('div', '', wrap);
+      hint.style.cssText = 'display:none;margin-top:6px;max-width:220px;padding:4px 8px;font-size:11px;background:rgba(255,255,255,0.92);color:#111;border-radius:4px;';
+      L.DomEvent.disableClickPropagation(wrap);
+      return wrap;
+    };
+    drawControl.addTo(map);
+
     return () => {
+      document.removeEventListener('keydown', onKeyDown);
       map.remove();
       mapRef.current = null;
       groupRef.current = null;
@@ -96,6 +223,11 @@ export default function RealtimeSearchMap({ buoyOptions = [], selectedStations =
           // Click toggles selection (better for touch devices)
           if (setSelectedStations) {
             marker.on('click', () => {
+              // While drawing, marker clicks place corners instead of toggling
+              if (drawRef.current.mode) {
+                marker.closePopup();
+                return;
+              }
               setSelectedStations(prev => {
                 const currentlySelected = prev.includes(b.spotter_id);
                 if (currentlySelected) {
@@ -1,8 +1,10 @@
-import React, { useEffect, useState, useRef, lazy, Suspense } from 'react';
+import React, { useEffect, useMemo, useState, useRef, lazy, Suspense } from 'react';
 import { Container, Button, Form, Spinner, Badge, Alert } from 'react-bootstrap';
-import { FaTimes, FaArrowRight } from 'react-icons/fa';
+import { FaTimes, FaArrowRight, FaTrash } from 'react-icons/fa';
 import Lottie from 'lottie-react';
 import animationData from './live.json';
+import { stationsInShape, matchesText } from '../utils/spatial';
+import { loadGroups, saveGroup, deleteGroup } from '../utils/stationGroups';
 
 const MapWithNoSSR = lazy(() => import('./realtime_search_map'));
 
@@ -23,6 +25,12 @@ export default function SearchComponent({
     const [typesError, setTypesError] = useState(null);
     const [allStations, setAllStations] = useState([]); // unfiltered station list
     const [selectedTypeFilters, setSelectedTypeFilters] = useState([]); // array of type value strings
+    const [countryFilter, setCountryFilter] = useState(''); // country_id as string, '' = all
+    const [countryNames, setCountryNames] = useState({}); // country_id -> long name
+    const [textQuery, setTextQuery] = useState('');
+    const [areaNotice, setAreaNotice] = useState(null);
+    const [groups, setGroups] = useState(loadGroups);
+    const [groupName, setGroupName] = useState('');
 
     // Avoid duplicate fetch in React 18 StrictMode (dev) using a ref flag
     const fetchedTypesRef = useRef(false);
@@ -128,19 +136,68 @@ export default function SearchComponent({
         return () => { aborted = true; };
     }, [selectedStations, allStations, countryCache, setAllStations, setBuoyOptions]);
 
-    // Recompute filtered stations when type filters change
+    // Country names for the filter: one request for the whole list once stations are in
+    const fetchedCountriesRef = useRef(false);
     useEffect(() => {
-        if (!selectedTypeFilters.length) {
-            // Only show active stations
-            const activeStations = allStations.filter(s => s.is_active);
-            setBuoyOptions(activeStations);
+        if (!allStations.length || fetchedCountriesRef.current) return;
+        fetchedCountriesRef.current = true;
+        fetch('https://ocean-middleware.spc.int/middleware/api/country/?format=json')
+            .then(r => (r.ok ? r.json() : []))
+            .then(list => setCountryNames(Object.fromEntries((Array.isArray(list) ? list : []).map(c => [c.id, c.long_name || c.short_name]))))
+            .catch(() => { /* filter falls back to ids */ });
+    }, [allStations]);
+
+    const countryOptions = [...new Set(allStations.map(s => s.country_id).filter(id => id != null))]
+        .map(id => ({ id, name: countryNames[id] || `Country ${id}` }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    // Type filters drop selected stations of hidden types
+    useEffect(() => {
+        if (!selectedTypeFilters.length) return;
+        setSelectedStations(prev => prev.filter(id => allStations.some(s => s.spotter_id === id && selectedTypeFilters.includes(s.type_value))));
+    }, [selectedTypeFilters, allStations, setSelectedStations]);
+
+    // Stations matching the type, country and text filters. Country and text only narrow what the map
+    // shows: selected stations stay listed so the dashboard keeps their details.
+    const filteredStations = useMemo(() => allStations.filter(s =>
+        s.is_active &&
+        (!selectedTypeFilters.length || selectedTypeFilters.includes(s.type_value)) &&
+        (!countryFilter || String(s.country_id) === countryFilter) &&
+        matchesText(s, textQuery)
+    ), [allStations, selectedTypeFilters, countryFilter, textQuery]);
+
+    useEffect(() => {
+        const kept = allStations.filter(s => selectedStations.includes(s.spotter_id) && !filteredStations.includes(s));
+        setBuoyOptions([...filteredStations, ...kept]);
+    }, [filteredStations, allStations, selectedStations, setBuoyOptions]);
+
+    // A drawn polygon or circle replaces the selection with the filtered stations inside it, nearest to its centre first
+    const handleAreaSelect = (shape) => {
+        if (!shape) {
+            setAreaNotice(null);
             return;
         }
-        // Filter by type and ensure only active stations are shown
-        const filtered = allStations.filter(s => s.is_active && selectedTypeFilters.includes(s.type_value));
-        setBuoyOptions(filtered);
-        setSelectedStations(prev => prev.filter(id => filtered.some(f => f.spotter_id === id)));
-    }, [selectedTypeFilters, allStations, setBuoyOptions, setSelectedStations]);
+        const inside = stationsInShape(filteredStations, shape);
+        setSelectedStations(inside.slice(0, MAX_SELECTION).map(s => s.spotter_id));
+        const area = shape.type === 'circle' ? `within ${Math.round(shape.radiusKm)} km` : 'in the polygon';
+        setAreaNotice(inside.length > MAX_SELECTION
+            ? `${inside.length} stations ${area}; the ${MAX_SELECTION} nearest its centre were selected.`
+            : `${inside.length || 'No'} station${inside.length === 1 ? '' : 's'} ${area}.`);
+    };
+
+    const handleSaveGroup = () => {
+        setGroups(saveGroup(groupName, selectedStations));
+        setGroupName('');
+    };
+
+    // Loading a group re-enables the types it needs; stations that are gone or inactive are skipped
+    const applyGroup = (group) => {
+        const available = allStations.filter(s => s.is_active && group.stations.includes(s.spotter_id));
+        setSelectedTypeFilters(prev => [...new Set([...prev, ...available.map(s => s.type_value)])]);
+        setSelectedStations(available.slice(0, MAX_SELECTION).map(s => s.spotter_id));
+        const missing = group.stations.length - available.length;
+        setAreaNotice(missing ? `${missing} station${missing === 1 ? '' : 's'} of "${group.name}" ${missing === 1 ? 'is' : 'are'} no longer active.` : null);
+    };
 
     const toggleTypeFilter = (value) => {
         setSelectedTypeFilters(prev => prev.includes(value) ? prev.filter(v => v !== value) : [...prev, value]);
@@ -263,6 +320,26 @@ export default function SearchComponent({
                             marginTop: isMobile ? 0 : '55%'
                         }}
                     >
+                        <Form.Group className="mb-3">
+                            <Form.Control
+                                type="search"
+                                size="sm"
+                                placeholder="Search stations"
+                                aria-label="Search station names"
+                                value={textQuery}
+                                onChange={e => setTextQuery(e.target.value)}
+                                className="mb-2"
+                            />
+                            <Form.Select size="sm" aria-label="Filter by country" value={countryFilter} onChange={e => setCountryFilter(e.target.value)}>
+                                <option value="">All countries</option>
+                                {countryOptions.map(c => <option key={c.id} value={String(c.id)}>{c.name}</option>)}
+                            </Form.Select>
+                            {(textQuery || countryFilter) && (
+                                <div className="mt-1 small" style={{color:'var(--color-text)',opacity:0.7}}>
+                                    {filteredStations.length} matching station{filteredStations.length === 1 ? '' : 's'}
+                                </div>
+                            )}
+                        </Form.Group>
                         <Form.Group>
                             <Form.Label style={{color:'var(--color-text)',fontWeight:600,fontSize:'1.05rem'}}>Filter by Type</Form.Label>
                             {typesLoading && <div className="d-flex align-items-center"><Spinner animation="border" size="sm" className="me-2"/>Loading types...</div>}
@@ -307,7 +384,7 @@ export default function SearchComponent({
                         }}
                     >
                         <Form.Label style={{color:'var(--color-text)',fontWeight:600,fontSize:'1.05rem'}}>
-                            Selected Stations <span className="fw-normal" style={{fontSize:'0.95rem',opacity:0.7}}>(tap/click markers to add/remove)</span>
+                            Selected Stations <span className="fw-normal" style={{fontSize:'0.95rem',opacity:0.7}}>(tap/click markers to add/remove, or draw an area)</span>
                         </Form.Label>
                         {loading && <div className="d-flex align-items-center"><Spinner animation="border" size="sm" className="me-2"/>Loading stations...</div>}
                         {error && <div className="text-danger small mt-2">{error}</div>}
@@ -359,6 +436,44 @@ export default function SearchComponent({
                             {!selectedStations.length && !loading && <span className="small" style={{color:'var(--color-text)',opacity:0.6}}>None selected yet</span>}
                         </div>
                         {selectedStations.length >= MAX_SELECTION && <Alert variant="info" className="mt-2 p-2" style={{background:'var(--color-accent,#e0f2fe)',color:'var(--color-primary,#2563eb)',border:'none'}}>Maximum of {MAX_SELECTION} stations selected</Alert>}
+                        {areaNotice && <div className="mt-2 small" style={{color:'var(--color-text)',opacity:0.8}}>{areaNotice}</div>}
+                        <div className="mt-3 pt-3" style={{borderTop:'1px solid var(--color-border,#e2e8f0)'}}>
+                            <Form.Label style={{color:'var(--color-text)',fontWeight:600}}>Saved groups</Form.Label>
+                            <div className="d-flex gap-2">
+                                <Form.Control
+                                    size="sm"
+                                    placeholder="e.g. Fiji tide gauges"
+                                    aria-label="Group name"
+                                    value={groupName}
+                                    onChange={e => setGroupName(e.target.value)}
+                                    onKeyDown={e => { if (e.key === 'Enter' && groupName.trim() && selectedStations.length) handleSaveGroup(); }}
+                                />
+                                <Button size="sm" variant="outline-secondary" disabled={!groupName.trim() || !selectedStations.length} onClick={handleSaveGroup}>Save</Button>
+                            </div>
+                            <div className="mt-2 d-flex flex-column gap-1" style={{maxHeight:160,overflowY:'auto'}}>
+                                {groups.map(g => (
+                                    <div key={g.name} className="d-flex align-items-center gap-2 small" style={{color:'var(--color-text)'}}>
+                                        <Button
+                                            variant="link"
+                                            size="sm"
+                                            className="p-0 text-start"
+                                            style={{flex:'1 1 auto',minWidth:0,overflow:'hidden',textOverflow:'ellipsis',whiteSpace:'nowrap'}}
+                                            onClick={() => applyGroup(g)}
+                                            title={`Select ${g.name}`}
+                                        >
+                                            {g.name}
+                                        </Button>
+                                        <span style={{opacity:0.6}}>{g.stations.length}</span>
+                                        <FaTrash
+                                            style={{cursor:'pointer',opacity:0.7,flex:'0 0 auto'}}
+                                            onClick={() => setGroups(deleteGroup(g.name))}
+                                            title="Delete group"
+                                        />
+                                    </div>
+                                ))}
+                                {!groups.length && <span className="small" style={{color:'var(--color-text)',opacity:0.6}}>Select stations and save them under a name to reuse later</span>}
+                            </div>
+                        </div>
                     </div>
                 </div>
                 <div
@@ -388,6 +503,7 @@ export default function SearchComponent({
                                     selectedStations={selectedStations}
                                     setSelectedStations={setSelectedStations}
                                     maxSelection={MAX_SELECTION}
+                                    onAreaSelect={handleAreaSelect}
                                 />
                             </Suspense>
                         </div>
@@ -3,6 +3,15 @@ import SearchComponent from '../components/searchComponent';
 import RealtimeComponent from '../components/realtimeComponent';
 import '../components/Monitor.css';
 
+// Shared links carry a historical range as hr: [startISO, endISO]
+const parseHistoryRange = (hr) => {
+  if (!Array.isArray(hr) || hr.length !== 2) return null;
+  const start = new Date(hr[0]);
+  const end = new Date(hr[1]);
+  if (isNaN(start) || isNaN(end) || start >= end) return null;
+  return { start, end };
+};
+
 // Themed Home page toggling between selection screen and realtime dashboard
 export default function Home() {
   const [selectedStations, setSelectedStations] = useState([]);
@@ -12,11 +21,12 @@ export default function Home() {
   const [dashboardGenerated, setDashboardGenerated] = useState(false);
   const [sharedCountryMap, setSharedCountryMap] = useState({});
   const [initialLiveMode, setInitialLiveMode] = useState(false);
+  const [initialHistoryRange, setInitialHistoryRange] = useState(null);
 
   // Listen for share link restoration
   useEffect(() => {
     const handler = (e) => {
-      const { s, c, lm } = e.detail || {};
+      const { s, c, lm, hr } = e.detail || {};
       if (Array.isArray(s) && s.length) {
         setSelectedStations(prev => prev.length ? prev : s.slice(0,8));
         if (c && typeof c === 'object') {
@@ -24,6 +34,8 @@ export default function Home() {
           setSharedCountryMap(up);
         }
         if (lm === 1) setInitialLiveMode(true);
+        const range = parseHistoryRange(hr);
+        if (range) setInitialHistoryRange(range);
         setDashboardGenerated(true);
       }
     };
@@ -42,6 +54,8 @@ export default function Home() {
             setSharedCountryMap(up);
           }
           if (json.lm === 1) setInitialLiveMode(true);
+          const range = parseHistoryRange(json.hr);
+          if (range) setInitialHistoryRange(range);
           setDashboardGenerated(true);
         }
       }
@@ -79,6 +93,7 @@ export default function Home() {
           buoyOptions={buoyOptions}
           sharedCountryMap={sharedCountryMap}
           initialLiveMode={initialLiveMode}
+          initialHistoryRange={initialHistoryRange}
         />
       )}
     </div>
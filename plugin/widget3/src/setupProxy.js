@@ -0,0 +1,21 @@
+const { createProxyMiddleware } = require('http-proxy-middleware');
+
+module.exports = function(app) {
+  // Sofar Spotter proxy (plugin/spotter-proxy), run locally with SOFAR_TOKEN set
+  app.use(
+    '/spotter-proxy',
+    createProxyMiddleware({
+      target: process.env.REACT_APP_SPOTTER_PROXY_TARGET || 'http://localhost:8014',
+      changeOrigin: true,
+      pathRewrite: {
+        '^/spotter-proxy': '',
+      },
+      timeout: 30000,
+      proxyTimeout: 30000,
+      onError: (err, req, res) => {
+        console.error('Spotter proxy error:', err.message);
+        res.status(500).send('Spotter proxy error: ' + err.message);
+      }
+    })
+  );
+};
@@ -0,0 +1,80 @@
+// Chart.js styling shared by the dashboard charts. Theme colours come from the CSS variables on <body>,
+// so charts read them at render time and remount on theme change (see themeKey in RealtimeComponent).
+
+export const readChartTheme = () => {
+    let chartBg = '#1f242b', gridColor = '#4b5563', textColor = '#f1f5f9';
+    if (typeof window !== 'undefined' && document?.body) {
+        const rs = getComputedStyle(document.body);
+        chartBg = (rs.getPropertyValue('--color-chart-bg') || chartBg).trim();
+        gridColor = (rs.getPropertyValue('--color-chart-grid') || gridColor).trim();
+        textColor = (rs.getPropertyValue('--color-text') || textColor).trim();
+    }
+    return { chartBg, gridColor, textColor };
+};
+
+// Series colours, in order, for every station chart
+export const fixedColors = [
+    '#FF5733', // Bright Orange-Red
+    '#33FFB5', // Bright Mint
+    '#FFD633', // Bright Yellow
+    '#3399FF', // Bright Blue
+    '#FF33F5', // Bright Magenta
+    '#33FF57'  // Bright Green
+];
+
+// Unit conversion (meters -> feet). Only length/height series are converted;
+// non-length series (period in s, direction in °, etc.) are left untouched.
+export const M_TO_FT = 3.28084;
+export const isLengthSeries = (label = '') => /height|hsig|hmax|hm0|swell|amplitude|depth|significant|\(m\)/i.test(label);
+
+export const formatUtc = (value) => {
+    const d = value instanceof Date ? value : new Date(value);
+    if (isNaN(d)) return 'N/A';
+    return d.toISOString().replace('T',' ').replace(/\.\d{3}Z$/,' UTC');
+};
+
+// UTC time x-axis used by every station chart
+export const timeScale = (textColor, gridColor, fontSize = 10) => ({
+    type: 'time',
+    time: {
+        tooltipFormat: "yyyy-MM-dd HH:mm:ss",
+        displayFormats: {
+            minute: 'yyyy-MM-dd HH:mm',
+            hour: 'yyyy-MM-dd HH:mm',
+            day: 'yyyy-MM-dd HH:mm',
+            month: 'yyyy-MM-dd'
+        }
+    },
+    adapters: { date: { zone: 'utc' } },
+    title: { display: true, text: 'Time (UTC)', color: textColor },
+    ticks: {
+        color: textColor,
+        maxRotation: 45,
+        minRotation: 45,
+        font: { size: fontSize },
+        callback: (val, idx, ticks) => {
+            const v = ticks[idx].value; // epoch ms
+            try {
+                const date = new Date(v);
+                return date.toISOString().replace('T', ' ').replace('.000Z', 'Z');
+            } catch {
+                return '';
+            }
+        }
+    },
+    grid: { color: gridColor }
+});
+
+// Legend items for the htmlLegend plugin (registered in realtimeComponent), keeping line dash patterns
+export const htmlLegendLabels = textColor => ({
+    generateLabels: (chart) => chart.data.datasets.map((dataset, i) => ({
+        text: dataset.label,
+        fillStyle: 'transparent',
+        strokeStyle: dataset.borderColor,
+        lineWidth: 2,
+        lineDash: dataset.borderDash || [],
+        hidden: !chart.isDatasetVisible(i),
+        datasetIndex: i,
+        fontColor: textColor
+    }))
+});
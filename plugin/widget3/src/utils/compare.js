@@ -0,0 +1,153 @@
+// Cross-station comparison: finding the same physical variable at several stations, converting it to
+// one unit and resampling every station onto a shared time axis so series (and differences) line up.
+import { qcConfigFor, isFlagged } from './qc';
+import { M_TO_FT } from './chartTheme';
+
+// Variables are identified by the QC_DEFAULTS entry their key matches, so "sea_level" and "water_level"
+// (or "hm0" and "significant_wave_height") compare with each other. Units are the canonical ones the
+// QC thresholds assume; length variables follow the dashboard's m/ft toggle.
+export const VARIABLE_INFO = {
+    water_column_height: { label: 'Water column height', unit: 'm', length: true },
+    direction: { label: 'Direction', unit: '°', circular: true },
+    sea_level: { label: 'Sea level', unit: 'm', length: true },
+    wave_height: { label: 'Wave height', unit: 'm', length: true },
+    wave_period: { label: 'Wave period', unit: 's' },
+    temperature: { label: 'Temperature', unit: '°C' },
+    wind_speed: { label: 'Wind speed', unit: 'm/s' },
+    pressure: { label: 'Pressure', unit: 'hPa' }
+};
+
+// Unit suffixes found in keys/labels (e.g. "sea_level_mm", "wind_speed (kt)") and their conversion to the canonical unit
+const UNIT_HINTS = [
+    { unit: 'mm', match: /(^|[_\s(])mm\)?$/i, toCanonical: v => v / 1000 },
+    { unit: 'cm', match: /(^|[_\s(])cm\)?$/i, toCanonical: v => v / 100 },
+    { unit: 'ft', match: /(^|[_\s(])(ft|feet)\)?$/i, toCanonical: v => v / M_TO_FT },
+    { unit: 'kt', match: /(^|[_\s(])(kt|kts|knots?)\)?$/i, toCanonical: v => v * 0.514444 },
+    { unit: 'km/h', match: /(^|[_\s(])(kmh|kph|km\/h)\)?$/i, toCanonical: v => v / 3.6 },
+    { unit: '°F', match: /(^|[_\s(])(degf|°f|fahrenheit)\)?$/i, toCanonical: v => (v - 32) * 5 / 9 },
+    { unit: 'kPa', match: /(^|[_\s(])kpa\)?$/i, toCanonical: v => v * 10 }
+];
+
+// Resampling steps offered (and used for "auto"), in minutes
+export const COMPARE_STEPS = [1, 5, 10, 15, 30, 60, 180, 360, 1440];
+const MAX_GRID_POINTS = 2000;
+
+// Variable id for a dataset key; keys no QC entry knows compare only with the same key
+export const variableOf = key => {
+    const id = qcConfigFor(key).id;
+    return id === 'default' ? key : id;
+};
+
+export const variableInfo = id => VARIABLE_INFO[id] || { label: String(id).replace(/_/g, ' '), unit: '' };
+
+export const sourceUnitOf = (ds) => UNIT_HINTS.find(h => h.match.test(ds.key || '') || h.match.test(ds.label || '')) || null;
+
+// Variables present at two or more of the given stations: [{ id, label, stationIds }]
+// stations: [{ id, data }] where data is a chartData entry
+export const comparableVariables = (stations) => {
+    const byVar = new Map();
+    for (const { id, data } of stations) {
+        for (const ds of data?.datasets || []) {
+            const v = variableOf(ds.key);
+            if (!byVar.has(v)) byVar.set(v, []);
+            const list = byVar.get(v);
+            if (!list.includes(id)) list.push(id);
+        }
+    }
+    return [...byVar.entries()]
+        .filter(([, ids]) => ids.length >= 2)
+        .map(([id, stationIds]) => ({ id, label: variableInfo(id).label, stationIds }));
+};
+
+// Station series for a variable in canonical units (or feet), QC-flagged points dropped: { times, values, sourceUnit }
+export const stationSeries = (data, variableId, displayUnit = 'm') => {
+    const ds = (data?.datasets || []).find(d => variableOf(d.key) === variableId);
+    if (!ds) return null;
+    const hint = sourceUnitOf(ds);
+    const toFeet = displayUnit === 'ft' && variableInfo(variableId).length;
+    const times = data.labels.map(t => (t instanceof Date ? t : new Date(t)).getTime());
+    const values = ds.values.map((raw, i) => {
+        if (raw == null || raw === '' || isFlagged(ds.flags?.[i])) return null;
+        let v = Number(raw);
+        if (isNaN(v)) return null;
+        if (hint) v = hint.toCanonical(v);
+        return toFeet ? v * M_TO_FT : v;
+    });
+    return { times, values, sourceUnit: hint?.unit || null };
+};
+
+// Smallest offered step that is at least the coarsest station's sampling interval and keeps the grid
+// under MAX_GRID_POINTS, so no station contributes empty bins between its samples.
+export const autoStepMinutes = (sampleMinutesList, spanMs) => {
+    const coarsest = Math.max(1, ...sampleMinutesList.filter(Number.isFinite));
+    const minForSpan = spanMs / 60000 / MAX_GRID_POINTS;
+    return COMPARE_STEPS.find(s => s >= coarsest && s >= minForSpan) || COMPARE_STEPS[COMPARE_STEPS.length - 1];
+};
+
+const toRad = d => d * Math.PI / 180;
+
+// Shared grid from the earliest to the latest observation of all series, aligned to the step. The comparison
+// chart caps it at maxPoints bins; downloads and aggregates pass Infinity so long windows keep every bin.
+export const buildGrid = (seriesList, stepMs, maxPoints = MAX_GRID_POINTS * 4) => {
+    let start = Infinity;
+    let end = -Infinity;
+    for (const s of seriesList) {
+        for (const t of s.times) { if (t < start) start = t; if (t > end) end = t; }
+    }
+    if (!Number.isFinite(start)) return [];
+    start = Math.floor(start / stepMs) * stepMs;
+    const count = Math.min(maxPoints, Math.floor((end - start) / stepMs) + 1);
+    return Array.from({ length: count }, (_, i) => start + i * stepMs);
+};
+
+// Mean of the observations falling in each grid bin [t, t + step); directions use the circular mean.
+// Bins without observations are null so gaps stay gaps.
+export const resampleToGrid = (series, grid, stepMs, circular = false) => {
+    const n = grid.length;
+    const sum = new Array(n).fill(0);
+    const sumSin = new Array(n).fill(0);
+    const sumCos = new Array(n).fill(0);
+    const count = new Array(n).fill(0);
+    if (!n) return [];
+    const start = grid[0];
+    for (let i = 0; i < series.times.length; i++) {
+        const v = series.values[i];
+        if (v == null) continue;
+        const b = Math.floor((series.times[i] - start) / stepMs);
+        if (b < 0 || b >= n) continue;
+        count[b]++;
+        if (circular) { sumSin[b] += Math.sin(toRad(v)); sumCos[b] += Math.cos(toRad(v)); } else sum[b] += v;
+    }
+    return grid.map((_, b) => {
+        if (!count[b]) return null;
+        if (!circular) return sum[b] / count[b];
+        return ((Math.atan2(sumSin[b], sumCos[b]) * 180 / Math.PI) + 360) % 360;
+    });
+};
+
+// Subtract each series' own mean (e.g. tide gauges referenced to different datums)
+export const removeMean = (values) => {
+    let s = 0;
+    let n = 0;
+    for (const v of values) if (v != null) { s += v; n++; }
+    if (!n) return values;
+    const mean = s / n;
+    return values.map(v => (v == null ? null : v - mean));
+};
+
+// a - b where both exist; directions wrap to [-180, 180)
+export const differenceSeries = (a, b, circular = false) => a.map((v, i) => {
+    const w = b[i];
+    if (v == null || w == null) return null;
+    const d = v - w;
+    return circular ? ((d + 540) % 360) - 180 : d;
+});
+
+// Mean and RMS of a difference series over the bins where both stations have data
+export const differenceStats = (diff) => {
+    let s = 0;
+    let sq = 0;
+    let n = 0;
+    for (const d of diff) if (d != null) { s += d; sq += d * d; n++; }
+    return n ? { mean: s / n, rms: Math.sqrt(sq / n), count: n } : null;
+};
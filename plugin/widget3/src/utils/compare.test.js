@@ -0,0 +1,126 @@
+import {
+    variableOf, sourceUnitOf, comparableVariables, stationSeries, autoStepMinutes,
+    buildGrid, resampleToGrid, removeMean, differenceSeries, differenceStats
+} from './compare';
+import { QC_PASS, QC_FAIL } from './qc';
+
+const at = (hour, minute = 0) => Date.UTC(2025, 5, 1, hour, minute);
+const HOUR = 3600000;
+
+const chartData = (datasets, times) => ({ labels: times.map(t => new Date(t)), datasets });
+
+describe('variables and units', () => {
+    test('matches the same physical variable under different keys', () => {
+        expect(variableOf('water_level')).toBe('sea_level');
+        expect(variableOf('hm0')).toBe('wave_height');
+        expect(variableOf('battery_voltage')).toBe('battery_voltage');
+    });
+
+    test('reads unit hints from keys and labels', () => {
+        expect(sourceUnitOf({ key: 'sea_level_mm' }).unit).toBe('mm');
+        expect(sourceUnitOf({ key: 'wind', label: 'Wind speed (kt)' }).unit).toBe('kt');
+        expect(sourceUnitOf({ key: 'air_temp_degf' }).toCanonical(212)).toBeCloseTo(100);
+        expect(sourceUnitOf({ key: 'sea_level', label: 'Sea level' })).toBeNull();
+    });
+
+    test('lists variables found at two or more stations', () => {
+        const a = chartData([{ key: 'tide' }, { key: 'temp' }], []);
+        const b = chartData([{ key: 'sea_level_mm' }], []);
+        expect(comparableVariables([{ id: 'A', data: a }, { id: 'B', data: b }])).toEqual([
+            { id: 'sea_level', label: 'Sea level', stationIds: ['A', 'B'] }
+        ]);
+    });
+});
+
+describe('stationSeries', () => {
+    const times = [at(0), at(1), at(2)];
+    const data = chartData([{ key: 'sea_level_mm', values: [1000, '', 2500], flags: [QC_PASS, QC_PASS, QC_FAIL] }], times);
+
+    test('converts to the canonical unit and drops missing and QC-flagged points', () => {
+        expect(stationSeries(data, 'sea_level')).toEqual({ times, values: [1, null, null], sourceUnit: 'mm' });
+    });
+
+    test('follows the feet toggle for lengths only', () => {
+        expect(stationSeries(data, 'sea_level', 'ft').values[0]).toBeCloseTo(3.28084);
+        const wind = chartData([{ key: 'wind_speed', values: [10] }], [at(0)]);
+        expect(stationSeries(wind, 'wind_speed', 'ft').values).toEqual([10]);
+        expect(stationSeries(wind, 'sea_level')).toBeNull();
+    });
+});
+
+describe('grid', () => {
+    test('aligns to the step from the earliest to the latest observation of all series', () => {
+        const grid = buildGrid([{ times: [at(0, 20), at(2, 10)] }, { times: [at(3, 5)] }], HOUR);
+        expect(grid).toEqual([at(0), at(1), at(2), at(3)]);
+        expect(buildGrid([{ times: [] }], HOUR)).toEqual([]);
+    });
+
+    test('caps the comparison grid unless asked for every bin', () => {
+        // One year of 10-minute bins
+        const series = [{ times: [at(0), at(0) + 365 * 24 * HOUR] }];
+        const capped = buildGrid(series, 600000);
+        expect(capped).toHaveLength(8000);
+        expect(capped[7999]).toBe(at(0) + 7999 * 600000);
+        expect(buildGrid(series, 600000, Infinity)).toHaveLength(365 * 144 + 1);
+    });
+
+    test('picks the finest step that covers the coarsest sampling and keeps the grid small', () => {
+        expect(autoStepMinutes([1, 10], 24 * HOUR)).toBe(10);
+        expect(autoStepMinutes([7], 24 * HOUR)).toBe(10);
+        // 60 days at 1-minute sampling would be 86400 bins
+        expect(autoStepMinutes([1], 60 * 24 * HOUR)).toBe(60);
+        expect(autoStepMinutes([], 10 * 365 * 24 * HOUR)).toBe(1440);
+    });
+});
+
+describe('resampleToGrid', () => {
+    const grid = [at(0), at(1), at(2), at(3)];
+
+    test('averages each bin and leaves gaps empty', () => {
+        const series = { times: [at(0, 10), at(0, 40), at(3, 0)], values: [1, 2, 5] };
+        expect(resampleToGrid(series, grid, HOUR)).toEqual([1.5, null, null, 5]);
+    });
+
+    test('skips missing values and points off the grid', () => {
+        const series = { times: [at(-1), at(1, 5), at(1, 30), at(4)], values: [9, null, 4, 9] };
+        expect(resampleToGrid(series, grid, HOUR)).toEqual([null, 4, null, null]);
+        expect(resampleToGrid(series, [], HOUR)).toEqual([]);
+    });
+
+    test('uses the circular mean for directions', () => {
+        const bearings = resampleToGrid({ times: [at(0, 10), at(0, 20)], values: [350, 20] }, grid, HOUR, true);
+        expect(bearings[0]).toBeCloseTo(5);
+        expect(bearings.slice(1)).toEqual([null, null, null]);
+    });
+});
+
+describe('differences', () => {
+    test('lines up stations reporting in different units', () => {
+        const times = [at(0), at(1), at(2)];
+        const metres = chartData([{ key: 'sea_level', values: [1.2, 1.4, 1.1] }], times);
+        const millimetres = chartData([{ key: 'tide_mm', values: [1000, null, 1000] }], times);
+        const grid = buildGrid([{ times }], HOUR);
+
+        const a = resampleToGrid(stationSeries(metres, 'sea_level'), grid, HOUR);
+        const b = resampleToGrid(stationSeries(millimetres, 'sea_level'), grid, HOUR);
+        const diff = differenceSeries(a, b);
+
+        expect(diff[0]).toBeCloseTo(0.2);
+        expect(diff[1]).toBeNull();
+        expect(diff[2]).toBeCloseTo(0.1);
+        const stats = differenceStats(diff);
+        expect(stats.count).toBe(2);
+        expect(stats.mean).toBeCloseTo(0.15);
+        expect(stats.rms).toBeCloseTo(Math.sqrt((0.04 + 0.01) / 2));
+    });
+
+    test('wraps direction differences to [-180, 180)', () => {
+        expect(differenceSeries([10, 350, 90], [350, 10, 270], true)).toEqual([20, -20, -180]);
+    });
+
+    test('removes each series mean, keeping gaps', () => {
+        expect(removeMean([1, null, 3])).toEqual([-1, null, 1]);
+        expect(removeMean([null])).toEqual([null]);
+        expect(differenceStats([null])).toBeNull();
+    });
+});
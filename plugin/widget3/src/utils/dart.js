@@ -0,0 +1,106 @@
+// DART (Deep-ocean Assessment and Reporting of Tsunamis) helpers: de-tiding the water column height,
+// finding event-mode sampling and timing the arrival of an anomaly after an earthquake.
+import { fitTide, predictTide } from './tides';
+
+// Standard mode reports every 15 min; event mode (triggered by the bottom pressure recorder) every
+// 15 s, then every minute. Consecutive samples this close together are treated as event mode.
+export const EVENT_MODE_MAX_SECONDS = 90;
+
+// NOAA's on-board trigger threshold, used as the default anomaly threshold
+export const DEFAULT_ANOMALY_THRESHOLD_M = 0.03;
+
+// Window for the local tide estimate when the record is too short for a harmonic fit
+const LOCAL_WINDOW_HOURS = 3;
+// Tide fits use at most one sample per standard-mode interval, so dense event-mode bursts (which
+// carry the tsunami signal) don't dominate the estimate
+const SUPPORT_INTERVAL_MS = 15 * 60000;
+
+export const isDartStation = station => /dart/i.test(`${station?.type_value || ''} ${station?.label || ''}`);
+
+export const findWaterColumnSeries = datasets =>
+    datasets.find(ds => /water_?column|column_?height|wch/i.test(ds.key || '')) ||
+    datasets.find(ds => /height|depth|pressure/i.test(ds.key || '')) ||
+    datasets[0];
+
+// Contiguous runs of event-mode sampling as [{ start, end }] in epoch ms
+export const findEventModeSegments = (times) => {
+    const segments = [];
+    let start = null;
+    for (let i = 1; i < times.length; i++) {
+        const fast = times[i] - times[i - 1] <= EVENT_MODE_MAX_SECONDS * 1000;
+        if (fast && start == null) start = times[i - 1];
+        if (!fast && start != null) { segments.push({ start, end: times[i - 1] }); start = null; }
+    }
+    if (start != null) segments.push({ start, end: times[times.length - 1] });
+    return segments;
+};
+
+const thinSupport = (times, values) => {
+    const st = [];
+    const sv = [];
+    let last = -Infinity;
+    for (let i = 0; i < times.length; i++) {
+        if (values[i] == null || times[i] - last < SUPPORT_INTERVAL_MS) continue;
+        st.push(times[i]);
+        sv.push(values[i]);
+        last = times[i];
+    }
+    return { st, sv };
+};
+
+// Tide estimate at each time from a quadratic fitted to the support samples within ±LOCAL_WINDOW_HOURS/2
+const localTide = (times, st, sv) => {
+    const half = (LOCAL_WINDOW_HOURS / 2) * 3600000;
+    let lo = 0;
+    let hi = 0;
+    return times.map(t => {
+        while (lo < st.length && st[lo] < t - half) lo++;
+        while (hi < st.length && st[hi] <= t + half) hi++;
+        // Normal equations for v = c0 + c1*x + c2*x^2 with x in hours from t
+        const S = [0, 0, 0, 0, 0];
+        const T = [0, 0, 0];
+        for (let j = lo; j < hi; j++) {
+            const v = sv[j];
+            const x = (st[j] - t) / 3600000;
+            let p = 1;
+            for (let k = 0; k < 5; k++) { S[k] += p; if (k < 3) T[k] += p * v; p *= x; }
+        }
+        if (S[0] < 3) return S[0] ? T[0] / S[0] : null;
+        // Cramer's rule on the 3x3 system; only c0 (the value at x = 0) is needed
+        const det = S[0] * (S[2] * S[4] - S[3] * S[3]) - S[1] * (S[1] * S[4] - S[3] * S[2]) + S[2] * (S[1] * S[3] - S[2] * S[2]);
+        if (Math.abs(det) < 1e-12) return T[0] / S[0];
+        const det0 = T[0] * (S[2] * S[4] - S[3] * S[3]) - S[1] * (T[1] * S[4] - S[3] * T[2]) + S[2] * (T[1] * S[3] - S[2] * T[2]);
+        return det0 / det;
+    });
+};
+
+// Remove the tide from the water column height. times ascending epoch ms; values null when missing.
+// Uses the harmonic fit when the window allows it, otherwise a running local quadratic.
+export const detide = (times, values) => {
+    const { st, sv } = thinSupport(times, values);
+    const fit = fitTide(st, sv);
+    const tide = fit ? times.map(t => predictTide(fit, t)) : localTide(times, st, sv);
+    const residual = values.map((v, i) => (v == null || tide[i] == null ? null : v - tide[i]));
+    return { tide, residual, method: fit ? 'harmonic' : 'local' };
+};
+
+// First sample after the origin whose anomaly exceeds the threshold, and the largest anomaly after it
+export const findArrival = (times, residual, originMs, threshold) => {
+    let arrival = null;
+    let peak = null;
+    for (let i = 0; i < times.length; i++) {
+        const r = residual[i];
+        if (times[i] < originMs || r == null) continue;
+        if (arrival == null && Math.abs(r) > threshold) arrival = times[i];
+        // Excursions before the arrival are noise, not the tsunami peak
+        if (arrival != null && (!peak || Math.abs(r) > Math.abs(peak.value))) peak = { time: times[i], value: r };
+    }
+    return { arrival, travelMs: arrival == null ? null : arrival - originMs, peak };
+};
+
+export const formatDuration = (ms) => {
+    const minutes = Math.round(ms / 60000);
+    const h = Math.floor(minutes / 60);
+    const m = minutes % 60;
+    return h ? `${h} h ${String(m).padStart(2, '0')} min` : `${m} min`;
+};
@@ -0,0 +1,72 @@
+import { findArrival, findEventModeSegments, detide, formatDuration } from './dart';
+
+const MIN = 60000;
+const ORIGIN = Date.UTC(2025, 6, 29, 23, 24);
+
+describe('findArrival', () => {
+    // One sample a minute from ten minutes before the origin, background noise of a few millimetres
+    const times = Array.from({ length: 90 }, (_, i) => ORIGIN + (i - 10) * MIN);
+    const quiet = () => times.map((_, i) => 0.005 * Math.sin(i));
+
+    test('times the first anomaly over the threshold after the origin and the peak that follows', () => {
+        const residual = quiet();
+        residual[5] = 0.1; // before the origin
+        residual[40] = 0.05;
+        residual[55] = -0.12;
+        residual[70] = 0.08;
+
+        const { arrival, travelMs, peak } = findArrival(times, residual, ORIGIN, 0.03);
+        expect(arrival).toBe(times[40]);
+        expect(travelMs).toBe(30 * MIN);
+        expect(peak).toEqual({ time: times[55], value: -0.12 });
+    });
+
+    test('skips missing residuals', () => {
+        const residual = quiet();
+        residual[30] = null;
+        residual[31] = -0.04;
+        expect(findArrival(times, residual, ORIGIN, 0.03).arrival).toBe(times[31]);
+    });
+
+    test('reports no arrival while the anomaly stays under the threshold', () => {
+        expect(findArrival(times, quiet(), ORIGIN, 0.03)).toEqual({ arrival: null, travelMs: null, peak: null });
+    });
+});
+
+describe('findEventModeSegments', () => {
+    test('finds runs of samples closer than event-mode spacing', () => {
+        const standard = [0, 15, 30].map(m => ORIGIN + m * MIN);
+        const burst = Array.from({ length: 8 }, (_, i) => ORIGIN + 30 * MIN + (i + 1) * 15000);
+        const after = [60, 75].map(m => ORIGIN + m * MIN);
+        expect(findEventModeSegments([...standard, ...burst, ...after])).toEqual([{ start: standard[2], end: burst[7] }]);
+        expect(findEventModeSegments(standard)).toEqual([]);
+    });
+});
+
+describe('detide', () => {
+    // The anomaly sample is part of the fit, so it is only recovered to a few millimetres
+    test('removes a fitted tide from a long record and keeps the anomaly', () => {
+        const times = Array.from({ length: 4 * 24 * 3 }, (_, i) => ORIGIN - 72 * 3600000 + i * 15 * MIN);
+        const tide = times.map(t => 4500 + 0.4 * Math.cos(28.9841042 * ((t - ORIGIN) / 3600000) * Math.PI / 180));
+        const values = tide.map((v, i) => (i === times.length - 2 ? v + 0.2 : v));
+
+        const { residual, method } = detide(times, values);
+        expect(method).toBe('harmonic');
+        expect(residual[times.length - 2]).toBeCloseTo(0.2, 1);
+        expect(Math.abs(residual[10])).toBeLessThan(0.01);
+    });
+
+    test('falls back to a local estimate on a short record', () => {
+        const times = Array.from({ length: 8 }, (_, i) => ORIGIN + i * 15 * MIN);
+        const { residual, method } = detide(times, times.map(() => 4500));
+        expect(method).toBe('local');
+        residual.forEach(r => expect(r).toBeCloseTo(0, 6));
+    });
+});
+
+describe('formatDuration', () => {
+    test('formats travel times', () => {
+        expect(formatDuration(42 * MIN)).toBe('42 min');
+        expect(formatDuration(125 * MIN)).toBe('2 h 05 min');
+    });
+});
@@ -0,0 +1,311 @@
+// Station data downloads: the loaded window of one or more stations as CSV or CF-style (NetCDF-like) JSON,
+// either as observed (with QC flags) or averaged into fixed time bins with QC-flagged points left out.
+import { variableOf, variableInfo, sourceUnitOf, buildGrid, resampleToGrid } from './compare';
+import { QC_FLAG_NAMES, isFlagged } from './qc';
+
+// Resampling steps offered for downloads, in minutes (0 = raw)
+export const EXPORT_STEPS = [0, 10, 60, 1440];
+export const EXPORT_FORMATS = { csv: 'CSV', json: 'CF JSON' };
+
+// CF standard names where the variable is unambiguous (sea level datums and temperature media vary by station)
+const STANDARD_NAMES = {
+    water_column_height: 'sea_floor_depth_below_sea_surface',
+    wave_height: 'sea_surface_wave_significant_height',
+    wind_speed: 'wind_speed',
+    pressure: 'air_pressure'
+};
+
+const FLAG_CODES = Object.keys(QC_FLAG_NAMES).map(Number);
+// Decimals kept in bin means, which are finer than any sensor
+const MEAN_DECIMALS = 4;
+
+const toNumberOrNull = (v) => {
+    if (v == null || v === '') return null;
+    const n = Number(v);
+    return isNaN(n) ? null : n;
+};
+
+export const stepText = m => (!m ? 'raw' : m % 1440 === 0 ? `${m / 1440} day` : m % 60 === 0 ? `${m / 60} h` : `${m} min`);
+
+// Station metadata for the export. details is the station entry from the stations API (see searchComponent).
+export const stationMetadata = (id, name, details = {}) => {
+    const [lon, lat] = Array.isArray(details.coordinates) ? details.coordinates : [];
+    return {
+        station_id: details.spotter_id || id,
+        obs_api_id: details.id ?? null,
+        name: name || details.label || id,
+        type: details.type_value || null,
+        country: details.country_short || null,
+        country_id: details.country_id ?? null,
+        owner: details.owner || null,
+        latitude: toNumberOrNull(lat),
+        longitude: toNumberOrNull(lon)
+    };
+};
+
+// Per-bin count of usable and of QC-flagged observations
+const binCounts = (times, values, flags, grid, stepMs) => {
+    const n = new Array(grid.length).fill(0);
+    const excluded = new Array(grid.length).fill(0);
+    if (!grid.length) return { n, excluded };
+    for (let i = 0; i < times.length; i++) {
+        if (values[i] == null) continue;
+        const b = Math.floor((times[i] - grid[0]) / stepMs);
+        if (b < 0 || b >= grid.length) continue;
+        if (isFlagged(flags?.[i])) excluded[b]++; else n[b]++;
+    }
+    return { n, excluded };
+};
+
+// Table of the given stations: { stepMinutes, start, end, stations: [{ meta, times, variables }] }.
+// stations: [{ id, name, details, data }] where data is the chartData entry; historical views thinned for the chart
+// carry the full series in data.fullSeries, which is what gets exported.
+// Raw variables keep their source units and carry `flags`/`qcReasons`; resampled ones are bin means in the
+// canonical unit (QC-flagged points excluded) with per-bin counts `n` and `excluded`, on a grid shared by all stations.
+export const buildExportTable = (stations, stepMinutes = 0) => {
+    const loaded = stations
+        .map(s => ({ ...s, series: s.data?.fullSeries || s.data }))
+        .filter(s => s.series?.labels?.length && s.series.datasets?.length);
+
+    const withTimes = loaded.map(s => ({
+        ...s,
+        times: s.series.labels.map(t => (t instanceof Date ? t : new Date(t)).getTime())
+    }));
+
+    const stepMs = stepMinutes * 60000;
+    const grid = stepMinutes ? buildGrid(withTimes, stepMs, Infinity) : null;
+
+    const out = withTimes.map(s => {
+        const variables = s.series.datasets.map(ds => {
+            const variableId = variableOf(ds.key);
+            const info = variableInfo(variableId);
+            const hint = sourceUnitOf(ds);
+            const values = ds.values.map(toNumberOrNull);
+            const base = {
+                key: ds.key,
+                label: ds.label || ds.key,
+                standardName: STANDARD_NAMES[variableId] || null,
+                circular: Boolean(info.circular)
+            };
+            if (!grid) {
+                return {
+                    ...base,
+                    unit: hint?.unit || info.unit || '',
+                    values,
+                    flags: ds.flags || null,
+                    qcReasons: ds.qcReasons || null
+                };
+            }
+            const good = values.map((v, i) => (v == null || isFlagged(ds.flags?.[i]) ? null : hint ? hint.toCanonical(v) : v));
+            return {
+                ...base,
+                unit: info.unit || '',
+                values: resampleToGrid({ times: s.times, values: good }, grid, stepMs, base.circular)
+                    .map(v => (v == null ? null : Number(v.toFixed(MEAN_DECIMALS)))),
+                ...binCounts(s.times, values, ds.flags, grid, stepMs)
+            };
+        });
+        return { meta: stationMetadata(s.id, s.name, s.details), times: grid || s.times, variables };
+    });
+
+    const allTimes = out.flatMap(s => [s.times[0], s.times[s.times.length - 1]]).filter(Number.isFinite);
+    return {
+        stepMinutes,
+        start: allTimes.length ? Math.min(...allTimes) : null,
+        end: allTimes.length ? Math.max(...allTimes) : null,
+        stations: out
+    };
+};
+
+const isoTime = t => new Date(t).toISOString().replace(/\.000Z$/, 'Z');
+
+const csvField = (v) => {
+    if (v == null) return '';
+    const s = String(v);
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+const csvLine = fields => fields.map(csvField).join(',');
+
+const FLAG_LEGEND = FLAG_CODES.map(c => `${c} ${QC_FLAG_NAMES[c]}`).join(', ');
+
+// CSV with `#` metadata lines. One station: a wide table (time, then value/QC columns per variable).
+// Several stations: a long table with one row per station, time and variable.
+export const toCsv = (table, { title = 'Realtime station data' } = {}) => {
+    const raw = !table.stepMinutes;
+    const lines = [
+        `# ${title}`,
+        `# generated: ${isoTime(Date.now())}`,
+        `# times: UTC`,
+        raw
+            ? `# values: as observed, in source units; QC flags (QARTOD): ${FLAG_LEGEND}`
+            : `# values: ${stepText(table.stepMinutes)} bin means (circular mean for directions), QC suspect/fail points excluded; n = points averaged, excluded = QC-flagged points left out`
+    ];
+
+    if (table.stations.length === 1) {
+        const [st] = table.stations;
+        Object.entries(st.meta).forEach(([k, v]) => { if (v != null) lines.push(`# ${k}: ${v}`); });
+        const header = ['time'];
+        st.variables.forEach(v => {
+            header.push(v.unit ? `${v.key} (${v.unit})` : v.key);
+            header.push(...(raw ? [`${v.key}_qc`, `${v.key}_qc_tests`] : [`${v.key}_n`, `${v.key}_excluded`]));
+        });
+        lines.push(csvLine(header));
+        st.times.forEach((t, i) => {
+            const row = [isoTime(t)];
+            st.variables.forEach(v => {
+                row.push(v.values[i]);
+                row.push(...(raw ? [v.flags?.[i], v.qcReasons?.[i]] : [v.n[i], v.excluded[i]]));
+            });
+            lines.push(csvLine(row));
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    lines.push(csvLine([
+        'station_id', 'name', 'type', 'country', 'latitude', 'longitude', 'time', 'variable', 'unit', 'value',
+        ...(raw ? ['qc_flag', 'qc_tests'] : ['n', 'excluded'])
+    ]));
+    table.stations.forEach(({ meta, times, variables }) => {
+        const stationFields = [meta.station_id, meta.name, meta.type, meta.country, meta.latitude, meta.longitude];
+        times.forEach((t, i) => {
+            variables.forEach(v => {
+                // Bins without any observation are left out of the long table
+                if (!raw && v.values[i] == null && !v.excluded[i]) return;
+                lines.push(csvLine([
+                    ...stationFields, isoTime(t), v.key, v.unit, v.values[i],
+                    ...(raw ? [v.flags?.[i], v.qcReasons?.[i]] : [v.n[i], v.excluded[i]])
+                ]));
+            });
+        });
+    });
+    return lines.join('\n') + '\n';
+};
+
+const cfName = key => String(key).replace(/[^A-Za-z0-9_]/g, '_').replace(/^(\d)/, 'v_$1');
+const pad = (arr, length) => Array.from({ length }, (_, i) => (i < arr.length ? arr[i] ?? null : null));
+
+// CF-style JSON (the CF-JSON layout of a netCDF file: attributes, dimensions, variables with shape/attributes/data),
+// using the CF timeSeries feature type. Stations are the `station` dimension; `obs` runs along each station's own
+// time axis (padded with null), so raw series with different sampling fit one file.
+export const toCfJson = (table, { title = 'Realtime station data' } = {}) => {
+    const raw = !table.stepMinutes;
+    const obs = Math.max(0, ...table.stations.map(s => s.times.length));
+    const stationCount = table.stations.length;
+    const metaVar = (key, type, attributes) => ({
+        shape: ['station'],
+        type,
+        attributes,
+        data: table.stations.map(s => s.meta[key])
+    });
+
+    const variables = {
+        station_id: metaVar('station_id', 'string', { long_name: 'station identifier', cf_role: 'timeseries_id' }),
+        station_name: metaVar('name', 'string', { long_name: 'station name' }),
+        station_type: metaVar('type', 'string', { long_name: 'station type' }),
+        country: metaVar('country', 'string', { long_name: 'country code' }),
+        latitude: metaVar('latitude', 'double', { standard_name: 'latitude', units: 'degrees_north' }),
+        longitude: metaVar('longitude', 'double', { standard_name: 'longitude', units: 'degrees_east' }),
+        time: {
+            shape: ['station', 'obs'],
+            type: 'double',
+            attributes: { standard_name: 'time', units: 'seconds since 1970-01-01T00:00:00Z', calendar: 'standard', axis: 'T' },
+            data: table.stations.map(s => pad(s.times.map(t => t / 1000), obs))
+        }
+    };
+
+    // Variables are keyed by their get_data name; stations without one get an all-null row
+    const keys = [...new Set(table.stations.flatMap(s => s.variables.map(v => v.key)))];
+    keys.forEach(key => {
+        const name = cfName(key);
+        const first = table.stations.flatMap(s => s.variables).find(v => v.key === key);
+        const rows = field => table.stations.map(s => {
+            const v = s.variables.find(x => x.key === key);
+            return pad(v?.[field] || [], obs);
+        });
+        const ancillary = raw ? [`${name}_qc`] : [`${name}_n`, `${name}_excluded`];
+        variables[name] = {
+            shape: ['station', 'obs'],
+            type: 'double',
+            attributes: {
+                long_name: first.label,
+                ...(first.standardName ? { standard_name: first.standardName } : {}),
+                units: first.unit || '1',
+                coordinates: 'time latitude longitude',
+                ...(raw ? {} : { cell_methods: `time: mean (interval: ${table.stepMinutes} minutes)` }),
+                ...(!raw && first.circular ? { comment: 'circular mean of the directions in each bin' } : {}),
+                ancillary_variables: ancillary.join(' ')
+            },
+            data: rows('values')
+        };
+        if (raw) {
+            variables[`${name}_qc`] = {
+                shape: ['station', 'obs'],
+                type: 'byte',
+                attributes: {
+                    long_name: `${first.label} quality flag`,
+                    standard_name: 'status_flag',
+                    flag_values: FLAG_CODES,
+                    flag_meanings: FLAG_CODES.map(c => QC_FLAG_NAMES[c].replace(/\s+/g, '_')).join(' '),
+                    references: 'QARTOD',
+                    comment: 'Automatic QC tests that flagged each point are listed in the qc_tests variable'
+                },
+                data: rows('flags')
+            };
+            variables[`${name}_qc_tests`] = {
+                shape: ['station', 'obs'],
+                type: 'string',
+                attributes: { long_name: `${first.label} QC tests failed` },
+                data: rows('qcReasons')
+            };
+        } else {
+            variables[`${name}_n`] = {
+                shape: ['station', 'obs'],
+                type: 'int',
+                attributes: { long_name: `${first.label} points averaged` },
+                data: rows('n')
+            };
+            variables[`${name}_excluded`] = {
+                shape: ['station', 'obs'],
+                type: 'int',
+                attributes: { long_name: `${first.label} QC-flagged points excluded` },
+                data: rows('excluded')
+            };
+        }
+    });
+
+    return {
+        attributes: {
+            Conventions: 'CF-1.8',
+            featureType: 'timeSeries',
+            title,
+            institution: 'Pacific Community (SPC)',
+            source: 'https://ocean-obs-api.spc.int/insitu',
+            history: `${isoTime(Date.now())} exported from the realtime dashboard`,
+            time_coverage_start: table.start != null ? isoTime(table.start) : null,
+            time_coverage_end: table.end != null ? isoTime(table.end) : null,
+            processing: raw ? 'as observed, source units' : `${stepText(table.stepMinutes)} bin means, QC suspect/fail points excluded`
+        },
+        dimensions: { station: stationCount, obs },
+        variables
+    };
+};
+
+// File name from the station ids, resampling and covered window, e.g. "SPOT-1234_1h_20250601-20250602.csv"
+export const exportFilename = (table, format) => {
+    const ids = table.stations.map(s => s.meta.station_id);
+    const who = ids.length === 1 ? ids[0] : `${ids.length}-stations`;
+    const day = t => (t == null ? 'na' : isoTime(t).slice(0, 10).replace(/-/g, ''));
+    const step = table.stepMinutes ? `_${stepText(table.stepMinutes).replace(/\s+/g, '')}` : '';
+    return `${String(who).replace(/[^\w.-]+/g, '_')}${step}_${day(table.start)}-${day(table.end)}.${format}`;
+};
+
+export const downloadFile = (filename, text, type) => {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,103 @@
+import { buildExportTable, toCsv, toCfJson, exportFilename } from './exportData';
+import { QC_PASS, QC_SUSPECT, QC_FAIL } from './qc';
+
+const at = (hour, minute = 0) => Date.UTC(2025, 5, 1, hour, minute);
+
+const station = (labels, datasets, id = 'SPOT-1234') => ({
+    id,
+    name: 'Funafuti Lagoon',
+    details: { spotter_id: id, id: 42, coordinates: [179.19, -8.52], type_value: 'Tide gauge', country_short: 'TV' },
+    data: { labels: labels.map(t => new Date(t)), datasets }
+});
+
+const seaLevel = {
+    key: 'sea_level_mm',
+    label: 'Sea level (mm)',
+    values: [1000, 1200, 3000, 1500],
+    flags: [QC_PASS, QC_PASS, QC_FAIL, QC_PASS],
+    qcReasons: [null, null, 'spike', null]
+};
+const times = [at(0, 5), at(0, 55), at(1, 0), at(1, 20)];
+
+describe('raw export', () => {
+    const table = buildExportTable([station(times, [seaLevel])]);
+
+    test('keeps source units and QC flags', () => {
+        const [st] = table.stations;
+        expect(table.stepMinutes).toBe(0);
+        expect(st.times).toEqual(times);
+        expect(st.variables[0]).toMatchObject({ unit: 'mm', values: [1000, 1200, 3000, 1500], flags: seaLevel.flags });
+        expect(table.start).toBe(times[0]);
+        expect(table.end).toBe(times[3]);
+    });
+
+    test('writes metadata lines, a header and the flags to CSV', () => {
+        const lines = toCsv(table, { title: 'Funafuti' }).trim().split('\n');
+        expect(lines[0]).toBe('# Funafuti');
+        expect(lines).toContain('# times: UTC');
+        expect(lines.find(l => l.startsWith('# values:'))).toMatch(/as observed, in source units; QC flags \(QARTOD\): 1 pass/);
+        expect(lines).toContain('# station_id: SPOT-1234');
+        expect(lines).toContain('# latitude: -8.52');
+        expect(lines).toContain('time,sea_level_mm (mm),sea_level_mm_qc,sea_level_mm_qc_tests');
+        expect(lines).toContain('2025-06-01T01:00:00Z,3000,4,spike');
+        expect(lines[lines.length - 1]).toBe('2025-06-01T01:20:00Z,1500,1,');
+    });
+
+    test('writes a flag variable to CF JSON', () => {
+        const cf = toCfJson(table);
+        expect(cf.attributes.processing).toBe('as observed, source units');
+        expect(cf.dimensions).toEqual({ station: 1, obs: 4 });
+        expect(cf.variables.sea_level_mm.attributes.units).toBe('mm');
+        expect(cf.variables.sea_level_mm_qc.data).toEqual([seaLevel.flags]);
+        expect(cf.variables.time.data[0][0]).toBe(times[0] / 1000);
+    });
+});
+
+describe('resampled export', () => {
+    const table = buildExportTable([station(times, [seaLevel])], 60);
+
+    test('averages UTC-aligned bins in canonical units, leaving QC-flagged points out', () => {
+        const [st] = table.stations;
+        expect(st.times).toEqual([at(0), at(1)]);
+        expect(st.variables[0]).toMatchObject({ unit: 'm', values: [1.1, 1.5], n: [2, 1], excluded: [0, 1] });
+    });
+
+    test('writes bin counts instead of flags', () => {
+        const lines = toCsv(table).trim().split('\n');
+        expect(lines.find(l => l.startsWith('# values:'))).toMatch(/^# values: 1 h bin means/);
+        expect(lines).toContain('time,sea_level_mm (m),sea_level_mm_n,sea_level_mm_excluded');
+        expect(lines).toContain('2025-06-01T00:00:00Z,1.1,2,0');
+        expect(lines).toContain('2025-06-01T01:00:00Z,1.5,1,1');
+
+        const cf = toCfJson(table);
+        expect(cf.variables.sea_level_mm.attributes.cell_methods).toBe('time: mean (interval: 60 minutes)');
+        expect(cf.variables.sea_level_mm_excluded.data).toEqual([[0, 1]]);
+    });
+
+    test('puts every station on one grid in the long table', () => {
+        const other = station([at(2, 30)], [{ key: 'sea_level', values: [0.9] }], 'SPOT-5678');
+        const both = buildExportTable([station(times, [seaLevel]), other], 60);
+        expect(both.stations.map(s => s.times)).toEqual([[at(0), at(1), at(2)], [at(0), at(1), at(2)]]);
+
+        const lines = toCsv(both).trim().split('\n');
+        // Empty bins are left out of the long table
+        expect(lines.filter(l => l.startsWith('SPOT-5678'))).toEqual([
+            'SPOT-5678,Funafuti Lagoon,Tide gauge,TV,-8.52,179.19,2025-06-01T02:00:00Z,sea_level,m,0.9,1,0'
+        ]);
+        expect(exportFilename(both, 'csv')).toBe('2-stations_1h_20250601-20250601.csv');
+    });
+
+    test('keeps every bin of a long window', () => {
+        // 60 days of 10-minute observations: more bins than the comparison chart's grid holds
+        const count = 60 * 144;
+        const long = Array.from({ length: count }, (_, i) => at(0) + i * 600000);
+        const ds = { key: 'sea_level', values: long.map((_, i) => i % 2), flags: long.map(() => QC_PASS) };
+        ds.flags[count - 1] = QC_SUSPECT;
+
+        const [st] = buildExportTable([station(long, [ds])], 10).stations;
+        expect(st.times).toHaveLength(count);
+        expect(st.times[count - 1]).toBe(long[count - 1]);
+        expect(st.variables[0].values[count - 2]).toBe(0);
+        expect(st.variables[0].excluded[count - 1]).toBe(1);
+    });
+});
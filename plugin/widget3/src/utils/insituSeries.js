@@ -0,0 +1,246 @@
+// Helpers for the insitu get_data timeseries shared by the realtime dashboard views.
+import { QC_FAIL } from './qc';
+
+// Parse API timestamps: ISO strings (with or without offset), epoch ms, or "YYYY-MM-DD HH:MM[:SS]" (UTC)
+export const parseToDate = (value) => {
+    if (value instanceof Date) return value;
+    if (value == null) return new Date(NaN);
+
+    if (typeof value === 'number') return new Date(value);
+
+    if (typeof value === 'string') {
+        const s = value.trim();
+        // "YYYY-MM-DD HH:MM[:SS]" without an offset is UTC; native Date would read it as local time
+        const m = s.match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)$/);
+        if (m) {
+            const utc = new Date(`${m[1]}T${m[2]}Z`);
+            if (!isNaN(utc)) return utc;
+        }
+
+        // Anything else native Date can parse, e.g. ISO strings with a timezone offset
+        return new Date(s);
+    }
+
+    return new Date(value);
+};
+
+export const splitDataLabels = (dataLabels) => (dataLabels || '').toString().split(',').map(s => s.trim()).filter(Boolean);
+
+// data_labels hints the time column (e.g. "sea_level,time"); resolve it against the actual row keys
+// case-insensitively, falling back to any key containing "time" or "date".
+export const resolveTimeKey = (labelsArr, firstRow) => {
+    const hintedTimeKey =
+        labelsArr.find(l => l.toLowerCase() === 'time') ||
+        labelsArr.find(l => l.toLowerCase().includes('time')) ||
+        labelsArr.find(l => l.toLowerCase().includes('date')) ||
+        'time';
+
+    if (!firstRow || typeof firstRow !== 'object' || Array.isArray(firstRow)) return hintedTimeKey;
+    const objKeys = Object.keys(firstRow);
+    const exactCI = objKeys.find(k => k.toLowerCase() === hintedTimeKey.toLowerCase());
+    if (exactCI) return exactCI;
+    if (hintedTimeKey in firstRow) return hintedTimeKey;
+    return (
+        objKeys.find(k => k.toLowerCase().includes('time')) ||
+        objKeys.find(k => k.toLowerCase().includes('date')) ||
+        hintedTimeKey
+    );
+};
+
+// Turn get_data rows into aligned { labels: Date[], datasets } (one dataset per non-time column).
+// data_labels can be empty even when rows exist, so the first row's keys stand in for it. Rows with
+// an unparseable timestamp are dropped and -999 is treated as missing. Returns null when nothing is plottable.
+export const parseInsituRows = (rows, dataLabels) => {
+    if (!rows?.length) return null;
+    const firstRow = rows[0];
+    const isObjectRow = firstRow && typeof firstRow === 'object' && !Array.isArray(firstRow);
+
+    let labelsString = (dataLabels || '').toString().trim();
+    if (!labelsString && isObjectRow) labelsString = Object.keys(firstRow).join(',');
+    if (!labelsString) return null;
+
+    const labelsArr = splitDataLabels(labelsString);
+    const timeKey = resolveTimeKey(labelsArr, firstRow);
+
+    let yKeys = labelsArr.filter(l => l.toLowerCase() !== timeKey.toLowerCase());
+    if (!yKeys.length && isObjectRow) {
+        yKeys = Object.keys(firstRow).filter(k => k.toLowerCase() !== timeKey.toLowerCase());
+    }
+    if (!yKeys.length) return null;
+
+    const parsedDates = rows.map(r => parseToDate(r?.[timeKey]));
+    const validIdx = [];
+    for (let i = 0; i < parsedDates.length; i++) {
+        if (!isNaN(parsedDates[i])) validIdx.push(i);
+    }
+    if (!validIdx.length) return null;
+
+    return {
+        labels: validIdx.map(i => parsedDates[i]),
+        datasets: yKeys.map((k, idx) => {
+            const rawValues = validIdx.map(i => {
+                const val = rows[i]?.[k];
+                if (val === -999) return null; // treat sentinel -999 as missing
+                return val;
+            });
+            return {
+                key: k,
+                label: k.replace(/_/g, ' '),
+                values: rawValues,
+                originalValues: rawValues,
+                axis: idx === 0 ? 'y1' : idx === 1 ? 'y2' : 'y3'
+            };
+        })
+    };
+};
+
+// Sampling interval in whole minutes (median positive delta), 1 when it can't be estimated
+export const medianSampleMinutes = (labelDates) => {
+    const deltas = [];
+    for (let i = 1; i < labelDates.length; i++) {
+        const dt = labelDates[i].getTime() - labelDates[i - 1].getTime();
+        if (dt > 0) deltas.push(dt);
+    }
+    if (!deltas.length) return 1;
+    deltas.sort((a, b) => a - b);
+    const mid = Math.floor(deltas.length / 2);
+    const medianMs = deltas.length % 2 ? deltas[mid] : (deltas[mid - 1] + deltas[mid]) / 2;
+    return Math.max(1, Math.round(medianMs / 60000));
+};
+
+// Per-row arrays carried by a dataset; anything that slices rows must keep them aligned
+const ROW_FIELDS = ['values', 'originalValues', 'flags', 'qcReasons'];
+
+export const sliceRows = (ds, indices) => {
+    const out = { ...ds };
+    for (const f of ROW_FIELDS) {
+        if (Array.isArray(ds[f])) out[f] = indices.map(i => ds[f][i]);
+    }
+    return out;
+};
+
+// Reduce a long series to at most ~maxPoints rows for charting. Rows are split into equal buckets and
+// each bucket keeps the rows holding the min and max of the primary (first non-empty) series, so storm
+// peaks and troughs survive. QC failures are not candidates, so a bad spike can't stand in for the real
+// peak. All datasets keep the same rows so they stay aligned with the labels.
+export const downsampleMinMax = (labels, datasets, maxPoints) => {
+    const n = labels.length;
+    if (!maxPoints || n <= maxPoints) return { labels, datasets, downsampled: false };
+
+    const primary = datasets.find(ds => ds.values.some(v => v != null)) || datasets[0];
+    const value = i => {
+        const v = primary?.values[i];
+        if (v == null || v === '' || primary.flags?.[i] === QC_FAIL) return NaN;
+        return Number(v);
+    };
+
+    const bucketCount = Math.max(1, Math.floor(maxPoints / 2));
+    const bucketSize = n / bucketCount;
+    const keep = [];
+    for (let b = 0; b < bucketCount; b++) {
+        const from = Math.floor(b * bucketSize);
+        const to = Math.min(n, Math.floor((b + 1) * bucketSize));
+        let minIdx = -1;
+        let maxIdx = -1;
+        for (let i = from; i < to; i++) {
+            const v = value(i);
+            if (isNaN(v)) continue;
+            if (minIdx < 0 || v < value(minIdx)) minIdx = i;
+            if (maxIdx < 0 || v > value(maxIdx)) maxIdx = i;
+        }
+        if (minIdx < 0) {
+            // Bucket without values: keep one row so the gap still shows on the chart
+            if (from < to) keep.push(from);
+        } else if (minIdx === maxIdx) {
+            keep.push(minIdx);
+        } else {
+            keep.push(Math.min(minIdx, maxIdx), Math.max(minIdx, maxIdx));
+        }
+    }
+
+    return {
+        labels: keep.map(i => labels[i]),
+        datasets: datasets.map(ds => sliceRows(ds, keep)),
+        downsampled: true
+    };
+};
+
+// Historical windows are paged backwards through get_data in chunks of HISTORY_PAGE_SIZE rows, at most
+// HISTORY_MAX_PAGES pages per station
+export const HISTORY_PAGE_SIZE = 5000;
+export const HISTORY_MAX_PAGES = 20;
+const HISTORY_MAX_ROWS = HISTORY_PAGE_SIZE * HISTORY_MAX_PAGES;
+// Rows further than this outside the requested start/end mean the API ignored the bounds
+const HISTORY_BOUND_SLACK_MS = 60000;
+
+// Load range ({ start, end } Dates) with fetchPage(limit, bounds, label), which resolves to a get_data result
+// ({ data, data_labels, ... } or a failure such as null / { isTimeout }).
+// Pages go backwards from range.end: each asks for rows up to just before the oldest row seen so far, until a
+// short page, the range start, or HISTORY_MAX_PAGES. Rows are merged, de-duplicated and sorted.
+// A page with rows outside the requested bounds means the API ignored start/end and only serves the latest
+// rows; the limit is then doubled (bounds dropped) until it reaches back to the range start, the station runs
+// out of rows, or HISTORY_MAX_ROWS. Returns the first page's result with the merged rows and `truncated`.
+export const fetchHistoryPages = async (fetchPage, range) => {
+    const startMs = range.start.getTime();
+    let endMs = range.end.getTime();
+    let first = null;
+    let timeKey = null;
+    let truncated = false;
+    let latestOnly = false;
+    let limit = HISTORY_PAGE_SIZE;
+    const byTime = new Map();
+
+    for (let page = 0; ; page++) {
+        if (page >= HISTORY_MAX_PAGES) { truncated = true; break; }
+        const bounds = latestOnly ? null : { start: range.start, end: new Date(endMs) };
+        const res = await fetchPage(limit, bounds, `history page ${page + 1}`);
+        // Failures on the first page are reported as-is; later ones keep what was already loaded
+        if (!res || res.isTimeout || res.notFound || res.stationNotFound) {
+            if (!first) return res;
+            truncated = true;
+            break;
+        }
+        const rows = res.data || [];
+        if (!rows.length) break;
+        if (!first) {
+            first = res;
+            timeKey = resolveTimeKey(splitDataLabels(res.data_labels), rows[0]);
+        }
+
+        let oldest = Infinity;
+        let outOfBounds = false;
+        for (const row of rows) {
+            const t = parseToDate(row?.[timeKey]).getTime();
+            if (isNaN(t)) continue;
+            if (t < oldest) oldest = t;
+            if (t >= startMs && t <= range.end.getTime()) byTime.set(t, row);
+            if (t > endMs + HISTORY_BOUND_SLACK_MS || t < startMs - HISTORY_BOUND_SLACK_MS) outOfBounds = true;
+        }
+
+        if (rows.length < limit || oldest <= startMs) break;
+        if (outOfBounds || latestOnly) {
+            if (limit >= HISTORY_MAX_ROWS) { truncated = true; break; }
+            latestOnly = true;
+            limit = Math.min(limit * 2, HISTORY_MAX_ROWS);
+            continue;
+        }
+        // Stop if the oldest row didn't move back, to avoid refetching the same page
+        if (oldest >= endMs) break;
+        endMs = oldest - 1;
+    }
+
+    if (!first) return { data: [], data_labels: '', isEmpty: true };
+    const data = [...byTime.keys()].sort((a, b) => a - b).map(t => byTime.get(t));
+    return { ...first, data, isEmpty: !data.length, truncated };
+};
+
+// <input type="datetime-local"> has no timezone; the dashboard works in UTC throughout.
+export const toUtcInputValue = (date) => {
+    const d = date instanceof Date ? date : new Date(date);
+    return isNaN(d) ? '' : d.toISOString().slice(0, 16);
+};
+
+export const fromUtcInputValue = (value) => {
+    if (!value) return new Date(NaN);
+    return new Date(value.length === 16 ? `${value}:00Z` : `${value}Z`);
+};
@@ -0,0 +1,193 @@
+import {
+    parseToDate, resolveTimeKey, parseInsituRows, medianSampleMinutes, downsampleMinMax,
+    toUtcInputValue, fromUtcInputValue, fetchHistoryPages, HISTORY_PAGE_SIZE, HISTORY_MAX_PAGES
+} from './insituSeries';
+import { QC_PASS, QC_FAIL } from './qc';
+
+const T0 = Date.UTC(2025, 0, 1);
+const STEP = 10 * 60000;
+
+describe('parseToDate', () => {
+    test('reads ISO strings with an offset, epoch ms and dates', () => {
+        expect(parseToDate('2025-06-01T12:30:00+12:00').toISOString()).toBe('2025-06-01T00:30:00.000Z');
+        expect(parseToDate(' 2025-06-01T12:30:00Z ').getTime()).toBe(Date.UTC(2025, 5, 1, 12, 30));
+        expect(parseToDate(T0).getTime()).toBe(T0);
+        const d = new Date(T0);
+        expect(parseToDate(d)).toBe(d);
+    });
+
+    test('reads timestamps without an offset as UTC, whatever the local timezone', () => {
+        expect(parseToDate('2025-06-01 12:30').getTime()).toBe(Date.UTC(2025, 5, 1, 12, 30));
+        expect(parseToDate('2025-06-01 12:30:45').getTime()).toBe(Date.UTC(2025, 5, 1, 12, 30, 45));
+        expect(parseToDate('2025-06-01T12:30:45.250').getTime()).toBe(Date.UTC(2025, 5, 1, 12, 30, 45, 250));
+    });
+
+    test('gives an invalid date for missing or unparseable values', () => {
+        expect(isNaN(parseToDate(null))).toBe(true);
+        expect(isNaN(parseToDate(undefined))).toBe(true);
+        expect(isNaN(parseToDate(''))).toBe(true);
+        expect(isNaN(parseToDate('not a time'))).toBe(true);
+        expect(isNaN(parseToDate('2025-13-01 12:30'))).toBe(true);
+    });
+});
+
+describe('resolveTimeKey', () => {
+    test('matches the hinted time column against the row keys case-insensitively', () => {
+        expect(resolveTimeKey(['sea_level', 'time'], { Time: 'x', sea_level: 1 })).toBe('Time');
+        expect(resolveTimeKey(['sea_level', 'obs_time'], { obs_time: 'x' })).toBe('obs_time');
+    });
+
+    test('falls back to any time or date key of the row', () => {
+        expect(resolveTimeKey(['sea_level'], { sea_level: 1, obs_date: 'x' })).toBe('obs_date');
+        expect(resolveTimeKey([], null)).toBe('time');
+        expect(resolveTimeKey(['date'], ['x'])).toBe('date');
+    });
+});
+
+describe('parseInsituRows', () => {
+    test('drops rows without a usable timestamp and treats -999 as missing', () => {
+        const rows = [
+            { time: '2025-06-01 00:00', sea_level: 1.2, temp: 28 },
+            { time: 'bad', sea_level: 1.3, temp: 28 },
+            { time: '2025-06-01 00:10', sea_level: -999, temp: 27.9 }
+        ];
+        const parsed = parseInsituRows(rows, '');
+        expect(parsed.labels.map(d => d.getTime())).toEqual([Date.UTC(2025, 5, 1), Date.UTC(2025, 5, 1, 0, 10)]);
+        expect(parsed.datasets.map(ds => [ds.key, ds.values, ds.axis])).toEqual([
+            ['sea_level', [1.2, null], 'y1'],
+            ['temp', [28, 27.9], 'y2']
+        ]);
+    });
+
+    test('has nothing to plot without rows, value columns or valid times', () => {
+        expect(parseInsituRows([], 'time,sea_level')).toBeNull();
+        expect(parseInsituRows([{ time: '2025-06-01 00:00' }], 'time')).toBeNull();
+        expect(parseInsituRows([{ time: 'bad', sea_level: 1 }], 'time,sea_level')).toBeNull();
+    });
+});
+
+describe('medianSampleMinutes', () => {
+    test('uses the median positive step, at least one minute', () => {
+        const at = minutes => new Date(T0 + minutes * 60000);
+        expect(medianSampleMinutes([at(0), at(10), at(20), at(20), at(90)])).toBe(10);
+        expect(medianSampleMinutes([at(0), at(0.2), at(0.4)])).toBe(1);
+        expect(medianSampleMinutes([at(0)])).toBe(1);
+    });
+});
+
+describe('downsampleMinMax', () => {
+    const labels = Array.from({ length: 12 }, (_, i) => new Date(T0 + i * STEP));
+
+    test('leaves short series alone', () => {
+        const datasets = [{ values: [1, 2, 3] }];
+        expect(downsampleMinMax(labels.slice(0, 3), datasets, 10)).toEqual({ labels: labels.slice(0, 3), datasets, downsampled: false });
+        expect(downsampleMinMax(labels.slice(0, 3), datasets, 0).downsampled).toBe(false);
+    });
+
+    test('keeps the peak and trough of each bucket, in time order, for every dataset', () => {
+        const primary = { values: [1, 9, 2, 3, 0, 4, 5, 5, 5, 6, 2, 8], flags: labels.map(() => QC_PASS) };
+        const other = { values: labels.map((_, i) => i * 10), flags: labels.map(() => QC_PASS) };
+        const out = downsampleMinMax(labels, [primary, other], 6);
+
+        // Three buckets of four rows: [1, 9, 2, 3], [0, 4, 5, 5], [5, 6, 2, 8]; ties keep the first row
+        expect(out.downsampled).toBe(true);
+        expect(out.labels).toEqual([labels[0], labels[1], labels[4], labels[6], labels[10], labels[11]]);
+        expect(out.datasets[0].values).toEqual([1, 9, 0, 5, 2, 8]);
+        expect(out.datasets[1].values).toEqual([0, 10, 40, 60, 100, 110]);
+        expect(out.datasets[1].flags).toHaveLength(6);
+    });
+
+    test('does not let a QC failure stand in for the peak', () => {
+        const primary = { values: [1, 50, 2, 3], flags: [QC_PASS, QC_FAIL, QC_PASS, QC_PASS] };
+        const out = downsampleMinMax(labels.slice(0, 4), [primary], 2);
+        expect(out.datasets[0].values).toEqual([1, 3]);
+    });
+
+    test('keeps one row of a bucket without values so the gap shows', () => {
+        const empty = { values: labels.map(() => null) };
+        const primary = { values: [1, 2, 3, 4, null, null, null, null, 5, 6, 7, 8] };
+        const out = downsampleMinMax(labels, [empty, primary], 6);
+        expect(out.labels).toEqual([labels[0], labels[3], labels[4], labels[8], labels[11]]);
+        expect(out.datasets[1].values).toEqual([1, 4, null, 5, 8]);
+    });
+});
+
+describe('UTC input values', () => {
+    test('round-trips datetime-local values as UTC', () => {
+        expect(toUtcInputValue(new Date(Date.UTC(2025, 5, 1, 9, 5, 30)))).toBe('2025-06-01T09:05');
+        expect(fromUtcInputValue('2025-06-01T09:05').getTime()).toBe(Date.UTC(2025, 5, 1, 9, 5));
+        expect(fromUtcInputValue('2025-06-01T09:05:30').getTime()).toBe(Date.UTC(2025, 5, 1, 9, 5, 30));
+    });
+
+    test('has no value for invalid input', () => {
+        expect(toUtcInputValue('nope')).toBe('');
+        expect(isNaN(fromUtcInputValue(''))).toBe(true);
+    });
+});
+
+describe('fetchHistoryPages', () => {
+    const stationRows = count => Array.from({ length: count }, (_, i) => ({ time: new Date(T0 + i * STEP).toISOString(), sea_level: i }));
+    const timeOf = i => new Date(T0 + i * STEP);
+
+    // get_data stand-in: the latest `limit` rows within the bounds, or the latest rows overall when the API ignores them
+    const fakeApi = (rows, { honoursBounds = true } = {}) => jest.fn(async (limit, bounds) => {
+        const matching = honoursBounds && bounds
+            ? rows.filter(r => { const t = Date.parse(r.time); return t >= bounds.start.getTime() && t <= bounds.end.getTime(); })
+            : rows;
+        return { data: matching.slice(-limit).reverse(), data_labels: 'sea_level,time', chart_type: 'line' };
+    });
+    const levels = res => res.data.map(r => r.sea_level);
+
+    test('pages backwards through an API that honours start/end', async () => {
+        const rows = stationRows(12000);
+        const fetchPage = fakeApi(rows);
+        const res = await fetchHistoryPages(fetchPage, { start: timeOf(1000), end: timeOf(11999) });
+
+        expect(fetchPage).toHaveBeenCalledTimes(3);
+        expect(fetchPage.mock.calls.map(([limit, bounds]) => [limit, bounds.end.getTime()])).toEqual([
+            [HISTORY_PAGE_SIZE, timeOf(11999).getTime()],
+            [HISTORY_PAGE_SIZE, timeOf(7000).getTime() - 1],
+            [HISTORY_PAGE_SIZE, timeOf(2000).getTime() - 1]
+        ]);
+        expect(res).toMatchObject({ chart_type: 'line', isEmpty: false, truncated: false });
+        expect(levels(res)).toEqual(Array.from({ length: 11000 }, (_, i) => 1000 + i));
+    });
+
+    test('grows the row limit when the API ignores start/end', async () => {
+        const rows = stationRows(12000);
+        const fetchPage = fakeApi(rows, { honoursBounds: false });
+        const res = await fetchHistoryPages(fetchPage, { start: timeOf(1000), end: timeOf(11999) });
+
+        expect(fetchPage.mock.calls.map(([limit, bounds]) => [limit, Boolean(bounds)])).toEqual([
+            [5000, true], [5000, true], [10000, false], [20000, false]
+        ]);
+        expect(res.truncated).toBe(false);
+        expect(levels(res)).toEqual(Array.from({ length: 11000 }, (_, i) => 1000 + i));
+    });
+
+    test('marks the window truncated when the row limit is reached', async () => {
+        const rows = stationRows(HISTORY_PAGE_SIZE * HISTORY_MAX_PAGES + 5000);
+        const res = await fetchHistoryPages(fakeApi(rows, { honoursBounds: false }), { start: timeOf(0), end: timeOf(rows.length - 1) });
+
+        expect(res.truncated).toBe(true);
+        expect(res.data).toHaveLength(HISTORY_PAGE_SIZE * HISTORY_MAX_PAGES);
+        expect(res.data[0].sea_level).toBe(5000);
+    });
+
+    test('reports a first-page failure as-is and keeps loaded rows after a later one', async () => {
+        const timeout = { data: [], data_labels: '', isTimeout: true };
+        await expect(fetchHistoryPages(async () => timeout, { start: timeOf(0), end: timeOf(10) })).resolves.toBe(timeout);
+        await expect(fetchHistoryPages(async () => null, { start: timeOf(0), end: timeOf(10) })).resolves.toBeNull();
+
+        const api = fakeApi(stationRows(12000));
+        const flaky = jest.fn((limit, bounds) => (flaky.mock.calls.length > 1 ? Promise.resolve(timeout) : api(limit, bounds)));
+        const res = await fetchHistoryPages(flaky, { start: timeOf(0), end: timeOf(11999) });
+        expect(res.truncated).toBe(true);
+        expect(levels(res)).toEqual(Array.from({ length: 5000 }, (_, i) => 7000 + i));
+    });
+
+    test('is empty when the station has no rows', async () => {
+        const res = await fetchHistoryPages(async () => ({ data: [], data_labels: '' }), { start: timeOf(0), end: timeOf(10) });
+        expect(res).toEqual({ data: [], data_labels: '', isEmpty: true });
+    });
+});
@@ -0,0 +1,83 @@
+// Incremental live updates for the realtime dashboard.
+//
+// Prefers the SSE relay (relay/server.js, served at /widget3-relay/ behind nginx), which polls the obs API
+// once per station for all viewers and pushes only new rows. When the relay can't be reached (dev server,
+// old browser, relay down) it falls back to asking the API for rows since each station's last timestamp.
+// Either way onObservations receives { data, data_labels } shaped like a get_data response; rows may overlap
+// what the caller already has, so the caller appends only rows newer than its last label.
+
+export const RELAY_URL = (process.env.REACT_APP_LIVE_RELAY_URL || '/widget3-relay').replace(/\/$/, '');
+
+// Fallback poll cadence; each poll is a small "since" request, so this can be much shorter than a full refresh
+export const POLL_INTERVAL = 60000;
+// After a drop, EventSource retries on its own; give up on push if it isn't back within this
+const RECONNECT_GRACE_MS = 30000;
+
+// stations: ids to follow. getSince(id): epoch ms of the newest row held (undefined when not loaded yet).
+// fetchSince(id, sinceMs): resolves to a get_data-shaped payload. onChannel('push' | 'polling') reports the mode.
+// Returns an unsubscribe function.
+export const subscribeLiveUpdates = ({ stations, getSince, fetchSince, onObservations, onChannel }) => {
+    let closed = false;
+    let source = null;
+    let pollTimer = null;
+    let graceTimer = null;
+
+    const poll = async () => {
+        for (const id of stations) {
+            if (closed) return;
+            const since = getSince(id);
+            // Stations still on their initial load are picked up by the next tick
+            if (!Number.isFinite(since)) continue;
+            const payload = await fetchSince(id, since);
+            if (!closed && payload?.data?.length) onObservations(id, payload);
+        }
+    };
+
+    const startPolling = () => {
+        if (closed || pollTimer) return;
+        if (source) { source.close(); source = null; }
+        onChannel?.('polling');
+        pollTimer = setInterval(poll, POLL_INTERVAL);
+        poll();
+    };
+
+    if (typeof EventSource === 'undefined') {
+        startPolling();
+    } else {
+        const params = new URLSearchParams({ stations: stations.join(',') });
+        // One lower bound for all stations; the relay replays buffered rows after it and the caller drops overlaps
+        const known = stations.map(getSince).filter(Number.isFinite);
+        if (known.length) params.set('since', String(Math.min(...known)));
+
+        let opened = false;
+        source = new EventSource(`${RELAY_URL}/stream?${params}`);
+        source.addEventListener('ready', () => {
+            opened = true;
+            clearTimeout(graceTimer);
+            graceTimer = null;
+            onChannel?.('push');
+        });
+        source.addEventListener('observations', (e) => {
+            let msg;
+            try { msg = JSON.parse(e.data); } catch { return; }
+            if (msg?.station && msg.data?.length) onObservations(msg.station, msg);
+        });
+        source.onerror = () => {
+            // Never connected (no relay, or the dev server answered with HTML): poll instead
+            if (!opened || source?.readyState === EventSource.CLOSED) { startPolling(); return; }
+            if (!graceTimer) {
+                graceTimer = setTimeout(() => {
+                    graceTimer = null;
+                    if (source?.readyState !== EventSource.OPEN) startPolling();
+                }, RECONNECT_GRACE_MS);
+            }
+        };
+    }
+
+    return () => {
+        closed = true;
+        if (source) source.close();
+        clearInterval(pollTimer);
+        clearTimeout(graceTimer);
+    };
+};
@@ -0,0 +1,227 @@
+// QARTOD-style automatic QC for insitu station series.
+//
+// Each test returns a flag per observation using the QARTOD codes below; the aggregate flag is the
+// worst across tests. Thresholds come from QC_DEFAULTS, matched against the variable key returned by
+// get_data (e.g. "sea_level", "significant_wave_height"), and are in the variable's source units.
+
+export const QC_PASS = 1;
+export const QC_NOT_EVALUATED = 2;
+export const QC_SUSPECT = 3;
+export const QC_FAIL = 4;
+export const QC_MISSING = 9;
+
+export const QC_FLAG_NAMES = {
+    [QC_PASS]: 'pass',
+    [QC_NOT_EVALUATED]: 'not evaluated',
+    [QC_SUSPECT]: 'suspect',
+    [QC_FAIL]: 'fail',
+    [QC_MISSING]: 'missing'
+};
+
+export const QC_COLORS = {
+    [QC_SUSPECT]: '#f59e0b',
+    [QC_FAIL]: '#ef4444'
+};
+
+export const isFlagged = flag => flag === QC_SUSPECT || flag === QC_FAIL;
+
+// Per-variable defaults, first match wins (order matters: water column height before wave height,
+// direction before anything a "peak_direction" or "swell_direction" key would also match).
+//   grossRange: values outside suspect/fail [min, max]
+//   spike: |v - mean(neighbours)| - |next - prev| / 2 above suspect/fail
+//   rateOfChange: change per hour above this is suspect
+//   flatline: `count` consecutive values within `tolerance` is suspect, twice that is fail
+// null disables a test for the variable.
+export const QC_DEFAULTS = [
+    {
+        id: 'water_column_height',
+        match: /water_?column|column_?height|wch/i,
+        grossRange: { suspect: [1000, 10000], fail: [0, 11000] },
+        spike: null, // tsunami signals are spikes by nature
+        rateOfChange: null,
+        flatline: { count: 8, tolerance: 0.0001 }
+    },
+    {
+        id: 'direction',
+        match: /direction|(^|_)(dir|dirm|dp|mwd)(_|$)/i,
+        grossRange: { suspect: [0, 360], fail: [0, 360] },
+        spike: null, // wraps at 360
+        rateOfChange: null,
+        flatline: { count: 8, tolerance: 0 }
+    },
+    {
+        id: 'sea_level',
+        match: /sea_?level|water_?level|tide/i,
+        grossRange: { suspect: [-2, 8], fail: [-5, 15] },
+        spike: { suspect: 0.3, fail: 0.6 },
+        rateOfChange: 2,
+        flatline: { count: 6, tolerance: 0.0005 }
+    },
+    {
+        id: 'wave_height',
+        match: /hsig|hm0|hmax|significant|wave_?height|swell/i,
+        grossRange: { suspect: [0, 15], fail: [0, 25] },
+        spike: { suspect: 1.5, fail: 3 },
+        rateOfChange: 5,
+        flatline: { count: 5, tolerance: 0.001 }
+    },
+    {
+        id: 'wave_period',
+        match: /period|(^|_)(tp|tz|tm\d*)(_|$)|peak/i,
+        grossRange: { suspect: [1, 25], fail: [0, 30] },
+        spike: { suspect: 6, fail: 12 },
+        rateOfChange: null,
+        flatline: { count: 6, tolerance: 0.001 }
+    },
+    {
+        id: 'temperature',
+        match: /temp|sst/i,
+        grossRange: { suspect: [15, 35], fail: [-2, 40] },
+        spike: { suspect: 1, fail: 2 },
+        rateOfChange: 3,
+        flatline: { count: 12, tolerance: 0.001 }
+    },
+    {
+        id: 'wind_speed',
+        match: /wind/i,
+        grossRange: { suspect: [0, 50], fail: [0, 80] },
+        spike: { suspect: 10, fail: 20 },
+        rateOfChange: null,
+        flatline: { count: 6, tolerance: 0.01 }
+    },
+    {
+        id: 'pressure',
+        match: /pressure|baro/i,
+        grossRange: { suspect: [950, 1050], fail: [850, 1100] },
+        spike: { suspect: 3, fail: 6 },
+        rateOfChange: 10,
+        flatline: { count: 12, tolerance: 0.01 }
+    },
+    {
+        id: 'default',
+        match: /.*/,
+        grossRange: null,
+        spike: null,
+        rateOfChange: null,
+        flatline: { count: 12, tolerance: 0 }
+    }
+];
+
+// Gaps longer than GAP_FACTOR sampling intervals flag the first observation after them as suspect
+export const GAP_FACTOR = 3;
+
+export const qcConfigFor = (key = '') => QC_DEFAULTS.find(c => c.match.test(key)) || QC_DEFAULTS[QC_DEFAULTS.length - 1];
+
+const toNumber = v => (v == null || v === '' ? NaN : Number(v));
+
+const grossRangeTest = (values, cfg) => values.map(v => {
+    if (isNaN(v)) return QC_MISSING;
+    if (!cfg) return QC_NOT_EVALUATED;
+    if (v < cfg.fail[0] || v > cfg.fail[1]) return QC_FAIL;
+    if (v < cfg.suspect[0] || v > cfg.suspect[1]) return QC_SUSPECT;
+    return QC_PASS;
+});
+
+// Indices of the nearest valid values either side of each point
+const neighbours = values => {
+    const prev = new Array(values.length).fill(-1);
+    const next = new Array(values.length).fill(-1);
+    let last = -1;
+    for (let i = 0; i < values.length; i++) { prev[i] = last; if (!isNaN(values[i])) last = i; }
+    last = -1;
+    for (let i = values.length - 1; i >= 0; i--) { next[i] = last; if (!isNaN(values[i])) last = i; }
+    return { prev, next };
+};
+
+const spikeTest = (values, cfg, { prev, next }) => values.map((v, i) => {
+    if (isNaN(v)) return QC_MISSING;
+    if (!cfg || prev[i] < 0 || next[i] < 0) return QC_NOT_EVALUATED;
+    const a = values[prev[i]];
+    const b = values[next[i]];
+    const spike = Math.abs(v - (a + b) / 2) - Math.abs(b - a) / 2;
+    if (spike > cfg.fail) return QC_FAIL;
+    if (spike > cfg.suspect) return QC_SUSPECT;
+    return QC_PASS;
+});
+
+const rateOfChangeTest = (values, times, maxPerHour, { prev }) => values.map((v, i) => {
+    if (isNaN(v)) return QC_MISSING;
+    if (!maxPerHour || prev[i] < 0) return QC_NOT_EVALUATED;
+    const hours = (times[i] - times[prev[i]]) / 3600000;
+    if (!(hours > 0)) return QC_NOT_EVALUATED;
+    return Math.abs(v - values[prev[i]]) / hours > maxPerHour ? QC_SUSPECT : QC_PASS;
+});
+
+const flatlineTest = (values, cfg) => {
+    const flags = values.map(v => (isNaN(v) ? QC_MISSING : (cfg ? QC_PASS : QC_NOT_EVALUATED)));
+    if (!cfg) return flags;
+    let runStart = -1;
+    let runLength = 0;
+    let runValue = NaN;
+    for (let i = 0; i < values.length; i++) {
+        const v = values[i];
+        if (isNaN(v)) continue;
+        if (runLength && Math.abs(v - runValue) <= cfg.tolerance) {
+            runLength++;
+        } else {
+            runStart = i;
+            runLength = 1;
+            runValue = v;
+        }
+        if (runLength < cfg.count) continue;
+        const flag = runLength >= cfg.count * 2 ? QC_FAIL : QC_SUSPECT;
+        if (runLength === cfg.count || runLength === cfg.count * 2) {
+            // The whole run is stuck, not just the point that crossed the threshold
+            for (let j = runStart; j <= i; j++) if (!isNaN(values[j])) flags[j] = Math.max(flags[j], flag);
+        } else {
+            flags[i] = Math.max(flags[i], flag);
+        }
+    }
+    return flags;
+};
+
+const gapTest = (values, times, sampleMinutes, { prev }) => {
+    const maxGap = Math.max(1, sampleMinutes || 1) * 60000 * GAP_FACTOR;
+    return values.map((v, i) => {
+        if (isNaN(v)) return QC_MISSING;
+        if (prev[i] < 0) return QC_NOT_EVALUATED;
+        return times[i] - times[prev[i]] > maxGap ? QC_SUSPECT : QC_PASS;
+    });
+};
+
+const TESTS = ['range', 'spike', 'rate', 'flatline', 'gap'];
+
+// Run every test over one variable. times are epoch ms (ascending), values raw (null = missing).
+// Returns aggregate `flags` and, per observation, the names of the tests that flagged it (`qcReasons`).
+export const runQc = (times, rawValues, cfg, sampleMinutes) => {
+    const values = rawValues.map(toNumber);
+    const near = neighbours(values);
+    const results = {
+        range: grossRangeTest(values, cfg.grossRange),
+        spike: spikeTest(values, cfg.spike, near),
+        rate: rateOfChangeTest(values, times, cfg.rateOfChange, near),
+        flatline: flatlineTest(values, cfg.flatline),
+        gap: gapTest(values, times, sampleMinutes, near)
+    };
+
+    const flags = [];
+    const qcReasons = [];
+    for (let i = 0; i < values.length; i++) {
+        if (isNaN(values[i])) { flags.push(QC_MISSING); qcReasons.push(''); continue; }
+        let worst = QC_NOT_EVALUATED;
+        const reasons = [];
+        for (const t of TESTS) {
+            const f = results[t][i];
+            if (f === QC_PASS && worst === QC_NOT_EVALUATED) worst = QC_PASS;
+            if (isFlagged(f)) {
+                reasons.push(t);
+                worst = Math.max(worst === QC_NOT_EVALUATED ? 0 : worst, f);
+            }
+        }
+        flags.push(worst);
+        qcReasons.push(reasons.join(','));
+    }
+    return { flags, qcReasons };
+};
+
+export const countFlagged = flags => (flags || []).reduce((n, f) => n + (isFlagged(f) ? 1 : 0), 0);
@@ -0,0 +1,61 @@
+import { QC_PASS, QC_SUSPECT, QC_FAIL, QC_MISSING, qcConfigFor, runQc, countFlagged } from './qc';
+
+const MIN = 60000;
+// Epoch ms every `minutes` from a fixed start
+const timesEvery = (count, minutes) => Array.from({ length: count }, (_, i) => Date.UTC(2025, 5, 1) + i * minutes * MIN);
+const cfgOf = overrides => ({ grossRange: null, spike: null, rateOfChange: null, flatline: null, ...overrides });
+
+describe('qcConfigFor', () => {
+    test('matches get_data keys to their defaults', () => {
+        expect(qcConfigFor('water_column_height').id).toBe('water_column_height');
+        expect(qcConfigFor('mean_wave_direction').id).toBe('direction');
+        expect(qcConfigFor('sea_level').id).toBe('sea_level');
+        expect(qcConfigFor('significant_wave_height').id).toBe('wave_height');
+        expect(qcConfigFor('peak_period').id).toBe('wave_period');
+        expect(qcConfigFor('something_else').id).toBe('default');
+    });
+});
+
+describe('runQc', () => {
+    test('flags values outside the gross range as suspect or fail', () => {
+        const cfg = cfgOf({ grossRange: { suspect: [0, 10], fail: [-5, 15] } });
+        const { flags, qcReasons } = runQc(timesEvery(4, 10), [1, 12, 20, 2], cfg, 10);
+        expect(flags).toEqual([QC_PASS, QC_SUSPECT, QC_FAIL, QC_PASS]);
+        expect(qcReasons).toEqual(['', 'range', 'range', '']);
+    });
+
+    test('flags a spike against its neighbours and the jumps either side of it', () => {
+        const values = Array.from({ length: 12 }, (_, i) => 1 + i * 0.01);
+        values[5] = 2;
+        const { flags, qcReasons } = runQc(timesEvery(12, 10), values, qcConfigFor('sea_level'), 10);
+        expect(flags[5]).toBe(QC_FAIL);
+        expect(qcReasons[5].split(',')).toEqual(expect.arrayContaining(['spike', 'rate']));
+        expect(qcReasons[6]).toBe('rate');
+        expect(flags[2]).toBe(QC_PASS);
+    });
+
+    test('marks missing values without running the tests on them', () => {
+        const { flags, qcReasons } = runQc(timesEvery(3, 10), [1, null, ''], cfgOf({ grossRange: { suspect: [0, 10], fail: [0, 10] } }), 10);
+        expect(flags).toEqual([QC_PASS, QC_MISSING, QC_MISSING]);
+        expect(qcReasons).toEqual(['', '', '']);
+    });
+
+    test('flags a whole stuck run, as fail once it is twice the count', () => {
+        const cfg = cfgOf({ flatline: { count: 4, tolerance: 0 } });
+        const suspect = runQc(timesEvery(7, 10), [5, 5, 5, 5, 1, 2, 3], cfg, 10);
+        expect(suspect.flags).toEqual([QC_SUSPECT, QC_SUSPECT, QC_SUSPECT, QC_SUSPECT, QC_PASS, QC_PASS, QC_PASS]);
+        expect(suspect.qcReasons[0]).toBe('flatline');
+
+        const fail = runQc(timesEvery(8, 10), new Array(8).fill(5), cfg, 10);
+        expect(fail.flags).toEqual(new Array(8).fill(QC_FAIL));
+    });
+
+    test('flags the first observation after a gap longer than GAP_FACTOR intervals', () => {
+        const times = timesEvery(4, 10);
+        times[3] += 60 * MIN;
+        const { flags, qcReasons } = runQc(times, [1, 2, 3, 4], cfgOf(), 10);
+        expect(flags[3]).toBe(QC_SUSPECT);
+        expect(qcReasons[3]).toBe('gap');
+        expect(countFlagged(flags)).toBe(1);
+    });
+});
@@ -0,0 +1,55 @@
+// Area selection on the search map. Shapes are drawn on a Pacific-centred map, so their longitudes
+// may run past ±180; stations are tested at their own longitude and one world copy either side.
+
+const EARTH_RADIUS_KM = 6371;
+const toRad = d => d * Math.PI / 180;
+
+// Great-circle distance in km between [lon, lat] pairs
+export const distanceKm = ([lon1, lat1], [lon2, lat2]) => {
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Ray casting on a ring of [lon, lat] vertices (planar, as drawn on the map)
+export const pointInRing = ([x, y], ring) => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+};
+
+const inPolygon = ([lon, lat], ring) => [lon, lon - 360, lon + 360].some(x => pointInRing([x, lat], ring));
+
+// Centroid of a ring's vertices, used to order polygon matches
+const ringCenter = ring => [
+    ring.reduce((s, p) => s + p[0], 0) / ring.length,
+    ring.reduce((s, p) => s + p[1], 0) / ring.length
+];
+
+// Stations inside a drawn shape, nearest to its centre first.
+// shape: { type: 'polygon', ring: [[lon, lat], ...] } or { type: 'circle', center: [lon, lat], radiusKm }
+export const stationsInShape = (stations, shape) => {
+    if (!shape) return [];
+    const isCircle = shape.type === 'circle';
+    if (!isCircle && !(shape.ring?.length >= 3)) return [];
+    const center = isCircle ? shape.center : ringCenter(shape.ring);
+    return stations
+        .filter(s => Array.isArray(s.coordinates) && typeof s.coordinates[0] === 'number' && typeof s.coordinates[1] === 'number')
+        .map(s => ({ station: s, d: distanceKm(center, s.coordinates) }))
+        .filter(({ station, d }) => (isCircle ? d <= shape.radiusKm : inPolygon(station.coordinates, shape.ring)))
+        .sort((a, b) => a.d - b.d)
+        .map(({ station }) => station);
+};
+
+// Case-insensitive match on label, station id and description; every word must appear
+export const matchesText = (station, query) => {
+    const words = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (!words.length) return true;
+    const text = [station.label, station.spotter_id, station.description].filter(Boolean).join(' ').toLowerCase();
+    return words.every(w => text.includes(w));
+};
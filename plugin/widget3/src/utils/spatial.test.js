@@ -0,0 +1,52 @@
+import { distanceKm, stationsInShape, matchesText } from './spatial';
+
+const station = (label, lon, lat) => ({ label, coordinates: [lon, lat] });
+const labels = list => list.map(s => s.label);
+
+describe('distanceKm', () => {
+    test('measures great-circle distance across the antimeridian', () => {
+        expect(distanceKm([179.5, -15], [-179.5, -15])).toBeCloseTo(107.4, 0);
+        expect(distanceKm([0, 0], [0, 1])).toBeCloseTo(111.2, 0);
+    });
+});
+
+describe('stationsInShape', () => {
+    const stations = [
+        station('Fiji', 179, -15),
+        station('Wallis', -178, -15),
+        station('Vanuatu', 168, -17),
+        station('No position', null, null),
+        { label: 'Unplaced' }
+    ];
+
+    test('matches a polygon drawn past 180 on the Pacific-centred map, nearest to its centre first', () => {
+        const ring = [[175, -20], [185, -20], [185, -10], [175, -10]];
+        expect(labels(stationsInShape(stations, { type: 'polygon', ring }))).toEqual(['Fiji', 'Wallis']);
+    });
+
+    test('matches a polygon drawn past -180 the same way', () => {
+        const ring = [[-185, -20], [-175, -20], [-175, -10], [-185, -10]];
+        expect(labels(stationsInShape(stations, { type: 'polygon', ring }))).toEqual(['Fiji', 'Wallis']);
+    });
+
+    test('matches a circle straddling the antimeridian', () => {
+        const shape = { type: 'circle', center: [179.5, -15], radiusKm: 300 };
+        expect(labels(stationsInShape(stations, shape))).toEqual(['Fiji', 'Wallis']);
+        expect(labels(stationsInShape(stations, { ...shape, radiusKm: 1500 }))).toEqual(['Fiji', 'Wallis', 'Vanuatu']);
+    });
+
+    test('returns nothing without a usable shape', () => {
+        expect(stationsInShape(stations, null)).toEqual([]);
+        expect(stationsInShape(stations, { type: 'polygon', ring: [[175, -20], [185, -20]] })).toEqual([]);
+    });
+});
+
+describe('matchesText', () => {
+    test('needs every word in the label, id or description', () => {
+        const s = { label: 'Suva Tide Gauge', spotter_id: 'SPOT-1234', description: 'Fiji' };
+        expect(matchesText(s, 'suva gauge')).toBe(true);
+        expect(matchesText(s, 'spot-1234 fiji')).toBe(true);
+        expect(matchesText(s, 'suva buoy')).toBe(false);
+        expect(matchesText(s, '  ')).toBe(true);
+    });
+});
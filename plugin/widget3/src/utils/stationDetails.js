@@ -0,0 +1,104 @@
+// Station detail page helpers: drifting-buoy tracks, deployment summary and the latest value of every variable.
+import { parseInsituRows, medianSampleMinutes } from './insituSeries';
+import { runQc, qcConfigFor, QC_MISSING } from './qc';
+import { variableOf, variableInfo, sourceUnitOf } from './compare';
+import { distanceKm } from './spatial';
+
+// Spotter data comes through the server-side proxy, which holds the Sofar token (plugin/spotter-proxy)
+export const SPOTTER_PROXY_URL = (process.env.REACT_APP_SPOTTER_PROXY_URL || '/spotter-proxy').replace(/\/$/, '');
+
+export const isSpotterId = id => /^SPOT-/i.test(String(id || ''));
+
+const num = v => (v == null || v === '' ? NaN : Number(v));
+
+// Track fixes: [{ time (epoch ms), lat, lon }] ascending, invalid fixes dropped
+const toTrack = points => points
+    .filter(p => Number.isFinite(p.time) && Number.isFinite(p.lat) && Number.isFinite(p.lon) && Math.abs(p.lat) <= 90)
+    .sort((a, b) => a.time - b.time);
+
+// Positions from a Spotter's track (the proxy returns them sorted, oldest first)
+export const fetchSpotterTrack = async (spotterId, { limit = 500, signal } = {}) => {
+    const params = new URLSearchParams({ spotterId, limit: String(limit) });
+    const res = await fetch(`${SPOTTER_PROXY_URL}/wave-data?${params}`, { signal });
+    if (!res.ok) throw new Error(`Spotter track request failed (HTTP ${res.status})`);
+    const json = await res.json();
+    return toTrack((json?.data?.track || []).map(p => ({ time: Date.parse(p.timestamp), lat: num(p.latitude), lon: num(p.longitude) })));
+};
+
+// Positions carried in get_data rows (stations reporting their own latitude/longitude columns)
+export const trackFromRows = (rows) => {
+    const first = rows?.find(r => r && typeof r === 'object');
+    if (!first) return [];
+    const keys = Object.keys(first);
+    const latKey = keys.find(k => /^lat(itude)?$/i.test(k));
+    const lonKey = keys.find(k => /^(lon|lng|longitude)$/i.test(k));
+    const timeKey = keys.find(k => /time|date/i.test(k));
+    if (!latKey || !lonKey || !timeKey) return [];
+    const parsed = parseInsituRows(rows.map(r => ({ [timeKey]: r[timeKey], lat: r[latKey], lon: r[lonKey] })), `lat,lon,${timeKey}`);
+    if (!parsed) return [];
+    const [lat, lon] = parsed.datasets;
+    return toTrack(parsed.labels.map((d, i) => ({ time: d.getTime(), lat: num(lat.values[i]), lon: num(lon.values[i]) })));
+};
+
+// Deployment summary from the track and the station's listed position ([lon, lat]):
+// { fixes, first, last, pathKm, netKm (first to last fix), offsetKm (last fix from the listed position) }
+export const trackSummary = (track, listed) => {
+    if (!track?.length) return null;
+    const at = p => [p.lon, p.lat];
+    let pathKm = 0;
+    for (let i = 1; i < track.length; i++) pathKm += distanceKm(at(track[i - 1]), at(track[i]));
+    const first = track[0];
+    const last = track[track.length - 1];
+    return {
+        fixes: track.length,
+        first: first.time,
+        last: last.time,
+        pathKm,
+        netKm: distanceKm(at(first), at(last)),
+        offsetKm: Array.isArray(listed) && listed.every(Number.isFinite) ? distanceKm(listed, at(last)) : null
+    };
+};
+
+// Old-to-new colour ramp for track segments (t in [0, 1])
+const RAMP = [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]];
+export const rampColor = (t) => {
+    const x = Math.min(1, Math.max(0, t)) * (RAMP.length - 1);
+    const i = Math.min(RAMP.length - 2, Math.floor(x));
+    const f = x - i;
+    const c = RAMP[i].map((v, k) => Math.round(v + (RAMP[i + 1][k] - v) * f));
+    return `rgb(${c.join(',')})`;
+};
+export const RAMP_GRADIENT = `linear-gradient(to right, ${RAMP.map(c => `rgb(${c.join(',')})`).join(', ')})`;
+
+// Sensors and their latest values from get_data rows: [{ key, label, unit, count, value, time, flag, qcReasons }].
+// The latest value is the newest non-missing one; QC runs over the whole response so a spike shows as flagged.
+export const latestValues = (rows, dataLabels) => {
+    const parsed = parseInsituRows(rows, dataLabels);
+    if (!parsed) return [];
+    const times = parsed.labels.map(d => d.getTime());
+    const order = times.map((_, i) => i).sort((a, b) => times[a] - times[b]);
+    const sorted = order.map(i => times[i]);
+    const sampleMinutes = medianSampleMinutes(order.map(i => parsed.labels[i]));
+    return parsed.datasets
+        // Position columns belong to the track, not the sensor list
+        .filter(ds => !/^(lat(itude)?|lon|lng|longitude)$/i.test(ds.key))
+        .map(ds => {
+            const values = order.map(i => ds.values[i]);
+            const { flags, qcReasons } = runQc(sorted, values, qcConfigFor(ds.key), sampleMinutes);
+            let idx = -1;
+            for (let i = flags.length - 1; i >= 0; i--) {
+                if (flags[i] !== QC_MISSING) { idx = i; break; }
+            }
+            const info = variableInfo(variableOf(ds.key));
+            return {
+                key: ds.key,
+                label: ds.label,
+                unit: sourceUnitOf(ds)?.unit || info.unit || '',
+                count: flags.filter(f => f !== QC_MISSING).length,
+                value: idx >= 0 ? num(values[idx]) : null,
+                time: idx >= 0 ? sorted[idx] : null,
+                flag: idx >= 0 ? flags[idx] : QC_MISSING,
+                qcReasons: idx >= 0 ? qcReasons[idx] : ''
+            };
+        });
+};
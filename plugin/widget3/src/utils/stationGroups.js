@@ -0,0 +1,29 @@
+// Named station groups ("Fiji tide gauges") kept in localStorage so a selection can be reused later.
+// A group is { name, stations: [spotter_id], saved: ISO time }.
+
+const STORAGE_KEY = 'realtime.stationGroups';
+
+export const loadGroups = () => {
+    try {
+        const groups = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(groups) ? groups.filter(g => g?.name && Array.isArray(g.stations)) : [];
+    } catch {
+        return [];
+    }
+};
+
+const storeGroups = (groups) => {
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(groups)); } catch { /* storage full or disabled */ }
+    return groups;
+};
+
+// Adds or replaces (same name, case-insensitive) a group; returns the updated list sorted by name
+export const saveGroup = (name, stations) => {
+    const trimmed = (name || '').trim();
+    if (!trimmed || !stations?.length) return loadGroups();
+    const others = loadGroups().filter(g => g.name.toLowerCase() !== trimmed.toLowerCase());
+    const group = { name: trimmed, stations: [...stations], saved: new Date().toISOString() };
+    return storeGroups([...others, group].sort((a, b) => a.name.localeCompare(b.name)));
+};
+
+export const deleteGroup = (name) => storeGroups(loadGroups().filter(g => g.name !== name));
@@ -0,0 +1,117 @@
+// Reporting health of insitu stations: time since the last observation, completeness over the last
+// week and where the gaps are. A station counts as late or silent against the interval its type is
+// expected to report at, so a DART buoy in standard mode (6-hourly transmissions) isn't flagged
+// alongside a wave buoy that has missed a few half-hourly messages.
+import { parseInsituRows, medianSampleMinutes } from './insituSeries';
+
+export const HEALTH_WINDOW_DAYS = 7;
+
+// expectedMinutes: normal reporting interval; silentAfterMinutes: no data for this long means a failure
+export const REPORTING_PROFILES = {
+    'Wave Buoy': { expectedMinutes: 30, silentAfterMinutes: 180 },
+    'Tide Gauge': { expectedMinutes: 10, silentAfterMinutes: 120 },
+    'DART Buoy': { expectedMinutes: 360, silentAfterMinutes: 1440 }
+};
+const DEFAULT_PROFILE = { expectedMinutes: 60, silentAfterMinutes: 360 };
+
+export const profileOf = type => REPORTING_PROFILES[type] || DEFAULT_PROFILE;
+
+// Order of the board, worst first
+export const HEALTH_STATUSES = {
+    silent: { label: 'Silent', color: '#dc2626' },
+    late: { label: 'Late', color: '#f59e0b' },
+    unknown: { label: 'Unknown', color: '#6b7280' },
+    ok: { label: 'Reporting', color: '#16a34a' }
+};
+
+// Late once two expected intervals have passed without data, silent past the type's limit
+export const healthStatus = (ageMinutes, type) => {
+    if (ageMinutes == null || isNaN(ageMinutes)) return 'silent';
+    const { expectedMinutes, silentAfterMinutes } = profileOf(type);
+    if (ageMinutes > silentAfterMinutes) return 'silent';
+    if (ageMinutes > 2 * expectedMinutes) return 'late';
+    return 'ok';
+};
+
+// Gaps are runs without data longer than this many sampling intervals
+const GAP_FACTOR = 3;
+// Timeline bins are hourly, or one sampling interval for stations sampling less often
+const TIMELINE_BIN_MINUTES = 60;
+
+// times: observation epoch ms (any order). Returns
+// { last, ageMinutes, status, sampleMinutes, completeness (0-100), bins: [{ start, fraction }], gaps: [{ start, end, minutes }], longestGap }
+export const summarizeHealth = (times, { type, now = Date.now(), windowDays = HEALTH_WINDOW_DAYS } = {}) => {
+    const start = now - windowDays * 86400000;
+    const sorted = times.filter(t => t >= start && t <= now).sort((a, b) => a - b);
+    const last = sorted.length ? sorted[sorted.length - 1] : null;
+    const ageMinutes = last == null ? null : (now - last) / 60000;
+
+    // The station's own cadence, or its type's when there is too little data to tell
+    const sampleMinutes = sorted.length > 1
+        ? medianSampleMinutes(sorted.map(t => new Date(t)))
+        : profileOf(type).expectedMinutes;
+    const slotMs = sampleMinutes * 60000;
+    const slotCount = Math.ceil((now - start) / slotMs);
+    const filled = new Set(sorted.map(t => Math.min(slotCount - 1, Math.floor((t - start) / slotMs))));
+
+    const binMinutes = Math.max(TIMELINE_BIN_MINUTES, sampleMinutes);
+    const binMs = binMinutes * 60000;
+    const slotsPerBin = binMinutes / sampleMinutes;
+    const bins = Array.from({ length: Math.ceil((now - start) / binMs) }, (_, i) => ({ start: start + i * binMs, slots: new Set() }));
+    filled.forEach(slot => {
+        const b = Math.min(bins.length - 1, Math.floor((slot * slotMs) / binMs));
+        bins[b].slots.add(slot);
+    });
+
+    const gapMs = GAP_FACTOR * slotMs;
+    const gaps = [];
+    const edges = [start, ...sorted, now];
+    for (let i = 1; i < edges.length; i++) {
+        if (edges[i] - edges[i - 1] > gapMs) gaps.push({ start: edges[i - 1], end: edges[i], minutes: (edges[i] - edges[i - 1]) / 60000 });
+    }
+
+    return {
+        last,
+        ageMinutes,
+        status: healthStatus(ageMinutes, type),
+        sampleMinutes,
+        completeness: (filled.size / slotCount) * 100,
+        bins: bins.map(b => ({ start: b.start, fraction: Math.min(1, b.slots.size / slotsPerBin) })),
+        gaps,
+        longestGap: gaps.reduce((m, g) => Math.max(m, g.minutes), 0)
+    };
+};
+
+// "12 min", "5 h", "3 d 4 h"
+export const formatDuration = (minutes) => {
+    if (minutes == null || isNaN(minutes)) return '—';
+    if (minutes < 60) return `${Math.max(0, Math.round(minutes))} min`;
+    if (minutes < 1440) return `${Math.round(minutes / 60)} h`;
+    const d = Math.floor(minutes / 1440);
+    const h = Math.round((minutes - d * 1440) / 60);
+    return h ? `${d} d ${h} h` : `${d} d`;
+};
+
+// Observation times of a station over the health window. Resolves to epoch ms (empty when the station
+// returned nothing); rejects on network/HTTP errors so the board can show the station as unknown.
+export const fetchObservationTimes = async (stationId, { now = Date.now(), windowDays = HEALTH_WINDOW_DAYS, limit = 20000, signal } = {}) => {
+    const params = new URLSearchParams({
+        limit: String(limit),
+        start: new Date(now - windowDays * 86400000).toISOString(),
+        end: new Date(now).toISOString()
+    });
+    const res = await fetch(`https://ocean-obs-api.spc.int/insitu/get_data/station/${stationId}?${params}`, {
+        headers: { Accept: 'application/json' },
+        signal
+    });
+    if (res.status === 404) return [];
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const payload = await res.json();
+    const rows = Array.isArray(payload) ? payload : payload?.data;
+    const parsed = parseInsituRows(rows, Array.isArray(payload) ? '' : payload?.data_labels);
+    if (!parsed) return [];
+    // Rows where every value is missing (-999) don't count as reporting
+    return parsed.labels
+        .filter((_, i) => parsed.datasets.some(ds => ds.values[i] != null && ds.values[i] !== ''))
+        .map(d => d.getTime());
+};
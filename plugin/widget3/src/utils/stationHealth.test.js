@@ -0,0 +1,84 @@
+import { healthStatus, summarizeHealth, formatDuration, fetchObservationTimes } from './stationHealth';
+
+const MIN = 60000;
+const NOW = Date.UTC(2025, 5, 8);
+const START = NOW - 86400000;
+// A tide gauge reporting every 10 min over the last day, with the given sample indices missing
+const tideGauge = (missing = () => false) =>
+    Array.from({ length: 144 }, (_, k) => START + k * 10 * MIN).filter((_, k) => !missing(k));
+
+describe('healthStatus', () => {
+    test('is late after two expected intervals and silent past the type limit', () => {
+        expect(healthStatus(30, 'Wave Buoy')).toBe('ok');
+        expect(healthStatus(61, 'Wave Buoy')).toBe('late');
+        expect(healthStatus(181, 'Wave Buoy')).toBe('silent');
+        expect(healthStatus(300, 'DART Buoy')).toBe('ok');
+        expect(healthStatus(800, 'DART Buoy')).toBe('late');
+        expect(healthStatus(null, 'Tide Gauge')).toBe('silent');
+    });
+});
+
+describe('summarizeHealth', () => {
+    test('reports a complete record', () => {
+        const health = summarizeHealth(tideGauge(), { type: 'Tide Gauge', now: NOW, windowDays: 1 });
+        expect(health).toMatchObject({ last: NOW - 10 * MIN, ageMinutes: 10, status: 'ok', sampleMinutes: 10, completeness: 100, gaps: [], longestGap: 0 });
+        expect(health.bins).toHaveLength(24);
+        health.bins.forEach(b => expect(b.fraction).toBe(1));
+    });
+
+    test('measures completeness, gaps and the hourly timeline around an outage', () => {
+        // Three hours missing from 10:00
+        const health = summarizeHealth(tideGauge(k => k >= 60 && k < 78), { type: 'Tide Gauge', now: NOW, windowDays: 1 });
+        expect(health.completeness).toBeCloseTo(87.5);
+        expect(health.gaps).toEqual([{ start: START + 590 * MIN, end: START + 780 * MIN, minutes: 190 }]);
+        expect(health.longestGap).toBe(190);
+        expect(health.bins.slice(9, 14).map(b => b.fraction)).toEqual([1, 0, 0, 0, 1]);
+    });
+
+    test('ignores observations outside the window', () => {
+        const health = summarizeHealth([START - 10 * MIN, NOW + 10 * MIN], { type: 'Tide Gauge', now: NOW, windowDays: 1 });
+        expect(health.last).toBeNull();
+    });
+
+    test('falls back to the type interval for a station without data', () => {
+        const health = summarizeHealth([], { type: 'DART Buoy', now: NOW, windowDays: 1 });
+        expect(health).toMatchObject({ last: null, status: 'silent', sampleMinutes: 360, completeness: 0, longestGap: 1440 });
+    });
+});
+
+describe('formatDuration', () => {
+    test('formats minutes, hours and days', () => {
+        expect(formatDuration(12)).toBe('12 min');
+        expect(formatDuration(300)).toBe('5 h');
+        expect(formatDuration(3 * 1440 + 240)).toBe('3 d 4 h');
+        expect(formatDuration(2 * 1440)).toBe('2 d');
+        expect(formatDuration(null)).toBe('—');
+    });
+});
+
+describe('fetchObservationTimes', () => {
+    afterEach(() => { delete global.fetch; });
+
+    const respond = (status, body) => { global.fetch = jest.fn(async () => ({ ok: status < 400, status, json: async () => body })); };
+
+    test('returns the times of rows with at least one value', async () => {
+        respond(200, {
+            data_labels: 'sea_level,time',
+            data: [
+                { sea_level: 1.1, time: '2025-06-07T10:00:00Z' },
+                { sea_level: -999, time: '2025-06-07T10:10:00Z' },
+                { sea_level: 1.2, time: '2025-06-07T10:20:00Z' }
+            ]
+        });
+        const times = await fetchObservationTimes('42', { now: NOW, windowDays: 1 });
+        expect(times).toEqual([Date.parse('2025-06-07T10:00:00Z'), Date.parse('2025-06-07T10:20:00Z')]);
+        expect(global.fetch.mock.calls[0][0]).toContain('/get_data/station/42?');
+    });
+
+    test('treats an unknown station as empty and rejects on other errors', async () => {
+        respond(404, {});
+        await expect(fetchObservationTimes('42', { now: NOW })).resolves.toEqual([]);
+        respond(500, {});
+        await expect(fetchObservationTimes('42', { now: NOW })).rejects.toThrow('HTTP 500');
+    });
+});
@@ -0,0 +1,104 @@
+// Aggregated series and window statistics for a station's variables. QC suspect/fail points are left out,
+// as in the comparison and download views; directions only have a (circular) mean.
+import { buildGrid } from './compare';
+import { isFlagged } from './qc';
+
+// Aggregation steps offered, in minutes
+export const AGGREGATION_STEPS = [
+    { minutes: 10, label: '10 min' },
+    { minutes: 60, label: 'Hourly' },
+    { minutes: 1440, label: 'Daily' }
+];
+
+export const STATISTICS = {
+    mean: 'Mean',
+    max: 'Max',
+    min: 'Min',
+    percentile: 'Percentile'
+};
+
+export const DEFAULT_PERCENTILE = 90;
+
+const toRad = d => d * Math.PI / 180;
+
+// Circular mean in [0, 360)
+export const circularMean = (values) => {
+    let s = 0;
+    let c = 0;
+    for (const v of values) { s += Math.sin(toRad(v)); c += Math.cos(toRad(v)); }
+    return values.length ? ((Math.atan2(s, c) * 180 / Math.PI) + 360) % 360 : null;
+};
+
+// p-th percentile (0-100) of ascending values, linear between closest ranks
+export const percentileOf = (sorted, p) => {
+    if (!sorted.length) return null;
+    const rank = (Math.min(100, Math.max(0, p)) / 100) * (sorted.length - 1);
+    const lo = Math.floor(rank);
+    const hi = Math.ceil(rank);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+};
+
+const statOf = (values, stat, percentile, circular) => {
+    if (!values.length) return null;
+    if (circular) return circularMean(values);
+    if (stat === 'max') return Math.max(...values);
+    if (stat === 'min') return Math.min(...values);
+    if (stat === 'percentile') return percentileOf([...values].sort((a, b) => a - b), percentile);
+    return values.reduce((s, v) => s + v, 0) / values.length;
+};
+
+// Usable points of a dataset: { times, values } with missing and QC-flagged points dropped
+export const usablePoints = (labels, ds) => {
+    const times = [];
+    const values = [];
+    labels.forEach((t, i) => {
+        const raw = ds.values[i];
+        if (raw == null || raw === '' || isFlagged(ds.flags?.[i])) return;
+        const v = Number(raw);
+        if (isNaN(v)) return;
+        times.push((t instanceof Date ? t : new Date(t)).getTime());
+        values.push(v);
+    });
+    return { times, values };
+};
+
+// One value per UTC-aligned bin [t, t + step) over the whole window; bins without points are null so gaps stay gaps.
+// Returns { times, values, counts }.
+export const aggregateSeries = (points, stepMinutes, stat = 'mean', { percentile = DEFAULT_PERCENTILE, circular = false } = {}) => {
+    const stepMs = stepMinutes * 60000;
+    const grid = buildGrid([points], stepMs, Infinity);
+    const bins = grid.map(() => []);
+    points.times.forEach((t, i) => {
+        const b = Math.floor((t - grid[0]) / stepMs);
+        if (b >= 0 && b < bins.length) bins[b].push(points.values[i]);
+    });
+    return {
+        times: grid,
+        values: bins.map(b => statOf(b, stat, percentile, circular)),
+        counts: bins.map(b => b.length)
+    };
+};
+
+// Window summary: { count, mean, max, maxTime, min, minTime, first, last }; directions only carry mean/count
+export const windowSummary = (points, { circular = false } = {}) => {
+    const { times, values } = points;
+    if (!values.length) return null;
+    const summary = { count: values.length, first: times[0], last: times[times.length - 1] };
+    if (circular) return { ...summary, mean: circularMean(values) };
+    let maxIdx = 0;
+    let minIdx = 0;
+    let sum = 0;
+    values.forEach((v, i) => {
+        sum += v;
+        if (v > values[maxIdx]) maxIdx = i;
+        if (v < values[minIdx]) minIdx = i;
+    });
+    return {
+        ...summary,
+        mean: sum / values.length,
+        max: values[maxIdx],
+        maxTime: times[maxIdx],
+        min: values[minIdx],
+        minTime: times[minIdx]
+    };
+};
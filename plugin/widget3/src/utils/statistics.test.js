@@ -0,0 +1,93 @@
+import { percentileOf, circularMean, usablePoints, aggregateSeries, windowSummary } from './statistics';
+import { QC_SUSPECT, QC_PASS } from './qc';
+
+const at = (hour, minute = 0) => Date.UTC(2025, 5, 1, hour, minute);
+// Distance from 0/360 of a bearing
+const offNorth = d => Math.min(d, 360 - d);
+
+describe('percentileOf', () => {
+    test('interpolates linearly between closest ranks', () => {
+        const sorted = [1, 2, 3, 4, 5];
+        expect(percentileOf(sorted, 0)).toBe(1);
+        expect(percentileOf(sorted, 50)).toBe(3);
+        expect(percentileOf(sorted, 90)).toBeCloseTo(4.6);
+        expect(percentileOf(sorted, 100)).toBe(5);
+        expect(percentileOf([7], 90)).toBe(7);
+    });
+
+    test('clamps p to 0-100 and has no value for an empty series', () => {
+        expect(percentileOf([1, 2, 3], 150)).toBe(3);
+        expect(percentileOf([1, 2, 3], -10)).toBe(1);
+        expect(percentileOf([], 50)).toBeNull();
+    });
+});
+
+describe('circularMean', () => {
+    test('averages bearings across north', () => {
+        expect(offNorth(circularMean([350, 10]))).toBeCloseTo(0);
+        expect(circularMean([80, 100])).toBeCloseTo(90);
+        expect(circularMean([])).toBeNull();
+    });
+});
+
+describe('usablePoints', () => {
+    test('drops missing and QC-flagged points', () => {
+        const labels = [at(0), at(1), at(2), at(3)].map(t => new Date(t));
+        const ds = { values: [1, null, 3, 4], flags: [QC_PASS, QC_PASS, QC_SUSPECT, QC_PASS] };
+        expect(usablePoints(labels, ds)).toEqual({ times: [at(0), at(3)], values: [1, 4] });
+    });
+});
+
+describe('aggregateSeries', () => {
+    const points = { times: [at(0, 5), at(0, 35), at(1, 10), at(3, 20)], values: [1, 3, 5, 7] };
+
+    test('bins into UTC-aligned steps, empty bins staying null', () => {
+        expect(aggregateSeries(points, 60)).toEqual({
+            times: [at(0), at(1), at(2), at(3)],
+            values: [2, 5, null, 7],
+            counts: [2, 1, 0, 1]
+        });
+    });
+
+    test('applies the chosen statistic per bin', () => {
+        expect(aggregateSeries(points, 60, 'max').values).toEqual([3, 5, null, 7]);
+        expect(aggregateSeries(points, 60, 'min').values).toEqual([1, 5, null, 7]);
+        expect(aggregateSeries(points, 60, 'percentile', { percentile: 75 }).values).toEqual([2.5, 5, null, 7]);
+        expect(aggregateSeries(points, 1440).values).toEqual([4]);
+    });
+
+    test('uses the circular mean for directions', () => {
+        const directions = { times: [at(0, 10), at(0, 20)], values: [350, 10] };
+        expect(offNorth(aggregateSeries(directions, 60, 'max', { circular: true }).values[0])).toBeCloseTo(0);
+    });
+
+    test('keeps every bin of a window longer than the comparison grid', () => {
+        // 70 days of 10-minute points, i.e. 10080 bins
+        const count = 70 * 144;
+        const long = {
+            times: Array.from({ length: count }, (_, i) => at(0) + i * 600000),
+            values: Array.from({ length: count }, (_, i) => i)
+        };
+        const tenMinute = aggregateSeries(long, 10, 'max');
+        expect(tenMinute.times).toHaveLength(count);
+        expect(tenMinute.values[count - 1]).toBe(count - 1);
+
+        const daily = aggregateSeries(long, 1440, 'percentile', { percentile: 100 });
+        expect(daily.times).toHaveLength(70);
+        expect(daily.values[69]).toBe(count - 1);
+        expect(daily.counts.every(n => n === 144)).toBe(true);
+    });
+
+    test('returns empty series without points', () => {
+        expect(aggregateSeries({ times: [], values: [] }, 60)).toEqual({ times: [], values: [], counts: [] });
+    });
+});
+
+describe('windowSummary', () => {
+    test('reports the extremes with their times', () => {
+        expect(windowSummary({ times: [at(0), at(1), at(2)], values: [2, 5, 1] })).toEqual({
+            count: 3, first: at(0), last: at(2), mean: 8 / 3, max: 5, maxTime: at(1), min: 1, minTime: at(2)
+        });
+        expect(windowSummary({ times: [], values: [] })).toBeNull();
+    });
+});
@@ -0,0 +1,151 @@
+// Client-side harmonic tide analysis for tide gauge series.
+//
+// Fits mean sea level plus the main constituents to the loaded observations by least squares, then
+// predicts the tide at any time. Only constituents the record can resolve are fitted (Rayleigh
+// criterion: two constituents need at least one full beat period between them). No nodal corrections
+// are applied, so predictions are meant for days either side of the window, not for tide tables.
+
+// Angular speeds in degrees per hour, in the order they are added to the fit
+export const CONSTITUENTS = [
+    { name: 'M2', speed: 28.9841042 },
+    { name: 'K1', speed: 15.0410686 },
+    { name: 'M4', speed: 57.9682084 },
+    { name: 'S2', speed: 30.0 },
+    { name: 'O1', speed: 13.9430356 },
+    { name: 'N2', speed: 28.4397295 },
+    { name: 'Q1', speed: 13.3986609 },
+    { name: 'MS4', speed: 58.9841042 },
+    { name: 'K2', speed: 30.0821373 },
+    { name: 'P1', speed: 14.9589314 }
+];
+
+// Below this K1 can't be separated from M2 and diurnal inequality is not resolved
+// (Rayleigh: 1 / |fM2 - fK1| = 360 / 13.943 ≈ 25.8 h)
+export const MIN_TIDE_HOURS = 26;
+
+const HOUR_MS = 3600000;
+
+export const selectConstituents = (durationHours) => {
+    const chosen = [];
+    for (const c of CONSTITUENTS) {
+        const f = c.speed / 360; // cycles per hour
+        if (durationHours * f < 1) continue;
+        if (chosen.every(o => Math.abs(f - o.speed / 360) * durationHours >= 1)) chosen.push(c);
+    }
+    return chosen;
+};
+
+// Gaussian elimination with partial pivoting; returns null for a singular system
+const solve = (A, b) => {
+    const n = b.length;
+    const M = A.map((row, i) => [...row, b[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+        if (Math.abs(M[pivot][col]) < 1e-12) return null;
+        [M[col], M[pivot]] = [M[pivot], M[col]];
+        for (let r = col + 1; r < n; r++) {
+            const k = M[r][col] / M[col][col];
+            for (let c = col; c <= n; c++) M[r][c] -= k * M[col][c];
+        }
+    }
+    const x = new Array(n).fill(0);
+    for (let r = n - 1; r >= 0; r--) {
+        let sum = M[r][n];
+        for (let c = r + 1; c < n; c++) sum -= M[r][c] * x[c];
+        x[r] = sum / M[r][r];
+    }
+    return x;
+};
+
+const basis = (constituents, hours) => {
+    const row = [1];
+    for (const c of constituents) {
+        const arg = (c.speed * Math.PI / 180) * hours;
+        row.push(Math.cos(arg), Math.sin(arg));
+    }
+    return row;
+};
+
+// times: epoch ms, values: sea level (null/NaN skipped). Returns null when the record is too short.
+export const fitTide = (times, values) => {
+    const pts = [];
+    for (let i = 0; i < times.length; i++) {
+        const v = values[i] == null || values[i] === '' ? NaN : Number(values[i]);
+        if (!isNaN(v) && !isNaN(times[i])) pts.push([times[i], v]);
+    }
+    if (pts.length < 3) return null;
+
+    let tMin = Infinity;
+    let tMax = -Infinity;
+    for (const [t] of pts) { if (t < tMin) tMin = t; if (t > tMax) tMax = t; }
+    const durationHours = (tMax - tMin) / HOUR_MS;
+    if (durationHours < MIN_TIDE_HOURS) return null;
+
+    const constituents = selectConstituents(durationHours);
+    const n = 1 + constituents.length * 2;
+    if (!constituents.length || pts.length <= n) return null;
+
+    // Time origin at the window centre keeps the normal equations well conditioned
+    const t0 = (tMin + tMax) / 2;
+    const AtA = Array.from({ length: n }, () => new Array(n).fill(0));
+    const Atb = new Array(n).fill(0);
+    for (const [t, v] of pts) {
+        const row = basis(constituents, (t - t0) / HOUR_MS);
+        for (let i = 0; i < n; i++) {
+            Atb[i] += row[i] * v;
+            for (let j = i; j < n; j++) AtA[i][j] += row[i] * row[j];
+        }
+    }
+    for (let i = 0; i < n; i++) for (let j = 0; j < i; j++) AtA[i][j] = AtA[j][i];
+
+    const x = solve(AtA, Atb);
+    if (!x) return null;
+
+    const fit = {
+        t0,
+        mean: x[0],
+        durationHours,
+        constituents: constituents.map((c, k) => {
+            const a = x[1 + k * 2];
+            const b = x[2 + k * 2];
+            // Phase is relative to t0 (the window centre), not Greenwich
+            return { ...c, a, b, amplitude: Math.hypot(a, b), phase: ((Math.atan2(b, a) * 180 / Math.PI) + 360) % 360 };
+        })
+    };
+    let sq = 0;
+    for (const [t, v] of pts) sq += (v - predictTide(fit, t)) ** 2;
+    fit.rmse = Math.sqrt(sq / pts.length);
+    return fit;
+};
+
+export const predictTide = (fit, timeMs) => {
+    const hours = (timeMs - fit.t0) / HOUR_MS;
+    let h = fit.mean;
+    for (const c of fit.constituents) {
+        const arg = (c.speed * Math.PI / 180) * hours;
+        h += c.a * Math.cos(arg) + c.b * Math.sin(arg);
+    }
+    return h;
+};
+
+// High and low waters of the predicted tide after fromMs, refined between samples by a parabola.
+export const findTurningPoints = (fit, fromMs, hours = 48, stepMinutes = 6) => {
+    const step = stepMinutes * 60000;
+    const count = Math.ceil((hours * HOUR_MS) / step) + 2;
+    const h = [];
+    for (let i = 0; i < count; i++) h.push(predictTide(fit, fromMs + (i - 1) * step));
+
+    const events = [];
+    for (let i = 1; i < count - 1; i++) {
+        const isHigh = h[i] > h[i - 1] && h[i] >= h[i + 1];
+        const isLow = h[i] < h[i - 1] && h[i] <= h[i + 1];
+        if (!isHigh && !isLow) continue;
+        const denom = h[i - 1] - 2 * h[i] + h[i + 1];
+        const offset = denom ? 0.5 * (h[i - 1] - h[i + 1]) / denom : 0;
+        const time = fromMs + (i - 1 + offset) * step;
+        if (time < fromMs) continue;
+        events.push({ type: isHigh ? 'high' : 'low', time: new Date(time), level: predictTide(fit, time) });
+    }
+    return events;
+};
@@ -0,0 +1,74 @@
+import { MIN_TIDE_HOURS, selectConstituents, fitTide, predictTide, findTurningPoints } from './tides';
+
+const HOUR = 3600000;
+const START = Date.UTC(2025, 5, 1);
+const M2 = 28.9841042;
+const K1 = 15.0410686;
+
+// Mean level plus an M2 and a K1 tide, in metres
+const tideAt = t => {
+    const hours = (t - START) / HOUR;
+    return 1.2 + 0.5 * Math.cos((M2 * hours - 40) * Math.PI / 180) + 0.2 * Math.cos((K1 * hours - 110) * Math.PI / 180);
+};
+const record = (hours, minutes = 10) => {
+    const times = Array.from({ length: Math.floor(hours * 60 / minutes) + 1 }, (_, i) => START + i * minutes * 60000);
+    return { times, values: times.map(tideAt) };
+};
+
+describe('selectConstituents', () => {
+    test('only picks constituents the record length resolves', () => {
+        expect(selectConstituents(14).map(c => c.name)).toEqual(['M2', 'M4']);
+        expect(selectConstituents(30).map(c => c.name)).toEqual(['M2', 'K1', 'M4']);
+        expect(selectConstituents(24 * 30).map(c => c.name)).toEqual(expect.arrayContaining(['M2', 'K1', 'S2', 'O1', 'N2']));
+    });
+});
+
+describe('fitTide', () => {
+    test('recovers the mean level and constituent amplitudes of a synthetic tide', () => {
+        const { times, values } = record(72);
+        const fit = fitTide(times, values);
+        const amplitude = name => fit.constituents.find(c => c.name === name).amplitude;
+
+        expect(fit.mean).toBeCloseTo(1.2, 4);
+        expect(amplitude('M2')).toBeCloseTo(0.5, 4);
+        expect(amplitude('K1')).toBeCloseTo(0.2, 4);
+        expect(amplitude('M4')).toBeCloseTo(0, 4);
+        expect(fit.rmse).toBeLessThan(1e-6);
+    });
+
+    test('predicts beyond the fitted window', () => {
+        const { times, values } = record(72);
+        const fit = fitTide(times, values);
+        const later = START + 90 * HOUR;
+        expect(predictTide(fit, later)).toBeCloseTo(tideAt(later), 4);
+    });
+
+    test('skips missing values', () => {
+        const { times, values } = record(48);
+        const gappy = values.map((v, i) => (i % 7 === 0 ? null : v));
+        expect(fitTide(times, gappy).mean).toBeCloseTo(1.2, 4);
+    });
+
+    test('needs at least MIN_TIDE_HOURS of data', () => {
+        const { times, values } = record(MIN_TIDE_HOURS - 1);
+        expect(fitTide(times, values)).toBeNull();
+        expect(fitTide([START], [1])).toBeNull();
+    });
+});
+
+describe('findTurningPoints', () => {
+    test('alternates high and low waters at the predicted extremes', () => {
+        const { times, values } = record(72);
+        const fit = fitTide(times, values);
+        const events = findTurningPoints(fit, START + 72 * HOUR, 24);
+
+        expect(events.length).toBeGreaterThanOrEqual(3);
+        events.slice(1).forEach((e, i) => expect(e.type).not.toBe(events[i].type));
+        events.forEach((e) => {
+            const t = e.time.getTime();
+            const sign = e.type === 'high' ? 1 : -1;
+            expect(sign * (e.level - tideAt(t - 10 * 60000))).toBeGreaterThan(0);
+            expect(sign * (e.level - tideAt(t + 10 * 60000))).toBeGreaterThan(0);
+        });
+    });
+});
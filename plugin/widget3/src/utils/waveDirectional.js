@@ -0,0 +1,40 @@
+// Inputs of the directional view on the station pages: the latest Spotter spectrum and the height and
+// direction series for the wave rose. The maths itself is in forecast-core (src/waves/directional.js).
+import { SPOTTER_PROXY_URL, isSpotterId } from './stationDetails';
+import { variableOf, stationSeries } from './compare';
+
+export const isWaveBuoy = station => /wave\s*buoy/i.test(station?.type_value || '') || isSpotterId(station?.spotter_id);
+
+// Latest directional spectrum of a Spotter from the proxy, or null when it reports none
+export const fetchSpotterSpectrum = async (spotterId, { signal } = {}) => {
+    const params = new URLSearchParams({ spotterId, limit: '1' });
+    const res = await fetch(`${SPOTTER_PROXY_URL}/wave-data?${params}`, { signal });
+    if (!res.ok) throw new Error(`Spotter spectrum request failed (HTTP ${res.status})`);
+    const json = await res.json();
+    return json?.data?.spectrum || null;
+};
+
+// First dataset of a variable whose key matches the earliest preference, wind series excluded
+const pick = (datasets, variable, prefer) => {
+    const matching = datasets.filter(ds => variableOf(ds.key) === variable && !/wind/i.test(`${ds.key} ${ds.label || ''}`));
+    return prefer.map(re => matching.find(ds => re.test(ds.key))).find(Boolean) || matching[0] || null;
+};
+
+// Significant height and mean (else peak) wave direction of a station's chart data, QC-flagged points dropped:
+// { directions, heights (m), directionLabel, start, end } or null when the station lacks either
+export const roseSeries = (data) => {
+    const datasets = data?.datasets || [];
+    const height = pick(datasets, 'wave_height', [/hsig|hm0|significant/i, /wave_?height/i]);
+    const direction = pick(datasets, 'direction', [/mean|dirm|mwd/i, /peak|(^|_)dp(_|$)/i]);
+    if (!height || !direction) return null;
+    const h = stationSeries({ labels: data.labels, datasets: [height] }, 'wave_height');
+    const d = stationSeries({ labels: data.labels, datasets: [direction] }, 'direction');
+    const times = h.times.filter((t, i) => h.values[i] != null && d.values[i] != null);
+    return {
+        directions: d.values,
+        heights: h.values,
+        directionLabel: direction.label || direction.key,
+        start: times.length ? times[0] : null,
+        end: times.length ? times[times.length - 1] : null
+    };
+};
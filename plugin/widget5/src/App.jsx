@@ -1,6 +1,7 @@
 import React, { useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import Home from './pages/Home';
+import { OfflineForecastBanner } from '@ocean-plugin/forecast-core';
 import GPUParticleDemo from './pages/GPUParticleDemo';
 import './App.css';
 import Header from './components/header';
@@ -27,6 +28,7 @@ function App() {
         transition: 'background-color 0.3s ease'
       }}>
         <Header />
+        <OfflineForecastBanner />
         <Routes>
           <Route path="/" element={<Home />} />
           <Route path="/gpu-demo" element={<GPUParticleDemo />} />
@@ -0,0 +1,282 @@
+import { useState } from 'react';
+import {
+  X, Plus, Trash2, Bell, BellOff, RefreshCw,
+  AlertTriangle, CheckCircle,
+} from 'lucide-react';
+import { ISLAND_ZOOM_TARGETS } from '../config/islandConfig';
+import {
+  ALERT_OPERATORS,
+  ALERT_VARIABLES,
+  DEFAULT_WITHIN_HOURS,
+  createAlertRule,
+  describeAlertRule,
+} from '../domain/alerts/rules';
+
+const formatTimestamp = (value) => (
+  value ? new Date(value).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) : null
+);
+
+function ruleStatus(rule) {
+  if (!rule.enabled) return 'Paused';
+  if (!rule.lastResult) return 'Waiting for the next forecast check';
+  if (rule.lastResult.error) return `Could not check: ${rule.lastResult.error}`;
+  const checked = formatTimestamp(rule.lastEvaluatedAt);
+  return rule.lastResult.triggered
+    ? `Triggered for the latest run (checked ${checked})`
+    : `Not triggered for the latest run (checked ${checked})`;
+}
+
+/**
+ * AlertRulesEditor
+ *
+ * Slide-over panel listing forecast alert rules and the alerts they raised.
+ * Driven by the useAlertRules hook; the only local state is the draft rule.
+ * Coastal water level rules are created from a risk point's details panel.
+ */
+export default function AlertRulesEditor({
+  isOpen,
+  onClose,
+  rules,
+  alerts,
+  saveError,
+  isEvaluating,
+  lastEvaluatedAt,
+  notificationPermission,
+  addRule,
+  updateRule,
+  removeRule,
+  acknowledgeAlert,
+  clearAlerts,
+  evaluateNow,
+  requestPermission,
+}) {
+  const [draft, setDraft] = useState(() => createAlertRule());
+  const [errors, setErrors] = useState([]);
+
+  if (!isOpen) return null;
+
+  const updateDraft = (field, value) => {
+    setDraft((current) => ({ ...current, [field]: value }));
+    setErrors([]);
+  };
+
+  const handleAdd = () => {
+    const result = addRule({
+      type: draft.type,
+      variable: draft.variable,
+      operator: draft.operator,
+      threshold: Number(draft.threshold),
+      locationId: draft.locationId,
+      withinHours: Number(draft.withinHours),
+    });
+    if (!result.ok) {
+      setErrors(result.errors);
+      return;
+    }
+    setDraft(createAlertRule());
+  };
+
+  const handleToggle = (rule) => {
+    const result = updateRule(rule.id, { enabled: !rule.enabled });
+    setErrors(result.ok ? [] : result.errors);
+  };
+
+  const activeError = errors.length > 0 ? errors : (saveError ? [saveError] : []);
+  const lastCheckedLabel = formatTimestamp(lastEvaluatedAt) || 'Not checked yet';
+
+  return (
+    <>
+      <div className="ite-backdrop" onClick={onClose} aria-hidden="true" />
+
+      <div className="ite-panel" role="dialog" aria-modal="true" aria-label="Forecast alert rules">
+
+        {/* Header */}
+        <div className="ite-header">
+          <div className="ite-header__title">
+            <span className="ite-header__icon">🔔</span>
+            <div>
+              <div className="ite-header__name">Forecast Alerts</div>
+              <div className="ite-header__sub">
+                Rules are checked against each new forecast run
+              </div>
+            </div>
+          </div>
+          <button className="ite-icon-btn" onClick={onClose} aria-label="Close" title="Close">
+            <X size={18} />
+          </button>
+        </div>
+
+        {/* Toolbar */}
+        <div className="ite-toolbar">
+          <div className="ite-toolbar__left">
+            <span className="ite-footer__saved">
+              {isEvaluating ? 'Checking forecast…' : `Last checked: ${lastCheckedLabel}`}
+            </span>
+          </div>
+          <div className="ite-toolbar__right">
+            <button
+              className="ite-icon-btn"
+              onClick={evaluateNow}
+              disabled={isEvaluating || rules.length === 0}
+              title="Check all rules against the latest run now"
+            >
+              <RefreshCw size={14} />
+            </button>
+            {notificationPermission === 'default' && (
+              <button
+                className="ite-btn-save"
+                onClick={requestPermission}
+                title="Show alerts as browser notifications"
+              >
+                <Bell size={14} />
+                Enable notifications
+              </button>
+            )}
+            {notificationPermission === 'granted' && (
+              <span className="are-permission">
+                <Bell size={13} /> Browser notifications on
+              </span>
+            )}
+            {(notificationPermission === 'denied' || notificationPermission === 'unsupported') && (
+              <span className="are-permission are-permission--off" title="Alerts are shown in this page only">
+                <BellOff size={13} />
+                {notificationPermission === 'denied' ? 'Notifications blocked' : 'Notifications unsupported'}
+              </span>
+            )}
+          </div>
+        </div>
+
+        {activeError.length > 0 && (
+          <div className="ite-validation-banner">
+            <AlertTriangle size={15} />
+            <div>{activeError.map((e, i) => <div key={i}>{e}</div>)}</div>
+          </div>
+        )}
+
+        <div className="ite-body">
+          {/* New rule */}
+          <div className="are-section-title">New wave rule</div>
+          <div className="are-form">
+            <select
+              className="ite-palette-select"
+              value={draft.variable}
+              onChange={(e) => updateDraft('variable', e.target.value)}
+              aria-label="Forecast variable"
+            >
+              {ALERT_VARIABLES.map((variable) => (
+                <option key={variable.id} value={variable.id}>{variable.label}</option>
+              ))}
+            </select>
+            <select
+              className="ite-palette-select are-form__operator"
+              value={draft.operator}
+              onChange={(e) => updateDraft('operator', e.target.value)}
+              aria-label="Comparison"
+            >
+              {Object.keys(ALERT_OPERATORS).map((operator) => (
+                <option key={operator} value={operator}>{operator}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              className="ite-number-input"
+              value={draft.threshold}
+              step={0.1}
+              onChange={(e) => updateDraft('threshold', e.target.value)}
+              aria-label="Threshold"
+            />
+            <select
+              className="ite-palette-select"
+              value={draft.locationId}
+              onChange={(e) => updateDraft('locationId', e.target.value)}
+              aria-label="Location"
+            >
+              {ISLAND_ZOOM_TARGETS.map((island) => (
+                <option key={island.id} value={island.id}>{island.label}</option>
+              ))}
+            </select>
+            <label className="are-form__within">
+              within
+              <input
+                type="number"
+                className="ite-number-input ite-number-input--compact"
+                value={draft.withinHours}
+                min={1}
+                step={6}
+                placeholder={String(DEFAULT_WITHIN_HOURS)}
+                onChange={(e) => updateDraft('withinHours', e.target.value)}
+                aria-label="Look-ahead in hours"
+              />
+              h
+            </label>
+            <button className="ite-btn-add" onClick={handleAdd}>
+              <Plus size={14} /> Add rule
+            </button>
+          </div>
+          <div className="inundation-threshold-trigger__hint">
+            For coastal flooding, open a risk point on the map and use “Alert me” next to its thresholds.
+          </div>
+
+          {/* Rules */}
+          <div className="are-section-title">Rules ({rules.length})</div>
+          {rules.length === 0 && (
+            <div className="are-empty">No alert rules yet.</div>
+          )}
+          {rules.map((rule) => (
+            <div
+              key={rule.id}
+              className={`are-rule${rule.lastResult?.triggered ? ' are-rule--triggered' : ''}${rule.enabled ? '' : ' are-rule--paused'}`}
+            >
+              <input
+                type="checkbox"
+                checked={rule.enabled}
+                onChange={() => handleToggle(rule)}
+                aria-label={`${rule.enabled ? 'Pause' : 'Resume'} ${describeAlertRule(rule)}`}
+              />
+              <div className="are-rule__text">
+                <div>{describeAlertRule(rule)}</div>
+                <div className="are-rule__status">{ruleStatus(rule)}</div>
+              </div>
+              <button
+                className="ite-micro-btn ite-micro-btn--danger"
+                onClick={() => removeRule(rule.id)}
+                title="Delete rule"
+              >
+                <Trash2 size={13} />
+              </button>
+            </div>
+          ))}
+
+          {/* Raised alerts */}
+          <div className="are-section-title">
+            Recent alerts ({alerts.length})
+            {alerts.length > 0 && (
+              <button className="are-link-btn" onClick={clearAlerts}>Clear</button>
+            )}
+          </div>
+          {alerts.length === 0 && (
+            <div className="are-empty">No alerts raised.</div>
+          )}
+          {alerts.map((alert) => (
+            <div key={alert.id} className={`are-alert${alert.acknowledged ? ' are-alert--read' : ''}`}>
+              <AlertTriangle size={14} />
+              <div className="are-rule__text">
+                <div>{alert.message}</div>
+                <div className="are-rule__status">Raised {formatTimestamp(alert.createdAt)}</div>
+              </div>
+              {!alert.acknowledged && (
+                <button
+                  className="ite-micro-btn"
+                  onClick={() => acknowledgeAlert(alert.id)}
+                  title="Mark as read"
+                >
+                  <CheckCircle size={13} />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </>
+  );
+}
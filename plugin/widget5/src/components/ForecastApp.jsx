@@ -16,11 +16,18 @@ import {
   DataInfo, 
   //StatusBar 
 } from './shared/UIComponents';
-import { Waves, Wind, Navigation, Activity, Info, Settings, Timer, Triangle, BadgeInfo, CloudRain, FastForward, MapPin, SlidersHorizontal } from 'lucide-react';
+import { Waves, Wind, Navigation, Activity, Info, Settings, Timer, Triangle, BadgeInfo, CloudRain, FastForward, MapPin, SlidersHorizontal, Bell } from 'lucide-react';
 import FancyIcon from './FancyIcon';
 import '../styles/fancyIcons.css';
 import InundationThresholdEditor from './InundationThresholdEditor';
+import AlertRulesEditor from './AlertRulesEditor';
 import { X_SST_GRADIENT, buildInundationLegendBands, parseLegendColorRange } from '../domain/inundation/legendBands';
+import {
+  AnimationExportControl,
+  RunComparisonControl,
+  LegendRangeControl,
+  PermalinkControl,
+} from '@ocean-plugin/forecast-core';
 
 // Spectral divergent palette for mean wave period (div-Spectral from ColorBrewer)
 const SPECTRAL_GRADIENT_RGB = [
@@ -91,10 +98,13 @@ const ForecastApp = ({
   minIndex,
   isBuffering,
   inundationThresholds,
+  alertRules,
+  permalink,
 }) => {
   const lastZoomedLayerRef = useRef(null);
   const [selectedIslandId, setSelectedIslandId] = useState(ISLAND_ZOOM_TARGETS[0]?.id || '');
   const [showThresholdEditor, setShowThresholdEditor] = useState(false);
+  const [showAlertRules, setShowAlertRules] = useState(false);
   const [timeDisplayZone, setTimeDisplayZone] = useState('Pacific/Rarotonga');
   const selectedLayer = useMemo(() => {
     return ALL_LAYERS.find(l => l.value === selectedWaveForecast) || null;
@@ -401,7 +411,6 @@ const ForecastApp = ({
   useMapInteraction({
     mapInstance,
     currentSliderDate,
-    sliderIndex,
     setBottomCanvasData,
     setShowBottomCanvas,
     selectedWaveForecast,
@@ -542,6 +551,43 @@ const ForecastApp = ({
           </div>
         </ControlGroup>
 
+        {alertRules && (
+          <ControlGroup
+            icon={<FancyIcon icon={Bell} animationType="pulse" color="#ff7043" />}
+            title="Forecast Alerts"
+            ariaLabel="Forecast alert rules"
+          >
+            <div className="inundation-threshold-trigger">
+              <button
+                type="button"
+                className="inundation-threshold-trigger__btn"
+                onClick={() => setShowAlertRules(true)}
+                title="Define alert rules checked against each new forecast run"
+              >
+                <Bell size={14} />
+                Alert Rules
+                {alertRules.unacknowledgedCount > 0 && (
+                  <span className="forecast-alerts__badge" title="Unread alerts">
+                    {alertRules.unacknowledgedCount}
+                  </span>
+                )}
+              </button>
+              <span className="inundation-threshold-trigger__count">
+                {`${alertRules.rules.filter((rule) => rule.enabled).length} active`}
+              </span>
+            </div>
+            {alertRules.alerts[0] && !alertRules.alerts[0].acknowledged ? (
+              <div className="forecast-alerts__latest" role="status">
+                {alertRules.alerts[0].message}
+              </div>
+            ) : (
+              <div className="inundation-threshold-trigger__hint">
+                Get notified when a new run forecasts wave height or coastal water level above your thresholds.
+              </div>
+            )}
+          </ControlGroup>
+        )}
+
         <ControlGroup
           icon={<FancyIcon icon={MapPin} animationType="pulse" color="#4caf50" />}
           title={UI_CONFIG.SECTIONS.ISLAND_NAVIGATION.title}
@@ -580,6 +626,20 @@ const ForecastApp = ({
             minIndex={minIndex}
             disabled={selectedLayer?.isStatic || false}
           />
+
+          <AnimationExportControl
+            mapInstance={mapInstance}
+            capTime={capTime}
+            currentSliderDate={currentSliderDate}
+            title={selectedLegendLayer?.label}
+            legendUrl={selectedLegendLayer?.legendUrl}
+          />
+
+          <RunComparisonControl
+            mapInstance={mapInstance}
+            layer={selectedLegendLayer}
+            currentSliderDate={currentSliderDate}
+          />
           
           {/* ✅ Warm-up Period Notice */}
           {MARINE_CONFIG.SHOW_WARMUP_NOTICE && capTime.warmupSkipped && (
@@ -632,6 +692,21 @@ const ForecastApp = ({
             formatPercent={UI_CONFIG.FORMATS.opacityPercent}
             ariaLabel={UI_CONFIG.ARIA_LABELS.overlayOpacity}
           />
+
+          {permalink && (
+            <>
+              <LegendRangeControl
+                range={permalink.legendRange}
+                isCustom={permalink.isCustomLegendRange}
+                onApply={permalink.setLegendRange}
+                onReset={permalink.resetLegendRange}
+              />
+              <PermalinkControl
+                getPermalink={permalink.getPermalink}
+                disabled={permalink.isRestoring}
+              />
+            </>
+          )}
         </ControlGroup>
 
         <ControlGroup
@@ -677,6 +752,26 @@ const ForecastApp = ({
         exportJson={inundationThresholds.exportJson}
         importJson={inundationThresholds.importJson}
       />
+
+      {alertRules && (
+        <AlertRulesEditor
+          isOpen={showAlertRules}
+          onClose={() => setShowAlertRules(false)}
+          rules={alertRules.rules}
+          alerts={alertRules.alerts}
+          saveError={alertRules.saveError}
+          isEvaluating={alertRules.isEvaluating}
+          lastEvaluatedAt={alertRules.lastEvaluatedAt}
+          notificationPermission={alertRules.notificationPermission}
+          addRule={alertRules.addRule}
+          updateRule={alertRules.updateRule}
+          removeRule={alertRules.removeRule}
+          acknowledgeAlert={alertRules.acknowledgeAlert}
+          clearAlerts={alertRules.clearAlerts}
+          evaluateNow={alertRules.evaluateNow}
+          requestPermission={alertRules.requestPermission}
+        />
+      )}
     </div>
   );
 };
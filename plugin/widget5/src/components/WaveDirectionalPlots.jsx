@@ -0,0 +1,115 @@
+import { useMemo } from 'react';
+import Plot from 'react-plotly.js';
+import { directionalSpectrum, waveRose } from '@ocean-plugin/forecast-core';
+
+const ROSE_COLORS = ['#c6dbef', '#9ecae1', '#6baed6', '#3182bd', '#08519c', '#08306b'];
+const COMPASS = { tickmode: 'array', tickvals: [0, 45, 90, 135, 180, 225, 270, 315], ticktext: ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'] };
+
+const formatTime = (value) => (
+  typeof value === 'string' && value.length > 15 ? `${value.substring(0, 16).replace('T', ' ')} UTC` : value || ''
+);
+
+/**
+ * WaveDirectionalPlots
+ * Polar directional spectrum of the latest Spotter observation (frequency outwards, coming-from direction
+ * clockwise from north) next to a wave rose of height by mean direction over the loaded records.
+ */
+function WaveDirectionalPlots({ spectrum, waves = [], isDarkMode = false }) {
+  const theme = useMemo(() => ({
+    bg: isDarkMode ? '#2e2f33' : '#ffffff',
+    text: isDarkMode ? '#f1f5f9' : '#1e293b',
+    grid: isDarkMode ? '#44454a' : '#e2e8f0',
+  }), [isDarkMode]);
+
+  const directional = useMemo(() => directionalSpectrum(spectrum), [spectrum]);
+  const rose = useMemo(() => waveRose(
+    waves.map((w) => w.meanDirection ?? w.peakDirection),
+    waves.map((w) => w.significantWaveHeight),
+  ), [waves]);
+
+  const polarLayout = (radialTitle, extra = {}) => ({
+    bgcolor: theme.bg,
+    angularaxis: { rotation: 90, direction: 'clockwise', gridcolor: theme.grid, linecolor: theme.grid, tickfont: { color: theme.text }, ...COMPASS },
+    radialaxis: { title: { text: radialTitle, font: { size: 11, color: theme.text } }, gridcolor: theme.grid, tickfont: { size: 10, color: theme.text }, angle: 90, tickangle: 90, ...extra },
+  });
+  const baseLayout = (title) => ({
+    title: { text: title, font: { size: 13, color: theme.text } },
+    paper_bgcolor: theme.bg,
+    plot_bgcolor: theme.bg,
+    font: { color: theme.text },
+    margin: { l: 40, r: 40, t: 50, b: 30 },
+    autosize: true,
+  });
+
+  let spectrumPlot = null;
+  if (directional) {
+    const { frequencies, bandwidths, directions, binWidth, energy, peak, hs } = directional;
+    const trace = { type: 'barpolar', r: [], base: [], theta: [], width: [], marker: { color: [] }, customdata: [] };
+    frequencies.forEach((f, i) => {
+      directions.forEach((dir, j) => {
+        trace.base.push(f - bandwidths[i] / 2);
+        trace.r.push(bandwidths[i]);
+        trace.theta.push(dir);
+        trace.width.push(binWidth);
+        trace.marker.color.push(energy[i][j]);
+        trace.customdata.push([f, 1 / f]);
+      });
+    });
+    trace.marker = {
+      ...trace.marker,
+      colorscale: 'Viridis',
+      cmin: 0,
+      line: { width: 0 },
+      colorbar: { title: { text: 'm²/Hz/°', side: 'right' }, thickness: 12, len: 0.8, tickfont: { size: 10, color: theme.text } },
+    };
+    trace.hovertemplate = '%{theta}° · %{customdata[0]:.3f} Hz (%{customdata[1]:.1f} s)<br>%{marker.color:.4f} m²/Hz/°<extra></extra>';
+    spectrumPlot = {
+      data: [trace],
+      layout: {
+        ...baseLayout(`Directional spectrum ${formatTime(directional.timestamp)}<br><sub>Hs ${hs.toFixed(2)} m · Tp ${peak.period.toFixed(1)} s from ${Math.round(peak.direction)}° ± ${Math.round(peak.spread)}°</sub>`),
+        polar: polarLayout('Frequency (Hz)', { range: [0, frequencies[frequencies.length - 1] + bandwidths[bandwidths.length - 1] / 2] }),
+        showlegend: false,
+      },
+    };
+  }
+
+  const rosePlot = rose.count > 0 ? {
+    data: rose.classes.map((cls, c) => ({
+      type: 'barpolar',
+      name: cls.label,
+      r: rose.sectors.map((s) => s.percents[c]),
+      theta: rose.sectors.map((s) => s.direction),
+      width: rose.sectors.map(() => 360 / rose.sectors.length),
+      marker: { color: ROSE_COLORS[c % ROSE_COLORS.length], line: { color: theme.bg, width: 0.5 } },
+      hovertemplate: `%{theta}° · ${cls.label}: %{r:.1f}%<extra></extra>`,
+    })),
+    layout: {
+      ...baseLayout(`Wave rose<br><sub>${rose.count} records, ${formatTime(waves[0]?.timestamp)} – ${formatTime(waves[waves.length - 1]?.timestamp)}</sub>`),
+      polar: { ...polarLayout('% of time', { ticksuffix: '%' }), barmode: 'stack' },
+      legend: { font: { size: 10, color: theme.text }, bgcolor: 'rgba(0,0,0,0)', x: 1.05, y: 0.5 },
+    },
+  } : null;
+
+  const plotStyle = { width: '100%', height: '100%', minHeight: '300px' };
+  const config = { responsive: true, displayModeBar: false };
+  const empty = (text) => (
+    <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', height: '100%', color: '#999' }}>{text}</div>
+  );
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: 12, width: '100%', height: '100%', minHeight: '300px' }}>
+      <div style={{ flex: '1 1 360px', minWidth: 0 }}>
+        {spectrumPlot
+          ? <Plot data={spectrumPlot.data} layout={spectrumPlot.layout} useResizeHandler style={plotStyle} config={config} />
+          : empty('No directional spectrum reported by this buoy.')}
+      </div>
+      <div style={{ flex: '1 1 360px', minWidth: 0 }}>
+        {rosePlot
+          ? <Plot data={rosePlot.data} layout={rosePlot.layout} useResizeHandler style={plotStyle} config={config} />
+          : empty('No wave direction records to build a rose.')}
+      </div>
+    </div>
+  );
+}
+
+export default WaveDirectionalPlots;
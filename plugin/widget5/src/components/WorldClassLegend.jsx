@@ -6,7 +6,7 @@
 /* eslint-disable no-unused-vars */
 import React from 'react';
 import './WorldClassLegend.css';
-import wmsStyleManager, { WMSStylePresets } from '../utils/WMSStyleManager';
+import { wmsStyleManager, WMSStylePresets } from '@ocean-plugin/forecast-core';
 import DynamicColorManager from '../utils/DynamicColorManager';
 import {
   INUNDATION_VISUAL_RANGE,
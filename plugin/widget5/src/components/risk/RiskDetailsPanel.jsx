@@ -1,5 +1,6 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
 import WaterLevelChart from './WaterLevelChart';
+import { getRiskThresholdStorageKey } from '../../services/riskDataService';
 import './RiskDetailsPanel.css';
 
 const RISK_COLORS = {
@@ -42,7 +43,7 @@ const parseThresholdInput = (value) => {
   return Number(value);
 };
 
-function RiskDetailsPanel({ data, isDarkMode = false, currentSliderDate, onTimeSelect }) {
+function RiskDetailsPanel({ data, isDarkMode = false, currentSliderDate, onTimeSelect, onCreateAlert }) {
   const point = data?.point || {};
   const details = data?.details || null;
   const metadata = details?.metadata || null;
@@ -76,7 +77,7 @@ function RiskDetailsPanel({ data, isDarkMode = false, currentSliderDate, onTimeS
     const pointId = point?.id;
     if (pointId != null) {
       try {
-        const saved = JSON.parse(localStorage.getItem(`risk-thresholds-${pointId}`));
+        const saved = JSON.parse(localStorage.getItem(getRiskThresholdStorageKey(pointId)));
         if (saved?.minor != null && saved?.moderate != null) {
           setMinorInput(String(saved.minor));
           setModerateInput(String(saved.moderate));
@@ -169,7 +170,7 @@ function RiskDetailsPanel({ data, isDarkMode = false, currentSliderDate, onTimeS
     if (pointId == null) return;
     try {
       localStorage.setItem(
-        `risk-thresholds-${pointId}`,
+        getRiskThresholdStorageKey(pointId),
         JSON.stringify({ minor: minorInput, moderate: moderateInput })
       );
     } catch {
@@ -180,6 +181,17 @@ function RiskDetailsPanel({ data, isDarkMode = false, currentSliderDate, onTimeS
     saveFlashTimerRef.current = window.setTimeout(() => setSaveFlash(false), 1500);
   };
 
+  // Alert rules compare against the thresholds saved for this point when they are checked
+  const createAlert = (level) => {
+    if (point?.id == null || !onCreateAlert) return;
+    onCreateAlert({
+      type: 'twl',
+      pointId: point.id,
+      pointLabel: islandName,
+      level,
+    });
+  };
+
   if (data?.status === 'loading') {
     return (
       <div className={wrapperClassName}>
@@ -289,6 +301,20 @@ function RiskDetailsPanel({ data, isDarkMode = false, currentSliderDate, onTimeS
         </div>
       </div>
 
+      {onCreateAlert && point?.id != null && (
+        <div className="risk-threshold-controls">
+          <span className="risk-summary-label">Alert me when TWL exceeds</span>
+          <div className="risk-threshold-actions">
+            <button type="button" className="risk-threshold-reset" onClick={() => createAlert('minor')}>
+              Minor
+            </button>
+            <button type="button" className="risk-threshold-reset" onClick={() => createAlert('moderate')}>
+              Moderate
+            </button>
+          </div>
+        </div>
+      )}
+
       <div className="risk-summary-meta">
         {/* <span>Strategy: {point?.type || 'detailed'}</span>
         <span>Thresholds: {thresholds.length}</span> */}
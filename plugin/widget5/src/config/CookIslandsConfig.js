@@ -0,0 +1,65 @@
+/**
+ * Cook Islands Configuration
+ *
+ * Country settings the shared forecast core needs for the Cook Islands
+ * widget: SWAN_UGRID wave forecast on THREDDS plus SFINCS raster inundation.
+ */
+
+import { openArray, HTTPStore } from 'zarr';
+import { MARINE_CONFIG } from './marineVariables';
+import { isRasterSourceLayer } from './layerConfig';
+import { getSfincsRasterSource } from '../services/SfincsRasterService';
+import { getZarrUrl } from './zarrConfig';
+
+// SWAN_UGRID wave forecast used for legends and the composite layer
+export const COOK_SWAN_WMS_URL = 'https://gemthreddshpc.spc.int/thredds/wms/POP/model/country/spc/forecast/hourly/COK/SWAN_UGRID.nc';
+
+// Shared forecast core settings (registered in ./forecastCore.js)
+export const FORECAST_CORE_CONFIG = {
+  name: 'Cook Islands',
+  code: 'COK',
+  forecastDataset: 'cook_forecast',
+  marine: MARINE_CONFIG,
+  timeAnimation: {
+    initialPosition: 'closest-to-now'
+  },
+  // Zoom levels around the national view, pre-cached for offline use
+  offline: {
+    zooms: [5, 6]
+  },
+  // THREDDS ncWMS by default; the SWAN_UGRID Zarr store is read with the Zarr adapter
+  dataSource: {
+    endpoints: {
+      [getZarrUrl()]: 'zarr'
+    },
+    options: {
+      zarr: { module: { openArray, HTTPStore } }
+    }
+  },
+  // SFINCS inundation frames are rendered by the raster API instead of WMS
+  rasterSource: {
+    isRasterLayer: isRasterSourceLayer,
+    createService: (layerConfig) => getSfincsRasterSource(layerConfig.apiBase)
+  },
+  visualization: {
+    worldClass: {
+      legend: {
+        wmsUrl: COOK_SWAN_WMS_URL,
+        layerMapping: {
+          raro_inun: 'hmax'
+        }
+      },
+      composite: {
+        wmsUrl: COOK_SWAN_WMS_URL,
+        dataset: 'cook_forecast'
+      }
+    }
+  }
+};
+
+const CookIslandsConfig = {
+  COOK_SWAN_WMS_URL,
+  FORECAST_CORE_CONFIG
+};
+
+export default CookIslandsConfig;
@@ -0,0 +1,15 @@
+/**
+ * Forecast Core Setup
+ *
+ * Registers the Cook Islands settings with the shared forecast core, and the
+ * SFINCS raster API as a data source type.
+ * Imported first in index.jsx (and setupTests.js) so presets are in place
+ * before any module reads them at load time.
+ */
+
+import { configureForecastCore, registerDataSourceType } from '@ocean-plugin/forecast-core';
+import { FORECAST_CORE_CONFIG } from './CookIslandsConfig';
+import SfincsRasterService from '../services/SfincsRasterService';
+
+configureForecastCore(FORECAST_CORE_CONFIG);
+registerDataSourceType(SfincsRasterService.type, SfincsRasterService);
@@ -40,6 +40,7 @@ export const MARINE_VARIABLES = {
     decimalPlaces: 1,
     units: 'm',
     category: 'wave',
+    standardName: 'sea_surface_wave_significant_height', // CF standard name, used by the point forecast export
     wmoCodes: ['height_of_wind_waves', 'significant_height_of_wind_and_swell_waves']
   },
   'tm02': {
@@ -51,6 +52,7 @@ export const MARINE_VARIABLES = {
     decimalPlaces: 0,
     units: 's',
     category: 'wave',
+    standardName: 'sea_surface_wave_mean_period_from_variance_spectral_density_second_frequency_moment',
     wmoCodes: ['mean_period_of_wind_waves']
   },
   'tpeak': {
@@ -62,6 +64,7 @@ export const MARINE_VARIABLES = {
     decimalPlaces: 0,
     units: 's',
     category: 'wave',
+    standardName: 'sea_surface_wave_period_at_variance_spectral_density_maximum',
     wmoCodes: ['peak_period_of_wind_waves']
   },
   'dirm': {
@@ -73,6 +76,7 @@ export const MARINE_VARIABLES = {
     decimalPlaces: 0,
     units: '°',
     category: 'direction',
+    standardName: 'sea_surface_wave_from_direction',
     wmoCodes: ['direction_of_wind_waves']
   },
   'ws': {
@@ -84,6 +88,7 @@ export const MARINE_VARIABLES = {
     decimalPlaces: 1,
     units: 'm/s',
     category: 'wind',
+    standardName: 'wind_speed',
     wmoCodes: ['wind_speed']
   },
   'wd': {
@@ -95,6 +100,7 @@ export const MARINE_VARIABLES = {
     decimalPlaces: 0,
     units: '°',
     category: 'direction',
+    standardName: 'wind_from_direction',
     wmoCodes: ['wind_from_direction']
   },
   'sst': {
@@ -106,6 +112,7 @@ export const MARINE_VARIABLES = {
     decimalPlaces: 1,
     units: '°C',
     category: 'temperature',
+    standardName: 'sea_surface_temperature',
     wmoCodes: ['sea_surface_temperature']
   },
   // Swell partition variables (added for Cook Islands - matching Niue)
@@ -118,6 +125,7 @@ export const MARINE_VARIABLES = {
     decimalPlaces: 0,
     units: '°',
     category: 'direction',
+    standardName: 'sea_surface_wave_from_direction_at_variance_spectral_density_maximum',
     wmoCodes: ['direction_of_peak_wave']
   },
   'transp_x': {
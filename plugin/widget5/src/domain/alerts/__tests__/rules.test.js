@@ -0,0 +1,60 @@
+import {
+  createAlertRule,
+  describeAlertRule,
+  evaluateAlertRule,
+  formatAlertMessage,
+  updateAlertRule,
+  validateAlertRule,
+} from '../rules';
+
+const NOW = new Date('2025-06-01T00:00:00Z');
+const hourly = (values) => ({
+  times: values.map((_, i) => new Date(NOW.getTime() + i * 3600 * 1000).toISOString()),
+  values,
+});
+
+describe('alert rules domain', () => {
+  test('describes wave and coastal water level rules', () => {
+    const wave = createAlertRule({ variable: 'hs', operator: '>', threshold: 3, locationId: 'rarotonga' });
+    const twl = createAlertRule({ type: 'twl', pointId: 12, pointLabel: 'Rarotonga', level: 'moderate', withinHours: 24 });
+
+    expect(describeAlertRule(wave)).toBe('Hs > 3 m at Rarotonga within 48 h');
+    expect(describeAlertRule(twl)).toBe('TWL exceeds moderate at Rarotonga (point 12) within 24 h');
+  });
+
+  test('validates the rule condition', () => {
+    expect(validateAlertRule(createAlertRule({ locationId: 'rarotonga' }))).toEqual([]);
+    expect(validateAlertRule(createAlertRule({ threshold: '', locationId: 'nowhere' }))).toHaveLength(2);
+    expect(validateAlertRule(createAlertRule({ type: 'twl', level: 'major' }))).toHaveLength(2);
+    expect(validateAlertRule(createAlertRule({ withinHours: 0 }))).toHaveLength(1);
+  });
+
+  test('re-arms a rule when its condition changes', () => {
+    const rule = { ...createAlertRule(), lastRunKey: '2025-06-01T00:00:00.000Z', lastResult: { triggered: true } };
+
+    expect(updateAlertRule(rule, { enabled: false }).lastRunKey).toBe(rule.lastRunKey);
+    expect(updateAlertRule(rule, { threshold: 4 })).toMatchObject({ threshold: 4, lastRunKey: null, lastResult: null });
+  });
+
+  test('triggers on the first exceedance inside the look-ahead window', () => {
+    const rule = createAlertRule({ operator: '>', threshold: 3, withinHours: 3, locationId: 'rarotonga' });
+
+    const result = evaluateAlertRule(rule, hourly([2, 3.2, null, 3.8, 5]), NOW);
+    expect(result.triggered).toBe(true);
+    expect(result.exceedance).toEqual({ time: '2025-06-01T01:00:00.000Z', value: 3.2 });
+    expect(result.peak.value).toBe(3.8); // 5 m falls after the 3 h window
+    expect(formatAlertMessage(rule, result)).toMatch(/^Hs > 3 m at Rarotonga within 3 h: 3\.20 m from .* CKT \(peak 3\.80 m\)$/);
+
+    expect(evaluateAlertRule(rule, hourly([1, 2, 2.5]), NOW).triggered).toBe(false);
+  });
+
+  test('compares coastal water level with the point threshold for the chosen level', () => {
+    const series = { ...hourly([0.4, 0.9, 1.1]), thresholds: [0.8, 1.2] };
+    const minor = createAlertRule({ type: 'twl', pointId: 3, level: 'minor' });
+    const moderate = createAlertRule({ type: 'twl', pointId: 3, level: 'moderate' });
+
+    expect(evaluateAlertRule(minor, series, NOW)).toMatchObject({ triggered: true, threshold: 0.8 });
+    expect(evaluateAlertRule(moderate, series, NOW)).toMatchObject({ triggered: false, threshold: 1.2 });
+    expect(evaluateAlertRule(moderate, { ...series, thresholds: [] }, NOW).triggered).toBe(false);
+  });
+});
@@ -0,0 +1,205 @@
+import { ISLAND_ZOOM_TARGETS } from '../../config/islandConfig';
+
+export const ALERT_RULE_SCHEMA_VERSION = 1;
+
+export const ALERT_RULE_TYPES = {
+  VARIABLE: 'variable',
+  TWL: 'twl',
+};
+
+// SWAN variables a rule can watch (GetTimeseries layers)
+export const ALERT_VARIABLES = [
+  { id: 'hs', label: 'Wave height (Hs)', shortLabel: 'Hs', unit: 'm' },
+  { id: 'tpeak', label: 'Peak wave period', shortLabel: 'Tp', unit: 's' },
+  { id: 'tm02', label: 'Mean wave period', shortLabel: 'Tm02', unit: 's' },
+];
+
+export const ALERT_OPERATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+};
+
+// Index into the risk point thresholds array ([minor, moderate])
+export const TWL_LEVELS = [
+  { id: 'minor', label: 'Minor', index: 0 },
+  { id: 'moderate', label: 'Moderate', index: 1 },
+];
+
+export const DEFAULT_WITHIN_HOURS = 48;
+const MAX_WITHIN_HOURS = 240;
+const MS_IN_HOUR = 60 * 60 * 1000;
+
+export function generateAlertRuleId() {
+  return `alert-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+export function getAlertVariable(id) {
+  return ALERT_VARIABLES.find((variable) => variable.id === id) || null;
+}
+
+export function getTwlLevel(id) {
+  return TWL_LEVELS.find((level) => level.id === id) || null;
+}
+
+export function getAlertLocation(id) {
+  const island = ISLAND_ZOOM_TARGETS.find((target) => target.id === id);
+  if (!island) return null;
+
+  const [south, west] = island.bounds.southWest;
+  const [north, east] = island.bounds.northEast;
+  return { id: island.id, label: island.label, lat: (south + north) / 2, lon: (west + east) / 2 };
+}
+
+export function createAlertRule(overrides = {}) {
+  const type = overrides.type === ALERT_RULE_TYPES.TWL ? ALERT_RULE_TYPES.TWL : ALERT_RULE_TYPES.VARIABLE;
+  const base = {
+    id: generateAlertRuleId(),
+    type,
+    enabled: true,
+    withinHours: DEFAULT_WITHIN_HOURS,
+    createdAt: new Date().toISOString(),
+    lastRunKey: null,
+    lastEvaluatedAt: null,
+    lastResult: null,
+  };
+
+  if (type === ALERT_RULE_TYPES.TWL) {
+    return {
+      ...base,
+      pointId: null,
+      pointLabel: '',
+      level: 'moderate',
+      ...overrides,
+    };
+  }
+
+  return {
+    ...base,
+    variable: 'hs',
+    operator: '>',
+    threshold: 3,
+    locationId: ISLAND_ZOOM_TARGETS[0]?.id || '',
+    ...overrides,
+  };
+}
+
+export function validateAlertRule(rule) {
+  const errors = [];
+  const withinHours = Number(rule?.withinHours);
+
+  if (!Number.isFinite(withinHours) || withinHours <= 0 || withinHours > MAX_WITHIN_HOURS) {
+    errors.push(`Look-ahead must be between 1 and ${MAX_WITHIN_HOURS} hours.`);
+  }
+
+  if (rule?.type === ALERT_RULE_TYPES.TWL) {
+    if (rule.pointId === null || rule.pointId === '' || !Number.isInteger(Number(rule.pointId))) {
+      errors.push('Choose a coastal risk point.');
+    }
+    if (!getTwlLevel(rule.level)) {
+      errors.push('Choose the minor or moderate flood level.');
+    }
+    return errors;
+  }
+
+  if (!getAlertVariable(rule?.variable)) {
+    errors.push('Choose a forecast variable.');
+  }
+  if (!ALERT_OPERATORS[rule?.operator]) {
+    errors.push('Choose a comparison.');
+  }
+  if (rule?.threshold === '' || !Number.isFinite(Number(rule?.threshold))) {
+    errors.push('Threshold must be a number.');
+  }
+  if (!getAlertLocation(rule?.locationId)) {
+    errors.push('Choose a location.');
+  }
+  return errors;
+}
+
+// Editing the condition makes the rule evaluate again against the current run
+export function updateAlertRule(rule, changes) {
+  const conditionKeys = ['variable', 'operator', 'threshold', 'locationId', 'pointId', 'level', 'withinHours'];
+  const conditionChanged = conditionKeys.some((key) => key in changes && changes[key] !== rule[key]);
+  return {
+    ...rule,
+    ...changes,
+    ...(conditionChanged ? { lastRunKey: null, lastResult: null } : {}),
+  };
+}
+
+export function describeAlertRule(rule) {
+  const within = `within ${rule.withinHours} h`;
+
+  if (rule.type === ALERT_RULE_TYPES.TWL) {
+    const level = getTwlLevel(rule.level)?.label.toLowerCase() || rule.level;
+    const point = rule.pointLabel ? `${rule.pointLabel} (point ${rule.pointId})` : `point ${rule.pointId}`;
+    return `TWL exceeds ${level} at ${point} ${within}`;
+  }
+
+  const variable = getAlertVariable(rule.variable);
+  const location = getAlertLocation(rule.locationId)?.label || rule.locationId;
+  return `${variable?.shortLabel || rule.variable} ${rule.operator} ${rule.threshold} ${variable?.unit || ''} at ${location} ${within}`
+    .replace(/\s+/g, ' ');
+}
+
+// Threshold a TWL rule compares against: the point's minor or moderate level
+export function resolveTwlThreshold(rule, thresholds = []) {
+  const level = getTwlLevel(rule.level);
+  const threshold = Number(thresholds[level?.index]);
+  return level && Number.isFinite(threshold) ? threshold : null;
+}
+
+/**
+ * Evaluate a rule against a forecast series
+ * @param {Object} rule
+ * @param {{times: Array<Date|string>, values: number[], thresholds?: number[]}} series
+ * @param {Date} [now]
+ * @returns {{triggered: boolean, threshold: number|null, exceedance: Object|null, peak: Object|null}}
+ */
+export function evaluateAlertRule(rule, series, now = new Date()) {
+  const isTwl = rule.type === ALERT_RULE_TYPES.TWL;
+  const threshold = isTwl ? resolveTwlThreshold(rule, series?.thresholds) : Number(rule.threshold);
+  const compare = isTwl ? ALERT_OPERATORS['>='] : ALERT_OPERATORS[rule.operator];
+  const result = { triggered: false, threshold, exceedance: null, peak: null };
+  if (!series?.times?.length || threshold === null || !Number.isFinite(threshold) || !compare) {
+    return result;
+  }
+
+  const start = now.getTime();
+  const end = start + Number(rule.withinHours) * MS_IN_HOUR;
+  const lowerIsWorse = rule.operator === '<' || rule.operator === '<=';
+
+  series.times.forEach((rawTime, i) => {
+    const time = new Date(rawTime);
+    const value = Number(series.values[i]);
+    if (series.values[i] === null || !Number.isFinite(value)) return;
+    if (time.getTime() < start || time.getTime() > end) return;
+
+    if (!result.peak || (lowerIsWorse ? value < result.peak.value : value > result.peak.value)) {
+      result.peak = { time: time.toISOString(), value };
+    }
+    if (!result.exceedance && compare(value, threshold)) {
+      result.exceedance = { time: time.toISOString(), value };
+    }
+  });
+
+  result.triggered = Boolean(result.exceedance);
+  return result;
+}
+
+export function formatAlertMessage(rule, result) {
+  const unit = rule.type === ALERT_RULE_TYPES.TWL ? 'm' : getAlertVariable(rule.variable)?.unit || '';
+  const when = new Date(result.exceedance.time).toLocaleString('en-NZ', {
+    timeZone: 'Pacific/Rarotonga',
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false,
+  });
+  return `${describeAlertRule(rule)}: ${result.exceedance.value.toFixed(2)} ${unit} from ${when} CKT`
+    + (result.peak ? ` (peak ${result.peak.value.toFixed(2)} ${unit})` : '');
+}
@@ -0,0 +1,218 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import {
+  createAlertRule,
+  updateAlertRule,
+  validateAlertRule,
+  describeAlertRule,
+  formatAlertMessage,
+} from '../domain/alerts/rules';
+import {
+  loadAlertRulesFromStorage,
+  saveAlertRulesToStorage,
+  MAX_STORED_ALERTS,
+} from '../services/alertRuleStorage';
+import { evaluateAlertRules } from '../services/alertEvaluationService';
+import notificationManager from '../utils/NotificationManager';
+
+const EVALUATION_INTERVAL_MS = 15 * 60 * 1000;
+const IN_APP_ALERT_DURATION_MS = 12000;
+
+const INITIAL_STORED = loadAlertRulesFromStorage();
+
+const getNotificationPermission = () => (
+  typeof window !== 'undefined' && 'Notification' in window ? window.Notification.permission : 'unsupported'
+);
+
+function showBrowserNotification(rule, message) {
+  if (getNotificationPermission() !== 'granted') return;
+  try {
+    // eslint-disable-next-line no-new
+    new window.Notification('Cook Islands forecast alert', {
+      body: message,
+      tag: rule.id,
+      icon: `${process.env.PUBLIC_URL || ''}/favicon.ico`,
+    });
+  } catch {
+    // Some mobile browsers only allow notifications from a service worker
+  }
+}
+
+/**
+ * Forecast alert rules: CRUD, persistence and evaluation against each new
+ * model run. Triggered rules raise an in-app toast and, when permitted,
+ * a Web Notification. Each rule fires at most once per run.
+ * @param {Object} [options]
+ * @param {Date|null} [options.forecastRunTime] - Start of the run on screen; a change re-evaluates rules
+ */
+export default function useAlertRules({ forecastRunTime = null } = {}) {
+  const [rules, setRules] = useState(INITIAL_STORED.rules);
+  const [alerts, setAlerts] = useState(INITIAL_STORED.alerts);
+  const [saveError, setSaveError] = useState(null);
+  const [isEvaluating, setIsEvaluating] = useState(false);
+  const [lastEvaluatedAt, setLastEvaluatedAt] = useState(null);
+  const [permission, setPermission] = useState(getNotificationPermission);
+
+  const rulesRef = useRef(rules);
+  const alertsRef = useRef(alerts);
+  const evaluatingRef = useRef(false);
+
+  const persist = useCallback((nextRules, nextAlerts) => {
+    rulesRef.current = nextRules;
+    alertsRef.current = nextAlerts;
+    setRules(nextRules);
+    setAlerts(nextAlerts);
+    const persisted = saveAlertRulesToStorage(nextRules, nextAlerts);
+    setSaveError(persisted ? null : 'Browser storage is unavailable — alert rules will not persist after reload.');
+    return persisted;
+  }, []);
+
+  const evaluate = useCallback(async ({ force = false } = {}) => {
+    if (evaluatingRef.current || !rulesRef.current.some((rule) => rule.enabled)) return;
+    evaluatingRef.current = true;
+    setIsEvaluating(true);
+
+    try {
+      const now = new Date();
+      const outcomes = await evaluateAlertRules(rulesRef.current, { now, force });
+      if (outcomes.length === 0) return;
+
+      const raised = [];
+      const updates = new Map();
+      outcomes.forEach(({ rule, runKey, result, error }) => {
+        updates.set(rule.id, {
+          lastRunKey: runKey,
+          lastEvaluatedAt: now.toISOString(),
+          lastResult: result
+            ? { triggered: result.triggered, exceedance: result.exceedance, peak: result.peak }
+            : { triggered: false, error },
+        });
+        if (!result?.triggered) return;
+
+        const message = formatAlertMessage(rule, result);
+        raised.push({
+          id: `${rule.id}-${runKey}`,
+          ruleId: rule.id,
+          runKey,
+          message,
+          exceedance: result.exceedance,
+          createdAt: now.toISOString(),
+          acknowledged: false,
+        });
+        notificationManager.show(message, 'warning', IN_APP_ALERT_DURATION_MS);
+        showBrowserNotification(rule, message);
+      });
+
+      // Skip rules edited while the forecast was being fetched; they are evaluated again
+      const evaluatedRules = new Set(outcomes.map((outcome) => outcome.rule));
+      const nextRules = rulesRef.current.map((rule) => (
+        evaluatedRules.has(rule) ? { ...rule, ...updates.get(rule.id) } : rule
+      ));
+      const raisedIds = new Set(raised.map((alert) => alert.id));
+      const nextAlerts = [
+        ...raised,
+        ...alertsRef.current.filter((alert) => !raisedIds.has(alert.id)),
+      ].slice(0, MAX_STORED_ALERTS);
+      persist(nextRules, nextAlerts);
+    } catch (error) {
+      console.warn('Alert rule evaluation failed:', error.message);
+    } finally {
+      evaluatingRef.current = false;
+      setIsEvaluating(false);
+      setLastEvaluatedAt(new Date());
+    }
+  }, [persist]);
+
+  // On load, on each new run shown on the map, and periodically to catch runs published meanwhile
+  const runKey = forecastRunTime ? new Date(forecastRunTime).getTime() : null;
+  useEffect(() => {
+    evaluate();
+  }, [evaluate, runKey]);
+
+  useEffect(() => {
+    const intervalId = window.setInterval(() => evaluate(), EVALUATION_INTERVAL_MS);
+    return () => window.clearInterval(intervalId);
+  }, [evaluate]);
+
+  const addRule = useCallback((overrides) => {
+    const rule = createAlertRule(overrides);
+    const errors = validateAlertRule(rule);
+    if (errors.length > 0) {
+      return { ok: false, errors };
+    }
+    const description = describeAlertRule(rule);
+    if (rulesRef.current.some((existing) => describeAlertRule(existing) === description)) {
+      notificationManager.show(`Alert rule already exists: ${description}`, 'info', 4000);
+      return { ok: false, errors: ['An identical alert rule already exists.'] };
+    }
+    const persisted = persist([...rulesRef.current, rule], alertsRef.current);
+    if (!persisted) {
+      return { ok: false, errors: ['Storage write failed. The rule will be lost on reload.'] };
+    }
+    notificationManager.show(`Alert rule added: ${description}`, 'success', 4000);
+    window.setTimeout(() => evaluate(), 0);
+    return { ok: true, rule };
+  }, [evaluate, persist]);
+
+  const updateRule = useCallback((id, changes) => {
+    const current = rulesRef.current.find((rule) => rule.id === id);
+    if (!current) {
+      return { ok: false, errors: ['Alert rule not found.'] };
+    }
+    const next = updateAlertRule(current, changes);
+    const errors = validateAlertRule(next);
+    if (errors.length > 0) {
+      return { ok: false, errors };
+    }
+    persist(rulesRef.current.map((rule) => (rule.id === id ? next : rule)), alertsRef.current);
+    if (next.enabled && next.lastRunKey === null) {
+      window.setTimeout(() => evaluate(), 0);
+    }
+    return { ok: true, rule: next };
+  }, [evaluate, persist]);
+
+  const removeRule = useCallback((id) => {
+    persist(
+      rulesRef.current.filter((rule) => rule.id !== id),
+      alertsRef.current.filter((alert) => alert.ruleId !== id)
+    );
+  }, [persist]);
+
+  const acknowledgeAlert = useCallback((alertId) => {
+    persist(rulesRef.current, alertsRef.current.map((alert) => (
+      alertId === undefined || alert.id === alertId ? { ...alert, acknowledged: true } : alert
+    )));
+  }, [persist]);
+
+  const clearAlerts = useCallback(() => {
+    persist(rulesRef.current, []);
+  }, [persist]);
+
+  const requestPermission = useCallback(async () => {
+    if (getNotificationPermission() === 'unsupported') return 'unsupported';
+    try {
+      const result = await window.Notification.requestPermission();
+      setPermission(result);
+      return result;
+    } catch {
+      setPermission(getNotificationPermission());
+      return getNotificationPermission();
+    }
+  }, []);
+
+  return {
+    rules,
+    alerts,
+    unacknowledgedCount: alerts.filter((alert) => !alert.acknowledged).length,
+    saveError,
+    isEvaluating,
+    lastEvaluatedAt,
+    notificationPermission: permission,
+    addRule,
+    updateRule,
+    removeRule,
+    acknowledgeAlert,
+    clearAlerts,
+    evaluateNow: () => evaluate({ force: true }),
+    requestPermission,
+  };
+}
@@ -1,12 +1,11 @@
 import { useEffect } from 'react';
-import { useWMSCapabilities } from './useWMSCapabilities';
-import { useTimeAnimation } from './useTimeAnimation';
+import { useWMSCapabilities, useTimeAnimation, useForecastPrecache } from '@ocean-plugin/forecast-core';
 import { useUIState } from './useUIState';
 import { useLayerManagement } from './useLayerManagement';
 import { useMapRendering } from './useMapRendering';
 import { useLegendManagement } from './useLegendManagement';
 import { isRasterSourceLayer } from '../config/layerConfig';
-import SfincsRasterService from '../services/SfincsRasterService';
+import { getSfincsRasterSource } from '../services/SfincsRasterService';
 
 /**
  * Main forecast hook that composes specialized hooks
@@ -43,7 +42,7 @@ export const useForecast = (config) => {
     }
 
     rasterLayers.forEach((layer) => {
-      const rasterService = new SfincsRasterService(layer.apiBase);
+      const rasterService = getSfincsRasterSource(layer.apiBase);
 
       Promise.all([
         rasterService.loadMetadata(),
@@ -67,6 +66,9 @@ export const useForecast = (config) => {
   // 2. WMS Capabilities (time dimensions, metadata)
   const capTime = useWMSCapabilities(selectedWaveForecast, allLayers);
 
+  // Keep the latest run of the selected layer available offline
+  useForecastPrecache({ capTime, layerConfig: selectedLayerConfig, bounds });
+
   // 3. Time Animation (slider, playback controls)
   const timeAnimation = useTimeAnimation(
     capTime,
@@ -9,13 +9,12 @@ import { useEffect, useCallback, useRef } from 'react';
 import MapInteractionService from '../services/MapInteractionService';
 import BottomCanvasManager from '../services/BottomCanvasManager';
 import MapMarkerService from '../services/MapMarkerService';
-import SfincsRasterService from '../services/SfincsRasterService';
+import { getSfincsRasterSource } from '../services/SfincsRasterService';
 import { isInundationLayer, INUNDATION_POPUP_ZOOM_THRESHOLD, getLayerBounds, isRasterSourceLayer } from '../config/layerConfig';
 
 export const useMapInteraction = ({
   mapInstance,
   currentSliderDate,
-  sliderIndex,
   setBottomCanvasData,
   setShowBottomCanvas,
   selectedWaveForecast = '',
@@ -105,9 +104,8 @@ export const useMapInteraction = ({
         try {
           let timeseries = null;
           if (usesRasterSource) {
-            const rasterService = new SfincsRasterService(selectedLayerConfig.apiBase);
-            const result = await rasterService.getTimeseries({ lat, lng });
-            timeseries = result?.values ?? null;
+            const series = await getSfincsRasterSource(selectedLayerConfig.apiBase).getTimeseries({ lat, lon: lng });
+            timeseries = series.map(({ time, value }) => ({ time: time.toISOString(), depth_m: value }));
           }
           settersRef.current.setBottomCanvasData({
             mode: 'inundation',
@@ -183,7 +181,7 @@ export const useMapInteraction = ({
         status: "error"
       });
     }
-  }, [mapInstance, currentSliderDate, selectedWaveForecast, selectedLayerConfig, sliderIndex, inundationCategories]);
+  }, [mapInstance, currentSliderDate, selectedWaveForecast, selectedLayerConfig, inundationCategories]);
   
   // Initialize services when map is available
   useEffect(() => {
@@ -3,6 +3,9 @@ import Offcanvas from "react-bootstrap/Offcanvas";
 import 'chart.js/auto';
 import Plot from 'react-plotly.js';
 import './BottomBuoyOffCanvas.css';
+import { fetchPointTimeseries, getPreviousRunUrl, PREVIOUS_RUN_NOT_CONFIGURED } from '@ocean-plugin/forecast-core';
+import { COOK_SWAN_WMS_URL } from '../config/CookIslandsConfig';
+import WaveDirectionalPlots from '../components/WaveDirectionalPlots';
 
 // Fixed color palette for datasets
 const BUOY_COLORS = [
@@ -17,12 +20,20 @@ const MODEL_COLORS = [
   '#43A047', // Vivid Green
 ];
 
+// Spotter data comes through the server-side proxy, which holds the Sofar token (plugin/spotter-proxy)
+const SPOTTER_PROXY_URL = (process.env.REACT_APP_SPOTTER_PROXY_URL || '/spotter-proxy').replace(/\/$/, '');
+
 const MIN_HEIGHT = 100;
 const MAX_HEIGHT = 800;
 
 const MODEL_VARIABLES = ["hs_p1", "tp_p1", "dirp_p1"];
-const LATEST_CAPABILITY_URL = "https://gemthreddshpc.spc.int/thredds/wms/POP/model/country/spc/forecast/hourly/COK/SWAN_UGRID.nc?SERVICE=WMS&VERSION=1.3.0&REQUEST=GetCapabilities";
-const PREVIOUS_CAPABILITY_URL = "https://gemthreddshpc.spc.int/thredds/wms/POP/model/country/spc/forecast/hourly/COK/SWAN_UGRID.nc?SERVICE=WMS&VERSION=1.3.0&REQUEST=GetCapabilities";
+// Model grid point compared with the buoy
+const MODEL_POINT = { lat: -19.0545, lon: -169.93145 };
+const CAPABILITIES_QUERY = "?SERVICE=WMS&VERSION=1.3.0&REQUEST=GetCapabilities";
+// Previous model cycle from the country config (runComparison.previousRunUrls); null when none is listed
+const LATEST_FORECAST_URL = COOK_SWAN_WMS_URL;
+const PREVIOUS_FORECAST_URL = getPreviousRunUrl(COOK_SWAN_WMS_URL);
+const LATEST_CAPABILITY_URL = `${LATEST_FORECAST_URL}${CAPABILITIES_QUERY}`;
 
 // Time parsing functions from NiueForecast.js
 function parseTimeDimensionFromCapabilities(xml, layerName) {
@@ -75,10 +86,6 @@ function getTimeRangeFromDimension(dimStr) {
   return null;
 }
 
-function formatDateISOString(date) {
-  return date.toISOString().split(".")[0] + ".000Z";
-}
-
 // New functions for fetching forecast data
 async function fetchCapabilities(url, timeoutMs = 5000) {
   const controller = new AbortController();
@@ -100,24 +107,13 @@ async function fetchCapabilities(url, timeoutMs = 5000) {
   }
 }
 
-async function fetchForecastData(baseUrl, layer, timeRange, timeoutMs = 5000) {
-  const timeParam = `${formatDateISOString(timeRange.start)}/${formatDateISOString(timeRange.end)}`;
-  
-  const url = `${baseUrl}?REQUEST=GetTimeseries&LAYERS=${layer}&QUERY_LAYERS=${layer}&BBOX=-169.9315,-19.05455,-169.9314,-19.05445&SRS=CRS:84&FEATURE_COUNT=5&HEIGHT=1&WIDTH=1&X=0&Y=0&STYLES=default/default&VERSION=1.1.1&TIME=${timeParam}&INFO_FORMAT=text/json`;
-  
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-  
+// Model series at the buoy through the forecast's data source
+async function fetchForecastData(baseUrl, layer, timeRange) {
   try {
-    const res = await fetch(url, { signal: controller.signal });
-    clearTimeout(timeoutId);
-    if (!res.ok) throw new Error(`Failed to fetch forecast data from ${baseUrl}`);
-    const json = await res.json();
-    return json;
+    return await fetchPointTimeseries(baseUrl, { layer, ...MODEL_POINT, ...timeRange });
   } catch (error) {
-    clearTimeout(timeoutId);
-    if (error.name === 'AbortError') {
-      console.error(`GetTimeseries request timed out after ${timeoutMs}ms: ${url}`);
+    if (error.code === 'TIMEOUT') {
+      console.error(`Timeseries request timed out: ${baseUrl} [${layer}]`);
       throw new Error(`THREDDS server timeout (server may be down)`);
     }
     throw error;
@@ -126,26 +122,36 @@ async function fetchForecastData(baseUrl, layer, timeRange, timeoutMs = 5000) {
 
 async function fetchCombinedForecastData() {
   try {
-    // Fetch capabilities from both forecasts
+    // Fetch capabilities from both forecasts; without a previous cycle only the latest run is shown,
+    // and previousRunError says why
+    let previousRunError = PREVIOUS_FORECAST_URL ? null : PREVIOUS_RUN_NOT_CONFIGURED;
     const [latestCapabilities, previousCapabilities] = await Promise.all([
       fetchCapabilities(LATEST_CAPABILITY_URL),
-      fetchCapabilities(PREVIOUS_CAPABILITY_URL)
+      PREVIOUS_FORECAST_URL
+        ? fetchCapabilities(`${PREVIOUS_FORECAST_URL}${CAPABILITIES_QUERY}`).catch((error) => {
+          previousRunError = `The previous model run could not be loaded (${error.message}).`;
+          return null;
+        })
+        : null
     ]);
 
     // Parse time dimensions
     const latestTimeDim = parseTimeDimensionFromCapabilities(latestCapabilities, "hs_p1");
-    const previousTimeDim = parseTimeDimensionFromCapabilities(previousCapabilities, "hs_p1");
+    const previousTimeDim = previousCapabilities && parseTimeDimensionFromCapabilities(previousCapabilities, "hs_p1");
 
 
-    if (!latestTimeDim || !previousTimeDim) {
+    if (!latestTimeDim) {
       throw new Error("Could not parse time dimensions from capabilities");
     }
 
     const latestTimeRange = getTimeRangeFromDimension(latestTimeDim);
     const previousTimeRange = getTimeRangeFromDimension(previousTimeDim);
+    if (previousCapabilities && !previousTimeRange) {
+      previousRunError = 'The previous model run lists no time steps.';
+    }
 
 
-    if (!latestTimeRange || !previousTimeRange) {
+    if (!latestTimeRange) {
       throw new Error("Could not parse time ranges");
     }
 
@@ -153,7 +159,7 @@ async function fetchCombinedForecastData() {
     const sevenAndHalfDaysAgo = new Date(latestTimeRange.end.getTime() - (7.5 * 24 * 60 * 60 * 1000));
     const latestStart = sevenAndHalfDaysAgo;
     const latestEnd = latestTimeRange.end;
-    const previousStart = previousTimeRange.start;
+    const previousStart = previousTimeRange?.start;
     const previousEnd = latestTimeRange.start;
 
     //   latest: { start: latestStart, end: latestEnd },
@@ -164,19 +170,26 @@ async function fetchCombinedForecastData() {
     const combinedRanges = {};
     let combinedDomain = null;
     let combinedParameters = {};
+    let previousLength = 0;
+    const previousFailures = [];
     for (const v of MODEL_VARIABLES) {
       // Fetch both latest and previous for this variable
       const [latestData, previousData] = await Promise.all([
         fetchForecastData(
-          "https://gemthreddshpc.spc.int/thredds/wms/POP/model/country/spc/forecast/hourly/COK/SWAN_UGRID.nc",
+          LATEST_FORECAST_URL,
           v,
           { start: latestStart, end: latestEnd }
         ),
-        fetchForecastData(
-          "https://gemthreddshpc.spc.int/thredds/wms/POP/model/country/spc/forecast/hourly/COK/SWAN_UGRID.nc",
-          v,
-          { start: previousStart, end: previousEnd }
-        )
+        previousTimeRange
+          ? fetchForecastData(
+            PREVIOUS_FORECAST_URL,
+            v,
+            { start: previousStart, end: previousEnd }
+          ).catch((error) => {
+            previousFailures.push(`${v}: ${error.message}`);
+            return null;
+          })
+          : null
       ]);
       // // Debug: print the full JSON for tp_p1 and dirp_p1
       // if (v === "tp_p1" || v === "dirp") {
@@ -185,11 +198,12 @@ async function fetchCombinedForecastData() {
       // }
       // For the first variable, set the domain and parameters
       if (!combinedDomain) {
+        previousLength = previousData?.domain?.axes?.t?.values?.length || 0;
         combinedDomain = {
           axes: {
             t: {
               values: [
-                ...previousData.domain.axes.t.values,
+                ...(previousData?.domain?.axes?.t?.values || []),
                 ...latestData.domain.axes.t.values
               ]
             }
@@ -198,12 +212,13 @@ async function fetchCombinedForecastData() {
       }
       combinedParameters = {
         ...combinedParameters,
-        ...previousData.parameters,
+        ...previousData?.parameters,
         ...latestData.parameters
       };
       combinedRanges[v] = {
         values: [
-          ...(previousData.ranges?.[v]?.values || []),
+          // Keep the time axis aligned when one previous-run request failed
+          ...(previousData?.ranges?.[v]?.values || Array(previousLength).fill(null)),
           ...(latestData.ranges?.[v]?.values || [])
         ]
       };
@@ -211,10 +226,15 @@ async function fetchCombinedForecastData() {
       // //console.log(`Combined ${v} values length:`, combinedRanges[v].values.length);
     }
 
+    if (previousFailures.length && !previousRunError) {
+      previousRunError = `The previous model run could not be loaded (${previousFailures.join('; ')}).`;
+    }
+
     const combinedData = {
       domain: combinedDomain,
       parameters: combinedParameters,
-      ranges: combinedRanges
+      ranges: combinedRanges,
+      previousRunError
     };
 
     // //console.log('Combined forecast data:', combinedData);
@@ -322,6 +342,8 @@ function BottomBuoyOffCanvas({ show, onHide, buoyId }) {
   const [modelData, setModelData] = useState(null);
   const [modelLoading, setModelLoading] = useState(false);
   const [modelError, setModelError] = useState("");
+  // Why the model chart shows the latest run only (null when the previous run is included)
+  const [previousRunError, setPreviousRunError] = useState(null);
 
   // Drag handle logic
   const dragging = useRef(false);
@@ -376,8 +398,7 @@ function BottomBuoyOffCanvas({ show, onHide, buoyId }) {
     setLoading(true);
     setFetchError("");
     setData(null);
-    const token = "2a348598f294c6b0ce5f7e41e5c0f5";
-    const url = `https://api.sofarocean.com/api/wave-data?spotterId=${buoyId}&token=${token}&includeWindData=false&includeDirectionalMoments=true&includeSurfaceTempData=true&limit=100&includeTrack=true`;
+    const url = `${SPOTTER_PROXY_URL}/wave-data?spotterId=${encodeURIComponent(buoyId)}&limit=100`;
     fetch(url)
       .then(res => {
         if (!res.ok) throw new Error("API error");
@@ -401,6 +422,7 @@ function BottomBuoyOffCanvas({ show, onHide, buoyId }) {
     setModelLoading(true);
     setModelError("");
     setModelData(null);
+    setPreviousRunError(null);
 
     fetchAllModelVariables()
       .then(results => {
@@ -409,6 +431,7 @@ function BottomBuoyOffCanvas({ show, onHide, buoyId }) {
         const parameters = results[0].json.parameters;
         const ranges = results[0].json.ranges;
         setModelData({ domain, parameters, ranges });
+        setPreviousRunError(results[0].json.previousRunError);
         setModelLoading(false);
         setHasLoadedData(prev => ({ ...prev, model: true }));
       })
@@ -658,11 +681,13 @@ function BottomBuoyOffCanvas({ show, onHide, buoyId }) {
   if (buoyId === "SPOT-31091C") {
     tabLabels = [
       // { key: "model", label: "Model" },
-      { key: "combination", label: "Buoy vs Model" }
+      { key: "combination", label: "Buoy vs Model" },
+      { key: "directional", label: "Directional" }
     ];
   } else {
     tabLabels = [
-      { key: "buoy", label: `Buoy: ${buoyId || ""}` }
+      { key: "buoy", label: `Buoy: ${buoyId || ""}` },
+      { key: "directional", label: "Directional" }
     ];
   }
 
@@ -803,6 +828,13 @@ function BottomBuoyOffCanvas({ show, onHide, buoyId }) {
         {activeTab === "buoy" && !loading && !fetchError && data && (!data.waves || data.waves.length === 0) && (
           <div style={{ textAlign: "center", color: "#999" }}>No data available for this buoy.</div>
         )}
+        {activeTab === "directional" && loading && <div style={{ textAlign: "center", padding: "2rem" }}>Loading buoy data...</div>}
+        {activeTab === "directional" && fetchError && <div style={{ color: "red", textAlign: "center" }}>{fetchError}</div>}
+        {activeTab === "directional" && !loading && !fetchError && data && (
+          <ErrorBoundary>
+            <WaveDirectionalPlots spectrum={data.spectrum} waves={data.waves || []} isDarkMode={isDarkMode} />
+          </ErrorBoundary>
+        )}
         {activeTab === "model" && modelLoading && (
           <div style={{ textAlign: "center", padding: "2rem" }}>Loading model data...</div>
         )}
@@ -835,6 +867,11 @@ function BottomBuoyOffCanvas({ show, onHide, buoyId }) {
                 No model data for: {modelMissingVars.join(', ')}
               </div>
             )}
+            {previousRunError && (
+              <div role="status" style={{ color: "orange", textAlign: "center", paddingTop: 10 }}>
+                Latest run only. {previousRunError}
+              </div>
+            )}
           </div>
         )}
         {activeTab === "model" && !modelLoading && !modelError && !modelChartData && (
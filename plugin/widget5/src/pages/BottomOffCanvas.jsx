@@ -1,11 +1,27 @@
-import React, { useRef, useState, useEffect, useCallback } from "react";
+import React, { Suspense, lazy, useRef, useState, useEffect, useCallback, useMemo } from "react";
 import Offcanvas from "react-bootstrap/Offcanvas";
 import { Maximize2, Minimize2 } from "lucide-react";
 import "./BottomOffCanvas.css";
 import Tabular from "./tabular.js";
-import Timeseries from "./timeseries.js";
 import RiskDetailsPanel from "../components/risk/RiskDetailsPanel";
-import InundationTimeseries from "./InundationTimeseries";
+import {
+  PointForecastExportControl,
+  buildBuoyValidation,
+  fetchNearbyBuoyObservations,
+  fetchPointTimeseries,
+  fetchRunTimes,
+  getPreviousRunUrl,
+  PREVIOUS_RUN_NOT_CONFIGURED,
+  parseTimeRange,
+  resolveExportLocation
+} from "@ocean-plugin/forecast-core";
+import { COOK_SWAN_WMS_URL } from "../config/CookIslandsConfig";
+import { MARINE_VARIABLES } from "../config/marineVariables";
+
+// The Plotly charts load on first use: in the main bundle Plotly pushes main.js over
+// the service worker's 5 MB precache limit
+const Timeseries = lazy(() => import("./timeseries.js"));
+const InundationTimeseries = lazy(() => import("./InundationTimeseries"));
 
 
 // ---- Variables & config for Cook Islands (adapted from Widget 1) ----
@@ -26,97 +42,70 @@ const variableDefs = [
   { key: "tp_p1", label: "Wind wave period{0-25/Rd/0}" },
   { key: "dirp_p1", label: "Wind wave dir{0-4/dir}" }
 ];
+const EXPORT_ORDER = variableDefs.map(({ key }) => key);
 
 // ---- Centralized fetching helpers (Cook Islands) ----
-// Ensure BBOX is in lon,lat,lon,lat order for THREDDS (CRS:84)
-function normalizeBboxToLonLat(bboxStr) {
-  try {
-    if (!bboxStr || typeof bboxStr !== 'string') return bboxStr;
-    const parts = bboxStr.split(',').map(Number);
-    if (parts.length !== 4 || parts.some(n => Number.isNaN(n))) return bboxStr;
-    const [a, b, c, d] = parts;
-    // Heuristic: if first is latitude (<=90 in magnitude) and second looks like longitude (>90 in magnitude for our AOI), then it's lat,lon order
-    const looksLatLon = Math.abs(a) <= 90 && Math.abs(b) > 90;
-    if (looksLatLon) {
-      // Convert from latmin, lonmin, latmax, lonmax -> lonmin, latmin, lonmax, latmax
-      const reordered = [b, a, d, c];
-      return reordered.join(',');
-    }
-    // Otherwise assume it's already lon,lat
-    return bboxStr;
-  } catch {
-    return bboxStr;
-  }
+// Seven days from the clicked time, or the whole time axis when there is none
+function getTimeseriesRange(timeDimension) {
+  if (!timeDimension) return {};
+  if (timeDimension.includes("/")) return parseTimeRange(timeDimension);
+  const start = new Date(timeDimension);
+  if (Number.isNaN(start.getTime())) return {};
+  const end = new Date(start);
+  end.setDate(start.getDate() + 7);
+  return { start, end };
 }
 
-async function fetchLayerTimeseries(layer, data) {
-  if (!data || !data.bbox || (data.x === undefined && data.i === undefined) || (data.y === undefined && data.j === undefined)) return null;
+// Point series through the layer's data source (THREDDS ncWMS unless the config says otherwise)
+async function fetchLayerTimeseries(layer, data, { baseUrl = COOK_SWAN_WMS_URL, timeRange = null } = {}) {
+  const location = resolveExportLocation(data);
+  if (!location) return null;
 
-  let timeParam = "";
-  if (data.timeDimension) {
-    if (data.timeDimension.includes("/")) {
-      timeParam = data.timeDimension;
+  try {
+    return await fetchPointTimeseries(baseUrl, {
+      layer,
+      ...location,
+      ...(timeRange || getTimeseriesRange(data.timeDimension))
+    });
+  } catch (error) {
+    if (error.code === "TIMEOUT") {
+      console.warn(`Timeseries request timed out for layer: ${layer} (THREDDS server may be down)`);
     } else {
-      try {
-        const start = new Date(data.timeDimension);
-        const end = new Date(start);
-        end.setDate(start.getDate() + 7);
-        timeParam = `${start.toISOString()}/${end.toISOString()}`;
-      } catch {
-        timeParam = data.timeDimension;
-      }
+      console.warn(`Timeseries error for layer ${layer}:`, error.message);
     }
+    return null;
   }
-  const x = data.x !== undefined ? data.x : data.i;
-  const y = data.y !== undefined ? data.y : data.j;
-  // Normalize bbox axis order (expects lon,lat when SRS=CRS:84)
-  const bbox = normalizeBboxToLonLat(data.bbox);
-
-  const baseUrl = "https://gemthreddshpc.spc.int/thredds/wms/POP/model/country/spc/forecast/hourly/COK/SWAN_UGRID.nc";
-  const url =
-    baseUrl +
-    `?REQUEST=GetTimeseries` +
-    `&LAYERS=${layer}` +
-    `&QUERY_LAYERS=${layer}` +
-    `&BBOX=${encodeURIComponent(bbox)}` +
-    `&SRS=CRS:84` +
-    `&FEATURE_COUNT=5` +
-    `&HEIGHT=${data.height}` +
-    `&WIDTH=${data.width}` +
-    `&X=${x}` +
-    `&Y=${y}` +
-    `&STYLES=default/default` +
-    `&VERSION=1.1.1` +
-    (timeParam ? `&TIME=${encodeURIComponent(timeParam)}` : "") +
-    `&INFO_FORMAT=text/json`;
-
-  // Add timeout to prevent app hanging when THREDDS is down
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
+}
 
+// Variables plotted by timeseries.js, also fetched from the previous model run
+const PREVIOUS_RUN_KEYS = ["hs", "tpeak", "dirp"];
+
+// Same point from the previous model cycle, for run-to-run consistency checks.
+// Resolves to { data, unavailable }: series keyed by variable, or why the previous run can't be shown.
+async function fetchPreviousRunTimeseries(data) {
+  const previousUrl = getPreviousRunUrl(COOK_SWAN_WMS_URL);
+  if (!previousUrl) return { data: {}, unavailable: PREVIOUS_RUN_NOT_CONFIGURED };
+
+  let timeRange;
   try {
-    const response = await fetch(url, { signal: controller.signal });
-    clearTimeout(timeoutId);
-    if (!response.ok) {
-      console.warn("GetTimeseries failed", { layer: layer, status: response.status, url });
-      return null;
-    }
-    const json = await response.json();
-    if (!json || !json.ranges || !json.domain) {
-      console.warn("GetTimeseries returned empty payload", { layer: layer, url });
-    }
-    return json;
+    const { times } = await fetchRunTimes(previousUrl, PREVIOUS_RUN_KEYS[0]);
+    timeRange = { start: times[0], end: times[times.length - 1] };
   } catch (error) {
-    clearTimeout(timeoutId);
-    if (error.name === 'AbortError') {
-      console.warn(`GetTimeseries request timed out for layer: ${layer} (THREDDS server may be down)`);
-    } else {
-      console.warn(`GetTimeseries error for layer ${layer}:`, error.message);
-    }
-    return null;
+    return { data: {}, unavailable: `The previous model run could not be loaded (${error.message}).` };
   }
+
+  const results = await Promise.all(
+    PREVIOUS_RUN_KEYS.map(key => fetchLayerTimeseries(key, data, { baseUrl: previousUrl, timeRange }))
+  );
+  return {
+    data: Object.fromEntries(PREVIOUS_RUN_KEYS.map((key, i) => [key, results[i]])),
+    unavailable: results.some(Boolean) ? null : "The previous model run could not be loaded at this point."
+  };
 }
 
+// Plotted variables compared with the nearest wave buoy, keyed to the observed quantity
+const BUOY_VALIDATION_VARIABLES = { hs: "hs", tpeak: "tp", dirp: "dir" };
+
 const DEFAULT_MIN_HEIGHT = 100;
 function getViewportHeight(fallback = 720) {
   if (typeof window === "undefined") return fallback;
@@ -161,7 +150,7 @@ function PanelSpinner({ isDarkMode, message }) {
   );
 }
 
-function BottomOffCanvas({ show, onHide, data, currentSliderDate, onTimeSelect }) {
+function BottomOffCanvas({ show, onHide, data, currentSliderDate, onTimeSelect, onCreateAlert }) {
   const offcanvasRef = useRef(null);
   const isRiskMode = data?.mode === "risk";
   const isInundationMode = data?.mode === "inundation";
@@ -170,10 +159,14 @@ function BottomOffCanvas({ show, onHide, data, currentSliderDate, onTimeSelect }
   const [isExpanded, setIsExpanded] = useState(false);
   const [activeTab, setActiveTab] = useState("tabular");
   const [perVariableData, setPerVariableData] = useState({});
+  const [previousRunData, setPreviousRunData] = useState({});
+  const [previousRunUnavailable, setPreviousRunUnavailable] = useState(null);
+  const [nearbyBuoy, setNearbyBuoy] = useState(null);
   const [loading, setLoading] = useState(false);
   const [fetchError, setFetchError] = useState("");
   const [isDarkMode, setIsDarkMode] = useState(false);
   const minHeight = DEFAULT_MIN_HEIGHT;
+  const exportLocation = useMemo(() => resolveExportLocation(data), [data]);
 
   // Track previous show value so height only resets on open, not on mode change
   const wasShowingRef = useRef(false);
@@ -322,6 +315,41 @@ function BottomOffCanvas({ show, onHide, data, currentSliderDate, onTimeSelect }
     return () => { isMounted = false; };
   }, [data, isRiskMode, isInundationMode]);
 
+  // Previous run loads after the latest one so it never delays the panel
+  useEffect(() => {
+    let isMounted = true;
+    setPreviousRunData({});
+    setPreviousRunUnavailable(null);
+    if (isRiskMode || isInundationMode || !data?.bbox) return () => { isMounted = false; };
+    fetchPreviousRunTimeseries(data).then((out) => {
+      if (!isMounted) return;
+      setPreviousRunData(out.data);
+      setPreviousRunUnavailable(out.unavailable);
+    });
+    return () => { isMounted = false; };
+  }, [data, isRiskMode, isInundationMode]);
+
+  // Observations of a wave buoy near the point, over the forecast's past steps
+  const forecastTimes = perVariableData?.hs?.domain?.axes?.t?.values;
+  useEffect(() => {
+    const controller = new AbortController();
+    setNearbyBuoy(null);
+    if (isRiskMode || isInundationMode || !forecastTimes?.length) return () => controller.abort();
+    fetchNearbyBuoyObservations(exportLocation, forecastTimes, { signal: controller.signal })
+      .then(setNearbyBuoy)
+      .catch((error) => {
+        if (error.name !== "AbortError") console.warn("Buoy observations are not available:", error.message);
+      });
+    return () => controller.abort();
+  }, [exportLocation, forecastTimes, isRiskMode, isInundationMode]);
+
+  const buoyValidation = useMemo(() => {
+    if (!nearbyBuoy) return null;
+    const byVariable = buildBuoyValidation(perVariableData, nearbyBuoy.observations, BUOY_VALIDATION_VARIABLES);
+    if (!Object.keys(byVariable).length) return null;
+    return { buoy: nearbyBuoy.buoy, distanceKm: nearbyBuoy.distanceKm, byVariable };
+  }, [nearbyBuoy, perVariableData]);
+
   return (
     <Offcanvas
       ref={offcanvasRef}
@@ -535,42 +563,55 @@ function BottomOffCanvas({ show, onHide, data, currentSliderDate, onTimeSelect }
         id={(!isRiskMode && !isInundationMode) ? `tab-panel-${activeTab}` : undefined}
         aria-labelledby={(!isRiskMode && !isInundationMode) ? `tab-btn-${activeTab}` : undefined}
       >
-        {isRiskMode ? (
-          <RiskDetailsPanel data={data} isDarkMode={isDarkMode} currentSliderDate={currentSliderDate} onTimeSelect={onTimeSelect} />
-        ) : isInundationMode ? (
-          data?.loading
-            ? <PanelSpinner isDarkMode={isDarkMode} message="Loading depth timeseries…" />
-            : data?.error
-              ? (
-                <div style={{
-                  textAlign: "center", padding: "2rem",
-                  color: isDarkMode ? "#f87171" : "#dc2626", fontSize: 13,
-                }}>
-                  Failed to load timeseries: {data.error}
-                </div>
-              )
-              : <InundationTimeseries
-                  timeseries={data?.timeseries}
-                  categories={data?.categories}
-                  isDarkMode={isDarkMode}
-                  currentSliderDate={currentSliderDate}
-                  onTimeSelect={onTimeSelect}
-                />
-        ) : loading
-          ? <PanelSpinner isDarkMode={isDarkMode} message="Loading wave data…" />
-          : fetchError
-              ? <div style={{ color: "red", textAlign: "center" }}>{fetchError}</div>
-              : <>
-                  {activeTab === "tabular" && <Tabular perVariableData={perVariableData} />}
-                  {activeTab === "timeseries" && (
-                    <Timeseries
+        <Suspense fallback={<PanelSpinner isDarkMode={isDarkMode} message="Loading chart…" />}>
+          {isRiskMode ? (
+            <RiskDetailsPanel data={data} isDarkMode={isDarkMode} currentSliderDate={currentSliderDate} onTimeSelect={onTimeSelect} onCreateAlert={onCreateAlert} />
+          ) : isInundationMode ? (
+            data?.loading
+              ? <PanelSpinner isDarkMode={isDarkMode} message="Loading depth timeseries…" />
+              : data?.error
+                ? (
+                  <div style={{
+                    textAlign: "center", padding: "2rem",
+                    color: isDarkMode ? "#f87171" : "#dc2626", fontSize: 13,
+                  }}>
+                    Failed to load timeseries: {data.error}
+                  </div>
+                )
+                : <InundationTimeseries
+                    timeseries={data?.timeseries}
+                    categories={data?.categories}
+                    isDarkMode={isDarkMode}
+                    currentSliderDate={currentSliderDate}
+                    onTimeSelect={onTimeSelect}
+                  />
+          ) : loading
+            ? <PanelSpinner isDarkMode={isDarkMode} message="Loading wave data…" />
+            : fetchError
+                ? <div style={{ color: "red", textAlign: "center" }}>{fetchError}</div>
+                : <>
+                    <PointForecastExportControl
                       perVariableData={perVariableData}
-                      currentSliderDate={currentSliderDate}
-                      onTimeSelect={onTimeSelect}
+                      variables={MARINE_VARIABLES}
+                      order={EXPORT_ORDER}
+                      location={exportLocation}
+                      title="Cook Islands point forecast"
+                      source={COOK_SWAN_WMS_URL}
                     />
-                  )}
-                </>
-        }
+                    {activeTab === "tabular" && <Tabular perVariableData={perVariableData} />}
+                    {activeTab === "timeseries" && (
+                      <Timeseries
+                        perVariableData={perVariableData}
+                        previousRunData={previousRunData}
+                        previousRunUnavailable={previousRunUnavailable}
+                        buoyValidation={buoyValidation}
+                        currentSliderDate={currentSliderDate}
+                        onTimeSelect={onTimeSelect}
+                      />
+                    )}
+                  </>
+          }
+        </Suspense>
       </Offcanvas.Body>
     </Offcanvas>
   );
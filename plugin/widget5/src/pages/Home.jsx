@@ -1,20 +1,23 @@
-import React, { useCallback, useEffect, useMemo } from "react";
+import React, { Suspense, lazy, useCallback, useEffect, useMemo } from "react";
 import "leaflet/dist/leaflet.css";
 import L from "leaflet";
 import addWMSTileLayer from "./addWMSTileLayer";
 import BottomOffCanvas from "./BottomOffCanvas";
-import BottomBuoyOffCanvas from "./BottomBuoyOffCanvas";
 import { useForecast } from "../hooks/useForecast";
 import useRiskOverlay from "../hooks/useRiskOverlay";
 import ForecastApp from "../components/ForecastApp";
 import useInundationThresholds from "../hooks/useInundationThresholds";
+import useAlertRules from "../hooks/useAlertRules";
 import ModernHeader from "../components/ModernHeader";
-import WorldClassVisualization from "../utils/WorldClassVisualization";
+import { WorldClassVisualization, usePermalinkState, getFeatureInfoPoint } from '@ocean-plugin/forecast-core';
 import LegendCleanup from "../components/LegendCleanup";
 import { INUNDATION_VISUAL_COLOR_SCALE_RANGE, RASTER_SOURCE_TYPE } from "../config/layerConfig";
 import { ISLAND_ZOOM_TARGETS } from "../config/islandConfig";
 import { getSfincsRasterApiBase } from "../config/sfincsRasterConfig";
 
+// Loaded on its own, with Plotly, to keep main.js under the service worker's precache limit
+const BottomBuoyOffCanvas = lazy(() => import("./BottomBuoyOffCanvas"));
+
 // Initialize world-class visualization system
 const worldClassViz = new WorldClassVisualization();
 // TEMPORARY: Using ncWMS while THREDDS server is down
@@ -214,6 +217,7 @@ function CookIslandsForecast() {
     isPlaying, setIsPlaying,
     wmsOpacity, setWmsOpacity,
     dynamicLayers,
+    updateDynamicLayer,
     isUpdatingVisualization,
     mapRef,
     totalSteps,
@@ -223,6 +227,27 @@ function CookIslandsForecast() {
     isBuffering,
   } = useForecast(cookIslandsConfig);
 
+  // Alert rules are re-checked whenever a new model run is loaded
+  const alertRules = useAlertRules({ forecastRunTime: capTime.originalStart });
+
+  // Shared links restore the whole view; the URL follows the view afterwards
+  const permalink = usePermalinkState({
+    mapInstance,
+    layers: dynamicLayers,
+    allLayers: ALL_LAYERS,
+    updateLayer: updateDynamicLayer,
+    selectedLayer: selectedWaveForecast,
+    setSelectedLayer: setSelectedWaveForecast,
+    activeLayers,
+    setActiveLayers,
+    capTime,
+    currentSliderDate,
+    setSliderIndex,
+    opacity: wmsOpacity,
+    setOpacity: setWmsOpacity,
+    point: showBottomCanvas ? getFeatureInfoPoint(bottomCanvasData) : null,
+  });
+
   const handleTimeSelect = useCallback((date) => {
     const timestamps = capTime.availableTimestamps;
     if (!timestamps?.length || !date) return;
@@ -280,6 +305,8 @@ function CookIslandsForecast() {
         minIndex={minIndex}
         isBuffering={isBuffering}
         inundationThresholds={inundationThresholds}
+        alertRules={alertRules}
+        permalink={permalink}
       />
 
       <LegendCleanup 
@@ -305,12 +332,15 @@ function CookIslandsForecast() {
         }}
         data={bottomCanvasData}
         currentSliderDate={currentSliderDate}
+        onCreateAlert={alertRules.addRule}
       />
-      <BottomBuoyOffCanvas
-        show={showBuoyCanvas}
-        onHide={() => setShowBuoyCanvas(false)}
-        buoyId={selectedBuoyId}
-      />
+      <Suspense fallback={null}>
+        <BottomBuoyOffCanvas
+          show={showBuoyCanvas}
+          onHide={() => setShowBuoyCanvas(false)}
+          buoyId={selectedBuoyId}
+        />
+      </Suspense>
     </div>
   );
 }
@@ -1,6 +1,6 @@
 import L from 'leaflet';
 import $ from 'jquery';
-import WMSTileLoadingService from '../services/WMSTileLoadingService.js';
+import { wmsTileLoadingService as WMSTileLoadingService } from '@ocean-plugin/forecast-core';
 import createCORSWMSLayer from '../utils/CORSWMSLayer.js';
 import { INUNDATION_VISUAL_COLOR_SCALE_RANGE } from '../config/layerConfig';
 
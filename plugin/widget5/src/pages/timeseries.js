@@ -50,12 +50,37 @@ function StatBadge({ label, value, unit, color, isDarkMode }) {
   );
 }
 
-function Timeseries({ perVariableData, currentSliderDate, onTimeSelect }) {
+// Previous model run, drawn dashed over the latest run
+const PREVIOUS_RUN_STYLE = { dash: 'dash', opacity: 0.6, suffix: ' (previous run)' };
+
+// Wave buoy observations, drawn as markers over the forecast
+const OBSERVED_STYLE = { symbol: 'x', size: 5, suffix: ' (buoy)' };
+
+const errorDigits = key => (key === 'hs' ? 2 : 1);
+const signed = (value, digits) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+
+// Running bias / RMSE of one variable against the buoy
+function ErrorBadge({ label, summary, unit, color, digits, isDarkMode }) {
+  return (
+    <span style={{
+      fontSize: 11, padding: '2px 8px', borderRadius: 6,
+      background: isDarkMode ? 'rgba(255,255,255,0.05)' : 'rgba(0,0,0,0.03)',
+      borderLeft: `3px solid ${color}`,
+      color: isDarkMode ? '#cbd5e1' : '#334155',
+    }}>
+      <b style={{ color }}>{label}</b>{' '}
+      bias {signed(summary.bias, digits)} {unit} · RMSE {summary.rmse.toFixed(digits)} {unit}
+    </span>
+  );
+}
+
+function Timeseries({ perVariableData, previousRunData, previousRunUnavailable, buoyValidation, currentSliderDate, onTimeSelect }) {
   const [plotData, setPlotData] = useState([]);
   const [error, setError] = useState("");
   const [parentHeight, setParentHeight] = useState(undefined);
   const [isDarkMode, setIsDarkMode] = useState(false);
   const rawTimes = useRef([]);
+  const traceTimes = useRef([]);
   const onTimeSelectRef = useRef(onTimeSelect);
   onTimeSelectRef.current = onTimeSelect;
 
@@ -99,9 +124,53 @@ function Timeseries({ perVariableData, currentSliderDate, onTimeSelect }) {
       });
     }
 
+    for (const cfg of TRACE_CONFIG) {
+      const ts = traces.length ? extractTimeseries(previousRunData?.[cfg.key], cfg.key) : null;
+      if (!ts) continue;
+      const label = `${cfg.label}${PREVIOUS_RUN_STYLE.suffix}`;
+      traces.push({
+        x: ts.times,
+        y: ts.values,
+        name: label,
+        type: 'scatter',
+        mode: cfg.mode === 'markers' ? 'markers' : 'lines',
+        opacity: PREVIOUS_RUN_STYLE.opacity,
+        marker: { color: cfg.color, size: 3, symbol: 'circle-open' },
+        line: { color: cfg.color, width: 1.5, dash: PREVIOUS_RUN_STYLE.dash },
+        yaxis: cfg.yaxis,
+        hovertemplate: `%{y:.1f} ${cfg.unit}<extra>${label}</extra>`,
+      });
+    }
+
+    for (const cfg of TRACE_CONFIG) {
+      const validation = traces.length ? buoyValidation?.byVariable?.[cfg.key] : null;
+      if (!validation) continue;
+      const label = `${cfg.label}${OBSERVED_STYLE.suffix}`;
+      // Running bias / RMSE at the latest forecast step up to each observation, for the hover label
+      let step = -1;
+      const customdata = validation.observed.times.map((t) => {
+        while (step + 1 < validation.running.length && validation.running[step + 1].time <= t) step += 1;
+        const r = validation.running[step];
+        const digits = errorDigits(cfg.key);
+        return r ? `· bias ${signed(r.bias, digits)} · RMSE ${r.rmse.toFixed(digits)} ${cfg.unit}` : '';
+      });
+      traces.push({
+        x: validation.observed.times,
+        y: validation.observed.values,
+        customdata,
+        name: label,
+        type: 'scatter',
+        mode: 'markers',
+        marker: { color: cfg.color, size: OBSERVED_STYLE.size, symbol: OBSERVED_STYLE.symbol },
+        yaxis: cfg.yaxis,
+        hovertemplate: `%{y:.1f} ${cfg.unit} %{customdata}<extra>${label}</extra>`,
+      });
+    }
+
+    traceTimes.current = traces.map(trace => trace.x);
     setPlotData(traces);
     setError(traces.length === 0 ? "No timeseries data returned." : "");
-  }, [perVariableData]);
+  }, [perVariableData, previousRunData, buoyValidation]);
 
   // Index of the closest timestep to the current map slider position
   const nowIdx = useMemo(
@@ -162,8 +231,8 @@ function Timeseries({ perVariableData, currentSliderDate, onTimeSelect }) {
     }
     plotlyDivRef.current = graphDiv;
     const handler = (data) => {
-      const ptIdx = data.points?.[0]?.pointIndex;
-      const t = rawTimes.current[ptIdx];
+      const point = data.points?.[0];
+      const t = traceTimes.current[point?.curveNumber]?.[point?.pointIndex];
       if (t == null || !onTimeSelectRef.current) return;
       // Use the original Date object — avoids Plotly's "YYYY-MM-DD HH:mm:ss" local-time parse
       onTimeSelectRef.current(t);
@@ -181,7 +250,11 @@ function Timeseries({ perVariableData, currentSliderDate, onTimeSelect }) {
   const axisTitle = { color: isDarkMode ? '#64748b' : '#94a3b8', size: 10.5 };
 
   const BADGE_HEIGHT = nowTime ? 58 : 0;
-  const chartHeight = parentHeight ? Math.max(180, parentHeight - BADGE_HEIGHT) : 340;
+  const validated = buoyValidation
+    ? TRACE_CONFIG.filter(cfg => buoyValidation.byVariable[cfg.key]?.summary)
+    : [];
+  const VALIDATION_HEIGHT = validated.length ? 28 : 0;
+  const chartHeight = parentHeight ? Math.max(180, parentHeight - BADGE_HEIGHT - VALIDATION_HEIGHT) : 340;
 
   const layout = {
     autosize: true,
@@ -264,6 +337,36 @@ function Timeseries({ perVariableData, currentSliderDate, onTimeSelect }) {
         </div>
       )}
 
+      {/* Running bias / RMSE against the nearest wave buoy, over the trailing window up to its latest observation */}
+      {validated.length > 0 && (
+        <div style={{
+          display: 'flex', alignItems: 'center', gap: 6, padding: '0 8px 4px', flexWrap: 'wrap',
+          fontSize: 11, color: isDarkMode ? '#94a3b8' : '#64748b',
+        }}>
+          <span title={`${buoyValidation.buoy.type} ${buoyValidation.buoy.stationId}`}>
+            vs {buoyValidation.buoy.name} ({buoyValidation.distanceKm.toFixed(1)} km), last {buoyValidation.byVariable[validated[0].key].summary.windowHours} h:
+          </span>
+          {validated.map(cfg => (
+            <ErrorBadge
+              key={cfg.key}
+              label={cfg.label}
+              summary={buoyValidation.byVariable[cfg.key].summary}
+              unit={cfg.unit}
+              color={cfg.color}
+              digits={errorDigits(cfg.key)}
+              isDarkMode={isDarkMode}
+            />
+          ))}
+        </div>
+      )}
+
+      {/* Why the previous run's dashed lines are missing */}
+      {previousRunUnavailable && (
+        <div role="status" style={{ padding: '0 8px 4px', fontSize: 11, color: isDarkMode ? '#94a3b8' : '#64748b' }}>
+          Previous run: {previousRunUnavailable}
+        </div>
+      )}
+
       <Plot
         data={plotData}
         layout={layout}
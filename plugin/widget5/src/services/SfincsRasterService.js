@@ -1,3 +1,5 @@
+import { DataSource, DATA_SOURCE_CAPABILITIES, filterTimes, getDataSource } from '@ocean-plugin/forecast-core';
+
 function buildUrl(baseUrl, path, params = {}) {
   const normalizedBase = (baseUrl || '').replace(/\/$/, '');
   const normalizedPath = path.startsWith('/') ? path : `/${path}`;
@@ -12,18 +14,6 @@ function buildUrl(baseUrl, path, params = {}) {
   return url.toString();
 }
 
-async function requestJson(url) {
-  const response = await fetch(url);
-  if (!response.ok) {
-    const error = new Error(`Request failed (${response.status})`);
-    error.status = response.status;
-    error.url = url;
-    throw error;
-  }
-
-  return response.json();
-}
-
 function getCachedPromise(cache, key, loader) {
   if (cache.has(key)) {
     return cache.get(key);
@@ -62,33 +52,13 @@ function normalizeTimesteps(payload) {
     .filter((value) => !Number.isNaN(value.getTime()));
 }
 
-function normalizePointValue(payload) {
-  if (payload == null) {
-    return 'No Data';
-  }
-
-  if (typeof payload === 'number') {
-    return payload.toFixed(2);
-  }
-
-  if (typeof payload === 'string') {
-    return payload;
-  }
-
-  const numericValue = payload.value ?? payload.depth ?? payload.data?.value;
-  if (typeof numericValue === 'number' && Number.isFinite(numericValue)) {
-    return numericValue.toFixed(2);
-  }
-
-  if (typeof numericValue === 'string' && numericValue.trim()) {
-    return numericValue;
-  }
-
-  if (typeof payload.featureInfo === 'string' && payload.featureInfo.trim()) {
-    return payload.featureInfo;
-  }
-
-  return 'No Data';
+// Depth in a /point-value payload (a number, or { value | depth | data.value }), null without one
+function pointValueOf(payload) {
+  const raw = typeof payload === 'object' && payload !== null
+    ? payload.value ?? payload.depth ?? payload.data?.value
+    : payload;
+  const value = Number.parseFloat(raw);
+  return Number.isFinite(value) ? value : null;
 }
 
 function normalizeThresholdColor(color) {
@@ -127,26 +97,49 @@ function serializeThresholdConfig(categories, options = {}) {
   };
 }
 
-export default class SfincsRasterService {
-  static metadataCache = new Map();
+/**
+ * SFINCS raster API as a forecast-core data source: time axis, point depth and
+ * depth timeseries through the common DataSource interface, plus the PNG
+ * frames the raster animation draws (the API has no map tiles).
+ */
+export default class SfincsRasterService extends DataSource {
+  static type = 'sfincs-raster';
 
-  static timestepsCache = new Map();
+  static capabilities = [
+    DATA_SOURCE_CAPABILITIES.TIME_AXIS,
+    DATA_SOURCE_CAPABILITIES.POINT_VALUE,
+    DATA_SOURCE_CAPABILITIES.TIMESERIES,
+  ];
 
   static imageCache = new Map();
 
-  constructor(baseUrl) {
-    this.baseUrl = (baseUrl || '').replace(/\/$/, '');
+  constructor(baseUrl, options) {
+    super((baseUrl || '').replace(/\/$/, ''), options);
+    this.baseUrl = this.url;
   }
 
   async loadMetadata() {
-    const url = buildUrl(this.baseUrl, '/metadata');
-    return getCachedPromise(SfincsRasterService.metadataCache, url, () => requestJson(url));
+    if (!this.metadataPromise) {
+      this.metadataPromise = this.request(buildUrl(this.baseUrl, '/metadata'), { as: 'json' }).catch((error) => {
+        this.metadataPromise = null;
+        throw error;
+      });
+    }
+    return this.metadataPromise;
+  }
+
+  async loadTimeAxis() {
+    return normalizeTimesteps(await this.request(buildUrl(this.baseUrl, '/timesteps'), { as: 'json' }));
   }
 
-  async loadTimesteps() {
-    const url = buildUrl(this.baseUrl, '/timesteps');
-    const payload = await getCachedPromise(SfincsRasterService.timestepsCache, url, () => requestJson(url));
-    return normalizeTimesteps(payload);
+  async getTimeAxis() {
+    // One time axis for every frame the API serves
+    return super.getTimeAxis('timesteps');
+  }
+
+  // rasterSource contract of the forecast core
+  loadTimesteps() {
+    return this.getTimeAxis();
   }
 
   getFrameUrl({
@@ -216,34 +209,38 @@ export default class SfincsRasterService {
     return Promise.all(jobs);
   }
 
-  async getTimeseries({ lat, lng }) {
-    return requestJson(buildUrl(this.baseUrl, '/depth-timeseries', { lat, lon: lng }));
-  }
-
-  async getPointValue({ lat, lng, timeIndex }) {
+  /**
+   * Modelled depth over time at a point
+   * @returns {Promise<Array<{time: Date, value: number|null}>>}
+   */
+  async getTimeseries({ lat, lon, start, end }) {
+    const payload = await this.request(buildUrl(this.baseUrl, '/depth-timeseries', { lat, lon }), { as: 'json' });
+    const series = (payload?.values || [])
+      .map((entry) => ({ time: new Date(entry.time), value: pointValueOf(entry.depth_m) }))
+      .filter(({ time }) => !Number.isNaN(time.getTime()));
+    const wanted = new Set(filterTimes(series.map(({ time }) => time), start, end).map((time) => time.getTime()));
+    return series.filter(({ time }) => wanted.has(time.getTime()));
+  }
+
+  /**
+   * Modelled depth at a point and time (the nearest frame)
+   * @returns {Promise<number|null>}
+   */
+  async getPointValue({ lat, lon, time }) {
+    const timeIndex = await this.getTimeIndex('timesteps', time);
     try {
-      const payload = await requestJson(buildUrl(this.baseUrl, '/point-value', {
+      return pointValueOf(await this.request(buildUrl(this.baseUrl, '/point-value', {
         lat,
-        lon: lng,
-        time_index: timeIndex
-      }));
-
-      return {
-        value: normalizePointValue(payload),
-        raw: payload,
-        available: true
-      };
+        lon,
+        time_index: Math.max(timeIndex, 0),
+      }), { as: 'json' }));
     } catch (error) {
-      if (error?.status === 404) {
-        return {
-          value: 'Point sampling unavailable',
-          raw: null,
-          available: false,
-          reason: 'missing-endpoint'
-        };
-      }
-
+      // Older raster API deployments have no point sampling
+      if (error?.status === 404) throw this.unsupported(DATA_SOURCE_CAPABILITIES.POINT_VALUE);
       throw error;
     }
   }
 }
+
+// Shared adapter for a raster layer's API (registered in config/forecastCore.js)
+export const getSfincsRasterSource = (apiBase) => getDataSource(apiBase, { type: SfincsRasterService.type });
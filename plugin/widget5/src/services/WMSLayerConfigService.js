@@ -11,7 +11,7 @@
  * - All range calculations are normalized and validated
  */
 
-import wmsStyleManager, { WMSStylePresets } from '../utils/WMSStyleManager';
+import { wmsStyleManager, WMSStylePresets } from '@ocean-plugin/forecast-core';
 
 // Business constants - centralized for maintainability
 const WAVE_HEIGHT_THRESHOLDS = Object.keys(WMSStylePresets.WAVE_HEIGHT.colorMapping)
@@ -8,23 +8,22 @@
  * - Configurable cache size and prefetch strategy
  * - Memory-efficient eviction policy
  * 
+ * The store is read through the forecast core's Zarr data source, shared with
+ * the point and timeseries requests of the map.
+ *
  * Usage:
  *   const manager = new ZarrDataManager('http://localhost:8080/SWAN_UGRID.zarr');
  *   await manager.init();
  *   const data = await manager.getTimestepData(5, ['transp_x', 'transp_y', 'hs']);
  */
 
-import { openArray, HTTPStore } from 'zarr';
+import { getDataSource, DATA_SOURCE_TYPES } from '@ocean-plugin/forecast-core';
 
 export default class ZarrDataManager {
   constructor(zarrUrl, options = {}) {
-    // Convert relative URLs to absolute URLs for HTTPStore
-    if (zarrUrl.startsWith('/')) {
-      // Relative path - make it absolute using window.location
-      this.zarrUrl = new URL(zarrUrl, window.location.origin).href;
-    } else {
-      this.zarrUrl = zarrUrl;
-    }
+    // The adapter resolves relative store URLs against the page
+    this.source = getDataSource(zarrUrl, { type: DATA_SOURCE_TYPES.ZARR });
+    this.zarrUrl = this.source.url;
     
     this.cacheSize = options.cacheSize || 8;
     this.prefetchWindow = options.prefetchWindow || 4;
@@ -46,29 +45,19 @@ export default class ZarrDataManager {
     console.log('🔧 Initializing ZarrDataManager:', this.zarrUrl);
     
     try {
-      this.store = new HTTPStore(this.zarrUrl);
-      
       // Load metadata arrays (lon, lat, triangles)
       console.log('📍 Loading mesh coordinates...');
-      this.lonArray = await openArray({ store: this.store, path: 'mesh_node_lon', mode: 'r' });
-      this.latArray = await openArray({ store: this.store, path: 'mesh_node_lat', mode: 'r' });
-      
-      const [lonData, latData] = await Promise.all([
-        this.lonArray.get(null),  // Use get() instead of getRaw() to handle decompression
-        this.latArray.get(null)
-      ]);
+      const mesh = await this.source.loadMesh();
       
-      this.lon = new Float32Array(lonData.data);
-      this.lat = new Float32Array(latData.data);
+      this.lon = new Float32Array(mesh.lon);
+      this.lat = new Float32Array(mesh.lat);
       this.nodeCount = this.lon.length;
       
       console.log(`✅ Loaded ${this.nodeCount} mesh nodes`);
       
       // Try to load triangles (optional for unstructured mesh)
       try {
-        this.triangleArray = await openArray({ store: this.store, path: 'mesh_face_node', mode: 'r' });
-        const triData = await this.triangleArray.get(null);
-        this.triangles = new Int32Array(triData.data);
+        this.triangles = Int32Array.from(await this.source.read('mesh_face_node'));
         
         // Adjust for 1-based indexing if needed
         if (this.triangles[0] === 1) {
@@ -80,17 +69,13 @@ export default class ZarrDataManager {
         this.triangles = null;
       }
       
-      // Load time coordinates
-      try {
-        const timeArray = await openArray({ store: this.store, path: 'time', mode: 'r' });
-        const timeData = await timeArray.get(null);
-        this.times = Array.from(timeData.data).map(t => new Date(t * 1000).toISOString());
-        this.timestepCount = this.times.length;
+      // Load time coordinates (empty when the store has none)
+      this.times = (await this.source.getTimeAxis()).map(time => time.toISOString());
+      this.timestepCount = this.times.length;
+      if (this.timestepCount) {
         console.log(`⏱️  ${this.timestepCount} timesteps available`);
-      } catch (e) {
+      } else {
         console.warn('⚠️  No explicit time coordinate found; inferring timestep count from variable shapes when available');
-        this.times = [];
-        this.timestepCount = 0;
       }
       
       // Calculate bounds
@@ -125,11 +110,7 @@ export default class ZarrDataManager {
     
     try {
       console.log(`📂 Opening Zarr array: ${variableName}`);
-      this.arrays[variableName] = await openArray({ 
-        store: this.store, 
-        path: variableName, 
-        mode: 'r' 
-      });
+      this.arrays[variableName] = await this.source.openArray(variableName);
 
       if (this.timestepCount === 0 && this.arrays[variableName].shape?.length === 2) {
         this.timestepCount = this.arrays[variableName].shape[0];
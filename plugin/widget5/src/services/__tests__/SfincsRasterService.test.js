@@ -0,0 +1,61 @@
+/**
+ * SFINCS Raster Service Tests
+ *
+ * The raster API as a registered forecast-core data source: shared adapter,
+ * time axis, depth timeseries and point depth
+ */
+
+import { getDataSource } from '@ocean-plugin/forecast-core';
+import SfincsRasterService, { getSfincsRasterSource } from '../SfincsRasterService';
+
+const API = 'https://raster.example.org/sfincs';
+const TIMES = ['2025-06-01T00:00:00Z', '2025-06-01T01:00:00Z', '2025-06-01T02:00:00Z'];
+
+// fetch answering the raster API endpoints
+const mockApi = (pointStatus = 200) => jest.fn(async (url) => {
+  const { pathname, searchParams } = new URL(url);
+  const json = (body, status = 200) => ({ ok: status < 400, status, json: async () => body });
+  if (pathname.endsWith('/timesteps')) return json({ timesteps: TIMES });
+  if (pathname.endsWith('/depth-timeseries')) {
+    return json({ values: TIMES.map((time, index) => ({ time, depth_m: index === 1 ? null : index * 0.5 })) });
+  }
+  if (pathname.endsWith('/point-value')) return json({ value: `${searchParams.get('time_index')}.25` }, pointStatus);
+  return json({}, 404);
+});
+
+describe('SfincsRasterService', () => {
+  test('should be the shared adapter for a raster API base', () => {
+    const source = getSfincsRasterSource(`${API}/`);
+
+    expect(source).toBeInstanceOf(SfincsRasterService);
+    expect(source).toBe(getDataSource(`${API}/`, { type: 'sfincs-raster' }));
+    expect(source.baseUrl).toBe(API);
+    expect(source.supports('timeseries')).toBe(true);
+  });
+
+  test('should read the depth timeseries within the requested window', async () => {
+    const source = new SfincsRasterService(API, { fetch: mockApi() });
+
+    const all = await source.getTimeseries({ lat: -21.2, lon: -159.78 });
+    expect(all.map(({ value }) => value)).toEqual([0, null, 1]);
+    expect(all[0].time).toEqual(new Date(TIMES[0]));
+
+    const window = await source.getTimeseries({ lat: -21.2, lon: -159.78, start: TIMES[1], end: TIMES[2] });
+    expect(window.map(({ time }) => time.toISOString())).toEqual(['2025-06-01T01:00:00.000Z', '2025-06-01T02:00:00.000Z']);
+  });
+
+  test('should read the point depth of the nearest frame', async () => {
+    const fetch = mockApi();
+    const source = new SfincsRasterService(API, { fetch });
+
+    await expect(source.getTimeAxis()).resolves.toHaveLength(3);
+    await expect(source.getPointValue({ lat: -21.2, lon: -159.78, time: '2025-06-01T01:10:00Z' })).resolves.toBe(1.25);
+    expect(fetch.mock.calls.at(-1)[0]).toContain('lon=-159.78');
+  });
+
+  test('should report point sampling as unsupported on a 404', async () => {
+    const source = new SfincsRasterService(API, { fetch: mockApi(404) });
+
+    await expect(source.getPointValue({ lat: -21.2, lon: -159.78 })).rejects.toMatchObject({ code: 'UNSUPPORTED' });
+  });
+});
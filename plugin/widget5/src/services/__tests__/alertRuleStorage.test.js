@@ -0,0 +1,49 @@
+import {
+  ALERT_RULE_STORAGE_KEY,
+  loadAlertRulesFromStorage,
+  saveAlertRulesToStorage,
+} from '../alertRuleStorage';
+import { createAlertRule } from '../../domain/alerts/rules';
+
+const createStorage = () => ({
+  data: {},
+  getItem(key) { return this.data[key] ?? null; },
+  setItem(key, value) { this.data[key] = value; },
+});
+
+describe('alertRuleStorage', () => {
+  test('saves and loads rules with their alerts', () => {
+    const storage = createStorage();
+    const rule = createAlertRule({ locationId: 'rarotonga' });
+    const alert = { id: `${rule.id}-run`, ruleId: rule.id, message: 'Hs > 3 m', acknowledged: false };
+
+    expect(saveAlertRulesToStorage([rule], [alert], storage)).toBe(true);
+    const loaded = loadAlertRulesFromStorage(storage);
+
+    expect(loaded.rules).toEqual([rule]);
+    expect(loaded.alerts).toEqual([alert]);
+  });
+
+  test('drops invalid rules and alerts of deleted rules', () => {
+    const storage = createStorage();
+    const rule = createAlertRule({ type: 'twl', pointId: 4, level: 'minor' });
+    storage.setItem(ALERT_RULE_STORAGE_KEY, JSON.stringify({
+      rules: [rule, { type: 'variable', variable: 'unknown' }],
+      alerts: [{ id: 'a', ruleId: 'deleted' }, { id: 'b', ruleId: rule.id }],
+    }));
+
+    const loaded = loadAlertRulesFromStorage(storage);
+    expect(loaded.rules.map((item) => item.id)).toEqual([rule.id]);
+    expect(loaded.alerts.map((item) => item.id)).toEqual(['b']);
+  });
+
+  test('falls back to an empty list when storage is unavailable', () => {
+    const broken = {
+      getItem() { throw new Error('denied'); },
+      setItem() { throw new Error('quota'); },
+    };
+
+    expect(loadAlertRulesFromStorage(broken)).toEqual({ rules: [], alerts: [] });
+    expect(saveAlertRulesToStorage([], [], broken)).toBe(false);
+  });
+});
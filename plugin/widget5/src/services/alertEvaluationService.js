@@ -0,0 +1,80 @@
+import { fetchPointTimeseries, fetchRunTimes } from '@ocean-plugin/forecast-core';
+import { COOK_SWAN_WMS_URL } from '../config/CookIslandsConfig';
+import {
+  ALERT_RULE_TYPES,
+  evaluateAlertRule,
+  getAlertLocation,
+} from '../domain/alerts/rules';
+import { fetchRiskDetails, loadSavedRiskThresholds } from './riskDataService';
+
+// SWAN variable at the rule's island centre, keyed by the model run start.
+// The point series is only requested when the run differs from skipRunKey.
+async function fetchVariableSeries(rule, { signal, skipRunKey }) {
+  const location = getAlertLocation(rule.locationId);
+  const { times, runStart } = await fetchRunTimes(COOK_SWAN_WMS_URL, rule.variable, { signal });
+  const runKey = (runStart || times[0]).toISOString();
+  if (skipRunKey && runKey === skipRunKey) {
+    return { runKey, times: [], values: [] };
+  }
+
+  const coverage = await fetchPointTimeseries(COOK_SWAN_WMS_URL, {
+    layer: rule.variable,
+    lat: location.lat,
+    lon: location.lon,
+    start: times[0],
+    end: times[times.length - 1],
+  });
+  signal?.throwIfAborted();
+  return {
+    runKey,
+    times: coverage.domain.axes.t.values,
+    values: coverage.ranges[rule.variable].values,
+  };
+}
+
+// Total water level at a coastal risk point, against the thresholds saved for it
+async function fetchTwlSeries(rule) {
+  const details = await fetchRiskDetails(Number(rule.pointId));
+  const metadata = details.metadata || {};
+  return {
+    runKey: metadata.model_run || metadata.generated_at || details.time_10min[0] || null,
+    times: details.time_10min,
+    values: details.twl_10min,
+    thresholds: loadSavedRiskThresholds(rule.pointId) || details.thresholds,
+  };
+}
+
+export function fetchAlertSeries(rule, { signal, skipRunKey = null } = {}) {
+  return rule.type === ALERT_RULE_TYPES.TWL
+    ? fetchTwlSeries(rule)
+    : fetchVariableSeries(rule, { signal, skipRunKey });
+}
+
+/**
+ * Evaluate enabled rules that have not yet been checked against the latest run
+ * @param {Object[]} rules
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {boolean} [options.force] - Re-evaluate rules already checked for this run
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Array<{rule: Object, runKey: string|null, result: Object|null, error: string|null}>>}
+ */
+export async function evaluateAlertRules(rules, { now = new Date(), force = false, signal } = {}) {
+  const pending = rules.filter((rule) => rule.enabled);
+
+  const outcomes = await Promise.all(pending.map(async (rule) => {
+    try {
+      const series = await fetchAlertSeries(rule, { signal, skipRunKey: force ? null : rule.lastRunKey });
+      if (!force && series.runKey && series.runKey === rule.lastRunKey) {
+        return null;
+      }
+      return { rule, runKey: series.runKey, result: evaluateAlertRule(rule, series, now), error: null };
+    } catch (error) {
+      if (error.name === 'AbortError' && signal?.aborted) throw error;
+      console.warn(`Alert rule ${rule.id} could not be evaluated:`, error.message);
+      return { rule, runKey: rule.lastRunKey, result: null, error: error.message };
+    }
+  }));
+
+  return outcomes.filter(Boolean);
+}
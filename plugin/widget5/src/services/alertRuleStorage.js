@@ -0,0 +1,51 @@
+import {
+  ALERT_RULE_SCHEMA_VERSION,
+  createAlertRule,
+  validateAlertRule,
+} from '../domain/alerts/rules';
+
+// Stored alongside the inundation profiles (see inundationProfileStorage.js)
+export const ALERT_RULE_STORAGE_KEY = `cok_alert_rules_v${ALERT_RULE_SCHEMA_VERSION}`;
+export const MAX_STORED_ALERTS = 50;
+
+const EMPTY_STATE = { rules: [], alerts: [] };
+
+function hydrateRule(rule) {
+  const hydrated = createAlertRule({ ...rule, id: rule?.id || undefined });
+  return validateAlertRule(hydrated).length === 0 ? hydrated : null;
+}
+
+export function loadAlertRulesFromStorage(storage = window.localStorage) {
+  try {
+    const raw = storage.getItem(ALERT_RULE_STORAGE_KEY);
+    if (!raw) {
+      return EMPTY_STATE;
+    }
+
+    const parsed = JSON.parse(raw);
+    const rules = (Array.isArray(parsed?.rules) ? parsed.rules : [])
+      .map(hydrateRule)
+      .filter(Boolean);
+    const ruleIds = new Set(rules.map((rule) => rule.id));
+    const alerts = (Array.isArray(parsed?.alerts) ? parsed.alerts : [])
+      .filter((alert) => alert?.id && ruleIds.has(alert.ruleId))
+      .slice(0, MAX_STORED_ALERTS);
+
+    return { rules, alerts };
+  } catch {
+    return EMPTY_STATE;
+  }
+}
+
+export function saveAlertRulesToStorage(rules, alerts, storage = window.localStorage) {
+  try {
+    storage.setItem(ALERT_RULE_STORAGE_KEY, JSON.stringify({
+      schemaVersion: ALERT_RULE_SCHEMA_VERSION,
+      rules,
+      alerts: alerts.slice(0, MAX_STORED_ALERTS),
+    }));
+    return true;
+  } catch {
+    return false;
+  }
+}
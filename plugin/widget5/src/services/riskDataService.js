@@ -174,3 +174,20 @@ export const fetchRiskDetails = async (pointId) => {
     tide_10min: Array.isArray(payload?.tide_10min) ? payload.tide_10min.map((value) => coerceNumber(value, null)) : []
   };
 };
+
+// Per-point minor/moderate thresholds saved from the risk details panel
+export const getRiskThresholdStorageKey = (pointId) => `risk-thresholds-${pointId}`;
+
+export const loadSavedRiskThresholds = (pointId, storage = window.localStorage) => {
+  try {
+    const saved = JSON.parse(storage.getItem(getRiskThresholdStorageKey(pointId)));
+    if (saved?.minor == null || saved?.moderate == null) {
+      return null;
+    }
+
+    const thresholds = [coerceNumber(saved.minor), coerceNumber(saved.moderate)];
+    return thresholds.every((value) => value !== null) ? thresholds : null;
+  } catch {
+    return null;
+  }
+};
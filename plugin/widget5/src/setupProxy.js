@@ -58,11 +58,30 @@ module.exports = function(app) {
     })
   );
 
+  // Sofar Spotter proxy (plugin/spotter-proxy), run locally with SOFAR_TOKEN set
+  app.use(
+    '/spotter-proxy',
+    createProxyMiddleware({
+      target: process.env.REACT_APP_SPOTTER_PROXY_TARGET || 'http://localhost:8014',
+      changeOrigin: true,
+      pathRewrite: {
+        '^/spotter-proxy': '',
+      },
+      timeout: 30000,
+      proxyTimeout: 30000,
+      onError: (err, req, res) => {
+        console.error('🚨 Spotter Proxy Error:', err.message);
+        res.status(500).send('Spotter proxy error: ' + err.message);
+      }
+    })
+  );
+
   // Proxy for THREDDS server to resolve CORS issues
   app.use(
     '/api/thredds',
     createProxyMiddleware({
-      target: 'https://gemthreddshpc.spc.int',
+      // REACT_APP_THREDDS_PROXY_TARGET points dev builds at another server (e.g. the forecast-e2e mock)
+      target: process.env.REACT_APP_THREDDS_PROXY_TARGET || 'https://gemthreddshpc.spc.int',
       changeOrigin: true,
       secure: true,
       pathRewrite: {
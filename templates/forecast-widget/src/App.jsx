@@ -0,0 +1,19 @@
+import React from 'react';
+import { OfflineForecastBanner } from '@ocean-plugin/forecast-core';
+import Home from './pages/Home';
+import { COUNTRY } from './config/CountryConfig';
+import './App.css';
+
+function App() {
+  return (
+    <div className="forecast-app">
+      <header className="forecast-header">
+        <h1>{COUNTRY.title || `${COUNTRY.name} Marine Forecast`}</h1>
+      </header>
+      <OfflineForecastBanner />
+      <Home />
+    </div>
+  );
+}
+
+export default App;
@@ -0,0 +1,105 @@
+/**
+ * Country Configuration
+ *
+ * Everything country-specific comes from country.json, which
+ * add-country-widget.js copies from the country file it was run with.
+ * Edit country.json (not this file) to change bounds, layers or islands.
+ */
+
+import country from './country.json';
+
+export const COUNTRY = country;
+
+// Leaflet accepts [[south, west], [north, east]] directly
+export const COUNTRY_BOUNDS = [country.bounds.southWest, country.bounds.northEast];
+
+export const INUNDATION_LAYER_ID = 'inundation';
+
+// Variable name without the ncWMS dataset prefix ('samoa_forecast/hs' -> 'hs')
+const variableName = (layer) => layer.split('/').pop();
+
+const toRange = (range) => (Array.isArray(range) ? range.join(',') : range || '');
+
+/**
+ * Build the map layer list: one WMS layer per forecast variable,
+ * plus the inundation layer when it is served over WMS
+ */
+const buildForecastLayers = () => {
+  const layers = country.variables.map((variable) => ({
+    value: variable.layer,
+    variable: variableName(variable.layer),
+    label: variable.label,
+    unit: variable.unit || '',
+    wmsUrl: variable.wmsUrl || country.wms.url,
+    style: variable.style || `default-scalar/${variable.palette || 'x-Sst'}`,
+    palette: variable.palette || null,
+    colorscalerange: toRange(variable.range),
+    numcolorbands: variable.bands || 250
+  }));
+
+  const { inundation } = country;
+  if (inundation?.type === 'wms') {
+    layers.push({
+      value: inundation.layer,
+      variable: INUNDATION_LAYER_ID,
+      label: inundation.label || 'Inundation',
+      unit: 'm',
+      wmsUrl: inundation.url,
+      style: `default-scalar/${inundation.palette || 'x-Sst'}`,
+      palette: inundation.palette || 'x-Sst',
+      colorscalerange: toRange(inundation.range),
+      numcolorbands: inundation.bands || 250,
+      isStatic: Boolean(inundation.isStatic)
+    });
+  }
+
+  return layers;
+};
+
+export const FORECAST_LAYERS = buildForecastLayers();
+
+// Point-based inundation forecast (final.json style feed), null when not configured
+export const INUNDATION_POINTS_URL = country.inundation?.type === 'points' ? country.inundation.url : null;
+
+// Shared forecast core settings (registered in ./forecastCore.js)
+export const FORECAST_CORE_CONFIG = {
+  name: country.name,
+  code: country.code,
+  forecastDataset: country.forecastDataset || null,
+  layerDisplayNames: Object.fromEntries(
+    FORECAST_LAYERS.map((layer) => [layer.variable, layer.label])
+  ),
+  // Optional overrides; anything left out keeps the core defaults
+  marine: country.marine,
+  capabilities: country.capabilities,
+  timeAnimation: country.timeAnimation,
+  offline: country.offline,
+  animationExport: country.animationExport,
+  runComparison: country.runComparison,
+  visualization: {
+    layerRanges: Object.fromEntries(
+      country.variables
+        .filter((variable) => Array.isArray(variable.range))
+        .map((variable) => [
+          variableName(variable.layer),
+          { min: variable.range[0], max: variable.range[1], unit: variable.unit || '' }
+        ])
+    ),
+    worldClass: {
+      legend: {
+        wmsUrl: country.wms.url,
+        datasetPrefix: country.forecastDataset || null
+      }
+    }
+  }
+};
+
+const CountryConfig = {
+  COUNTRY,
+  COUNTRY_BOUNDS,
+  FORECAST_LAYERS,
+  INUNDATION_POINTS_URL,
+  FORECAST_CORE_CONFIG
+};
+
+export default CountryConfig;
@@ -0,0 +1,33 @@
+/**
+ * Country Config Tests
+ *
+ * Validates that country.json reaches the map layers and the shared forecast core
+ */
+
+import { getCountryConfig } from '@ocean-plugin/forecast-core';
+import country from './country.json';
+import { COUNTRY_BOUNDS, FORECAST_LAYERS } from './CountryConfig';
+import './forecastCore';
+
+describe('Country config', () => {
+  test('should build one map layer per forecast variable', () => {
+    country.variables.forEach((variable) => {
+      const layer = FORECAST_LAYERS.find((entry) => entry.value === variable.layer);
+      expect(layer).toBeDefined();
+      expect(layer.label).toBe(variable.label);
+      expect(layer.wmsUrl).toBe(variable.wmsUrl || country.wms.url);
+    });
+  });
+
+  test('should use the country bounds for the map', () => {
+    expect(COUNTRY_BOUNDS).toEqual([country.bounds.southWest, country.bounds.northEast]);
+  });
+
+  test('should register the country with the forecast core', () => {
+    const config = getCountryConfig();
+
+    expect(config.name).toBe(country.name);
+    expect(config.code).toBe(country.code);
+    expect(config.visualization.worldClass.legend.wmsUrl).toBe(country.wms.url);
+  });
+});
@@ -0,0 +1,19 @@
+// Register the country config with the shared forecast core before anything reads it
+import './config/forecastCore';
+
+import React from 'react';
+import ReactDOM from 'react-dom/client';
+import 'bootstrap/dist/css/bootstrap.min.css';
+import 'leaflet/dist/leaflet.css';
+import { registerForecastServiceWorker } from '@ocean-plugin/forecast-core';
+import App from './App';
+
+const root = ReactDOM.createRoot(document.getElementById('root'));
+root.render(
+  <React.StrictMode>
+    <App />
+  </React.StrictMode>
+);
+
+// Offline cache for forecast tiles and capabilities (production builds only)
+registerForecastServiceWorker(`${process.env.PUBLIC_URL}/service-worker.js`);
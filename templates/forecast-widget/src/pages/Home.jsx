@@ -0,0 +1,209 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import L from 'leaflet';
+import {
+  AnimationExportControl,
+  RunComparisonControl,
+  useForecastPrecache,
+  useTimeAnimation,
+  useWMSCapabilities,
+  wmsTileLoadingService,
+  WorldClassVisualization
+} from '@ocean-plugin/forecast-core';
+import {
+  COUNTRY,
+  COUNTRY_BOUNDS,
+  FORECAST_LAYERS,
+  INUNDATION_POINTS_URL
+} from '../config/CountryConfig';
+import { loadInundationPointsLayer } from '../services/InundationPointsLayer';
+
+const worldClassViz = new WorldClassVisualization();
+
+const Home = () => {
+  const mapRef = useRef(null);
+  const mapInstance = useRef(null);
+  const wmsLayerRef = useRef(null);
+  const [selectedLayer, setSelectedLayer] = useState(FORECAST_LAYERS[0]?.value);
+  const [inundationError, setInundationError] = useState(null);
+
+  const selectedLayerConfig = useMemo(
+    () => FORECAST_LAYERS.find((layer) => layer.value === selectedLayer) || null,
+    [selectedLayer]
+  );
+
+  const capTime = useWMSCapabilities(selectedLayer, FORECAST_LAYERS);
+  const {
+    sliderIndex,
+    setSliderIndex,
+    totalSteps,
+    minIndex,
+    currentSliderDate,
+    currentSliderDateStr,
+    isPlaying,
+    togglePlayback
+  } = useTimeAnimation(capTime, selectedLayerConfig);
+
+  // Keep the latest run of the selected layer available offline
+  useForecastPrecache({ capTime, layerConfig: selectedLayerConfig, bounds: COUNTRY_BOUNDS });
+
+  // Initialize map, base layer and island markers
+  useEffect(() => {
+    if (!mapRef.current || mapInstance.current) return undefined;
+
+    const map = L.map(mapRef.current, { attributionControl: false });
+    map.fitBounds(COUNTRY_BOUNDS);
+    mapInstance.current = map;
+
+    L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}', {
+      attribution: '© Esri'
+    }).addTo(map);
+    L.control.scale({ position: 'bottomleft', metric: true, imperial: false }).addTo(map);
+
+    (COUNTRY.islands || []).forEach((island) => {
+      L.marker([island.lat, island.lon], { title: island.name })
+        .bindTooltip(island.name)
+        .addTo(map);
+    });
+
+    return () => {
+      map.remove();
+      mapInstance.current = null;
+      wmsLayerRef.current = null;
+    };
+  }, []);
+
+  // Point-based inundation forecast
+  useEffect(() => {
+    if (!INUNDATION_POINTS_URL) return undefined;
+
+    let pointsLayer = null;
+    let cancelled = false;
+    loadInundationPointsLayer(INUNDATION_POINTS_URL)
+      .then((layer) => {
+        if (cancelled || !mapInstance.current) return;
+        pointsLayer = layer.addTo(mapInstance.current);
+      })
+      .catch((error) => {
+        console.error('Failed to load inundation points:', error);
+        if (!cancelled) setInundationError(error.message);
+      });
+
+    return () => {
+      cancelled = true;
+      if (pointsLayer) pointsLayer.remove();
+    };
+  }, []);
+
+  // Forecast WMS layer for the selected variable and time step
+  useEffect(() => {
+    const map = mapInstance.current;
+    if (!map || !selectedLayerConfig || capTime.loading) return;
+
+    const params = {
+      layers: selectedLayerConfig.value,
+      styles: selectedLayerConfig.style,
+      format: 'image/png',
+      transparent: true,
+      version: '1.3.0',
+      time: currentSliderDateStr
+    };
+    if (selectedLayerConfig.colorscalerange) {
+      params.colorscalerange = selectedLayerConfig.colorscalerange;
+      params.numcolorbands = selectedLayerConfig.numcolorbands;
+    }
+
+    if (wmsLayerRef.current && wmsLayerRef.current.wmsParams.layers === selectedLayerConfig.value) {
+      wmsLayerRef.current.setParams({ time: currentSliderDateStr });
+      return;
+    }
+
+    if (wmsLayerRef.current) {
+      wmsLayerRef.current.remove();
+    }
+
+    const layer = L.tileLayer.wms(selectedLayerConfig.wmsUrl, params).addTo(map);
+    const layerId = `${selectedLayerConfig.value}_${Date.now()}`;
+    wmsTileLoadingService.initializeLayer(layerId, selectedLayerConfig.value, selectedLayerConfig.isStatic ? 'static' : 'forecast');
+    layer.on('tileerror', (e) => wmsTileLoadingService.handleTileError(layerId, e.tile, e));
+    layer.on('tileload', () => wmsTileLoadingService.resetErrorTracking(layerId));
+    wmsLayerRef.current = layer;
+  }, [selectedLayerConfig, currentSliderDateStr, capTime.loading]);
+
+  const legendUrl = selectedLayerConfig?.palette
+    ? worldClassViz.getWorldClassLegendUrl(
+        selectedLayerConfig.variable,
+        selectedLayerConfig.colorscalerange,
+        selectedLayerConfig.unit,
+        selectedLayerConfig.palette,
+        { wmsUrl: selectedLayerConfig.wmsUrl, layerId: selectedLayerConfig.value }
+      )
+    : null;
+
+  return (
+    <div className="forecast-home">
+      <div ref={mapRef} className="forecast-map" />
+
+      <div className="forecast-panel">
+        <select
+          className="form-select form-select-sm"
+          aria-label="Forecast layer"
+          value={selectedLayer}
+          onChange={(e) => setSelectedLayer(e.target.value)}
+        >
+          {FORECAST_LAYERS.map((layer) => (
+            <option key={layer.value} value={layer.value}>{layer.label}</option>
+          ))}
+        </select>
+
+        {capTime.loading ? (
+          <p className="forecast-status">Loading forecast times…</p>
+        ) : totalSteps > 0 && (
+          <div className="forecast-time">
+            <button type="button" className="btn btn-sm btn-primary" onClick={togglePlayback}>
+              {isPlaying ? 'Pause' : 'Play'}
+            </button>
+            <input
+              type="range"
+              className="form-range"
+              aria-label="Forecast time"
+              min={minIndex}
+              max={totalSteps}
+              value={sliderIndex}
+              onChange={(e) => setSliderIndex(Number(e.target.value))}
+            />
+            <span className="forecast-status">{currentSliderDate.toUTCString()}</span>
+          </div>
+        )}
+
+        {totalSteps > 0 && (
+          <AnimationExportControl
+            mapInstance={mapInstance}
+            capTime={capTime}
+            currentSliderDate={currentSliderDate}
+            title={selectedLayerConfig?.label}
+            legendUrl={legendUrl}
+            buttonClassName="btn btn-sm btn-outline-primary"
+          />
+        )}
+
+        {totalSteps > 0 && (
+          <RunComparisonControl
+            mapInstance={mapInstance}
+            layer={selectedLayerConfig}
+            currentSliderDate={currentSliderDate}
+            buttonClassName="btn btn-sm btn-outline-primary"
+          />
+        )}
+
+        {legendUrl && (
+          <img className="forecast-legend" src={legendUrl} alt={`${selectedLayerConfig.label} legend`} />
+        )}
+        {inundationError && (
+          <p className="forecast-status text-danger">Inundation points unavailable: {inundationError}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Home;
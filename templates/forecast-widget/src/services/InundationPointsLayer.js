@@ -0,0 +1,71 @@
+/**
+ * InundationPointsLayer
+ *
+ * Loads a point-based inundation forecast (the final.json feed used by the
+ * Tuvalu widget) and renders it as risk-coloured circle markers.
+ */
+
+import L from 'leaflet';
+
+export const RISK_LEVELS = {
+  low: { max: 0.4, color: '#2196F3', label: 'Low Risk' },
+  medium: { max: 0.8, color: '#FF9800', label: 'Medium Risk' },
+  high: { max: Infinity, color: '#F44336', label: 'High Risk' }
+};
+
+/**
+ * Determine risk level from a hazard label ('Moderate Risk') or a depth in metres
+ */
+export const getRiskLevel = (value) => {
+  if (typeof value === 'string') {
+    const text = value.toLowerCase();
+    if (text.includes('high') || text.includes('severe') || text.includes('extreme')) return RISK_LEVELS.high;
+    if (text.includes('medium') || text.includes('moderate')) return RISK_LEVELS.medium;
+    return RISK_LEVELS.low;
+  }
+  if (typeof value !== 'number') return RISK_LEVELS.low;
+  if (value <= RISK_LEVELS.low.max) return RISK_LEVELS.low;
+  if (value <= RISK_LEVELS.medium.max) return RISK_LEVELS.medium;
+  return RISK_LEVELS.high;
+};
+
+/**
+ * Fetch the inundation points and return them as a Leaflet layer group
+ * @param {string} url - final.json style feed
+ * @returns {Promise<L.LayerGroup>}
+ */
+export async function loadInundationPointsLayer(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Inundation points request failed: ${response.status}`);
+  }
+
+  const points = await response.json();
+  if (!Array.isArray(points)) {
+    throw new Error('Invalid inundation points format - expected array');
+  }
+
+  const group = L.layerGroup();
+  points.forEach((point) => {
+    const lat = parseFloat(point.latitude);
+    const lng = parseFloat(point.longitude);
+    if (Number.isNaN(lat) || Number.isNaN(lng)) return;
+
+    const hazard = point.coastal_inundation_hazard_level || point.hazard_level || point.risk_level;
+    const depth = point.max_inundation ?? point.inundation;
+    const risk = getRiskLevel(hazard || depth || 0);
+    const name = point.station_name || point.location || point.name || 'Inundation point';
+
+    L.circleMarker([lat, lng], {
+      radius: 6,
+      color: '#ffffff',
+      weight: 2,
+      fillColor: risk.color,
+      fillOpacity: 0.85
+    })
+      .bindPopup(`<strong>${name}</strong><br/>${risk.label}${typeof depth === 'number' ? ` (${depth.toFixed(2)} m)` : ''}`)
+      .addTo(group);
+  });
+
+  return group;
+}
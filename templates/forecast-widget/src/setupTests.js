@@ -0,0 +1,4 @@
+// jest-dom adds custom jest matchers for asserting on DOM nodes.
+// learn more: https://github.com/testing-library/jest-dom
+import '@testing-library/jest-dom';
+import './config/forecastCore';